@@ -1,6 +1,16 @@
 const multer = require("multer");
 const path = require("path");
 const fsPromises = require('fs').promises;
+const { DOCUMENT_POLICIES } = require('../services/upload-policy.service');
+
+// The file filters below only see the file name and the type the browser declared.
+// Routes follow them with verifyUploads (middleware/upload-policy.js), which checks
+// the contents, macros, encryption, page counts and file naming per document type.
+
+// Multer cannot tell which document type a file is, so uploads that carry
+// several types are only capped at the largest policy size; verifyUploads
+// enforces each type's own limit
+const LARGEST_POLICY_SIZE = Math.max(...Object.values(DOCUMENT_POLICIES).map((policy) => policy.maxSize));
 
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
@@ -28,7 +38,7 @@ const storage = multer.diskStorage({
 const upload = multer({
     storage: storage,
     limits: {
-        fileSize: 5 * 1024 * 1024, // 5MB limit
+        fileSize: LARGEST_POLICY_SIZE,
     },
     fileFilter: (req, file, cb) => {
         const allowedTypes = [
@@ -72,7 +82,7 @@ const memoryUpload = multer({
 const accomplishmentReportUpload = multer({
     storage: storage,
     limits: {
-        fileSize: 5 * 1024 * 1024, // 5MB limit
+        fileSize: LARGEST_POLICY_SIZE,
     },
     fileFilter: (req, file, cb) => {
         const allowedTypes = [
@@ -101,6 +111,67 @@ const accomplishmentReportUpload = multer({
     { name: 'final_attendance_proof_file', maxCount: 1 }
 ]);
 
+// Attendance sheets are parsed straight from memory and only stored once the
+// organizer submits the report
+const attendanceSheetUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: DOCUMENT_POLICIES.attendance.maxSize,
+    },
+    fileFilter: (req, file, cb) => {
+        const extension = path.extname(file.originalname).toLowerCase();
+        if (extension === '.csv' || extension === '.xlsx') {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Attendance lists must be CSV or Excel (.xlsx) files.'));
+        }
+    }
+}).single('attendance_file');
+
+// Whitelist CSV imports are read from memory; the service saves the rows
+const whitelistCsvUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 1024 * 1024, // 1MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        if (path.extname(file.originalname).toLowerCase() === '.csv') {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Whitelist imports must be CSV files.'));
+        }
+    }
+}).single('file');
+
+// Compliance documents (budget report, photos, ...) of an approved proposal,
+// up to five per request as "documents"
+const complianceDocumentUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            const uploadDir = path.join(__dirname, '../uploads/compliance', String(req.params.proposalId));
+            fsPromises.mkdir(uploadDir, { recursive: true })
+                .then(() => cb(null, uploadDir))
+                .catch((error) => cb(error));
+        },
+        filename: (req, file, cb) => {
+            const extension = path.extname(file.originalname);
+            const baseName = path.basename(file.originalname, extension).replace(/[^\w.-]+/g, '_');
+            cb(null, `${baseName}_${Date.now()}${extension}`);
+        }
+    }),
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedExtensions = ['.pdf', '.doc', '.docx', '.jpg', '.jpeg', '.png', '.xlsx', '.xls', '.zip'];
+        if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only PDF, DOC, DOCX, JPG, PNG, XLSX, XLS, and ZIP are allowed.'));
+        }
+    }
+}).array('documents', 5);
+
 const complianceReportUpload = upload.fields([
     // ... existing code ...
 ]);
@@ -109,5 +180,8 @@ module.exports = {
     upload,
     memoryUpload,
     accomplishmentReportUpload,
+    attendanceSheetUpload,
+    whitelistCsvUpload,
+    complianceDocumentUpload,
     complianceReportUpload
 };
\ No newline at end of file
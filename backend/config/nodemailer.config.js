@@ -1,11 +1,77 @@
+const fs = require("fs");
+const path = require("path");
 const nodemailer = require("nodemailer");
 
-const transporter = nodemailer.createTransport({
-    service: process.env.EMAIL_SERVICE || "gmail",
-    auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASSWORD,
-    },
-});
+/**
+ * Mail transport used by services/email.service.js
+ *
+ * EMAIL_TRANSPORT selects where messages go:
+ *   - "service" (default): a nodemailer well-known service (EMAIL_SERVICE, e.g. gmail)
+ *     authenticated with EMAIL_USER / EMAIL_PASSWORD
+ *   - "smtp": SMTP_HOST / SMTP_PORT / SMTP_SECURE, with SMTP_USER / SMTP_PASSWORD if set.
+ *     Point it at a local sink (MailHog, Mailpit: localhost:1025) for testing.
+ *   - "file": write each message as an .eml file under EMAIL_FILE_DIR (default tmp/mail)
+ *     instead of sending it
+ */
+const TRANSPORT = (process.env.EMAIL_TRANSPORT || "service").toLowerCase();
 
-module.exports = transporter; 
\ No newline at end of file
+const FROM_ADDRESS = process.env.EMAIL_FROM || process.env.EMAIL_USER || "CEDO <no-reply@cedo.local>";
+
+function createFileTransport() {
+    const directory = path.resolve(process.env.EMAIL_FILE_DIR || path.join(__dirname, "..", "tmp", "mail"));
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+
+    return {
+        name: "file",
+        async sendMail(message) {
+            const info = await transporter.sendMail(message);
+            await fs.promises.mkdir(directory, { recursive: true });
+            const fileName = `${Date.now()}-${String(info.messageId).replace(/[^a-zA-Z0-9.@-]/g, "")}.eml`;
+            await fs.promises.writeFile(path.join(directory, fileName), info.message);
+            return { messageId: info.messageId, response: `written to ${fileName}` };
+        },
+    };
+}
+
+function createSmtpTransport() {
+    const auth = process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined;
+
+    return nodemailer.createTransport({
+        host: process.env.SMTP_HOST || "localhost",
+        port: Number(process.env.SMTP_PORT) || 1025,
+        secure: process.env.SMTP_SECURE === "true",
+        auth,
+    });
+}
+
+function createServiceTransport() {
+    return nodemailer.createTransport({
+        service: process.env.EMAIL_SERVICE || "gmail",
+        auth: {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASSWORD,
+        },
+    });
+}
+
+let transport = null;
+
+/**
+ * @returns {{ sendMail: (message: Object) => Promise<{ messageId: string }> }}
+ */
+function getTransport() {
+    if (!transport) {
+        if (TRANSPORT === "file") transport = createFileTransport();
+        else if (TRANSPORT === "smtp") transport = createSmtpTransport();
+        else transport = createServiceTransport();
+    }
+    return transport;
+}
+
+module.exports = {
+    TRANSPORT,
+    FROM_ADDRESS,
+    getTransport,
+};
@@ -2,6 +2,8 @@ const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const { pool } = require('./db');
 const crypto = require('crypto');
+const accountApprovalService = require('../services/account-approval.service');
+const whitelistService = require('../services/whitelist.service');
 
 // Check if OAuth is properly configured
 const isOAuthConfigured = () => {
@@ -100,10 +102,13 @@ if (isOAuthConfigured()) {
                     [users] = await pool.query('SELECT * FROM users WHERE id = ?', [user.id]);
                     user = users[0];
                 } else {
-                    // Security: Only allow pre-approved users to sign in
-                    // Do not create new users automatically
-                    console.log(`User ${email} not found in system - rejecting OAuth login`);
-                    return done(new Error('Account not found. Please contact an administrator.'), null);
+                    // Security: only whitelisted, Google-verified addresses get an account here
+                    user = await whitelistService.provisionGoogleUser({ email, name, picture, googleId, emailVerified });
+                    if (!user) {
+                        console.log(`User ${email} not found in system or whitelist - rejecting OAuth login`);
+                        return done(new Error('Account not found. Please contact an administrator.'), null);
+                    }
+                    console.log(`Created user ${user.id} (${user.role}) from the whitelist entry for ${email}`);
                 }
             } else {
                 // Update existing Google user profile if needed
@@ -122,10 +127,16 @@ if (isOAuthConfigured()) {
                 }
             }
 
+            // Pending students covered by an auto-approval rule are approved here
+            user = await accountApprovalService.applyAutoApproval(user, { emailVerified });
+
             // Check if user is approved
             if (!user.is_approved) {
                 console.log(`User ${user.id} (${email}) is not approved`);
-                return done(new Error('Account pending approval'), null);
+                const block = accountApprovalService.signInBlock(user);
+                const approvalError = new Error(block.message);
+                approvalError.approval = block.approval; // Pending or rejected, with the reason
+                return done(approvalError, null);
             }
 
             console.log(`Google OAuth successful for user ${user.id} (${email})`);
@@ -0,0 +1,133 @@
+/**
+ * Data explorer whitelist. Head admins can only browse the resources listed
+ * here; anything else is a 404.
+ *
+ * - `redact`: columns (or document fields) that never leave the database
+ * - `editable`: columns that may be changed; none means read-only
+ * - `deletable`: whether records may be deleted
+ * - `search`: columns matched by the search box
+ *
+ * Changes that have their own workflow (roles, account approval, forced
+ * password resets, proposal status, credits, event schedules) stay read-only
+ * here so that workflow's rules and history are not bypassed.
+ */
+
+// Redacted from every resource that has them
+const ALWAYS_REDACTED = ['password', 'reset_token', 'reset_token_expires'];
+
+const RESOURCES = {
+    users: {
+        source: 'mysql',
+        label: 'Users',
+        key: 'id',
+        redact: ['google_id'],
+        editable: [
+            'name',
+            'organization',
+            'organization_type',
+            'organization_description',
+            'phone_number',
+            'student_id',
+        ],
+        search: ['name', 'email'],
+    },
+    organizations: {
+        source: 'mysql',
+        label: 'Organizations',
+        key: 'id',
+        editable: ['name', 'description', 'contact_name', 'contact_email', 'contact_phone'],
+        search: ['name', 'contact_email'],
+    },
+    proposals: {
+        source: 'mysql',
+        label: 'Proposals',
+        key: 'id',
+        redact: ['digital_signature'],
+        search: ['organization_name', 'event_name', 'contact_email'],
+    },
+    proposal_status_history: {
+        source: 'mysql',
+        label: 'Proposal status history',
+        key: 'id',
+        search: ['to_status'],
+    },
+    events: {
+        source: 'mysql',
+        label: 'Events',
+        key: 'id',
+        search: ['title', 'organization_name'],
+    },
+    venues: {
+        source: 'mysql',
+        label: 'Venues',
+        key: 'id',
+        editable: ['name', 'building', 'capacity', 'is_online', 'open_time', 'close_time', 'is_active'],
+        search: ['name', 'building'],
+    },
+    blackout_periods: {
+        source: 'mysql',
+        label: 'Blackout periods',
+        key: 'id',
+        editable: ['title', 'start_date', 'end_date', 'reason'],
+        search: ['title'],
+    },
+    event_registrations: {
+        source: 'mysql',
+        label: 'Event registrations',
+        key: 'id',
+        search: ['status'],
+    },
+    sdp_credit_ledger: {
+        source: 'mysql',
+        label: 'SDP credit ledger',
+        key: 'id',
+        search: ['entry_type', 'category'],
+    },
+    notifications: {
+        source: 'mysql',
+        label: 'Notifications',
+        key: 'id',
+        deletable: true,
+        search: ['title', 'type'],
+    },
+    email_outbox: {
+        source: 'mysql',
+        label: 'Email outbox',
+        key: 'id',
+        // Bodies carry password reset links
+        redact: ['html', 'text'],
+        search: ['to_email', 'subject', 'status'],
+    },
+    access_logs: {
+        source: 'mysql',
+        label: 'Access logs',
+        key: 'id',
+        search: ['action'],
+    },
+    proposal_documents: {
+        source: 'mongodb',
+        collection: 'proposals',
+        label: 'Proposals (MongoDB)',
+        key: '_id',
+        search: ['title'],
+    },
+    proposal_files: {
+        source: 'mongodb',
+        label: 'Proposal files (MongoDB)',
+        key: '_id',
+        search: ['organizationName'],
+    },
+    file_uploads: {
+        source: 'mongodb',
+        label: 'File uploads (MongoDB)',
+        key: '_id',
+        // The uploaded file itself
+        redact: ['data'],
+        search: ['filename', 'originalName'],
+    },
+};
+
+module.exports = {
+    ALWAYS_REDACTED,
+    RESOURCES,
+};
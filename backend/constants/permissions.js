@@ -0,0 +1,164 @@
+const ROLES = require('./roles');
+
+const { STUDENT, HEAD_ADMIN, MANAGER, PARTNER, REVIEWER } = ROLES;
+
+/**
+ * Permission registry. Routes and services ask for a permission, never for a
+ * role; `roles` are the default grants, which head admins can change
+ * (role_permissions table). `headAdminOnly` permissions can never be granted
+ * to another role. Mirrored in frontend/src/lib/permissions.js.
+ */
+const PERMISSIONS = {
+    'dashboard:admin': {
+        group: 'Dashboards',
+        label: 'Use the admin dashboard',
+        roles: [HEAD_ADMIN, MANAGER],
+    },
+    'dashboard:student': {
+        group: 'Dashboards',
+        label: 'Use the student dashboard',
+        roles: [STUDENT, PARTNER, REVIEWER],
+    },
+    'proposal:review': {
+        group: 'Proposals',
+        label: 'Review proposals: comment, approve, deny or return them',
+        roles: [HEAD_ADMIN, MANAGER, REVIEWER],
+    },
+    'proposal:assign': {
+        group: 'Proposals',
+        label: 'Assign reviewers to proposals',
+        roles: [HEAD_ADMIN, MANAGER],
+    },
+    'proposal:manage': {
+        group: 'Proposals',
+        label: 'Set any proposal status outside the review flow',
+        roles: [HEAD_ADMIN, MANAGER],
+    },
+    'report:review': {
+        group: 'Reports',
+        label: 'Review accomplishment reports',
+        roles: [HEAD_ADMIN, MANAGER, REVIEWER],
+    },
+    'report:rubric': {
+        group: 'Reports',
+        label: 'Edit the report review rubric',
+        roles: [HEAD_ADMIN, MANAGER],
+    },
+    'report:export': {
+        group: 'Reports',
+        label: 'Export proposal and event reports',
+        roles: [HEAD_ADMIN, MANAGER, REVIEWER],
+    },
+    'compliance:override': {
+        group: 'Reports',
+        label: 'Extend or waive report deadlines',
+        roles: [HEAD_ADMIN, MANAGER],
+    },
+    'event:manage': {
+        group: 'Events',
+        label: 'Reschedule, postpone or cancel any event and run its check-in, registration and attendance',
+        roles: [HEAD_ADMIN, MANAGER, REVIEWER],
+    },
+    'event:attend': {
+        group: 'Events',
+        label: 'Register for and check in to events',
+        roles: [STUDENT],
+    },
+    'schedule:view': {
+        group: 'Scheduling',
+        label: 'See schedule conflicts',
+        roles: [HEAD_ADMIN, MANAGER, REVIEWER],
+    },
+    'schedule:manage': {
+        group: 'Scheduling',
+        label: 'Manage blackout periods',
+        roles: [HEAD_ADMIN, MANAGER],
+    },
+    'venue:manage': {
+        group: 'Scheduling',
+        label: 'Manage the venue catalog',
+        roles: [HEAD_ADMIN, MANAGER],
+    },
+    'credit:view': {
+        group: 'SDP credits',
+        label: 'See every student\'s SDP credits',
+        roles: [HEAD_ADMIN, MANAGER, REVIEWER],
+    },
+    'credit:manage': {
+        group: 'SDP credits',
+        label: 'Award and adjust SDP credits',
+        roles: [HEAD_ADMIN, MANAGER],
+    },
+    'user:view': {
+        group: 'Accounts',
+        label: 'See every account',
+        roles: [HEAD_ADMIN, MANAGER],
+    },
+    'user:approve': {
+        group: 'Accounts',
+        label: 'Approve or reject account requests',
+        roles: [HEAD_ADMIN, MANAGER],
+    },
+    'user:manage': {
+        group: 'Accounts',
+        label: 'Create, edit and delete accounts',
+        roles: [HEAD_ADMIN],
+    },
+    'email:manage': {
+        group: 'System',
+        label: 'See and retry outgoing email',
+        roles: [HEAD_ADMIN, MANAGER],
+    },
+    'system:manage': {
+        group: 'System',
+        label: 'Inspect the MySQL and MongoDB databases',
+        roles: [HEAD_ADMIN, MANAGER],
+    },
+    'data:explore': {
+        group: 'System',
+        label: 'Browse records in the data explorer (sensitive columns stay hidden)',
+        roles: [HEAD_ADMIN],
+        headAdminOnly: true,
+    },
+    'data:write': {
+        group: 'System',
+        label: 'Edit and delete records in the data explorer',
+        roles: [HEAD_ADMIN],
+        headAdminOnly: true,
+    },
+    'permission:manage': {
+        group: 'System',
+        label: 'Change what each role may do',
+        roles: [HEAD_ADMIN],
+        headAdminOnly: true,
+    },
+};
+
+// Grants that cannot be revoked, so head admins never lock themselves out
+const LOCKED_GRANTS = {
+    [HEAD_ADMIN]: ['dashboard:admin', 'permission:manage'],
+};
+
+// Permissions only head admins may ever hold
+const HEAD_ADMIN_ONLY = Object.keys(PERMISSIONS).filter((permission) => PERMISSIONS[permission].headAdminOnly);
+
+/**
+ * Default grants per role, in registry order
+ * @returns {Object<string, string[]>}
+ */
+function defaultGrants() {
+    const grants = Object.fromEntries(Object.values(ROLES).map((role) => [role, []]));
+    for (const [permission, definition] of Object.entries(PERMISSIONS)) {
+        for (const role of definition.roles) {
+            grants[role].push(permission);
+        }
+    }
+    return grants;
+}
+
+module.exports = {
+    PERMISSIONS,
+    LOCKED_GRANTS,
+    HEAD_ADMIN_ONLY,
+    defaultGrants,
+};
@@ -0,0 +1,87 @@
+const accountApprovalService = require('../services/account-approval.service');
+
+// Map service errors (which carry statusCode) onto JSON responses
+const sendError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            ...(error.errors ? { errors: error.errors } : {}),
+        });
+    }
+
+    console.error(`❌ Account approvals: ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        message: error.message,
+    });
+};
+
+const listQueue = async (req, res) => {
+    try {
+        const queue = await accountApprovalService.listQueue(req.query);
+        res.json({ success: true, ...queue });
+    } catch (error) {
+        sendError(res, error, 'Failed to load the approval queue');
+    }
+};
+
+const decide = async (req, res) => {
+    try {
+        const result = await accountApprovalService.decide(req.body, req.user);
+        const verb = result.decision === 'approve' ? 'approved' : 'rejected';
+        res.json({
+            success: true,
+            ...result,
+            message: `${result.updated.length} account${result.updated.length === 1 ? '' : 's'} ${verb}`,
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to record the decision');
+    }
+};
+
+const listRules = async (req, res) => {
+    try {
+        const rules = await accountApprovalService.listRules();
+        res.json({ success: true, rules });
+    } catch (error) {
+        sendError(res, error, 'Failed to load auto-approval rules');
+    }
+};
+
+const createRule = async (req, res) => {
+    try {
+        const rule = await accountApprovalService.createRule(req.body, req.user);
+        res.status(201).json({ success: true, rule, message: 'Rule added' });
+    } catch (error) {
+        sendError(res, error, 'Failed to add the rule');
+    }
+};
+
+const updateRule = async (req, res) => {
+    try {
+        const rule = await accountApprovalService.updateRule(req.params.id, req.body);
+        res.json({ success: true, rule, message: 'Rule updated' });
+    } catch (error) {
+        sendError(res, error, 'Failed to update the rule');
+    }
+};
+
+const deleteRule = async (req, res) => {
+    try {
+        await accountApprovalService.deleteRule(req.params.id);
+        res.json({ success: true, message: 'Rule removed' });
+    } catch (error) {
+        sendError(res, error, 'Failed to remove the rule');
+    }
+};
+
+module.exports = {
+    listQueue,
+    decide,
+    listRules,
+    createRule,
+    updateRule,
+    deleteRule,
+};
@@ -0,0 +1,66 @@
+const attendanceImportService = require('../services/attendance-import.service');
+
+// Map service errors (which carry statusCode) onto JSON responses
+const sendError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            ...(error.headers ? { headers: error.headers } : {}),
+            ...(error.summary ? { summary: error.summary } : {}),
+        });
+    }
+
+    console.error(`❌ Attendance: ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        message: error.message,
+    });
+};
+
+// The header override arrives as a JSON string inside the multipart body
+const readMapping = (body = {}) => {
+    if (!body.mapping) return null;
+    if (typeof body.mapping === 'object') return body.mapping;
+    try {
+        return JSON.parse(body.mapping);
+    } catch (error) {
+        const invalid = new Error('mapping must be a JSON object of field → column header');
+        invalid.statusCode = 400;
+        throw invalid;
+    }
+};
+
+const previewImport = async (req, res) => {
+    try {
+        const preview = await attendanceImportService.previewImport(
+            req.params.proposalId,
+            req.file,
+            { mapping: readMapping(req.body) },
+            req.user
+        );
+        res.json({ success: true, ...preview });
+    } catch (error) {
+        sendError(res, error, 'Failed to read the attendance file');
+    }
+};
+
+const confirmImport = async (req, res) => {
+    try {
+        const result = await attendanceImportService.confirmImport(
+            req.params.proposalId,
+            req.file,
+            { mapping: readMapping(req.body) },
+            req.user
+        );
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to import the attendance file');
+    }
+};
+
+module.exports = {
+    previewImport,
+    confirmImport,
+};
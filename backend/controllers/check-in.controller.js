@@ -0,0 +1,66 @@
+const checkInService = require('../services/check-in.service');
+
+// Map service errors (which carry statusCode) onto JSON responses
+const sendError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            ...(error.opensAt ? { opensAt: error.opensAt } : {}),
+        });
+    }
+
+    console.error(`❌ Check-in: ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        message: error.message,
+    });
+};
+
+const checkIn = async (req, res) => {
+    try {
+        const { code, scannedAt } = req.body || {};
+        const result = await checkInService.checkIn(code, req.user, { scannedAt });
+        res.status(result.alreadyCheckedIn ? 200 : 201).json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to check in');
+    }
+};
+
+const listEvents = async (req, res) => {
+    try {
+        const events = await checkInService.listCheckInEvents(req.user);
+        res.json({ success: true, events });
+    } catch (error) {
+        sendError(res, error, 'Failed to load check-in events');
+    }
+};
+
+const issueCode = async (req, res) => {
+    try {
+        const printable = req.query.printable === 'true' || req.query.printable === '1';
+        const code = await checkInService.issueCode(req.params.proposalId, req.user, { printable });
+        // Codes expire; never let a proxy or the browser reuse one
+        res.setHeader('Cache-Control', 'no-store');
+        res.json({ success: true, ...code });
+    } catch (error) {
+        sendError(res, error, 'Failed to issue a check-in code');
+    }
+};
+
+const getRoster = async (req, res) => {
+    try {
+        const roster = await checkInService.getRoster(req.params.proposalId, req.user);
+        res.json({ success: true, ...roster });
+    } catch (error) {
+        sendError(res, error, 'Failed to load the check-in roster');
+    }
+};
+
+module.exports = {
+    checkIn,
+    listEvents,
+    issueCode,
+    getRoster,
+};
@@ -0,0 +1,152 @@
+const complianceService = require('../services/compliance.service');
+const deadlineService = require('../services/compliance-deadline.service');
+
+// Map service errors (which carry statusCode) onto JSON responses
+const sendError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            ...(error.errors ? { errors: error.errors } : {}),
+        });
+    }
+
+    console.error(`❌ Compliance: ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        message: error.message,
+    });
+};
+
+const listCompliance = async (req, res) => {
+    try {
+        const result = await complianceService.listCompliance(req.user, { status: req.query.status });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to load compliance records');
+    }
+};
+
+const listOverdue = async (req, res) => {
+    try {
+        const items = await complianceService.listOverdue(req.user);
+        res.json({ success: true, items });
+    } catch (error) {
+        sendError(res, error, 'Failed to load overdue compliance records');
+    }
+};
+
+const getStats = async (req, res) => {
+    try {
+        const stats = await complianceService.getComplianceStats(req.user);
+        res.json({ success: true, stats });
+    } catch (error) {
+        sendError(res, error, 'Failed to load compliance statistics');
+    }
+};
+
+const getCompliance = async (req, res) => {
+    try {
+        const compliance = await complianceService.getCompliance(req.params.proposalId, req.user);
+        res.json({ success: true, compliance });
+    } catch (error) {
+        sendError(res, error, 'Failed to load the compliance record');
+    }
+};
+
+const uploadDocuments = async (req, res) => {
+    try {
+        const compliance = await complianceService.uploadDocuments(
+            req.params.proposalId,
+            req.files,
+            req.body.documentTypes,
+            req.user
+        );
+        res.json({ success: true, compliance });
+    } catch (error) {
+        sendError(res, error, 'Failed to upload compliance documents');
+    }
+};
+
+const downloadDocument = async (req, res) => {
+    try {
+        const file = await complianceService.getDocumentFile(req.params.documentId, req.user);
+        res.download(file.path, file.fileName, (error) => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ success: false, error: 'The file is no longer available' });
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to download the document');
+    }
+};
+
+const setStatus = async (req, res) => {
+    try {
+        const compliance = await complianceService.setComplianceStatus(req.params.proposalId, req.body || {}, req.user);
+        res.json({ success: true, compliance });
+    } catch (error) {
+        sendError(res, error, 'Failed to update the compliance status');
+    }
+};
+
+const listDeadlines = async (req, res) => {
+    try {
+        const result = await deadlineService.listDeadlines(req.user, { status: req.query.status });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to load compliance deadlines');
+    }
+};
+
+const runCheck = async (req, res) => {
+    try {
+        const summary = await deadlineService.triggerComplianceCheck(req.user);
+        res.json({ success: true, summary });
+    } catch (error) {
+        sendError(res, error, 'Failed to run the compliance deadline check');
+    }
+};
+
+const listOverrides = async (req, res) => {
+    try {
+        const overrides = await deadlineService.listOverrides(req.user);
+        res.json({ success: true, overrides });
+    } catch (error) {
+        sendError(res, error, 'Failed to load compliance overrides');
+    }
+};
+
+const grantOverride = async (req, res) => {
+    try {
+        const override = await deadlineService.grantOverride(req.body || {}, req.user);
+        res.status(201).json({ success: true, override });
+    } catch (error) {
+        sendError(res, error, 'Failed to grant the override');
+    }
+};
+
+const revokeOverride = async (req, res) => {
+    try {
+        await deadlineService.revokeOverride(req.params.id, req.user);
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error, 'Failed to revoke the override');
+    }
+};
+
+module.exports = {
+    listCompliance,
+    listOverdue,
+    getStats,
+    getCompliance,
+    uploadDocuments,
+    downloadDocument,
+    setStatus,
+    listDeadlines,
+    runCheck,
+    listOverrides,
+    grantOverride,
+    revokeOverride,
+};
@@ -0,0 +1,87 @@
+const dataExplorerService = require('../services/data-explorer.service');
+
+// Map service errors (which carry statusCode) onto JSON responses
+const sendError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            ...(error.errors ? { errors: error.errors } : {}),
+        });
+    }
+
+    console.error(`❌ Data explorer: ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        message: error.message,
+    });
+};
+
+const listResources = (req, res) => {
+    try {
+        res.json({ success: true, ...dataExplorerService.listResources(req.user) });
+    } catch (error) {
+        sendError(res, error, 'Failed to load data explorer resources');
+    }
+};
+
+const listAudit = async (req, res) => {
+    try {
+        const audit = await dataExplorerService.listAudit(req.query, req.user);
+        res.json({ success: true, ...audit });
+    } catch (error) {
+        sendError(res, error, 'Failed to load the data explorer audit log');
+    }
+};
+
+const listRecords = async (req, res) => {
+    try {
+        const page = await dataExplorerService.listRecords(req.params.resource, req.query, req.user);
+        res.json({ success: true, ...page });
+    } catch (error) {
+        sendError(res, error, 'Failed to load records');
+    }
+};
+
+const getRecord = async (req, res) => {
+    try {
+        const result = await dataExplorerService.getRecord(req.params.resource, req.params.id, req.user);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to load record');
+    }
+};
+
+const updateRecord = async (req, res) => {
+    try {
+        const record = await dataExplorerService.updateRecord(
+            req.params.resource,
+            req.params.id,
+            req.body?.changes,
+            req.body?.reason,
+            req.user
+        );
+        res.json({ success: true, record, message: 'Record updated' });
+    } catch (error) {
+        sendError(res, error, 'Failed to update record');
+    }
+};
+
+const deleteRecord = async (req, res) => {
+    try {
+        const record = await dataExplorerService.deleteRecord(req.params.resource, req.params.id, req.body?.reason, req.user);
+        res.json({ success: true, record, message: 'Record deleted' });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete record');
+    }
+};
+
+module.exports = {
+    listResources,
+    listAudit,
+    listRecords,
+    getRecord,
+    updateRecord,
+    deleteRecord,
+};
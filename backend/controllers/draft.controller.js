@@ -0,0 +1,92 @@
+const draftService = require('../services/draft.service');
+
+// Map service errors (which carry statusCode) onto JSON responses
+const sendError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            errors: error.errors,
+            sections: error.sections,
+            currentVersion: error.currentVersion,
+            proposalId: error.proposalId,
+            overdueReports: error.overdueReports,
+        });
+    }
+
+    console.error(`❌ Drafts: ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        message: error.message,
+    });
+};
+
+// Version the client last saw, from the `If-Match` header or `?version=`
+const readExpectedVersion = (req) => {
+    const raw = req.get('If-Match') || req.query.version;
+    if (raw === undefined || raw === null || raw === '') return null;
+    const version = parseInt(String(raw).replace(/"/g, ''), 10);
+    return Number.isNaN(version) ? null : version;
+};
+
+const createDraft = async (req, res) => {
+    try {
+        const draft = await draftService.createDraft(req.user);
+        res.status(201).json({ success: true, draftId: draft.draftId, draft });
+    } catch (error) {
+        sendError(res, error, 'Failed to create draft');
+    }
+};
+
+const listDrafts = async (req, res) => {
+    try {
+        const drafts = await draftService.listDrafts(req.user, req.query);
+        res.json({ success: true, drafts, total: drafts.length });
+    } catch (error) {
+        sendError(res, error, 'Failed to list drafts');
+    }
+};
+
+const getDraft = async (req, res) => {
+    try {
+        const draft = await draftService.getDraft(req.params.id, req.user);
+        res.set('ETag', `"${draft.version}"`);
+        res.json(draft);
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch draft');
+    }
+};
+
+const updateSection = async (req, res) => {
+    try {
+        const { id, section } = req.params;
+        const draft = await draftService.updateSection(id, req.user, section, req.body, readExpectedVersion(req));
+        res.set('ETag', `"${draft.version}"`);
+        res.json({ success: true, draft });
+    } catch (error) {
+        sendError(res, error, 'Failed to update draft');
+    }
+};
+
+const submitDraft = async (req, res) => {
+    try {
+        const { proposalId, draft } = await draftService.submitDraft(req.params.id, req.user);
+        res.status(201).json({
+            success: true,
+            message: 'Proposal submitted for review',
+            proposalId,
+            draft,
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to submit draft');
+    }
+};
+
+module.exports = {
+    createDraft,
+    listDrafts,
+    getDraft,
+    updateSection,
+    submitDraft,
+};
@@ -0,0 +1,73 @@
+const emailService = require('../services/email.service');
+
+// Map service errors (which carry statusCode) onto JSON responses
+const sendError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            ...(error.allowed ? { allowed: error.allowed } : {}),
+        });
+    }
+
+    console.error(`❌ Email: ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        message: error.message,
+    });
+};
+
+const getPreferences = async (req, res) => {
+    try {
+        const preferences = await emailService.getPreferences(req.user.id);
+        res.json({ success: true, preferences });
+    } catch (error) {
+        sendError(res, error, 'Failed to load email preferences');
+    }
+};
+
+const updatePreferences = async (req, res) => {
+    try {
+        const preferences = await emailService.updatePreferences(req.user.id, req.body.preferences);
+        res.json({ success: true, preferences });
+    } catch (error) {
+        sendError(res, error, 'Failed to update email preferences');
+    }
+};
+
+const listOutbox = async (req, res) => {
+    try {
+        const { status, template, limit, offset } = req.query;
+        const result = await emailService.listOutbox({ status, template, limit, offset });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to load the email outbox');
+    }
+};
+
+const retryEmail = async (req, res) => {
+    try {
+        const email = await emailService.retryEmail(req.params.id);
+        res.json({ success: true, email });
+    } catch (error) {
+        sendError(res, error, 'Failed to retry email');
+    }
+};
+
+const processOutbox = async (req, res) => {
+    try {
+        const summary = await emailService.processOutbox();
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        sendError(res, error, 'Failed to process the email outbox');
+    }
+};
+
+module.exports = {
+    getPreferences,
+    updatePreferences,
+    listOutbox,
+    retryEmail,
+    processOutbox,
+};
@@ -0,0 +1,98 @@
+const eventService = require('../services/event.service');
+
+// Map service errors (which carry statusCode) onto JSON responses
+const sendError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            ...(error.errors ? { errors: error.errors } : {}),
+            ...(error.allowed ? { allowed: error.allowed } : {}),
+            ...(error.conflicts ? { conflicts: error.conflicts } : {}),
+            ...(error.eventId ? { eventId: error.eventId } : {}),
+        });
+    }
+
+    console.error(`❌ Events: ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        message: error.message,
+    });
+};
+
+const listEvents = async (req, res) => {
+    try {
+        const events = await eventService.listEvents(req.user, {
+            status: req.query.status,
+            mine: req.query.mine === 'true',
+        });
+        res.json({ success: true, events, count: events.length });
+    } catch (error) {
+        sendError(res, error, 'Failed to load events');
+    }
+};
+
+const getEvent = async (req, res) => {
+    try {
+        const result = await eventService.getEvent(req.params.id, req.user);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to load the event');
+    }
+};
+
+const getHistory = async (req, res) => {
+    try {
+        const result = await eventService.getHistory(req.params.id, req.user);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to load the event history');
+    }
+};
+
+const createEvent = async (req, res) => {
+    try {
+        const event = await eventService.createEvent(req.body || {}, req.user);
+        res.status(201).json({ success: true, event });
+    } catch (error) {
+        sendError(res, error, 'Failed to create the event');
+    }
+};
+
+const reschedule = async (req, res) => {
+    try {
+        const result = await eventService.reschedule(req.params.id, req.body || {}, req.user);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to reschedule the event');
+    }
+};
+
+const postpone = async (req, res) => {
+    try {
+        const result = await eventService.postpone(req.params.id, req.body || {}, req.user);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to postpone the event');
+    }
+};
+
+const cancel = async (req, res) => {
+    try {
+        const result = await eventService.cancel(req.params.id, req.body || {}, req.user);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to cancel the event');
+    }
+};
+
+module.exports = {
+    listEvents,
+    getEvent,
+    getHistory,
+    createEvent,
+    reschedule,
+    postpone,
+    cancel,
+};
@@ -0,0 +1,59 @@
+const notificationService = require('../services/notification.service');
+
+// Map service errors (which carry statusCode) onto JSON responses
+const sendError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
+    console.error(`❌ Notifications: ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        message: error.message,
+    });
+};
+
+const listNotifications = async (req, res) => {
+    try {
+        const { status, type, limit, offset } = req.query;
+        const result = await notificationService.listNotifications(req.user.id, { status, type, limit, offset });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to load notifications');
+    }
+};
+
+const getUnreadCount = async (req, res) => {
+    try {
+        const unreadCount = await notificationService.getUnreadCount(req.user.id);
+        res.json({ success: true, unreadCount });
+    } catch (error) {
+        sendError(res, error, 'Failed to count notifications');
+    }
+};
+
+const markAsRead = async (req, res) => {
+    try {
+        const unreadCount = await notificationService.markAsRead(req.user.id, req.params.id);
+        res.json({ success: true, unreadCount });
+    } catch (error) {
+        sendError(res, error, 'Failed to mark notification as read');
+    }
+};
+
+const markAllAsRead = async (req, res) => {
+    try {
+        const updated = await notificationService.markAllAsRead(req.user.id);
+        res.json({ success: true, updated, unreadCount: 0 });
+    } catch (error) {
+        sendError(res, error, 'Failed to mark notifications as read');
+    }
+};
+
+module.exports = {
+    listNotifications,
+    getUnreadCount,
+    markAsRead,
+    markAllAsRead,
+};
@@ -0,0 +1,48 @@
+const permissionService = require('../services/permission.service');
+
+// Map service errors (which carry statusCode) onto JSON responses
+const sendError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            ...(error.errors ? { errors: error.errors } : {}),
+        });
+    }
+
+    console.error(`❌ Permissions: ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        message: error.message,
+    });
+};
+
+const listGrants = async (req, res) => {
+    try {
+        const grants = await permissionService.listGrants();
+        res.json({ success: true, ...grants });
+    } catch (error) {
+        sendError(res, error, 'Failed to load role permissions');
+    }
+};
+
+// The permissions of the signed-in user, as enforced right now
+const listOwnPermissions = (req, res) => {
+    res.json({ success: true, role: req.user.role, permissions: permissionService.permissionsFor(req.user.role) });
+};
+
+const updateRoleGrants = async (req, res) => {
+    try {
+        const permissions = await permissionService.setRoleGrants(req.params.role, req.body?.permissions, req.user);
+        res.json({ success: true, role: req.params.role, permissions });
+    } catch (error) {
+        sendError(res, error, 'Failed to update role permissions');
+    }
+};
+
+module.exports = {
+    listGrants,
+    listOwnPermissions,
+    updateRoleGrants,
+};
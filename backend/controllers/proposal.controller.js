@@ -3,6 +3,8 @@ const fileService = require('../services/file.service');
 const { validationResult } = require("express-validator");
 const fs = require("fs");
 const { pool } = require('../config/db');
+const { getStatusHistory } = require('../services/proposal-lifecycle.service');
+const { hasPermission } = require('../services/permission.service');
 
 const saveSection2Data = async (req, res) => {
     try {
@@ -33,7 +35,7 @@ const saveSection2Data = async (req, res) => {
 const saveSection2OrgData = async (req, res) => {
     try {
         console.log('📥 MySQL: Received Section 2 organization data:', req.body);
-        const result = await proposalService.saveSection2OrgData(req.body);
+        const result = await proposalService.saveSection2OrgData(req.body, req.user);
         const responseData = {
             id: result.id,
             message: 'Section 2 organization data saved successfully to MySQL',
@@ -47,7 +49,8 @@ const saveSection2OrgData = async (req, res) => {
         }
     } catch (error) {
         console.error('❌ MySQL: Error saving Section 2 data:', error);
-        const statusCode = error.message === 'Proposal not found' ? 404 : 500;
+        // Lifecycle errors (e.g. 409 for overdue reports) carry their own status
+        const statusCode = error.statusCode || (error.message === 'Proposal not found' ? 404 : 500);
         res.status(statusCode).json({
             error: 'Database error',
             message: error.message,
@@ -87,7 +90,7 @@ const saveSection3EventData = async (req, res) => {
         }
 
         console.log('📥 MySQL SECTION 3: Processed event data being saved to MySQL:', req.body);
-        const result = await proposalService.saveSection3EventData(req.body);
+        const result = await proposalService.saveSection3EventData(req.body, req.user);
 
         console.log('✅ MySQL SECTION 3: Successfully saved to MySQL:', {
             id: result.id,
@@ -121,7 +124,7 @@ const saveSection3EventData = async (req, res) => {
             requestBody: req.body,
             hasFiles: !!(req.files && Object.keys(req.files).length > 0)
         });
-        const statusCode = error.message.includes('not found') ? 404 : 500;
+        const statusCode = error.statusCode || (error.message.includes('not found') ? 404 : 500);
         res.status(statusCode).json({
             error: 'Database error',
             message: error.message,
@@ -324,6 +327,45 @@ const getProposalById = async (req, res) => {
     }
 };
 
+const getProposalHistory = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [rows] = await pool.query(
+            'SELECT id, userId, proposal_status, report_status FROM proposals WHERE id = ?',
+            [id]
+        );
+
+        if (rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Proposal not found' });
+        }
+
+        const proposal = rows[0];
+        const isOwner = proposal.userId !== null && String(proposal.userId) === String(req.user.id);
+        // Reviewers read any proposal's audit trail; students only their own
+        if (!isOwner && !hasPermission(req.user, 'proposal:review')) {
+            return res.status(403).json({ success: false, error: 'Not authorized to view this proposal' });
+        }
+
+        const history = await getStatusHistory(id);
+
+        res.json({
+            success: true,
+            proposalId: proposal.id,
+            proposalStatus: proposal.proposal_status,
+            reportStatus: proposal.report_status,
+            history
+        });
+    } catch (error) {
+        console.error('❌ MySQL: Error fetching proposal history:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Database error',
+            message: error.message
+        });
+    }
+};
+
 const updateProposal = async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -749,6 +791,7 @@ module.exports = {
     createProposal,
     getProposals,
     getProposalById,
+    getProposalHistory,
     updateProposal,
     deleteProposal,
     addDocuments,
@@ -0,0 +1,100 @@
+const registrationService = require('../services/registration.service');
+
+// Map service errors (which carry statusCode) onto JSON responses
+const sendError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            ...(error.missing ? { missing: error.missing } : {}),
+            ...(error.allowed ? { allowed: error.allowed } : {}),
+            ...(error.deadline ? { deadline: error.deadline } : {}),
+        });
+    }
+
+    console.error(`❌ Registration: ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        message: error.message,
+    });
+};
+
+const listOpenEvents = async (req, res) => {
+    try {
+        const events = await registrationService.listOpenEvents(req.user);
+        res.json({ success: true, events });
+    } catch (error) {
+        sendError(res, error, 'Failed to load events open for registration');
+    }
+};
+
+const register = async (req, res) => {
+    try {
+        const result = await registrationService.register(req.params.proposalId, req.user, req.body || {});
+        res.status(201).json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to register for the event');
+    }
+};
+
+const cancel = async (req, res) => {
+    try {
+        const result = await registrationService.cancel(req.params.proposalId, req.user);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to cancel the registration');
+    }
+};
+
+const getSettings = async (req, res) => {
+    try {
+        const result = await registrationService.getSettings(req.params.proposalId, req.user);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to load registration settings');
+    }
+};
+
+const updateSettings = async (req, res) => {
+    try {
+        const result = await registrationService.updateSettings(req.params.proposalId, req.body || {}, req.user);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to save registration settings');
+    }
+};
+
+const listRegistrants = async (req, res) => {
+    try {
+        const result = await registrationService.listRegistrants(req.params.proposalId, req.user, {
+            status: req.query.status,
+        });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to load registrants');
+    }
+};
+
+const exportRegistrants = async (req, res) => {
+    try {
+        const { filename, csv } = await registrationService.exportRegistrants(req.params.proposalId, req.user, {
+            status: req.query.status || 'registered',
+        });
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(csv);
+    } catch (error) {
+        sendError(res, error, 'Failed to export registrants');
+    }
+};
+
+module.exports = {
+    listOpenEvents,
+    register,
+    cancel,
+    getSettings,
+    updateSettings,
+    listRegistrants,
+    exportRegistrants,
+};
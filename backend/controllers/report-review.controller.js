@@ -0,0 +1,115 @@
+const reportReviewService = require('../services/report-review.service');
+
+// Map service errors (which carry statusCode) onto JSON responses
+const sendError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            ...(error.errors ? { errors: error.errors } : {}),
+            ...(error.allowed ? { allowed: error.allowed } : {}),
+        });
+    }
+
+    console.error(`❌ Report Reviews: ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        message: error.message,
+    });
+};
+
+// Route + method stored in proposal_status_history.source
+const sourceOf = (req) => `${req.method} ${req.baseUrl}${req.route.path}`;
+
+const listQueue = async (req, res) => {
+    try {
+        const reports = await reportReviewService.listReviewQueue(req.user, { status: req.query.status });
+        res.json({ success: true, reports });
+    } catch (error) {
+        sendError(res, error, 'Failed to load reports to review');
+    }
+};
+
+const listRubric = async (req, res) => {
+    try {
+        const criteria = await reportReviewService.listCriteria({ includeInactive: req.query.includeInactive === 'true' });
+        res.json({ success: true, criteria });
+    } catch (error) {
+        sendError(res, error, 'Failed to load the review rubric');
+    }
+};
+
+const createCriterion = async (req, res) => {
+    try {
+        const criterion = await reportReviewService.createCriterion(req.body || {}, req.user);
+        res.status(201).json({ success: true, criterion });
+    } catch (error) {
+        sendError(res, error, 'Failed to add the rubric item');
+    }
+};
+
+const updateCriterion = async (req, res) => {
+    try {
+        const criterion = await reportReviewService.updateCriterion(req.params.criterionId, req.body || {}, req.user);
+        res.json({ success: true, criterion });
+    } catch (error) {
+        sendError(res, error, 'Failed to update the rubric item');
+    }
+};
+
+const retireCriterion = async (req, res) => {
+    try {
+        await reportReviewService.retireCriterion(req.params.criterionId, req.user);
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error, 'Failed to remove the rubric item');
+    }
+};
+
+const getReport = async (req, res) => {
+    try {
+        const report = await reportReviewService.getReportReview(req.params.proposalId, req.user);
+        res.json({ success: true, report });
+    } catch (error) {
+        sendError(res, error, 'Failed to load the report');
+    }
+};
+
+const downloadFile = async (req, res) => {
+    try {
+        const file = await reportReviewService.getReportFile(req.params.proposalId, req.params.document, req.user);
+        res.download(file.path, file.fileName, (error) => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ success: false, error: 'The file is no longer available' });
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to download the report file');
+    }
+};
+
+const submitReview = async (req, res) => {
+    try {
+        const report = await reportReviewService.submitReportReview(
+            req.params.proposalId,
+            req.user,
+            req.body || {},
+            { source: sourceOf(req) }
+        );
+        res.json({ success: true, report });
+    } catch (error) {
+        sendError(res, error, 'Failed to submit the report review');
+    }
+};
+
+module.exports = {
+    listQueue,
+    listRubric,
+    createCriterion,
+    updateCriterion,
+    retireCriterion,
+    getReport,
+    downloadFile,
+    submitReview,
+};
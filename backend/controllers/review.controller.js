@@ -0,0 +1,120 @@
+const reviewService = require('../services/review.service');
+
+// Map service errors (which carry statusCode) onto JSON responses
+const sendError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            errors: error.errors,
+            allowed: error.allowed,
+            outstanding: error.outstanding,
+            conflicts: error.conflicts,
+        });
+    }
+
+    console.error(`❌ Reviews: ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        message: error.message,
+    });
+};
+
+// Route + method stored in proposal_status_history.source
+const sourceOf = (req) => `${req.method} ${req.baseUrl}${req.route.path}`;
+
+const listComments = async (req, res) => {
+    try {
+        const comments = await reviewService.listComments(req.params.id, req.user);
+        res.json({ success: true, comments });
+    } catch (error) {
+        sendError(res, error, 'Failed to load comments');
+    }
+};
+
+const addComment = async (req, res) => {
+    try {
+        const comment = await reviewService.addComment(req.params.id, req.user, req.body || {});
+        res.status(201).json({ success: true, comment });
+    } catch (error) {
+        sendError(res, error, 'Failed to add comment');
+    }
+};
+
+const submitReview = async (req, res) => {
+    try {
+        const data = await reviewService.submitReview(req.params.id, req.user, req.body || {}, { source: sourceOf(req) });
+        res.json({ success: true, message: `Proposal ${data.status.replace('_', ' ')}`, data });
+    } catch (error) {
+        sendError(res, error, 'Failed to submit review');
+    }
+};
+
+const getDetails = async (req, res) => {
+    try {
+        const data = await reviewService.getProposalDetails(req.params.id, req.user);
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error, 'Failed to load proposal details');
+    }
+};
+
+const updateStatus = async (req, res) => {
+    try {
+        const transition = await reviewService.updateStatus(req.params.id, req.user, req.body || {}, { source: sourceOf(req) });
+        res.json({
+            success: true,
+            data: {
+                proposalId: transition.proposalId,
+                status: transition.to,
+                previousStatus: transition.from,
+                updatedAt: transition.changedAt,
+            },
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to update status');
+    }
+};
+
+const requestDocumentation = async (req, res) => {
+    try {
+        const request = await reviewService.requestDocumentation(req.params.id, req.user, req.body || {}, { source: sourceOf(req) });
+        res.status(201).json({ success: true, request });
+    } catch (error) {
+        sendError(res, error, 'Failed to request documentation');
+    }
+};
+
+const listDocumentationRequests = async (req, res) => {
+    try {
+        const requests = await reviewService.listDocumentationRequests(req.params.id, req.user);
+        res.json({ success: true, requests });
+    } catch (error) {
+        sendError(res, error, 'Failed to load documentation requests');
+    }
+};
+
+const submitDocumentationItem = async (req, res) => {
+    try {
+        const { id, requestId, itemId } = req.params;
+        const request = await reviewService.submitDocumentationItem(id, req.user, requestId, itemId, {
+            note: req.body && req.body.note,
+            file: req.file,
+        });
+        res.json({ success: true, request });
+    } catch (error) {
+        sendError(res, error, 'Failed to submit documentation');
+    }
+};
+
+module.exports = {
+    listComments,
+    addComment,
+    submitReview,
+    getDetails,
+    updateStatus,
+    requestDocumentation,
+    listDocumentationRequests,
+    submitDocumentationItem,
+};
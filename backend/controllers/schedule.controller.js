@@ -0,0 +1,94 @@
+const scheduleService = require('../services/schedule-conflict.service');
+
+// Map service errors (which carry statusCode) onto JSON responses
+const sendError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            ...(error.errors ? { errors: error.errors } : {}),
+        });
+    }
+
+    console.error(`❌ Schedule: ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        message: error.message,
+    });
+};
+
+const checkConflicts = async (req, res) => {
+    try {
+        // Whether the venue is online is looked up, never taken from the form
+        const { venueOnline, ...slot } = req.body || {};
+        const result = await scheduleService.checkConflicts(slot);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to check schedule conflicts');
+    }
+};
+
+const getProposalConflicts = async (req, res) => {
+    try {
+        const result = await scheduleService.checkProposalConflicts(req.params.id);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to check schedule conflicts');
+    }
+};
+
+const listPendingConflicts = async (req, res) => {
+    try {
+        const conflicts = await scheduleService.listPendingConflicts();
+        res.json({ success: true, conflicts });
+    } catch (error) {
+        sendError(res, error, 'Failed to load review queue conflicts');
+    }
+};
+
+const listBlackouts = async (req, res) => {
+    try {
+        const blackouts = await scheduleService.listBlackouts({ from: req.query.from });
+        res.json({ success: true, blackouts });
+    } catch (error) {
+        sendError(res, error, 'Failed to load blackout periods');
+    }
+};
+
+const createBlackout = async (req, res) => {
+    try {
+        const blackout = await scheduleService.createBlackout(req.body || {}, req.user);
+        res.status(201).json({ success: true, blackout });
+    } catch (error) {
+        sendError(res, error, 'Failed to create blackout period');
+    }
+};
+
+const updateBlackout = async (req, res) => {
+    try {
+        const blackout = await scheduleService.updateBlackout(req.params.id, req.body || {});
+        res.json({ success: true, blackout });
+    } catch (error) {
+        sendError(res, error, 'Failed to update blackout period');
+    }
+};
+
+const deleteBlackout = async (req, res) => {
+    try {
+        await scheduleService.deleteBlackout(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete blackout period');
+    }
+};
+
+module.exports = {
+    checkConflicts,
+    getProposalConflicts,
+    listPendingConflicts,
+    listBlackouts,
+    createBlackout,
+    updateBlackout,
+    deleteBlackout,
+};
@@ -0,0 +1,97 @@
+const sdpCreditService = require('../services/sdp-credit.service');
+
+// Map service errors (which carry statusCode) onto JSON responses
+const sendError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            ...(error.errors ? { errors: error.errors } : {}),
+        });
+    }
+
+    console.error(`❌ SDP: ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        message: error.message,
+    });
+};
+
+// /me routes resolve to the signed-in student
+const studentId = (req) => (req.params.userId === undefined ? req.user.id : req.params.userId);
+
+const getStudentSummary = async (req, res) => {
+    try {
+        const summary = await sdpCreditService.getStudentSummary(studentId(req), req.user);
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        sendError(res, error, 'Failed to load SDP credits');
+    }
+};
+
+const downloadTranscript = async (req, res) => {
+    try {
+        const { filename, csv } = await sdpCreditService.buildTranscriptCsv(studentId(req), req.user);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(csv);
+    } catch (error) {
+        sendError(res, error, 'Failed to build the credit transcript');
+    }
+};
+
+const listStudentTotals = async (req, res) => {
+    try {
+        const students = await sdpCreditService.listStudentTotals({ search: req.query.search });
+        res.json({ success: true, students });
+    } catch (error) {
+        sendError(res, error, 'Failed to load student credit totals');
+    }
+};
+
+const adjustCredits = async (req, res) => {
+    try {
+        const adjustment = await sdpCreditService.adjustCredits(req.params.userId, req.body || {}, req.user);
+        res.status(201).json({ success: true, adjustment });
+    } catch (error) {
+        sendError(res, error, 'Failed to record the credit adjustment');
+    }
+};
+
+const listEvents = async (req, res) => {
+    try {
+        const events = await sdpCreditService.listCreditedEvents(req.user);
+        res.json({ success: true, events });
+    } catch (error) {
+        sendError(res, error, 'Failed to load events');
+    }
+};
+
+const getEventParticipants = async (req, res) => {
+    try {
+        const participants = await sdpCreditService.getEventParticipants(req.params.proposalId, req.user);
+        res.json({ success: true, participants });
+    } catch (error) {
+        sendError(res, error, 'Failed to load event participants');
+    }
+};
+
+const awardEventCredits = async (req, res) => {
+    try {
+        const result = await sdpCreditService.reawardEventCredits(req.params.proposalId, req.user);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to award event credits');
+    }
+};
+
+module.exports = {
+    getStudentSummary,
+    downloadTranscript,
+    listStudentTotals,
+    adjustCredits,
+    listEvents,
+    getEventParticipants,
+    awardEventCredits,
+};
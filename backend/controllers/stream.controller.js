@@ -0,0 +1,21 @@
+const liveStream = require('../services/live-stream.service');
+
+/**
+ * GET /api/stream
+ * Holds the connection open and pushes proposal, report and notification
+ * events scoped to the authenticated user's role.
+ */
+const openStream = (req, res) => {
+    try {
+        liveStream.subscribe(req, res, req.user);
+    } catch (error) {
+        console.error('❌ Live stream: failed to open stream:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, error: 'Failed to open live stream', message: error.message });
+        }
+    }
+};
+
+module.exports = {
+    openStream,
+};
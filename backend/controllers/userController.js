@@ -2,6 +2,7 @@ const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const { pool } = require("../config/db");
 const User = require("../models/User");
+const { permissionsFor } = require("../services/permission.service");
 
 // --- Role Definitions ---
 const ROLES = {
@@ -40,60 +41,6 @@ module.exports = {
                 return res.status(404).json({ message: "User not found" });
             }
 
-            const roleAccess = {
-                [ROLES.STUDENT]: {
-                    dashboard: "/student-dashboard",
-                    permissions: [
-                        "view_own_profile",
-                        "submit_requests",
-                        "view_own_requests",
-                    ],
-                },
-                [ROLES.HEAD_ADMIN]: {
-                    dashboard: "/admin-dashboard",
-                    permissions: [
-                        "view_all_users",
-                        "manage_users",
-                        "view_all_requests",
-                        "manage_system",
-                        "approve_students",
-                        "view_all_proposals",
-                        "manage_all_proposals",
-                        "assign_reviewers",
-                        "manage_reviews",
-                    ],
-                },
-                [ROLES.MANAGER]: {
-                    dashboard: "/admin-dashboard",
-                    permissions: [
-                        "view_student_requests",
-                        "manage_student_requests",
-                        "view_own_profile",
-                        "approve_students",
-                        "view_all_proposals",
-                        "manage_all_proposals",
-                        "assign_reviewers",
-                        "manage_reviews",
-                    ],
-                },
-                [ROLES.PARTNER]: {
-                    dashboard: "/student-dashboard",
-                    permissions: [
-                        "view_own_profile",
-                        "submit_requests",
-                        "view_own_requests",
-                    ],
-                },
-                [ROLES.REVIEWER]: {
-                    dashboard: "/admin-dashboard",
-                    permissions: [
-                        "view_all_proposals",
-                        "view_assigned_proposals",
-                        "submit_reviews",
-                    ],
-                },
-            };
-
             res.json({
                 user: {
                     id: user.id,
@@ -109,8 +56,8 @@ module.exports = {
                     createdAt: user.created_at,
                     organizationDescription: user.organization_description || "",
                     contactPhone: user.phone_number || "",
-                    dashboard: roleAccess[user.role]?.dashboard,
-                    permissions: roleAccess[user.role]?.permissions,
+                    dashboard: [ROLES.STUDENT, ROLES.PARTNER].includes(user.role) ? "/student-dashboard" : "/admin-dashboard",
+                    permissions: permissionsFor(user.role),
                 },
                 ...(user.password_reset_required && {
                     passwordInfo: {
@@ -0,0 +1,99 @@
+const venueService = require('../services/venue.service');
+
+// Map service errors (which carry statusCode) onto JSON responses
+const sendError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            ...(error.errors ? { errors: error.errors } : {}),
+        });
+    }
+
+    console.error(`❌ Venues: ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        message: error.message,
+    });
+};
+
+const listVenues = async (req, res) => {
+    try {
+        const venues = await venueService.listVenues({
+            search: req.query.search,
+            includeInactive: req.query.includeInactive === 'true',
+        });
+        res.json({ success: true, venues });
+    } catch (error) {
+        sendError(res, error, 'Failed to load venues');
+    }
+};
+
+const getVenue = async (req, res) => {
+    try {
+        const venue = await venueService.getVenue(req.params.id);
+        res.json({ success: true, venue });
+    } catch (error) {
+        sendError(res, error, 'Failed to load venue');
+    }
+};
+
+const getAvailability = async (req, res) => {
+    try {
+        const result = await venueService.getAvailability(req.params.id, req.query);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to check venue availability');
+    }
+};
+
+const createVenue = async (req, res) => {
+    try {
+        const venue = await venueService.createVenue(req.body || {});
+        res.status(201).json({ success: true, venue });
+    } catch (error) {
+        sendError(res, error, 'Failed to create venue');
+    }
+};
+
+const updateVenue = async (req, res) => {
+    try {
+        const venue = await venueService.updateVenue(req.params.id, req.body || {});
+        res.json({ success: true, venue });
+    } catch (error) {
+        sendError(res, error, 'Failed to update venue');
+    }
+};
+
+const deactivateVenue = async (req, res) => {
+    try {
+        await venueService.deactivateVenue(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error, 'Failed to remove venue');
+    }
+};
+
+const migrateFreeTextVenues = async (req, res) => {
+    try {
+        const { apply, threshold } = req.body || {};
+        const result = await venueService.migrateFreeTextVenues({
+            apply: apply === true,
+            ...(threshold ? { threshold: Number(threshold) } : {}),
+        });
+        res.json({ success: true, applied: apply === true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to migrate free-text venues');
+    }
+};
+
+module.exports = {
+    listVenues,
+    getVenue,
+    getAvailability,
+    createVenue,
+    updateVenue,
+    deactivateVenue,
+    migrateFreeTextVenues,
+};
@@ -0,0 +1,92 @@
+const whitelistService = require('../services/whitelist.service');
+
+// Map service errors (which carry statusCode) onto JSON responses
+const sendError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            ...(error.errors ? { errors: error.errors } : {}),
+        });
+    }
+
+    console.error(`❌ Whitelist: ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        message: error.message,
+    });
+};
+
+const listEntries = async (req, res) => {
+    try {
+        const result = await whitelistService.listEntries(req.query);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to load the whitelist');
+    }
+};
+
+const createEntry = async (req, res) => {
+    try {
+        const entry = await whitelistService.createEntry(req.body, req.user);
+        res.status(201).json({ success: true, entry, message: `${entry.email} whitelisted` });
+    } catch (error) {
+        sendError(res, error, 'Failed to add the address');
+    }
+};
+
+const updateEntry = async (req, res) => {
+    try {
+        const entry = await whitelistService.updateEntry(req.params.id, req.body, req.user);
+        res.json({ success: true, entry, message: 'Whitelist entry updated' });
+    } catch (error) {
+        sendError(res, error, 'Failed to update the entry');
+    }
+};
+
+const deleteEntry = async (req, res) => {
+    try {
+        await whitelistService.deleteEntry(req.params.id, req.user);
+        res.json({ success: true, message: 'Whitelist entry removed' });
+    } catch (error) {
+        sendError(res, error, 'Failed to remove the entry');
+    }
+};
+
+const importCsv = async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ success: false, error: 'Attach a CSV file as "file"' });
+    }
+    try {
+        const result = await whitelistService.importCsv(req.file.buffer, req.user);
+        res.json({
+            success: true,
+            ...result,
+            message: `${result.created} added, ${result.updated} updated`
+                + (result.skipped ? `, ${result.skipped} expired skipped` : ''),
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to import the whitelist');
+    }
+};
+
+const exportCsv = async (req, res) => {
+    try {
+        const { filename, csv } = await whitelistService.exportCsv();
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(csv);
+    } catch (error) {
+        sendError(res, error, 'Failed to export the whitelist');
+    }
+};
+
+module.exports = {
+    listEntries,
+    createEntry,
+    updateEntry,
+    deleteEntry,
+    importCsv,
+    exportCsv,
+};
@@ -3,12 +3,11 @@
  *
  * Comprehensive middleware functions for authenticating and authorizing users
  * in the CEDO proposal management system. Implements multiple authentication
- * methods with role-based access control.
+ * methods; authorization is permission based (middleware/permissions.js).
  *
  * Features:
  * - JWT token validation and verification
  * - API key authentication for admin access
- * - Role-based authorization middleware
  * - User approval status verification
  * - Comprehensive error handling with security logging
  * - Database integration for user verification
@@ -31,6 +30,7 @@
 
 const jwt = require("jsonwebtoken")
 const { pool } = require("../config/db")
+const ROLES = require("../constants/roles")
 const logger = require("../utils/logger")
 
 /**
@@ -91,10 +91,10 @@ const validateApiKey = (req, res, next) => {
  */
 const validateToken = async (req, res, next) => {
   try {
-    // API Key authentication
+    // API Key authentication (acts as a head admin)
     const apiKey = req.headers["x-api-key"]
     if (apiKey && apiKey === process.env.ADMIN_API_KEY) {
-      req.user = { id: "api-key-admin", role: "admin", is_approved: 1 }
+      req.user = { id: "api-key-admin", role: ROLES.HEAD_ADMIN, is_approved: 1 }
       return next()
     }
 
@@ -169,59 +169,7 @@ const validateToken = async (req, res, next) => {
   }
 }
 
-/**
- * Validates that the authenticated user has admin role
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
- */
-const validateAdmin = (req, res, next) => {
-  if (!req.user || !["head_admin", "manager", "admin"].includes(req.user.role)) {
-    logger.warn(`Unauthorized admin access attempt by user ID: ${req.user?.id || "unknown"}`)
-    return res.status(403).json({
-      success: false,
-      error: "Access denied. Admin privileges required.",
-    })
-  }
-  next()
-}
-
-/**
- * Validates that the authenticated user has faculty role
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
- */
-const validateFaculty = (req, res, next) => {
-  if (!req.user || !["faculty", "admin", "head_admin", "manager"].includes(req.user.role)) {
-    return res.status(403).json({
-      success: false,
-      error: "Access denied. Faculty privileges required.",
-    })
-  }
-  next()
-}
-
-/**
- * Validates that the authenticated user has reviewer role
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
- */
-const validateReviewer = (req, res, next) => {
-  if (!req.user || !["reviewer", "admin", "head_admin", "manager"].includes(req.user.role)) {
-    return res.status(403).json({
-      success: false,
-      error: "Access denied. Reviewer privileges required.",
-    })
-  }
-  next()
-}
-
 module.exports = {
   validateToken,
-  validateAdmin,
-  validateFaculty,
-  validateReviewer,
   validateApiKey,
 }
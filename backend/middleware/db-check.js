@@ -44,19 +44,42 @@ async function createUsersTable() {
           role ENUM('student', 'head_admin', 'manager', 'partner', 'reviewer') NOT NULL DEFAULT 'student',
           organization VARCHAR(255),
           organization_type ENUM('internal', 'external'),
+          student_id VARCHAR(50) NULL UNIQUE,
           avatar VARCHAR(255),
           google_id VARCHAR(255),
           is_approved BOOLEAN DEFAULT FALSE,
           approved_by INT,
           approved_at DATETIME,
+          rejected_by INT NULL,
+          rejected_at DATETIME NULL,
+          rejection_reason TEXT NULL,
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-          FOREIGN KEY (approved_by) REFERENCES users(id) ON DELETE SET NULL
+          FOREIGN KEY (approved_by) REFERENCES users(id) ON DELETE SET NULL,
+          FOREIGN KEY (rejected_by) REFERENCES users(id) ON DELETE SET NULL
         )
       `)
             console.log("Users table created successfully")
         } else {
             console.log("Users table already exists")
+            const [studentIdColumns] = await pool.query("SHOW COLUMNS FROM users LIKE 'student_id'")
+            if (studentIdColumns.length === 0) {
+                // Attendance imports match sheet rows to accounts by school ID
+                await pool.query("ALTER TABLE users ADD COLUMN student_id VARCHAR(50) NULL UNIQUE")
+                console.log("Added student_id column to users table")
+            }
+            const [rejectionColumns] = await pool.query("SHOW COLUMNS FROM users LIKE 'rejection_reason'")
+            if (rejectionColumns.length === 0) {
+                // Rejected account requests keep their reason for the sign-in screen
+                await pool.query(`
+          ALTER TABLE users
+            ADD COLUMN rejected_by INT NULL,
+            ADD COLUMN rejected_at DATETIME NULL,
+            ADD COLUMN rejection_reason TEXT NULL,
+            ADD FOREIGN KEY (rejected_by) REFERENCES users(id) ON DELETE SET NULL
+        `)
+                console.log("Added rejection columns to users table")
+            }
         }
     } catch (error) {
         console.error("Error creating users table:", error.message)
@@ -176,23 +199,879 @@ async function createReviewsTable() {
             console.log("Creating reviews table...")
             await pool.query(`
         CREATE TABLE reviews (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          proposalId BIGINT,
+          reviewerId INT,
+          comments TEXT,
+          rating INT,
+          decision ENUM('approved','denied','revision_requested') NULL,
+          createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          FOREIGN KEY (reviewerId) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `)
+            console.log("Reviews table created successfully")
+        } else {
+            console.log("Reviews table already exists")
+            // Structured decisions are recorded by the review API
+            const [cols] = await pool.query("SHOW COLUMNS FROM reviews LIKE 'decision'")
+            if (cols.length === 0) {
+                await pool.query("ALTER TABLE reviews ADD COLUMN decision ENUM('approved','denied','revision_requested') NULL")
+                console.log("Added decision column to reviews table")
+            }
+        }
+    } catch (error) {
+        console.error("Error creating reviews table:", error.message)
+        throw error
+    }
+}
+
+/**
+ * Create the proposal_drafts table if it doesn't exist
+ * Backs the /api/proposals/drafts endpoints so drafts survive restarts.
+ */
+async function createProposalDraftsTable() {
+    try {
+        const exists = await tableExists("proposal_drafts")
+        if (!exists) {
+            console.log("Creating proposal_drafts table...")
+            await pool.query(`
+        CREATE TABLE proposal_drafts (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          uuid VARCHAR(36) NOT NULL UNIQUE,
+          user_id INT NOT NULL,
+          payload JSON,
+          current_section ENUM('overview','orgInfo','schoolEvent','communityEvent','reporting') DEFAULT 'overview',
+          version INT NOT NULL DEFAULT 1,
+          status ENUM('draft','submitted') NOT NULL DEFAULT 'draft',
+          proposal_id BIGINT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          submitted_at TIMESTAMP NULL,
+          INDEX idx_proposal_drafts_user_status (user_id, status),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `)
+            console.log("Proposal_drafts table created successfully")
+        } else {
+            console.log("Proposal_drafts table already exists")
+        }
+    } catch (error) {
+        console.error("Error creating proposal_drafts table:", error.message)
+        throw error
+    }
+}
+
+/**
+ * Create proposal_status_history table (one row per status transition)
+ */
+async function createProposalStatusHistoryTable() {
+    try {
+        const exists = await tableExists("proposal_status_history")
+        if (!exists) {
+            console.log("Creating proposal_status_history table...")
+            await pool.query(`
+        CREATE TABLE proposal_status_history (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          proposal_id BIGINT NOT NULL,
+          status_type ENUM('proposal','report','compliance') NOT NULL DEFAULT 'proposal',
+          from_status VARCHAR(32) NULL,
+          to_status VARCHAR(32) NOT NULL,
+          actor_id INT NULL,
+          actor_role VARCHAR(32) NULL,
+          comment TEXT NULL,
+          source VARCHAR(255) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_status_history_proposal (proposal_id, created_at)
+        )
+      `)
+            console.log("Proposal_status_history table created successfully")
+        } else {
+            console.log("Proposal_status_history table already exists")
+
+            const [statusTypeColumns] = await pool.query("SHOW COLUMNS FROM proposal_status_history LIKE 'status_type'")
+            if (statusTypeColumns.length > 0 && !statusTypeColumns[0].Type.includes("'compliance'")) {
+                await pool.query(
+                    "ALTER TABLE proposal_status_history MODIFY COLUMN status_type ENUM('proposal','report','compliance') NOT NULL DEFAULT 'proposal'"
+                )
+                console.log("Added the compliance status type to proposal_status_history")
+            }
+        }
+    } catch (error) {
+        console.error("Error creating proposal_status_history table:", error.message)
+        throw error
+    }
+}
+
+/**
+ * Create the review API tables: threaded comments and documentation checklists
+ */
+async function createReviewWorkflowTables() {
+    try {
+        if (!(await tableExists("proposal_comments"))) {
+            console.log("Creating proposal_comments table...")
+            await pool.query(`
+        CREATE TABLE proposal_comments (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          proposal_id BIGINT NOT NULL,
+          parent_id BIGINT NULL,
+          author_id INT NULL,
+          author_role VARCHAR(32) NULL,
+          kind ENUM('comment','decision','documentation_request') NOT NULL DEFAULT 'comment',
+          body TEXT NOT NULL,
+          is_internal BOOLEAN NOT NULL DEFAULT FALSE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_proposal_comments_proposal (proposal_id, created_at)
+        )
+      `)
+        }
+
+        if (!(await tableExists("proposal_documentation_requests"))) {
+            console.log("Creating proposal_documentation_requests table...")
+            await pool.query(`
+        CREATE TABLE proposal_documentation_requests (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          proposal_id BIGINT NOT NULL,
+          requested_by INT NULL,
+          message TEXT NULL,
+          status ENUM('open','fulfilled','cancelled') NOT NULL DEFAULT 'open',
+          due_date DATE NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          fulfilled_at TIMESTAMP NULL,
+          INDEX idx_doc_requests_proposal (proposal_id, status)
+        )
+      `)
+        }
+
+        if (!(await tableExists("proposal_documentation_items"))) {
+            console.log("Creating proposal_documentation_items table...")
+            await pool.query(`
+        CREATE TABLE proposal_documentation_items (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          request_id BIGINT NOT NULL,
+          label VARCHAR(255) NOT NULL,
+          description TEXT NULL,
+          is_required BOOLEAN NOT NULL DEFAULT TRUE,
+          status ENUM('pending','submitted') NOT NULL DEFAULT 'pending',
+          response_note TEXT NULL,
+          file_name VARCHAR(255) NULL,
+          file_path VARCHAR(500) NULL,
+          submitted_by INT NULL,
+          submitted_at TIMESTAMP NULL,
+          FOREIGN KEY (request_id) REFERENCES proposal_documentation_requests(id) ON DELETE CASCADE
+        )
+      `)
+        }
+        console.log("Review workflow tables verified")
+    } catch (error) {
+        console.error("Error creating review workflow tables:", error.message)
+        throw error
+    }
+}
+
+/**
+ * Create notifications table (one row per recipient)
+ */
+async function createNotificationsTable() {
+    try {
+        const exists = await tableExists("notifications")
+        if (!exists) {
+            console.log("Creating notifications table...")
+            await pool.query(`
+        CREATE TABLE notifications (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          user_id INT NOT NULL,
+          type VARCHAR(50) NOT NULL,
+          title VARCHAR(255) NOT NULL,
+          message TEXT NULL,
+          link VARCHAR(255) NULL,
+          related_type VARCHAR(50) NULL,
+          related_id BIGINT NULL,
+          metadata JSON NULL,
+          is_read BOOLEAN NOT NULL DEFAULT FALSE,
+          read_at TIMESTAMP NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_notifications_user (user_id, is_read, created_at),
+          INDEX idx_notifications_related (related_type, related_id),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `)
+            console.log("Notifications table created successfully")
+        } else {
+            console.log("Notifications table already exists")
+        }
+    } catch (error) {
+        console.error("Error creating notifications table:", error.message)
+        throw error
+    }
+}
+
+/**
+ * Create the email outbox and per-user email preference tables
+ */
+async function createEmailTables() {
+    try {
+        if (!(await tableExists("email_outbox"))) {
+            console.log("Creating email_outbox table...")
+            await pool.query(`
+        CREATE TABLE email_outbox (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          template VARCHAR(50) NOT NULL,
+          user_id INT NULL,
+          to_email VARCHAR(255) NOT NULL,
+          subject VARCHAR(255) NOT NULL,
+          html MEDIUMTEXT NOT NULL,
+          text MEDIUMTEXT NOT NULL,
+          status ENUM('pending', 'sending', 'sent', 'failed', 'skipped') NOT NULL DEFAULT 'pending',
+          attempts INT NOT NULL DEFAULT 0,
+          max_attempts INT NOT NULL DEFAULT 5,
+          last_error TEXT NULL,
+          message_id VARCHAR(255) NULL,
+          next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          sent_at TIMESTAMP NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_email_outbox_due (status, next_attempt_at),
+          INDEX idx_email_outbox_user (user_id, created_at),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `)
+            console.log("Email outbox table created successfully")
+        } else {
+            console.log("Email outbox table already exists")
+        }
+
+        if (!(await tableExists("email_preferences"))) {
+            console.log("Creating email_preferences table...")
+            await pool.query(`
+        CREATE TABLE email_preferences (
+          user_id INT NOT NULL,
+          category VARCHAR(50) NOT NULL,
+          enabled BOOLEAN NOT NULL DEFAULT TRUE,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          PRIMARY KEY (user_id, category),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `)
+            console.log("Email preferences table created successfully")
+        } else {
+            console.log("Email preferences table already exists")
+        }
+    } catch (error) {
+        console.error("Error creating email tables:", error.message)
+        throw error
+    }
+}
+
+/**
+ * Create the blackout_periods table (admin-set dates in which events cannot be scheduled)
+ */
+async function createBlackoutPeriodsTable() {
+    try {
+        if (!(await tableExists("blackout_periods"))) {
+            console.log("Creating blackout_periods table...")
+            await pool.query(`
+        CREATE TABLE blackout_periods (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          title VARCHAR(255) NOT NULL,
+          start_date DATE NOT NULL,
+          end_date DATE NOT NULL,
+          reason TEXT NULL,
+          created_by INT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_blackout_periods_range (start_date, end_date),
+          FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `)
+            console.log("Blackout periods table created successfully")
+        } else {
+            console.log("Blackout periods table already exists")
+        }
+    } catch (error) {
+        console.error("Error creating blackout_periods table:", error.message)
+        throw error
+    }
+}
+
+/**
+ * Create the venues catalog and link proposals to it (proposals.venue_id)
+ */
+async function createVenuesTable() {
+    try {
+        if (!(await tableExists("venues"))) {
+            console.log("Creating venues table...")
+            await pool.query(`
+        CREATE TABLE venues (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          building VARCHAR(255) NULL,
+          capacity INT NULL,
+          is_online BOOLEAN NOT NULL DEFAULT FALSE,
+          open_time TIME NULL,
+          close_time TIME NULL,
+          aliases JSON NULL,
+          is_active BOOLEAN NOT NULL DEFAULT TRUE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY uq_venues_name (name)
+        )
+      `)
+            console.log("Venues table created successfully")
+        } else {
+            console.log("Venues table already exists")
+        }
+
+        const [venueIdColumns] = await pool.query("SHOW COLUMNS FROM proposals LIKE 'venue_id'")
+        if (venueIdColumns.length === 0) {
+            await pool.query("ALTER TABLE proposals ADD COLUMN venue_id INT NULL, ADD INDEX idx_proposals_venue (venue_id)")
+            console.log("Added venue_id column to proposals table")
+        }
+    } catch (error) {
+        console.error("Error creating venues table:", error.message)
+        throw error
+    }
+}
+
+/**
+ * Create event_attendees table (attendance rows that SDP credits are awarded from)
+ */
+async function createEventAttendeesTable() {
+    try {
+        if (!(await tableExists("event_attendees"))) {
+            console.log("Creating event_attendees table...")
+            await pool.query(`
+        CREATE TABLE event_attendees (
           id INT AUTO_INCREMENT PRIMARY KEY,
           proposal_id INT NOT NULL,
-          reviewer_id INT NOT NULL,
-          comments TEXT NOT NULL,
-          rating INT NOT NULL,
+          user_id INT NULL,
+          full_name VARCHAR(255) NOT NULL,
+          email VARCHAR(255) NULL,
+          student_id VARCHAR(50) NULL,
+          school VARCHAR(255) NULL,
+          program VARCHAR(255) NULL,
+          year_level VARCHAR(50) NULL,
+          source ENUM('import','check_in','registration','manual') NOT NULL DEFAULT 'manual',
+          checked_in_at DATETIME NULL,
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY uq_event_attendees_email (proposal_id, email),
+          INDEX idx_event_attendees_user (user_id),
           FOREIGN KEY (proposal_id) REFERENCES proposals(id) ON DELETE CASCADE,
-          FOREIGN KEY (reviewer_id) REFERENCES users(id) ON DELETE CASCADE
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
         )
       `)
-            console.log("Reviews table created successfully")
+            console.log("Event attendees table created successfully")
         } else {
-            console.log("Reviews table already exists")
+            console.log("Event attendees table already exists")
+            const [checkedInColumns] = await pool.query("SHOW COLUMNS FROM event_attendees LIKE 'checked_in_at'")
+            if (checkedInColumns.length === 0) {
+                await pool.query("ALTER TABLE event_attendees ADD COLUMN checked_in_at DATETIME NULL AFTER source")
+                console.log("Added checked_in_at column to event_attendees table")
+            }
         }
     } catch (error) {
-        console.error("Error creating reviews table:", error.message)
+        console.error("Error creating event_attendees table:", error.message)
+        throw error
+    }
+}
+
+/**
+ * Create event_registration_settings and event_registrations tables (online pre-registration)
+ */
+async function createEventRegistrationTables() {
+    try {
+        if (!(await tableExists("event_registration_settings"))) {
+            console.log("Creating event_registration_settings table...")
+            await pool.query(`
+        CREATE TABLE event_registration_settings (
+          proposal_id INT PRIMARY KEY,
+          is_open BOOLEAN NOT NULL DEFAULT FALSE,
+          capacity INT NULL,
+          waitlist_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+          cancellation_deadline_hours INT NOT NULL DEFAULT 24,
+          opens_at DATETIME NULL,
+          closes_at DATETIME NULL,
+          questions JSON NULL,
+          updated_by INT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          FOREIGN KEY (proposal_id) REFERENCES proposals(id) ON DELETE CASCADE,
+          FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `)
+            console.log("Event registration settings table created successfully")
+        } else {
+            console.log("Event registration settings table already exists")
+        }
+
+        if (!(await tableExists("event_registrations"))) {
+            console.log("Creating event_registrations table...")
+            await pool.query(`
+        CREATE TABLE event_registrations (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          proposal_id INT NOT NULL,
+          user_id INT NOT NULL,
+          status ENUM('registered','waitlisted','cancelled') NOT NULL,
+          school VARCHAR(255) NULL,
+          program VARCHAR(255) NULL,
+          year_level VARCHAR(50) NULL,
+          answers JSON NULL,
+          registered_at DATETIME NULL,
+          waitlisted_at DATETIME NULL,
+          promoted_at DATETIME NULL,
+          cancelled_at DATETIME NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY uq_event_registrations_user (proposal_id, user_id),
+          INDEX idx_event_registrations_status (proposal_id, status, waitlisted_at),
+          FOREIGN KEY (proposal_id) REFERENCES proposals(id) ON DELETE CASCADE,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `)
+            console.log("Event registrations table created successfully")
+        } else {
+            console.log("Event registrations table already exists")
+        }
+    } catch (error) {
+        console.error("Error creating event registration tables:", error.message)
+        throw error
+    }
+}
+
+/**
+ * Create events and event_changes tables (approved proposals as events, with
+ * an audit trail of reschedules, postponements and cancellations)
+ */
+async function createEventsTables() {
+    try {
+        if (!(await tableExists("events"))) {
+            console.log("Creating events table...")
+            await pool.query(`
+        CREATE TABLE events (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          proposal_id INT NOT NULL,
+          title VARCHAR(255) NOT NULL,
+          organization_name VARCHAR(255) NULL,
+          venue VARCHAR(255) NULL,
+          venue_id INT NULL,
+          start_date DATE NULL,
+          end_date DATE NULL,
+          start_time TIME NULL,
+          end_time TIME NULL,
+          status ENUM('scheduled','postponed','cancelled','completed') NOT NULL DEFAULT 'scheduled',
+          status_reason TEXT NULL,
+          created_by INT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY uq_events_proposal (proposal_id),
+          INDEX idx_events_status_start (status, start_date),
+          FOREIGN KEY (proposal_id) REFERENCES proposals(id) ON DELETE CASCADE,
+          FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `)
+            console.log("Events table created successfully")
+        } else {
+            console.log("Events table already exists")
+        }
+
+        if (!(await tableExists("event_changes"))) {
+            console.log("Creating event_changes table...")
+            await pool.query(`
+        CREATE TABLE event_changes (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          event_id INT NOT NULL,
+          action ENUM('created','rescheduled','postponed','cancelled','completed') NOT NULL,
+          changes JSON NULL,
+          reason TEXT NULL,
+          changed_by INT NULL,
+          changed_by_role VARCHAR(50) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_event_changes_event (event_id, created_at),
+          FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+          FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `)
+            console.log("Event changes table created successfully")
+        } else {
+            console.log("Event changes table already exists")
+        }
+
+        // Proposals approved before events existed (needs the event columns from init-db)
+        try {
+            const [result] = await pool.query(`
+        INSERT INTO events (proposal_id, title, organization_name, venue, venue_id, start_date, end_date, start_time, end_time, status)
+        SELECT p.id, COALESCE(p.event_name, p.organization_name, CONCAT('Event #', p.id)), p.organization_name, p.event_venue, p.venue_id,
+               p.event_start_date, p.event_end_date, p.event_start_time, p.event_end_time, COALESCE(p.event_status, 'scheduled')
+        FROM proposals p
+        LEFT JOIN events e ON e.proposal_id = p.id
+        WHERE p.proposal_status = 'approved' AND e.id IS NULL
+      `)
+            if (result.affectedRows > 0) {
+                console.log(`Created ${result.affectedRows} event(s) for previously approved proposals`)
+            }
+        } catch (backfillError) {
+            console.warn("Could not backfill events for approved proposals:", backfillError.message)
+        }
+    } catch (error) {
+        console.error("Error creating events tables:", error.message)
+        throw error
+    }
+}
+
+/**
+ * Create compliance_reminders and compliance_overrides tables, plus the
+ * compliance deadline columns on proposals (accomplishment report deadlines)
+ */
+async function createComplianceTables() {
+    try {
+        const [dueDateColumns] = await pool.query("SHOW COLUMNS FROM proposals LIKE 'compliance_due_date'")
+        if (dueDateColumns.length === 0) {
+            await pool.query(`
+        ALTER TABLE proposals
+          ADD COLUMN compliance_due_date DATE NULL,
+          ADD COLUMN compliance_status ENUM('not_applicable','pending','compliant','overdue') DEFAULT 'not_applicable',
+          ADD COLUMN compliance_overdue_at TIMESTAMP NULL
+      `)
+            console.log("Added compliance deadline columns to proposals table")
+        }
+
+        if (!(await tableExists("compliance_reminders"))) {
+            console.log("Creating compliance_reminders table...")
+            await pool.query(`
+        CREATE TABLE compliance_reminders (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          proposal_id INT NOT NULL,
+          kind ENUM('reminder','overdue','escalation') NOT NULL,
+          days_before INT NOT NULL DEFAULT 0,
+          due_date DATE NOT NULL,
+          sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE KEY uq_compliance_reminders (proposal_id, kind, days_before, due_date),
+          FOREIGN KEY (proposal_id) REFERENCES proposals(id) ON DELETE CASCADE
+        )
+      `)
+            console.log("Compliance reminders table created successfully")
+        } else {
+            console.log("Compliance reminders table already exists")
+        }
+
+        if (!(await tableExists("compliance_overrides"))) {
+            console.log("Creating compliance_overrides table...")
+            await pool.query(`
+        CREATE TABLE compliance_overrides (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          organization_name VARCHAR(255) NOT NULL,
+          reason TEXT NOT NULL,
+          expires_at DATETIME NOT NULL,
+          granted_by INT NULL,
+          revoked_at DATETIME NULL,
+          revoked_by INT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_compliance_overrides_org (organization_name, expires_at),
+          FOREIGN KEY (granted_by) REFERENCES users(id) ON DELETE SET NULL,
+          FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `)
+            console.log("Compliance overrides table created successfully")
+        } else {
+            console.log("Compliance overrides table already exists")
+        }
+
+        if (!(await tableExists("compliance_documents"))) {
+            console.log("Creating compliance_documents table...")
+            await pool.query(`
+        CREATE TABLE compliance_documents (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          proposal_id INT NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          is_required BOOLEAN NOT NULL DEFAULT TRUE,
+          file_name VARCHAR(255) NULL,
+          file_path VARCHAR(500) NULL,
+          mime_type VARCHAR(100) NULL,
+          file_size INT NULL,
+          submitted_at TIMESTAMP NULL,
+          submitted_by INT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY uq_compliance_documents (proposal_id, name),
+          FOREIGN KEY (proposal_id) REFERENCES proposals(id) ON DELETE CASCADE,
+          FOREIGN KEY (submitted_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `)
+            console.log("Compliance documents table created successfully")
+        } else {
+            console.log("Compliance documents table already exists")
+        }
+
+        // Approved proposals from before compliance deadlines (needs the event columns from init-db)
+        try {
+            const [result] = await pool.query(`
+        UPDATE proposals
+        SET compliance_due_date = DATE_ADD(COALESCE(event_end_date, event_start_date, DATE(approved_at), CURDATE()), INTERVAL 30 DAY),
+            compliance_status = IF(report_status = 'approved', 'compliant', 'pending')
+        WHERE proposal_status = 'approved' AND compliance_due_date IS NULL
+      `)
+            if (result.affectedRows > 0) {
+                console.log(`Set compliance deadlines for ${result.affectedRows} previously approved proposal(s)`)
+            }
+
+            const [checklists] = await pool.query(`
+        INSERT IGNORE INTO compliance_documents (proposal_id, name, is_required)
+        SELECT p.id, d.name, TRUE
+        FROM proposals p
+        CROSS JOIN (SELECT 'Budget Report' AS name UNION ALL SELECT 'Photo Documentation') d
+        WHERE p.compliance_status IN ('pending', 'overdue')
+          AND NOT EXISTS (SELECT 1 FROM compliance_documents c WHERE c.proposal_id = p.id)
+      `)
+            if (checklists.affectedRows > 0) {
+                console.log(`Added ${checklists.affectedRows} compliance checklist item(s) to previously approved proposals`)
+            }
+        } catch (backfillError) {
+            console.warn("Could not backfill compliance deadlines:", backfillError.message)
+        }
+    } catch (error) {
+        console.error("Error creating compliance tables:", error.message)
+        throw error
+    }
+}
+
+/**
+ * Create the accomplishment report review tables: the rubric (seeded with the
+ * default items), reviews and their per-item results
+ */
+async function createReportReviewTables() {
+    try {
+        if (!(await tableExists("report_review_criteria"))) {
+            console.log("Creating report_review_criteria table...")
+            await pool.query(`
+        CREATE TABLE report_review_criteria (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          label VARCHAR(100) NOT NULL,
+          description TEXT NULL,
+          is_required BOOLEAN NOT NULL DEFAULT TRUE,
+          sort_order INT NOT NULL DEFAULT 0,
+          is_active BOOLEAN NOT NULL DEFAULT TRUE,
+          created_by INT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `)
+            await pool.query(`
+        INSERT INTO report_review_criteria (label, description, sort_order) VALUES
+          ('Attendance evidence', 'The final attendance list or sign-in sheets support the reported attendance', 1),
+          ('Objectives met', 'The report explains how each objective of the proposal was achieved', 2),
+          ('Photo documentation', 'Captioned photos taken during the actual event', 3),
+          ('Signatures', 'Signed by the organization adviser and the officers in charge', 4)
+      `)
+            console.log("Report review rubric created with the default items")
+        } else {
+            console.log("Report review rubric already exists")
+        }
+
+        if (!(await tableExists("report_reviews"))) {
+            console.log("Creating report_reviews table...")
+            await pool.query(`
+        CREATE TABLE report_reviews (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          proposal_id INT NOT NULL,
+          reviewer_id INT NULL,
+          decision ENUM('approved','denied') NOT NULL,
+          summary TEXT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_report_reviews_proposal (proposal_id, created_at),
+          FOREIGN KEY (proposal_id) REFERENCES proposals(id) ON DELETE CASCADE,
+          FOREIGN KEY (reviewer_id) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `)
+        }
+
+        if (!(await tableExists("report_review_items"))) {
+            console.log("Creating report_review_items table...")
+            await pool.query(`
+        CREATE TABLE report_review_items (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          review_id INT NOT NULL,
+          criterion_id INT NULL,
+          label VARCHAR(100) NOT NULL,
+          is_required BOOLEAN NOT NULL DEFAULT TRUE,
+          status ENUM('accepted','partial','rejected') NOT NULL,
+          comment TEXT NULL,
+          reupload_document VARCHAR(50) NULL,
+          FOREIGN KEY (review_id) REFERENCES report_reviews(id) ON DELETE CASCADE,
+          FOREIGN KEY (criterion_id) REFERENCES report_review_criteria(id) ON DELETE SET NULL
+        )
+      `)
+        }
+        console.log("Report review tables verified")
+    } catch (error) {
+        console.error("Error creating report review tables:", error.message)
+        throw error
+    }
+}
+
+/**
+ * Create role_permissions table (grants head admins changed; everything else
+ * keeps the defaults from constants/permissions.js)
+ */
+async function createRolePermissionsTable() {
+    try {
+        if (!(await tableExists("role_permissions"))) {
+            console.log("Creating role_permissions table...")
+            await pool.query(`
+        CREATE TABLE role_permissions (
+          role ENUM('student','head_admin','manager','partner','reviewer') NOT NULL,
+          permission VARCHAR(64) NOT NULL,
+          granted BOOLEAN NOT NULL,
+          updated_by INT NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          PRIMARY KEY (role, permission),
+          FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `)
+            console.log("role_permissions table created successfully")
+        } else {
+            console.log("role_permissions table already exists")
+        }
+    } catch (error) {
+        console.error("Error creating role_permissions table:", error.message)
+        throw error
+    }
+}
+
+/**
+ * Create data_explorer_audit table (every read and write made through the
+ * head admin data explorer)
+ */
+async function createDataExplorerAuditTable() {
+    try {
+        if (!(await tableExists("data_explorer_audit"))) {
+            console.log("Creating data_explorer_audit table...")
+            await pool.query(`
+        CREATE TABLE data_explorer_audit (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          actor_id INT NULL,
+          actor_role VARCHAR(32) NULL,
+          action ENUM('list','view','update','delete') NOT NULL,
+          resource VARCHAR(64) NOT NULL,
+          record_id VARCHAR(64) NULL,
+          reason TEXT NULL,
+          details JSON NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_data_explorer_audit_resource (resource, created_at),
+          INDEX idx_data_explorer_audit_actor (actor_id),
+          FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `)
+            console.log("data_explorer_audit table created successfully")
+        } else {
+            console.log("data_explorer_audit table already exists")
+        }
+    } catch (error) {
+        console.error("Error creating data_explorer_audit table:", error.message)
+        throw error
+    }
+}
+
+/**
+ * Create account_approval_rules table (auto-approval of pending accounts by
+ * verified email domain or whitelisted address)
+ */
+async function createAccountApprovalRulesTable() {
+    try {
+        if (!(await tableExists("account_approval_rules"))) {
+            console.log("Creating account_approval_rules table...")
+            await pool.query(`
+        CREATE TABLE account_approval_rules (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          rule_type ENUM('email_domain','email') NOT NULL,
+          value VARCHAR(255) NOT NULL,
+          note VARCHAR(255) NULL,
+          is_active BOOLEAN NOT NULL DEFAULT TRUE,
+          created_by INT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY uq_account_approval_rule (rule_type, value),
+          FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `)
+            console.log("account_approval_rules table created successfully")
+        } else {
+            console.log("account_approval_rules table already exists")
+        }
+    } catch (error) {
+        console.error("Error creating account_approval_rules table:", error.message)
+        throw error
+    }
+}
+
+/**
+ * Create whitelist table (addresses provisioned on first Google sign-in, with
+ * their role, expiry and notes)
+ */
+async function createWhitelistTable() {
+    try {
+        if (!(await tableExists("whitelist"))) {
+            console.log("Creating whitelist table...")
+            await pool.query(`
+        CREATE TABLE whitelist (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          email VARCHAR(255) NOT NULL UNIQUE,
+          role ENUM('student','head_admin','manager','partner','reviewer') NOT NULL DEFAULT 'student',
+          notes TEXT NULL,
+          expires_at DATETIME NULL,
+          provisioned_user_id INT NULL,
+          provisioned_at TIMESTAMP NULL,
+          created_by INT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_whitelist_expires (expires_at),
+          FOREIGN KEY (provisioned_user_id) REFERENCES users(id) ON DELETE SET NULL,
+          FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `)
+            console.log("whitelist table created successfully")
+        } else {
+            console.log("whitelist table already exists")
+        }
+    } catch (error) {
+        console.error("Error creating whitelist table:", error.message)
+        throw error
+    }
+}
+
+/**
+ * Create sdp_credit_ledger table (SDP credit awards and adjustments)
+ */
+async function createSdpCreditLedgerTable() {
+    try {
+        if (!(await tableExists("sdp_credit_ledger"))) {
+            console.log("Creating sdp_credit_ledger table...")
+            await pool.query(`
+        CREATE TABLE sdp_credit_ledger (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          user_id INT NOT NULL,
+          proposal_id INT NULL,
+          entry_type ENUM('award','adjustment') NOT NULL,
+          credits INT NOT NULL,
+          category VARCHAR(100) NULL,
+          reason TEXT NULL,
+          created_by INT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_sdp_credit_ledger_user (user_id, created_at),
+          INDEX idx_sdp_credit_ledger_proposal (proposal_id),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          FOREIGN KEY (proposal_id) REFERENCES proposals(id) ON DELETE SET NULL,
+          FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `)
+            console.log("SDP credit ledger table created successfully")
+        } else {
+            console.log("SDP credit ledger table already exists")
+        }
+    } catch (error) {
+        console.error("Error creating sdp_credit_ledger table:", error.message)
         throw error
     }
 }
@@ -218,6 +1097,23 @@ async function ensureTablesExist() {
         await createAccessLogsTable()
         await createProposalsTable()
         await createReviewsTable()
+        await createProposalDraftsTable()
+        await createProposalStatusHistoryTable()
+        await createReviewWorkflowTables()
+        await createNotificationsTable()
+        await createEmailTables()
+        await createBlackoutPeriodsTable()
+        await createVenuesTable()
+        await createEventAttendeesTable()
+        await createSdpCreditLedgerTable()
+        await createEventRegistrationTables()
+        await createEventsTables()
+        await createComplianceTables()
+        await createReportReviewTables()
+        await createRolePermissionsTable()
+        await createDataExplorerAuditTable()
+        await createAccountApprovalRulesTable()
+        await createWhitelistTable()
 
         // Add a default admin user if no users exist
         const [users] = await pool.query("SELECT COUNT(*) as count FROM users")
@@ -250,5 +1146,14 @@ module.exports = {
     createAccessLogsTable,
     createProposalsTable,
     createReviewsTable,
+    createProposalDraftsTable,
+    createProposalStatusHistoryTable,
+    createReviewWorkflowTables,
+    createNotificationsTable,
+    createEmailTables,
+    createBlackoutPeriodsTable,
+    createVenuesTable,
+    createEventAttendeesTable,
+    createSdpCreditLedgerTable,
     ensureTablesExist,
 }
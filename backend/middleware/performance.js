@@ -78,6 +78,20 @@ const rateLimiters = {
         'Too many authentication attempts, please try again later.'
     ),
 
+    // Password reset links (per IP, on top of the per-account cooldown)
+    passwordResetRequest: createRateLimit(
+        15 * 60 * 1000, // 15 minutes
+        5, // 5 reset emails per 15 minutes
+        'Too many password reset requests, please try again later.'
+    ),
+
+    // Password reset submissions (guards against token guessing)
+    passwordReset: createRateLimit(
+        15 * 60 * 1000, // 15 minutes
+        10, // 10 attempts per 15 minutes
+        'Too many password reset attempts, please try again later.'
+    ),
+
     // File upload endpoints (very strict)
     upload: createRateLimit(
         60 * 60 * 1000, // 1 hour
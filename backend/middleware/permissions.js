@@ -0,0 +1,55 @@
+/**
+ * Permission Middleware
+ *
+ * The single authorization check for routes. Use after validateToken:
+ *
+ *   router.post("/blackouts", validateToken, requirePermission("schedule:manage"), handler)
+ *
+ * Permissions come from constants/permissions.js; which roles hold them is
+ * set by head admins (services/permission.service.js).
+ *
+ * @module middleware/permissions
+ */
+
+const { PERMISSIONS } = require("../constants/permissions")
+const { hasPermission } = require("../services/permission.service")
+const logger = require("../utils/logger")
+
+/**
+ * Allows the request when the user holds every listed permission
+ * @param {...string} permissions - Keys of PERMISSIONS
+ * @returns {Function} Express middleware
+ * @throws {Error} At startup, for a permission missing from the registry
+ */
+const requirePermission = (...permissions) => {
+  const required = permissions.flat()
+  const unknown = required.filter((permission) => !PERMISSIONS[permission])
+  if (required.length === 0 || unknown.length > 0) {
+    throw new Error(`requirePermission: unknown permission ${unknown.join(", ") || "(none given)"}`)
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: "Authentication required",
+      })
+    }
+
+    const missing = required.filter((permission) => !hasPermission(req.user, permission))
+    if (missing.length > 0) {
+      logger.warn(`Permission denied for user ID ${req.user.id} (${req.user.role}): ${missing.join(", ")}`)
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. You do not have permission to do this.",
+        missingPermissions: missing,
+      })
+    }
+
+    next()
+  }
+}
+
+module.exports = {
+  requirePermission,
+}
@@ -1,6 +1,7 @@
 // backend/middleware/session.js
 const jwt = require('jsonwebtoken');
 const { pool } = require('../config/db');
+const { permissionsFor } = require('../services/permission.service');
 
 // Use the same JWT secret that the frontend expects
 const JWT_SECRET = process.env.JWT_SECRET_DEV || process.env.JWT_SECRET;
@@ -17,7 +18,9 @@ const sessionManager = {
                     id: user.id,
                     role: user.role,
                     email: user.email,
-                    name: user.name
+                    name: user.name,
+                    // Read by the frontend route middleware; the backend re-checks live grants
+                    permissions: permissionsFor(user.role)
                 }
             },
             JWT_SECRET,
@@ -0,0 +1,145 @@
+/**
+ * Upload Policy Middleware
+ *
+ * Checks the files multer has just received against their document type
+ * (services/upload-policy.service.js) and gives those with a naming rule the
+ * required name. Use right after the multer middleware, mapping each file
+ * field to its document type:
+ *
+ *   router.post("/proposals/school-events",
+ *     upload.fields([{ name: "gpoaFile", maxCount: 1 }]),
+ *     verifyUploads({ gpoaFile: "gpoa" }),
+ *     handler)
+ *
+ * A rejected upload gets a 400 listing every rejected file and why; files
+ * multer already wrote to disk are deleted. Renamed files keep the name they
+ * were sent with as `file.submittedName`.
+ *
+ * Routes that take several document types in one field with a list of the
+ * types alongside (`files` + `fileTypes=gpoa,proposal`) use
+ * verifyDeclaredUploads instead; each file's type ends up in `file.documentType`.
+ *
+ * @module middleware/upload-policy
+ */
+
+const fs = require("fs")
+const path = require("path")
+const { DOCUMENT_POLICIES, checkUpload, requiredFilename } = require("../services/upload-policy.service")
+
+const organizationNameOf = (req) => req.body?.organization_name || req.body?.organizationName || null
+
+const uploadedFiles = (req) => {
+  if (req.file) return [req.file]
+  if (Array.isArray(req.files)) return req.files
+  return Object.values(req.files || {}).flat()
+}
+
+// Memory storage keeps the bytes on the file; disk storage has already written them
+const readContents = (file) => (file.buffer ? Promise.resolve(file.buffer) : fs.promises.readFile(file.path))
+
+const discardFiles = (files) =>
+  Promise.all(files.filter((file) => file.path).map((file) => fs.promises.unlink(file.path).catch(() => {})))
+
+// Checks each file against its document type, then applies the naming rules
+const verifyFiles = async (req, res, next, files, typeOf, organizationName) => {
+  try {
+    const rejected = []
+    for (const file of files) {
+      const result = checkUpload(
+        { buffer: await readContents(file), name: file.originalname, size: file.size },
+        typeOf(file)
+      )
+      if (!result.accepted) {
+        rejected.push({ field: file.fieldname, fileName: file.originalname, code: result.code, reason: result.reason })
+      }
+    }
+
+    if (rejected.length > 0) {
+      const errors = {}
+      rejected.forEach(({ field, reason }) => {
+        errors[field] = errors[field] || reason
+      })
+      await discardFiles(uploadedFiles(req))
+      console.warn("⚠️ Upload rejected:", rejected.map(({ fileName, code }) => `${fileName} (${code})`).join(", "))
+      return res.status(400).json({
+        success: false,
+        error: rejected.length === 1 ? rejected[0].reason : `${rejected.length} files were rejected`,
+        errors,
+        rejected,
+      })
+    }
+
+    const organization = organizationName(req)
+    for (const file of files) {
+      const filename = requiredFilename(typeOf(file), organization, path.extname(file.originalname))
+      if (filename && filename !== file.originalname) {
+        file.submittedName = file.originalname
+        file.originalname = filename
+      }
+    }
+
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Rejects the request unless every listed file passes its document type's policy
+ * @param {Object<string, string>} documentTypes - File field -> key of DOCUMENT_POLICIES
+ * @param {Object} [options]
+ * @param {Function} [options.organizationName] - (req) => name used for required file names
+ * @returns {Function} Express middleware
+ * @throws {Error} At startup, for a document type missing from the policies
+ */
+const verifyUploads = (documentTypes, { organizationName = organizationNameOf } = {}) => {
+  const unknown = Object.values(documentTypes).filter((type) => !DOCUMENT_POLICIES[type])
+  if (unknown.length > 0) {
+    throw new Error(`verifyUploads: unknown document type ${unknown.join(", ")}`)
+  }
+
+  return (req, res, next) => {
+    const files = uploadedFiles(req).filter((file) => documentTypes[file.fieldname])
+    return verifyFiles(req, res, next, files, (file) => documentTypes[file.fieldname], organizationName)
+  }
+}
+
+/**
+ * Like verifyUploads, for files whose document types are listed in a
+ * comma-separated body field, one per file in upload order. A list that does
+ * not match the files, or names an unknown type, is rejected as well.
+ * @param {string} typesField - Body field holding the types, e.g. "fileTypes"
+ * @param {Object} [options] - Same as verifyUploads
+ * @returns {Function} Express middleware
+ */
+const verifyDeclaredUploads = (typesField, { organizationName = organizationNameOf } = {}) => {
+  return async (req, res, next) => {
+    const files = uploadedFiles(req)
+    if (files.length === 0) return next()
+
+    const types = String(req.body?.[typesField] || "")
+      .split(",")
+      .map((type) => type.trim())
+    const unknown = types.filter((type) => !DOCUMENT_POLICIES[type])
+    let error = null
+    if (types.length !== files.length) {
+      error = `${typesField} must list one document type per uploaded file`
+    } else if (unknown.length > 0) {
+      error = `Unknown document type ${unknown.join(", ")}. Use one of ${Object.keys(DOCUMENT_POLICIES).join(", ")}`
+    }
+    if (error) {
+      await discardFiles(files)
+      return res.status(400).json({ success: false, error, errors: { [typesField]: error } })
+    }
+
+    files.forEach((file, index) => {
+      file.documentType = types[index]
+    })
+    return verifyFiles(req, res, next, files, (file) => file.documentType, organizationName)
+  }
+}
+
+module.exports = {
+  verifyUploads,
+  verifyDeclaredUploads,
+}
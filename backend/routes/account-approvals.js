@@ -0,0 +1,47 @@
+const express = require("express")
+const router = express.Router()
+const { validateToken } = require("../middleware/auth")
+const { requirePermission } = require("../middleware/permissions")
+const accountApprovalController = require("../controllers/account-approval.controller")
+
+/**
+ * Account Approvals
+ * -----------------
+ * The queue of accounts waiting for approval, bulk approve/reject (rejections
+ * need a reason the user will see), and the auto-approval rules managed from
+ * the settings page (services/account-approval.service.js).
+ */
+
+router.use(validateToken)
+
+// @route   GET api/account-approvals
+// @desc    Accounts waiting for a decision (?status=pending|rejected&q=&page=)
+// @access  Private (user:approve)
+router.get("/", requirePermission("user:approve"), accountApprovalController.listQueue)
+
+// @route   POST api/account-approvals/decisions
+// @desc    Approve or reject accounts ({ userIds, decision: approve|reject, reason })
+// @access  Private (user:approve)
+router.post("/decisions", requirePermission("user:approve"), accountApprovalController.decide)
+
+// @route   GET api/account-approvals/rules
+// @desc    Auto-approval rules (verified email domains; single addresses are on the whitelist)
+// @access  Private (user:manage)
+router.get("/rules", requirePermission("user:manage"), accountApprovalController.listRules)
+
+// @route   POST api/account-approvals/rules
+// @desc    Add a rule ({ type: email_domain|email, value, note })
+// @access  Private (user:manage)
+router.post("/rules", requirePermission("user:manage"), accountApprovalController.createRule)
+
+// @route   PATCH api/account-approvals/rules/:id
+// @desc    Turn a rule on or off, or change its note ({ isActive, note })
+// @access  Private (user:manage)
+router.patch("/rules/:id", requirePermission("user:manage"), accountApprovalController.updateRule)
+
+// @route   DELETE api/account-approvals/rules/:id
+// @desc    Remove a rule
+// @access  Private (user:manage)
+router.delete("/rules/:id", requirePermission("user:manage"), accountApprovalController.deleteRule)
+
+module.exports = router
@@ -22,8 +22,12 @@ const { ObjectId } = mongoose.Types
 const multer = require("multer")
 const path = require("path")
 const fs = require("fs/promises")
-const { validateAdmin, validateToken, validateApiKey } = require("../middleware/auth")
+const { validateToken, validateApiKey } = require("../middleware/auth")
+const { requirePermission } = require("../middleware/permissions")
+const { verifyDeclaredUploads } = require("../middleware/upload-policy")
+const reviewService = require("../services/review.service")
 const logger = require("../utils/logger")
+const { transitionProposalStatus, getStatusHistory } = require("../services/proposal-lifecycle.service")
 
 // Configure file storage for proposal attachments
 const storage = multer.diskStorage({
@@ -355,16 +359,7 @@ router.get("/", async (req, res) => {
                             <div class="bg-white border border-gray-200 rounded-lg p-4 hover:shadow-md transition-shadow duration-200">
                                 <h3 class="font-semibold text-gray-800 text-lg mb-2" x-text="table.name"></h3>
                                 <p class="text-gray-600 text-sm mb-3" x-text="'Records: ' + table.count"></p>
-                                <div class="flex space-x-2">
-                                    <button @click="viewTableData(table.name, 'mysql')" 
-                                            class="bg-blue-100 hover:bg-blue-200 text-blue-700 px-3 py-1 rounded text-sm transition-colors duration-200">
-                                        <i class="fas fa-eye mr-1"></i>View Data
-                                    </button>
-                                    <button @click="viewTableSchema(table.name, 'mysql')" 
-                                            class="bg-green-100 hover:bg-green-200 text-green-700 px-3 py-1 rounded text-sm transition-colors duration-200">
-                                        <i class="fas fa-table mr-1"></i>Schema
-                                    </button>
-                                </div>
+                                <p class="text-xs text-gray-500">Browse records in the admin settings data explorer</p>
                             </div>
                         </template>
                     </div>
@@ -389,16 +384,7 @@ router.get("/", async (req, res) => {
                             <div class="bg-white border border-gray-200 rounded-lg p-4 hover:shadow-md transition-shadow duration-200">
                                 <h3 class="font-semibold text-gray-800 text-lg mb-2" x-text="collection.name"></h3>
                                 <p class="text-gray-600 text-sm mb-3" x-text="'Documents: ' + collection.count"></p>
-                                <div class="flex space-x-2">
-                                    <button @click="viewTableData(collection.name, 'mongodb')" 
-                                            class="bg-green-100 hover:bg-green-200 text-green-700 px-3 py-1 rounded text-sm transition-colors duration-200">
-                                        <i class="fas fa-eye mr-1"></i>View Data
-                                    </button>
-                                    <button @click="viewTableSchema(collection.name, 'mongodb')" 
-                                            class="bg-blue-100 hover:bg-blue-200 text-blue-700 px-3 py-1 rounded text-sm transition-colors duration-200">
-                                        <i class="fas fa-file-code mr-1"></i>Schema
-                                    </button>
-                                </div>
+                                <p class="text-xs text-gray-500">Browse records in the admin settings data explorer</p>
                             </div>
                         </template>
                     </div>
@@ -437,111 +423,6 @@ router.get("/", async (req, res) => {
             </div>
         </div>
 
-        <!-- Data Viewer Modal -->
-        <div x-show="showDataModal" 
-             x-transition:enter="transition ease-out duration-300" 
-             x-transition:enter-start="opacity-0" 
-             x-transition:enter-end="opacity-100"
-             x-transition:leave="transition ease-in duration-200"
-             x-transition:leave-start="opacity-100" 
-             x-transition:leave-end="opacity-0"
-             class="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50" 
-             style="display: none;">
-            
-            <div class="relative top-20 mx-auto p-5 border w-11/12 max-w-6xl shadow-lg rounded-md bg-white">
-                <!-- Modal Header -->
-                <div class="flex items-center justify-between border-b pb-3 mb-4">
-                    <h3 class="text-2xl font-bold text-gray-900" x-text="modalTitle"></h3>
-                    <button @click="closeDataModal()" class="text-gray-400 hover:text-gray-600">
-                        <i class="fas fa-times text-xl"></i>
-                    </button>
-                </div>
-                
-                <!-- Modal Content -->
-                <div class="max-h-96 overflow-y-auto">
-                    <!-- Loading State -->
-                    <div x-show="modalLoading" class="text-center py-8">
-                        <i class="fas fa-spinner fa-spin text-3xl text-blue-600 mb-4"></i>
-                        <p class="text-gray-600">Loading data...</p>
-                    </div>
-                    
-                    <!-- Error State -->
-                    <div x-show="modalError && !modalLoading" class="text-center py-8">
-                        <i class="fas fa-exclamation-triangle text-3xl text-red-600 mb-4"></i>
-                        <p class="text-red-600" x-text="modalError"></p>
-                    </div>
-                    
-                    <!-- Data Table -->
-                    <div x-show="modalData.length > 0 && !modalLoading && !modalError">
-                        <div class="mb-4 flex justify-between items-center">
-                            <p class="text-sm text-gray-600" x-text="'Showing ' + modalData.length + ' records'"></p>
-                            <div class="flex space-x-2">
-                                <button @click="exportModalData('json')" 
-                                        class="bg-blue-100 hover:bg-blue-200 text-blue-700 px-3 py-1 rounded text-sm">
-                                    <i class="fas fa-download mr-1"></i>JSON
-                                </button>
-                                <button @click="exportModalData('csv')" 
-                                        class="bg-green-100 hover:bg-green-200 text-green-700 px-3 py-1 rounded text-sm">
-                                    <i class="fas fa-file-csv mr-1"></i>CSV
-                                </button>
-                            </div>
-                        </div>
-                        
-                        <div class="overflow-x-auto">
-                            <table class="min-w-full bg-white border border-gray-200">
-                                <thead class="bg-gray-50">
-                                    <tr>
-                                        <template x-for="(value, key) in modalData[0]" :key="key">
-                                            <th class="px-3 py-2 border-b text-left text-xs font-medium text-gray-500 uppercase tracking-wider" x-text="key"></th>
-                                        </template>
-                                    </tr>
-                                </thead>
-                                <tbody class="divide-y divide-gray-200">
-                                    <template x-for="(row, index) in modalData" :key="index">
-                                        <tr class="hover:bg-gray-50">
-                                            <template x-for="(value, key) in row" :key="key">
-                                                <td class="px-3 py-2 border-b text-sm text-gray-900 break-words max-w-xs" 
-                                                    x-text="typeof value === 'object' ? JSON.stringify(value) : value"></td>
-                                            </template>
-                                        </tr>
-                                    </template>
-                                </tbody>
-                            </table>
-                        </div>
-                        
-                        <!-- Pagination -->
-                        <div x-show="modalPagination" class="mt-4 flex justify-between items-center">
-                            <div class="text-sm text-gray-600">
-                                <span x-text="'Page ' + modalPagination.page + ' of ' + modalPagination.pages"></span>
-                                <span x-text="' (Total: ' + modalPagination.total + ' records)'"></span>
-                            </div>
-                            <div class="flex space-x-2">
-                                <button @click="loadModalData(modalCurrentTable, modalCurrentType, modalPagination.page - 1)" 
-                                        :disabled="modalPagination.page <= 1"
-                                        :class="modalPagination.page <= 1 ? 'bg-gray-100 text-gray-400' : 'bg-blue-100 hover:bg-blue-200 text-blue-700'"
-                                        class="px-3 py-1 rounded text-sm">
-                                    <i class="fas fa-chevron-left mr-1"></i>Previous
-                                </button>
-                                <button @click="loadModalData(modalCurrentTable, modalCurrentType, modalPagination.page + 1)" 
-                                        :disabled="modalPagination.page >= modalPagination.pages"
-                                        :class="modalPagination.page >= modalPagination.pages ? 'bg-gray-100 text-gray-400' : 'bg-blue-100 hover:bg-blue-200 text-blue-700'"
-                                        class="px-3 py-1 rounded text-sm">
-                                    Next<i class="fas fa-chevron-right ml-1"></i>
-                                </button>
-                            </div>
-                        </div>
-                    </div>
-                    
-                    <!-- Schema View -->
-                    <div x-show="modalSchema && !modalLoading && !modalError">
-                        <div class="bg-gray-50 rounded-lg p-4">
-                            <pre class="text-sm text-gray-800 whitespace-pre-wrap" x-text="modalSchema"></pre>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        </div>
-
         <!-- Footer -->
         <div class="bg-white rounded-lg shadow-md p-6">
             <div class="flex items-center justify-between">
@@ -575,22 +456,7 @@ router.get("/", async (req, res) => {
                 mongoCollections: window.dashboardData.mongoCollections || [],
                 serverUptime: 'Calculating...',
                 
-                // Modal data
-                showDataModal: false,
-                modalTitle: '',
-                modalLoading: false,
-                modalError: null,
-                modalData: [],
-                modalSchema: null,
-                modalPagination: null,
-                modalCurrentTable: '',
-                modalCurrentType: '',
-                
                 apiEndpoints: [
-                    { method: 'GET', url: '/api/db/mysql/users', color: 'green' },
-                    { method: 'GET', url: '/api/db/mysql/users?limit=5', color: 'green' },
-                    { method: 'GET', url: '/api/db/mongodb/proposal_files', color: 'green' },
-                    { method: 'GET', url: '/api/db/mongodb/proposals', color: 'green' },
                     { method: 'GET', url: '/health', color: 'blue' },
                     { method: 'GET', url: '/api/admin/mysql/status', color: 'blue' },
                     { method: 'GET', url: '/api/admin/mongodb/status', color: 'blue' }
@@ -619,149 +485,6 @@ router.get("/", async (req, res) => {
                     this.serverUptime = uptime;
                 },
 
-                // Modal Methods
-                async viewTableData(tableName, type, page = 1) {
-                    this.modalCurrentTable = tableName;
-                    this.modalCurrentType = type;
-                    this.modalTitle = \`\${type.toUpperCase()}: \${tableName} - Data\`;
-                    this.showDataModal = true;
-                    this.modalSchema = null;
-                    
-                    await this.loadModalData(tableName, type, page);
-                },
-
-                async viewTableSchema(tableName, type) {
-                    this.modalCurrentTable = tableName;
-                    this.modalCurrentType = type;
-                    this.modalTitle = \`\${type.toUpperCase()}: \${tableName} - Schema\`;
-                    this.showDataModal = true;
-                    this.modalData = [];
-                    this.modalPagination = null;
-                    
-                    await this.loadModalSchema(tableName, type);
-                },
-
-                async loadModalData(tableName, type, page = 1) {
-                    this.modalLoading = true;
-                    this.modalError = null;
-                    
-                    try {
-                        const url = type === 'mysql' ? 
-                            \`/api/db/mysql/\${tableName}?page=\${page}&limit=10\` : 
-                            \`/api/db/mongodb/\${tableName}?page=\${page}&limit=10\`;
-                            
-                        console.log('Loading data from:', url);
-                        const response = await fetch(url);
-                        
-                        if (!response.ok) {
-                            const errorText = await response.text();
-                            console.error('Error response:', response.status, errorText);
-                            throw new Error(\`Server returned \${response.status}: \${errorText}\`);
-                        }
-                        
-                        const data = await response.json();
-                        console.log('Data loaded successfully:', data);
-                        this.modalData = data.data || [];
-                        this.modalPagination = data.pagination || null;
-                    } catch (error) {
-                        console.error('Error loading data:', error);
-                        this.modalError = 'Error loading data: ' + error.message;
-                        this.modalData = [];
-                        this.modalPagination = null;
-                    } finally {
-                        this.modalLoading = false;
-                    }
-                },
-
-                async loadModalSchema(tableName, type) {
-                    this.modalLoading = true;
-                    this.modalError = null;
-                    
-                    try {
-                        const url = \`/api/db/schema/\${type}\`;
-                        console.log('Loading schema from:', url);
-                        const response = await fetch(url);
-                        
-                        if (!response.ok) {
-                            const errorText = await response.text();
-                            console.error('Schema error response:', response.status, errorText);
-                            throw new Error(\`Server returned \${response.status}: \${errorText}\`);
-                        }
-                        
-                        const data = await response.json();
-                        console.log('Schema loaded successfully:', data);
-                        
-                        // Extract schema for specific table/collection
-                        const specificSchema = data.schema[tableName];
-                        if (specificSchema) {
-                            this.modalSchema = JSON.stringify(specificSchema, null, 2);
-                        } else {
-                            this.modalSchema = JSON.stringify(data.schema, null, 2);
-                        }
-                    } catch (error) {
-                        console.error('Error loading schema:', error);
-                        this.modalError = 'Error loading schema: ' + error.message;
-                        this.modalSchema = null;
-                    } finally {
-                        this.modalLoading = false;
-                    }
-                },
-
-                closeDataModal() {
-                    this.showDataModal = false;
-                    this.modalData = [];
-                    this.modalSchema = null;
-                    this.modalError = null;
-                    this.modalPagination = null;
-                    this.modalCurrentTable = '';
-                    this.modalCurrentType = '';
-                },
-
-                exportModalData(format) {
-                    if (this.modalData.length === 0) {
-                        alert('No data to export');
-                        return;
-                    }
-                    
-                    let content, fileName, mimeType;
-                    
-                    if (format === 'json') {
-                        content = JSON.stringify(this.modalData, null, 2);
-                        fileName = \`\${this.modalCurrentTable}_data.json\`;
-                        mimeType = 'application/json';
-                    } else if (format === 'csv') {
-                        const headers = Object.keys(this.modalData[0] || {});
-                        const csvRows = [headers.join(',')];
-                        
-                        this.modalData.forEach(row => {
-                            const values = headers.map(header => {
-                                const value = row[header];
-                                if (value === null || value === undefined) return '';
-                                if (typeof value === 'object') return JSON.stringify(value);
-                                if (typeof value === 'string' && (value.includes(',') || value.includes('"'))) {
-                                    return '"' + value.replace(/"/g, '""') + '"';
-                                }
-                                return value;
-                            });
-                            csvRows.push(values.join(','));
-                        });
-                        
-                        content = csvRows.join('\\n');
-                        fileName = \`\${this.modalCurrentTable}_data.csv\`;
-                        mimeType = 'text/csv';
-                    }
-                    
-                    const blob = new Blob([content], { type: mimeType });
-                    const url = window.URL.createObjectURL(blob);
-                    const a = document.createElement('a');
-                    a.href = url;
-                    a.download = fileName;
-                    document.body.appendChild(a);
-                    a.click();
-                    document.body.removeChild(a);
-                    window.URL.revokeObjectURL(url);
-                },
-
                 copyToClipboard(text) {
                     navigator.clipboard.writeText(window.location.origin + text).then(() => {
                         alert('URL copied to clipboard!');
@@ -788,11 +511,11 @@ router.get("/", async (req, res) => {
 // ===============================================
 
 // Apply authentication middleware to API routes only
-router.use('/mysql', validateToken, validateAdmin)
-router.use('/mongodb', validateToken, validateAdmin)
-router.use('/proposals', validateToken, validateAdmin)
-router.use('/dashboard', validateToken, validateAdmin)
-router.use('/reports', validateToken, validateAdmin)
+router.use('/mysql', validateToken, requirePermission('system:manage'))
+router.use('/mongodb', validateToken, requirePermission('system:manage'))
+router.use('/proposals', validateToken, requirePermission('dashboard:admin'))
+router.use('/dashboard', validateToken, requirePermission('dashboard:admin'))
+router.use('/reports', validateToken, requirePermission('dashboard:admin'))
 
 // ===============================================
 // MYSQL STATUS AND DATA ENDPOINTS  
@@ -862,38 +585,8 @@ router.get('/mysql/tables', async (req, res) => {
     }
 });
 
-/**
- * @route GET /api/admin/mysql/table/:name
- * @desc Get data from specific MySQL table
- * @access Private (Admin)
- */
-router.get('/mysql/table/:name', async (req, res) => {
-    try {
-        const { name } = req.params;
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
-        const offset = (page - 1) * limit;
-
-        const [rows] = await pool.query(`SELECT * FROM ?? LIMIT ? OFFSET ?`, [name, limit, offset]);
-        const [countResult] = await pool.query(`SELECT COUNT(*) as total FROM ??`, [name]);
-
-        res.json({
-            success: true,
-            data: rows,
-            pagination: {
-                page,
-                limit,
-                total: countResult[0].total,
-                pages: Math.ceil(countResult[0].total / limit)
-            }
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
-    }
-});
+// Table contents are browsed through the data explorer (/api/data-explorer), which
+// whitelists tables, redacts sensitive columns and audits every read
 
 // ===============================================
 // MONGODB STATUS AND DATA ENDPOINTS
@@ -978,49 +671,6 @@ router.get('/mongodb/collections', async (req, res) => {
     }
 });
 
-/**
- * @route GET /api/admin/mongodb/collection/:name
- * @desc Get data from specific MongoDB collection
- * @access Private (Admin)
- */
-router.get('/mongodb/collection/:name', async (req, res) => {
-    try {
-        const { name } = req.params;
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
-        const skip = (page - 1) * limit;
-
-        if (mongoose.connection.readyState !== 1) {
-            return res.status(500).json({
-                success: false,
-                error: 'MongoDB connection not ready'
-            });
-        }
-
-        const db = mongoose.connection.db;
-        const collection = db.collection(name);
-
-        const documents = await collection.find({}).skip(skip).limit(limit).toArray();
-        const total = await collection.countDocuments();
-
-        res.json({
-            success: true,
-            data: documents,
-            pagination: {
-                page,
-                limit,
-                total,
-                pages: Math.ceil(total / limit)
-            }
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
-    }
-});
-
 // ===============================================
 // PROPOSAL MANAGEMENT ENDPOINTS
 // ===============================================
@@ -1168,10 +818,7 @@ router.get("/proposals/:id", async (req, res, next) => {
         }
 
         // Get approval history
-        const [history] = await pool.query(
-            "SELECT * FROM proposal_status_history WHERE proposalId = ? ORDER BY timestamp DESC",
-            [id],
-        )
+        const history = await getStatusHistory(id)
 
         res.json({
             success: true,
@@ -1192,78 +839,35 @@ router.get("/proposals/:id", async (req, res, next) => {
  * @access Private (Admin)
  */
 router.patch("/proposals/:id/status", async (req, res, next) => {
-    const connection = await pool.getConnection()
-
     try {
-        await connection.beginTransaction()
-
         const { id } = req.params
-        const { status, adminComments } = req.body
-        const adminId = req.user.id // From auth middleware
-
-        if (!["approved", "denied", "pending", "rejected"].includes(status)) {
-            return res.status(400).json({
-                success: false,
-                error: "Invalid status value",
-            })
-        }
-
-        // Update proposal status
-        const [updateResult] = await connection.query(
-            "UPDATE proposals SET status = ?, adminComments = ?, updatedAt = NOW() WHERE id = ?",
-            [status, adminComments || null, id],
-        )
-
-        if (updateResult.affectedRows === 0) {
-            await connection.rollback()
-            return res.status(404).json({
-                success: false,
-                error: "Proposal not found",
-            })
-        }
-
-        // Record status change in history
-        await connection.query(
-            "INSERT INTO proposal_status_history (proposalId, status, adminId, comments, timestamp) VALUES (?, ?, ?, ?, NOW())",
-            [id, status, adminId, adminComments || null],
-        )
-
-        // If approved, update user credits if applicable
-        if (status === "approved") {
-            const [proposals] = await connection.query("SELECT userId, eventType, creditValue FROM proposals WHERE id = ?", [
-                id,
-            ])
-
-            if (proposals.length > 0 && proposals[0].userId && proposals[0].creditValue) {
-                await connection.query("UPDATE users SET sdpCredits = sdpCredits + ? WHERE id = ?", [
-                    proposals[0].creditValue,
-                    proposals[0].userId,
-                ])
-
-                // Log credit award
-                await connection.query(
-                    "INSERT INTO credit_logs (userId, proposalId, credits, reason, timestamp) VALUES (?, ?, ?, ?, NOW())",
-                    [proposals[0].userId, id, proposals[0].creditValue, `Proposal approved: ${proposals[0].eventType} `],
-                )
-            }
-        }
-
-        await connection.commit()
-
-        // Send notification to user (implementation depends on your notification system)
-        // This could be a database entry, email, or push notification
+        const { status, adminComments, reason, overrideConflicts } = req.body
+
+        // The lifecycle engine validates the transition and records who made it and why
+        const transition = await transitionProposalStatus(id, status, {
+            actor: req.user,
+            reason: reason || adminComments,
+            source: `${req.method} ${req.baseUrl}${req.route.path}`,
+            overrideConflicts: Boolean(overrideConflicts),
+        })
 
         res.json({
             success: true,
-            message: `Proposal ${status} successfully`,
+            message: `Proposal ${transition.to} successfully`,
             proposalId: id,
-            status,
+            status: transition.to,
+            previousStatus: transition.from,
         })
     } catch (error) {
-        await connection.rollback()
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+                allowed: error.allowed,
+                conflicts: error.conflicts,
+            })
+        }
         next(error)
-    } finally {
-        connection.release()
     }
 })
 
@@ -1275,41 +879,23 @@ router.patch("/proposals/:id/status", async (req, res, next) => {
 router.post("/proposals/:id/comment", async (req, res, next) => {
     try {
         const { id } = req.params
-        const { comment } = req.body
-        const adminId = req.user.id // From auth middleware
-
-        if (!comment || comment.trim() === "") {
-            return res.status(400).json({
-                success: false,
-                error: "Comment cannot be empty",
-            })
-        }
-
-        // Add comment to proposal
-        const [updateResult] = await pool.query(
-            'UPDATE proposals SET adminComments = CONCAT(IFNULL(adminComments, ""), ?, "\n"), updatedAt = NOW() WHERE id = ?',
-            [`[${new Date().toISOString()}] ${comment} `, id],
-        )
-
-        if (updateResult.affectedRows === 0) {
-            return res.status(404).json({
-                success: false,
-                error: "Proposal not found",
-            })
-        }
 
-        // Record comment in history
-        await pool.query(
-            "INSERT INTO proposal_comments (proposalId, adminId, comment, timestamp) VALUES (?, ?, ?, NOW())",
-            [id, adminId, comment],
-        )
+        // Same thread the review dialog reads (proposal_comments)
+        const comment = await reviewService.addComment(id, req.user, req.body || {})
 
         res.json({
             success: true,
             message: "Comment added successfully",
             proposalId: id,
+            comment,
         })
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            })
+        }
         next(error)
     }
 })
@@ -1364,13 +950,13 @@ router.get("/proposals/:id/download/:fileType", async (req, res, next) => {
 
 /**
  * @route POST /api/admin/proposals/:id/files
- * @desc Upload files for a proposal
+ * @desc Upload files for a proposal; `fileTypes` lists each file's document type
+ *       (gpoa, proposal, ...) in upload order and each file is checked against it
  * @access Private (Admin)
  */
-router.post("/proposals/:id/files", upload.array("files", 5), async (req, res, next) => {
+router.post("/proposals/:id/files", upload.array("files", 5), verifyDeclaredUploads("fileTypes"), async (req, res, next) => {
     try {
         const { id } = req.params
-        const { fileTypes } = req.body
 
         if (!req.files || req.files.length === 0) {
             return res.status(400).json({
@@ -1379,22 +965,6 @@ router.post("/proposals/:id/files", upload.array("files", 5), async (req, res, n
             })
         }
 
-        if (!fileTypes || typeof fileTypes !== "string") {
-            return res.status(400).json({
-                success: false,
-                error: "File types must be provided",
-            })
-        }
-
-        const fileTypeArray = fileTypes.split(",")
-
-        if (fileTypeArray.length !== req.files.length) {
-            return res.status(400).json({
-                success: false,
-                error: "File types count must match uploaded files count",
-            })
-        }
-
         // Check if proposal exists
         const [proposals] = await pool.query("SELECT id FROM proposals WHERE id = ?", [id])
 
@@ -1406,10 +976,10 @@ router.post("/proposals/:id/files", upload.array("files", 5), async (req, res, n
         }
 
         // Save file information to database
-        const fileInserts = req.files.map((file, index) => {
+        const fileInserts = req.files.map((file) => {
             return pool.query(
                 "INSERT INTO proposal_files (proposalId, fileType, fileName, filePath, uploadedBy, uploadedAt) VALUES (?, ?, ?, ?, ?, NOW())",
-                [id, fileTypeArray[index], file.originalname, file.path, req.user.id],
+                [id, file.documentType, file.originalname, file.path, req.user.id],
             )
         })
 
@@ -1418,9 +988,9 @@ router.post("/proposals/:id/files", upload.array("files", 5), async (req, res, n
         res.json({
             success: true,
             message: "Files uploaded successfully",
-            files: req.files.map((file, index) => ({
+            files: req.files.map((file) => ({
                 name: file.originalname,
-                type: fileTypeArray[index],
+                type: file.documentType,
                 size: file.size,
             })),
         })
@@ -1669,7 +1239,7 @@ router.get("/reports/proposals", async (req, res, next) => {
  * GET /api/admin/stats
  * Admin dashboard statistics endpoint
  */
-router.get('/stats', validateToken, validateAdmin, async (req, res) => {
+router.get('/stats', validateToken, requirePermission('dashboard:admin'), async (req, res) => {
     try {
         console.log('Admin stats endpoint hit by user:', req.user?.id);
 
@@ -1716,7 +1286,7 @@ router.get('/stats', validateToken, validateAdmin, async (req, res) => {
  * GET /api/admin/users
  * Get all users for admin management
  */
-router.get('/users', validateToken, validateAdmin, async (req, res) => {
+router.get('/users', validateToken, requirePermission('user:view'), async (req, res) => {
     try {
         const [users] = await pool.query(`
       SELECT 
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const attendanceController = require('../controllers/attendance.controller');
+const { attendanceSheetUpload } = require('../config/multer.config');
+const { validateToken } = require('../middleware/auth');
+const { verifyUploads } = require('../middleware/upload-policy');
+const { DOCUMENT_POLICIES } = require('../services/upload-policy.service');
+
+/**
+ * Attendance imports
+ * ------------------
+ * Organizers upload the final attendance sheet (CSV / XLSX) of their event,
+ * review how its columns and rows were read, then confirm to store the
+ * attendees in event_attendees. Both steps take the file as "attendance_file"
+ * plus an optional "mapping" JSON override such as {"email":"Gbox Account"}.
+ */
+
+// Turn multer's file-type / size errors into 400s instead of the global 500 handler
+const receiveSheet = (req, res, next) => {
+    attendanceSheetUpload(req, res, (error) => {
+        if (!error) return next();
+        const message = error.code === 'LIMIT_FILE_SIZE' ? `Attendance files must be ${DOCUMENT_POLICIES.attendance.maxSize / (1024 * 1024)}MB or smaller` : error.message;
+        return res.status(400).json({ success: false, error: message });
+    });
+};
+
+// The sheet's contents must match its extension (a real CSV or .xlsx workbook)
+const verifySheet = verifyUploads({ attendance_file: 'attendance' });
+
+// POST /api/attendance/:proposalId/import/preview  (nothing is saved)
+router.post('/:proposalId/import/preview', validateToken, receiveSheet, verifySheet, attendanceController.previewImport);
+
+// POST /api/attendance/:proposalId/import/confirm  (replaces earlier imports, recounts attendance_count)
+router.post('/:proposalId/import/confirm', validateToken, receiveSheet, verifySheet, attendanceController.confirmImport);
+
+module.exports = router;
@@ -6,7 +6,6 @@ const bcrypt = require("bcryptjs")
 // const jwt = require("jsonwebtoken") // Not directly used here for /google route
 const { pool } = require("../config/db")
 const authMiddleware = require("../middleware/auth")
-// const checkRole = require("../middleware/roles") // Not directly used here for /google route
 // const axios = require("axios") // Not directly used here for /google route
 // const validate = require("../middleware/validation") // Not directly used here for /google route
 const sessionManager = require("../middleware/session")
@@ -14,6 +13,11 @@ const sessionManager = require("../middleware/session")
 const { verifyGoogleToken } = require("../utils/googleAuth")
 const { createAssessment } = require('../utils/recaptchaAssessment');
 const { verifyRecaptchaToken } = require('../utils/recaptcha');
+const { rateLimiters } = require('../middleware/performance');
+const passwordResetService = require('../services/password-reset.service');
+const { permissionsFor } = require('../services/permission.service');
+const accountApprovalService = require('../services/account-approval.service');
+const whitelistService = require('../services/whitelist.service');
 
 const ROLES = {
   STUDENT: "student",
@@ -23,46 +27,13 @@ const ROLES = {
   REVIEWER: "reviewer",
 }
 
+// Dashboard per role; permissions come from the registry (services/permission.service.js)
 const roleAccess = {
-  [ROLES.STUDENT]: {
-    dashboard: "/student-dashboard",
-    permissions: ["view_own_profile", "submit_requests", "view_own_requests"],
-  },
-  [ROLES.HEAD_ADMIN]: {
-    dashboard: "/admin-dashboard",
-    permissions: [
-      "view_all_users",
-      "manage_users",
-      "view_all_requests",
-      "manage_system",
-      "approve_students",
-      "view_all_proposals",
-      "manage_all_proposals",
-      "assign_reviewers",
-      "manage_reviews",
-    ],
-  },
-  [ROLES.MANAGER]: {
-    dashboard: "/admin-dashboard",
-    permissions: [
-      "view_student_requests",
-      "manage_student_requests",
-      "view_own_profile",
-      "approve_students",
-      "view_all_proposals",
-      "manage_all_proposals",
-      "assign_reviewers",
-      "manage_reviews",
-    ],
-  },
-  [ROLES.PARTNER]: {
-    dashboard: "/student-dashboard",
-    permissions: ["view_own_profile", "submit_requests", "view_own_requests"],
-  },
-  [ROLES.REVIEWER]: {
-    dashboard: "/admin-dashboard",
-    permissions: ["view_all_proposals", "view_assigned_proposals", "submit_reviews"],
-  },
+  [ROLES.STUDENT]: { dashboard: "/student-dashboard" },
+  [ROLES.HEAD_ADMIN]: { dashboard: "/admin-dashboard" },
+  [ROLES.MANAGER]: { dashboard: "/admin-dashboard" },
+  [ROLES.PARTNER]: { dashboard: "/student-dashboard" },
+  [ROLES.REVIEWER]: { dashboard: "/admin-dashboard" },
 }
 
 // GOOGLE_CLIENT_ID_BACKEND is used by utils/googleAuth.js, ensure it's set in your .env
@@ -130,15 +101,18 @@ router.post('/login', async (req, res, next) => {
     console.log(`Backend [/login]: Password match for user: ${email}. Checking approval status...`);
     if (!user.is_approved) {
       console.warn(`Backend [/login] Authorization Denied: User ${user.id} (Email: ${email}) IS NOT APPROVED.`);
+      // Pending or rejected (with the reason); password sign-in never auto-approves since the address is unverified
+      return res.status(403).json(accountApprovalService.signInBlock(user));
+    }
+
+    // Temporary passwords (e.g. new managers) must be replaced before a session is issued
+    if (user.password_reset_required) {
+      console.warn(`Backend [/login]: User ${user.id} (Email: ${email}) must set a new password first.`);
+      const resetToken = await passwordResetService.issueToken(user.id);
       return res.status(403).json({
-        message: "Account pending approval. Please contact an administrator.",
-        reason: "USER_NOT_APPROVED",
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          is_approved: Boolean(user.is_approved),
-        }
+        message: "You must set a new password before signing in.",
+        reason: "PASSWORD_RESET_REQUIRED",
+        resetToken,
       });
     }
 
@@ -160,7 +134,7 @@ router.post('/login', async (req, res, next) => {
         is_approved: Boolean(user.is_approved),
         google_id: user.google_id, // Include google_id if available
         dashboard: roleAccess[user.role]?.dashboard,
-        permissions: roleAccess[user.role]?.permissions,
+        permissions: permissionsFor(user.role),
       },
     });
   } catch (error) {
@@ -273,15 +247,38 @@ router.post("/google", async (req, res, next) => {
       }
 
       if (!user) {
-        // For security: Only allow existing users to sign in with Google
-        // Do not create new users automatically to prevent unauthorized data storage
-        console.log(`Backend [/google]: User ${email} not found in system. Rejecting Google sign-in attempt.`);
+        // Only whitelisted, Google-verified addresses get an account on first sign-in
+        try {
+          user = await whitelistService.provisionGoogleUser({
+            email,
+            name,
+            picture,
+            googleId,
+            emailVerified: email_verified === true || email_verified === "true",
+          });
+        } catch (dbError) {
+          console.error("Backend [/google] DB Error: Error provisioning whitelisted user:", dbError.message);
+          return res.status(500).json({
+            message: "Could not create your account. Please try again later.",
+            error: process.env.NODE_ENV === "development" ? dbError.message : undefined,
+            reason: "DB_PROVISION_FAILED"
+          });
+        }
+        if (user) {
+          isNewUser = true;
+          console.log(`Backend [/google]: Created user ${user.id} (${user.role}) from the whitelist entry for ${email}.`);
+        }
+      }
+
+      if (!user) {
+        // For security: Only existing or whitelisted users may sign in with Google
+        console.log(`Backend [/google]: User ${email} not found in system or whitelist. Rejecting Google sign-in attempt.`);
         return res.status(403).json({
           message: "Account not found. Please contact an administrator to create your account first.",
           reason: "USER_NOT_FOUND",
           email: email // Optional: include email for admin reference
         });
-      } else {
+      } else if (!isNewUser) {
         // User found by email - link Google ID if not already linked
         console.log(`Backend [/google]: Linking Google ID ${googleId} to existing user ${user.id} (Email: ${email})`);
         try {
@@ -324,20 +321,13 @@ router.post("/google", async (req, res, next) => {
       }
     }
 
+    // Pending students with a Google-verified address covered by an auto-approval rule are approved here
+    user = await accountApprovalService.applyAutoApproval(user, { emailVerified: email_verified === true || email_verified === "true" });
+
     console.log(`Backend [/google]: Checking approval status for User ID: ${user.id}, Email: ${user.email}. Is Approved: ${user.is_approved}`);
     if (!user.is_approved) {
       console.warn(`Backend [/google] Authorization Denied: User ${user.id} (Email: ${user.email}) IS NOT APPROVED.`);
-      return res.status(403).json({
-        message: "Account pending approval. Please contact an administrator.",
-        reason: "USER_NOT_APPROVED",
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          avatar: user.avatar,
-          is_approved: Boolean(user.is_approved),
-        }
-      });
+      return res.status(403).json(accountApprovalService.signInBlock(user));
     }
 
     console.log(`Backend [/google]: User ${user.id} (Email: ${email}) IS APPROVED. Generating app token.`);
@@ -358,7 +348,7 @@ router.post("/google", async (req, res, next) => {
         is_approved: Boolean(user.is_approved),
         google_id: user.google_id,
         dashboard: roleAccess[user.role]?.dashboard,
-        permissions: roleAccess[user.role]?.permissions,
+        permissions: permissionsFor(user.role),
       },
     });
 
@@ -370,6 +360,44 @@ router.post("/google", async (req, res, next) => {
   }
 });
 
+/**
+ * Request a password reset link
+ * @route POST /auth/forgot-password
+ * Always answers the same way so registered addresses cannot be discovered.
+ */
+router.post('/forgot-password', rateLimiters.passwordResetRequest, async (req, res, next) => {
+  try {
+    await passwordResetService.requestReset(req.body.email);
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent.' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Backend [/forgot-password] Error:', error);
+    next(error);
+  }
+});
+
+/**
+ * Set a new password with a reset token
+ * @route POST /auth/reset-password
+ */
+router.post('/reset-password', rateLimiters.passwordReset, async (req, res, next) => {
+  const { token, password } = req.body;
+
+  try {
+    const user = await passwordResetService.resetPassword(token, password);
+    await sessionManager.logAccess(user.id, user.role, "password_reset");
+    res.json({ message: 'Your password has been reset. You can now sign in.' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, reason: error.reason });
+    }
+    console.error('Backend [/reset-password] Error:', error);
+    next(error);
+  }
+});
+
 /**
  * Logout Endpoint
  * @route POST /auth/logout
@@ -433,10 +461,7 @@ router.get('/me', async (req, res, next) => {
     }
 
     if (!user.is_approved) {
-      return res.status(403).json({
-        message: 'Account pending approval',
-        reason: 'USER_NOT_APPROVED'
-      });
+      return res.status(403).json(accountApprovalService.signInBlock(user));
     }
 
     res.json({
@@ -451,7 +476,7 @@ router.get('/me', async (req, res, next) => {
         is_approved: Boolean(user.is_approved),
         google_id: user.google_id,
         dashboard: roleAccess[user.role]?.dashboard,
-        permissions: roleAccess[user.role]?.permissions,
+        permissions: permissionsFor(user.role),
       },
     });
   } catch (error) {
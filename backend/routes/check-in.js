@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const checkInController = require('../controllers/check-in.controller');
+const { validateToken } = require('../middleware/auth');
+
+/**
+ * Event check-in
+ * --------------
+ * Organizers display a signed, time-limited QR code for their approved event;
+ * students scan it from the dashboard to record their attendance. New
+ * check-ins are pushed to the organizer's roster over GET /api/stream
+ * (`attendance.check_in`).
+ */
+
+// POST /api/check-in  { code, scannedAt? }  (scannedAt for scans queued while offline)
+router.post('/', validateToken, checkInController.checkIn);
+
+// GET /api/check-in/events  (approved events with check-in open now or later)
+router.get('/events', validateToken, checkInController.listEvents);
+
+// GET /api/check-in/events/:proposalId/code?printable=true
+router.get('/events/:proposalId/code', validateToken, checkInController.issueCode);
+
+// GET /api/check-in/events/:proposalId/roster
+router.get('/events/:proposalId/roster', validateToken, checkInController.getRoster);
+
+module.exports = router;
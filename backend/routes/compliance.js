@@ -1,313 +1,86 @@
 const express = require("express")
 const router = express.Router()
-const { body, validationResult } = require("express-validator")
-const multer = require("multer")
-const path = require("path")
-const fs = require("fs")
-const Proposal = require("../models/Proposal")
-const User = require("../models/User")
-const { validateToken, validateAdmin } = require("../middleware/auth")
-const checkRole = require("../middleware/checkRole")
-const nodemailer = require("nodemailer")
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const dir = "uploads/compliance"
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true })
-    }
-    cb(null, dir)
-  },
-  filename: (req, file, cb) => {
-    cb(null, `${Date.now()}-${file.originalname}`)
-  },
-})
-
-const upload = multer({
-  storage: storage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = [".pdf", ".doc", ".docx", ".jpg", ".jpeg", ".png", ".xlsx", ".xls", ".zip"]
-    const ext = path.extname(file.originalname).toLowerCase()
-    if (!allowedTypes.includes(ext)) {
-      return cb(new Error("Invalid file type. Only PDF, DOC, DOCX, JPG, PNG, XLSX, XLS, and ZIP are allowed."))
-    }
-    cb(null, true)
-  },
-})
-
-// Configure nodemailer
-const transporter = nodemailer.createTransport({
-  service: process.env.EMAIL_SERVICE || "gmail",
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASSWORD,
-  },
-})
+const { complianceDocumentUpload } = require("../config/multer.config")
+const { validateToken } = require("../middleware/auth")
+const { verifyUploads } = require("../middleware/upload-policy")
+const complianceController = require("../controllers/compliance.controller")
+
+/**
+ * Compliance
+ * ----------
+ * Compliance documents checklist, deadlines and status of approved proposals,
+ * stored on the MySQL proposals (services/compliance.service.js) and
+ * report deadlines / submission overrides (services/compliance-deadline.service.js).
+ * Students only ever see their own proposals; access is checked in the services.
+ */
+
+// Turn multer's file-type / size errors into 400s instead of the global 500 handler
+const receiveDocuments = (req, res, next) => {
+  complianceDocumentUpload(req, res, (error) => {
+    if (!error) return next()
+    const message = error.code === "LIMIT_FILE_SIZE" ? "Compliance documents must be 5MB or smaller" : error.message
+    return res.status(400).json({ success: false, error: message })
+  })
+}
 
 // @route   GET api/compliance
-// @desc    Get all proposals with compliance requirements
-// @access  Private
-router.get("/", validateToken, async (req, res) => {
-  try {
-    const query = { status: "approved" }
-
-    // Filter by compliance status if provided
-    if (req.query.complianceStatus) {
-      query.complianceStatus = req.query.complianceStatus
-    }
-
-    // If user is a partner, only show their proposals
-    if (req.user.role === "partner") {
-      query.submitter = req.user.id
-    }
+// @desc    Approved proposals with their compliance checklist (?status=pending|compliant|overdue)
+// @access  Private (staff: all, students: their own)
+router.get("/", validateToken, complianceController.listCompliance)
 
-    const proposals = await Proposal.find(query)
-      .populate("submitter", "name email organization")
-      .sort({ complianceDueDate: 1 })
+// @route   GET api/compliance/overdue
+// @desc    Proposals whose compliance deadline has passed
+// @access  Private (Staff only)
+router.get("/overdue", validateToken, complianceController.listOverdue)
 
-    res.json(proposals)
-  } catch (err) {
-    console.error(err.message)
-    res.status(500).send("Server error")
-  }
-})
+// @route   GET api/compliance/stats
+// @desc    Compliance counts and rate across approved proposals
+// @access  Private (Staff only)
+router.get("/stats", validateToken, complianceController.getStats)
 
-// @route   POST api/compliance/:proposalId/documents
-// @desc    Submit compliance documents
+// @route   GET api/compliance/deadlines
+// @desc    Outstanding accomplishment reports with their deadlines (staff: all, students: their own)
 // @access  Private
-router.post("/:proposalId/documents", [validateToken, upload.array("documents", 5)], async (req, res) => {
-  try {
-    const proposal = await Proposal.findById(req.params.proposalId)
-
-    if (!proposal) {
-      return res.status(404).json({ msg: "Proposal not found" })
-    }
-
-    // Check if user has permission to update this proposal
-    if (req.user.role === "partner" && proposal.submitter.toString() !== req.user.id) {
-      return res.status(403).json({ msg: "Not authorized to update this proposal" })
-    }
-
-    // Check if proposal is approved
-    if (proposal.status !== "approved") {
-      return res.status(400).json({ msg: "Only approved proposals can have compliance documents" })
-    }
-
-    // Process uploaded files
-    if (req.files && req.files.length > 0) {
-      // Get document types from request
-      const documentTypes = req.body.documentTypes ? JSON.parse(req.body.documentTypes) : []
-
-      if (documentTypes.length !== req.files.length) {
-        return res.status(400).json({ msg: "Document types must match the number of uploaded files" })
-      }
-
-      // Update compliance documents
-      req.files.forEach((file, index) => {
-        const docType = documentTypes[index]
-        const docIndex = proposal.complianceDocuments.findIndex((doc) => doc.name === docType)
-
-        if (docIndex !== -1) {
-          // Update existing document
-          proposal.complianceDocuments[docIndex].submitted = true
-          proposal.complianceDocuments[docIndex].submittedAt = Date.now()
-          proposal.complianceDocuments[docIndex].path = file.path
-        } else {
-          // Add new document
-          proposal.complianceDocuments.push({
-            name: docType,
-            path: file.path,
-            required: false,
-            submitted: true,
-            submittedAt: Date.now(),
-          })
-        }
-      })
-
-      // Check if all required documents are submitted
-      const allRequiredSubmitted = proposal.complianceDocuments
-        .filter((doc) => doc.required)
-        .every((doc) => doc.submitted)
-
-      if (allRequiredSubmitted) {
-        proposal.complianceStatus = "compliant"
-      }
-
-      await proposal.save()
-
-      // Notify reviewers
-      const reviewers = await User.find({ role: "reviewer" })
-
-      reviewers.forEach((reviewer) => {
-        const mailOptions = {
-          from: process.env.EMAIL_USER,
-          to: reviewer.email,
-          subject: `Compliance Documents Submitted for "${proposal.title}"`,
-          text: `Hello ${reviewer.name},\n\nCompliance documents have been submitted for the proposal titled "${proposal.title}".\n\nPlease log in to the system to review these documents.\n\nRegards,\nCEDO Team`,
-        }
-
-        transporter.sendMail(mailOptions, (error, info) => {
-          if (error) {
-            console.log("Email error:", error)
-          } else {
-            console.log("Email sent:", info.response)
-          }
-        })
-      })
-    }
+router.get("/deadlines", validateToken, complianceController.listDeadlines)
+
+// @route   POST api/compliance/deadlines/run
+// @desc    Run the daily reminder / overdue check now
+// @access  Private (Staff only)
+router.post("/deadlines/run", validateToken, complianceController.runCheck)
+
+// @route   GET api/compliance/overrides
+// @desc    Organizations currently allowed to submit despite overdue reports
+// @access  Private (Staff only)
+router.get("/overrides", validateToken, complianceController.listOverrides)
+
+// @route   POST api/compliance/overrides
+// @desc    Let an organization with overdue reports submit new proposals until a date
+// @access  Private (Head admin and managers only)
+router.post("/overrides", validateToken, complianceController.grantOverride)
+
+// @route   DELETE api/compliance/overrides/:id
+// @desc    Revoke an override early
+// @access  Private (Head admin and managers only)
+router.delete("/overrides/:id", validateToken, complianceController.revokeOverride)
+
+// @route   GET api/compliance/documents/:documentId/file
+// @desc    Download an uploaded compliance document
+// @access  Private (owner and staff)
+router.get("/documents/:documentId/file", validateToken, complianceController.downloadDocument)
+
+// @route   GET api/compliance/:proposalId
+// @desc    One proposal's checklist, deadline, status and manual status changes
+// @access  Private (owner and staff)
+router.get("/:proposalId", validateToken, complianceController.getCompliance)
 
-    res.json(proposal)
-  } catch (err) {
-    console.error(err.message)
-    if (err.kind === "ObjectId") {
-      return res.status(404).json({ msg: "Proposal not found" })
-    }
-    res.status(500).send("Server error")
-  }
-})
+// @route   POST api/compliance/:proposalId/documents
+// @desc    Submit compliance documents ("documents" files plus a "documentTypes" JSON array)
+// @access  Private (owner and staff)
+router.post("/:proposalId/documents", validateToken, receiveDocuments, verifyUploads({ documents: "compliance" }), complianceController.uploadDocuments)
 
 // @route   PUT api/compliance/:proposalId/status
-// @desc    Update compliance status
-// @access  Private (Admins and Reviewers only)
-router.put(
-  "/:proposalId/status",
-  [
-    validateToken,
-    checkRole(["admin", "reviewer"]),
-    [body("status", "Status is required").isIn(["pending", "compliant", "overdue"]), body("comment").optional()],
-  ],
-  async (req, res) => {
-    // Validate request
-    const errors = validationResult(req)
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() })
-    }
-
-    try {
-      const proposal = await Proposal.findById(req.params.proposalId)
-
-      if (!proposal) {
-        return res.status(404).json({ msg: "Proposal not found" })
-      }
-
-      // Update compliance status
-      proposal.complianceStatus = req.body.status
-
-      // Add comment if provided
-      if (req.body.comment) {
-        proposal.reviewComments.push({
-          reviewer: req.user.id,
-          comment: req.body.comment,
-          decision: "compliance",
-        })
-      }
-
-      await proposal.save()
-
-      // Notify submitter
-      const submitter = await User.findById(proposal.submitter)
-
-      if (submitter) {
-        const mailOptions = {
-          from: process.env.EMAIL_USER,
-          to: submitter.email,
-          subject: `Compliance Status Updated for "${proposal.title}"`,
-          text: `Hello ${submitter.name},\n\nThe compliance status for your proposal titled "${proposal.title}" has been updated to "${req.body.status}".\n\n${req.body.comment ? `Reviewer Comment: ${req.body.comment}` : ""}\n\nRegards,\nCEDO Team`,
-        }
-
-        transporter.sendMail(mailOptions, (error, info) => {
-          if (error) {
-            console.log("Email error:", error)
-          } else {
-            console.log("Email sent:", info.response)
-          }
-        })
-      }
-
-      res.json(proposal)
-    } catch (err) {
-      console.error(err.message)
-      if (err.kind === "ObjectId") {
-        return res.status(404).json({ msg: "Proposal not found" })
-      }
-      res.status(500).send("Server error")
-    }
-  },
-)
-
-// @route   GET api/compliance/overdue
-// @desc    Get all overdue compliance proposals
-// @access  Private (Admins and Reviewers only)
-router.get("/overdue", [validateToken, checkRole(["admin", "reviewer"])], async (req, res) => {
-  try {
-    const today = new Date()
-
-    // Find proposals where compliance due date has passed but not compliant
-    const proposals = await Proposal.find({
-      status: "approved",
-      complianceStatus: { $ne: "compliant" },
-      complianceDueDate: { $lt: today },
-    })
-      .populate("submitter", "name email organization")
-      .sort({ complianceDueDate: 1 })
-
-    // Update status to overdue
-    for (const proposal of proposals) {
-      if (proposal.complianceStatus !== "overdue") {
-        proposal.complianceStatus = "overdue"
-        await proposal.save()
-
-        // Notify submitter
-        const submitter = await User.findById(proposal.submitter)
-
-        if (submitter) {
-          const mailOptions = {
-            from: process.env.EMAIL_USER,
-            to: submitter.email,
-            subject: `OVERDUE: Compliance Documents for "${proposal.title}"`,
-            text: `Hello ${submitter.name},\n\nThis is a reminder that your compliance documents for the proposal titled "${proposal.title}" are now overdue. Please submit the required documents as soon as possible.\n\nRegards,\nCEDO Team`,
-          }
-
-          transporter.sendMail(mailOptions, (error, info) => {
-            if (error) {
-              console.log("Email error:", error)
-            } else {
-              console.log("Email sent:", info.response)
-            }
-          })
-        }
-      }
-    }
-
-    res.json(proposals)
-  } catch (err) {
-    console.error(err.message)
-    res.status(500).send("Server error")
-  }
-})
-
-// @route   GET api/compliance/stats
-// @desc    Get compliance statistics
-// @access  Private (Admins and Reviewers only)
-router.get("/stats", [validateToken, checkRole(["admin", "reviewer"])], async (req, res) => {
-  try {
-    const stats = {
-      compliant: await Proposal.countDocuments({ complianceStatus: "compliant" }),
-      pending: await Proposal.countDocuments({ complianceStatus: "pending" }),
-      overdue: await Proposal.countDocuments({ complianceStatus: "overdue" }),
-      total: await Proposal.countDocuments({ status: "approved" }),
-    }
-
-    // Calculate compliance rate
-    stats.complianceRate = stats.total > 0 ? ((stats.compliant / stats.total) * 100).toFixed(2) : 0
-
-    res.json(stats)
-  } catch (err) {
-    console.error(err.message)
-    res.status(500).send("Server error")
-  }
-})
+// @desc    Set the compliance status by hand, with an optional comment for the organizer
+// @access  Private (Staff only)
+router.put("/:proposalId/status", validateToken, complianceController.setStatus)
 
 module.exports = router
@@ -0,0 +1,48 @@
+const express = require("express")
+const router = express.Router()
+const { validateToken } = require("../middleware/auth")
+const { requirePermission } = require("../middleware/permissions")
+const dataExplorerController = require("../controllers/data-explorer.controller")
+
+/**
+ * Data Explorer
+ * -------------
+ * Head admin access to the whitelisted tables and collections in
+ * constants/data-explorer.js, with sensitive columns redacted. Read-only
+ * unless DATA_EXPLORER_WRITES=true; every write needs a reason and every
+ * request is recorded in the audit log (services/data-explorer.service.js).
+ */
+
+router.use(validateToken, requirePermission("data:explore"))
+
+// @route   GET api/data-explorer/resources
+// @desc    Whitelisted resources and whether changes are allowed
+// @access  Private (Head admin only)
+router.get("/resources", dataExplorerController.listResources)
+
+// @route   GET api/data-explorer/audit
+// @desc    Audit log of explorer reads and writes (?resource=&action=&page=)
+// @access  Private (Head admin only)
+router.get("/audit", dataExplorerController.listAudit)
+
+// @route   GET api/data-explorer/:resource
+// @desc    A page of records (?page=&limit=&q=)
+// @access  Private (Head admin only)
+router.get("/:resource", dataExplorerController.listRecords)
+
+// @route   GET api/data-explorer/:resource/:id
+// @desc    One record
+// @access  Private (Head admin only)
+router.get("/:resource/:id", dataExplorerController.getRecord)
+
+// @route   PATCH api/data-explorer/:resource/:id
+// @desc    Change editable columns ({ changes: {...}, reason })
+// @access  Private (Head admin only, writes enabled)
+router.patch("/:resource/:id", requirePermission("data:write"), dataExplorerController.updateRecord)
+
+// @route   DELETE api/data-explorer/:resource/:id
+// @desc    Delete a record of a deletable resource ({ reason })
+// @access  Private (Head admin only, writes enabled)
+router.delete("/:resource/:id", requirePermission("data:write"), dataExplorerController.deleteRecord)
+
+module.exports = router
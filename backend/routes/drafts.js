@@ -1,48 +1,29 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
 const router = express.Router();
+const draftController = require('../controllers/draft.controller');
+const { validateToken } = require('../middleware/auth');
 
 /**
- * TEMPORARY STUB ROUTES  (replace with real MySQL logic later)
- * -----------------------------------------------------------
- * These endpoints simply keep an in-memory map so the Next.js
- * frontend can proceed while the full Draft table / validation
- * layer is still under development.
+ * Proposal drafts (submit-event/[draftId] flow)
+ * ---------------------------------------------
+ * Drafts live in the MySQL `proposal_drafts` table and are bound to the
+ * authenticated user. Section writes are versioned: send the last seen
+ * version as `If-Match` to get a 409 instead of overwriting newer data.
  */
-const DRAFT_CACHE = new Map();
+
+// GET /api/proposals/drafts  →  list the current user's drafts
+router.get('/proposals/drafts', validateToken, draftController.listDrafts);
 
 // POST /api/proposals/drafts  →  create new draft
-router.post('/proposals/drafts', (req, res) => {
-    const draftId = uuidv4();
-    DRAFT_CACHE.set(draftId, { draftId, payload: {}, createdAt: Date.now() });
-    console.log('📝  Draft created:', draftId);
-    res.json({ draftId });
-});
+router.post('/proposals/drafts', validateToken, draftController.createDraft);
 
 // GET /api/proposals/drafts/:id  →  fetch a draft
-router.get('/proposals/drafts/:id', (req, res) => {
-    const draft = DRAFT_CACHE.get(req.params.id);
-    if (!draft) return res.status(404).json({ error: 'Draft not found' });
-    res.json(draft);
-});
+router.get('/proposals/drafts/:id', validateToken, draftController.getDraft);
 
-// PATCH /api/proposals/drafts/:id/:section  →  partial update
-router.patch('/proposals/drafts/:id/:section', (req, res) => {
-    const { id, section } = req.params;
-    const draft = DRAFT_CACHE.get(id);
-    if (!draft) return res.status(404).json({ error: 'Draft not found' });
-    draft.payload[section] = req.body;
-    draft.updatedAt = Date.now();
-    DRAFT_CACHE.set(id, draft);
-    res.json({ success: true });
-});
+// PATCH /api/proposals/drafts/:id/:section  →  replace one section
+router.patch('/proposals/drafts/:id/:section', validateToken, draftController.updateSection);
 
-// POST /api/proposals/drafts/:id/submit  →  final submit (stub)
-router.post('/proposals/drafts/:id/submit', (req, res) => {
-    const draft = DRAFT_CACHE.get(req.params.id);
-    if (!draft) return res.status(404).json({ error: 'Draft not found' });
-    draft.status = 'submitted';
-    res.json({ success: true });
-});
+// POST /api/proposals/drafts/:id/submit  →  create a pending proposal from the draft
+router.post('/proposals/drafts/:id/submit', validateToken, draftController.submitDraft);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
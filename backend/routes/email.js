@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const emailController = require('../controllers/email.controller');
+const { validateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+
+/**
+ * Email preferences and outbox
+ * ----------------------------
+ * Emails are queued by services/email.service.js; these routes let users
+ * choose which categories they receive and let admins inspect delivery.
+ */
+
+// GET /api/email/preferences
+router.get('/preferences', validateToken, emailController.getPreferences);
+
+// PUT /api/email/preferences  { preferences: { proposal_updates: false } }
+router.put('/preferences', validateToken, emailController.updatePreferences);
+
+// GET /api/email/outbox?status=failed&template=proposal_decision&limit=50&offset=0
+router.get('/outbox', validateToken, requirePermission('email:manage'), emailController.listOutbox);
+
+// POST /api/email/outbox/process  (deliver everything that is due now)
+router.post('/outbox/process', validateToken, requirePermission('email:manage'), emailController.processOutbox);
+
+// POST /api/email/outbox/:id/retry
+router.post('/outbox/:id/retry', validateToken, requirePermission('email:manage'), emailController.retryEmail);
+
+module.exports = router;
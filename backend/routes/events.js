@@ -1,7 +1,17 @@
 const express = require("express")
 const router = express.Router()
 const { pool } = require("../config/db") // MySQL connection pool
-const { validateToken, validateAdmin } = require("../middleware/auth") // Updated JWT authentication middleware
+const { validateToken } = require("../middleware/auth") // Updated JWT authentication middleware
+const eventController = require("../controllers/event.controller")
+
+/**
+ * Events
+ * ------
+ * An event is created when its proposal is approved (proposal-lifecycle.service).
+ * Organizers and CEDO staff reschedule, postpone or cancel it; every change is
+ * recorded with who made it and why, registrants are notified, and open pages
+ * are refreshed over GET /api/stream (`event.updated`).
+ */
 
 // ===============================================
 // GET /api/events/approved  –  Approved proposals -> "events" list
@@ -39,6 +49,7 @@ router.get("/approved", async (req, res) => {
                    event_end_date,
                    proposal_status,
                    event_status,
+                   (SELECT e.id FROM events e WHERE e.proposal_id = proposals.id) AS event_id,
                    created_at,
                    updated_at,
                    -- Section-5 columns
@@ -69,6 +80,7 @@ router.get("/approved", async (req, res) => {
         const events = rows.map((row) => ({
             id: row.id,
             uuid: null,
+            event_id: row.event_id || null,
             organization_name: row.organization_name,
             organization_type: row.organization_type,
             event_name: row.event_name,
@@ -100,132 +112,25 @@ router.get("/approved", async (req, res) => {
     }
 });
 
-// @route   GET /api/events
-// @desc    Get all events
-// @access  Public (or Private if you want auth)
-router.get("/", async (req, res) => {
-    try {
-        // For now, return a simple response since we don't have an events table yet
-        // You can modify this to query actual events from your database
-        const events = [
-            {
-                id: "EVENT-001",
-                title: "Science Fair Exhibition",
-                startDate: "2023-03-20T09:00:00",
-                endDate: "2023-03-20T17:00:00",
-                location: "Main Campus Hall",
-                attendees: 120,
-                category: "academic",
-                status: "upcoming",
-                description: "Annual science fair showcasing student projects from various departments.",
-            },
-            {
-                id: "EVENT-002",
-                title: "Leadership Workshop",
-                startDate: "2023-03-22T13:00:00",
-                endDate: "2023-03-22T16:00:00",
-                location: "Conference Room B",
-                attendees: 45,
-                category: "leadership",
-                status: "upcoming",
-                description: "Interactive workshop on leadership skills and team management.",
-            }
-        ];
-
-        res.json({
-            status: "success",
-            data: events,
-            message: "Events retrieved successfully"
-        });
-    } catch (error) {
-        console.error("Error in events route:", error.message);
-        res.status(500).json({
-            status: "error",
-            message: "Server error fetching events",
-            error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
-        });
-    }
-});
+// GET /api/events?status=scheduled,postponed&mine=true
+router.get("/", validateToken, eventController.listEvents)
 
-// @route   GET /api/events/:id
-// @desc    Get a specific event by ID
-// @access  Public
-router.get("/:id", async (req, res) => {
-    try {
-        const { id } = req.params;
-
-        // For now, return a mock event
-        // You can modify this to query the actual event from your database
-        const event = {
-            id: id,
-            title: "Sample Event",
-            startDate: "2023-03-20T09:00:00",
-            endDate: "2023-03-20T17:00:00",
-            location: "Main Campus Hall",
-            attendees: 120,
-            category: "academic",
-            status: "upcoming",
-            description: "Sample event description.",
-        };
-
-        res.json({
-            status: "success",
-            data: event,
-            message: "Event retrieved successfully"
-        });
-    } catch (error) {
-        console.error("Error in events route:", error.message);
-        res.status(500).json({
-            status: "error",
-            message: "Server error fetching event",
-            error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
-        });
-    }
-});
+// POST /api/events  { proposalId }  (staff; approval normally creates the event)
+router.post("/", validateToken, eventController.createEvent)
 
-// @route   POST /api/events
-// @desc    Create a new event
-// @access  Private (requires authentication)
-router.post("/", validateToken, async (req, res) => {
-    try {
-        const { title, description, startDate, endDate, location, category } = req.body;
-
-        // Basic validation
-        if (!title || !startDate || !endDate) {
-            return res.status(400).json({
-                status: "error",
-                message: "Title, start date, and end date are required"
-            });
-        }
+// GET /api/events/:id  (event, change history and the caller's registration)
+router.get("/:id", validateToken, eventController.getEvent)
 
-        // For now, return a mock response
-        // You can modify this to actually create the event in your database
-        const newEvent = {
-            id: `EVENT-${Date.now()}`,
-            title,
-            description,
-            startDate,
-            endDate,
-            location,
-            category,
-            status: "upcoming",
-            createdBy: req.user.id,
-            createdAt: new Date().toISOString()
-        };
-
-        res.status(201).json({
-            status: "success",
-            data: newEvent,
-            message: "Event created successfully"
-        });
-    } catch (error) {
-        console.error("Error creating event:", error.message);
-        res.status(500).json({
-            status: "error",
-            message: "Server error creating event",
-            error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
-        });
-    }
-});
+// GET /api/events/:id/history
+router.get("/:id/history", validateToken, eventController.getHistory)
+
+// POST /api/events/:id/reschedule  { startDate, endDate, startTime, endTime, reason, overrideConflicts }
+router.post("/:id/reschedule", validateToken, eventController.reschedule)
+
+// POST /api/events/:id/postpone  { reason }
+router.post("/:id/postpone", validateToken, eventController.postpone)
+
+// POST /api/events/:id/cancel  { reason }
+router.post("/:id/cancel", validateToken, eventController.cancel)
 
 module.exports = router; 
\ No newline at end of file
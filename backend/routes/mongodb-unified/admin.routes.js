@@ -19,6 +19,10 @@ const {
     saveSection5Reporting
 } = require('../../services/admin.service.js');
 const { accomplishmentReportUpload } = require('../../config/multer.config');
+const { verifyUploads } = require('../../middleware/upload-policy');
+const { transitionProposalStatus } = require('../../services/proposal-lifecycle.service');
+const { validateToken } = require('../../middleware/auth');
+const { requirePermission } = require('../../middleware/permissions');
 
 // ==============================
 // Rate Limiting Configuration
@@ -206,30 +210,22 @@ router.get('/proposals', async (req, res) => {
 // ==============================
 
 // PUT /api/mongodb-unified/admin/proposals/:id/status
-// Updates the status of a specific proposal
-router.put('/proposals/:id/status', strictLimiter, async (req, res) => {
+// PATCH is accepted too (the admin proposal table sends PATCH).
+// Updates the status of a specific proposal via the shared lifecycle engine
+const updateProposalStatusHandler = async (req, res) => {
     try {
         const { id } = req.params;
-        const { status, admin_comments, reviewed_by_admin_id } = req.body;
+        const { status } = req.body;
+        const comments = req.body.reason || req.body.admin_comments || req.body.adminComments || null;
 
         console.log(`📊 Admin Routes: Updating proposal ${id} status to ${status}`);
 
-        // Update proposal status in MySQL
-        const { pool } = require('../../config/db');
-        const updateQuery = `
-            UPDATE proposals 
-            SET proposal_status = ?, admin_comments = ?, updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?
-        `;
-
-        const [result] = await pool.query(updateQuery, [status, admin_comments, id]);
-
-        if (result.affectedRows === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'Proposal not found'
-            });
-        }
+        const transition = await transitionProposalStatus(id, status, {
+            actor: req.user,
+            reason: comments,
+            source: `${req.method} ${req.baseUrl}${req.route.path}`,
+            overrideConflicts: Boolean(req.body.overrideConflicts),
+        });
 
         // Fetch updated proposal
         const [updatedProposal] = await pool.query(
@@ -239,11 +235,21 @@ router.put('/proposals/:id/status', strictLimiter, async (req, res) => {
 
         res.json({
             success: true,
-            message: `Proposal ${status} successfully`,
+            message: `Proposal ${transition.to} successfully`,
+            transition,
             proposal: updatedProposal[0]
         });
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                error: error.message,
+                allowed: error.allowed,
+                conflicts: error.conflicts
+            });
+        }
         console.error('❌ Admin Routes: Error updating proposal status:', error);
         res.status(500).json({
             success: false,
@@ -251,7 +257,10 @@ router.put('/proposals/:id/status', strictLimiter, async (req, res) => {
             error: error.message
         });
     }
-});
+};
+
+router.put('/proposals/:id/status', strictLimiter, validateToken, requirePermission('proposal:manage'), updateProposalStatusHandler);
+router.patch('/proposals/:id/status', strictLimiter, validateToken, requirePermission('proposal:manage'), updateProposalStatusHandler);
 
 // ==============================
 // Reporting Endpoints
@@ -259,7 +268,11 @@ router.put('/proposals/:id/status', strictLimiter, async (req, res) => {
 
 // POST /api/mongodb-unified/admin/section5-reporting
 // Handles accomplishment report submissions
-router.post('/section5-reporting', accomplishmentReportUpload, async (req, res) => {
+router.post('/section5-reporting', accomplishmentReportUpload, verifyUploads({
+    accomplishment_report_file: 'accomplishment_report',
+    pre_registration_file: 'attendance',
+    final_attendance_file: 'attendance',
+}), async (req, res) => {
     try {
         console.log('📊 Admin Routes: Processing Section 5 reporting data');
 
@@ -270,7 +283,7 @@ router.post('/section5-reporting', accomplishmentReportUpload, async (req, res)
             });
         }
 
-        const result = await saveSection5Reporting(req.body, req.files);
+        const result = await saveSection5Reporting(req.body, req.files, req.user);
 
         res.status(200).json({
             success: true,
@@ -280,7 +293,7 @@ router.post('/section5-reporting', accomplishmentReportUpload, async (req, res)
 
     } catch (error) {
         console.error('❌ Admin Routes: Error in section5-reporting:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
             message: 'Failed to save reporting data.',
             error: error.message
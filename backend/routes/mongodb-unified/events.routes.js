@@ -9,9 +9,14 @@ const {
     pool,
 } = require('./helpers');
 
+const { verifyUploads } = require('../../middleware/upload-policy');
+
 // Import data sync service
 const dataSyncService = require('../../services/data-sync.service');
 
+// GPOA and proposal files are checked by content and renamed OrganizationName_GPOA / _PP
+const verifyEventFiles = verifyUploads({ gpoaFile: 'gpoa', proposalFile: 'proposal' });
+
 // 🏫 SECTION 3: Save School Event with File Metadata
 router.post(
     '/proposals/school-events',
@@ -19,6 +24,7 @@ router.post(
         { name: 'gpoaFile', maxCount: 1 },
         { name: 'proposalFile', maxCount: 1 },
     ]),
+    verifyEventFiles,
     async (req, res) => {
         try {
             console.log('🏫 MONGODB SECTION 3: ==================== SCHOOL EVENT SAVE REQUEST ====================');
@@ -239,6 +245,7 @@ router.post(
         { name: 'gpoaFile', maxCount: 1 },
         { name: 'proposalFile', maxCount: 1 },
     ]),
+    verifyEventFiles,
     async (req, res) => {
         try {
             const db = await getDb();
@@ -256,6 +263,7 @@ router.post(
                 organizationId: toObjectId(req.body.organization_id),
                 eventName: req.body.name,
                 venue: req.body.venue,
+                venueId: Number(req.body.venue_id) || null,
                 startDate: new Date(req.body.start_date),
                 endDate: new Date(req.body.end_date),
                 timeStart: req.body.time_start,
@@ -12,6 +12,7 @@ const {
     uploadsDir,
     pool,
 } = require('./helpers');
+const { verifyUploads } = require('../../middleware/upload-policy');
 
 // ------------------------------------------------------------------
 // FILE UPLOAD – links files to MySQL proposal via proposalId field
@@ -23,6 +24,7 @@ router.post(
         { name: 'proposalFile', maxCount: 1 },
         { name: 'accomplishmentReport', maxCount: 1 },
     ]),
+    verifyUploads({ gpoaFile: 'gpoa', proposalFile: 'proposal', accomplishmentReport: 'accomplishment_report' }),
     async (req, res) => {
         try {
             const db = getDb();
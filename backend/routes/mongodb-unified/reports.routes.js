@@ -9,9 +9,12 @@ const {
     uploadToGridFS,
     pool,
 } = require('./helpers');
+const attendanceImport = require('../../services/attendance-import.service');
+const { verifyUploads } = require('../../middleware/upload-policy');
+const eventService = require('../../services/event.service');
 
 // 📊 SECTION 5: Save Accomplishment Report with File Metadata
-router.post('/accomplishment-reports', upload.single('accomplishmentReport'), async (req, res) => {
+router.post('/accomplishment-reports', upload.single('accomplishmentReport'), verifyUploads({ accomplishmentReport: 'accomplishment_report' }), async (req, res) => {
     try {
         const fileMeta = {};
         if (req.file) {
@@ -51,13 +54,16 @@ router.post('/section5-reporting', memoryUpload.fields([
     { name: 'accomplishment_report_file', maxCount: 1 },
     { name: 'pre_registration_file', maxCount: 1 },
     { name: 'final_attendance_file', maxCount: 1 },
-]), async (req, res) => {
+]), verifyUploads({
+    accomplishment_report_file: 'accomplishment_report',
+    pre_registration_file: 'attendance',
+    final_attendance_file: 'attendance',
+}), async (req, res) => {
     const {
         proposal_id,
         event_status,
         event_venue,
         report_description,
-        attendance_count,
         organization_name,
         event_start_date,
         event_end_date,
@@ -102,14 +108,23 @@ router.post('/section5-reporting', memoryUpload.fields([
             }
         }
 
-        // Update MySQL metadata
-        const updateQuery = `UPDATE proposals SET event_status = ?, event_venue = ?, event_start_date = ?, event_end_date = ?, report_description = ?, attendance_count = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
-        await connection.query(updateQuery, [event_status || null, event_venue || null, event_start_date || null, event_end_date || null, report_description || null, attendance_count ? parseInt(attendance_count) : null, proposal_id]);
+        // Update MySQL metadata (attendance_count is derived from the attendance list below)
+        const updateQuery = `UPDATE proposals SET event_status = ?, event_venue = ?, event_start_date = ?, event_end_date = ?, report_description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+        await connection.query(updateQuery, [event_status || null, event_venue || null, event_start_date || null, event_end_date || null, report_description || null, proposal_id]);
+        await eventService.recordReportedOutcome(proposal_id, event_status, connection);
+
+        const attendanceFile = req.files && req.files.final_attendance_file && req.files.final_attendance_file[0];
+        if (attendanceFile && attendanceImport.isAttendanceSheet(attendanceFile.originalname)) {
+            const sheet = await attendanceImport.parseAttendanceSheet(attendanceFile.buffer, attendanceFile.originalname);
+            await attendanceImport.matchStudentAccounts(sheet.rows, connection);
+            await attendanceImport.replaceImportedAttendees(proposal_id, sheet.rows, connection);
+            await attendanceImport.refreshAttendanceCount(proposal_id, connection);
+        }
 
         res.json({ success: true, message: 'Section 5 data saved', files_uploaded: fileMetadata });
     } catch (err) {
         console.error('Section5 reporting error:', err);
-        res.status(500).json({ success: false, error: err.message });
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
     } finally {
         if (connection) connection.release();
     }
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notification.controller');
+const { validateToken } = require('../middleware/auth');
+
+/**
+ * In-app notifications (bell + notifications pages)
+ * -------------------------------------------------
+ * Every route is scoped to the authenticated user; notifications are created
+ * by services/notification.service.js, never through this API.
+ */
+
+// GET /api/notifications?status=unread&type=proposal&limit=20&offset=0
+router.get('/', validateToken, notificationController.listNotifications);
+
+// GET /api/notifications/unread-count
+router.get('/unread-count', validateToken, notificationController.getUnreadCount);
+
+// PATCH /api/notifications/read-all
+router.patch('/read-all', validateToken, notificationController.markAllAsRead);
+
+// PATCH /api/notifications/:id/read
+router.patch('/:id/read', validateToken, notificationController.markAsRead);
+
+module.exports = router;
@@ -5,53 +5,20 @@ const jwt = require('jsonwebtoken');
 const { passport, generateSecureState } = require('../config/oauth');
 const sessionManager = require('../middleware/session');
 const { verifyGoogleToken } = require('../utils/googleAuth');
+const { permissionsFor } = require('../services/permission.service');
 
 // Check if OAuth is configured
 const isOAuthConfigured = () => {
     return !!(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET);
 };
 
-// Role access configuration
+// Dashboard per role; permissions come from the registry (services/permission.service.js)
 const roleAccess = {
-    student: {
-        dashboard: "/student-dashboard",
-        permissions: ["view_own_profile", "submit_requests", "view_own_requests"],
-    },
-    head_admin: {
-        dashboard: "/admin-dashboard",
-        permissions: [
-            "view_all_users",
-            "manage_users",
-            "view_all_requests",
-            "manage_system",
-            "approve_students",
-            "view_all_proposals",
-            "manage_all_proposals",
-            "assign_reviewers",
-            "manage_reviews",
-        ],
-    },
-    manager: {
-        dashboard: "/admin-dashboard",
-        permissions: [
-            "view_student_requests",
-            "manage_student_requests",
-            "view_own_profile",
-            "approve_students",
-            "view_all_proposals",
-            "manage_all_proposals",
-            "assign_reviewers",
-            "manage_reviews",
-        ],
-    },
-    partner: {
-        dashboard: "/student-dashboard",
-        permissions: ["view_own_profile", "submit_requests", "view_own_requests"],
-    },
-    reviewer: {
-        dashboard: "/admin-dashboard",
-        permissions: ["view_all_proposals", "view_assigned_proposals", "submit_reviews"],
-    },
+    student: { dashboard: "/student-dashboard" },
+    head_admin: { dashboard: "/admin-dashboard" },
+    manager: { dashboard: "/admin-dashboard" },
+    partner: { dashboard: "/student-dashboard" },
+    reviewer: { dashboard: "/admin-dashboard" },
 };
 
 /**
@@ -157,7 +124,11 @@ router.get('/google/callback', (req, res, next) => {
                 let errorCode = 'OAUTH_ERROR';
                 let errorMessage = 'Authentication failed';
 
-                if (err.message.includes('not found') || err.message.includes('not approved')) {
+                if (err.approval) {
+                    // Account exists but is pending or was rejected (config/oauth.js)
+                    errorCode = err.approval.status === 'rejected' ? 'ACCOUNT_REJECTED' : 'ACCOUNT_PENDING';
+                    errorMessage = err.approval.rejectionReason || err.message;
+                } else if (err.message.includes('not found') || err.message.includes('not approved')) {
                     errorCode = 'ACCOUNT_NOT_FOUND';
                     errorMessage = 'Account not found or not approved';
                 } else if (err.message.includes('email not verified')) {
@@ -317,7 +288,7 @@ router.get('/me', async (req, res) => {
                 is_approved: Boolean(user.is_approved),
                 google_id: user.google_id,
                 dashboard: roleAccess[user.role]?.dashboard,
-                permissions: roleAccess[user.role]?.permissions,
+                permissions: permissionsFor(user.role),
             }
         });
 
@@ -0,0 +1,30 @@
+const express = require("express")
+const router = express.Router()
+const { validateToken } = require("../middleware/auth")
+const { requirePermission } = require("../middleware/permissions")
+const permissionController = require("../controllers/permission.controller")
+
+/**
+ * Permissions
+ * -----------
+ * What each role may do (constants/permissions.js for the registry,
+ * services/permission.service.js for the grants). Head admins change the
+ * grants per role; changes apply to the next request.
+ */
+
+// @route   GET api/permissions
+// @desc    Every permission and which roles hold it, with the defaults
+// @access  Private (Head admin only)
+router.get("/", validateToken, requirePermission("permission:manage"), permissionController.listGrants)
+
+// @route   GET api/permissions/me
+// @desc    The signed-in user's permissions
+// @access  Private
+router.get("/me", validateToken, permissionController.listOwnPermissions)
+
+// @route   PUT api/permissions/:role
+// @desc    Replace a role's permissions ({ permissions: [...] })
+// @access  Private (Head admin only)
+router.put("/:role", validateToken, requirePermission("permission:manage"), permissionController.updateRoleGrants)
+
+module.exports = router
@@ -2,14 +2,14 @@ const express = require("express");
 const router = express.Router();
 const adminController = require('../../controllers/admin.controller');
 // Assuming you have middleware for authentication and role checks
-// const { validateToken, checkRole } = require('../../middleware/auth');
-// const ROLES = require('../../constants/roles');
+// const { validateToken } = require('../../middleware/auth');
+// const { requirePermission } = require('../../middleware/permissions');
 
 // GET /api/proposals/admin/proposals
 router.get(
     '/proposals',
     // validateToken,  // You should uncomment these lines in production
-    // checkRole([ROLES.HEAD_ADMIN, ROLES.MANAGER]),
+    // requirePermission('dashboard:admin'),
     adminController.getProposalsForAdmin
 );
 
@@ -17,54 +17,49 @@ router.get(
 router.get(
     '/stats',
     // validateToken,  // You should uncomment these lines in production
-    // checkRole([ROLES.HEAD_ADMIN, ROLES.MANAGER]),
+    // requirePermission('dashboard:admin'),
     adminController.getAdminStats
 );
 
 // NEW: Update proposal status – matches frontend path PATCH /api/proposals/admin/proposals/:id/status
-// This re-implements the logic found in mongodb-unified-api.js so that the
-// admin dashboard can hit the expected endpoint without 404.
-const { pool } = require('../../config/db');
+// Transitions go through the shared lifecycle engine so the rules match every other status route.
+const { validateToken } = require('../../middleware/auth');
+const { requirePermission } = require('../../middleware/permissions');
+const { transitionProposalStatus } = require('../../services/proposal-lifecycle.service');
 
-router.patch('/proposals/:id/status', async (req, res) => {
+router.patch('/proposals/:id/status', validateToken, requirePermission('proposal:manage'), async (req, res) => {
     try {
         const proposalId = req.params.id;
-        const { status, adminComments } = req.body || {};
+        const { status, adminComments, reason, overrideConflicts } = req.body || {};
+        const comments = reason || adminComments || '';
 
-        // Normalise status (frontend sometimes sends "rejected" instead of "denied")
-        const normalised = (status || '').toLowerCase() === 'rejected' ? 'denied' : (status || '').toLowerCase();
-        const validStatuses = ['pending', 'approved', 'denied', 'draft'];
-
-        if (!validStatuses.includes(normalised)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid status',
-                message: `Status must be one of: ${validStatuses.join(', ')}`
-            });
-        }
-
-        const updateSql = `UPDATE proposals SET proposal_status = ?, admin_comments = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
-        const [result] = await pool.query(updateSql, [normalised, adminComments || '', proposalId]);
-
-        if (result.affectedRows === 0) {
-            return res.status(404).json({
-                success: false,
-                error: 'Proposal not found',
-                message: `No proposal found with ID: ${proposalId}`
-            });
-        }
+        const transition = await transitionProposalStatus(proposalId, status, {
+            actor: req.user,
+            reason: comments,
+            source: `${req.method} ${req.baseUrl}${req.route.path}`,
+            overrideConflicts: Boolean(overrideConflicts),
+        });
 
         return res.json({
             success: true,
-            message: `Proposal ${normalised} successfully`,
+            message: `Proposal ${transition.to} successfully`,
             proposal: {
                 id: proposalId,
-                status: normalised,
-                adminComments: adminComments || '',
-                updatedAt: new Date().toISOString()
+                status: transition.to,
+                previousStatus: transition.from,
+                adminComments: comments,
+                updatedAt: transition.changedAt
             }
         });
     } catch (err) {
+        if (err.statusCode) {
+            return res.status(err.statusCode).json({
+                success: false,
+                error: err.message,
+                allowed: err.allowed,
+                conflicts: err.conflicts
+            });
+        }
         console.error('❌ Admin PATCH status error:', err);
         return res.status(500).json({ success: false, error: 'Failed to update status', message: err.message });
     }
@@ -4,13 +4,16 @@ const proposalController = require('../../controllers/proposal.controller');
 const reportController = require('../../controllers/report.controller');
 const { validateToken } = require("../../middleware/auth");
 const { upload } = require("../../config/multer.config");
+const { verifyUploads } = require("../../middleware/upload-policy");
 const { createProposalValidation, updateProposalValidation } = require("../../validators/proposal.validator");
 
 const adminRoutes = require('./admin.routes');
 const reportRoutes = require('./report.routes');
+const reviewRoutes = require('./review.routes');
 
 router.use('/admin', adminRoutes);
 router.use('/reports', reportRoutes);
+router.use('/', reviewRoutes);
 
 // NEW: Comprehensive drafts and rejected proposals endpoint
 router.get("/drafts-and-rejected", validateToken, proposalController.getUserDraftsAndRejected);
@@ -130,8 +133,9 @@ router.get("/test-drafts-api", validateToken, async (req, res) => {
 
 // MYSQL COMPATIBILITY ROUTES
 router.post("/section2", proposalController.saveSection2Data);
-router.post("/section2-organization", proposalController.saveSection2OrgData);
-router.post("/section3-event", proposalController.saveSection3EventData);
+// Authenticated so the status history records who submitted the proposal
+router.post("/section2-organization", validateToken, proposalController.saveSection2OrgData);
+router.post("/section3-event", validateToken, proposalController.saveSection3EventData);
 
 // MySQL proposal retrieval endpoint - MISSING ENDPOINT FIX
 router.get("/mysql/:id", proposalController.getProposalById);
@@ -148,6 +152,15 @@ router.get('/stats', validateToken, reportController.getDashboardStats);
 router.get('/stats/live', validateToken, reportController.getLiveStats);
 
 // MONGO DB PROPOSAL CRUD
+// GPOA / proposal / report files are checked by content and renamed to the naming convention
+const verifyProposalFiles = verifyUploads({
+    school_gpoa_file: 'gpoa',
+    school_proposal_file: 'proposal',
+    community_gpoa_file: 'gpoa',
+    community_proposal_file: 'proposal',
+    accomplishment_report_file: 'accomplishment_report',
+});
+
 router.post(
     "/",
     validateToken,
@@ -158,12 +171,14 @@ router.post(
         { name: 'community_proposal_file', maxCount: 1 },
         { name: 'accomplishment_report_file', maxCount: 1 }
     ]),
+    verifyProposalFiles,
     createProposalValidation,
     proposalController.createProposal
 );
 
 router.get("/", validateToken, proposalController.getProposals);
 router.get("/:id", validateToken, proposalController.getProposalById);
+router.get("/:id/history", validateToken, proposalController.getProposalHistory);
 
 router.put(
     "/:id",
@@ -175,6 +190,7 @@ router.put(
         { name: 'community_proposal_file', maxCount: 1 },
         { name: 'accomplishment_report_file', maxCount: 1 }
     ]),
+    verifyProposalFiles,
     updateProposalValidation,
     proposalController.updateProposal
 );
@@ -185,6 +201,7 @@ router.delete("/:id", validateToken, proposalController.deleteProposal);
 router.post("/:id/documents",
     validateToken,
     upload.array("documents", 5),
+    verifyUploads({ documents: "supporting" }),
     proposalController.addDocuments
 );
 
@@ -0,0 +1,34 @@
+const express = require("express");
+const router = express.Router();
+const reviewController = require('../../controllers/review.controller');
+const { validateToken } = require('../../middleware/auth');
+const { requirePermission } = require('../../middleware/permissions');
+const { upload } = require('../../config/multer.config');
+const { verifyUploads } = require('../../middleware/upload-policy');
+
+// Review workflow used by admin-dashboard/review (reviewService.js).
+// Students may read and reply on their own proposals; decisions need a reviewer role.
+
+// Threaded comments
+router.get('/:id/comments', validateToken, reviewController.listComments);
+router.post('/:id/comments', validateToken, reviewController.addComment);
+
+// Decisions and status changes (through the lifecycle engine)
+router.post('/:id/review', validateToken, requirePermission('proposal:review'), reviewController.submitReview);
+router.patch('/:id/status', validateToken, requirePermission('proposal:review'), reviewController.updateStatus);
+
+// Full review view: proposal, comments, reviews, documentation checklist, timeline
+router.get('/:id/details', validateToken, reviewController.getDetails);
+
+// Documentation checklist the student has to satisfy before resubmitting
+router.post('/:id/request-documentation', validateToken, requirePermission('proposal:review'), reviewController.requestDocumentation);
+router.get('/:id/documentation-requests', validateToken, reviewController.listDocumentationRequests);
+router.post(
+    '/:id/documentation-requests/:requestId/items/:itemId',
+    validateToken,
+    upload.single('file'),
+    verifyUploads({ file: 'supporting' }),
+    reviewController.submitDocumentationItem
+);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const registrationController = require('../controllers/registration.controller');
+const { validateToken } = require('../middleware/auth');
+
+/**
+ * Event registration
+ * ------------------
+ * Online pre-registration for approved events. Organizers (and CEDO staff)
+ * configure capacity, waitlist, cancellation window and custom questions and
+ * export the registrant list; students register from the events page.
+ * Registration counts are pushed over GET /api/stream (`registration.updated`).
+ */
+
+// GET /api/registrations/events  (events taking registrations, with the caller's status)
+router.get('/events', validateToken, registrationController.listOpenEvents);
+
+// POST /api/registrations/events/:proposalId  { school, program, yearLevel, answers }
+router.post('/events/:proposalId', validateToken, registrationController.register);
+
+// DELETE /api/registrations/events/:proposalId  (cancel or leave the waitlist)
+router.delete('/events/:proposalId', validateToken, registrationController.cancel);
+
+// GET /api/registrations/events/:proposalId/settings
+router.get('/events/:proposalId/settings', validateToken, registrationController.getSettings);
+
+// PUT /api/registrations/events/:proposalId/settings
+router.put('/events/:proposalId/settings', validateToken, registrationController.updateSettings);
+
+// GET /api/registrations/events/:proposalId/registrants?status=registered|waitlisted|cancelled
+router.get('/events/:proposalId/registrants', validateToken, registrationController.listRegistrants);
+
+// GET /api/registrations/events/:proposalId/registrants/export?status=registered|all
+router.get('/events/:proposalId/registrants/export', validateToken, registrationController.exportRegistrants);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require("express")
+const router = express.Router()
+const { validateToken } = require("../middleware/auth")
+const reportReviewController = require("../controllers/report-review.controller")
+
+/**
+ * Report Reviews
+ * --------------
+ * Rubric review of submitted accomplishment reports (services/report-review.service.js).
+ * Reviewers score every rubric item, the decision goes through the lifecycle
+ * engine, and organizers read back exactly which items failed.
+ * Students only ever see their own reports; access is checked in the service.
+ */
+
+// @route   GET api/report-reviews
+// @desc    Reports to review (?status=pending|denied|approved, default pending)
+// @access  Private (Staff only)
+router.get("/", validateToken, reportReviewController.listQueue)
+
+// @route   GET api/report-reviews/rubric
+// @desc    Active rubric items in order (?includeInactive=true for retired ones too)
+// @access  Private
+router.get("/rubric", validateToken, reportReviewController.listRubric)
+
+// @route   POST api/report-reviews/rubric
+// @desc    Add a rubric item
+// @access  Private (Head admin and managers only)
+router.post("/rubric", validateToken, reportReviewController.createCriterion)
+
+// @route   PUT api/report-reviews/rubric/:criterionId
+// @desc    Rename, describe, reorder or (de)activate a rubric item
+// @access  Private (Head admin and managers only)
+router.put("/rubric/:criterionId", validateToken, reportReviewController.updateCriterion)
+
+// @route   DELETE api/report-reviews/rubric/:criterionId
+// @desc    Retire a rubric item (past reviews keep it)
+// @access  Private (Head admin and managers only)
+router.delete("/rubric/:criterionId", validateToken, reportReviewController.retireCriterion)
+
+// @route   GET api/report-reviews/:proposalId
+// @desc    A report with its files, rubric and every review given
+// @access  Private (owner and staff)
+router.get("/:proposalId", validateToken, reportReviewController.getReport)
+
+// @route   GET api/report-reviews/:proposalId/files/:document
+// @desc    Download a report file (accomplishment_report, pre_registration, final_attendance)
+// @access  Private (owner and staff)
+router.get("/:proposalId/files/:document", validateToken, reportReviewController.downloadFile)
+
+// @route   POST api/report-reviews/:proposalId
+// @desc    Review a pending report item by item; accepts or returns it
+// @access  Private (Staff only)
+router.post("/:proposalId", validateToken, reportReviewController.submitReview)
+
+module.exports = router
@@ -3,13 +3,13 @@ const router = express.Router()
 const { Parser } = require("json-2-csv")
 const Proposal = require("../models/Proposal")
 const User = require("../models/User")
-const { validateToken, validateAdmin, validateFaculty } = require("../middleware/auth")
-const checkRole = require("../middleware/checkRole")
+const { validateToken } = require("../middleware/auth")
+const { requirePermission } = require("../middleware/permissions")
 
 // @route   GET api/reports/proposals
 // @desc    Generate proposals report
 // @access  Private (Admins and Reviewers only)
-router.get("/proposals", [validateToken, checkRole(["admin", "reviewer"])], async (req, res) => {
+router.get("/proposals", [validateToken, requirePermission("report:export")], async (req, res) => {
   try {
     // Build query based on filters
     const query = {}
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const scheduleController = require('../controllers/schedule.controller');
+const { validateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+
+/**
+ * Schedule conflicts and blackout periods
+ * ---------------------------------------
+ * The submission form checks a venue / date / time slot before saving; the
+ * review queue lists conflicts for pending proposals. Blackout periods (exam
+ * weeks, holidays) are maintained by admins.
+ */
+
+// POST /api/schedule/conflicts/check
+// { venue, venueId, startDate, endDate, startTime, endTime, organizationName, excludeProposalId }
+router.post('/conflicts/check', validateToken, scheduleController.checkConflicts);
+
+// GET /api/schedule/conflicts/pending  (proposalId → conflicts for the review queue)
+router.get('/conflicts/pending', validateToken, requirePermission('schedule:view'), scheduleController.listPendingConflicts);
+
+// GET /api/schedule/conflicts/proposals/:id
+router.get('/conflicts/proposals/:id', validateToken, requirePermission('schedule:view'), scheduleController.getProposalConflicts);
+
+// GET /api/schedule/blackouts?from=2025-01-01
+router.get('/blackouts', validateToken, scheduleController.listBlackouts);
+
+// POST /api/schedule/blackouts  { title, startDate, endDate, reason }
+router.post('/blackouts', validateToken, requirePermission('schedule:manage'), scheduleController.createBlackout);
+
+// PUT /api/schedule/blackouts/:id
+router.put('/blackouts/:id', validateToken, requirePermission('schedule:manage'), scheduleController.updateBlackout);
+
+// DELETE /api/schedule/blackouts/:id
+router.delete('/blackouts/:id', validateToken, requirePermission('schedule:manage'), scheduleController.deleteBlackout);
+
+module.exports = router;
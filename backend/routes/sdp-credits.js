@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const sdpCreditController = require('../controllers/sdp-credit.controller');
+const { validateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+
+/**
+ * SDP credits
+ * -----------
+ * Credits are awarded per attendee when an accomplishment report is approved
+ * and corrected by admins through adjustments. Students read their own ledger;
+ * staff can read any student's and every event's participant list.
+ */
+
+// GET /api/sdp-credits/me  (totals, per-category breakdown, ledger, pending events)
+router.get('/me', validateToken, sdpCreditController.getStudentSummary);
+
+// GET /api/sdp-credits/me/transcript  (CSV download)
+router.get('/me/transcript', validateToken, sdpCreditController.downloadTranscript);
+
+// GET /api/sdp-credits/students?search=cruz
+router.get('/students', validateToken, requirePermission('credit:view'), sdpCreditController.listStudentTotals);
+
+// GET /api/sdp-credits/students/:userId
+router.get('/students/:userId', validateToken, sdpCreditController.getStudentSummary);
+
+// GET /api/sdp-credits/students/:userId/transcript
+router.get('/students/:userId/transcript', validateToken, sdpCreditController.downloadTranscript);
+
+// POST /api/sdp-credits/students/:userId/adjustments  { credits: -2, reason, proposalId }
+router.post('/students/:userId/adjustments', validateToken, requirePermission('credit:manage'), sdpCreditController.adjustCredits);
+
+// GET /api/sdp-credits/events  (students: events they organized; staff: all approved events)
+router.get('/events', validateToken, sdpCreditController.listEvents);
+
+// GET /api/sdp-credits/events/:proposalId/participants
+router.get('/events/:proposalId/participants', validateToken, sdpCreditController.getEventParticipants);
+
+// POST /api/sdp-credits/events/:proposalId/award  (credit attendees matched after the report was approved)
+router.post('/events/:proposalId/award', validateToken, requirePermission('credit:manage'), sdpCreditController.awardEventCredits);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const streamController = require('../controllers/stream.controller');
+const { validateToken } = require('../middleware/auth');
+
+/**
+ * Live updates (Server-Sent Events)
+ * ---------------------------------
+ * Events: `ready`, `proposal.submitted`, `proposal.status`, `report.status`
+ * and `notification`. Students receive events for their own proposals; staff
+ * receive the whole review queue. Clients send the usual Bearer token, so the
+ * browser reads the stream with fetch() rather than EventSource.
+ */
+
+// GET /api/stream
+router.get('/', validateToken, streamController.openStream);
+
+module.exports = router;
@@ -2,9 +2,12 @@ const express = require("express")
 const router = express.Router()
 const bcrypt = require("bcryptjs")
 const { pool } = require("../config/db") // MySQL connection pool
-const { validateToken, validateAdmin, validateFaculty } = require("../middleware/auth") // Updated authentication middleware
-const checkRole = require("../middleware/roles") // Custom role checking middleware
+const { validateToken } = require("../middleware/auth") // Updated authentication middleware
+const { requirePermission } = require("../middleware/permissions") // Permission checks (constants/permissions.js)
 const User = require("../models/User") // Corrected User model import
+const accountApprovalService = require("../services/account-approval.service") // Approval queue decisions (notify + email)
+const passwordResetService = require("../services/password-reset.service") // Temporary passwords must be replaced first
+const { permissionsFor } = require("../services/permission.service")
 
 // --- Role Definitions ---
 // Define valid user roles (consistent with init-db.js and auth.js)
@@ -16,6 +19,14 @@ const ROLES = {
     REVIEWER: 'reviewer'
 };
 
+const ROLE_DASHBOARDS = {
+    [ROLES.STUDENT]: '/student-dashboard',
+    [ROLES.HEAD_ADMIN]: '/admin-dashboard',
+    [ROLES.MANAGER]: '/admin-dashboard',
+    [ROLES.PARTNER]: '/student-dashboard',
+    [ROLES.REVIEWER]: '/admin-dashboard',
+};
+
 
 // @route   GET api/users/test
 // @desc    Test endpoint (no auth required)
@@ -50,16 +61,6 @@ router.get("/me", validateToken, async (req, res) => {
             return res.status(404).json({ message: "User not found" });
         }
 
-        // Re-map roles to dashboard/permissions for the response if needed (can be done client-side too)
-        const roleAccess = { // Define or import roleAccess mapping
-            [ROLES.STUDENT]: { dashboard: '/student-dashboard', permissions: ['view_own_profile', 'submit_requests', 'view_own_requests'] },
-            [ROLES.head_admin]: { dashboard: '/admin-dashboard', permissions: ['view_all_users', 'manage_users', 'view_all_requests', 'manage_system', 'approve_students', 'view_all_proposals', 'manage_all_proposals', 'assign_reviewers', 'manage_reviews'] },
-            [ROLES.manager]: { dashboard: '/admin-dashboard', permissions: ['view_student_requests', 'manage_student_requests', 'view_own_profile', 'approve_students', 'view_all_proposals', 'manage_all_proposals', 'assign_reviewers', 'manage_reviews'] },
-            [ROLES.PARTNER]: { dashboard: '/student-dashboard', permissions: ['view_own_profile', 'submit_requests', 'view_own_requests'] },
-            [ROLES.REVIEWER]: { dashboard: '/admin-dashboard', permissions: ['view_all_proposals', 'view_assigned_proposals', 'submit_reviews'] }
-        };
-
-
         // Respond with user details including password reset requirement
         res.json({
             user: {
@@ -74,8 +75,8 @@ router.get("/me", validateToken, async (req, res) => {
                 password_reset_required: user.password_reset_required,
                 last_login: user.last_login,
                 createdAt: user.created_at,
-                dashboard: roleAccess[user.role]?.dashboard, // Use optional chaining for safety
-                permissions: roleAccess[user.role]?.permissions // Use optional chaining
+                dashboard: ROLE_DASHBOARDS[user.role],
+                permissions: permissionsFor(user.role)
             },
             ...(user.password_reset_required && {
                 passwordInfo: {
@@ -94,7 +95,7 @@ router.get("/me", validateToken, async (req, res) => {
 // @route   GET api/users/
 // @desc    Get all users (Admin/Manager only)
 // @access  Private
-router.get("/", [validateToken, checkRole(ROLES.HEAD_ADMIN)], async (req, res) => {
+router.get("/", [validateToken, requirePermission("user:manage")], async (req, res) => {
     try {
         const users = await User.getAll(); // We'll modify User.getAll next
         res.json(users);
@@ -108,10 +109,9 @@ router.get("/", [validateToken, checkRole(ROLES.HEAD_ADMIN)], async (req, res) =
 // @route   POST api/users/approve-student/:id
 // @desc    Approve a student account
 // @access  Private (Head Admin or Manager only)
-router.post("/approve-student/:id", [validateToken, checkRole(ROLES.HEAD_ADMIN, ROLES.MANAGER)], async (req, res) => {
+router.post("/approve-student/:id", [validateToken, requirePermission("user:approve")], async (req, res) => {
     try {
         const studentIdToApprove = req.params.id;
-        const approverId = req.user.id;
 
         // Check if the user being approved actually exists and is a student and is currently NOT approved
         const [students] = await pool.query("SELECT id, role, is_approved FROM users WHERE id = ?", [studentIdToApprove]);
@@ -127,13 +127,8 @@ router.post("/approve-student/:id", [validateToken, checkRole(ROLES.HEAD_ADMIN,
             return res.status(400).json({ message: "Account is already approved" });
         }
 
-        // Update user approval status in the database
-        await pool.query(
-            "UPDATE users SET is_approved = TRUE, approved_by = ?, approved_at = CURRENT_TIMESTAMP WHERE id = ?",
-            [approverId, studentIdToApprove]
-        );
-
-        // Optional: Send an email notification to the approved student
+        // Same path as the approval queue: clears any earlier rejection, notifies and emails the student
+        await accountApprovalService.decide({ userIds: [student.id], decision: "approve" }, req.user);
 
         res.json({ message: "Student account approved successfully" });
     } catch (err) {
@@ -145,11 +140,11 @@ router.post("/approve-student/:id", [validateToken, checkRole(ROLES.HEAD_ADMIN,
 // @route   GET api/users/pending-students
 // @desc    Get list of student accounts pending approval
 // @access  Private (Head Admin or Manager only)
-router.get("/pending-students", [validateToken, checkRole(ROLES.HEAD_ADMIN, ROLES.MANAGER)], async (req, res) => {
+router.get("/pending-students", [validateToken, requirePermission("user:approve")], async (req, res) => {
     try {
-        // Fetch student users who are not yet approved
+        // Fetch student users who are not yet approved (rejected requests are listed by GET /api/account-approvals?status=rejected)
         const [students] = await pool.query(
-            "SELECT id, name, email, organization, organization_type, avatar, created_at FROM users WHERE role = ? AND is_approved = FALSE",
+            "SELECT id, name, email, organization, organization_type, avatar, created_at FROM users WHERE role = ? AND is_approved = FALSE AND rejected_at IS NULL",
             [ROLES.STUDENT]
         );
         res.json(students);
@@ -173,12 +168,12 @@ router.get("/pending-students", [validateToken, checkRole(ROLES.HEAD_ADMIN, ROLE
 // @route   DELETE api/users/:id
 // @desc    Delete a user by ID (Admin only)
 // @access  Private
-// router.delete("/:id", [validateToken, checkRole(ROLES.HEAD_ADMIN)], async (req, res) => { /* ... */ });
+// router.delete("/:id", [validateToken, requirePermission("user:manage")], async (req, res) => { /* ... */ });
 
 // @route   PUT /api/users/:userIdToUpdate/approval
 // @desc    Update user approval status
-// @access  Private (HEAD_ADMIN only)
-router.put("/:userIdToUpdate/approval", [validateToken, checkRole(ROLES.HEAD_ADMIN)], async (req, res) => {
+// @access  Private (Head Admin or Manager only)
+router.put("/:userIdToUpdate/approval", [validateToken, requirePermission("user:approve")], async (req, res) => {
     try {
         const { userIdToUpdate } = req.params;
         const { is_approved } = req.body; // Expecting { "is_approved": true/false }
@@ -194,14 +189,24 @@ router.put("/:userIdToUpdate/approval", [validateToken, checkRole(ROLES.HEAD_ADM
             return res.status(404).json({ message: "User not found" });
         }
 
-        const updateData = {
-            is_approved,
-            approved_by: is_approved ? approverId : null, // Set approverId if approved, null if revoked
-            approved_at: is_approved ? new Date() : null,   // Set current timestamp if approved, null if revoked
-        };
-
-        // We'll need to ensure User.update can handle these fields or create a specific method
-        const updatedUser = await User.update(userIdToUpdate, updateData);
+        let updatedUser;
+        if (is_approved && !existingUser.is_approved) {
+            // Same path as the approval queue: clears any earlier rejection, notifies and emails the user
+            const result = await accountApprovalService.decide({ userIds: [existingUser.id], decision: "approve" }, req.user);
+            if (result.updated.length === 0) {
+                return res.status(403).json({ message: result.skipped[0]?.reason || "Account could not be approved" });
+            }
+            updatedUser = await User.findById(userIdToUpdate);
+        } else {
+            const updateData = {
+                is_approved,
+                approved_by: is_approved ? approverId : null, // Set approverId if approved, null if revoked
+                approved_at: is_approved ? new Date() : null,   // Set current timestamp if approved, null if revoked
+            };
+
+            // We'll need to ensure User.update can handle these fields or create a specific method
+            updatedUser = await User.update(userIdToUpdate, updateData);
+        }
 
         res.json({ message: `User approval status updated successfully.`, user: updatedUser });
 
@@ -217,7 +222,7 @@ router.put("/:userIdToUpdate/approval", [validateToken, checkRole(ROLES.HEAD_ADM
 // @route   PUT /api/users/:userIdToUpdate
 // @desc    Update user details including organization
 // @access  Private (HEAD_ADMIN only)
-router.put("/:userIdToUpdate", [validateToken, checkRole(ROLES.HEAD_ADMIN)], async (req, res) => {
+router.put("/:userIdToUpdate", [validateToken, requirePermission("user:manage")], async (req, res) => {
     try {
         const { userIdToUpdate } = req.params;
         const { organization /*, other fields like name, email, role */ } = req.body;
@@ -238,7 +243,7 @@ router.put("/:userIdToUpdate", [validateToken, checkRole(ROLES.HEAD_ADMIN)], asy
 // @route   POST api/users/
 // @desc    Create a new user (HEAD_ADMIN only)
 // @access  Private
-router.post("/", [validateToken, checkRole(ROLES.HEAD_ADMIN)], async (req, res) => {
+router.post("/", [validateToken, requirePermission("user:manage")], async (req, res) => {
     try {
         const { name, email, role, organization, organization_type, temporary_password } = req.body;
 
@@ -319,7 +324,7 @@ router.post("/", [validateToken, checkRole(ROLES.HEAD_ADMIN)], async (req, res)
 // @route   DELETE api/users/:id
 // @desc    Delete a user by ID (HEAD_ADMIN only)
 // @access  Private
-router.delete("/:id", [validateToken, checkRole(ROLES.HEAD_ADMIN)], async (req, res) => {
+router.delete("/:id", [validateToken, requirePermission("user:manage")], async (req, res) => {
     try {
         const userIdToDelete = req.params.id;
         const requestingUserId = req.user.id;
@@ -394,6 +399,16 @@ router.post("/login-manager", async (req, res) => {
             return res.status(401).json({ message: "Invalid credentials" });
         }
 
+        // Same rule as /api/auth/login: no session until the temporary password is replaced
+        if (user.password_reset_required) {
+            const resetToken = await passwordResetService.issueToken(user.id);
+            return res.status(403).json({
+                message: "You must set a new password before signing in.",
+                reason: "PASSWORD_RESET_REQUIRED",
+                resetToken,
+            });
+        }
+
         // Update last login
         await pool.query("UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?", [user.id]);
 
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const venueController = require('../controllers/venue.controller');
+const { validateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+
+/**
+ * Venue catalog
+ * -------------
+ * Rooms and online platforms students pick from on the event forms. Admins
+ * maintain the catalog; removing a venue only deactivates it because past
+ * proposals still point at it.
+ */
+
+// GET /api/venues?search=gym&includeInactive=true
+router.get('/', validateToken, venueController.listVenues);
+
+// POST /api/venues/migrate  { apply: false, threshold }  (link free-text proposal venues; dry run by default)
+router.post('/migrate', validateToken, requirePermission('venue:manage'), venueController.migrateFreeTextVenues);
+
+// GET /api/venues/:id
+router.get('/:id', validateToken, venueController.getVenue);
+
+// GET /api/venues/:id/availability?startDate=2025-03-01&endDate=&startTime=08:00&endTime=12:00&excludeProposalId=
+router.get('/:id/availability', validateToken, venueController.getAvailability);
+
+// POST /api/venues  { name, building, capacity, isOnline, openTime, closeTime, aliases }
+router.post('/', validateToken, requirePermission('venue:manage'), venueController.createVenue);
+
+// PUT /api/venues/:id
+router.put('/:id', validateToken, requirePermission('venue:manage'), venueController.updateVenue);
+
+// DELETE /api/venues/:id  (deactivates)
+router.delete('/:id', validateToken, requirePermission('venue:manage'), venueController.deactivateVenue);
+
+module.exports = router;
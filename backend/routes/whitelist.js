@@ -0,0 +1,57 @@
+const express = require("express")
+const router = express.Router()
+const { validateToken } = require("../middleware/auth")
+const { requirePermission } = require("../middleware/permissions")
+const { whitelistCsvUpload } = require("../config/multer.config")
+const whitelistController = require("../controllers/whitelist.controller")
+
+/**
+ * Email Whitelist
+ * ---------------
+ * Addresses whose first Google sign-in creates an approved account with the
+ * entry's role (services/whitelist.service.js). Managed one entry at a time
+ * or in bulk through CSV import/export.
+ */
+
+// Turn multer's file-type / size errors into 400s instead of the global 500 handler
+const receiveCsv = (req, res, next) => {
+    whitelistCsvUpload(req, res, (error) => {
+        if (!error) return next()
+        const message = error.code === "LIMIT_FILE_SIZE" ? "Whitelist files must be 1MB or smaller" : error.message
+        return res.status(400).json({ success: false, error: message })
+    })
+}
+
+router.use(validateToken)
+
+// @route   GET api/whitelist
+// @desc    Whitelisted addresses (?status=all|active|expired|provisioned&q=&page=)
+// @access  Private (user:manage)
+router.get("/", requirePermission("user:manage"), whitelistController.listEntries)
+
+// @route   GET api/whitelist/export
+// @desc    Every entry as CSV (email, role, expires_at, notes, ...)
+// @access  Private (user:manage)
+router.get("/export", requirePermission("user:manage"), whitelistController.exportCsv)
+
+// @route   POST api/whitelist/import
+// @desc    Add or update entries from a CSV "file"; nothing is saved if a row is invalid
+// @access  Private (user:manage)
+router.post("/import", requirePermission("user:manage"), receiveCsv, whitelistController.importCsv)
+
+// @route   POST api/whitelist
+// @desc    Whitelist an address ({ email, role, expiresAt, notes })
+// @access  Private (user:manage)
+router.post("/", requirePermission("user:manage"), whitelistController.createEntry)
+
+// @route   PATCH api/whitelist/:id
+// @desc    Change an entry's role, expiry or notes
+// @access  Private (user:manage)
+router.patch("/:id", requirePermission("user:manage"), whitelistController.updateEntry)
+
+// @route   DELETE api/whitelist/:id
+// @desc    Remove an entry (an account it already created is kept)
+// @access  Private (user:manage)
+router.delete("/:id", requirePermission("user:manage"), whitelistController.deleteEntry)
+
+module.exports = router
@@ -80,6 +80,7 @@ async function main() {
           organization_type ENUM('internal', 'external'),
           organization_description TEXT,
           phone_number VARCHAR(255),
+          student_id VARCHAR(50) NULL UNIQUE, -- School ID number; matched against attendance sheets
           google_id VARCHAR(255),
           avatar VARCHAR(255),
           reset_token VARCHAR(255),
@@ -87,9 +88,13 @@ async function main() {
           is_approved BOOLEAN DEFAULT FALSE,
           approved_by INT,
           approved_at TIMESTAMP NULL,
+          rejected_by INT NULL,
+          rejected_at TIMESTAMP NULL, -- set while a pending account request is rejected
+          rejection_reason TEXT NULL, -- shown to the user when they try to sign in
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
           FOREIGN KEY (approved_by) REFERENCES users(id) ON DELETE SET NULL,
+          FOREIGN KEY (rejected_by) REFERENCES users(id) ON DELETE SET NULL,
           password_reset_required BOOLEAN DEFAULT FALSE, -- Force password change on first login
           last_login TIMESTAMP NULL
         )
@@ -194,6 +199,26 @@ async function main() {
         console.log("Added last_login column to users table")
       }
 
+      // Check if student_id column exists (for matching attendance sheets to accounts)
+      const [studentIdColumns] = await connection.query(`SHOW COLUMNS FROM users LIKE 'student_id'`)
+      if (studentIdColumns.length === 0) {
+        await connection.query(`ALTER TABLE users ADD COLUMN student_id VARCHAR(50) NULL UNIQUE AFTER phone_number`)
+        console.log("Added student_id column to users table")
+      }
+
+      // Check if the rejection columns exist (account approval queue)
+      const [rejectionColumns] = await connection.query(`SHOW COLUMNS FROM users LIKE 'rejection_reason'`)
+      if (rejectionColumns.length === 0) {
+        await connection.query(
+          `ALTER TABLE users
+             ADD COLUMN rejected_by INT NULL AFTER approved_at,
+             ADD COLUMN rejected_at TIMESTAMP NULL AFTER rejected_by,
+             ADD COLUMN rejection_reason TEXT NULL AFTER rejected_at,
+             ADD CONSTRAINT fk_rejected_by FOREIGN KEY (rejected_by) REFERENCES users(id) ON DELETE SET NULL`,
+        )
+        console.log("Added rejected_by, rejected_at and rejection_reason columns to users table")
+      }
+
       // Optional: Check and update ENUM values if needed (more complex alter)
       // For example, if you decide to officially add 'partner' and 'reviewer' to the ENUM
       // You might need to check the current ENUM values and run an ALTER TABLE MODIFY COLUMN users.role ENUM(...)
@@ -256,6 +281,7 @@ async function main() {
                 contact_phone VARCHAR(20),
                 event_name VARCHAR(255),
                 event_venue VARCHAR(500),
+                venue_id INT NULL, -- venues.id when picked from the catalog; event_venue keeps the display name
                 event_start_date DATE,
                 event_end_date DATE,
                 event_start_time TIME,
@@ -292,6 +318,9 @@ async function main() {
                 reviewed_at TIMESTAMP NULL,
                 submitted_at TIMESTAMP NULL,
                 approved_at TIMESTAMP NULL,
+                compliance_due_date DATE NULL, -- Accomplishment report deadline, set on approval (compliance-deadline.service)
+                compliance_status ENUM('not_applicable','pending','compliant','overdue') DEFAULT 'not_applicable',
+                compliance_overdue_at TIMESTAMP NULL,
                 validation_errors JSON,
                 form_completion_percentage DECIMAL(5,2),
                 is_deleted TINYINT(1) DEFAULT 0,
@@ -440,6 +469,25 @@ async function main() {
         await connection.query(`ALTER TABLE proposals ADD COLUMN attendance_count INT AFTER digital_signature`);
         console.log("Added attendance_count column to proposals table");
       }
+
+      // Check for venue_id (link to the venues catalog)
+      const [venueIdColumns] = await connection.query(`SHOW COLUMNS FROM proposals LIKE 'venue_id'`);
+      if (venueIdColumns.length === 0) {
+        await connection.query(`ALTER TABLE proposals ADD COLUMN venue_id INT NULL AFTER event_venue, ADD INDEX idx_proposals_venue (venue_id)`);
+        console.log("Added venue_id column to proposals table");
+      }
+
+      // Check for the compliance deadline columns
+      const [complianceColumns] = await connection.query(`SHOW COLUMNS FROM proposals LIKE 'compliance_due_date'`);
+      if (complianceColumns.length === 0) {
+        await connection.query(`
+          ALTER TABLE proposals
+            ADD COLUMN compliance_due_date DATE NULL AFTER approved_at,
+            ADD COLUMN compliance_status ENUM('not_applicable','pending','compliant','overdue') DEFAULT 'not_applicable' AFTER compliance_due_date,
+            ADD COLUMN compliance_overdue_at TIMESTAMP NULL AFTER compliance_status
+        `);
+        console.log("Added compliance deadline columns to proposals table");
+      }
     }
 
     // 4. Create reviews table
@@ -454,6 +502,7 @@ async function main() {
                 reviewerId INT, -- Foreign key to the users table (the reviewer)
                 comments TEXT,
                 rating INT, -- Assuming rating is an integer
+                decision ENUM('approved','denied','revision_requested') NULL, -- Structured review outcome
                 createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
                 FOREIGN KEY (proposalId) REFERENCES proposals(id) ON DELETE CASCADE,
@@ -463,6 +512,87 @@ async function main() {
       console.log("Reviews table created")
     } else {
       console.log("Reviews table already exists")
+      const [reviewDecisionColumns] = await connection.query(`SHOW COLUMNS FROM reviews LIKE 'decision'`);
+      if (reviewDecisionColumns.length === 0) {
+        await connection.query(`ALTER TABLE reviews ADD COLUMN decision ENUM('approved','denied','revision_requested') NULL AFTER rating`);
+        console.log("Added decision column to reviews table");
+      }
+    }
+
+    // --- Proposal Comments (threaded reviewer/student discussion) ---
+    const [proposalCommentsTable] = await connection.query(`SHOW TABLES LIKE 'proposal_comments'`)
+    if (proposalCommentsTable.length === 0) {
+      console.log("Creating proposal_comments table...")
+      await connection.query(`
+          CREATE TABLE proposal_comments (
+              id BIGINT AUTO_INCREMENT PRIMARY KEY,
+              proposal_id BIGINT NOT NULL,
+              parent_id BIGINT NULL, -- Reply target; NULL for top-level comments
+              author_id INT NULL,
+              author_role VARCHAR(32) NULL,
+              kind ENUM('comment','decision','documentation_request') NOT NULL DEFAULT 'comment',
+              body TEXT NOT NULL,
+              is_internal BOOLEAN NOT NULL DEFAULT FALSE, -- Reviewer-only notes, hidden from students
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+              INDEX idx_proposal_comments_proposal (proposal_id, created_at),
+              FOREIGN KEY (proposal_id) REFERENCES proposals(id) ON DELETE CASCADE,
+              FOREIGN KEY (parent_id) REFERENCES proposal_comments(id) ON DELETE CASCADE,
+              FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE SET NULL
+          )
+        `)
+      console.log("proposal_comments table created")
+    } else {
+      console.log("proposal_comments table already exists.")
+    }
+
+    // --- Documentation Requests (checklists a student must satisfy) ---
+    const [docRequestsTable] = await connection.query(`SHOW TABLES LIKE 'proposal_documentation_requests'`)
+    if (docRequestsTable.length === 0) {
+      console.log("Creating proposal_documentation_requests table...")
+      await connection.query(`
+          CREATE TABLE proposal_documentation_requests (
+              id BIGINT AUTO_INCREMENT PRIMARY KEY,
+              proposal_id BIGINT NOT NULL,
+              requested_by INT NULL,
+              message TEXT NULL,
+              status ENUM('open','fulfilled','cancelled') NOT NULL DEFAULT 'open',
+              due_date DATE NULL,
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              fulfilled_at TIMESTAMP NULL,
+              INDEX idx_doc_requests_proposal (proposal_id, status),
+              FOREIGN KEY (proposal_id) REFERENCES proposals(id) ON DELETE CASCADE,
+              FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL
+          )
+        `)
+      console.log("proposal_documentation_requests table created")
+    } else {
+      console.log("proposal_documentation_requests table already exists.")
+    }
+
+    const [docItemsTable] = await connection.query(`SHOW TABLES LIKE 'proposal_documentation_items'`)
+    if (docItemsTable.length === 0) {
+      console.log("Creating proposal_documentation_items table...")
+      await connection.query(`
+          CREATE TABLE proposal_documentation_items (
+              id BIGINT AUTO_INCREMENT PRIMARY KEY,
+              request_id BIGINT NOT NULL,
+              label VARCHAR(255) NOT NULL,
+              description TEXT NULL,
+              is_required BOOLEAN NOT NULL DEFAULT TRUE,
+              status ENUM('pending','submitted') NOT NULL DEFAULT 'pending',
+              response_note TEXT NULL,
+              file_name VARCHAR(255) NULL,
+              file_path VARCHAR(500) NULL,
+              submitted_by INT NULL,
+              submitted_at TIMESTAMP NULL,
+              FOREIGN KEY (request_id) REFERENCES proposal_documentation_requests(id) ON DELETE CASCADE,
+              FOREIGN KEY (submitted_by) REFERENCES users(id) ON DELETE SET NULL
+          )
+        `)
+      console.log("proposal_documentation_items table created")
+    } else {
+      console.log("proposal_documentation_items table already exists.")
     }
 
     // Note: The proposals.js code also uses a 'documents' field which looks like
@@ -617,6 +747,696 @@ async function main() {
       console.log("school_events table already exists.")
     }
 
+    // --- Proposal Drafts Table (submit-event [draftId] flow) ---
+    // One row per in-progress submission; `payload` holds a JSON object keyed by
+    // section (overview, orgInfo, schoolEvent, communityEvent, reporting).
+    const [proposalDraftsTable] = await connection.query(`SHOW TABLES LIKE 'proposal_drafts'`)
+    if (proposalDraftsTable.length === 0) {
+      console.log("Creating proposal_drafts table...")
+      await connection.query(`
+          CREATE TABLE proposal_drafts (
+              id INT AUTO_INCREMENT PRIMARY KEY,
+              uuid VARCHAR(36) NOT NULL UNIQUE,
+              user_id INT NOT NULL,
+              payload JSON,
+              current_section ENUM('overview','orgInfo','schoolEvent','communityEvent','reporting') DEFAULT 'overview',
+              version INT NOT NULL DEFAULT 1, -- Bumped on every write (optimistic locking)
+              status ENUM('draft','submitted') NOT NULL DEFAULT 'draft',
+              proposal_id BIGINT NULL, -- Set once the draft is submitted
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+              submitted_at TIMESTAMP NULL,
+              INDEX idx_proposal_drafts_user_status (user_id, status),
+              FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+              FOREIGN KEY (proposal_id) REFERENCES proposals(id) ON DELETE SET NULL
+          )
+        `)
+      console.log("proposal_drafts table created")
+    } else {
+      console.log("proposal_drafts table already exists.")
+    }
+
+    // --- Proposal Status History (audit trail) ---
+    // One row per proposal_status / report_status transition, written by the
+    // lifecycle engine in the same transaction as the status change.
+    const [statusHistoryTable] = await connection.query(`SHOW TABLES LIKE 'proposal_status_history'`)
+    if (statusHistoryTable.length === 0) {
+      console.log("Creating proposal_status_history table...")
+      await connection.query(`
+          CREATE TABLE proposal_status_history (
+              id BIGINT AUTO_INCREMENT PRIMARY KEY,
+              proposal_id BIGINT NOT NULL,
+              status_type ENUM('proposal','report','compliance') NOT NULL DEFAULT 'proposal',
+              from_status VARCHAR(32) NULL,
+              to_status VARCHAR(32) NOT NULL,
+              actor_id INT NULL, -- NULL for system-driven changes
+              actor_role VARCHAR(32) NULL,
+              comment TEXT NULL,
+              source VARCHAR(255) NULL, -- Route or job that made the change
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              INDEX idx_status_history_proposal (proposal_id, created_at),
+              FOREIGN KEY (proposal_id) REFERENCES proposals(id) ON DELETE CASCADE,
+              FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+          )
+        `)
+      console.log("proposal_status_history table created")
+    } else {
+      console.log("proposal_status_history table already exists.")
+
+      // Compliance status changes made by reviewers are logged here too
+      const [statusTypeColumns] = await connection.query(`SHOW COLUMNS FROM proposal_status_history LIKE 'status_type'`)
+      if (statusTypeColumns.length > 0 && !statusTypeColumns[0].Type.includes("'compliance'")) {
+        await connection.query(`
+          ALTER TABLE proposal_status_history
+            MODIFY COLUMN status_type ENUM('proposal','report','compliance') NOT NULL DEFAULT 'proposal'
+        `)
+        console.log("Added the compliance status type to proposal_status_history")
+      }
+    }
+
+    // --- Notifications ---
+    // One row per recipient; written by services/notification.service.js when
+    // proposals are submitted or decided, reports fall due and accounts are approved.
+    const [notificationsTable] = await connection.query(`SHOW TABLES LIKE 'notifications'`)
+    if (notificationsTable.length === 0) {
+      console.log("Creating notifications table...")
+      await connection.query(`
+          CREATE TABLE notifications (
+              id BIGINT AUTO_INCREMENT PRIMARY KEY,
+              user_id INT NOT NULL, -- Recipient
+              type VARCHAR(50) NOT NULL, -- proposal_submitted, proposal_approved, report_due, account_approved, ...
+              title VARCHAR(255) NOT NULL,
+              message TEXT NULL,
+              link VARCHAR(255) NULL, -- Page to open when the notification is clicked
+              related_type VARCHAR(50) NULL, -- proposal, user, ...
+              related_id BIGINT NULL,
+              metadata JSON NULL,
+              is_read BOOLEAN NOT NULL DEFAULT FALSE,
+              read_at TIMESTAMP NULL,
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              INDEX idx_notifications_user (user_id, is_read, created_at),
+              INDEX idx_notifications_related (related_type, related_id),
+              FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+          )
+        `)
+      console.log("notifications table created")
+    } else {
+      console.log("notifications table already exists.")
+    }
+
+    // --- Email ---
+    // email_outbox: every message is rendered and stored before it is sent;
+    // services/email.service.js delivers pending rows and retries failures.
+    // email_preferences: per-user opt-outs by category (missing row = enabled).
+    const [emailOutboxTable] = await connection.query(`SHOW TABLES LIKE 'email_outbox'`)
+    if (emailOutboxTable.length === 0) {
+      console.log("Creating email_outbox table...")
+      await connection.query(`
+          CREATE TABLE email_outbox (
+              id BIGINT AUTO_INCREMENT PRIMARY KEY,
+              template VARCHAR(50) NOT NULL, -- proposal_decision, proposal_submitted, compliance_overdue, ...
+              user_id INT NULL, -- Recipient account, when known
+              to_email VARCHAR(255) NOT NULL,
+              subject VARCHAR(255) NOT NULL,
+              html MEDIUMTEXT NOT NULL,
+              text MEDIUMTEXT NOT NULL,
+              status ENUM('pending', 'sending', 'sent', 'failed', 'skipped') NOT NULL DEFAULT 'pending',
+              attempts INT NOT NULL DEFAULT 0,
+              max_attempts INT NOT NULL DEFAULT 5,
+              last_error TEXT NULL,
+              message_id VARCHAR(255) NULL, -- Returned by the transport
+              next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              sent_at TIMESTAMP NULL,
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+              INDEX idx_email_outbox_due (status, next_attempt_at),
+              INDEX idx_email_outbox_user (user_id, created_at),
+              FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+          )
+        `)
+      console.log("email_outbox table created")
+    } else {
+      console.log("email_outbox table already exists.")
+    }
+
+    const [emailPreferencesTable] = await connection.query(`SHOW TABLES LIKE 'email_preferences'`)
+    if (emailPreferencesTable.length === 0) {
+      console.log("Creating email_preferences table...")
+      await connection.query(`
+          CREATE TABLE email_preferences (
+              user_id INT NOT NULL,
+              category VARCHAR(50) NOT NULL, -- proposal_updates, review_queue, compliance
+              enabled BOOLEAN NOT NULL DEFAULT TRUE,
+              updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+              PRIMARY KEY (user_id, category),
+              FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+          )
+        `)
+      console.log("email_preferences table created")
+    } else {
+      console.log("email_preferences table already exists.")
+    }
+
+    // --- Venues ---
+    // Catalog of bookable rooms and online platforms; proposals.venue_id points here.
+    // Free-text event_venue values are matched to entries by scripts/migrate-venues.js.
+    const [venuesTable] = await connection.query(`SHOW TABLES LIKE 'venues'`)
+    if (venuesTable.length === 0) {
+      console.log("Creating venues table...")
+      await connection.query(`
+          CREATE TABLE venues (
+              id INT AUTO_INCREMENT PRIMARY KEY,
+              name VARCHAR(255) NOT NULL,
+              building VARCHAR(255) NULL,
+              capacity INT NULL, -- Seated capacity; NULL when not applicable (online)
+              is_online BOOLEAN NOT NULL DEFAULT FALSE,
+              open_time TIME NULL, -- Bookable hours; NULL = no restriction
+              close_time TIME NULL,
+              aliases JSON NULL, -- Other spellings used in old proposals, e.g. ["Gym", "Univ. Gymnasium"]
+              is_active BOOLEAN NOT NULL DEFAULT TRUE,
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+              UNIQUE KEY uq_venues_name (name)
+          )
+        `)
+      console.log("venues table created")
+    } else {
+      console.log("venues table already exists.")
+    }
+
+    // --- Blackout Periods ---
+    // Date ranges set by admins (exam weeks, holidays) in which events cannot be
+    // scheduled; services/schedule-conflict.service.js checks proposals against them.
+    const [blackoutPeriodsTable] = await connection.query(`SHOW TABLES LIKE 'blackout_periods'`)
+    if (blackoutPeriodsTable.length === 0) {
+      console.log("Creating blackout_periods table...")
+      await connection.query(`
+          CREATE TABLE blackout_periods (
+              id INT AUTO_INCREMENT PRIMARY KEY,
+              title VARCHAR(255) NOT NULL, -- e.g. "Midterm examinations"
+              start_date DATE NOT NULL,
+              end_date DATE NOT NULL, -- Inclusive
+              reason TEXT NULL,
+              created_by INT NULL,
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+              INDEX idx_blackout_periods_range (start_date, end_date),
+              FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+          )
+        `)
+      console.log("blackout_periods table created")
+    } else {
+      console.log("blackout_periods table already exists.")
+    }
+
+    // --- Event Attendees ---
+    // Who attended an event, one row per person. Filled from attendance sheets,
+    // check-ins and registrations; user_id links the row to a student account
+    // so SDP credits can be awarded (services/sdp-credit.service.js).
+    const [eventAttendeesTable] = await connection.query(`SHOW TABLES LIKE 'event_attendees'`)
+    if (eventAttendeesTable.length === 0) {
+      console.log("Creating event_attendees table...")
+      await connection.query(`
+          CREATE TABLE event_attendees (
+              id INT AUTO_INCREMENT PRIMARY KEY,
+              proposal_id INT NOT NULL,
+              user_id INT NULL, -- Matched student account; NULL for guests
+              full_name VARCHAR(255) NOT NULL,
+              email VARCHAR(255) NULL,
+              student_id VARCHAR(50) NULL,
+              school VARCHAR(255) NULL,
+              program VARCHAR(255) NULL,
+              year_level VARCHAR(50) NULL,
+              source ENUM('import','check_in','registration','manual') NOT NULL DEFAULT 'manual',
+              checked_in_at DATETIME NULL, -- Set when the attendee scanned the event's check-in QR code
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+              UNIQUE KEY uq_event_attendees_email (proposal_id, email),
+              INDEX idx_event_attendees_user (user_id),
+              FOREIGN KEY (proposal_id) REFERENCES proposals(id) ON DELETE CASCADE,
+              FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+          )
+        `)
+      console.log("event_attendees table created")
+    } else {
+      console.log("event_attendees table already exists.")
+
+      const [checkedInColumns] = await connection.query(`SHOW COLUMNS FROM event_attendees LIKE 'checked_in_at'`)
+      if (checkedInColumns.length === 0) {
+        await connection.query(`ALTER TABLE event_attendees ADD COLUMN checked_in_at DATETIME NULL AFTER source`)
+        console.log("Added checked_in_at column to event_attendees table")
+      }
+    }
+
+    // --- SDP Credit Ledger ---
+    // Append-only record of Student Development Program credits. Awards are
+    // written per attendee when an accomplishment report is approved; admins add
+    // signed adjustments with a reason. Totals are always summed from here.
+    const [sdpCreditLedgerTable] = await connection.query(`SHOW TABLES LIKE 'sdp_credit_ledger'`)
+    if (sdpCreditLedgerTable.length === 0) {
+      console.log("Creating sdp_credit_ledger table...")
+      await connection.query(`
+          CREATE TABLE sdp_credit_ledger (
+              id INT AUTO_INCREMENT PRIMARY KEY,
+              user_id INT NOT NULL,
+              proposal_id INT NULL, -- Event the credits came from; NULL for standalone adjustments
+              entry_type ENUM('award','adjustment') NOT NULL,
+              credits INT NOT NULL, -- Negative for deductions
+              category VARCHAR(100) NULL, -- Event type at the time of the award
+              reason TEXT NULL,
+              created_by INT NULL, -- Admin for adjustments, approving reviewer for awards
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              INDEX idx_sdp_credit_ledger_user (user_id, created_at),
+              INDEX idx_sdp_credit_ledger_proposal (proposal_id),
+              FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+              FOREIGN KEY (proposal_id) REFERENCES proposals(id) ON DELETE SET NULL,
+              FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+          )
+        `)
+      console.log("sdp_credit_ledger table created")
+    } else {
+      console.log("sdp_credit_ledger table already exists.")
+    }
+
+    // --- Event Registration ---
+    // Online pre-registration for approved events. The settings row is the
+    // organizer's configuration (capacity, waitlist, cancellation window,
+    // custom questions); each student has at most one registration per event,
+    // which moves between registered, waitlisted and cancelled.
+    const [registrationSettingsTable] = await connection.query(`SHOW TABLES LIKE 'event_registration_settings'`)
+    if (registrationSettingsTable.length === 0) {
+      console.log("Creating event_registration_settings table...")
+      await connection.query(`
+          CREATE TABLE event_registration_settings (
+              proposal_id INT PRIMARY KEY,
+              is_open BOOLEAN NOT NULL DEFAULT FALSE,
+              capacity INT NULL, -- NULL for no limit
+              waitlist_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+              cancellation_deadline_hours INT NOT NULL DEFAULT 24, -- Cancelling closes this long before the event starts
+              opens_at DATETIME NULL,
+              closes_at DATETIME NULL, -- NULL closes registration when the event starts
+              questions JSON NULL, -- [{ id, label, type: text|choice|yes_no, options, required }]
+              updated_by INT NULL,
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+              FOREIGN KEY (proposal_id) REFERENCES proposals(id) ON DELETE CASCADE,
+              FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+          )
+        `)
+      console.log("event_registration_settings table created")
+    } else {
+      console.log("event_registration_settings table already exists.")
+    }
+
+    const [registrationsTable] = await connection.query(`SHOW TABLES LIKE 'event_registrations'`)
+    if (registrationsTable.length === 0) {
+      console.log("Creating event_registrations table...")
+      await connection.query(`
+          CREATE TABLE event_registrations (
+              id INT AUTO_INCREMENT PRIMARY KEY,
+              proposal_id INT NOT NULL,
+              user_id INT NOT NULL,
+              status ENUM('registered','waitlisted','cancelled') NOT NULL,
+              school VARCHAR(255) NULL,
+              program VARCHAR(255) NULL,
+              year_level VARCHAR(50) NULL,
+              answers JSON NULL, -- { questionId: answer }
+              registered_at DATETIME NULL,
+              waitlisted_at DATETIME NULL, -- Waitlist order
+              promoted_at DATETIME NULL, -- Moved off the waitlist when a spot opened
+              cancelled_at DATETIME NULL,
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+              UNIQUE KEY uq_event_registrations_user (proposal_id, user_id),
+              INDEX idx_event_registrations_status (proposal_id, status, waitlisted_at),
+              FOREIGN KEY (proposal_id) REFERENCES proposals(id) ON DELETE CASCADE,
+              FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+          )
+        `)
+      console.log("event_registrations table created")
+    } else {
+      console.log("event_registrations table already exists.")
+    }
+
+    // Approved proposals become events. The event keeps its own copy of the
+    // schedule (mirrored onto the proposal, which conflict checks, registration
+    // and check-in read) and a status that maps onto proposals.event_status:
+    // scheduled -> NULL, postponed / cancelled / completed -> the same value.
+    const [eventsTable] = await connection.query(`SHOW TABLES LIKE 'events'`)
+    if (eventsTable.length === 0) {
+      console.log("Creating events table...")
+      await connection.query(`
+          CREATE TABLE events (
+              id INT AUTO_INCREMENT PRIMARY KEY,
+              proposal_id INT NOT NULL,
+              title VARCHAR(255) NOT NULL,
+              organization_name VARCHAR(255) NULL,
+              venue VARCHAR(255) NULL,
+              venue_id INT NULL,
+              start_date DATE NULL,
+              end_date DATE NULL,
+              start_time TIME NULL,
+              end_time TIME NULL,
+              status ENUM('scheduled','postponed','cancelled','completed') NOT NULL DEFAULT 'scheduled',
+              status_reason TEXT NULL, -- Why it was last postponed, cancelled or rescheduled
+              created_by INT NULL, -- Reviewer whose approval created the event
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+              UNIQUE KEY uq_events_proposal (proposal_id),
+              INDEX idx_events_status_start (status, start_date),
+              FOREIGN KEY (proposal_id) REFERENCES proposals(id) ON DELETE CASCADE,
+              FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+          )
+        `)
+      console.log("events table created")
+    } else {
+      console.log("events table already exists.")
+    }
+
+    // Who changed what on an event, and when
+    const [eventChangesTable] = await connection.query(`SHOW TABLES LIKE 'event_changes'`)
+    if (eventChangesTable.length === 0) {
+      console.log("Creating event_changes table...")
+      await connection.query(`
+          CREATE TABLE event_changes (
+              id INT AUTO_INCREMENT PRIMARY KEY,
+              event_id INT NOT NULL,
+              action ENUM('created','rescheduled','postponed','cancelled','completed') NOT NULL,
+              changes JSON NULL, -- { field: { from, to } }
+              reason TEXT NULL,
+              changed_by INT NULL, -- NULL for system changes
+              changed_by_role VARCHAR(50) NULL,
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              INDEX idx_event_changes_event (event_id, created_at),
+              FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+              FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+          )
+        `)
+      console.log("event_changes table created")
+    } else {
+      console.log("event_changes table already exists.")
+    }
+
+    // Proposals approved before events existed
+    const [backfilledEvents] = await connection.query(`
+        INSERT INTO events (proposal_id, title, organization_name, venue, venue_id, start_date, end_date, start_time, end_time, status)
+        SELECT p.id, COALESCE(p.event_name, p.organization_name, CONCAT('Event #', p.id)), p.organization_name, p.event_venue, p.venue_id,
+               p.event_start_date, p.event_end_date, p.event_start_time, p.event_end_time, COALESCE(p.event_status, 'scheduled')
+        FROM proposals p
+        LEFT JOIN events e ON e.proposal_id = p.id
+        WHERE p.proposal_status = 'approved' AND e.id IS NULL
+      `)
+    if (backfilledEvents.affectedRows > 0) {
+      console.log(`Created ${backfilledEvents.affectedRows} event(s) for previously approved proposals`)
+    }
+
+    // Compliance reminders already sent, so the daily deadline check never sends
+    // one twice. Keyed on the due date: moving the deadline re-arms the reminders.
+    const [complianceRemindersTable] = await connection.query(`SHOW TABLES LIKE 'compliance_reminders'`)
+    if (complianceRemindersTable.length === 0) {
+      console.log("Creating compliance_reminders table...")
+      await connection.query(`
+          CREATE TABLE compliance_reminders (
+              id INT AUTO_INCREMENT PRIMARY KEY,
+              proposal_id BIGINT NOT NULL,
+              kind ENUM('reminder','overdue','escalation') NOT NULL,
+              days_before INT NOT NULL DEFAULT 0, -- Reminder offset; 0 for overdue / escalation
+              due_date DATE NOT NULL,
+              sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              UNIQUE KEY uq_compliance_reminders (proposal_id, kind, days_before, due_date),
+              FOREIGN KEY (proposal_id) REFERENCES proposals(id) ON DELETE CASCADE
+          )
+        `)
+      console.log("compliance_reminders table created")
+    } else {
+      console.log("compliance_reminders table already exists.")
+    }
+
+    // Admin overrides letting an organization with overdue reports submit new proposals
+    const [complianceOverridesTable] = await connection.query(`SHOW TABLES LIKE 'compliance_overrides'`)
+    if (complianceOverridesTable.length === 0) {
+      console.log("Creating compliance_overrides table...")
+      await connection.query(`
+          CREATE TABLE compliance_overrides (
+              id INT AUTO_INCREMENT PRIMARY KEY,
+              organization_name VARCHAR(255) NOT NULL,
+              reason TEXT NOT NULL,
+              expires_at DATETIME NOT NULL,
+              granted_by INT NULL,
+              revoked_at DATETIME NULL,
+              revoked_by INT NULL,
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              INDEX idx_compliance_overrides_org (organization_name, expires_at),
+              FOREIGN KEY (granted_by) REFERENCES users(id) ON DELETE SET NULL,
+              FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL
+          )
+        `)
+      console.log("compliance_overrides table created")
+    } else {
+      console.log("compliance_overrides table already exists.")
+    }
+
+    // Compliance documents checklist of an approved proposal (Budget Report,
+    // Photo Documentation, ...). The accomplishment report itself is tracked by
+    // proposals.report_status; these are the documents submitted alongside it.
+    const [complianceDocumentsTable] = await connection.query(`SHOW TABLES LIKE 'compliance_documents'`)
+    if (complianceDocumentsTable.length === 0) {
+      console.log("Creating compliance_documents table...")
+      await connection.query(`
+          CREATE TABLE compliance_documents (
+              id INT AUTO_INCREMENT PRIMARY KEY,
+              proposal_id BIGINT NOT NULL,
+              name VARCHAR(100) NOT NULL, -- Checklist item, e.g. "Budget Report"
+              is_required BOOLEAN NOT NULL DEFAULT TRUE,
+              file_name VARCHAR(255) NULL, -- Original name of the uploaded file
+              file_path VARCHAR(500) NULL,
+              mime_type VARCHAR(100) NULL,
+              file_size INT NULL,
+              submitted_at TIMESTAMP NULL, -- NULL until a file is uploaded
+              submitted_by INT NULL,
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+              UNIQUE KEY uq_compliance_documents (proposal_id, name),
+              FOREIGN KEY (proposal_id) REFERENCES proposals(id) ON DELETE CASCADE,
+              FOREIGN KEY (submitted_by) REFERENCES users(id) ON DELETE SET NULL
+          )
+        `)
+      console.log("compliance_documents table created")
+    } else {
+      console.log("compliance_documents table already exists.")
+    }
+
+    // Approved proposals from before compliance deadlines: the report is due 30 days after the event.
+    // Postponed and cancelled events have no deadline on purpose (compliance-deadline.service).
+    const [backfilledDeadlines] = await connection.query(`
+        UPDATE proposals
+        SET compliance_due_date = DATE_ADD(COALESCE(event_end_date, event_start_date, DATE(approved_at), CURDATE()), INTERVAL 30 DAY),
+            compliance_status = IF(report_status = 'approved', 'compliant', 'pending')
+        WHERE proposal_status = 'approved' AND compliance_due_date IS NULL
+          AND (event_status IS NULL OR event_status NOT IN ('postponed', 'cancelled'))
+      `)
+    if (backfilledDeadlines.affectedRows > 0) {
+      console.log(`Set compliance deadlines for ${backfilledDeadlines.affectedRows} previously approved proposal(s)`)
+    }
+
+    // ...and give the ones still outstanding the default documents checklist
+    const [backfilledChecklists] = await connection.query(`
+        INSERT IGNORE INTO compliance_documents (proposal_id, name, is_required)
+        SELECT p.id, d.name, TRUE
+        FROM proposals p
+        CROSS JOIN (SELECT 'Budget Report' AS name UNION ALL SELECT 'Photo Documentation') d
+        WHERE p.compliance_status IN ('pending', 'overdue')
+          AND NOT EXISTS (SELECT 1 FROM compliance_documents c WHERE c.proposal_id = p.id)
+      `)
+    if (backfilledChecklists.affectedRows > 0) {
+      console.log(`Added ${backfilledChecklists.affectedRows} compliance checklist item(s) to previously approved proposals`)
+    }
+
+    // Accomplishment report review rubric (report-review.service). Reviewers
+    // score each active item; head admins and managers edit the list.
+    const [reportReviewCriteriaTable] = await connection.query(`SHOW TABLES LIKE 'report_review_criteria'`)
+    if (reportReviewCriteriaTable.length === 0) {
+      console.log("Creating report_review_criteria table...")
+      await connection.query(`
+          CREATE TABLE report_review_criteria (
+              id INT AUTO_INCREMENT PRIMARY KEY,
+              label VARCHAR(100) NOT NULL, -- e.g. "Attendance evidence"
+              description TEXT NULL, -- What the reviewer checks
+              is_required BOOLEAN NOT NULL DEFAULT TRUE, -- Rejecting a required item returns the report
+              sort_order INT NOT NULL DEFAULT 0,
+              is_active BOOLEAN NOT NULL DEFAULT TRUE, -- Retired items stay for past reviews
+              created_by INT NULL,
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+              FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+          )
+        `)
+      await connection.query(`
+          INSERT INTO report_review_criteria (label, description, sort_order) VALUES
+              ('Attendance evidence', 'The final attendance list or sign-in sheets support the reported attendance', 1),
+              ('Objectives met', 'The report explains how each objective of the proposal was achieved', 2),
+              ('Photo documentation', 'Captioned photos taken during the actual event', 3),
+              ('Signatures', 'Signed by the organization adviser and the officers in charge', 4)
+        `)
+      console.log("report_review_criteria table created with the default rubric")
+    } else {
+      console.log("report_review_criteria table already exists.")
+    }
+
+    // One row per review of a submitted report, with its decision
+    const [reportReviewsTable] = await connection.query(`SHOW TABLES LIKE 'report_reviews'`)
+    if (reportReviewsTable.length === 0) {
+      console.log("Creating report_reviews table...")
+      await connection.query(`
+          CREATE TABLE report_reviews (
+              id INT AUTO_INCREMENT PRIMARY KEY,
+              proposal_id BIGINT NOT NULL,
+              reviewer_id INT NULL,
+              decision ENUM('approved', 'denied') NOT NULL, -- Resulting report_status
+              summary TEXT NULL,
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              INDEX idx_report_reviews_proposal (proposal_id, created_at),
+              FOREIGN KEY (proposal_id) REFERENCES proposals(id) ON DELETE CASCADE,
+              FOREIGN KEY (reviewer_id) REFERENCES users(id) ON DELETE SET NULL
+          )
+        `)
+      console.log("report_reviews table created")
+    } else {
+      console.log("report_reviews table already exists.")
+    }
+
+    // Rubric items of a review; label / is_required are copied from the criterion
+    const [reportReviewItemsTable] = await connection.query(`SHOW TABLES LIKE 'report_review_items'`)
+    if (reportReviewItemsTable.length === 0) {
+      console.log("Creating report_review_items table...")
+      await connection.query(`
+          CREATE TABLE report_review_items (
+              id INT AUTO_INCREMENT PRIMARY KEY,
+              review_id INT NOT NULL,
+              criterion_id INT NULL,
+              label VARCHAR(100) NOT NULL,
+              is_required BOOLEAN NOT NULL DEFAULT TRUE,
+              status ENUM('accepted', 'partial', 'rejected') NOT NULL,
+              comment TEXT NULL,
+              reupload_document VARCHAR(50) NULL, -- accomplishment_report, pre_registration or final_attendance
+              FOREIGN KEY (review_id) REFERENCES report_reviews(id) ON DELETE CASCADE,
+              FOREIGN KEY (criterion_id) REFERENCES report_review_criteria(id) ON DELETE SET NULL
+          )
+        `)
+      console.log("report_review_items table created")
+    } else {
+      console.log("report_review_items table already exists.")
+    }
+
+    // Role-to-permission grants changed by head admins; permissions without a
+    // row keep the defaults from constants/permissions.js
+    const [rolePermissionsTable] = await connection.query(`SHOW TABLES LIKE 'role_permissions'`)
+    if (rolePermissionsTable.length === 0) {
+      console.log("Creating role_permissions table...")
+      await connection.query(`
+          CREATE TABLE role_permissions (
+              role ENUM('student', 'head_admin', 'manager', 'partner', 'reviewer') NOT NULL,
+              permission VARCHAR(64) NOT NULL, -- e.g. proposal:review, user:approve, report:export
+              granted BOOLEAN NOT NULL,
+              updated_by INT NULL,
+              updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+              PRIMARY KEY (role, permission),
+              FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+          )
+        `)
+      console.log("role_permissions table created")
+    } else {
+      console.log("role_permissions table already exists.")
+    }
+
+    // Data explorer audit log: every read and write head admins make through
+    // /api/data-explorer, with the reason and before/after values for writes
+    const [dataExplorerAuditTable] = await connection.query(`SHOW TABLES LIKE 'data_explorer_audit'`)
+    if (dataExplorerAuditTable.length === 0) {
+      console.log("Creating data_explorer_audit table...")
+      await connection.query(`
+          CREATE TABLE data_explorer_audit (
+              id INT AUTO_INCREMENT PRIMARY KEY,
+              actor_id INT NULL,
+              actor_role VARCHAR(32) NULL,
+              action ENUM('list', 'view', 'update', 'delete') NOT NULL,
+              resource VARCHAR(64) NOT NULL, -- key of constants/data-explorer.js RESOURCES
+              record_id VARCHAR(64) NULL,
+              reason TEXT NULL, -- required for update and delete
+              details JSON NULL, -- { before, after } for writes, the query for reads
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              INDEX idx_data_explorer_audit_resource (resource, created_at),
+              INDEX idx_data_explorer_audit_actor (actor_id),
+              FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+          )
+        `)
+      console.log("data_explorer_audit table created")
+    } else {
+      console.log("data_explorer_audit table already exists.")
+    }
+
+    // Auto-approval rules for pending accounts: a verified school email domain
+    // (services/account-approval.service.js). Single addresses are on the whitelist.
+    const [accountApprovalRulesTable] = await connection.query(`SHOW TABLES LIKE 'account_approval_rules'`)
+    if (accountApprovalRulesTable.length === 0) {
+      console.log("Creating account_approval_rules table...")
+      await connection.query(`
+          CREATE TABLE account_approval_rules (
+              id INT AUTO_INCREMENT PRIMARY KEY,
+              rule_type ENUM('email_domain', 'email') NOT NULL,
+              value VARCHAR(255) NOT NULL, -- lowercase domain (xu.edu.ph) or address
+              note VARCHAR(255) NULL,
+              is_active BOOLEAN NOT NULL DEFAULT TRUE,
+              created_by INT NULL,
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+              UNIQUE KEY uq_account_approval_rule (rule_type, value),
+              FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+          )
+        `)
+      console.log("account_approval_rules table created")
+    } else {
+      console.log("account_approval_rules table already exists.")
+    }
+
+    // Email whitelist: addresses allowed to create their account on first
+    // Google sign-in, with the role they get (services/whitelist.service.js)
+    const [whitelistTable] = await connection.query(`SHOW TABLES LIKE 'whitelist'`)
+    if (whitelistTable.length === 0) {
+      console.log("Creating whitelist table...")
+      await connection.query(`
+          CREATE TABLE whitelist (
+              id INT AUTO_INCREMENT PRIMARY KEY,
+              email VARCHAR(255) NOT NULL UNIQUE, -- stored lowercase
+              role ENUM('student', 'head_admin', 'manager', 'partner', 'reviewer') NOT NULL DEFAULT 'student',
+              notes TEXT NULL,
+              expires_at DATETIME NULL, -- NULL never expires
+              provisioned_user_id INT NULL, -- the account created from this entry
+              provisioned_at TIMESTAMP NULL,
+              created_by INT NULL,
+              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+              updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+              INDEX idx_whitelist_expires (expires_at),
+              FOREIGN KEY (provisioned_user_id) REFERENCES users(id) ON DELETE SET NULL,
+              FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+          )
+        `)
+      console.log("whitelist table created")
+    } else {
+      console.log("whitelist table already exists.")
+    }
+
+    // Single-address auto-approval rules are whitelist entries now
+    const [movedApprovalRules] = await connection.query(`
+        INSERT IGNORE INTO whitelist (email, role, notes, created_by)
+        SELECT value, 'student', note, created_by FROM account_approval_rules
+        WHERE rule_type = 'email' AND is_active = TRUE
+      `)
+    await connection.query(`DELETE FROM account_approval_rules WHERE rule_type = 'email'`)
+    if (movedApprovalRules.affectedRows > 0) {
+      console.log(`Moved ${movedApprovalRules.affectedRows} whitelisted address rule(s) to the email whitelist`)
+    }
+
     // --- Create Dummy Users if They Don't Exist ---
     // This section remains largely as you provided, ensuring at least one admin exists
     // to approve others, and providing test accounts.
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+/**
+ * Compliance Migration Script
+ * Copies compliance documents, due dates and status from the legacy Mongo
+ * proposals onto the matching approved MySQL proposals (same event name and
+ * start date, or the only approved proposal with that name)
+ *
+ * Usage:
+ *   node scripts/migrate-compliance.js           # dry run, prints the matches
+ *   node scripts/migrate-compliance.js --apply   # writes compliance_documents and proposal status
+ *
+ * Reads Mongo from MONGODB_URI_PROD | MONGODB_URI, like the other Mongo scripts.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { pool } = require('../config/db');
+const Proposal = require('../models/Proposal');
+const { COMPLIANCE_STATUSES, migrateMongoCompliance } = require('../services/compliance.service');
+
+const mongoUri = process.env.MONGODB_URI_PROD || process.env.MONGODB_URI || 'mongodb://localhost:27017/cedo_db';
+
+async function run() {
+    const apply = process.argv.includes('--apply');
+
+    await mongoose.connect(mongoUri, { serverSelectionTimeoutMS: 30000 });
+    const proposals = await Proposal.find({ complianceStatus: { $in: COMPLIANCE_STATUSES } }).lean();
+
+    console.log(`📋 ${apply ? 'Migrating' : 'Previewing'} compliance data of ${proposals.length} Mongo proposal(s)...`);
+    const { matched, unmatched, updated } = await migrateMongoCompliance(proposals, { apply });
+
+    matched.forEach((match) => {
+        console.log(`  ✅ "${match.title}" → proposal #${match.proposalId} (${match.status}, ${match.documents} document(s))`);
+    });
+    unmatched.forEach((row) => {
+        console.log(`  ❓ "${row.title}" (${row.mongoId}): ${row.reason}`);
+    });
+
+    if (apply) {
+        console.log(`✅ Migrated compliance data of ${updated} proposal(s)`);
+    } else {
+        console.log('ℹ️ Dry run only; re-run with --apply to save these matches');
+    }
+}
+
+run()
+    .catch((error) => {
+        console.error('❌ Compliance migration failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => Promise.all([pool.end(), mongoose.disconnect()]));
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+
+/**
+ * Venue Migration Script
+ * Links proposals that only have a free-text event_venue to the venue catalog
+ *
+ * Usage:
+ *   node scripts/migrate-venues.js                   # dry run, prints the matches
+ *   node scripts/migrate-venues.js --apply           # writes venue_id / canonical names
+ *   node scripts/migrate-venues.js --threshold=0.9   # stricter matching
+ */
+
+require('dotenv').config();
+const { pool } = require('../config/db');
+const { migrateFreeTextVenues, MATCH_THRESHOLD } = require('../services/venue.service');
+
+async function run() {
+    const apply = process.argv.includes('--apply');
+    const thresholdArg = process.argv.find((arg) => arg.startsWith('--threshold='));
+    const threshold = thresholdArg ? Number(thresholdArg.split('=')[1]) : MATCH_THRESHOLD;
+
+    console.log(`🏛️ ${apply ? 'Migrating' : 'Previewing'} free-text venues (threshold ${threshold})...`);
+    const { matched, unmatched, updated } = await migrateFreeTextVenues({ apply, threshold });
+
+    matched.forEach((match) => {
+        console.log(`  ✅ "${match.text}" → ${match.venueName} (score ${match.score}, ${match.proposals} proposal(s))`);
+    });
+    unmatched.forEach((row) => {
+        console.log(`  ❓ "${row.text}" has no catalog match (${row.proposals} proposal(s))`);
+    });
+
+    if (apply) {
+        console.log(`✅ Linked ${updated} proposal(s) to catalog venues`);
+    } else {
+        console.log('ℹ️ Dry run only; re-run with --apply to save these matches');
+    }
+}
+
+run()
+    .catch((error) => {
+        console.error('❌ Venue migration failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -283,6 +283,12 @@ async function startServer() {
     try {
       await ensureTablesExist();
       console.log('✅ Database tables verified.');
+      // Deliver queued emails and retry failed ones in the background
+      require('./services/email.service').startOutboxWorker();
+      // Daily accomplishment report reminders and overdue escalation
+      require('./services/compliance-deadline.service').startComplianceScheduler();
+      // Role permission grants changed by head admins (defaults until loaded), re-read every minute
+      require('./services/permission.service').startGrantRefresh();
     } catch (err) {
       console.error('❌ Failed to ensure database tables exist:', err.message);
       // Log the error but don't crash the server.
@@ -331,11 +337,25 @@ app.use("/auth", oauthRoutes) // Also mount on /auth for backwards compatibility
 app.use("/api/users", userRoutes)
 
 // ** Core Application Routes **
-app.use("/api/events", require("./routes/events"))
+app.use("/api/events", require("./routes/events"))  // Events created on approval: reschedule, postpone, cancel
+// Drafts must be mounted before the proposals router, otherwise GET /api/proposals/drafts
+// is swallowed by GET /api/proposals/:id
+const draftsRouter = require('./routes/drafts');
+app.use('/api', draftsRouter);
 app.use("/api/proposals", proposalsRouter)  // ✅ SINGLE PROPOSALS ROUTER - MySQL focused
-app.use("/api/reviews", require("./routes/reviews"))
 app.use("/api/reports", require("./routes/reports"))
-app.use("/api/compliance", require("./routes/compliance"))
+app.use("/api/compliance", require("./routes/compliance"))  // Compliance documents, report deadlines and submission overrides
+app.use("/api/report-reviews", require("./routes/report-reviews"))  // Accomplishment report rubric reviews
+app.use("/api/permissions", require("./routes/permissions"))  // Role-to-permission grants (head admins)
+app.use("/api/notifications", require("./routes/notifications"))
+app.use("/api/email", require("./routes/email"))
+app.use("/api/schedule", require("./routes/schedule"))  // Venue / date conflicts and blackout periods
+app.use("/api/venues", require("./routes/venues"))  // Venue catalog and availability
+app.use("/api/sdp-credits", require("./routes/sdp-credits"))  // SDP credits ledger and transcripts
+app.use("/api/attendance", require("./routes/attendance"))  // Attendance sheet import (preview / confirm)
+app.use("/api/check-in", require("./routes/check-in"))  // QR event check-in and live rosters
+app.use("/api/registrations", require("./routes/registrations"))  // Online event registration, waitlists and registrant export
+app.use("/api/stream", require("./routes/stream"))  // Server-Sent Events (live proposal updates)
 
 // ** Organization Management **
 const organizationRoutes = require('./routes/organizations');
@@ -350,10 +370,20 @@ app.use('/api/mongodb-unified', mongoUnifiedRouter);
 const adminRoutes = require('./routes/admin');
 app.use('/api/admin', adminRoutes);
 
-// ** Database API Routes **
-// ✅ Database API Routes
-const databaseApiRoutes = require('./routes/database-api');
-app.use('/api/db', databaseApiRoutes);
+// ** Data Explorer **
+// ✅ Head admin data explorer (whitelisted, redacted, audited)
+const dataExplorerRoutes = require('./routes/data-explorer');
+app.use('/api/data-explorer', dataExplorerRoutes);
+
+// ** Account Approvals **
+// ✅ Approval queue, bulk decisions and auto-approval rules
+const accountApprovalRoutes = require('./routes/account-approvals');
+app.use('/api/account-approvals', accountApprovalRoutes);
+
+// ** Email Whitelist **
+// ✅ Addresses provisioned on first Google sign-in, with CSV import/export
+const whitelistRoutes = require('./routes/whitelist');
+app.use('/api/whitelist', whitelistRoutes);
 
 // ** Profile Management **
 // Profile routes
@@ -364,11 +394,6 @@ app.use('/api/profile', profileRoutes);
 // Static file serving for uploads
 app.use('/uploads', express.static('uploads'));
 
-// ** Draft Management **
-// ✅ New drafts router
-const draftsRouter = require('./routes/drafts');
-app.use('/api', draftsRouter);
-
 // ** Testing & Debug Routes **
 // ✅ Test MongoDB router (for debugging)
 const testMongoDBRouter = require('./routes/test-mongodb');
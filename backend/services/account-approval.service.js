@@ -0,0 +1,434 @@
+// ==============================
+// Account Approval Service
+// Queue of accounts waiting for approval, bulk decisions and auto-approval rules
+// ==============================
+// An account is pending while `is_approved` is false and `rejected_at` is
+// null. Rejecting keeps the account (and `is_approved = false`) but records
+// who rejected it and why; the reason is returned by the sign-in endpoints so
+// AccountPendingDialog can show it. Approving a rejected account later clears
+// the rejection.
+//
+// Auto-approval approves pending student accounts when they sign in with
+// Google and Google reports the address as verified: either the whole school
+// domain (an `email_domain` rule in account_approval_rules, subdomains
+// included) or a single address with an unexpired student entry on the email
+// whitelist (whitelist.service). Staff accounts and rejected requests always
+// go through the queue.
+//
+// Every decision, manual or automatic, creates a notification and queues an
+// email (notification.service).
+
+const { pool } = require('../config/db');
+const ROLES = require('../constants/roles');
+const { notifyAccountApproved, notifyAccountRejected } = require('./notification.service');
+const { findActiveEntries } = require('./whitelist.service');
+const { httpError } = require('../utils/http-error');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_BATCH_SIZE = 100;
+const MAX_REASON_LENGTH = 500;
+const MAX_NOTE_LENGTH = 255;
+
+const QUEUE_STATUSES = ['pending', 'rejected'];
+const DECISIONS = ['approve', 'reject'];
+// Single addresses live on the email whitelist
+const RULE_TYPES = ['email_domain'];
+
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+const normalizeEmail = (value) => String(value || '').trim().toLowerCase();
+
+const domainOf = (email) => normalizeEmail(email).split('@')[1] || '';
+
+/**
+ * 'approved', 'rejected' or 'pending'
+ * @param {Object} user - users row
+ */
+function approvalStatusOf(user) {
+    if (user.is_approved) return 'approved';
+    return user.rejected_at ? 'rejected' : 'pending';
+}
+
+function formatRule(row) {
+    return {
+        id: row.id,
+        type: row.rule_type,
+        value: row.value,
+        note: row.note || null,
+        isActive: Boolean(row.is_active),
+        createdBy: row.created_by_name || null,
+        createdAt: row.created_at,
+    };
+}
+
+/**
+ * Active domain rules, plus the student whitelist entries of the given
+ * addresses as rules of type `whitelist`
+ * @param {string[]} emails - Addresses about to be matched
+ */
+async function loadActiveRules(emails) {
+    const [rows] = await pool.query(
+        'SELECT id, rule_type, value FROM account_approval_rules WHERE is_active = TRUE',
+    );
+    const entries = await findActiveEntries(emails);
+    return [
+        ...entries
+            .filter((entry) => entry.role === ROLES.STUDENT)
+            .map((entry) => ({ id: entry.id, type: 'whitelist', value: entry.email, note: entry.notes, isActive: true })),
+        ...rows.map(formatRule),
+    ];
+}
+
+/**
+ * The active rule that covers an email address, if any. A whitelisted
+ * address wins over its domain.
+ * @param {Object[]} rules - Formatted active rules
+ * @param {string} email
+ */
+function matchingRule(rules, email) {
+    const address = normalizeEmail(email);
+    const domain = domainOf(address);
+    if (!domain) return null;
+    return rules.find((rule) => rule.type === 'whitelist' && rule.value === address)
+        || rules.find((rule) => rule.type === 'email_domain' && (domain === rule.value || domain.endsWith(`.${rule.value}`)))
+        || null;
+}
+
+// Only student accounts are approved by rule; staff accounts always need a person
+const isAutoApprovable = (user) => user.role === ROLES.STUDENT;
+
+function formatQueueEntry(row, rules) {
+    const rule = isAutoApprovable(row) ? matchingRule(rules, row.email) : null;
+    return {
+        id: row.id,
+        name: row.name,
+        email: row.email,
+        role: row.role,
+        organization: row.organization || null,
+        organizationType: row.organization_type || null,
+        studentId: row.student_id || null,
+        googleLinked: Boolean(row.google_linked),
+        createdAt: row.created_at,
+        status: approvalStatusOf(row),
+        rejection: row.rejected_at
+            ? { reason: row.rejection_reason, rejectedAt: row.rejected_at, rejectedBy: row.rejected_by_name || null }
+            : null,
+        matchedRule: rule ? { id: rule.id, type: rule.type, value: rule.value } : null,
+    };
+}
+
+/**
+ * A page of accounts waiting for a decision (or already rejected)
+ * @param {Object} query - { status: 'pending'|'rejected', q, page, limit }
+ * @returns {Promise<{accounts, counts, pagination}>}
+ */
+async function listQueue(query = {}) {
+    const status = query.status || 'pending';
+    if (!QUEUE_STATUSES.includes(status)) {
+        throw httpError(400, 'Validation failed', {
+            errors: { status: `Must be one of: ${QUEUE_STATUSES.join(', ')}` },
+        });
+    }
+
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+    const conditions = ['u.is_approved = FALSE', status === 'pending' ? 'u.rejected_at IS NULL' : 'u.rejected_at IS NOT NULL'];
+    const params = [];
+    const search = String(query.q || '').trim();
+    if (search) {
+        conditions.push('(u.name LIKE ? OR u.email LIKE ? OR u.organization LIKE ?)');
+        params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+    const where = conditions.join(' AND ');
+
+    const [rows] = await pool.query(
+        `SELECT u.id, u.name, u.email, u.role, u.organization, u.organization_type, u.student_id,
+                u.google_id IS NOT NULL AS google_linked, u.is_approved, u.created_at,
+                u.rejected_at, u.rejection_reason, reviewer.name AS rejected_by_name
+           FROM users u
+           LEFT JOIN users reviewer ON reviewer.id = u.rejected_by
+          WHERE ${where}
+          ORDER BY ${status === 'pending' ? 'u.created_at ASC' : 'u.rejected_at DESC'}
+          LIMIT ? OFFSET ?`,
+        [...params, limit, (page - 1) * limit],
+    );
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM users u WHERE ${where}`, params);
+    const [[counts]] = await pool.query(
+        `SELECT COALESCE(SUM(rejected_at IS NULL), 0) AS pending, COALESCE(SUM(rejected_at IS NOT NULL), 0) AS rejected
+           FROM users WHERE is_approved = FALSE`,
+    );
+    const rules = await loadActiveRules(rows.map((row) => row.email));
+
+    return {
+        accounts: rows.map((row) => formatQueueEntry(row, rules)),
+        counts: { pending: Number(counts.pending), rejected: Number(counts.rejected) },
+        pagination: { page, limit, total: Number(total), pages: Math.ceil(Number(total) / limit) },
+    };
+}
+
+function validateDecision(input) {
+    const errors = {};
+    const userIds = Array.isArray(input.userIds) ? [...new Set(input.userIds.map(Number))] : [];
+    if (userIds.length === 0 || userIds.some((id) => !Number.isInteger(id) || id < 1)) {
+        errors.userIds = 'Select at least one account';
+    } else if (userIds.length > MAX_BATCH_SIZE) {
+        errors.userIds = `At most ${MAX_BATCH_SIZE} accounts at a time`;
+    }
+    if (!DECISIONS.includes(input.decision)) {
+        errors.decision = `Must be one of: ${DECISIONS.join(', ')}`;
+    }
+    const reason = typeof input.reason === 'string' ? input.reason.trim() : '';
+    if (input.decision === 'reject' && !reason) {
+        errors.reason = 'A reason is required to reject an account; the user will see it';
+    } else if (reason.length > MAX_REASON_LENGTH) {
+        errors.reason = `Must be ${MAX_REASON_LENGTH} characters or fewer`;
+    }
+    if (Object.keys(errors).length) throw httpError(400, 'Validation failed', { errors });
+    return { userIds, decision: input.decision, reason };
+}
+
+/**
+ * Approve or reject several accounts at once. Accounts that are already
+ * approved, already rejected (for rejections) or missing are skipped and
+ * reported rather than failing the whole batch. The accounts are locked while
+ * they are decided, so a decision or auto-approval that lands at the same time
+ * cannot be overwritten, and only the accounts this call changed are notified.
+ * @param {Object} input - { userIds: number[], decision: 'approve'|'reject', reason? }
+ * @param {Object} actor - req.user
+ * @returns {Promise<{decision, updated: number[], skipped: {id, reason}[]}>}
+ */
+async function decide(input, actor) {
+    const { userIds, decision, reason } = validateDecision(input || {});
+
+    const updated = [];
+    const skipped = [];
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [users] = await connection.query(
+            'SELECT id, role, is_approved, rejected_at FROM users WHERE id IN (?) FOR UPDATE',
+            [userIds],
+        );
+        const byId = new Map(users.map((user) => [user.id, user]));
+
+        for (const id of userIds) {
+            const user = byId.get(id);
+            if (!user) skipped.push({ id, reason: 'Account not found' });
+            else if (user.is_approved) skipped.push({ id, reason: 'Already approved' });
+            else if (decision === 'reject' && user.rejected_at) skipped.push({ id, reason: 'Already rejected' });
+            else if (user.role === ROLES.HEAD_ADMIN && actor.role !== ROLES.HEAD_ADMIN) {
+                skipped.push({ id, reason: 'Only head admins can decide on head admin accounts' });
+            } else {
+                const [result] = decision === 'approve'
+                    ? await connection.query(
+                        `UPDATE users
+                            SET is_approved = TRUE, approved_by = ?, approved_at = CURRENT_TIMESTAMP,
+                                rejected_by = NULL, rejected_at = NULL, rejection_reason = NULL
+                          WHERE id = ? AND is_approved = FALSE`,
+                        [actor.id, id],
+                    )
+                    : await connection.query(
+                        `UPDATE users
+                            SET rejected_by = ?, rejected_at = CURRENT_TIMESTAMP, rejection_reason = ?
+                          WHERE id = ? AND is_approved = FALSE AND rejected_at IS NULL`,
+                        [actor.id, reason, id],
+                    );
+                if (result.affectedRows) updated.push(id);
+                else skipped.push({ id, reason: 'Decided by someone else in the meantime' });
+            }
+        }
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    for (const id of updated) {
+        if (decision === 'approve') await notifyAccountApproved(id, { approver: actor });
+        else await notifyAccountRejected(id, { reason, reviewer: actor });
+    }
+    if (updated.length) {
+        console.log(`✅ Account approvals: ${actor.id} ${decision === 'approve' ? 'approved' : 'rejected'} ${updated.join(', ')}`);
+    }
+
+    return { decision, updated, skipped };
+}
+
+/**
+ * Approve a pending student account that signed in with a Google-verified
+ * address covered by an active rule. Returns the (possibly updated) user;
+ * never throws, so a rules problem cannot break sign-in.
+ * @param {Object} user - users row
+ * @param {Object} options
+ * @param {boolean} options.emailVerified - Whether Google verified the address
+ */
+async function applyAutoApproval(user, { emailVerified = false } = {}) {
+    if (!user || approvalStatusOf(user) !== 'pending' || !emailVerified || !isAutoApprovable(user)) {
+        return user;
+    }
+
+    try {
+        const rule = matchingRule(await loadActiveRules([user.email]), user.email);
+        if (!rule) return user;
+
+        const [result] = await pool.query(
+            `UPDATE users SET is_approved = TRUE, approved_by = NULL, approved_at = CURRENT_TIMESTAMP
+              WHERE id = ? AND is_approved = FALSE AND rejected_at IS NULL`,
+            [user.id],
+        );
+        if (!result.affectedRows) return user;
+
+        console.log(`✅ Account approvals: auto-approved ${user.id} (${rule.type} ${rule.value})`);
+        await notifyAccountApproved(user.id, { rule });
+        return { ...user, is_approved: 1, approved_by: null, approved_at: new Date() };
+    } catch (error) {
+        console.error(`❌ Account approvals: auto-approval failed for ${user.id}:`, error.message);
+        return user;
+    }
+}
+
+/**
+ * The 403 body the sign-in endpoints send for an account that is not
+ * approved; `approval` carries the rejection reason for AccountPendingDialog.
+ * @param {Object} user - users row
+ */
+function signInBlock(user) {
+    const rejected = approvalStatusOf(user) === 'rejected';
+    return {
+        message: rejected
+            ? 'Your account request was not approved.'
+            : 'Account pending approval. Please contact an administrator.',
+        reason: rejected ? 'USER_REJECTED' : 'USER_NOT_APPROVED',
+        approval: {
+            status: approvalStatusOf(user),
+            rejectionReason: rejected ? user.rejection_reason : null,
+            rejectedAt: rejected ? user.rejected_at : null,
+        },
+        user: {
+            id: user.id,
+            name: user.name,
+            email: user.email,
+            avatar: user.avatar || null,
+            is_approved: Boolean(user.is_approved),
+        },
+    };
+}
+
+// ------------------------------------------------------------------
+// Rules
+// ------------------------------------------------------------------
+
+function validateRule(input) {
+    const errors = {};
+    const type = input.type;
+    let value = normalizeEmail(input.value);
+    if (type === 'email') {
+        errors.type = 'Add single addresses to the email whitelist';
+    } else if (!RULE_TYPES.includes(type)) {
+        errors.type = `Must be one of: ${RULE_TYPES.join(', ')}`;
+    } else {
+        value = value.replace(/^@/, '');
+        if (!DOMAIN_PATTERN.test(value)) errors.value = 'Enter a domain such as xu.edu.ph';
+    }
+    const note = typeof input.note === 'string' ? input.note.trim() : '';
+    if (note.length > MAX_NOTE_LENGTH) errors.note = `Must be ${MAX_NOTE_LENGTH} characters or fewer`;
+    if (Object.keys(errors).length) throw httpError(400, 'Validation failed', { errors });
+    return { type, value, note: note || null };
+}
+
+async function getRule(id) {
+    const [rows] = await pool.query(
+        `SELECT r.*, creator.name AS created_by_name
+           FROM account_approval_rules r
+           LEFT JOIN users creator ON creator.id = r.created_by
+          WHERE r.id = ?`,
+        [id],
+    );
+    if (!rows[0]) throw httpError(404, 'Rule not found');
+    return formatRule(rows[0]);
+}
+
+/**
+ * All domain rules (whitelisted addresses are listed by whitelist.service)
+ */
+async function listRules() {
+    const [rows] = await pool.query(
+        `SELECT r.*, creator.name AS created_by_name
+           FROM account_approval_rules r
+           LEFT JOIN users creator ON creator.id = r.created_by
+          ORDER BY r.rule_type ASC, r.value ASC`,
+    );
+    return rows.map(formatRule);
+}
+
+/**
+ * Add an auto-approval rule
+ * @param {Object} input - { type: 'email_domain', value, note? }
+ * @param {Object} actor - req.user
+ */
+async function createRule(input, actor) {
+    const rule = validateRule(input || {});
+    try {
+        const [result] = await pool.query(
+            'INSERT INTO account_approval_rules (rule_type, value, note, created_by) VALUES (?, ?, ?, ?)',
+            [rule.type, rule.value, rule.note, Number.isInteger(actor.id) ? actor.id : null],
+        );
+        return getRule(result.insertId);
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            throw httpError(409, 'This rule already exists', { errors: { value: `${rule.value} is already listed` } });
+        }
+        throw error;
+    }
+}
+
+/**
+ * Turn a rule on or off, or change its note
+ * @param {number} id
+ * @param {Object} input - { isActive?, note? }
+ */
+async function updateRule(id, input = {}) {
+    const changes = {};
+    if (input.isActive !== undefined) changes.is_active = Boolean(input.isActive);
+    if (input.note !== undefined) {
+        const note = typeof input.note === 'string' ? input.note.trim() : '';
+        if (note.length > MAX_NOTE_LENGTH) {
+            throw httpError(400, 'Validation failed', { errors: { note: `Must be ${MAX_NOTE_LENGTH} characters or fewer` } });
+        }
+        changes.note = note || null;
+    }
+    if (Object.keys(changes).length === 0) {
+        throw httpError(400, 'Nothing to update');
+    }
+    const [result] = await pool.query('UPDATE account_approval_rules SET ? WHERE id = ?', [changes, id]);
+    if (!result.affectedRows) throw httpError(404, 'Rule not found');
+    return getRule(id);
+}
+
+/**
+ * Remove a rule. Accounts it already approved stay approved.
+ * @param {number} id
+ */
+async function deleteRule(id) {
+    const [result] = await pool.query('DELETE FROM account_approval_rules WHERE id = ?', [id]);
+    if (!result.affectedRows) throw httpError(404, 'Rule not found');
+}
+
+module.exports = {
+    approvalStatusOf,
+    matchingRule,
+    listQueue,
+    decide,
+    applyAutoApproval,
+    signInBlock,
+    listRules,
+    createRule,
+    updateRule,
+    deleteRule,
+};
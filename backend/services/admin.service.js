@@ -5,7 +5,12 @@
 // This service handles all admin-related database operations for the CEDO application
 // Combines MySQL proposal data with MongoDB file metadata for comprehensive admin features
 
+const fs = require('fs').promises;
 const { pool } = require('../config/db');
+const attendanceImport = require('./attendance-import.service');
+const { transitionReportStatus } = require('./proposal-lifecycle.service');
+const { notifyTransition } = require('./notification.service');
+const { missingReuploads } = require('./report-review.service');
 
 // ==============================
 // Proposals Data Management
@@ -320,12 +325,17 @@ async function getAdminStats() {
 // ==============================
 
 /**
- * Save Section 5 accomplishment reporting data
- * @param {Object} data - Reporting form data
+ * Save Section 5 accomplishment reporting data.
+ * A CSV / XLSX final attendance list is imported into event_attendees and
+ * attendance_count is derived from it; a typed attendance_count is ignored.
+ * A report returned by its review must come back with the files the reviewer
+ * asked to be uploaded again.
+ * @param {Object} data - Reporting form data (attendance_mapping: optional JSON header override)
  * @param {Object} files - Uploaded files from multer
+ * @param {Object|string} [actor] - Who submitted the report (req.user), recorded on the status change
  * @returns {Object} Success result with verification
  */
-async function saveSection5Reporting(data, files) {
+async function saveSection5Reporting(data, files, actor = 'system') {
     console.log('📊 Admin Service: Processing Section 5 reporting data');
 
     const { pool } = require('../config/db');
@@ -333,8 +343,8 @@ async function saveSection5Reporting(data, files) {
         proposal_id,
         report_description,
         event_status,
-        attendance_count,
-        digital_signature
+        digital_signature,
+        attendance_mapping
     } = data;
 
     if (!proposal_id) {
@@ -362,15 +372,32 @@ async function saveSection5Reporting(data, files) {
         }
     }
 
+    // Read the attendance sheet before opening the transaction so a bad file fails fast
+    let attendanceSheet = null;
+    const attendanceFile = files && files.final_attendance_file && files.final_attendance_file[0];
+    if (attendanceFile && attendanceImport.isAttendanceSheet(attendanceFile.originalname)) {
+        let mapping = null;
+        if (attendance_mapping) {
+            try {
+                mapping = typeof attendance_mapping === 'string' ? JSON.parse(attendance_mapping) : attendance_mapping;
+            } catch (error) {
+                throw Object.assign(new Error('attendance_mapping must be a JSON object'), { statusCode: 400 });
+            }
+        }
+        const buffer = await fs.readFile(attendanceFile.path);
+        attendanceSheet = await attendanceImport.parseAttendanceSheet(buffer, attendanceFile.originalname, mapping);
+        if (!attendanceSheet.rows.some((row) => row.status === 'unmatched')) {
+            throw Object.assign(new Error('The final attendance list has no valid rows to import'), { statusCode: 422 });
+        }
+    }
+
     // ==============================
     // Prepare Database Update
     // ==============================
     const textFields = {
         report_description,
         event_status,
-        attendance_count,
-        digital_signature,
-        report_status: 'pending' // Set status to pending on submission
+        digital_signature
     };
 
     const updateFields = { ...textFields, ...fileFields };
@@ -400,14 +427,44 @@ async function saveSection5Reporting(data, files) {
     `;
     values.push(proposal_id);
 
+    let transition = null;
+    const connection = await pool.getConnection();
     try {
-        const [result] = await pool.query(query, values);
+        await connection.beginTransaction();
+
+        const [result] = await connection.query(query, values);
 
         if (result.affectedRows === 0) {
             throw new Error(`Proposal with ID ${proposal_id} not found.`);
         }
 
+        if (attendanceSheet) {
+            await attendanceImport.matchStudentAccounts(attendanceSheet.rows, connection);
+            await attendanceImport.replaceImportedAttendees(proposal_id, attendanceSheet.rows, connection);
+            const attendanceCount = await attendanceImport.refreshAttendanceCount(proposal_id, connection);
+            console.log(`📋 Admin Service: Attendance list imported, ${attendanceCount} attendee(s) on record`);
+        }
+
+        // Submission moves the report to pending; re-saving a pending report keeps it there
+        const [[current]] = await connection.query('SELECT report_status FROM proposals WHERE id = ?', [proposal_id]);
+        if (current.report_status === 'denied') {
+            const uploaded = Object.keys(files || {}).map((fieldName) => fieldName.replace(/_file$/, ''));
+            const missing = await missingReuploads(proposal_id, uploaded, connection);
+            if (missing.length > 0) {
+                throw Object.assign(new Error(`Upload again what the reviewer asked for: ${missing.join(', ')}`), { statusCode: 400 });
+            }
+        }
+        if (current.report_status !== 'pending') {
+            transition = await transitionReportStatus(proposal_id, 'pending', {
+                actor,
+                connection,
+                source: 'admin.service.saveSection5Reporting'
+            });
+        }
+
+        await connection.commit();
         console.log('✅ Admin Service: Successfully saved reporting data for proposal:', proposal_id);
+        await notifyTransition(transition);
 
         return {
             success: true,
@@ -417,8 +474,13 @@ async function saveSection5Reporting(data, files) {
         };
 
     } catch (error) {
+        await connection.rollback();
         console.error('❌ Admin Service: Database error in saveSection5Reporting:', error);
+        // Lifecycle errors (illegal transition) keep their status code for the route
+        if (error.statusCode) throw error;
         throw new Error('Failed to save reporting data to the database: ' + error.message);
+    } finally {
+        connection.release();
     }
 }
 
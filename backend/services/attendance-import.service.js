@@ -0,0 +1,410 @@
+// ==============================
+// Attendance Import Service
+// Reads final attendance sheets (CSV / XLSX) into event_attendees
+// ==============================
+// Organizers upload the sheet they collected at the event. Importing happens in
+// two steps so nothing is written until the organizer has seen how the sheet
+// was read:
+//   preview - detect the header row, map its columns, validate every row and
+//             match it to a student account (by email, then by student ID)
+//   confirm - same parsing, then replace the proposal's previously imported
+//             rows and derive proposals.attendance_count from event_attendees
+// Rows from check-ins and registrations (other `source` values) are left alone.
+
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { pool } = require('../config/db');
+const { hasPermission } = require('./permission.service');
+const { httpError } = require('../utils/http-error');
+
+const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx'];
+
+// Header rows are usually the first line, but sheets often carry a title or
+// event details above them
+const HEADER_SCAN_ROWS = 10;
+
+// Column headers we recognise, compared after normalizeHeader()
+const HEADER_SYNONYMS = {
+    fullName: ['name', 'full name', 'fullname', 'complete name', 'student name', 'attendee', 'attendee name', 'participant', 'participant name'],
+    firstName: ['first name', 'firstname', 'given name'],
+    lastName: ['last name', 'lastname', 'surname', 'family name'],
+    email: ['email', 'email address', 'e mail', 'e mail address', 'student email', 'gbox', 'gbox email'],
+    studentId: ['student id', 'student no', 'student number', 'id number', 'id no', 'school id', 'id'],
+    school: ['school', 'college', 'department', 'institution'],
+    program: ['program', 'course', 'degree', 'program course', 'course program'],
+    yearLevel: ['year level', 'year', 'yr', 'yr level', 'grade level'],
+};
+
+const FIELDS = Object.keys(HEADER_SYNONYMS);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// ==============================
+// Sheet Parsing
+// ==============================
+
+// "E-mail Address:" → "e mail address"
+const normalizeHeader = (value) => String(value || '')
+    .replace(/^\uFEFF/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+// ExcelJS cell values may be rich text, hyperlinks, formulas or dates
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+        if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('').trim();
+        if (value.text !== undefined) return cellText(value.text);
+        if (value.result !== undefined) return cellText(value.result);
+        return '';
+    }
+    return String(value).trim();
+}
+
+async function readRows(buffer, filename) {
+    const extension = path.extname(filename || '').toLowerCase();
+    if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+        throw httpError(422, 'Attendance lists must be a .csv or .xlsx file. Save older .xls sheets as .xlsx first.');
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+    try {
+        if (extension === '.csv') {
+            // Keep every value as typed; the default CSV mapper turns IDs like 2021-00123 into dates
+            worksheet = await workbook.csv.read(Readable.from([buffer]), { map: (value) => value });
+        } else {
+            await workbook.xlsx.load(buffer);
+            worksheet = workbook.worksheets.find((sheet) => sheet.actualRowCount > 0) || workbook.worksheets[0];
+        }
+    } catch (error) {
+        throw httpError(422, `Could not read the attendance file: ${error.message}`);
+    }
+
+    const rows = [];
+    if (worksheet) {
+        worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+            // row.values is 1-based and sparse; drop the empty first slot and fill the gaps
+            rows.push({ rowNumber, cells: Array.from(row.values.slice(1), cellText) });
+        });
+    }
+    return rows;
+}
+
+// Column index per field for one candidate header row
+function detectMapping(cells) {
+    const mapping = {};
+    cells.forEach((cell, index) => {
+        const header = normalizeHeader(cell);
+        if (!header) return;
+        const field = FIELDS.find((name) => mapping[name] === undefined && HEADER_SYNONYMS[name].includes(header));
+        if (field) mapping[field] = index;
+    });
+    return mapping;
+}
+
+const hasNameColumn = (mapping) => mapping.fullName !== undefined
+    || (mapping.firstName !== undefined && mapping.lastName !== undefined);
+
+// Client-supplied mapping is { field: 'Header text' }; resolve it against a header row
+function applyOverride(cells, override) {
+    const headers = cells.map(normalizeHeader);
+    const mapping = {};
+    for (const [field, header] of Object.entries(override)) {
+        if (!FIELDS.includes(field)) {
+            throw httpError(400, `Unknown attendance field "${field}"`);
+        }
+        if (header === null || header === '') continue;
+        const index = headers.indexOf(normalizeHeader(header));
+        if (index === -1) return null;
+        mapping[field] = index;
+    }
+    return mapping;
+}
+
+function findHeaderRow(rows, override) {
+    for (const row of rows.slice(0, HEADER_SCAN_ROWS)) {
+        const mapping = override ? applyOverride(row.cells, override) : detectMapping(row.cells);
+        // Guessing needs a second recognised column so a stray "Name:" line is not taken as the header
+        if (mapping && hasNameColumn(mapping) && (override || Object.keys(mapping).length >= 2)) {
+            return { headerRow: row, mapping };
+        }
+    }
+    return null;
+}
+
+function readAttendee(cells, mapping) {
+    const value = (field) => (mapping[field] === undefined ? '' : cells[mapping[field]] || '');
+    const fullName = value('fullName') || [value('firstName'), value('lastName')].filter(Boolean).join(' ');
+
+    return {
+        fullName: fullName.replace(/\s+/g, ' ').trim(),
+        email: value('email').toLowerCase() || null,
+        studentId: value('studentId') || null,
+        school: value('school') || null,
+        program: value('program') || null,
+        yearLevel: value('yearLevel') || null,
+    };
+}
+
+/**
+ * Parse an attendance sheet and validate its rows (no database access)
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Original name; the extension picks the parser
+ * @param {Object} [override] - { field: 'Header text' } chosen by the organizer
+ * @returns {Promise<{ headers: string[], headerRowNumber: number, mapping: Object, rows: Object[] }>}
+ */
+async function parseAttendanceSheet(buffer, filename, override = null) {
+    const rows = await readRows(buffer, filename);
+    if (rows.length === 0) {
+        throw httpError(422, 'The attendance file is empty');
+    }
+
+    const detected = findHeaderRow(rows, override);
+    if (!detected) {
+        throw httpError(422, override
+            ? 'The selected columns were not found in the attendance file'
+            : 'Could not find a header row with a name column in the first rows of the attendance file', {
+            headers: rows[0].cells,
+        });
+    }
+
+    const { headerRow, mapping } = detected;
+    const seenEmails = new Map();
+    const seenStudentIds = new Map();
+
+    const parsed = rows
+        .filter((row) => row.rowNumber > headerRow.rowNumber && row.cells.some(Boolean))
+        .map((row) => {
+            const attendee = readAttendee(row.cells, mapping);
+            const errors = [];
+
+            if (!attendee.fullName) errors.push('Name is missing');
+            if (attendee.email && !EMAIL_PATTERN.test(attendee.email)) errors.push('Email address is not valid');
+
+            let status = errors.length > 0 ? 'invalid' : 'unmatched';
+            const duplicateOf = (attendee.email && seenEmails.get(attendee.email))
+                || (attendee.studentId && seenStudentIds.get(attendee.studentId));
+            if (status === 'unmatched' && duplicateOf) {
+                status = 'duplicate';
+                errors.push(`Duplicate of row ${duplicateOf}`);
+            } else if (status === 'unmatched') {
+                if (attendee.email) seenEmails.set(attendee.email, row.rowNumber);
+                if (attendee.studentId) seenStudentIds.set(attendee.studentId, row.rowNumber);
+            }
+
+            return { rowNumber: row.rowNumber, ...attendee, userId: null, matchedBy: null, status, errors };
+        });
+
+    const headerMapping = Object.fromEntries(
+        Object.entries(mapping).map(([field, index]) => [field, headerRow.cells[index]])
+    );
+
+    return { headers: headerRow.cells, headerRowNumber: headerRow.rowNumber, mapping: headerMapping, rows: parsed };
+}
+
+// ==============================
+// Account Matching
+// ==============================
+
+/**
+ * Link valid rows to student accounts, by email first and then by student ID.
+ * Mutates and returns the rows.
+ */
+async function matchStudentAccounts(rows, executor = pool) {
+    const candidates = rows.filter((row) => row.status === 'unmatched');
+    const emails = [...new Set(candidates.map((row) => row.email).filter(Boolean))];
+    const studentIds = [...new Set(candidates.map((row) => row.studentId).filter(Boolean))];
+    if (emails.length === 0 && studentIds.length === 0) return rows;
+
+    const conditions = [];
+    const params = [];
+    if (emails.length > 0) {
+        conditions.push('LOWER(email) IN (?)');
+        params.push(emails);
+    }
+    if (studentIds.length > 0) {
+        conditions.push('student_id IN (?)');
+        params.push(studentIds);
+    }
+
+    const [accounts] = await executor.query(
+        `SELECT id, email, student_id FROM users WHERE role = 'student' AND (${conditions.join(' OR ')})`,
+        params
+    );
+    const byEmail = new Map(accounts.map((account) => [String(account.email).toLowerCase(), account]));
+    const byStudentId = new Map(accounts.filter((account) => account.student_id).map((account) => [account.student_id, account]));
+
+    const matchedRows = new Map();
+    for (const row of candidates) {
+        const account = (row.email && byEmail.get(row.email)) || (row.studentId && byStudentId.get(row.studentId));
+        if (!account) continue;
+
+        // The same student listed twice under different emails / IDs
+        if (matchedRows.has(account.id)) {
+            row.status = 'duplicate';
+            row.errors.push(`Same student account as row ${matchedRows.get(account.id)}`);
+            continue;
+        }
+
+        matchedRows.set(account.id, row.rowNumber);
+        row.userId = account.id;
+        row.matchedBy = row.email && byEmail.get(row.email) ? 'email' : 'student_id';
+        row.email = row.email || String(account.email).toLowerCase();
+        row.status = 'matched';
+    }
+    return rows;
+}
+
+const summarize = (rows) => ({
+    total: rows.length,
+    valid: rows.filter((row) => row.status === 'matched' || row.status === 'unmatched').length,
+    matched: rows.filter((row) => row.status === 'matched').length,
+    unmatched: rows.filter((row) => row.status === 'unmatched').length,
+    invalid: rows.filter((row) => row.status === 'invalid').length,
+    duplicates: rows.filter((row) => row.status === 'duplicate').length,
+});
+
+// ==============================
+// Persistence
+// ==============================
+
+/**
+ * Replace the proposal's imported attendees with the valid rows. Rows added by
+ * check-in or registration with the same email keep their source and gain the
+ * imported details; imported rows that have since checked in are kept.
+ * @returns {Promise<number>} Rows written
+ */
+async function replaceImportedAttendees(proposalId, rows, executor = pool) {
+    await executor.query(
+        "DELETE FROM event_attendees WHERE proposal_id = ? AND source = 'import' AND checked_in_at IS NULL",
+        [proposalId]
+    );
+
+    const valid = rows.filter((row) => row.status === 'matched' || row.status === 'unmatched');
+    if (valid.length === 0) return 0;
+
+    await executor.query(
+        `INSERT INTO event_attendees (proposal_id, user_id, full_name, email, student_id, school, program, year_level, source)
+         VALUES ?
+         ON DUPLICATE KEY UPDATE
+             user_id = COALESCE(user_id, VALUES(user_id)),
+             student_id = COALESCE(student_id, VALUES(student_id)),
+             school = COALESCE(school, VALUES(school)),
+             program = COALESCE(program, VALUES(program)),
+             year_level = COALESCE(year_level, VALUES(year_level))`,
+        [valid.map((row) => [
+            proposalId, row.userId, row.fullName, row.email, row.studentId, row.school, row.program, row.yearLevel, 'import',
+        ])]
+    );
+    return valid.length;
+}
+
+/**
+ * Recount a proposal's attendees into proposals.attendance_count
+ * @returns {Promise<number>} The new count
+ */
+async function refreshAttendanceCount(proposalId, executor = pool) {
+    const [[{ total }]] = await executor.query(
+        'SELECT COUNT(*) AS total FROM event_attendees WHERE proposal_id = ?',
+        [proposalId]
+    );
+    const count = Number(total);
+    await executor.query('UPDATE proposals SET attendance_count = ? WHERE id = ?', [count, proposalId]);
+    return count;
+}
+
+// ==============================
+// Preview / Confirm
+// ==============================
+
+async function loadProposalForImport(proposalId, user) {
+    const [rows] = await pool.query('SELECT id, userId, report_status FROM proposals WHERE id = ?', [proposalId]);
+    if (rows.length === 0) {
+        throw httpError(404, 'Proposal not found');
+    }
+    if (!hasPermission(user, 'event:manage') && String(rows[0].userId) !== String(user.id)) {
+        throw httpError(403, 'Not authorized to import attendance for this proposal');
+    }
+    if (rows[0].report_status === 'approved') {
+        // Credits have been awarded from the current list; admins re-award through /api/sdp-credits
+        throw httpError(409, 'Attendance is locked once the accomplishment report is approved');
+    }
+    return rows[0];
+}
+
+function requireFile(file) {
+    if (!file || !file.buffer) {
+        throw httpError(400, 'Attach the attendance list as "attendance_file"');
+    }
+}
+
+/**
+ * Show how an attendance sheet will be imported without saving anything
+ * @param {number|string} proposalId
+ * @param {Object} file - multer memory file
+ * @param {Object} [options] - { mapping } header override
+ * @param {Object} user - req.user
+ */
+async function previewImport(proposalId, file, { mapping = null } = {}, user) {
+    requireFile(file);
+    await loadProposalForImport(proposalId, user);
+
+    const sheet = await parseAttendanceSheet(file.buffer, file.originalname, mapping);
+    await matchStudentAccounts(sheet.rows);
+
+    return { ...sheet, fields: FIELDS, summary: summarize(sheet.rows) };
+}
+
+/**
+ * Save the valid rows of an attendance sheet and derive the attendance count
+ * @param {number|string} proposalId
+ * @param {Object} file - multer memory file
+ * @param {Object} [options] - { mapping } header override used for the preview
+ * @param {Object} user - req.user
+ */
+async function confirmImport(proposalId, file, { mapping = null } = {}, user) {
+    requireFile(file);
+    await loadProposalForImport(proposalId, user);
+
+    const sheet = await parseAttendanceSheet(file.buffer, file.originalname, mapping);
+    const summary = summarize(sheet.rows);
+    if (summary.valid === 0) {
+        throw httpError(422, 'The attendance file has no valid rows to import', { summary });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        await matchStudentAccounts(sheet.rows, connection);
+        const imported = await replaceImportedAttendees(proposalId, sheet.rows, connection);
+        const attendanceCount = await refreshAttendanceCount(proposalId, connection);
+
+        await connection.commit();
+        console.log(`📋 Attendance: Imported ${imported} attendee(s) for proposal ${proposalId}`);
+
+        return { imported, attendanceCount, summary: summarize(sheet.rows) };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+const isAttendanceSheet = (filename) => SUPPORTED_EXTENSIONS.includes(path.extname(filename || '').toLowerCase());
+
+module.exports = {
+    FIELDS,
+    isAttendanceSheet,
+    parseAttendanceSheet,
+    matchStudentAccounts,
+    replaceImportedAttendees,
+    refreshAttendanceCount,
+    previewImport,
+    confirmImport,
+};
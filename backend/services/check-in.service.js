@@ -0,0 +1,411 @@
+// ==============================
+// Check-in Service
+// Signed, time-limited QR codes for approved events
+// ==============================
+// Organizers show a check-in code at the venue; students scan it from their
+// dashboard. A code is `<payload>.<signature>` where the payload carries the
+// proposal id and its validity window and the signature is an HMAC, so the
+// server does not store issued codes.
+//   rotating  - shown on the organizer's screen, valid for CODE_TTL_SECONDS
+//   printable - valid for the rest of the event days, for posters
+// Codes are only issued on the event days, and not at all while the event is
+// postponed (until it is rescheduled) or once it is cancelled. Scans made without a connection are
+// queued by the dashboard and sent later with the time they were scanned. The
+// server cannot verify that time, so a queued scan only counts if it arrives
+// within OFFLINE_GRACE_MINUTES of the code expiring; a longer window would let
+// an old screenshot of a rotating code be replayed with a backdated scannedAt.
+// Check-ins are stored in event_attendees (source 'check_in'), the same list
+// the accomplishment report's attendance count uses.
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { pool } = require('../config/db');
+const { refreshAttendanceCount } = require('./attendance-import.service');
+const { publish } = require('./live-stream.service');
+const { hasPermission } = require('./permission.service');
+const { httpError } = require('../utils/http-error');
+
+const CODE_TTL_SECONDS = Number(process.env.CHECK_IN_CODE_TTL_SECONDS) || 5 * 60;
+const OFFLINE_GRACE_MINUTES = Number(process.env.CHECK_IN_OFFLINE_GRACE_MINUTES) || 5;
+
+// Phones and the server rarely agree on the time to the second
+const CLOCK_SKEW_MS = 2 * 60 * 1000;
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// ==============================
+// Code Signing
+// ==============================
+
+let warnedDerivedKey = false;
+
+// CHECK_IN_SECRET, or a key derived from JWT_SECRET for this purpose only, so
+// check-in signatures are never valid JWT signatures and the other way round
+function getSecret() {
+    if (process.env.CHECK_IN_SECRET) {
+        return process.env.CHECK_IN_SECRET;
+    }
+    if (!process.env.JWT_SECRET) {
+        throw httpError(500, 'Check-in codes are not configured (set CHECK_IN_SECRET)');
+    }
+    if (!warnedDerivedKey) {
+        warnedDerivedKey = true;
+        console.warn('⚠️ Check-in: CHECK_IN_SECRET is not set; using a key derived from JWT_SECRET');
+    }
+    return Buffer.from(crypto.hkdfSync('sha256', process.env.JWT_SECRET, Buffer.alloc(0), 'cedo-check-in-codes', 32));
+}
+
+const sign = (payload) => crypto
+    .createHmac('sha256', getSecret())
+    .update(`check-in.${payload}`)
+    .digest('base64url');
+
+/**
+ * @param {{ proposalId: number, issuedAt: Date, expiresAt: Date }} claims
+ * @returns {string} Code embedded in the QR
+ */
+function signCode({ proposalId, issuedAt, expiresAt }) {
+    const payload = Buffer.from(JSON.stringify({
+        p: Number(proposalId),
+        iat: Math.floor(issuedAt.getTime() / 1000),
+        exp: Math.floor(expiresAt.getTime() / 1000),
+    })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Check a code's signature
+ * @returns {{ proposalId: number, issuedAt: Date, expiresAt: Date }}
+ */
+function verifyCode(code) {
+    const invalid = () => httpError(400, 'This check-in code is not valid');
+    const [payload, signature, ...rest] = String(code || '').trim().split('.');
+    if (!payload || !signature || rest.length > 0) throw invalid();
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        throw invalid();
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw invalid();
+    }
+    if (!Number.isInteger(claims.p) || !Number.isInteger(claims.iat) || !Number.isInteger(claims.exp)) {
+        throw invalid();
+    }
+
+    return {
+        proposalId: claims.p,
+        issuedAt: new Date(claims.iat * 1000),
+        expiresAt: new Date(claims.exp * 1000),
+    };
+}
+
+// ==============================
+// Event Window
+// ==============================
+
+// DATE columns arrive as Date objects at local midnight, or as YYYY-MM-DD strings
+function localDay(value) {
+    if (!value) return null;
+    if (value instanceof Date) return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+    const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+const formatDay = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+/**
+ * Check-in is open from the first event day's midnight to the end of the last day
+ * @returns {{ opensAt: Date, closesAt: Date } | null} null when the event has no dates
+ */
+function getCheckInWindow(proposal) {
+    const start = localDay(proposal.event_start_date);
+    if (!start) return null;
+    const end = localDay(proposal.event_end_date) || start;
+    const closesAt = new Date(end);
+    closesAt.setDate(closesAt.getDate() + 1);
+    return { opensAt: start, closesAt };
+}
+
+async function loadEvent(proposalId) {
+    const [rows] = await pool.query(
+        `SELECT id, userId, event_name, organization_name, proposal_status, report_status, event_status,
+                event_start_date, event_end_date, event_start_time, event_end_time, event_venue
+         FROM proposals WHERE id = ?`,
+        [proposalId]
+    );
+    if (rows.length === 0) {
+        throw httpError(404, 'Event not found');
+    }
+    return rows[0];
+}
+
+function assertOrganizerOrStaff(proposal, user) {
+    if (!hasPermission(user, 'event:manage') && String(proposal.userId) !== String(user.id)) {
+        throw httpError(403, 'Only the event organizer and CEDO staff can manage check-in');
+    }
+}
+
+// A postponed event waits for its new dates; a cancelled one takes no check-ins at all
+function assertEventGoesAhead(proposal) {
+    if (proposal.event_status === 'cancelled') {
+        throw httpError(409, 'This event has been cancelled');
+    }
+    if (proposal.event_status === 'postponed') {
+        throw httpError(409, 'This event has been postponed. Check-in opens again once it is rescheduled.');
+    }
+}
+
+const describeEvent = (proposal) => {
+    const checkInWindow = getCheckInWindow(proposal);
+    return {
+        id: proposal.id,
+        name: proposal.event_name,
+        organization: proposal.organization_name,
+        venue: proposal.event_venue,
+        opensAt: checkInWindow ? checkInWindow.opensAt.toISOString() : null,
+        closesAt: checkInWindow ? checkInWindow.closesAt.toISOString() : null,
+    };
+};
+
+// ==============================
+// Organizer: Codes and Roster
+// ==============================
+
+const checkInUrl = (code) => `${FRONTEND_URL.replace(/\/$/, '')}/student-dashboard/check-in?code=${encodeURIComponent(code)}`;
+
+/**
+ * Issue a check-in code and its QR image for an approved event
+ * @param {number|string} proposalId
+ * @param {Object} user - req.user (organizer or staff)
+ * @param {Object} [options]
+ * @param {boolean} [options.printable] - Valid until the end of the event instead of CODE_TTL_SECONDS
+ * @param {Date} [options.now]
+ */
+async function issueCode(proposalId, user, { printable = false, now = new Date() } = {}) {
+    const proposal = await loadEvent(proposalId);
+    assertOrganizerOrStaff(proposal, user);
+
+    if (proposal.proposal_status !== 'approved') {
+        throw httpError(409, 'Check-in codes are available once the proposal is approved');
+    }
+    assertEventGoesAhead(proposal);
+    const checkInWindow = getCheckInWindow(proposal);
+    if (!checkInWindow) {
+        throw httpError(409, 'The event has no dates yet');
+    }
+    if (now < checkInWindow.opensAt) {
+        throw httpError(409, `Check-in opens on ${formatDay(checkInWindow.opensAt)}`, { opensAt: checkInWindow.opensAt.toISOString() });
+    }
+    if (now >= checkInWindow.closesAt) {
+        throw httpError(409, 'Check-in for this event has closed');
+    }
+
+    const rotatingExpiry = new Date(now.getTime() + CODE_TTL_SECONDS * 1000);
+    const expiresAt = printable || rotatingExpiry > checkInWindow.closesAt ? checkInWindow.closesAt : rotatingExpiry;
+    const code = signCode({ proposalId: proposal.id, issuedAt: now, expiresAt });
+    const url = checkInUrl(code);
+    const qrSvg = await QRCode.toString(url, { type: 'svg', margin: 1, errorCorrectionLevel: 'M' });
+
+    return {
+        event: describeEvent(proposal),
+        code,
+        url,
+        qrSvg,
+        printable: Boolean(printable),
+        issuedAt: now.toISOString(),
+        expiresAt: expiresAt.toISOString(),
+    };
+}
+
+const toAttendee = (row) => ({
+    id: row.id,
+    userId: row.user_id,
+    name: row.full_name,
+    email: row.email,
+    studentId: row.student_id,
+    source: row.source,
+    checkedInAt: row.checked_in_at,
+});
+
+/**
+ * Checked-in attendees of an event, newest first
+ * @param {number|string} proposalId
+ * @param {Object} user - req.user (organizer or staff)
+ */
+async function getRoster(proposalId, user) {
+    const proposal = await loadEvent(proposalId);
+    assertOrganizerOrStaff(proposal, user);
+
+    const [rows] = await pool.query(
+        `SELECT id, user_id, full_name, email, student_id, source, checked_in_at
+         FROM event_attendees
+         WHERE proposal_id = ? AND checked_in_at IS NOT NULL
+         ORDER BY checked_in_at DESC`,
+        [proposalId]
+    );
+    const [[{ total }]] = await pool.query(
+        'SELECT COUNT(*) AS total FROM event_attendees WHERE proposal_id = ?',
+        [proposalId]
+    );
+
+    return {
+        event: describeEvent(proposal),
+        checkIns: rows.map(toAttendee),
+        attendanceCount: Number(total),
+    };
+}
+
+/**
+ * Approved events whose check-in is open now or later: the organizer's own,
+ * or every one for staff
+ * @param {Object} user - req.user
+ */
+async function listCheckInEvents(user, { now = new Date() } = {}) {
+    const params = [];
+    let ownerClause = '';
+    if (!hasPermission(user, 'event:manage')) {
+        ownerClause = 'AND userId = ?';
+        params.push(user.id);
+    }
+
+    const [rows] = await pool.query(
+        `SELECT id, userId, event_name, organization_name, event_venue, event_start_date, event_end_date
+         FROM proposals
+         WHERE proposal_status = 'approved'
+           AND (event_status IS NULL OR event_status NOT IN ('postponed', 'cancelled'))
+           AND (is_deleted = 0 OR is_deleted IS NULL)
+           AND event_start_date IS NOT NULL
+           ${ownerClause}
+         ORDER BY event_start_date ASC`,
+        params
+    );
+
+    return rows
+        .filter((row) => getCheckInWindow(row).closesAt > now)
+        .map((row) => ({ ...describeEvent(row), open: getCheckInWindow(row).opensAt <= now }));
+}
+
+// ==============================
+// Student: Checking In
+// ==============================
+
+/**
+ * Record a student's attendance from a scanned code
+ * @param {string} code - Scanned check-in code
+ * @param {Object} user - req.user (student)
+ * @param {Object} [options]
+ * @param {string} [options.scannedAt] - When an offline scan happened (ISO time); defaults to now
+ * @param {Date} [options.now]
+ * @returns {Promise<{ event: Object, checkedInAt: string, alreadyCheckedIn: boolean }>}
+ */
+async function checkIn(code, user, { scannedAt = null, now = new Date() } = {}) {
+    if (!hasPermission(user, 'event:attend')) {
+        throw httpError(403, 'Only student accounts can check in to events');
+    }
+
+    const claims = verifyCode(code);
+
+    const scanned = scannedAt ? new Date(scannedAt) : now;
+    if (Number.isNaN(scanned.getTime()) || scanned.getTime() > now.getTime() + CLOCK_SKEW_MS) {
+        throw httpError(400, 'scannedAt must be a time in the past');
+    }
+    if (scanned.getTime() < claims.issuedAt.getTime() - CLOCK_SKEW_MS
+        || scanned.getTime() > claims.expiresAt.getTime() + CLOCK_SKEW_MS) {
+        throw httpError(410, 'This check-in code has expired. Scan the code currently shown at the event.');
+    }
+    if (now.getTime() - claims.expiresAt.getTime() > OFFLINE_GRACE_MINUTES * 60 * 1000) {
+        throw httpError(410, `Check-ins saved offline must be sent within ${OFFLINE_GRACE_MINUTES} minutes. Scan the code currently shown at the event.`);
+    }
+
+    const proposal = await loadEvent(claims.proposalId);
+    if (proposal.proposal_status !== 'approved') {
+        throw httpError(409, 'This event is no longer approved');
+    }
+    assertEventGoesAhead(proposal);
+    if (proposal.report_status === 'approved') {
+        throw httpError(409, 'Attendance for this event has been finalized');
+    }
+
+    const [students] = await pool.query('SELECT id, name, email, student_id FROM users WHERE id = ?', [user.id]);
+    if (students.length === 0) {
+        throw httpError(404, 'Student account not found');
+    }
+    const student = students[0];
+    const email = String(student.email).toLowerCase();
+
+    // Imported or registered attendees are marked as checked in rather than added twice
+    const [existing] = await pool.query(
+        `SELECT id, source, checked_in_at FROM event_attendees
+         WHERE proposal_id = ? AND (user_id = ? OR LOWER(email) = ?)
+         ORDER BY id ASC LIMIT 1`,
+        [proposal.id, student.id, email]
+    );
+    if (existing.length > 0 && existing[0].checked_in_at) {
+        return { event: describeEvent(proposal), checkedInAt: existing[0].checked_in_at, alreadyCheckedIn: true };
+    }
+
+    let attendeeId;
+    if (existing.length > 0) {
+        attendeeId = existing[0].id;
+        await pool.query(
+            'UPDATE event_attendees SET user_id = COALESCE(user_id, ?), checked_in_at = ? WHERE id = ?',
+            [student.id, scanned, attendeeId]
+        );
+    } else {
+        try {
+            const [result] = await pool.query(
+                `INSERT INTO event_attendees (proposal_id, user_id, full_name, email, student_id, source, checked_in_at)
+                 VALUES (?, ?, ?, ?, ?, 'check_in', ?)`,
+                [proposal.id, student.id, student.name, email, student.student_id || null, scanned]
+            );
+            attendeeId = result.insertId;
+        } catch (error) {
+            // A second scan from another tab landed first
+            if (error.code === 'ER_DUP_ENTRY') {
+                return { event: describeEvent(proposal), checkedInAt: scanned.toISOString(), alreadyCheckedIn: true };
+            }
+            throw error;
+        }
+    }
+
+    const attendanceCount = await refreshAttendanceCount(proposal.id);
+    console.log(`✅ Check-in: User ${student.id} checked in to proposal ${proposal.id}${scannedAt ? ' (sent after an offline scan)' : ''}`);
+
+    publish('attendance.check_in', {
+        proposalId: proposal.id,
+        attendee: toAttendee({
+            id: attendeeId,
+            user_id: student.id,
+            full_name: student.name,
+            email,
+            student_id: student.student_id || null,
+            source: existing.length > 0 ? existing[0].source : 'check_in',
+            checked_in_at: scanned.toISOString(),
+        }),
+        attendanceCount,
+    }, { userIds: [proposal.userId], staff: true });
+
+    return {
+        event: describeEvent(proposal),
+        checkedInAt: scanned.toISOString(),
+        alreadyCheckedIn: false,
+    };
+}
+
+module.exports = {
+    CODE_TTL_SECONDS,
+    OFFLINE_GRACE_MINUTES,
+    signCode,
+    verifyCode,
+    getCheckInWindow,
+    issueCode,
+    getRoster,
+    listCheckInEvents,
+    checkIn,
+};
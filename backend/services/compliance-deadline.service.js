@@ -0,0 +1,570 @@
+// ==============================
+// Compliance Deadline Service
+// Accomplishment report deadlines, reminders and overdue escalation
+// ==============================
+// Approving a proposal starts its compliance clock: the accomplishment report
+// and the documents checklist (compliance_documents, DEFAULT_DOCUMENTS) are due
+// COMPLIANCE_DUE_DAYS after the event ends (proposals.compliance_due_date,
+// moved along when the event is rescheduled). Submitting the report with every
+// required document stops the clock; once the report is accepted the proposal
+// is compliant. Postponing the event pauses the clock until it is rescheduled;
+// cancelling it means no report is due.
+//
+// A daily check (startComplianceScheduler) walks every outstanding report:
+//   - before the deadline it reminds the organizer at COMPLIANCE_REMINDER_DAYS
+//     (7, 3 and 1 days before by default)
+//   - once the deadline has passed it marks the proposal overdue, tells the
+//     organizer and escalates to the reviewer who approved it (all staff when
+//     nobody is on record)
+// Each reminder is logged in compliance_reminders first, so running the check
+// again (or on another server) never sends the same one twice.
+//
+// An organization with an overdue report cannot submit new proposals until
+// the report is in, unless an admin grants it a time-limited override. The
+// block follows both the organizer who owes the report and the organization's
+// name, compared without regard to case or spacing, so retyping the name does
+// not get around it.
+
+const { pool } = require('../config/db');
+const {
+    notifyComplianceReminder,
+    notifyComplianceOverdue,
+    notifyComplianceEscalated,
+} = require('./notification.service');
+const { toDateString } = require('./schedule-conflict.service');
+const { hasPermission } = require('./permission.service');
+const { httpError } = require('../utils/http-error');
+
+// Checklist every approved proposal starts with; the accomplishment report and
+// attendance are submitted through the report itself
+const DEFAULT_DOCUMENTS = ['Budget Report', 'Photo Documentation'];
+
+// Days between the event ending and the report being due
+const DUE_DAYS = Number(process.env.COMPLIANCE_DUE_DAYS) || 30;
+const REMINDER_DAYS = parseReminderDays(process.env.COMPLIANCE_REMINDER_DAYS || '7,3,1');
+const CHECK_INTERVAL_MS = Number(process.env.COMPLIANCE_CHECK_INTERVAL_MS) || 24 * 60 * 60 * 1000;
+
+// How long an override lasts when the admin does not pick an end date
+const DEFAULT_OVERRIDE_DAYS = 7;
+
+const MAX_REASON_LENGTH = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let schedulerTimer = null;
+
+/**
+ * "7,3,1" → [7, 3, 1]; blanks, duplicates and negative values are dropped
+ * @param {string} value
+ * @returns {number[]} Offsets in days, furthest first
+ */
+function parseReminderDays(value) {
+    const days = String(value || '')
+        .split(',')
+        .map((part) => parseInt(part.trim(), 10))
+        .filter((day) => Number.isInteger(day) && day >= 0);
+    return [...new Set(days)].sort((a, b) => b - a);
+}
+
+/**
+ * Whole days from `from` to `to` (negative once `to` has passed)
+ */
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+// The report is due DUE_DAYS after the event, and never sooner than DUE_DAYS from today
+const DUE_DATE_SQL = 'DATE_ADD(GREATEST(COALESCE(event_end_date, event_start_date, CURDATE()), CURDATE()), INTERVAL ? DAY)';
+
+// ==============================
+// Lifecycle hooks
+// ==============================
+
+/**
+ * Start the compliance clock for a newly approved proposal and give it the
+ * default documents checklist (called by the lifecycle engine inside its transaction)
+ * @param {number|string} proposalId
+ * @param {Object} [options] - { connection }
+ */
+async function startComplianceClock(proposalId, { connection = null } = {}) {
+    const executor = connection || pool;
+    await executor.query(
+        `UPDATE proposals
+         SET compliance_due_date = ${DUE_DATE_SQL}, compliance_status = 'pending', compliance_overdue_at = NULL
+         WHERE id = ?`,
+        [DUE_DAYS, proposalId]
+    );
+    await executor.query(
+        'INSERT IGNORE INTO compliance_documents (proposal_id, name, is_required) VALUES ?',
+        [DEFAULT_DOCUMENTS.map((name) => [proposalId, name, true])]
+    );
+}
+
+/**
+ * Compliance status implied by the report and the documents checklist:
+ * compliant once the report is accepted and every required document is in; an
+ * overdue proposal is pending again while everything that was missing waits
+ * for review. A returned report is outstanding again and picked up by the
+ * next deadline check. Compliant is never taken back automatically.
+ * @param {Object} row - { compliance_status, report_status, missing_documents }
+ * @returns {string}
+ */
+function nextComplianceStatus({ compliance_status: status, report_status: reportStatus, missing_documents: missing }) {
+    const documentsIn = Number(missing) === 0;
+    if (status === 'compliant') return status;
+    if (reportStatus === 'approved' && documentsIn) return 'compliant';
+    if (status === 'overdue' && reportStatus === 'pending' && documentsIn) return 'pending';
+    return status;
+}
+
+/**
+ * Re-evaluate a proposal's compliance status after its report changed status
+ * or documents were uploaded
+ * @param {number|string} proposalId
+ * @param {Object} [options] - { connection }
+ * @returns {Promise<string|null>} The (possibly unchanged) compliance status
+ */
+async function refreshComplianceStatus(proposalId, { connection = null } = {}) {
+    const executor = connection || pool;
+    const [rows] = await executor.query(
+        `SELECT p.compliance_status, p.report_status,
+                (SELECT COUNT(*) FROM compliance_documents d
+                 WHERE d.proposal_id = p.id AND d.is_required = TRUE AND d.submitted_at IS NULL) AS missing_documents
+         FROM proposals p
+         WHERE p.id = ?`,
+        [proposalId]
+    );
+    const row = rows[0];
+    if (!row) return null;
+    if (!['pending', 'overdue'].includes(row.compliance_status)) return row.compliance_status;
+
+    const status = nextComplianceStatus(row);
+    if (status !== row.compliance_status) {
+        await executor.query(
+            'UPDATE proposals SET compliance_status = ?, compliance_overdue_at = NULL WHERE id = ?',
+            [status, proposalId]
+        );
+        console.log(`✅ Compliance: Proposal ${proposalId} ${row.compliance_status} → ${status}`);
+    }
+    return status;
+}
+
+/**
+ * Move the deadline after the event was rescheduled (event.service). A
+ * report that was overdue under the old dates is pending again if the new
+ * deadline is still ahead.
+ * @param {number|string} proposalId
+ * @param {Object} [options] - { connection }
+ */
+async function refreshComplianceDueDate(proposalId, { connection = null } = {}) {
+    const executor = connection || pool;
+    await executor.query(
+        `UPDATE proposals
+         SET compliance_due_date = ${DUE_DATE_SQL},
+             compliance_status = IF(compliance_status = 'overdue', 'pending', compliance_status),
+             compliance_overdue_at = NULL
+         WHERE id = ? AND compliance_status IN ('pending', 'overdue')`,
+        [DUE_DAYS, proposalId]
+    );
+}
+
+/**
+ * Clear the deadline when the event is postponed or cancelled (event.service).
+ * A postponed event's report is pending again and gets a new deadline from
+ * refreshComplianceDueDate when the event is rescheduled; a cancelled event
+ * needs no report. Either way an overdue mark no longer blocks the organization.
+ * @param {number|string} proposalId
+ * @param {string} eventStatus - 'postponed' or 'cancelled'
+ * @param {Object} [options] - { connection }
+ */
+async function pauseComplianceClock(proposalId, eventStatus, { connection = null } = {}) {
+    const executor = connection || pool;
+    await executor.query(
+        `UPDATE proposals
+         SET compliance_due_date = NULL, compliance_status = ?, compliance_overdue_at = NULL
+         WHERE id = ? AND compliance_status IN ('pending', 'overdue')`,
+        [eventStatus === 'cancelled' ? 'not_applicable' : 'pending', proposalId]
+    );
+}
+
+// ==============================
+// Submission block
+// ==============================
+
+// "  Xavier  Robotics " and "xavier robotics" are the same organization
+const organizationKey = (value) => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+const organizationKeySql = (column) => `LOWER(REGEXP_REPLACE(TRIM(${column}), '[[:space:]]+', ' '))`;
+
+/**
+ * Overdue reports of an organization or of the organizer submitting for it,
+ * and the override that lets them submit anyway
+ * @param {string} organizationName
+ * @param {Object} [options] - { ownerId, connection, excludeProposalId }
+ * @returns {Promise<{ blocked: boolean, overdueReports: Object[], override: Object|null }>}
+ */
+async function getSubmissionBlock(organizationName, { ownerId = null, connection = null, excludeProposalId = null } = {}) {
+    const executor = connection || pool;
+    const key = organizationKey(organizationName);
+    if (!key && !ownerId) return { blocked: false, overdueReports: [], override: null };
+
+    const [overdue] = await executor.query(
+        `SELECT id, event_name, organization_name, compliance_due_date
+         FROM proposals
+         WHERE (${organizationKeySql('organization_name')} = ? OR userId = ?)
+           AND compliance_status = 'overdue' AND id <> ?
+         ORDER BY compliance_due_date ASC`,
+        [key, Number(ownerId) || 0, excludeProposalId || 0]
+    );
+    if (overdue.length === 0) return { blocked: false, overdueReports: [], override: null };
+
+    // An override for the organization that owes the report covers it, whatever name the new proposal uses
+    const keys = [...new Set([key, ...overdue.map((row) => organizationKey(row.organization_name))].filter(Boolean))];
+    const [overrides] = await executor.query(
+        `SELECT o.*, u.name AS granted_by_name
+         FROM compliance_overrides o
+         LEFT JOIN users u ON u.id = o.granted_by
+         WHERE ${organizationKeySql('o.organization_name')} IN (?) AND o.revoked_at IS NULL AND o.expires_at > NOW()
+         ORDER BY o.expires_at DESC
+         LIMIT 1`,
+        [keys]
+    );
+    const override = overrides[0] ? formatOverride(overrides[0]) : null;
+
+    return {
+        blocked: !override,
+        overdueReports: overdue.map((row) => ({
+            proposalId: row.id,
+            eventName: row.event_name,
+            dueDate: toDateString(row.compliance_due_date),
+        })),
+        override,
+    };
+}
+
+/**
+ * Refuse a new submission from an organization with overdue reports
+ * (draft submission and the lifecycle engine call this inside their transaction)
+ * @param {string} organizationName
+ * @param {Object} [options] - { ownerId, connection, excludeProposalId }
+ * @throws 409 with `overdueReports` when the organization is blocked
+ */
+async function assertOrganizationCanSubmit(organizationName, options = {}) {
+    const block = await getSubmissionBlock(organizationName, options);
+    if (block.blocked) {
+        throw httpError(
+            409,
+            `${String(organizationName || '').trim() || 'Your organization'} has overdue accomplishment reports. Submit them before sending a new proposal.`,
+            { code: 'COMPLIANCE_OVERDUE', overdueReports: block.overdueReports }
+        );
+    }
+    if (block.override) {
+        console.log(`⚠️ Compliance: ${organizationName} submitting with overdue reports under override #${block.override.id}`);
+    }
+}
+
+// ==============================
+// Overrides (admins)
+// ==============================
+
+function formatOverride(row) {
+    return {
+        id: row.id,
+        organizationName: row.organization_name,
+        reason: row.reason,
+        expiresAt: row.expires_at,
+        grantedBy: row.granted_by ? { id: row.granted_by, name: row.granted_by_name || null } : null,
+        revokedAt: row.revoked_at || null,
+        createdAt: row.created_at,
+    };
+}
+
+function assertCanOverride(user) {
+    if (!hasPermission(user, 'compliance:override')) {
+        throw httpError(403, 'Only CEDO admins can override the compliance block');
+    }
+}
+
+/**
+ * Overrides that are still in force, soonest to expire first
+ */
+async function listOverrides(user) {
+    if (!hasPermission(user, 'report:review')) {
+        throw httpError(403, 'Staff privileges required');
+    }
+    const [rows] = await pool.query(
+        `SELECT o.*, u.name AS granted_by_name
+         FROM compliance_overrides o
+         LEFT JOIN users u ON u.id = o.granted_by
+         WHERE o.revoked_at IS NULL AND o.expires_at > NOW()
+         ORDER BY o.expires_at ASC`
+    );
+    return rows.map(formatOverride);
+}
+
+/**
+ * Let an organization with overdue reports submit new proposals until `expiresAt`
+ * @param {Object} input - { organizationName, reason, expiresAt }
+ * @param {Object} user - Admin granting the override
+ * @returns {Promise<Object>} The override
+ */
+async function grantOverride({ organizationName, reason, expiresAt } = {}, user) {
+    assertCanOverride(user);
+
+    const errors = {};
+    const name = typeof organizationName === 'string' ? organizationName.trim() : '';
+    const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+    if (!name) errors.organizationName = 'Organization is required';
+    if (!trimmedReason) errors.reason = 'A reason is required';
+    else if (trimmedReason.length > MAX_REASON_LENGTH) errors.reason = `Keep the reason under ${MAX_REASON_LENGTH} characters`;
+
+    const expires = expiresAt ? new Date(expiresAt) : new Date(Date.now() + DEFAULT_OVERRIDE_DAYS * DAY_MS);
+    if (Number.isNaN(expires.getTime())) errors.expiresAt = 'Invalid date';
+    else if (expires.getTime() <= Date.now()) errors.expiresAt = 'Pick a date in the future';
+
+    if (Object.keys(errors).length > 0) {
+        throw httpError(400, 'Invalid override', { errors });
+    }
+
+    const [result] = await pool.query(
+        `INSERT INTO compliance_overrides (organization_name, reason, expires_at, granted_by)
+         VALUES (?, ?, ?, ?)`,
+        [name, trimmedReason, expires, user.id]
+    );
+    console.log(`✅ Compliance: Override #${result.insertId} for ${name} until ${expires.toISOString()}`, { grantedBy: user.id });
+
+    return formatOverride({
+        id: result.insertId,
+        organization_name: name,
+        reason: trimmedReason,
+        expires_at: expires,
+        granted_by: user.id,
+        granted_by_name: user.name,
+        created_at: new Date(),
+    });
+}
+
+/**
+ * End an override early
+ * @param {number|string} overrideId
+ * @param {Object} user - Admin revoking it
+ */
+async function revokeOverride(overrideId, user) {
+    assertCanOverride(user);
+    const [result] = await pool.query(
+        `UPDATE compliance_overrides SET revoked_at = NOW(), revoked_by = ?
+         WHERE id = ? AND revoked_at IS NULL`,
+        [user.id, overrideId]
+    );
+    if (result.affectedRows === 0) {
+        throw httpError(404, 'Override not found or already revoked');
+    }
+    console.log(`✅ Compliance: Override #${overrideId} revoked`, { revokedBy: user.id });
+}
+
+// ==============================
+// Deadline check
+// ==============================
+
+// Outstanding: approved, deadline set, the event not postponed or cancelled,
+// and the report not submitted (or returned) or a required document still missing
+const OUTSTANDING_SQL = `
+    p.proposal_status = 'approved'
+    AND p.compliance_status IN ('pending', 'overdue')
+    AND p.compliance_due_date IS NOT NULL
+    AND NOT EXISTS (
+        SELECT 1 FROM events e
+        WHERE e.proposal_id = p.id AND e.status IN ('postponed', 'cancelled')
+    )
+    AND (
+        p.report_status IS NULL OR p.report_status IN ('draft', 'denied')
+        OR EXISTS (
+            SELECT 1 FROM compliance_documents d
+            WHERE d.proposal_id = p.id AND d.is_required = TRUE AND d.submitted_at IS NULL
+        )
+    )`;
+
+/**
+ * Log a reminder before sending it; false when it was already sent
+ */
+async function claimReminder(proposalId, kind, daysBefore, dueDate) {
+    const [result] = await pool.query(
+        `INSERT IGNORE INTO compliance_reminders (proposal_id, kind, days_before, due_date)
+         VALUES (?, ?, ?, ?)`,
+        [proposalId, kind, daysBefore, dueDate]
+    );
+    return result.affectedRows === 1;
+}
+
+async function checkProposal(row, today, summary) {
+    const dueDate = toDateString(row.compliance_due_date);
+    const daysLeft = daysBetween(today, dueDate);
+
+    if (daysLeft >= 0) {
+        if (REMINDER_DAYS.includes(daysLeft) && await claimReminder(row.id, 'reminder', daysLeft, dueDate)) {
+            await notifyComplianceReminder(row.id, { dueDate, daysLeft });
+            summary.reminded += 1;
+        }
+        return;
+    }
+
+    if (row.compliance_status !== 'overdue') {
+        const [result] = await pool.query(
+            `UPDATE proposals SET compliance_status = 'overdue', compliance_overdue_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND compliance_status = 'pending'`,
+            [row.id]
+        );
+        if (result.affectedRows > 0) {
+            summary.markedOverdue += 1;
+            console.log(`⏰ Compliance: Proposal ${row.id} report overdue (was due ${dueDate})`);
+        }
+    }
+
+    if (await claimReminder(row.id, 'overdue', 0, dueDate)) {
+        await notifyComplianceOverdue(row.id, { dueDate });
+    }
+    if (await claimReminder(row.id, 'escalation', 0, dueDate)) {
+        await notifyComplianceEscalated(row.id, { dueDate, reviewerId: row.reviewed_by_admin_id });
+        summary.escalated += 1;
+    }
+}
+
+/**
+ * Remind, mark overdue and escalate every outstanding accomplishment report.
+ * Safe to run any number of times a day.
+ * @param {Object} [options] - { today } (Date, for tests and backfills)
+ * @returns {Promise<{ checked: number, reminded: number, markedOverdue: number, escalated: number, failed: number }>}
+ */
+async function runComplianceCheck({ today = new Date() } = {}) {
+    const day = toDateString(today);
+    const [rows] = await pool.query(
+        `SELECT p.id, p.compliance_due_date, p.compliance_status, p.reviewed_by_admin_id
+         FROM proposals p
+         WHERE ${OUTSTANDING_SQL}
+         ORDER BY p.compliance_due_date ASC`
+    );
+
+    const summary = { checked: rows.length, reminded: 0, markedOverdue: 0, escalated: 0, failed: 0 };
+    for (const row of rows) {
+        try {
+            await checkProposal(row, day, summary);
+        } catch (error) {
+            summary.failed += 1;
+            console.error(`❌ Compliance: deadline check failed for proposal ${row.id}:`, error.message);
+        }
+    }
+
+    console.log(`⏰ Compliance: checked ${summary.checked} outstanding report(s)`, summary);
+    return summary;
+}
+
+/**
+ * Run the deadline check on demand (staff), e.g. after changing the reminder settings
+ */
+function triggerComplianceCheck(user) {
+    if (!hasPermission(user, 'report:review')) {
+        throw httpError(403, 'Staff privileges required');
+    }
+    console.log(`⏰ Compliance: deadline check requested by user ${user.id}`);
+    return runComplianceCheck();
+}
+
+/**
+ * Run the deadline check now and then every CHECK_INTERVAL_MS (called once at server start)
+ */
+function startComplianceScheduler() {
+    if (schedulerTimer) return;
+    const run = () => runComplianceCheck()
+        .catch((error) => console.error('❌ Compliance: deadline check failed:', error.message));
+
+    run();
+    schedulerTimer = setInterval(run, CHECK_INTERVAL_MS);
+    if (schedulerTimer.unref) schedulerTimer.unref();
+    console.log(`⏰ Compliance: deadline checks started (every ${CHECK_INTERVAL_MS / 3600000}h, reminders ${REMINDER_DAYS.join('/')} days before)`);
+}
+
+function stopComplianceScheduler() {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+}
+
+// ==============================
+// Reading
+// ==============================
+
+function formatDeadline(row, today) {
+    const dueDate = toDateString(row.compliance_due_date);
+    return {
+        proposalId: row.id,
+        eventName: row.event_name,
+        organizationName: row.organization_name,
+        organizer: { id: row.userId, name: row.owner_name || null, email: row.owner_email || null },
+        reviewer: row.reviewed_by_admin_id ? { id: row.reviewed_by_admin_id, name: row.reviewer_name || null } : null,
+        eventEndDate: toDateString(row.event_end_date),
+        dueDate,
+        daysLeft: dueDate ? daysBetween(today, dueDate) : null,
+        status: row.compliance_status,
+        reportStatus: row.report_status,
+        overdueAt: row.compliance_overdue_at || null,
+    };
+}
+
+/**
+ * Outstanding accomplishment reports, earliest deadline first. Staff see
+ * every organization, students their own proposals.
+ * @param {Object} user
+ * @param {Object} [filters] - { status: 'pending'|'overdue' }
+ * @returns {Promise<{ deadlines: Object[], settings: Object }>}
+ */
+async function listDeadlines(user, { status } = {}) {
+    const where = [OUTSTANDING_SQL];
+    const params = [];
+
+    if (status === 'pending' || status === 'overdue') {
+        where.push('p.compliance_status = ?');
+        params.push(status);
+    }
+    if (!hasPermission(user, 'report:review')) {
+        where.push('p.userId = ?');
+        params.push(user.id);
+    }
+
+    const [rows] = await pool.query(
+        `SELECT p.id, p.userId, p.event_name, p.organization_name, p.event_end_date, p.report_status,
+                p.compliance_due_date, p.compliance_status, p.compliance_overdue_at, p.reviewed_by_admin_id,
+                owner.name AS owner_name, owner.email AS owner_email, reviewer.name AS reviewer_name
+         FROM proposals p
+         LEFT JOIN users owner ON owner.id = p.userId
+         LEFT JOIN users reviewer ON reviewer.id = p.reviewed_by_admin_id
+         WHERE ${where.join(' AND ')}
+         ORDER BY p.compliance_due_date ASC, p.id ASC`,
+        params
+    );
+
+    const today = toDateString(new Date());
+    return {
+        deadlines: rows.map((row) => formatDeadline(row, today)),
+        settings: { dueDays: DUE_DAYS, reminderDays: REMINDER_DAYS },
+    };
+}
+
+module.exports = {
+    DEFAULT_DOCUMENTS,
+    DUE_DAYS,
+    REMINDER_DAYS,
+    parseReminderDays,
+    daysBetween,
+    nextComplianceStatus,
+    startComplianceClock,
+    refreshComplianceStatus,
+    refreshComplianceDueDate,
+    pauseComplianceClock,
+    getSubmissionBlock,
+    assertOrganizationCanSubmit,
+    listOverrides,
+    grantOverride,
+    revokeOverride,
+    runComplianceCheck,
+    triggerComplianceCheck,
+    startComplianceScheduler,
+    stopComplianceScheduler,
+    listDeadlines,
+};
@@ -0,0 +1,508 @@
+// ==============================
+// Compliance Service
+// Compliance documents checklist and status of approved proposals
+// ==============================
+// Every approved MySQL proposal carries its compliance state on the proposals
+// row (compliance_due_date, compliance_status; see compliance-deadline.service)
+// and a documents checklist in compliance_documents. Organizers upload the
+// documents here; the accomplishment report itself goes through the report
+// flow and its review. Reviewers can set the status by hand with a comment,
+// which is logged in proposal_status_history as a 'compliance' change.
+//
+// migrateMongoCompliance() moves the compliance data of the legacy Mongo
+// proposals onto the matching MySQL rows (scripts/migrate-compliance.js).
+
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../config/db');
+const {
+    DUE_DAYS,
+    REMINDER_DAYS,
+    daysBetween,
+    refreshComplianceStatus,
+} = require('./compliance-deadline.service');
+const {
+    notifyComplianceDocumentsSubmitted,
+    notifyComplianceStatusChanged,
+} = require('./notification.service');
+const { recordStatusHistory, getStatusHistory } = require('./proposal-lifecycle.service');
+const { toDateString } = require('./schedule-conflict.service');
+const { hasPermission } = require('./permission.service');
+const { httpError } = require('../utils/http-error');
+
+// Statuses a reviewer can set by hand
+const COMPLIANCE_STATUSES = ['pending', 'compliant', 'overdue'];
+
+const MAX_DOCUMENT_NAME_LENGTH = 100;
+const MAX_COMMENT_LENGTH = 1000;
+
+const BACKEND_ROOT = path.join(__dirname, '..');
+
+// Compliance documents are reviewed with the accomplishment report
+function assertStaff(user) {
+    if (!hasPermission(user, 'report:review')) {
+        throw httpError(403, 'Staff privileges required');
+    }
+}
+
+// ==============================
+// Reading
+// ==============================
+
+const PROPOSAL_COLUMNS = `
+    p.id, p.userId, p.event_name, p.organization_name, p.proposal_status, p.report_status,
+    p.event_start_date, p.event_end_date, p.approved_at, p.reviewed_by_admin_id,
+    p.compliance_due_date, p.compliance_status, p.compliance_overdue_at,
+    owner.name AS owner_name, owner.email AS owner_email, reviewer.name AS reviewer_name`;
+
+const PROPOSAL_JOINS = `
+    LEFT JOIN users owner ON owner.id = p.userId
+    LEFT JOIN users reviewer ON reviewer.id = p.reviewed_by_admin_id`;
+
+function formatDocument(row) {
+    const submitted = Boolean(row.submitted_at);
+    return {
+        id: row.id,
+        name: row.name,
+        required: Boolean(row.is_required),
+        submitted,
+        submittedAt: row.submitted_at || null,
+        submittedBy: row.submitted_by ? { id: row.submitted_by, name: row.submitted_by_name || null } : null,
+        fileName: row.file_name || null,
+        mimeType: row.mime_type || null,
+        fileSize: row.file_size || null,
+        downloadUrl: submitted && row.file_path ? `/api/compliance/documents/${row.id}/file` : null,
+    };
+}
+
+/**
+ * Share of the checklist that is in: the accomplishment report counts as one
+ * item next to every required document
+ */
+function complianceProgress(reportStatus, documents) {
+    const required = documents.filter((document) => document.required);
+    const reportIn = reportStatus === 'pending' || reportStatus === 'approved';
+    const done = required.filter((document) => document.submitted).length + (reportIn ? 1 : 0);
+    return Math.round((done / (required.length + 1)) * 100);
+}
+
+function formatCompliance(row, documentRows, today) {
+    const documents = documentRows.map(formatDocument);
+    const dueDate = toDateString(row.compliance_due_date);
+    return {
+        proposalId: row.id,
+        eventName: row.event_name,
+        organizationName: row.organization_name,
+        organizer: { id: row.userId, name: row.owner_name || null, email: row.owner_email || null },
+        reviewer: row.reviewed_by_admin_id ? { id: row.reviewed_by_admin_id, name: row.reviewer_name || null } : null,
+        eventStartDate: toDateString(row.event_start_date),
+        eventEndDate: toDateString(row.event_end_date),
+        approvedAt: row.approved_at || null,
+        dueDate,
+        daysLeft: dueDate ? daysBetween(today, dueDate) : null,
+        status: row.compliance_status,
+        reportStatus: row.report_status,
+        overdueAt: row.compliance_overdue_at || null,
+        documents,
+        progress: complianceProgress(row.report_status, documents),
+    };
+}
+
+async function loadDocuments(proposalIds, executor = pool) {
+    if (proposalIds.length === 0) return new Map();
+    const [rows] = await executor.query(
+        `SELECT d.*, u.name AS submitted_by_name
+         FROM compliance_documents d
+         LEFT JOIN users u ON u.id = d.submitted_by
+         WHERE d.proposal_id IN (?)
+         ORDER BY d.is_required DESC, d.id ASC`,
+        [proposalIds]
+    );
+    const byProposal = new Map(proposalIds.map((id) => [String(id), []]));
+    rows.forEach((row) => {
+        const list = byProposal.get(String(row.proposal_id));
+        if (list) list.push(row);
+    });
+    return byProposal;
+}
+
+/**
+ * The proposal behind a compliance request, readable by its owner and staff
+ * @throws 404 when missing, 403 for other students
+ */
+async function loadAccessibleProposal(proposalId, user, executor = pool) {
+    const [rows] = await executor.query(
+        `SELECT ${PROPOSAL_COLUMNS}
+         FROM proposals p
+         ${PROPOSAL_JOINS}
+         WHERE p.id = ?`,
+        [proposalId]
+    );
+    const row = rows[0];
+    if (!row) {
+        throw httpError(404, 'Proposal not found');
+    }
+    if (!hasPermission(user, 'report:review') && String(row.userId) !== String(user && user.id)) {
+        throw httpError(403, 'Not authorized to view this proposal');
+    }
+    return row;
+}
+
+/**
+ * Approved proposals with their compliance checklist, earliest deadline
+ * first. Staff see every organization, students their own proposals.
+ * @param {Object} user
+ * @param {Object} [filters] - { status: 'pending'|'compliant'|'overdue' }
+ * @returns {Promise<{ items: Object[], settings: Object }>}
+ */
+async function listCompliance(user, { status } = {}) {
+    const where = ["p.proposal_status = 'approved'", "p.compliance_status <> 'not_applicable'"];
+    const params = [];
+
+    if (COMPLIANCE_STATUSES.includes(status)) {
+        where.push('p.compliance_status = ?');
+        params.push(status);
+    }
+    if (!hasPermission(user, 'report:review')) {
+        where.push('p.userId = ?');
+        params.push(user.id);
+    }
+
+    const [rows] = await pool.query(
+        `SELECT ${PROPOSAL_COLUMNS}
+         FROM proposals p
+         ${PROPOSAL_JOINS}
+         WHERE ${where.join(' AND ')}
+         ORDER BY p.compliance_due_date IS NULL, p.compliance_due_date ASC, p.id ASC`,
+        params
+    );
+    const documents = await loadDocuments(rows.map((row) => row.id));
+
+    const today = toDateString(new Date());
+    return {
+        items: rows.map((row) => formatCompliance(row, documents.get(String(row.id)) || [], today)),
+        settings: { dueDays: DUE_DAYS, reminderDays: REMINDER_DAYS },
+    };
+}
+
+/**
+ * Overdue proposals only (staff)
+ */
+async function listOverdue(user) {
+    assertStaff(user);
+    const { items } = await listCompliance(user, { status: 'overdue' });
+    return items;
+}
+
+/**
+ * One proposal's checklist plus the compliance changes reviewers made by hand
+ * @param {number|string} proposalId
+ * @param {Object} user
+ * @returns {Promise<Object>}
+ */
+async function getCompliance(proposalId, user) {
+    const row = await loadAccessibleProposal(proposalId, user);
+    const documents = await loadDocuments([row.id]);
+    const history = await getStatusHistory(row.id);
+
+    return {
+        ...formatCompliance(row, documents.get(String(row.id)) || [], toDateString(new Date())),
+        history: history.filter((entry) => entry.type === 'compliance'),
+    };
+}
+
+/**
+ * Counts per compliance status across approved proposals (staff)
+ * @returns {Promise<{ compliant: number, pending: number, overdue: number, total: number, complianceRate: number }>}
+ */
+async function getComplianceStats(user) {
+    assertStaff(user);
+    const [rows] = await pool.query(
+        `SELECT compliance_status, COUNT(*) AS count
+         FROM proposals
+         WHERE proposal_status = 'approved' AND compliance_status IN (?)
+         GROUP BY compliance_status`,
+        [COMPLIANCE_STATUSES]
+    );
+
+    const stats = { compliant: 0, pending: 0, overdue: 0 };
+    rows.forEach((row) => {
+        stats[row.compliance_status] = Number(row.count);
+    });
+    stats.total = stats.compliant + stats.pending + stats.overdue;
+    stats.complianceRate = stats.total > 0 ? Math.round((stats.compliant / stats.total) * 1000) / 10 : 0;
+    return stats;
+}
+
+// ==============================
+// Documents
+// ==============================
+
+// Uploaded files of a refused request should not linger in uploads/
+function discardFiles(files) {
+    (files || []).forEach((file) => {
+        fs.promises.unlink(file.path).catch(() => {});
+    });
+}
+
+function parseDocumentTypes(value) {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== 'string' || !value.trim()) return [];
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [parsed];
+    } catch (error) {
+        return [value];
+    }
+}
+
+/**
+ * Store uploaded compliance documents against their checklist items. A name
+ * that is not on the checklist is added as an optional document; uploading an
+ * item again replaces its file.
+ * @param {number|string} proposalId
+ * @param {Object[]} files - multer files (complianceDocumentUpload)
+ * @param {string[]|string} documentTypes - Checklist item per file (array or JSON)
+ * @param {Object} user - Organizer (or staff uploading for them)
+ * @returns {Promise<Object>} The updated compliance record
+ */
+async function uploadDocuments(proposalId, files, documentTypes, user) {
+    const names = parseDocumentTypes(documentTypes).map((name) => String(name || '').trim());
+
+    try {
+        if (!files || files.length === 0) {
+            throw httpError(400, 'Attach at least one document');
+        }
+        if (names.length !== files.length) {
+            throw httpError(400, 'Document types must match the number of uploaded files');
+        }
+        if (names.some((name) => !name || name.length > MAX_DOCUMENT_NAME_LENGTH)) {
+            throw httpError(400, `Every document needs a type of at most ${MAX_DOCUMENT_NAME_LENGTH} characters`);
+        }
+
+        const row = await loadAccessibleProposal(proposalId, user);
+        if (row.proposal_status !== 'approved') {
+            throw httpError(400, 'Only approved proposals have compliance documents');
+        }
+    } catch (error) {
+        discardFiles(files);
+        throw error;
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        for (const [index, file] of files.entries()) {
+            await connection.query(
+                `INSERT INTO compliance_documents
+                    (proposal_id, name, is_required, file_name, file_path, mime_type, file_size, submitted_at, submitted_by)
+                 VALUES (?, ?, FALSE, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?)
+                 ON DUPLICATE KEY UPDATE
+                    file_name = VALUES(file_name), file_path = VALUES(file_path), mime_type = VALUES(mime_type),
+                    file_size = VALUES(file_size), submitted_at = CURRENT_TIMESTAMP, submitted_by = VALUES(submitted_by)`,
+                [proposalId, names[index], file.originalname, file.path, file.mimetype, file.size, user.id]
+            );
+        }
+        await refreshComplianceStatus(proposalId, { connection });
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        discardFiles(files);
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    console.log(`✅ Compliance: ${files.length} document(s) uploaded for proposal ${proposalId}`, { userId: user.id, documents: names });
+    await notifyComplianceDocumentsSubmitted(proposalId, { documents: names, actor: user });
+
+    return getCompliance(proposalId, user);
+}
+
+/**
+ * An uploaded compliance document, for download by the organizer or staff
+ * @param {number|string} documentId
+ * @param {Object} user
+ * @returns {Promise<{ path: string, fileName: string, mimeType: string|null }>}
+ */
+async function getDocumentFile(documentId, user) {
+    const [rows] = await pool.query(
+        `SELECT d.id, d.proposal_id, d.file_name, d.file_path, d.mime_type, p.userId
+         FROM compliance_documents d
+         JOIN proposals p ON p.id = d.proposal_id
+         WHERE d.id = ?`,
+        [documentId]
+    );
+    const row = rows[0];
+    if (!row || !row.file_path) {
+        throw httpError(404, 'Document not found');
+    }
+    if (!hasPermission(user, 'report:review') && String(row.userId) !== String(user && user.id)) {
+        throw httpError(403, 'Not authorized to view this document');
+    }
+
+    return {
+        path: path.isAbsolute(row.file_path) ? row.file_path : path.join(BACKEND_ROOT, row.file_path),
+        fileName: row.file_name || path.basename(row.file_path),
+        mimeType: row.mime_type || null,
+    };
+}
+
+// ==============================
+// Status (reviewers)
+// ==============================
+
+/**
+ * Set a proposal's compliance status by hand, e.g. to accept documents
+ * delivered on paper. The organizer is told, with the reviewer's comment.
+ * @param {number|string} proposalId
+ * @param {Object} input - { status, comment }
+ * @param {Object} user - Staff member
+ * @returns {Promise<Object>} The updated compliance record
+ */
+async function setComplianceStatus(proposalId, { status, comment } = {}, user) {
+    assertStaff(user);
+
+    const errors = {};
+    const trimmedComment = typeof comment === 'string' ? comment.trim() : '';
+    if (!COMPLIANCE_STATUSES.includes(status)) errors.status = `Status must be one of: ${COMPLIANCE_STATUSES.join(', ')}`;
+    if (trimmedComment.length > MAX_COMMENT_LENGTH) errors.comment = `Keep the comment under ${MAX_COMMENT_LENGTH} characters`;
+    if (Object.keys(errors).length > 0) {
+        throw httpError(400, 'Invalid compliance status', { errors });
+    }
+
+    const row = await loadAccessibleProposal(proposalId, user);
+    if (row.proposal_status !== 'approved') {
+        throw httpError(400, 'Only approved proposals have compliance requirements');
+    }
+
+    if (row.compliance_status !== status) {
+        await pool.query(
+            `UPDATE proposals
+             SET compliance_status = ?,
+                 compliance_overdue_at = IF(? = 'overdue', COALESCE(compliance_overdue_at, CURRENT_TIMESTAMP), NULL)
+             WHERE id = ?`,
+            [status, status, row.id]
+        );
+    }
+    await recordStatusHistory(pool, {
+        proposalId: row.id,
+        kind: 'compliance',
+        from: row.compliance_status,
+        to: status,
+        actor: user,
+        comment: trimmedComment,
+        source: 'PUT /api/compliance/:proposalId/status',
+    });
+    console.log(`✅ Compliance: Proposal ${row.id} set to ${status}`, { userId: user.id });
+
+    await notifyComplianceStatusChanged(row.id, { status, comment: trimmedComment || null });
+    return getCompliance(row.id, user);
+}
+
+// ==============================
+// Mongo migration
+// ==============================
+
+/**
+ * The approved MySQL proposal a legacy Mongo proposal became: same event name
+ * and start date, or the only approved proposal with that name
+ */
+async function findMigrationTarget(mongoProposal) {
+    const title = String(mongoProposal.title || '').trim();
+    if (!title) return { reason: 'no title' };
+
+    const [rows] = await pool.query(
+        `SELECT id, event_start_date, compliance_status
+         FROM proposals
+         WHERE event_name = ? AND proposal_status = 'approved'`,
+        [title]
+    );
+    const startDate = toDateString(mongoProposal.startDate);
+    const sameDay = rows.filter((row) => startDate && toDateString(row.event_start_date) === startDate);
+
+    if (sameDay.length === 1) return { row: sameDay[0] };
+    if (sameDay.length === 0 && rows.length === 1) return { row: rows[0] };
+    return { reason: rows.length === 0 ? 'no approved MySQL proposal with this name' : `${rows.length} approved proposals share this name` };
+}
+
+/**
+ * Copy compliance data from legacy Mongo proposals onto their MySQL
+ * counterparts. Runs as a dry run unless `apply` is set. Documents already
+ * submitted in MySQL are kept; a MySQL proposal that is already compliant
+ * stays compliant.
+ * @param {Object[]} mongoProposals - Plain Mongo proposal documents
+ * @param {Object} [options] - { apply }
+ * @returns {Promise<{ matched: Object[], unmatched: Object[], updated: number }>}
+ */
+async function migrateMongoCompliance(mongoProposals, { apply = false } = {}) {
+    const matched = [];
+    const unmatched = [];
+    let updated = 0;
+
+    for (const mongoProposal of mongoProposals) {
+        const { row, reason } = await findMigrationTarget(mongoProposal);
+        if (!row) {
+            unmatched.push({ mongoId: String(mongoProposal._id), title: mongoProposal.title, reason });
+            continue;
+        }
+
+        const status = COMPLIANCE_STATUSES.includes(mongoProposal.complianceStatus) ? mongoProposal.complianceStatus : 'pending';
+        const documents = (mongoProposal.complianceDocuments || []).filter((document) => document && document.name);
+        matched.push({
+            mongoId: String(mongoProposal._id),
+            title: mongoProposal.title,
+            proposalId: row.id,
+            status: row.compliance_status === 'compliant' ? 'compliant' : status,
+            documents: documents.length,
+        });
+        if (!apply) continue;
+
+        await pool.query(
+            `UPDATE proposals
+             SET compliance_due_date = COALESCE(?, compliance_due_date),
+                 compliance_status = IF(compliance_status = 'compliant', 'compliant', ?),
+                 compliance_overdue_at = IF(? = 'overdue', COALESCE(compliance_overdue_at, CURRENT_TIMESTAMP), compliance_overdue_at)
+             WHERE id = ?`,
+            [toDateString(mongoProposal.complianceDueDate), status, status, row.id]
+        );
+        for (const document of documents) {
+            const submittedAt = document.submitted ? new Date(document.submittedAt || Date.now()) : null;
+            await pool.query(
+                `INSERT INTO compliance_documents (proposal_id, name, is_required, file_name, file_path, submitted_at)
+                 VALUES (?, ?, ?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE
+                    is_required = VALUES(is_required),
+                    file_name = COALESCE(file_name, VALUES(file_name)),
+                    file_path = COALESCE(file_path, VALUES(file_path)),
+                    submitted_at = COALESCE(submitted_at, VALUES(submitted_at))`,
+                [
+                    row.id,
+                    String(document.name).trim().slice(0, MAX_DOCUMENT_NAME_LENGTH),
+                    Boolean(document.required),
+                    document.path ? path.basename(document.path) : null,
+                    document.path || null,
+                    submittedAt,
+                ]
+            );
+        }
+        updated += 1;
+    }
+
+    return { matched, unmatched, updated };
+}
+
+module.exports = {
+    COMPLIANCE_STATUSES,
+    complianceProgress,
+    listCompliance,
+    listOverdue,
+    getCompliance,
+    getComplianceStats,
+    uploadDocuments,
+    getDocumentFile,
+    setComplianceStatus,
+    migrateMongoCompliance,
+};
@@ -0,0 +1,421 @@
+// ==============================
+// Data Explorer Service
+// Head admin access to whitelisted MySQL tables and MongoDB collections
+// ==============================
+// Replaces the open /api/db CRUD API. Only resources listed in
+// constants/data-explorer.js can be reached, and redacted columns are never
+// selected (or are projected out), so password hashes and reset tokens do not
+// leave the database.
+//
+// The explorer is read-only unless the server sets DATA_EXPLORER_WRITES=true.
+// Writes are MySQL only, limited to each resource's `editable` columns (or
+// `deletable` resources), and need a reason.
+//
+// Every list, view, update and delete is written to data_explorer_audit. A
+// write's audit row holds the before/after values and is inserted in the same
+// transaction as the change, so no change goes unrecorded.
+
+const mongoose = require('mongoose');
+const { pool } = require('../config/db');
+const { getDb } = require('../config/mongodb');
+const { ALWAYS_REDACTED, RESOURCES } = require('../constants/data-explorer');
+const { hasPermission } = require('./permission.service');
+const { httpError } = require('../utils/http-error');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_REASON_LENGTH = 500;
+const AUDIT_ACTIONS = ['list', 'view', 'update', 'delete'];
+
+function parseJson(value, fallback) {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value === 'object') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+const writesEnabled = () => process.env.DATA_EXPLORER_WRITES === 'true';
+
+// The API key user has no users row
+const actorIdOf = (user) => (Number.isInteger(user.id) ? user.id : null);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const pick = (record, keys) => Object.fromEntries(keys.map((key) => [key, record[key] ?? null]));
+
+function resourceFor(name) {
+    if (!Object.prototype.hasOwnProperty.call(RESOURCES, name)) {
+        throw httpError(404, `Unknown resource: ${name}`);
+    }
+    const resource = RESOURCES[name];
+    return {
+        name,
+        ...resource,
+        target: resource.table || resource.collection || name,
+        redacted: [...ALWAYS_REDACTED, ...(resource.redact || [])],
+    };
+}
+
+const editableFor = (resource) =>
+    resource.source === 'mysql' ? (resource.editable || []).filter((column) => !resource.redacted.includes(column)) : [];
+
+const isDeletable = (resource) => resource.source === 'mysql' && Boolean(resource.deletable);
+
+function describe(resource) {
+    return {
+        name: resource.name,
+        label: resource.label,
+        source: resource.source,
+        key: resource.key,
+        editable: editableFor(resource),
+        deletable: isDeletable(resource),
+        searchable: resource.search || [],
+    };
+}
+
+function assertCanExplore(user) {
+    if (!hasPermission(user, 'data:explore')) {
+        throw httpError(403, 'Only head admins can use the data explorer');
+    }
+}
+
+function assertCanWrite(user) {
+    if (!hasPermission(user, 'data:write')) {
+        throw httpError(403, 'Only head admins can change records in the data explorer');
+    }
+    if (!writesEnabled()) {
+        throw httpError(403, 'The data explorer is read-only. Set DATA_EXPLORER_WRITES=true on the server to allow changes');
+    }
+}
+
+function reasonFrom(reason) {
+    const trimmed = typeof reason === 'string' ? reason.trim() : '';
+    if (!trimmed) {
+        throw httpError(400, 'A reason is required for every change', {
+            errors: { reason: 'Say why this record is being changed' },
+        });
+    }
+    if (trimmed.length > MAX_REASON_LENGTH) {
+        throw httpError(400, 'Reason is too long', {
+            errors: { reason: `Keep the reason under ${MAX_REASON_LENGTH} characters` },
+        });
+    }
+    return trimmed;
+}
+
+function pageOf(query = {}) {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    return { page, limit, offset: (page - 1) * limit };
+}
+
+async function recordAudit(db, user, action, resource, { recordId = null, reason = null, details = null } = {}) {
+    await db.query(
+        `INSERT INTO data_explorer_audit (actor_id, actor_role, action, resource, record_id, reason, details)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+            actorIdOf(user),
+            user.role || null,
+            action,
+            resource.name,
+            recordId === null ? null : String(recordId),
+            reason,
+            details ? JSON.stringify(details) : null,
+        ]
+    );
+}
+
+// Table columns split into the ones that may be selected and the redacted ones
+async function mysqlColumns(resource) {
+    const [columns] = await pool.query('SHOW COLUMNS FROM ??', [resource.target]);
+    const names = columns.map((column) => column.Field);
+    return {
+        visible: names.filter((name) => !resource.redacted.includes(name)),
+        redacted: names.filter((name) => resource.redacted.includes(name)),
+    };
+}
+
+async function selectMysqlRecord(db, resource, columns, id, { lock = false } = {}) {
+    const [rows] = await db.query(
+        `SELECT ?? FROM ?? WHERE ?? = ?${lock ? ' FOR UPDATE' : ''}`,
+        [columns, resource.target, resource.key, id]
+    );
+    return rows[0] || null;
+}
+
+async function mongoCollection(resource) {
+    const db = await getDb();
+    return db.collection(resource.target);
+}
+
+const mongoProjection = (resource) => Object.fromEntries(resource.redacted.map((field) => [field, 0]));
+
+function objectIdOf(resource, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw httpError(404, `${resource.label}: record ${id} not found`);
+    }
+    return new mongoose.Types.ObjectId(id);
+}
+
+/**
+ * The whitelisted resources and whether the caller may change them
+ * @param {Object} user - req.user
+ * @returns {{resources: Object[], writesEnabled: boolean, canWrite: boolean}}
+ */
+function listResources(user) {
+    assertCanExplore(user);
+    return {
+        resources: Object.keys(RESOURCES).map((name) => describe(resourceFor(name))),
+        writesEnabled: writesEnabled(),
+        canWrite: writesEnabled() && hasPermission(user, 'data:write'),
+    };
+}
+
+/**
+ * A page of records, newest first, without redacted columns
+ * @param {string} name - Key of RESOURCES
+ * @param {Object} query - { page, limit, q }
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>}
+ */
+async function listRecords(name, query, user) {
+    assertCanExplore(user);
+    const resource = resourceFor(name);
+    const { page, limit, offset } = pageOf(query);
+    const search = typeof query?.q === 'string' ? query.q.trim() : '';
+
+    let columns;
+    let redacted;
+    let records;
+    let total;
+
+    if (resource.source === 'mysql') {
+        ({ visible: columns, redacted } = await mysqlColumns(resource));
+        const searchable = search ? (resource.search || []).filter((column) => columns.includes(column)) : [];
+        const where = searchable.length > 0 ? `WHERE ${searchable.map(() => '?? LIKE ?').join(' OR ')}` : '';
+        const whereParams = searchable.flatMap((column) => [column, `%${search}%`]);
+
+        [records] = await pool.query(
+            `SELECT ?? FROM ?? ${where} ORDER BY ?? DESC LIMIT ? OFFSET ?`,
+            [columns, resource.target, ...whereParams, resource.key, limit, offset]
+        );
+        const [[count]] = await pool.query(`SELECT COUNT(*) AS total FROM ?? ${where}`, [resource.target, ...whereParams]);
+        total = Number(count.total);
+    } else {
+        const collection = await mongoCollection(resource);
+        const searchable = search ? resource.search || [] : [];
+        const filter = searchable.length > 0
+            ? { $or: searchable.map((field) => ({ [field]: { $regex: escapeRegex(search), $options: 'i' } })) }
+            : {};
+
+        [records, total] = await Promise.all([
+            collection.find(filter, { projection: mongoProjection(resource) }).sort({ _id: -1 }).skip(offset).limit(limit).toArray(),
+            collection.countDocuments(filter),
+        ]);
+        columns = [...new Set(records.flatMap((record) => Object.keys(record)))];
+        redacted = resource.redacted;
+    }
+
+    await recordAudit(pool, user, 'list', resource, { details: { page, limit, q: search || undefined } });
+
+    return {
+        resource: describe(resource),
+        columns,
+        redacted,
+        records,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    };
+}
+
+/**
+ * One record, without redacted columns
+ * @param {string} name - Key of RESOURCES
+ * @param {string} id - Primary key (MySQL) or ObjectId (MongoDB)
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>}
+ */
+async function getRecord(name, id, user) {
+    assertCanExplore(user);
+    const resource = resourceFor(name);
+
+    let record;
+    let redacted;
+    if (resource.source === 'mysql') {
+        const columns = await mysqlColumns(resource);
+        record = await selectMysqlRecord(pool, resource, columns.visible, id);
+        redacted = columns.redacted;
+    } else {
+        const collection = await mongoCollection(resource);
+        record = await collection.findOne({ _id: objectIdOf(resource, id) }, { projection: mongoProjection(resource) });
+        redacted = resource.redacted;
+    }
+
+    if (!record) {
+        throw httpError(404, `${resource.label}: record ${id} not found`);
+    }
+
+    await recordAudit(pool, user, 'view', resource, { recordId: id });
+    return { resource: describe(resource), record, redacted };
+}
+
+/**
+ * Change editable columns of a MySQL record (writes must be enabled)
+ * @param {string} name - Key of RESOURCES
+ * @param {string} id
+ * @param {Object} changes - column → new value
+ * @param {string} reason - Why the change is made (stored in the audit log)
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} The record after the change
+ */
+async function updateRecord(name, id, changes, reason, user) {
+    assertCanWrite(user);
+    const resource = resourceFor(name);
+    const editable = editableFor(resource);
+    if (editable.length === 0) {
+        throw httpError(403, `${resource.label} are read-only in the data explorer`);
+    }
+
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+        throw httpError(400, 'No changes provided', { errors: { changes: 'Send the columns to change' } });
+    }
+    const blocked = Object.keys(changes).filter((column) => !editable.includes(column));
+    if (blocked.length > 0) {
+        throw httpError(400, `Not editable: ${blocked.join(', ')}`, {
+            errors: { changes: `Only ${editable.join(', ')} can be changed` },
+        });
+    }
+    const why = reasonFrom(reason);
+
+    const { visible } = await mysqlColumns(resource);
+    const changed = Object.keys(changes);
+    const connection = await pool.getConnection();
+    let after;
+    try {
+        await connection.beginTransaction();
+        const before = await selectMysqlRecord(connection, resource, visible, id, { lock: true });
+        if (!before) {
+            throw httpError(404, `${resource.label}: record ${id} not found`);
+        }
+
+        await connection.query('UPDATE ?? SET ? WHERE ?? = ?', [resource.target, changes, resource.key, id]);
+        after = await selectMysqlRecord(connection, resource, visible, id);
+        await recordAudit(connection, user, 'update', resource, {
+            recordId: id,
+            reason: why,
+            details: { before: pick(before, changed), after: pick(after, changed) },
+        });
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    console.log(`🗄️ Data explorer: ${user.id} updated ${resource.name} ${id} (${changed.join(', ')})`);
+    return after;
+}
+
+/**
+ * Delete a record of a deletable MySQL resource (writes must be enabled)
+ * @param {string} name - Key of RESOURCES
+ * @param {string} id
+ * @param {string} reason - Why the record is deleted (stored in the audit log)
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} The deleted record
+ */
+async function deleteRecord(name, id, reason, user) {
+    assertCanWrite(user);
+    const resource = resourceFor(name);
+    if (!isDeletable(resource)) {
+        throw httpError(403, `${resource.label} cannot be deleted in the data explorer`);
+    }
+    const why = reasonFrom(reason);
+
+    const { visible } = await mysqlColumns(resource);
+    const connection = await pool.getConnection();
+    let before;
+    try {
+        await connection.beginTransaction();
+        before = await selectMysqlRecord(connection, resource, visible, id, { lock: true });
+        if (!before) {
+            throw httpError(404, `${resource.label}: record ${id} not found`);
+        }
+
+        await connection.query('DELETE FROM ?? WHERE ?? = ?', [resource.target, resource.key, id]);
+        await recordAudit(connection, user, 'delete', resource, { recordId: id, reason: why, details: { before } });
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    console.log(`🗄️ Data explorer: ${user.id} deleted ${resource.name} ${id}`);
+    return before;
+}
+
+/**
+ * The audit log, newest first
+ * @param {Object} query - { resource, action, page, limit }
+ * @param {Object} user - req.user
+ * @returns {Promise<{entries: Object[], pagination: Object}>}
+ */
+async function listAudit(query, user) {
+    assertCanExplore(user);
+    const { page, limit, offset } = pageOf(query);
+
+    const conditions = [];
+    const params = [];
+    if (query?.resource) {
+        conditions.push('a.resource = ?');
+        params.push(String(query.resource));
+    }
+    if (query?.action) {
+        if (!AUDIT_ACTIONS.includes(query.action)) {
+            throw httpError(400, `action must be one of: ${AUDIT_ACTIONS.join(', ')}`);
+        }
+        conditions.push('a.action = ?');
+        params.push(query.action);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [rows] = await pool.query(
+        `SELECT a.*, u.name AS actor_name
+         FROM data_explorer_audit a
+         LEFT JOIN users u ON u.id = a.actor_id
+         ${where}
+         ORDER BY a.id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+    );
+    const [[count]] = await pool.query(`SELECT COUNT(*) AS total FROM data_explorer_audit a ${where}`, params);
+    const total = Number(count.total);
+
+    return {
+        entries: rows.map((row) => ({
+            id: row.id,
+            action: row.action,
+            resource: row.resource,
+            recordId: row.record_id,
+            reason: row.reason,
+            details: parseJson(row.details, null),
+            createdAt: row.created_at,
+            actor: { id: row.actor_id, name: row.actor_name, role: row.actor_role },
+        })),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    };
+}
+
+module.exports = {
+    listResources,
+    listRecords,
+    getRecord,
+    updateRecord,
+    deleteRecord,
+    listAudit,
+};
@@ -2,6 +2,7 @@ const { pool } = require('../config/db');
 const { MongoClient } = require('mongodb');
 const { cache, CacheKeys, CacheTTL } = require('../config/redis');
 const { clientPromise: sharedClientPromise } = require('../config/mongodb');
+const { transitionProposalStatus } = require('./proposal-lifecycle.service');
 
 /**
  * Data Synchronization Service
@@ -269,98 +270,42 @@ const getOrganizationName = async (proposalId) => {
 
 /**
  * Update proposal status in both databases
+ * The transition itself is validated and recorded by the proposal lifecycle engine.
  * @param {string} proposalId - The proposal ID
  * @param {string} newStatus - The new status
- * @param {string} userId - The user making the change (optional)
- * @param {object} options - Additional options (optional)
+ * @param {Object|string} userId - The user making the change (req.user or 'system'; review decisions need req.user)
+ * @param {object} options - Additional options (optional): { reason, source, connection }
  * @returns {Promise<object>} Update result
  */
 const updateProposalStatus = async (proposalId, newStatus, userId = 'system', options = {}) => {
     const startTime = Date.now();
-    const connection = await pool.getConnection();
 
-    try {
-        console.log('🔄 DATA SYNC: Updating proposal status:', { proposalId, newStatus, userId });
-
-        await connection.beginTransaction();
-
-        // Optimistic locking: check if proposal was modified
-        const [currentData] = await connection.execute(
-            'SELECT status, updated_at, version FROM proposals WHERE id = ? FOR UPDATE',
-            [proposalId]
-        );
-
-        if (!currentData || currentData.length === 0) {
-            await connection.rollback();
-            throw new Error(`Proposal ${proposalId} not found`);
-        }
+    console.log('🔄 DATA SYNC: Updating proposal status:', { proposalId, newStatus, userId: userId?.id ?? userId });
 
-        const current = currentData[0];
-
-        // Check version for optimistic locking (if version field exists)
-        if (options.expectedVersion && current.version !== options.expectedVersion) {
-            await connection.rollback();
-            throw new Error('Proposal was modified by another user. Please refresh and try again.');
-        }
-
-        // Update proposal - handle cases where version column may not exist
-        let updateQuery, updateParams;
-        if (current.version !== undefined) {
-            updateQuery = `UPDATE proposals 
-                          SET status = ?, updated_at = NOW(), updated_by = ?, version = version + 1
-                          WHERE id = ?`;
-            updateParams = [newStatus, userId, proposalId];
-        } else {
-            updateQuery = `UPDATE proposals 
-                          SET status = ?, updated_at = NOW(), updated_by = ?
-                          WHERE id = ?`;
-            updateParams = [newStatus, userId, proposalId];
-        }
-
-        const [updateResult] = await connection.execute(updateQuery, updateParams);
-
-        if (updateResult.affectedRows === 0) {
-            await connection.rollback();
-            throw new Error('Failed to update proposal status');
-        }
-
-        // Log the status change - create table if it doesn't exist
-        try {
-            await connection.execute(
-                `INSERT INTO proposal_status_log (proposal_id, old_status, new_status, changed_by, changed_at)
-                 VALUES (?, ?, ?, ?, NOW())`,
-                [proposalId, current.status, newStatus, userId]
-            );
-        } catch (logError) {
-            // If status log table doesn't exist, just log the warning but don't fail
-            console.warn('⚠️ Could not log status change (table may not exist):', logError.message);
-        }
-
-        await connection.commit();
-
-        // Invalidate caches
-        try {
-            await cache.del(CacheKeys.proposal(proposalId));
-            await cache.delPattern(`user:*:proposals`); // Clear user proposal lists
-        } catch (cacheError) {
-            console.warn('⚠️ Cache invalidation failed:', cacheError.message);
-        }
+    const transition = await transitionProposalStatus(proposalId, newStatus, {
+        actor: userId,
+        reason: options.reason,
+        source: options.source || 'data-sync.updateProposalStatus',
+        connection: options.connection,
+    });
 
-        console.log(`✅ Proposal ${proposalId} status updated: ${current.status} → ${newStatus} (${Date.now() - startTime}ms)`);
+    // Invalidate caches
+    try {
+        await cache.del(CacheKeys.proposal(proposalId));
+        await cache.delPattern(`user:*:proposals`); // Clear user proposal lists
+    } catch (cacheError) {
+        console.warn('⚠️ Cache invalidation failed:', cacheError.message);
+    }
 
-        return {
-            success: true,
-            oldStatus: current.status,
-            newStatus,
-            updateTime: Date.now() - startTime
-        };
+    console.log(`✅ Proposal ${proposalId} status updated: ${transition.from} → ${transition.to} (${Date.now() - startTime}ms)`);
 
-    } catch (error) {
-        await connection.rollback();
-        throw error;
-    } finally {
-        connection.release();
-    }
+    return {
+        success: true,
+        oldStatus: transition.from,
+        newStatus: transition.to,
+        transition,
+        updateTime: Date.now() - startTime
+    };
 };
 
 // Performance monitoring for database operations
@@ -0,0 +1,386 @@
+// ==============================
+// Proposal Drafts Service
+// MySQL-backed storage for the submit-event [draftId] flow
+// ==============================
+// Every draft belongs to the user who created it. Section data is stored as a
+// JSON object keyed by section name, and every write bumps `version` so two
+// tabs editing the same draft cannot silently overwrite each other.
+
+const crypto = require('crypto');
+const { pool } = require('../config/db');
+const { isKnownSection, validateSection, validateDraftForSubmit } = require('../validators/draft-sections.validator');
+const { transitionProposalStatus } = require('./proposal-lifecycle.service');
+const { notifyTransition } = require('./notification.service');
+const { httpError } = require('../utils/http-error');
+
+// ==============================
+// Section Naming
+// ==============================
+
+// Canonical section keys (mirror proposals.current_section)
+const DRAFT_SECTIONS = ['overview', 'orgInfo', 'schoolEvent', 'communityEvent', 'reporting'];
+
+// URL slugs used by the Next.js routes under submit-event/[draftId]
+const SECTION_ALIASES = {
+    'event-type': 'overview',
+    'organization': 'orgInfo',
+    'org-info': 'orgInfo',
+    'school-event': 'schoolEvent',
+    'community-event': 'communityEvent',
+};
+
+// Optimistic-lock retries for writers that did not send an expected version
+const MAX_WRITE_ATTEMPTS = 3;
+
+/**
+ * Resolve a section name or URL slug to its canonical key
+ * @param {string} section - Section name from the request path
+ * @returns {string} Canonical section key (unknown names are returned unchanged)
+ */
+function normalizeSection(section) {
+    return SECTION_ALIASES[section] || section;
+}
+
+function parsePayload(raw) {
+    if (!raw) return {};
+    if (typeof raw === 'object') return raw;
+    try {
+        return JSON.parse(raw);
+    } catch (err) {
+        console.warn('⚠️ Draft Service: Could not parse stored draft payload:', err.message);
+        return {};
+    }
+}
+
+/**
+ * Shape a proposal_drafts row for the frontend
+ * `payload` keeps sections apart; `form_data` is the flattened view that the
+ * [draftId] layout guards and legacy section components read.
+ */
+function formatDraft(row) {
+    const payload = parsePayload(row.payload);
+    const formData = Object.values(payload).reduce(
+        (acc, section) => (section && typeof section === 'object' ? { ...acc, ...section } : acc),
+        {}
+    );
+
+    return {
+        draftId: row.uuid,
+        userId: row.user_id,
+        status: row.status,
+        version: row.version,
+        currentSection: row.current_section,
+        proposalId: row.proposal_id,
+        payload,
+        form_data: formData,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        submittedAt: row.submitted_at,
+    };
+}
+
+async function findOwnedDraft(draftId, user, executor = pool, { forUpdate = false } = {}) {
+    const [rows] = await executor.query(
+        `SELECT * FROM proposal_drafts WHERE uuid = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+        [draftId]
+    );
+
+    if (rows.length === 0) {
+        throw httpError(404, 'Draft not found');
+    }
+
+    const draft = rows[0];
+    if (String(draft.user_id) !== String(user.id)) {
+        throw httpError(403, 'Not authorized to access this draft');
+    }
+
+    return draft;
+}
+
+// ==============================
+// Draft CRUD
+// ==============================
+
+/**
+ * Create an empty draft owned by the authenticated user
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Object>} Formatted draft
+ */
+async function createDraft(user) {
+    const draftId = crypto.randomUUID();
+
+    await pool.query(
+        `INSERT INTO proposal_drafts (uuid, user_id, payload, current_section, version, status)
+         VALUES (?, ?, ?, 'overview', 1, 'draft')`,
+        [draftId, user.id, JSON.stringify({})]
+    );
+
+    console.log('📝 Draft Service: Draft created:', { draftId, userId: user.id });
+    return getDraft(draftId, user);
+}
+
+/**
+ * List the authenticated user's drafts, newest first
+ * @param {Object} user - Authenticated user
+ * @param {Object} queryParams - { status, limit, offset }
+ * @returns {Promise<Object[]>} Formatted drafts
+ */
+async function listDrafts(user, queryParams = {}) {
+    const limit = Math.min(parseInt(queryParams.limit) || 50, 100);
+    const offset = parseInt(queryParams.offset) || 0;
+    const conditions = ['user_id = ?'];
+    const params = [user.id];
+
+    if (queryParams.status && queryParams.status !== 'all') {
+        conditions.push('status = ?');
+        params.push(queryParams.status);
+    }
+
+    const [rows] = await pool.query(
+        `SELECT * FROM proposal_drafts
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY updated_at DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+    );
+
+    return rows.map(formatDraft);
+}
+
+/**
+ * Fetch a single draft, enforcing ownership
+ */
+async function getDraft(draftId, user) {
+    const row = await findOwnedDraft(draftId, user);
+    return formatDraft(row);
+}
+
+/**
+ * Replace one section of a draft
+ * @param {string} draftId - Draft UUID
+ * @param {Object} user - Authenticated user
+ * @param {string} section - Section name or URL slug
+ * @param {Object} sectionData - New data for the section (format-checked, may be partial)
+ * @param {number|null} expectedVersion - Version the client last saw; a mismatch yields 409
+ * @returns {Promise<Object>} Updated draft
+ */
+async function updateSection(draftId, user, section, sectionData, expectedVersion = null) {
+    const sectionKey = normalizeSection(section);
+
+    if (!isKnownSection(sectionKey)) {
+        throw httpError(400, `Unknown draft section "${section}"`, {
+            errors: { section: `Section must be one of: ${DRAFT_SECTIONS.join(', ')}` },
+        });
+    }
+
+    if (sectionData !== undefined && (sectionData === null || typeof sectionData !== 'object' || Array.isArray(sectionData))) {
+        throw httpError(400, 'Section data must be an object');
+    }
+
+    // Drafts may be incomplete, so only the fields that were sent are checked here
+    const fieldErrors = validateSection(sectionKey, sectionData, { partial: true });
+    if (Object.keys(fieldErrors).length > 0) {
+        throw httpError(400, 'Validation failed', { errors: fieldErrors });
+    }
+
+    for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+        const current = await findOwnedDraft(draftId, user);
+
+        if (current.status !== 'draft') {
+            throw httpError(409, 'Draft has already been submitted', { proposalId: current.proposal_id });
+        }
+
+        if (expectedVersion !== null && Number(expectedVersion) !== current.version) {
+            throw httpError(409, 'Draft was modified elsewhere. Reload it and try again.', {
+                currentVersion: current.version,
+            });
+        }
+
+        const payload = { ...parsePayload(current.payload), [sectionKey]: sectionData || {} };
+
+        const [result] = await pool.query(
+            `UPDATE proposal_drafts
+             SET payload = ?, current_section = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP
+             WHERE uuid = ? AND version = ?`,
+            [JSON.stringify(payload), sectionKey, draftId, current.version]
+        );
+
+        if (result.affectedRows === 1) {
+            return getDraft(draftId, user);
+        }
+
+        // Another request bumped the version between our read and write
+        if (expectedVersion !== null) {
+            throw httpError(409, 'Draft was modified elsewhere. Reload it and try again.');
+        }
+    }
+
+    throw httpError(409, 'Draft is being edited concurrently. Please try again.');
+}
+
+// ==============================
+// Submission
+// ==============================
+
+const asFileName = (file) => (file && typeof file === 'object' ? file.name || null : file || null);
+const asJson = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+
+/**
+ * Map draft sections onto proposals table columns
+ * @param {Object} payload - Draft payload keyed by section
+ * @returns {Object} Column → value map
+ */
+function mapDraftToProposal(payload) {
+    const org = payload.orgInfo || {};
+    const school = payload.schoolEvent || {};
+    const community = payload.communityEvent || {};
+
+    const orgType = Array.isArray(org.organizationTypes)
+        ? org.organizationTypes[0]
+        : org.organizationTypes || org.organizationType;
+    const isCommunity = orgType === 'community-based' || orgType === 'community';
+    const event = isCommunity
+        ? {
+            name: community.communityEventName,
+            venue: community.communityVenue,
+            venueId: community.communityVenueId,
+            startDate: community.communityStartDate,
+            endDate: community.communityEndDate,
+            startTime: community.communityTimeStart,
+            endTime: community.communityTimeEnd,
+            mode: community.communityEventMode,
+        }
+        : {
+            name: school.schoolEventName,
+            venue: school.schoolVenue,
+            venueId: school.schoolVenueId,
+            startDate: school.schoolStartDate,
+            endDate: school.schoolEndDate,
+            startTime: school.schoolTimeStart,
+            endTime: school.schoolTimeEnd,
+            mode: school.schoolEventMode,
+        };
+
+    const columns = {
+        organization_name: org.organizationName || null,
+        organization_type: isCommunity ? 'community-based' : 'school-based',
+        organization_description: org.organizationDescription || null,
+        contact_name: org.contactName || null,
+        contact_email: org.contactEmail || null,
+        contact_phone: org.contactPhone || null,
+        event_name: event.name || null,
+        event_venue: event.venue || null,
+        venue_id: Number(event.venueId) || null,
+        event_start_date: event.startDate ? String(event.startDate).slice(0, 10) : null,
+        event_end_date: event.endDate ? String(event.endDate).slice(0, 10) : null,
+        event_start_time: event.startTime || null,
+        event_end_time: event.endTime || null,
+        event_mode: event.mode || null,
+    };
+
+    if (isCommunity) {
+        Object.assign(columns, {
+            community_event_type: community.communityEventType || null,
+            community_sdp_credits: community.communitySDPCredits ? String(community.communitySDPCredits) : null,
+            community_target_audience: asJson(community.communityTargetAudience),
+            community_gpoa_file_name: asFileName(community.communityGPOAFile),
+            community_proposal_file_name: asFileName(community.communityProposalFile),
+        });
+    } else {
+        Object.assign(columns, {
+            school_event_type: school.schoolEventType || null,
+            school_return_service_credit: school.schoolReturnServiceCredit ? String(school.schoolReturnServiceCredit) : null,
+            school_target_audience: asJson(school.schoolTargetAudience),
+            school_gpoa_file_name: asFileName(school.schoolGPOAFile),
+            school_proposal_file_name: asFileName(school.schoolProposalFile),
+        });
+    }
+
+    return columns;
+}
+
+/**
+ * Turn a draft into a pending row in `proposals`
+ * The draft is locked for the duration so a double-click cannot create two proposals.
+ * Every required section must pass validation first (422 with field errors otherwise).
+ * The proposal is inserted as a draft and moved to pending by the lifecycle engine,
+ * which refuses organizations with overdue accomplishment reports (409) and records
+ * the submission in the status history.
+ * @param {string} draftId - Draft UUID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<{proposalId: number, draft: Object}>}
+ */
+async function submitDraft(draftId, user) {
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const draft = await findOwnedDraft(draftId, user, connection, { forUpdate: true });
+        if (draft.status !== 'draft') {
+            throw httpError(409, 'Draft has already been submitted', { proposalId: draft.proposal_id });
+        }
+
+        const payload = parsePayload(draft.payload);
+        const validation = validateDraftForSubmit(payload);
+        if (!validation.valid) {
+            throw httpError(422, 'Draft is incomplete. Fix the highlighted fields before submitting.', {
+                errors: validation.errors,
+                sections: validation.sections,
+            });
+        }
+
+        const columns = {
+            ...mapDraftToProposal(payload),
+            uuid: draft.uuid,
+            userId: user.id,
+            current_section: draft.current_section,
+            proposal_status: 'draft',
+            report_status: 'draft',
+            has_active_proposal: 1,
+        };
+        const names = Object.keys(columns);
+
+        const [insertResult] = await connection.query(
+            `INSERT INTO proposals (${names.map((n) => `\`${n}\``).join(', ')}, created_at, updated_at)
+             VALUES (${names.map(() => '?').join(', ')}, NOW(), NOW())`,
+            Object.values(columns)
+        );
+        const proposalId = insertResult.insertId;
+
+        const transition = await transitionProposalStatus(proposalId, 'pending', {
+            actor: user,
+            source: 'POST /api/proposals/drafts/:id/submit',
+            connection,
+        });
+
+        await connection.query(
+            `UPDATE proposal_drafts
+             SET status = 'submitted', proposal_id = ?, submitted_at = NOW(), version = version + 1
+             WHERE id = ?`,
+            [proposalId, draft.id]
+        );
+
+        await connection.commit();
+        console.log('✅ Draft Service: Draft submitted:', { draftId, proposalId });
+        await notifyTransition(transition);
+
+        return { proposalId, draft: await getDraft(draftId, user) };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+module.exports = {
+    DRAFT_SECTIONS,
+    normalizeSection,
+    mapDraftToProposal,
+    createDraft,
+    listDrafts,
+    getDraft,
+    updateSection,
+    submitDraft,
+};
@@ -0,0 +1,361 @@
+// ==============================
+// Email Templates
+// HTML + plain-text bodies for every email the system sends
+// ==============================
+// Each template turns event data into a subject, a short message and an
+// optional call to action; `renderEmail` wraps that in the shared layout so
+// every email carries the same header, footer and text fallback.
+//
+// `category` ties a template to an email preference (see email.service.js);
+// templates without a category are always sent.
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const appUrl = (pathname = '/') => `${FRONTEND_URL.replace(/\/$/, '')}${pathname}`;
+
+const formatDate = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    return date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+};
+
+const greeting = (name) => (name ? `Hello ${name},` : 'Hello,');
+
+const DECISION_WORDING = {
+    approved: { subject: 'approved', line: 'has been approved' },
+    denied: { subject: 'not approved', line: 'was not approved' },
+    revision_requested: { subject: 'returned for revision', line: 'has been returned for revision' },
+};
+
+const REPORT_WORDING = {
+    approved: { subject: 'accepted', line: 'has been accepted' },
+    denied: { subject: 'returned', line: 'needs changes before it can be accepted' },
+};
+
+// ==============================
+// Templates
+// ==============================
+
+const TEMPLATES = {
+    // A proposal entered the review queue (to reviewers)
+    proposal_submitted: {
+        category: 'review_queue',
+        build: (data) => ({
+            subject: `${data.resubmitted ? 'Resubmitted' : 'New'} proposal: ${data.eventName}`,
+            paragraphs: [
+                greeting(data.recipientName),
+                `${data.organization || 'An organization'} ${data.resubmitted ? 'resubmitted' : 'submitted'} "${data.eventName}" and it is waiting for review.`,
+            ],
+            details: [
+                ['Organization', data.organization],
+                ['Submitted by', data.submittedBy],
+            ],
+            action: { label: 'Open the review queue', url: appUrl(data.link || '/admin-dashboard/review') },
+        }),
+    },
+
+    // An accomplishment report was submitted (to reviewers)
+    report_submitted: {
+        category: 'review_queue',
+        build: (data) => ({
+            subject: `Accomplishment report submitted: ${data.eventName}`,
+            paragraphs: [
+                greeting(data.recipientName),
+                `${data.organization || 'An organization'} submitted the accomplishment report for "${data.eventName}" and it is waiting for review.`,
+            ],
+            action: { label: 'Review the report', url: appUrl(data.link || '/admin-dashboard/report-reviews') },
+        }),
+    },
+
+    // Reviewer decision on a proposal (to the organizer)
+    proposal_decision: {
+        category: 'proposal_updates',
+        build: (data) => {
+            const wording = DECISION_WORDING[data.status] || { subject: data.status, line: `is now "${data.status}"` };
+            return {
+                subject: `Your proposal "${data.eventName}" was ${wording.subject}`,
+                paragraphs: [
+                    greeting(data.recipientName),
+                    `Your event proposal "${data.eventName}" ${wording.line}.`,
+                    data.status === 'approved' && data.reportDueDate
+                        ? `Please submit the accomplishment report and attendance after the event, by ${formatDate(data.reportDueDate)}.`
+                        : null,
+                ],
+                details: [['Reviewer comments', data.reason]],
+                action: { label: 'View your proposal', url: appUrl(data.link || '/student-dashboard/proposals') },
+            };
+        },
+    },
+
+    // Reviewer decision on an accomplishment report (to the organizer)
+    report_decision: {
+        category: 'proposal_updates',
+        build: (data) => {
+            const wording = REPORT_WORDING[data.status] || { subject: data.status, line: `is now "${data.status}"` };
+            return {
+                subject: `Accomplishment report for "${data.eventName}" ${wording.subject}`,
+                paragraphs: [
+                    greeting(data.recipientName),
+                    `The accomplishment report for "${data.eventName}" ${wording.line}.`,
+                ],
+                details: [['Reviewer comments', data.reason]],
+                action: { label: 'View the review', url: appUrl(data.link || '/student-dashboard/reports') },
+            };
+        },
+    },
+
+    // A reviewer was assigned to a proposal
+    proposal_assigned: {
+        category: 'review_queue',
+        build: (data) => ({
+            subject: `Proposal assigned for review: "${data.eventName}"`,
+            paragraphs: [
+                greeting(data.recipientName),
+                `You have been assigned to review the proposal "${data.eventName}".`,
+            ],
+            action: { label: 'Review the proposal', url: appUrl(data.link || '/admin-dashboard/review') },
+        }),
+    },
+
+    // Compliance documents were uploaded (to reviewers)
+    compliance_submitted: {
+        category: 'review_queue',
+        build: (data) => ({
+            subject: `Compliance documents submitted for "${data.eventName}"`,
+            paragraphs: [
+                greeting(data.recipientName),
+                `Compliance documents have been submitted for "${data.eventName}".`,
+            ],
+            details: [['Documents', (data.documents || []).join(', ')]],
+            action: { label: 'Review the documents', url: appUrl(data.link || '/admin-dashboard/reports') },
+        }),
+    },
+
+    // A reviewer changed the compliance status (to the organizer)
+    compliance_status: {
+        category: 'compliance',
+        build: (data) => ({
+            subject: `Compliance status updated for "${data.eventName}"`,
+            paragraphs: [
+                greeting(data.recipientName),
+                `The compliance status for "${data.eventName}" is now "${data.status}".`,
+            ],
+            details: [['Reviewer comments', data.comment]],
+            action: { label: 'View your reports', url: appUrl(data.link || '/student-dashboard/reports') },
+        }),
+    },
+
+    // Compliance documents are past due (to the organizer)
+    compliance_overdue: {
+        category: 'compliance',
+        build: (data) => ({
+            subject: `OVERDUE: Compliance documents for "${data.eventName}"`,
+            paragraphs: [
+                greeting(data.recipientName),
+                `The compliance documents for "${data.eventName}" are overdue. Please submit them as soon as possible.`,
+            ],
+            details: [['Was due', formatDate(data.dueDate)]],
+            action: { label: 'Submit documents', url: appUrl(data.link || '/student-dashboard/reports') },
+        }),
+    },
+
+    // The accomplishment report for an approved proposal is coming due (compliance-deadline.service reminders)
+    report_due: {
+        category: 'compliance',
+        build: (data) => ({
+            subject: data.daysLeft === 0
+                ? `Accomplishment report due today: "${data.eventName}"`
+                : `Accomplishment report due: "${data.eventName}"`,
+            paragraphs: [
+                greeting(data.recipientName),
+                data.dueDate
+                    ? `Please submit the accomplishment report and attendance for "${data.eventName}" by ${formatDate(data.dueDate)}.`
+                    : `Please submit the accomplishment report and attendance for "${data.eventName}" once the event is over.`,
+                'Organizations with overdue reports cannot submit new proposals until the report is in.',
+            ],
+            details: [['Days left', data.daysLeft === undefined || data.daysLeft === null ? null : String(data.daysLeft)]],
+            action: { label: 'Open your reports', url: appUrl(data.link || '/student-dashboard/reports') },
+        }),
+    },
+
+    // An accomplishment report is past due (to the reviewer who approved the proposal)
+    compliance_escalated: {
+        category: 'review_queue',
+        build: (data) => ({
+            subject: `Overdue accomplishment report: "${data.eventName}"`,
+            paragraphs: [
+                greeting(data.recipientName),
+                `${data.organization || 'The organization'} has not submitted the accomplishment report for "${data.eventName}". New proposals from the organization are blocked until it is in, unless an admin grants an override.`,
+            ],
+            details: [
+                ['Organization', data.organization],
+                ['Organizer', data.organizer],
+                ['Was due', formatDate(data.dueDate)],
+            ],
+            action: { label: 'Open the reports', url: appUrl(data.link || '/admin-dashboard/reports') },
+        }),
+    },
+
+    // A registered spot opened up for a waitlisted student
+    registration_promoted: {
+        category: 'registrations',
+        build: (data) => ({
+            subject: `You're registered: "${data.eventName}"`,
+            paragraphs: [
+                greeting(data.recipientName),
+                `A spot opened up for "${data.eventName}" and you have been moved off the waitlist. You are now registered.`,
+                'If you can no longer attend, please cancel your registration so the next student on the waitlist can take your place.',
+            ],
+            details: [['Organization', data.organization], ['Date', formatDate(data.startDate)]],
+            action: { label: 'View your registrations', url: appUrl('/student-dashboard/events') },
+        }),
+    },
+
+    // Registered event rescheduled, postponed or cancelled (event.service)
+    event_changed: {
+        category: 'registrations',
+        build: (data) => ({
+            subject: `"${data.eventName}" has been ${data.action}`,
+            paragraphs: [
+                greeting(data.recipientName),
+                data.action === 'rescheduled'
+                    ? `"${data.eventName}" has been rescheduled. Please check the new date and time below.`
+                    : data.action === 'postponed'
+                        ? `"${data.eventName}" has been postponed. A new date will be announced.`
+                        : `"${data.eventName}" has been cancelled.`,
+                ...(data.reason ? [`Reason: ${data.reason}`] : []),
+            ],
+            details: [
+                ['Organization', data.organization],
+                ['Date', data.action === 'rescheduled' ? formatDate(data.startDate) : null],
+                ['Time', data.action === 'rescheduled' ? data.time : null],
+                ['Venue', data.venue],
+            ],
+            action: { label: 'View event', url: appUrl(data.link || '/student-dashboard/events') },
+        }),
+    },
+
+    // Account approved by an administrator (always sent)
+    account_approved: {
+        category: null,
+        build: (data) => ({
+            subject: 'Your CEDO account has been approved',
+            paragraphs: [
+                greeting(data.recipientName),
+                'Your CEDO account has been approved. You can now sign in and submit event proposals.',
+            ],
+            action: { label: 'Sign in', url: appUrl('/sign-in') },
+        }),
+    },
+
+    // Account request rejected by an administrator (always sent)
+    account_rejected: {
+        category: null,
+        build: (data) => ({
+            subject: 'Your CEDO account request was not approved',
+            paragraphs: [
+                greeting(data.recipientName),
+                'Your CEDO account request was not approved. The reason is below; you will also see it when you try to sign in.',
+                'If you think this is a mistake, reply to this email or contact the CEDO office.',
+            ],
+            details: [['Reason', data.reason]],
+            action: { label: 'Open CEDO', url: appUrl('/sign-in') },
+        }),
+    },
+
+    // Password reset link (always sent)
+    password_reset: {
+        category: null,
+        build: (data) => ({
+            subject: 'Reset your CEDO password',
+            paragraphs: [
+                greeting(data.recipientName),
+                'We received a request to reset the password for your CEDO account. Use the link below to choose a new password.',
+                `The link expires in ${data.expiresInMinutes || 60} minutes and can only be used once. If you did not ask to reset your password, you can ignore this email.`,
+            ],
+            action: { label: 'Reset password', url: appUrl(`/reset-password?token=${encodeURIComponent(data.token)}`) },
+        }),
+    },
+};
+
+// ==============================
+// Layout
+// ==============================
+
+function renderHtml({ subject, paragraphs, details, action }) {
+    const body = paragraphs
+        .map((paragraph) => `<p style="margin:0 0 16px;">${escapeHtml(paragraph)}</p>`)
+        .join('\n');
+    const rows = details
+        .map(([label, value]) => `<tr><td style="padding:4px 12px 4px 0;color:#6b7280;vertical-align:top;">${escapeHtml(label)}</td><td style="padding:4px 0;">${escapeHtml(value)}</td></tr>`)
+        .join('\n');
+    const button = action
+        ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="background:#001a56;color:#ffffff;padding:10px 18px;border-radius:6px;text-decoration:none;display:inline-block;">${escapeHtml(action.label)}</a></p>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>
+<body style="margin:0;padding:24px;background:#f8f9fa;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+<div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+<h1 style="margin:0 0 24px;font-size:18px;color:#001a56;">CEDO Event Proposal Management</h1>
+${body}
+${rows ? `<table style="border-collapse:collapse;font-size:14px;margin:0 0 16px;">\n${rows}\n</table>` : ''}
+${button}
+<p style="margin:24px 0 0;color:#6b7280;font-size:12px;">Regards,<br>CEDO Team</p>
+</div>
+</body>
+</html>`;
+}
+
+function renderText({ paragraphs, details, action }) {
+    const lines = [...paragraphs, ''];
+    details.forEach(([label, value]) => lines.push(`${label}: ${value}`));
+    if (details.length > 0) lines.push('');
+    if (action) lines.push(`${action.label}: ${action.url}`, '');
+    lines.push('Regards,', 'CEDO Team');
+    return lines.join('\n');
+}
+
+/**
+ * Render a template
+ * @param {string} template - Key of TEMPLATES
+ * @param {Object} data - Template data (recipientName, eventName, ...)
+ * @returns {{ subject: string, html: string, text: string, category: string|null }}
+ */
+function renderEmail(template, data = {}) {
+    const definition = TEMPLATES[template];
+    if (!definition) {
+        throw new Error(`Unknown email template "${template}"`);
+    }
+
+    const content = definition.build(data);
+    const normalized = {
+        subject: content.subject,
+        paragraphs: content.paragraphs.filter(Boolean),
+        // Drop empty detail rows so optional fields do not print "undefined"
+        details: (content.details || []).filter(([, value]) => value !== null && value !== undefined && value !== ''),
+        action: content.action || null,
+    };
+
+    return {
+        subject: normalized.subject,
+        html: renderHtml(normalized),
+        text: renderText(normalized),
+        category: definition.category,
+    };
+}
+
+module.exports = {
+    TEMPLATES,
+    renderEmail,
+    escapeHtml,
+};
@@ -0,0 +1,381 @@
+// ==============================
+// Email Service
+// Templated email with a persisted outbox, retries and per-user preferences
+// ==============================
+// Callers queue an email by template name; the message is rendered and stored
+// in `email_outbox` first, then delivered in the background. Failed deliveries
+// are retried with exponential backoff until `max_attempts`, and every row
+// keeps its delivery status, attempt count and last error.
+//
+// Users can opt out of a category (review queue, proposal updates, compliance)
+// in `email_preferences`; opted-out emails are stored as `skipped`.
+
+const { pool } = require('../config/db');
+const { FROM_ADDRESS, TRANSPORT, getTransport } = require('../config/nodemailer.config');
+const { renderEmail } = require('./email-templates');
+const { httpError } = require('../utils/http-error');
+
+const EMAIL_CATEGORIES = {
+    proposal_updates: {
+        label: 'Proposal updates',
+        description: 'Decisions and comments on proposals and accomplishment reports you submitted',
+    },
+    review_queue: {
+        label: 'Review queue',
+        description: 'New submissions, assignments and compliance documents waiting for review',
+    },
+    compliance: {
+        label: 'Reports and compliance',
+        description: 'Accomplishment report reminders and compliance status changes',
+    },
+    registrations: {
+        label: 'Event registrations',
+        description: 'Waitlist updates and schedule changes for events you registered for',
+    },
+};
+
+const MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 20;
+const RETRY_BASE_MS = 60 * 1000;
+// A row left in `sending` this long was interrupted (e.g. a restart) and is retried
+const STALE_SENDING_MINUTES = 10;
+const WORKER_INTERVAL_MS = Number(process.env.EMAIL_OUTBOX_INTERVAL_MS) || 60 * 1000;
+
+// Deliver right after queueing; tests drive processOutbox() themselves
+let autoDeliver = process.env.NODE_ENV !== 'test';
+let deliveryScheduled = false;
+let processing = false;
+let workerTimer = null;
+
+// ==============================
+// Preferences
+// ==============================
+
+/**
+ * Email preferences for a user (categories without a row are enabled)
+ * @param {number} userId
+ * @returns {Promise<Object[]>} [{ category, label, description, enabled }]
+ */
+async function getPreferences(userId) {
+    const [rows] = await pool.query(
+        'SELECT category, enabled FROM email_preferences WHERE user_id = ?',
+        [userId]
+    );
+    const stored = new Map(rows.map((row) => [row.category, Boolean(row.enabled)]));
+
+    return Object.entries(EMAIL_CATEGORIES).map(([category, info]) => ({
+        category,
+        ...info,
+        enabled: stored.has(category) ? stored.get(category) : true,
+    }));
+}
+
+/**
+ * Update some of a user's email preferences
+ * @param {number} userId
+ * @param {Object<string, boolean>} changes - { proposal_updates: false, ... }
+ */
+async function updatePreferences(userId, changes = {}) {
+    const entries = Object.entries(changes || {});
+    const unknown = entries.filter(([category]) => !EMAIL_CATEGORIES[category]).map(([category]) => category);
+    if (entries.length === 0 || unknown.length > 0) {
+        throw httpError(400, unknown.length > 0 ? `Unknown email category: ${unknown.join(', ')}` : 'No preferences provided', {
+            allowed: Object.keys(EMAIL_CATEGORIES),
+        });
+    }
+
+    await pool.query(
+        `INSERT INTO email_preferences (user_id, category, enabled) VALUES ?
+         ON DUPLICATE KEY UPDATE enabled = VALUES(enabled)`,
+        [entries.map(([category, enabled]) => [userId, category, Boolean(enabled)])]
+    );
+
+    return getPreferences(userId);
+}
+
+// Resolve the MySQL account behind an address and whether it accepts `category`
+async function resolveRecipient(email, userId, category) {
+    const [rows] = await pool.query(
+        `SELECT u.id, p.enabled
+         FROM users u
+         LEFT JOIN email_preferences p ON p.user_id = u.id AND p.category = ?
+         WHERE ${userId ? 'u.id = ?' : 'u.email = ?'}
+         LIMIT 1`,
+        [category, userId || email]
+    );
+    const row = rows[0];
+    return {
+        userId: row ? row.id : null,
+        optedOut: Boolean(row) && row.enabled !== null && row.enabled !== undefined && !row.enabled,
+    };
+}
+
+// ==============================
+// Queueing
+// ==============================
+
+/**
+ * Render a template and store it in the outbox
+ * @param {string} template - Template name (see email-templates.js)
+ * @param {Object} options
+ * @param {string} options.to - Recipient address
+ * @param {number} [options.userId] - Recipient account, when known (looked up by address otherwise)
+ * @param {Object} [options.data] - Template data
+ * @returns {Promise<{ id: number, status: string }|null>} Outbox row, or null when there is no address
+ */
+async function queueEmail(template, { to, userId = null, data = {} } = {}) {
+    if (!to) {
+        console.warn(`⚠️ Email: ${template} has no recipient address, not queued`);
+        return null;
+    }
+
+    const { subject, html, text, category } = renderEmail(template, data);
+    const recipient = category
+        ? await resolveRecipient(to, userId, category)
+        : { userId, optedOut: false };
+    const status = recipient.optedOut ? 'skipped' : 'pending';
+
+    const [result] = await pool.query(
+        `INSERT INTO email_outbox (template, user_id, to_email, subject, html, text, status, max_attempts)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [template, recipient.userId, to, subject, html, text, status, MAX_ATTEMPTS]
+    );
+
+    console.log(`📧 Email: queued ${template} for ${to} (${status})`);
+    if (status === 'pending') scheduleDelivery();
+    return { id: result.insertId, status };
+}
+
+/**
+ * Queue the same template for several recipients, personalised with their name
+ * @param {string} template
+ * @param {Object[]} recipients - [{ id, email, name }]
+ * @param {Object} [data]
+ * @returns {Promise<number>} Number of emails queued
+ */
+async function queueForUsers(template, recipients, data = {}) {
+    let queued = 0;
+    for (const recipient of recipients || []) {
+        const row = await queueEmail(template, {
+            to: recipient.email,
+            userId: recipient.id || null,
+            data: { ...data, recipientName: recipient.name },
+        });
+        if (row) queued += 1;
+    }
+    return queued;
+}
+
+/**
+ * Queue without ever throwing; for callers where email is a side effect
+ */
+async function queueEmailSafely(template, options) {
+    try {
+        return await queueEmail(template, options);
+    } catch (error) {
+        console.error(`❌ Email: could not queue ${template}:`, error.message);
+        return null;
+    }
+}
+
+// ==============================
+// Delivery
+// ==============================
+
+const retryDelayMs = (attempts) => RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0);
+
+async function deliver(row) {
+    // Claim the row so two workers never send it twice
+    const [claim] = await pool.query(
+        "UPDATE email_outbox SET status = 'sending' WHERE id = ? AND status = 'pending'",
+        [row.id]
+    );
+    if (claim.affectedRows === 0) return 'skipped';
+
+    const attempts = row.attempts + 1;
+    try {
+        const info = await getTransport().sendMail({
+            from: FROM_ADDRESS,
+            to: row.to_email,
+            subject: row.subject,
+            html: row.html,
+            text: row.text,
+        });
+
+        await pool.query(
+            `UPDATE email_outbox
+             SET status = 'sent', attempts = ?, sent_at = NOW(), message_id = ?, last_error = NULL
+             WHERE id = ?`,
+            [attempts, info && info.messageId ? String(info.messageId) : null, row.id]
+        );
+        console.log(`✅ Email: sent #${row.id} ${row.template} to ${row.to_email} via ${TRANSPORT}`);
+        return 'sent';
+    } catch (error) {
+        const exhausted = attempts >= row.max_attempts;
+        await pool.query(
+            `UPDATE email_outbox
+             SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?
+             WHERE id = ?`,
+            [
+                exhausted ? 'failed' : 'pending',
+                attempts,
+                String(error.message || error).slice(0, 2000),
+                new Date(Date.now() + retryDelayMs(attempts)),
+                row.id,
+            ]
+        );
+        console.error(`❌ Email: #${row.id} ${row.template} to ${row.to_email} failed (attempt ${attempts}/${row.max_attempts}):`, error.message);
+        return exhausted ? 'failed' : 'retrying';
+    }
+}
+
+/**
+ * Deliver due emails from the outbox
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<{ sent: number, retrying: number, failed: number }>}
+ */
+async function processOutbox({ limit = BATCH_SIZE } = {}) {
+    const summary = { sent: 0, retrying: 0, failed: 0 };
+    if (processing) return summary;
+    processing = true;
+
+    try {
+        await pool.query(
+            `UPDATE email_outbox SET status = 'pending'
+             WHERE status = 'sending' AND updated_at < NOW() - INTERVAL ? MINUTE`,
+            [STALE_SENDING_MINUTES]
+        );
+
+        const [rows] = await pool.query(
+            `SELECT id, template, to_email, subject, html, text, attempts, max_attempts
+             FROM email_outbox
+             WHERE status = 'pending' AND next_attempt_at <= NOW()
+             ORDER BY next_attempt_at ASC, id ASC
+             LIMIT ?`,
+            [limit]
+        );
+
+        for (const row of rows) {
+            const outcome = await deliver(row);
+            if (summary[outcome] !== undefined) summary[outcome] += 1;
+        }
+    } finally {
+        processing = false;
+    }
+
+    return summary;
+}
+
+function scheduleDelivery() {
+    if (!autoDeliver || deliveryScheduled) return;
+    deliveryScheduled = true;
+    setImmediate(() => {
+        deliveryScheduled = false;
+        processOutbox().catch((error) => console.error('❌ Email: outbox delivery failed:', error.message));
+    });
+}
+
+/**
+ * Retry due and failed-with-backoff emails periodically (called once at server start)
+ */
+function startOutboxWorker() {
+    if (workerTimer) return;
+    workerTimer = setInterval(() => {
+        processOutbox().catch((error) => console.error('❌ Email: outbox delivery failed:', error.message));
+    }, WORKER_INTERVAL_MS);
+    if (workerTimer.unref) workerTimer.unref();
+    console.log(`📬 Email: outbox worker started (${TRANSPORT} transport, every ${WORKER_INTERVAL_MS / 1000}s)`);
+}
+
+function stopOutboxWorker() {
+    clearInterval(workerTimer);
+    workerTimer = null;
+}
+
+function setAutoDeliver(enabled) {
+    autoDeliver = Boolean(enabled);
+}
+
+// ==============================
+// Outbox Administration
+// ==============================
+
+/**
+ * Outbox rows, newest first (bodies omitted)
+ * @param {Object} [filters] - { status, template, limit, offset }
+ */
+async function listOutbox({ status, template, limit = 50, offset = 0 } = {}) {
+    const where = [];
+    const params = [];
+    if (status) {
+        where.push('status = ?');
+        params.push(status);
+    }
+    if (template) {
+        where.push('template = ?');
+        params.push(template);
+    }
+    const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const skip = Math.max(parseInt(offset, 10) || 0, 0);
+
+    const [rows] = await pool.query(
+        `SELECT id, template, user_id, to_email, subject, status, attempts, max_attempts,
+                last_error, message_id, next_attempt_at, sent_at, created_at
+         FROM email_outbox ${whereSql}
+         ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [...params, pageSize, skip]
+    );
+    const [counts] = await pool.query('SELECT status, COUNT(*) AS count FROM email_outbox GROUP BY status');
+
+    return {
+        emails: rows.map((row) => ({
+            id: row.id,
+            template: row.template,
+            userId: row.user_id,
+            to: row.to_email,
+            subject: row.subject,
+            status: row.status,
+            attempts: row.attempts,
+            maxAttempts: row.max_attempts,
+            lastError: row.last_error,
+            messageId: row.message_id,
+            nextAttemptAt: row.next_attempt_at,
+            sentAt: row.sent_at,
+            createdAt: row.created_at,
+        })),
+        counts: Object.fromEntries(counts.map((row) => [row.status, Number(row.count)])),
+    };
+}
+
+/**
+ * Put a failed email back in the queue with a fresh set of attempts
+ */
+async function retryEmail(id) {
+    const [result] = await pool.query(
+        `UPDATE email_outbox
+         SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL
+         WHERE id = ? AND status = 'failed'`,
+        [id]
+    );
+    if (result.affectedRows === 0) {
+        throw httpError(404, 'No failed email with that id');
+    }
+    scheduleDelivery();
+    return { id: Number(id), status: 'pending' };
+}
+
+module.exports = {
+    EMAIL_CATEGORIES,
+    getPreferences,
+    updatePreferences,
+    queueEmail,
+    queueEmailSafely,
+    queueForUsers,
+    processOutbox,
+    startOutboxWorker,
+    stopOutboxWorker,
+    setAutoDeliver,
+    listOutbox,
+    retryEmail,
+};
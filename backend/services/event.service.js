@@ -0,0 +1,578 @@
+// ==============================
+// Event Service
+// Approved proposals as events: schedule changes, status and audit trail
+// ==============================
+// The lifecycle engine creates an `events` row in the same transaction that
+// approves a proposal. From then on the event owns its schedule and status:
+//   reschedule - new dates / times; a postponed event becomes scheduled again
+//   postpone   - on hold until a new date is set (a reason is required);
+//                online registration closes and check-in stops until then
+//   cancel     - final (a reason is required); registration and check-in close
+// A report that says the event took place marks it completed.
+// `events.status` maps onto proposals.event_status (scheduled → NULL), and the
+// schedule is mirrored onto the proposal because conflict checks, registration
+// and check-in read it from there; a reschedule also moves the accomplishment
+// report deadline (compliance-deadline.service), which postponing or cancelling clears. Each change writes an event_changes row
+// (who, what changed from → to, why); once committed, the organizer and the
+// event's registrants are notified and `event.updated` goes out over /api/stream.
+
+const { pool } = require('../config/db');
+const { pauseComplianceClock, refreshComplianceDueDate } = require('./compliance-deadline.service');
+const { publish } = require('./live-stream.service');
+const { notifyEventChanged } = require('./notification.service');
+const { hasPermission } = require('./permission.service');
+const { findBlockingConflicts, toDateString, toTimeString } = require('./schedule-conflict.service');
+const { httpError } = require('../utils/http-error');
+
+const EVENT_STATUSES = ['scheduled', 'postponed', 'cancelled', 'completed'];
+
+// Actions allowed from each status; cancelled and completed events are final
+const EVENT_ACTIONS = {
+    scheduled: ['reschedule', 'postpone', 'cancel'],
+    postponed: ['reschedule', 'cancel'],
+    cancelled: [],
+    completed: [],
+};
+
+// proposals.event_status has no value for an event that is simply on schedule
+const PROPOSAL_EVENT_STATUS = {
+    scheduled: null,
+    postponed: 'postponed',
+    cancelled: 'cancelled',
+    completed: 'completed',
+};
+
+// Schedule fields: event column → proposal column
+const SCHEDULE_COLUMNS = {
+    start_date: 'event_start_date',
+    end_date: 'event_end_date',
+    start_time: 'event_start_time',
+    end_time: 'event_end_time',
+};
+
+const CHANGE_LABELS = {
+    start_date: 'startDate',
+    end_date: 'endDate',
+    start_time: 'startTime',
+    end_time: 'endTime',
+};
+
+function parseJson(value, fallback) {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value === 'object') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+// Actor ids are only stored when they are real user ids (not 'system')
+function actorId(actor) {
+    const id = actor && typeof actor === 'object' ? actor.id : actor;
+    if (id === undefined || id === null || id === '') return null;
+    return Number.isInteger(Number(id)) ? Number(id) : null;
+}
+
+function actorRole(actor) {
+    if (actor && typeof actor === 'object') return actor.role || null;
+    return actor === 'system' ? 'system' : null;
+}
+
+// ==============================
+// Formatting
+// ==============================
+
+function formatEvent(row, user = null) {
+    const canManage = Boolean(user) && (hasPermission(user, 'event:manage') || String(row.owner_id) === String(user.id));
+    return {
+        id: row.id,
+        proposalId: row.proposal_id,
+        title: row.title,
+        organizationName: row.organization_name,
+        venue: row.venue,
+        venueId: row.venue_id || null,
+        startDate: toDateString(row.start_date),
+        endDate: toDateString(row.end_date) || toDateString(row.start_date),
+        startTime: toTimeString(row.start_time),
+        endTime: toTimeString(row.end_time),
+        status: row.status,
+        statusReason: row.status_reason || null,
+        organizer: {
+            id: row.owner_id || null,
+            name: row.contact_name || null,
+            email: row.contact_email || null,
+        },
+        organizationType: row.organization_type || null,
+        eventMode: row.event_mode || null,
+        eventType: row.event_type || null,
+        registeredCount: Number(row.registered_count || 0),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        canManage,
+        allowedActions: canManage ? EVENT_ACTIONS[row.status] || [] : [],
+    };
+}
+
+function formatChange(row) {
+    return {
+        id: row.id,
+        action: row.action,
+        changes: parseJson(row.changes, {}),
+        reason: row.reason,
+        createdAt: row.created_at,
+        changedBy: {
+            id: row.changed_by,
+            name: row.changed_by_name || (row.changed_by_role === 'system' ? 'System' : null),
+            role: row.changed_by_role,
+        },
+    };
+}
+
+// ==============================
+// Loading
+// ==============================
+
+const EVENT_SELECT = `
+    SELECT e.*, p.userId AS owner_id, p.contact_name, p.contact_email,
+           p.organization_type, p.event_mode,
+           COALESCE(p.school_event_type, p.community_event_type) AS event_type,
+           (SELECT COUNT(*) FROM event_registrations r
+            WHERE r.proposal_id = e.proposal_id AND r.status = 'registered') AS registered_count
+    FROM events e
+    JOIN proposals p ON p.id = e.proposal_id`;
+
+async function loadEvent(eventId, executor = pool, { forUpdate = false } = {}) {
+    const [rows] = await executor.query(
+        `${EVENT_SELECT} WHERE e.id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+        [eventId]
+    );
+    if (rows.length === 0) {
+        throw httpError(404, 'Event not found');
+    }
+    return rows[0];
+}
+
+function assertCanManage(row, user) {
+    if (!hasPermission(user, 'event:manage') && String(row.owner_id) !== String(user.id)) {
+        throw httpError(403, 'Only the event organizer and CEDO staff can change this event');
+    }
+}
+
+function assertAction(row, action) {
+    const allowed = EVENT_ACTIONS[row.status] || [];
+    if (!allowed.includes(action)) {
+        throw httpError(409, `A ${row.status} event cannot be ${action === 'reschedule' ? 'rescheduled' : `${action}d`}`, {
+            allowed,
+        });
+    }
+}
+
+function requireReason(reason, action) {
+    const trimmed = typeof reason === 'string' ? reason.trim() : '';
+    if (!trimmed) {
+        throw httpError(400, `A reason is required to ${action} an event`);
+    }
+    return trimmed;
+}
+
+/**
+ * Append a row to event_changes
+ * @param {Object} executor - pool or a connection inside the caller's transaction
+ * @param {Object} entry - { eventId, action, changes, reason, actor }
+ */
+async function recordChange(executor, { eventId, action, changes = null, reason = null, actor = 'system' }) {
+    await executor.query(
+        `INSERT INTO event_changes (event_id, action, changes, reason, changed_by, changed_by_role)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [eventId, action, changes ? JSON.stringify(changes) : null, reason || null, actorId(actor), actorRole(actor)]
+    );
+}
+
+// Keep proposals.event_status in step with the event
+async function syncProposalStatus(executor, proposalId, status) {
+    await executor.query(
+        'UPDATE proposals SET event_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [PROPOSAL_EVENT_STATUS[status], proposalId]
+    );
+}
+
+/**
+ * After commit: tell the organizer and registrants and refresh open event pages
+ * (notification failures are logged by notification.service and never undo the change)
+ * @returns {Promise<{ event: Object, change: Object }>} The event as the caller sees it
+ */
+async function announce(eventId, change, user) {
+    const row = await loadEvent(eventId);
+    const event = formatEvent(row);
+    await notifyEventChanged(event, change);
+    publish('event.updated', { event, change }, { userIds: [event.organizer.id], staff: true });
+    return { event: formatEvent(row, user), change };
+}
+
+// ==============================
+// Creation
+// ==============================
+
+/**
+ * Create the event for an approved proposal; does nothing when it already has one
+ * @param {number|string} proposalId
+ * @param {Object} [options]
+ * @param {Object|string} [options.actor] - Reviewer approving the proposal, or 'system'
+ * @param {Object} [options.connection] - The lifecycle engine's transaction
+ * @returns {Promise<number>} events.id
+ */
+async function createEventForProposal(proposalId, { actor = 'system', connection = null } = {}) {
+    const executor = connection || pool;
+
+    const [existing] = await executor.query('SELECT id FROM events WHERE proposal_id = ?', [proposalId]);
+    if (existing.length > 0) return existing[0].id;
+
+    const [rows] = await executor.query(
+        `SELECT id, event_name, organization_name, event_venue, venue_id,
+                event_start_date, event_end_date, event_start_time, event_end_time
+         FROM proposals WHERE id = ?`,
+        [proposalId]
+    );
+    if (rows.length === 0) {
+        throw httpError(404, 'Proposal not found');
+    }
+
+    const proposal = rows[0];
+    const [result] = await executor.query(
+        `INSERT INTO events
+            (proposal_id, title, organization_name, venue, venue_id, start_date, end_date, start_time, end_time, status, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'scheduled', ?)`,
+        [
+            proposal.id,
+            proposal.event_name || proposal.organization_name || `Event #${proposal.id}`,
+            proposal.organization_name || null,
+            proposal.event_venue || null,
+            proposal.venue_id || null,
+            proposal.event_start_date || null,
+            proposal.event_end_date || null,
+            proposal.event_start_time || null,
+            proposal.event_end_time || null,
+            actorId(actor),
+        ]
+    );
+
+    await recordChange(executor, { eventId: result.insertId, action: 'created', actor });
+
+    console.log(`📅 Events: Created event ${result.insertId} for proposal ${proposal.id}`);
+    return result.insertId;
+}
+
+/**
+ * Staff create the event for an approved proposal by hand
+ * (proposals approved before events existed are backfilled at start-up)
+ * @param {Object} input - { proposalId }
+ * @param {Object} user - Staff member
+ */
+async function createEvent(input, user) {
+    if (!hasPermission(user, 'event:manage')) {
+        throw httpError(403, 'Only CEDO staff can create events');
+    }
+    const proposalId = Number(input && input.proposalId);
+    if (!Number.isInteger(proposalId) || proposalId < 1) {
+        throw httpError(400, 'proposalId is required');
+    }
+
+    const [rows] = await pool.query(
+        'SELECT p.id, p.proposal_status, e.id AS event_id FROM proposals p LEFT JOIN events e ON e.proposal_id = p.id WHERE p.id = ?',
+        [proposalId]
+    );
+    if (rows.length === 0) {
+        throw httpError(404, 'Proposal not found');
+    }
+    if (rows[0].event_id) {
+        throw httpError(409, 'This proposal already has an event', { eventId: rows[0].event_id });
+    }
+    if (rows[0].proposal_status !== 'approved') {
+        throw httpError(409, 'Events can only be created for approved proposals');
+    }
+
+    const eventId = await createEventForProposal(proposalId, { actor: user });
+    return formatEvent(await loadEvent(eventId), user);
+}
+
+// ==============================
+// Reading
+// ==============================
+
+/**
+ * Events, soonest first
+ * @param {Object} user
+ * @param {Object} [filters] - { status, mine: only events the caller organizes or registered for }
+ */
+async function listEvents(user, { status, mine = false } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+        const statuses = String(status).split(',').map((value) => value.trim()).filter(Boolean);
+        const unknown = statuses.filter((value) => !EVENT_STATUSES.includes(value));
+        if (unknown.length > 0) {
+            throw httpError(400, `Unknown event status "${unknown[0]}"`, { allowed: EVENT_STATUSES });
+        }
+        conditions.push('e.status IN (?)');
+        params.push(statuses);
+    }
+    if (mine) {
+        conditions.push(`(p.userId = ? OR EXISTS (
+            SELECT 1 FROM event_registrations r
+            WHERE r.proposal_id = e.proposal_id AND r.user_id = ? AND r.status <> 'cancelled'))`);
+        params.push(user.id, user.id);
+    }
+
+    const [rows] = await pool.query(
+        `${EVENT_SELECT}
+         ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY e.start_date IS NULL, e.start_date ASC, e.start_time ASC`,
+        params
+    );
+    return rows.map((row) => formatEvent(row, user));
+}
+
+/**
+ * Change log for an event, oldest first
+ */
+async function loadHistory(eventId) {
+    const [rows] = await pool.query(
+        `SELECT c.*, u.name AS changed_by_name
+         FROM event_changes c
+         LEFT JOIN users u ON u.id = c.changed_by
+         WHERE c.event_id = ?
+         ORDER BY c.created_at ASC, c.id ASC`,
+        [eventId]
+    );
+    return rows.map(formatChange);
+}
+
+/**
+ * One event with its change log and the caller's registration
+ * @returns {Promise<{ event: Object, history: Object[], myRegistration: Object|null }>}
+ */
+async function getEvent(eventId, user) {
+    const event = formatEvent(await loadEvent(eventId), user);
+
+    const [registrations] = await pool.query(
+        `SELECT status, registered_at, waitlisted_at FROM event_registrations
+         WHERE proposal_id = ? AND user_id = ? AND status <> 'cancelled'`,
+        [event.proposalId, user.id]
+    );
+    const mine = registrations[0];
+
+    return {
+        event,
+        history: await loadHistory(event.id),
+        myRegistration: mine ? { status: mine.status, registeredAt: mine.registered_at } : null,
+    };
+}
+
+async function getHistory(eventId, user) {
+    const event = formatEvent(await loadEvent(eventId), user);
+    return { event, history: await loadHistory(event.id) };
+}
+
+// ==============================
+// Changes
+// ==============================
+
+function readSchedule(input, current) {
+    const value = (key, fallback) => (input[key] === undefined ? fallback : input[key]);
+
+    const startDate = toDateString(value('startDate', current.startDate));
+    if (!startDate) {
+        throw httpError(400, 'A valid start date is required', { errors: { startDate: 'Start date is required' } });
+    }
+    // A new start date without an end date makes a one-day event
+    const endDate = toDateString(value('endDate', input.startDate === undefined ? current.endDate : null)) || startDate;
+    if (endDate < startDate) {
+        throw httpError(400, 'End date cannot be before the start date', {
+            errors: { endDate: 'End date cannot be before the start date' },
+        });
+    }
+
+    const startTime = toTimeString(value('startTime', current.startTime));
+    const endTime = toTimeString(value('endTime', current.endTime));
+    if (startDate === endDate && startTime && endTime && endTime <= startTime) {
+        throw httpError(400, 'End time must be after the start time', {
+            errors: { endTime: 'End time must be after the start time' },
+        });
+    }
+
+    return { start_date: startDate, end_date: endDate, start_time: startTime, end_time: endTime };
+}
+
+/**
+ * Move an event to new dates / times. A postponed event is scheduled again.
+ * Blocking schedule conflicts refuse the change unless staff override them
+ * with a reason; the organizer has to pick another slot.
+ * @param {number|string} eventId
+ * @param {Object} input - { startDate, endDate, startTime, endTime, reason, overrideConflicts }
+ * @param {Object} user - Organizer or staff
+ */
+async function reschedule(eventId, input = {}, user) {
+    const connection = await pool.getConnection();
+    let change;
+    let row;
+    try {
+        await connection.beginTransaction();
+
+        row = await loadEvent(eventId, connection, { forUpdate: true });
+        assertCanManage(row, user);
+        assertAction(row, 'reschedule');
+
+        const current = formatEvent(row);
+        const next = readSchedule(input, current);
+        const reason = typeof input.reason === 'string' && input.reason.trim() ? input.reason.trim() : null;
+
+        const changes = {};
+        Object.entries(CHANGE_LABELS).forEach(([column, field]) => {
+            if ((current[field] || null) !== (next[column] || null)) {
+                changes[field] = { from: current[field] || null, to: next[column] || null };
+            }
+        });
+        if (row.status !== 'scheduled') {
+            changes.status = { from: row.status, to: 'scheduled' };
+        }
+        if (Object.keys(changes).length === 0) {
+            throw httpError(400, 'The new schedule is the same as the current one');
+        }
+
+        const columns = Object.keys(SCHEDULE_COLUMNS);
+        await connection.query(
+            `UPDATE proposals SET ${columns.map((column) => `${SCHEDULE_COLUMNS[column]} = ?`).join(', ')},
+                event_status = NULL, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [...columns.map((column) => next[column]), row.proposal_id]
+        );
+
+        // Checked against the new dates, which this transaction can already see
+        const conflicts = await findBlockingConflicts(row.proposal_id, connection);
+        if (conflicts.length > 0) {
+            if (!input.overrideConflicts || !hasPermission(user, 'event:manage')) {
+                throw httpError(409, 'The new schedule conflicts with another event or a blackout period', { conflicts });
+            }
+            if (!reason) {
+                throw httpError(400, 'A reason is required to reschedule an event despite schedule conflicts', { conflicts });
+            }
+            console.warn(`⚠️ Events: Event ${row.id} rescheduled despite ${conflicts.length} schedule conflict(s)`);
+        }
+
+        await connection.query(
+            `UPDATE events SET ${columns.map((column) => `${column} = ?`).join(', ')},
+                status = 'scheduled', status_reason = ?
+             WHERE id = ?`,
+            [...columns.map((column) => next[column]), reason, row.id]
+        );
+        await refreshComplianceDueDate(row.proposal_id, { connection });
+
+        await recordChange(connection, { eventId: row.id, action: 'rescheduled', changes, reason, actor: user });
+        await connection.commit();
+        change = { action: 'rescheduled', changes, reason, actorId: actorId(user) };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    console.log(`📅 Events: Event ${row.id} rescheduled`, change.changes);
+    return announce(row.id, change, user);
+}
+
+/**
+ * Put a scheduled event on hold until it is rescheduled
+ * @param {Object} input - { reason }
+ */
+function postpone(eventId, input = {}, user) {
+    return changeStatus(eventId, 'postponed', requireReason(input.reason, 'postpone'), user);
+}
+
+/**
+ * Cancel an event for good; online registration closes
+ * @param {Object} input - { reason }
+ */
+function cancel(eventId, input = {}, user) {
+    return changeStatus(eventId, 'cancelled', requireReason(input.reason, 'cancel'), user);
+}
+
+const STATUS_ACTIONS = { postponed: 'postpone', cancelled: 'cancel' };
+
+async function changeStatus(eventId, status, reason, user) {
+    const action = STATUS_ACTIONS[status];
+    const connection = await pool.getConnection();
+    let change;
+    let row;
+    try {
+        await connection.beginTransaction();
+
+        row = await loadEvent(eventId, connection, { forUpdate: true });
+        assertCanManage(row, user);
+        assertAction(row, action);
+
+        await connection.query('UPDATE events SET status = ?, status_reason = ? WHERE id = ?', [status, reason, row.id]);
+        await syncProposalStatus(connection, row.proposal_id, status);
+        await pauseComplianceClock(row.proposal_id, status, { connection });
+        // Nobody new signs up while the event is postponed or cancelled
+        await connection.query(
+            'UPDATE event_registration_settings SET is_open = FALSE WHERE proposal_id = ?',
+            [row.proposal_id]
+        );
+
+        const changes = { status: { from: row.status, to: status } };
+        await recordChange(connection, { eventId: row.id, action: status, changes, reason, actor: user });
+        await connection.commit();
+        change = { action: status, changes, reason, actorId: actorId(user) };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    console.log(`📅 Events: Event ${row.id} ${row.status} → ${status}`);
+    return announce(row.id, change, user);
+}
+
+/**
+ * Follow the event status an organizer reports in Section 5: an event the
+ * report says took place is marked completed. Other outcomes go through
+ * postpone / cancel so registrants hear about them.
+ * @param {number|string} proposalId
+ * @param {string} eventStatus - proposals.event_status from the report form
+ * @param {Object} [executor]
+ */
+async function recordReportedOutcome(proposalId, eventStatus, executor = pool) {
+    if (eventStatus !== 'completed') return false;
+
+    const [rows] = await executor.query('SELECT id, status FROM events WHERE proposal_id = ?', [proposalId]);
+    const row = rows[0];
+    if (!row || !['scheduled', 'postponed'].includes(row.status)) return false;
+
+    await executor.query("UPDATE events SET status = 'completed', status_reason = NULL WHERE id = ?", [row.id]);
+    await recordChange(executor, {
+        eventId: row.id,
+        action: 'completed',
+        changes: { status: { from: row.status, to: 'completed' } },
+        reason: 'Reported in the accomplishment report',
+    });
+    return true;
+}
+
+module.exports = {
+    EVENT_STATUSES,
+    EVENT_ACTIONS,
+    PROPOSAL_EVENT_STATUS,
+    createEventForProposal,
+    createEvent,
+    listEvents,
+    getEvent,
+    getHistory,
+    reschedule,
+    postpone,
+    cancel,
+    recordReportedOutcome,
+};
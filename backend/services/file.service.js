@@ -1,5 +1,6 @@
 const Proposal = require("../models/Proposal");
 const fs = require("fs");
+const { hasPermission } = require('./permission.service');
 
 async function addDocumentsToProposal(proposalId, user, files) {
     if (!files || files.length === 0) {
@@ -14,10 +15,9 @@ async function addDocumentsToProposal(proposalId, user, files) {
     }
 
     const isOwner = proposal.submitter.toString() === user.id;
-    const ROLES = require('../constants/roles');
-    const isAdminOrManager = [ROLES.HEAD_ADMIN, ROLES.MANAGER].includes(user.role);
+    const canManage = hasPermission(user, 'proposal:manage');
 
-    if (!isOwner && !isAdminOrManager) {
+    if (!isOwner && !canManage) {
         const err = new Error("Not authorized to add documents to this proposal");
         err.statusCode = 403;
         throw err;
@@ -47,10 +47,9 @@ async function deleteDocumentFromProposal(proposalId, docId, user) {
     }
 
     const isOwner = proposal.submitter.toString() === user.id;
-    const ROLES = require('../constants/roles');
-    const isAdminOrManager = [ROLES.HEAD_ADMIN, ROLES.MANAGER].includes(user.role);
+    const canManage = hasPermission(user, 'proposal:manage');
 
-    if (!isOwner && !isAdminOrManager) {
+    if (!isOwner && !canManage) {
         const err = new Error("Not authorized to delete documents from this proposal");
         err.statusCode = 403;
         throw err;
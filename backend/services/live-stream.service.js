@@ -0,0 +1,145 @@
+// ==============================
+// Live Stream Service
+// Server-Sent Events broker behind GET /api/stream
+// ==============================
+// Keeps the open SSE connections of this process and pushes events to the
+// ones allowed to see them. Roles holding proposal:review (reviewers and
+// admins by default) receive the whole review queue; everyone else only
+// receives events for their own proposals and their own notifications.
+//
+// Events are published after the change that caused them is committed, from
+// notification.service (transitions, submissions, new notifications),
+// check-in.service (attendance.check_in, for the organizer's live roster),
+// registration.service (registration.updated, the organizer's registrant counts)
+// and event.service (event.updated, reschedules, postponements and cancellations).
+
+const { hasPermission } = require('./permission.service');
+
+// Comment line sent periodically so proxies do not close idle connections
+const HEARTBEAT_MS = 25 * 1000;
+
+// Ask EventSource-style clients to wait this long before reconnecting
+const RETRY_MS = 5 * 1000;
+
+const clients = new Set();
+let nextEventId = 1;
+let heartbeatTimer = null;
+
+function write(client, chunk) {
+    try {
+        client.res.write(chunk);
+    } catch (error) {
+        console.error(`❌ Live stream: write to user ${client.user.id} failed:`, error.message);
+        removeClient(client);
+    }
+}
+
+function startHeartbeat() {
+    if (heartbeatTimer) return;
+    heartbeatTimer = setInterval(() => {
+        clients.forEach((client) => write(client, `: ping ${Date.now()}\n\n`));
+    }, HEARTBEAT_MS);
+    // Never keep the process alive just for the heartbeat
+    if (heartbeatTimer.unref) heartbeatTimer.unref();
+}
+
+function stopHeartbeat() {
+    if (clients.size > 0 || !heartbeatTimer) return;
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+}
+
+function removeClient(client) {
+    if (!clients.delete(client)) return;
+    console.log(`📴 Live stream: user ${client.user.id} disconnected (${clients.size} open)`);
+    stopHeartbeat();
+}
+
+/**
+ * Turn an HTTP response into an SSE connection for `user`
+ * @param {Object} req - Express request (used to detect the client going away)
+ * @param {Object} res - Express response
+ * @param {Object} user - Authenticated user ({ id, role })
+ * @returns {Function} Closes the connection
+ */
+function subscribe(req, res, user) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Disable response buffering in nginx
+        'X-Accel-Buffering': 'no',
+    });
+    if (res.flushHeaders) res.flushHeaders();
+
+    const client = { res, user: { id: user.id, role: user.role } };
+    clients.add(client);
+    startHeartbeat();
+
+    write(client, `retry: ${RETRY_MS}\n\n`);
+    write(client, formatEvent('ready', {
+        userId: user.id,
+        scope: hasPermission(user, 'proposal:review') ? 'all' : 'own',
+    }));
+
+    console.log(`📡 Live stream: user ${user.id} (${user.role}) connected (${clients.size} open)`);
+
+    const close = () => removeClient(client);
+    req.on('close', close);
+    return close;
+}
+
+function formatEvent(event, data) {
+    const id = nextEventId++;
+    return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Push an event to every connection allowed to see it
+ * @param {string} event - SSE event name, e.g. `proposal.status`
+ * @param {Object} data - JSON payload
+ * @param {Object} [audience]
+ * @param {Array<number|string>} [audience.userIds] - Users who receive it regardless of role
+ * @param {boolean} [audience.staff] - Also send to every role holding proposal:review
+ * @returns {number} Connections the event was written to
+ */
+function publish(event, data, { userIds = [], staff = false } = {}) {
+    if (clients.size === 0) return 0;
+
+    const recipients = new Set(userIds.filter((id) => id !== null && id !== undefined).map(String));
+    const chunk = formatEvent(event, data);
+    let delivered = 0;
+
+    clients.forEach((client) => {
+        if (recipients.has(String(client.user.id)) || (staff && hasPermission(client.user, 'proposal:review'))) {
+            write(client, chunk);
+            delivered += 1;
+        }
+    });
+
+    return delivered;
+}
+
+/**
+ * Close every open connection (server shutdown and tests)
+ */
+function closeAll() {
+    clients.forEach((client) => {
+        try {
+            client.res.end();
+        } catch (error) {
+            // Connection already gone
+        }
+    });
+    clients.clear();
+    stopHeartbeat();
+}
+
+const getConnectionCount = () => clients.size;
+
+module.exports = {
+    subscribe,
+    publish,
+    closeAll,
+    getConnectionCount,
+};
@@ -0,0 +1,695 @@
+// ==============================
+// Notification Service
+// Persisted in-app notifications behind the bell and the notifications pages
+// ==============================
+// One `notifications` row per recipient. Producers (the lifecycle engine,
+// draft submission, account approval) call the `notify*` helpers after their
+// change is committed; a failure to notify is logged and never undoes the
+// change that triggered it. The same helpers push live updates to open
+// /api/stream connections (live-stream.service) and queue the matching
+// emails (email.service).
+
+const { pool } = require('../config/db');
+const liveStream = require('./live-stream.service');
+const emailService = require('./email.service');
+const { rolesWith } = require('./permission.service');
+const { httpError } = require('../utils/http-error');
+
+const MAX_PAGE_SIZE = 100;
+
+function parseMetadata(value) {
+    if (!value) return null;
+    if (typeof value === 'object') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+function formatNotification(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        title: row.title,
+        message: row.message,
+        link: row.link,
+        relatedType: row.related_type,
+        relatedId: row.related_id,
+        metadata: parseMetadata(row.metadata),
+        read: Boolean(row.is_read),
+        readAt: row.read_at,
+        createdAt: row.created_at,
+    };
+}
+
+// ==============================
+// Writing
+// ==============================
+
+/**
+ * Create the same notification for several users
+ * @param {number[]} userIds - Recipients (duplicates and empty ids are dropped)
+ * @param {Object} notification - { type, title, message, link, relatedType, relatedId, metadata }
+ * @param {Object} [executor] - pool or a connection inside the caller's transaction
+ * @returns {Promise<number>} Number of rows created
+ */
+async function createForUsers(userIds, notification, executor = pool) {
+    const recipients = [...new Set((userIds || []).filter((id) => id !== null && id !== undefined && id !== ''))];
+    if (recipients.length === 0) return 0;
+
+    const { type, title, message = null, link = null, relatedType = null, relatedId = null, metadata = null } = notification;
+    const rows = recipients.map((userId) => [
+        userId, type, title, message, link, relatedType, relatedId, metadata ? JSON.stringify(metadata) : null,
+    ]);
+
+    await executor.query(
+        `INSERT INTO notifications (user_id, type, title, message, link, related_type, related_id, metadata)
+         VALUES ?`,
+        [rows]
+    );
+
+    console.log(`🔔 Notifications: ${type} → ${recipients.length} recipient(s)`);
+    liveStream.publish('notification', { type, title, message, link, relatedType, relatedId }, { userIds: recipients });
+    return recipients.length;
+}
+
+/**
+ * Create a notification for one user
+ */
+function createNotification(userId, notification, executor = pool) {
+    return createForUsers([userId], notification, executor);
+}
+
+/**
+ * Notify every approved user holding one of `roles`
+ * @param {string[]} roles
+ * @param {Object} notification - Same shape as createForUsers
+ * @param {Object} [options]
+ * @param {number} [options.excludeUserId] - Skip the user who triggered the event
+ * @param {Object} [options.email] - Also queue `{ template, data }` for each recipient
+ */
+async function notifyRoles(roles, notification, { excludeUserId = null, email = null } = {}) {
+    // Head admins can revoke a permission from every role
+    if (roles.length === 0) return 0;
+
+    const [users] = await pool.query(
+        'SELECT id, email, name FROM users WHERE role IN (?) AND is_approved = TRUE',
+        [roles]
+    );
+    const recipients = users.filter((user) => excludeUserId === null || String(user.id) !== String(excludeUserId));
+    const created = await createForUsers(recipients.map((user) => user.id), notification);
+
+    if (email) {
+        await emailService.queueForUsers(email.template, recipients, email.data);
+    }
+    return created;
+}
+
+// ==============================
+// Reading
+// ==============================
+
+/**
+ * A user's notifications, newest first
+ * @param {number} userId
+ * @param {Object} [filters] - { status: 'all'|'unread'|'read', type, limit, offset }
+ * @returns {Promise<{ notifications: Object[], total: number, unreadCount: number }>}
+ */
+async function listNotifications(userId, { status = 'all', type, limit = 20, offset = 0 } = {}) {
+    const where = ['user_id = ?'];
+    const params = [userId];
+
+    if (status === 'unread') where.push('is_read = FALSE');
+    if (status === 'read') where.push('is_read = TRUE');
+    if (type) {
+        // `proposal` matches proposal_submitted, proposal_approved, ...
+        where.push('type LIKE ?');
+        params.push(`${type}%`);
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const skip = Math.max(parseInt(offset, 10) || 0, 0);
+
+    const [rows] = await pool.query(
+        `SELECT * FROM notifications WHERE ${where.join(' AND ')}
+         ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [...params, pageSize, skip]
+    );
+    const [[{ total }]] = await pool.query(
+        `SELECT COUNT(*) AS total FROM notifications WHERE ${where.join(' AND ')}`,
+        params
+    );
+
+    return {
+        notifications: rows.map(formatNotification),
+        total: Number(total),
+        unreadCount: await getUnreadCount(userId),
+    };
+}
+
+async function getUnreadCount(userId) {
+    const [[{ count }]] = await pool.query(
+        'SELECT COUNT(*) AS count FROM notifications WHERE user_id = ? AND is_read = FALSE',
+        [userId]
+    );
+    return Number(count);
+}
+
+/**
+ * Mark one of the user's notifications as read
+ * @returns {Promise<number>} Remaining unread count
+ */
+async function markAsRead(userId, notificationId) {
+    const [result] = await pool.query(
+        `UPDATE notifications SET is_read = TRUE, read_at = COALESCE(read_at, NOW())
+         WHERE id = ? AND user_id = ?`,
+        [notificationId, userId]
+    );
+    if (result.affectedRows === 0) {
+        throw httpError(404, 'Notification not found');
+    }
+    return getUnreadCount(userId);
+}
+
+/**
+ * Mark all of the user's notifications as read
+ * @returns {Promise<number>} Number of notifications updated
+ */
+async function markAllAsRead(userId) {
+    const [result] = await pool.query(
+        'UPDATE notifications SET is_read = TRUE, read_at = NOW() WHERE user_id = ? AND is_read = FALSE',
+        [userId]
+    );
+    return result.affectedRows;
+}
+
+// ==============================
+// Event Producers
+// ==============================
+
+async function loadProposal(proposalId) {
+    const [rows] = await pool.query(
+        `SELECT p.id, p.userId, p.event_name, p.organization_name, p.event_start_date, p.event_end_date, p.admin_comments,
+                p.compliance_due_date, u.email AS owner_email, u.name AS owner_name
+         FROM proposals p
+         LEFT JOIN users u ON u.id = p.userId
+         WHERE p.id = ?`,
+        [proposalId]
+    );
+    return rows[0] || null;
+}
+
+const proposalLabel = (proposal) => proposal.event_name || proposal.organization_name || `Proposal #${proposal.id}`;
+
+// Proposal fields shared by every live event; the owner and staff receive them
+function publishProposalEvent(event, proposal, data) {
+    liveStream.publish(event, {
+        proposalId: proposal.id,
+        ownerId: proposal.userId,
+        eventName: proposal.event_name,
+        organization: proposal.organization_name,
+        ...data,
+    }, { userIds: [proposal.userId], staff: true });
+}
+
+// Queue an email to the proposal's owner
+function emailOwner(proposal, template, data = {}) {
+    return emailService.queueEmail(template, {
+        to: proposal.owner_email,
+        userId: proposal.userId,
+        data: {
+            recipientName: proposal.owner_name,
+            eventName: proposalLabel(proposal),
+            organization: proposal.organization_name,
+            ...data,
+        },
+    });
+}
+
+// Never let a notification failure surface to the request that triggered it
+async function safely(label, fn) {
+    try {
+        await fn();
+    } catch (error) {
+        console.error(`❌ Notifications: ${label} failed:`, error.message);
+    }
+}
+
+/**
+ * A proposal entered the review queue (new submission or resubmission)
+ * @param {number} proposalId
+ * @param {Object} [options] - { actor, resubmitted }
+ */
+function notifyProposalSubmitted(proposalId, options = {}) {
+    return safely('proposal_submitted', async () => {
+        const proposal = await loadProposal(proposalId);
+        if (!proposal) return;
+        await sendProposalSubmitted(proposal, options);
+    });
+}
+
+async function sendProposalSubmitted(proposal, { actor = null, resubmitted = false } = {}) {
+    const label = proposalLabel(proposal);
+    publishProposalEvent('proposal.submitted', proposal, { resubmitted, submittedAt: new Date().toISOString() });
+
+    await notifyRoles(rolesWith('proposal:review'), {
+        type: 'proposal_submitted',
+        title: resubmitted ? `Resubmitted: ${label}` : `New proposal: ${label}`,
+        message: `${proposal.organization_name || 'An organization'} ${resubmitted ? 'resubmitted' : 'submitted'} "${label}" for review.`,
+        link: '/admin-dashboard/review',
+        relatedType: 'proposal',
+        relatedId: proposal.id,
+        metadata: { organization: proposal.organization_name },
+    }, {
+        excludeUserId: actor && actor.id,
+        email: {
+            template: 'proposal_submitted',
+            data: { eventName: label, organization: proposal.organization_name, resubmitted, submittedBy: proposal.owner_name },
+        },
+    });
+
+    await createNotification(proposal.userId, {
+        type: 'proposal_submitted',
+        title: `Submitted: ${label}`,
+        message: 'Your proposal was submitted and is waiting for review.',
+        link: '/student-dashboard/proposals',
+        relatedType: 'proposal',
+        relatedId: proposal.id,
+        metadata: { organization: proposal.organization_name },
+    });
+}
+
+const formatDay = (value) => new Date(value).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+
+/**
+ * The accomplishment report for an approved proposal is due
+ * @param {number} proposalId
+ * @param {Object} [options] - { dueDate } (defaults to the compliance deadline)
+ */
+function notifyReportDue(proposalId, { dueDate = null } = {}) {
+    return safely('report_due', async () => {
+        const proposal = await loadProposal(proposalId);
+        if (!proposal) return;
+        const due = dueDate || proposal.compliance_due_date;
+        const dueText = due ? ` by ${formatDay(due)}` : ' once the event is over';
+
+        await createNotification(proposal.userId, {
+            type: 'report_due',
+            title: `Accomplishment report due: ${proposalLabel(proposal)}`,
+            message: `Submit the accomplishment report and attendance${dueText}.`,
+            link: '/student-dashboard/reports',
+            relatedType: 'proposal',
+            relatedId: proposal.id,
+            metadata: { organization: proposal.organization_name, dueDate: due || null },
+        });
+    });
+}
+
+/**
+ * Remind the organizer that an accomplishment report is coming due
+ * (compliance-deadline.service, at each configured offset)
+ * @param {number} proposalId
+ * @param {Object} options - { dueDate, daysLeft }
+ */
+function notifyComplianceReminder(proposalId, { dueDate, daysLeft }) {
+    return safely('report_reminder', async () => {
+        const proposal = await loadProposal(proposalId);
+        if (!proposal) return;
+        const when = daysLeft === 0 ? 'today' : `in ${daysLeft} day${daysLeft === 1 ? '' : 's'}, on ${formatDay(dueDate)}`;
+
+        await createNotification(proposal.userId, {
+            type: 'report_reminder',
+            title: `Report due ${daysLeft === 0 ? 'today' : `in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`}: ${proposalLabel(proposal)}`,
+            message: `The accomplishment report, attendance and compliance documents are due ${when}. Organizations with overdue reports cannot submit new proposals.`,
+            link: '/student-dashboard/reports',
+            relatedType: 'proposal',
+            relatedId: proposal.id,
+            metadata: { organization: proposal.organization_name, dueDate, daysLeft },
+        });
+        await emailOwner(proposal, 'report_due', { dueDate, daysLeft });
+    });
+}
+
+/**
+ * Tell the organizer their accomplishment report is overdue
+ * @param {number} proposalId
+ * @param {Object} options - { dueDate }
+ */
+function notifyComplianceOverdue(proposalId, { dueDate }) {
+    return safely('report_overdue', async () => {
+        const proposal = await loadProposal(proposalId);
+        if (!proposal) return;
+
+        await createNotification(proposal.userId, {
+            type: 'report_overdue',
+            title: `Report overdue: ${proposalLabel(proposal)}`,
+            message: `The accomplishment report was due on ${formatDay(dueDate)}. ${proposal.organization_name || 'Your organization'} cannot submit new proposals until it is in.`,
+            link: '/student-dashboard/reports',
+            relatedType: 'proposal',
+            relatedId: proposal.id,
+            metadata: { organization: proposal.organization_name, dueDate },
+        });
+        await emailOwner(proposal, 'compliance_overdue', { dueDate });
+    });
+}
+
+/**
+ * Escalate an overdue report to the reviewer who approved the proposal, or to
+ * every reviewer when nobody is on record
+ * @param {number} proposalId
+ * @param {Object} options - { dueDate, reviewerId }
+ */
+function notifyComplianceEscalated(proposalId, { dueDate, reviewerId = null }) {
+    return safely('report_overdue_escalated', async () => {
+        const proposal = await loadProposal(proposalId);
+        if (!proposal) return;
+
+        const label = proposalLabel(proposal);
+        const notification = {
+            type: 'report_overdue_escalated',
+            title: `Overdue report: ${label}`,
+            message: `${proposal.organization_name || 'The organization'} has not submitted the accomplishment report for "${label}", due on ${formatDay(dueDate)}. New proposals from the organization are blocked.`,
+            link: '/admin-dashboard/reports',
+            relatedType: 'proposal',
+            relatedId: proposal.id,
+            metadata: { organization: proposal.organization_name, dueDate },
+        };
+        const email = {
+            template: 'compliance_escalated',
+            data: { eventName: label, organization: proposal.organization_name, organizer: proposal.owner_name, dueDate },
+        };
+
+        const reviewerRoles = rolesWith('report:review');
+        const [reviewers] = reviewerId && reviewerRoles.length > 0
+            ? await pool.query('SELECT id, email, name FROM users WHERE id = ? AND role IN (?)', [reviewerId, reviewerRoles])
+            : [[]];
+        if (reviewers.length === 0) {
+            await notifyRoles(reviewerRoles, notification, { email });
+            return;
+        }
+
+        await createForUsers(reviewers.map((user) => user.id), notification);
+        await emailService.queueForUsers(email.template, reviewers, email.data);
+    });
+}
+
+/**
+ * An organizer uploaded compliance documents (to every reviewer)
+ * @param {number} proposalId
+ * @param {Object} options - { documents: string[], actor }
+ */
+function notifyComplianceDocumentsSubmitted(proposalId, { documents, actor = null }) {
+    return safely('compliance_submitted', async () => {
+        const proposal = await loadProposal(proposalId);
+        if (!proposal) return;
+
+        const label = proposalLabel(proposal);
+        await notifyRoles(rolesWith('report:review'), {
+            type: 'compliance_submitted',
+            title: `Compliance documents: ${label}`,
+            message: `${proposal.organization_name || 'The organizer'} submitted ${documents.join(', ')}.`,
+            link: '/compliance',
+            relatedType: 'proposal',
+            relatedId: proposal.id,
+            metadata: { organization: proposal.organization_name, documents },
+        }, {
+            excludeUserId: actor ? actor.id : null,
+            email: { template: 'compliance_submitted', data: { eventName: label, documents, link: '/compliance' } },
+        });
+    });
+}
+
+/**
+ * A reviewer set the compliance status by hand (to the organizer)
+ * @param {number} proposalId
+ * @param {Object} options - { status, comment }
+ */
+function notifyComplianceStatusChanged(proposalId, { status, comment = null }) {
+    return safely('compliance_status', async () => {
+        const proposal = await loadProposal(proposalId);
+        if (!proposal) return;
+
+        await createNotification(proposal.userId, {
+            type: 'compliance_status',
+            title: `Compliance ${status.replace(/_/g, ' ')}: ${proposalLabel(proposal)}`,
+            message: comment || `A reviewer marked the compliance requirements for "${proposalLabel(proposal)}" as ${status}.`,
+            link: '/compliance',
+            relatedType: 'proposal',
+            relatedId: proposal.id,
+            metadata: { organization: proposal.organization_name, status },
+        });
+        await emailOwner(proposal, 'compliance_status', { status, comment, link: '/compliance' });
+    });
+}
+
+const PROPOSAL_DECISIONS = {
+    approved: { title: 'Approved', message: 'Your proposal was approved.' },
+    denied: { title: 'Not approved', message: 'Your proposal was not approved.' },
+    revision_requested: { title: 'Revision requested', message: 'The reviewer asked for changes to your proposal.' },
+};
+
+const REPORT_DECISIONS = {
+    approved: { title: 'Report accepted', message: 'Your accomplishment report was accepted.' },
+    denied: { title: 'Report returned', message: 'Your accomplishment report needs changes.' },
+};
+
+/**
+ * Notify the people affected by a lifecycle transition
+ * @param {Object} transition - Result of transitionProposalStatus / transitionReportStatus
+ */
+function notifyTransition(transition) {
+    if (!transition) return Promise.resolve();
+    const { proposalId, kind, from, to, reason, actorId, changedAt } = transition;
+
+    return safely(`${kind}_${to}`, async () => {
+        const proposal = await loadProposal(proposalId);
+        if (!proposal) return;
+        const label = proposalLabel(proposal);
+
+        publishProposalEvent(`${kind}.status`, proposal, { kind, from, to, reason, changedAt });
+
+        if (kind === 'proposal' && to === 'pending') {
+            await sendProposalSubmitted(proposal, { actor: { id: actorId }, resubmitted: from === 'revision_requested' });
+            return;
+        }
+
+        if (kind === 'report' && to === 'pending') {
+            await notifyRoles(rolesWith('report:review'), {
+                type: 'report_submitted',
+                title: `Accomplishment report: ${label}`,
+                message: `${proposal.organization_name || 'An organization'} submitted an accomplishment report for review.`,
+                link: `/admin-dashboard/report-reviews/${proposal.id}`,
+                relatedType: 'proposal',
+                relatedId: proposal.id,
+                metadata: { organization: proposal.organization_name },
+            }, {
+                excludeUserId: actorId,
+                email: {
+                    template: 'report_submitted',
+                    data: { eventName: label, organization: proposal.organization_name, link: `/admin-dashboard/report-reviews/${proposal.id}` },
+                },
+            });
+            return;
+        }
+
+        const decision = (kind === 'report' ? REPORT_DECISIONS : PROPOSAL_DECISIONS)[to];
+        if (!decision) return;
+        // Report decisions open the report, where the rubric items that failed are listed
+        const link = kind === 'report' ? `/student-dashboard/reports/${proposal.id}` : '/student-dashboard/proposals';
+
+        await createNotification(proposal.userId, {
+            type: `${kind}_${to}`,
+            title: `${decision.title}: ${label}`,
+            message: reason ? `${decision.message} Reviewer's note: ${reason}` : decision.message,
+            link,
+            relatedType: 'proposal',
+            relatedId: proposal.id,
+            metadata: { organization: proposal.organization_name, from, to },
+        });
+
+        await emailOwner(proposal, kind === 'report' ? 'report_decision' : 'proposal_decision', {
+            status: to,
+            reason,
+            link,
+            reportDueDate: kind === 'proposal' && to === 'approved' ? proposal.compliance_due_date || proposal.event_end_date : null,
+        });
+
+        if (kind === 'proposal' && to === 'approved') {
+            await notifyReportDue(proposalId);
+        }
+    });
+}
+
+/**
+ * Tell a user their account has been approved, by an admin (`approver`) or
+ * by an auto-approval rule (`rule`)
+ */
+function notifyAccountApproved(userId, { approver = null, rule = null } = {}) {
+    return safely('account_approved', async () => {
+        const [users] = await pool.query('SELECT id, email, name FROM users WHERE id = ?', [userId]);
+        let metadata = null;
+        if (approver) metadata = { approvedBy: approver.id };
+        else if (rule) metadata = { autoApprovalRule: { id: rule.id, type: rule.type, value: rule.value } };
+        await createNotification(userId, {
+            type: 'account_approved',
+            title: 'Account approved',
+            message: 'Your CEDO account has been approved. You can now submit event proposals.',
+            link: '/student-dashboard',
+            relatedType: 'user',
+            relatedId: userId,
+            metadata,
+        });
+        if (users[0]) {
+            await emailService.queueEmail('account_approved', {
+                to: users[0].email,
+                userId,
+                data: { recipientName: users[0].name },
+            });
+        }
+    });
+}
+
+/**
+ * Tell a user their account request was rejected, with the reason. They
+ * cannot sign in yet, so the email is what they see first; the notification
+ * is waiting if the account is approved later.
+ * @param {number} userId
+ * @param {Object} options
+ * @param {string} options.reason - Shown to the user
+ * @param {Object} [options.reviewer] - The admin who rejected the request
+ */
+function notifyAccountRejected(userId, { reason, reviewer = null } = {}) {
+    return safely('account_rejected', async () => {
+        const [users] = await pool.query('SELECT id, email, name FROM users WHERE id = ?', [userId]);
+        await createNotification(userId, {
+            type: 'account_rejected',
+            title: 'Account request not approved',
+            message: `Your CEDO account request was not approved: ${reason}`,
+            relatedType: 'user',
+            relatedId: userId,
+            metadata: { reason, ...(reviewer ? { rejectedBy: reviewer.id } : {}) },
+        });
+        if (users[0]) {
+            await emailService.queueEmail('account_rejected', {
+                to: users[0].email,
+                userId,
+                data: { recipientName: users[0].name, reason },
+            });
+        }
+    });
+}
+
+/**
+ * Tell students they moved off an event's waitlist into a registered spot
+ * @param {number} proposalId
+ * @param {number[]} userIds - Promoted students
+ */
+function notifyRegistrationPromoted(proposalId, userIds) {
+    return safely('registration_promoted', async () => {
+        if (!userIds || userIds.length === 0) return;
+        const proposal = await loadProposal(proposalId);
+        if (!proposal) return;
+
+        const label = proposalLabel(proposal);
+        await createForUsers(userIds, {
+            type: 'registration_promoted',
+            title: 'You have a spot',
+            message: `A spot opened up for "${label}". You have been moved off the waitlist and are now registered.`,
+            link: '/student-dashboard/events',
+            relatedType: 'proposal',
+            relatedId: proposal.id,
+        });
+
+        const [users] = await pool.query('SELECT id, email, name FROM users WHERE id IN (?)', [userIds]);
+        await emailService.queueForUsers('registration_promoted', users, {
+            eventName: label,
+            organization: proposal.organization_name,
+            startDate: proposal.event_start_date,
+        });
+    });
+}
+
+const EVENT_CHANGE_TITLES = {
+    rescheduled: 'Event rescheduled',
+    postponed: 'Event postponed',
+    cancelled: 'Event cancelled',
+};
+
+/**
+ * An event was rescheduled, postponed or cancelled (event.service). Its
+ * registrants (including the waitlist) and the organizer hear about it,
+ * except whoever made the change.
+ * @param {Object} event - The event after the change (event.service formatEvent)
+ * @param {Object} change - { action, changes, reason, actorId }
+ */
+function notifyEventChanged(event, change) {
+    return safely('event_changed', async () => {
+        const [registrants] = await pool.query(
+            `SELECT u.id, u.email, u.name
+             FROM event_registrations r
+             JOIN users u ON u.id = r.user_id
+             WHERE r.proposal_id = ? AND r.status IN ('registered', 'waitlisted')`,
+            [event.proposalId]
+        );
+        const proposal = await loadProposal(event.proposalId);
+
+        const recipients = [...registrants];
+        if (proposal && proposal.userId && !recipients.some((user) => String(user.id) === String(proposal.userId))) {
+            recipients.push({ id: proposal.userId, email: proposal.owner_email, name: proposal.owner_name });
+        }
+        const notified = recipients.filter((user) => String(user.id) !== String(change.actorId));
+        if (notified.length === 0) return;
+
+        const time = event.startTime ? `${event.startTime}${event.endTime ? ` - ${event.endTime}` : ''}` : null;
+        const message = change.action === 'rescheduled'
+            ? `"${event.title}" has moved to ${event.startDate}${event.endDate && event.endDate !== event.startDate ? ` to ${event.endDate}` : ''}${time ? `, ${time}` : ''}.`
+            : change.action === 'postponed'
+                ? `"${event.title}" has been postponed. A new date will be announced.`
+                : `"${event.title}" has been cancelled.`;
+        const link = `/student-dashboard/events/${event.id}`;
+
+        await createForUsers(notified.map((user) => user.id), {
+            type: 'event_changed',
+            title: EVENT_CHANGE_TITLES[change.action] || 'Event updated',
+            message: change.reason ? `${message} Reason: ${change.reason}` : message,
+            link,
+            relatedType: 'event',
+            relatedId: event.id,
+            metadata: { action: change.action, changes: change.changes },
+        });
+
+        await emailService.queueForUsers('event_changed', notified.filter((user) => user.email), {
+            eventName: event.title,
+            action: change.action,
+            reason: change.reason,
+            organization: event.organizationName,
+            startDate: event.startDate,
+            time,
+            venue: event.venue,
+            link,
+        });
+    });
+}
+
+module.exports = {
+    createNotification,
+    createForUsers,
+    notifyRoles,
+    listNotifications,
+    getUnreadCount,
+    markAsRead,
+    markAllAsRead,
+    notifyProposalSubmitted,
+    notifyReportDue,
+    notifyComplianceReminder,
+    notifyComplianceOverdue,
+    notifyComplianceEscalated,
+    notifyComplianceDocumentsSubmitted,
+    notifyComplianceStatusChanged,
+    notifyTransition,
+    notifyAccountApproved,
+    notifyAccountRejected,
+    notifyRegistrationPromoted,
+    notifyEventChanged,
+};
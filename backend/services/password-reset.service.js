@@ -0,0 +1,132 @@
+// ==============================
+// Password Reset Service
+// Single-use, expiring reset links stored in users.reset_token
+// ==============================
+// The raw token only ever leaves the server in the emailed link; the users
+// table keeps its SHA-256 hash, so a leaked database row cannot be used to
+// reset a password. A token is cleared as soon as it is used.
+//
+// Accounts created with `password_reset_required` (managers with a temporary
+// password) get a token at sign-in instead of a session and finish on the
+// same reset screen.
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { pool } = require('../config/db');
+const emailService = require('./email.service');
+const { httpError } = require('../utils/http-error');
+
+const TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+// Ignore repeated requests for the same account within this window
+const RESEND_COOLDOWN_SECONDS = 60;
+const MIN_PASSWORD_LENGTH = 8;
+const SALT_ROUNDS = 12;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Store a fresh reset token for a user, replacing any earlier one
+ * @param {number} userId
+ * @returns {Promise<string>} The raw token (only the hash is stored)
+ */
+async function issueToken(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await pool.query(
+        'UPDATE users SET reset_token = ?, reset_token_expires = DATE_ADD(NOW(), INTERVAL ? MINUTE) WHERE id = ?',
+        [hashToken(token), TOKEN_TTL_MINUTES, userId]
+    );
+    return token;
+}
+
+/**
+ * Email a reset link if the address belongs to an account.
+ * Resolves the same way whether or not the account exists, so the endpoint
+ * cannot be used to discover registered addresses.
+ * @param {string} email
+ */
+async function requestReset(email) {
+    const address = String(email || '').trim().toLowerCase();
+    if (!address) {
+        throw httpError(400, 'Email is required');
+    }
+
+    const [users] = await pool.query(
+        `SELECT id, name, email,
+                reset_token_expires > DATE_ADD(NOW(), INTERVAL ? SECOND) AS recently_issued
+         FROM users WHERE LOWER(email) = ?`,
+        [TOKEN_TTL_MINUTES * 60 - RESEND_COOLDOWN_SECONDS, address]
+    );
+    const user = users[0];
+
+    if (!user) {
+        console.log(`🔑 Password reset requested for unknown address ${address}`);
+        return;
+    }
+    if (user.recently_issued) {
+        console.log(`🔑 Password reset for user ${user.id} already sent, skipping duplicate request`);
+        return;
+    }
+
+    const token = await issueToken(user.id);
+    await emailService.queueEmail('password_reset', {
+        to: user.email,
+        userId: user.id,
+        data: { recipientName: user.name, token, expiresInMinutes: TOKEN_TTL_MINUTES },
+    });
+    console.log(`🔑 Password reset link queued for user ${user.id}`);
+}
+
+/**
+ * Set a new password with a reset token; the token cannot be used again
+ * @param {string} token - Raw token from the reset link
+ * @param {string} newPassword
+ * @returns {Promise<{ id: number, email: string, role: string }>} The user whose password changed
+ */
+async function resetPassword(token, newPassword) {
+    if (!token) {
+        throw httpError(400, 'Reset token is required');
+    }
+    if (!newPassword || String(newPassword).length < MIN_PASSWORD_LENGTH) {
+        throw httpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+    }
+
+    const tokenHash = hashToken(token);
+    const [users] = await pool.query(
+        'SELECT id, email, role FROM users WHERE reset_token = ? AND reset_token_expires > NOW()',
+        [tokenHash]
+    );
+    const user = users[0];
+    if (!user) {
+        throw httpError(400, 'This reset link is invalid or has expired. Please request a new one.', {
+            reason: 'INVALID_RESET_TOKEN',
+        });
+    }
+
+    const hashedPassword = await bcrypt.hash(String(newPassword), SALT_ROUNDS);
+
+    // Matching on the token again makes a concurrent second use a no-op
+    const [result] = await pool.query(
+        `UPDATE users
+         SET password = ?, reset_token = NULL, reset_token_expires = NULL,
+             password_reset_required = FALSE, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND reset_token = ?`,
+        [hashedPassword, user.id, tokenHash]
+    );
+    if (result.affectedRows === 0) {
+        throw httpError(400, 'This reset link has already been used. Please request a new one.', {
+            reason: 'INVALID_RESET_TOKEN',
+        });
+    }
+
+    console.log(`🔑 Password reset completed for user ${user.id}`);
+    return user;
+}
+
+module.exports = {
+    TOKEN_TTL_MINUTES,
+    MIN_PASSWORD_LENGTH,
+    hashToken,
+    issueToken,
+    requestReset,
+    resetPassword,
+};
@@ -0,0 +1,213 @@
+// ==============================
+// Permission Service
+// Role-to-permission grants behind requirePermission
+// ==============================
+// The registry (constants/permissions.js) names every permission and its
+// default roles. Head admins can grant or revoke permissions per role; each
+// change is stored in role_permissions as one row per (role, permission) with
+// `granted`, so permissions added to the registry later still start from
+// their defaults. Grants are read on every request, so each process keeps
+// them in memory: loaded at startup (server.js), replaced at once in the
+// process that handles a change, and re-read every GRANTS_REFRESH_MS so other
+// processes (cluster workers, other servers) follow within that window.
+// Head-admin-only permissions (the data explorer, this page) are never
+// granted to other roles, whatever role_permissions says.
+
+const { pool } = require('../config/db');
+const ROLES = require('../constants/roles');
+const { PERMISSIONS, LOCKED_GRANTS, HEAD_ADMIN_ONLY, defaultGrants } = require('../constants/permissions');
+const { httpError } = require('../utils/http-error');
+
+const KNOWN_ROLES = Object.values(ROLES);
+
+const GRANTS_REFRESH_MS = Number(process.env.PERMISSION_REFRESH_MS) || 60 * 1000;
+
+let refreshTimer = null;
+
+const toSets = (grants) =>
+    Object.fromEntries(Object.entries(grants).map(([role, permissions]) => [role, new Set(permissions)]));
+
+// role → Set of permissions; defaults until loadGrants() has run
+let grants = toSets(defaultGrants());
+
+/**
+ * Whether the user's role currently holds the permission
+ * @param {Object} user - req.user
+ * @param {string} permission - A key of PERMISSIONS
+ * @returns {boolean}
+ */
+function hasPermission(user, permission) {
+    return Boolean(user && grants[user.role]?.has(permission));
+}
+
+/**
+ * Permissions a role holds, in registry order (sent to the client with the user)
+ * @param {string} role
+ * @returns {string[]}
+ */
+function permissionsFor(role) {
+    const granted = grants[role];
+    return granted ? Object.keys(PERMISSIONS).filter((permission) => granted.has(permission)) : [];
+}
+
+/**
+ * Roles that currently hold the permission, e.g. to notify everyone who reviews proposals
+ * @param {string} permission
+ * @returns {string[]}
+ */
+function rolesWith(permission) {
+    return KNOWN_ROLES.filter((role) => grants[role]?.has(permission));
+}
+
+/**
+ * Reload grants from role_permissions: defaults, overridden by stored rows
+ * @param {Object} [options] - { quiet } (periodic refreshes are not logged)
+ */
+async function loadGrants({ quiet = false } = {}) {
+    const [rows] = await pool.query('SELECT role, permission, granted FROM role_permissions');
+
+    const loaded = toSets(defaultGrants());
+    for (const row of rows) {
+        if (!loaded[row.role] || !PERMISSIONS[row.permission]) continue;
+        if (row.granted && HEAD_ADMIN_ONLY.includes(row.permission) && row.role !== ROLES.HEAD_ADMIN) continue;
+        if (row.granted) {
+            loaded[row.role].add(row.permission);
+        } else {
+            loaded[row.role].delete(row.permission);
+        }
+    }
+
+    grants = loaded;
+    if (!quiet) {
+        console.log(`🔐 Permissions: loaded ${rows.length} stored grant(s)`);
+    }
+    return grants;
+}
+
+/**
+ * Load the grants now and re-read them every GRANTS_REFRESH_MS, so a change
+ * made through another process applies here too
+ */
+function startGrantRefresh() {
+    if (refreshTimer) return;
+    loadGrants().catch((error) => console.warn('⚠️ Using default role permissions:', error.message));
+
+    refreshTimer = setInterval(() => {
+        loadGrants({ quiet: true })
+            .catch((error) => console.error('❌ Permissions: refresh failed, keeping the last grants:', error.message));
+    }, GRANTS_REFRESH_MS);
+    if (refreshTimer.unref) refreshTimer.unref();
+}
+
+function stopGrantRefresh() {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+}
+
+/**
+ * The registry and every role's grants, for the permission settings page
+ * @returns {Promise<{permissions: Object[], roles: Object[]}>}
+ */
+async function listGrants() {
+    await loadGrants();
+
+    const [changes] = await pool.query(
+        `SELECT rp.role, MAX(rp.updated_at) AS updatedAt, MAX(u.name) AS updatedBy
+         FROM role_permissions rp
+         LEFT JOIN users u ON u.id = rp.updated_by
+         GROUP BY rp.role`
+    );
+    const changesByRole = Object.fromEntries(changes.map((change) => [change.role, change]));
+    const defaults = defaultGrants();
+
+    return {
+        permissions: Object.entries(PERMISSIONS).map(([key, definition]) => ({
+            key,
+            group: definition.group,
+            label: definition.label,
+            headAdminOnly: Boolean(definition.headAdminOnly),
+        })),
+        roles: KNOWN_ROLES.map((role) => ({
+            role,
+            permissions: permissionsFor(role),
+            defaults: defaults[role],
+            locked: LOCKED_GRANTS[role] || [],
+            updatedAt: changesByRole[role]?.updatedAt || null,
+            updatedBy: changesByRole[role]?.updatedBy || null,
+        })),
+    };
+}
+
+/**
+ * Replace everything a role may do (head admins)
+ * @param {string} role
+ * @param {string[]} permissions - Every permission the role should hold
+ * @param {Object} user - The head admin making the change
+ * @returns {Promise<string[]>} The role's permissions after the change
+ */
+async function setRoleGrants(role, permissions, user) {
+    if (!hasPermission(user, 'permission:manage')) {
+        throw httpError(403, 'Only head admins can change role permissions');
+    }
+    if (!KNOWN_ROLES.includes(role)) {
+        throw httpError(404, `Unknown role: ${role}`);
+    }
+    if (!Array.isArray(permissions)) {
+        throw httpError(400, 'permissions must be a list', { errors: { permissions: 'Send the full list of permissions for the role' } });
+    }
+
+    const unknown = permissions.filter((permission) => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+        throw httpError(400, `Unknown permission: ${unknown.join(', ')}`, { errors: { permissions: `Unknown permission: ${unknown.join(', ')}` } });
+    }
+
+    const headAdminOnly = role === ROLES.HEAD_ADMIN
+        ? []
+        : permissions.filter((permission) => HEAD_ADMIN_ONLY.includes(permission));
+    if (headAdminOnly.length > 0) {
+        throw httpError(400, `${headAdminOnly.join(', ')} can only be held by head admins`, {
+            errors: { permissions: `Only head admins can hold ${headAdminOnly.join(', ')}` },
+        });
+    }
+
+    const missingLocked = (LOCKED_GRANTS[role] || []).filter((permission) => !permissions.includes(permission));
+    if (missingLocked.length > 0) {
+        throw httpError(400, `${missingLocked.join(', ')} cannot be taken away from ${role}`, {
+            errors: { permissions: 'Head admins always keep access to the admin dashboard and to this page' },
+        });
+    }
+
+    const granted = new Set(permissions);
+    // The API key user has no users row
+    const updatedBy = Number.isInteger(user.id) ? user.id : null;
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        await connection.query('DELETE FROM role_permissions WHERE role = ?', [role]);
+        await connection.query(
+            'INSERT INTO role_permissions (role, permission, granted, updated_by) VALUES ?',
+            [Object.keys(PERMISSIONS).map((permission) => [role, permission, granted.has(permission), updatedBy])]
+        );
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    grants = { ...grants, [role]: granted };
+    console.log(`🔐 Permissions: ${user.id} set ${role} to ${granted.size} permission(s)`);
+    return permissionsFor(role);
+}
+
+module.exports = {
+    hasPermission,
+    permissionsFor,
+    rolesWith,
+    loadGrants,
+    startGrantRefresh,
+    stopGrantRefresh,
+    listGrants,
+    setRoleGrants,
+};
@@ -0,0 +1,393 @@
+// ==============================
+// Proposal Lifecycle Service
+// Single transition engine for proposal_status and report_status
+// ==============================
+// Mirrors the client-side XState machine (submit-event/eventStateMachine.js):
+//   proposal: draft → pending → approved | denied | revision_requested
+//   report:   draft → pending → approved | denied   (only once the proposal is approved)
+// Every route that changes a status goes through `transitionProposalStatus` /
+// `transitionReportStatus`, which lock the row, reject illegal moves and write
+// a proposal_status_history row (actor, role, from/to, comment, source route).
+// Review decisions (approve, deny, request revision) need an actor holding a
+// review permission, or the 'system' actor of the engine's own jobs, whichever
+// route asked for them.
+// Notifications go out once the change is committed: here when the engine owns
+// the transaction, otherwise by the caller via notifyTransition() after its commit.
+// Approving a proposal that clashes with an approved booking or a blackout period
+// (schedule-conflict.service) needs an explicit override with a reason.
+// Approving a proposal creates its event record (event.service) and starts the
+// accomplishment report deadline (compliance-deadline.service); approving the
+// report awards the event's SDP credits to its attendees (sdp-credit.service),
+// all in the same transaction. A new submission from an organization with an
+// overdue report is refused unless an admin granted an override.
+
+const { pool } = require('../config/db');
+const {
+    assertOrganizationCanSubmit,
+    refreshComplianceStatus,
+    startComplianceClock,
+} = require('./compliance-deadline.service');
+const { createEventForProposal } = require('./event.service');
+const { notifyTransition } = require('./notification.service');
+const { hasPermission } = require('./permission.service');
+const { findBlockingConflicts } = require('./schedule-conflict.service');
+const { awardEventCredits } = require('./sdp-credit.service');
+const { httpError } = require('../utils/http-error');
+
+// ==============================
+// Transition Tables
+// ==============================
+
+const PROPOSAL_TRANSITIONS = {
+    draft: ['pending'],
+    pending: ['approved', 'denied', 'revision_requested'],
+    revision_requested: ['pending', 'draft'],
+    denied: ['draft'], // EDIT_PROPOSAL / WITHDRAW_PROPOSAL reopen a denied proposal as a draft
+    approved: [],
+};
+
+const REPORT_TRANSITIONS = {
+    draft: ['pending'],
+    pending: ['approved', 'denied'],
+    denied: ['pending', 'draft'], // REPORT_REVISION: student fixes and resubmits
+    approved: [],
+    not_applicable: [],
+};
+
+// Decisions that must carry an explanation for the student
+const REASON_REQUIRED = {
+    proposal: ['denied', 'revision_requested'],
+    report: ['denied'],
+};
+
+// Outcomes decided by a reviewer (recorded in reviewed_by_admin_id / reviewed_at)
+const REVIEW_DECISIONS = ['approved', 'denied', 'revision_requested'];
+
+// Any one of these lets an actor make a review decision
+const REVIEW_PERMISSIONS = {
+    proposal: ['proposal:review', 'proposal:manage'],
+    report: ['report:review'],
+};
+
+// Legacy spellings still sent by older admin screens
+const STATUS_ALIASES = {
+    rejected: 'denied',
+    revision: 'revision_requested',
+    'revision-requested': 'revision_requested',
+    submitted: 'pending',
+};
+
+const MACHINES = {
+    proposal: { column: 'proposal_status', transitions: PROPOSAL_TRANSITIONS },
+    report: { column: 'report_status', transitions: REPORT_TRANSITIONS },
+};
+
+/**
+ * Normalise a status coming from a request body
+ * @param {string} status - Raw status
+ * @returns {string} Canonical status value
+ */
+function normalizeStatus(status) {
+    const value = String(status || '').trim().toLowerCase();
+    return STATUS_ALIASES[value] || value;
+}
+
+/**
+ * Statuses reachable from `from` for the given machine
+ * @param {'proposal'|'report'} kind
+ * @param {string} from - Current status
+ * @returns {string[]}
+ */
+function getAllowedTransitions(kind, from) {
+    const machine = MACHINES[kind];
+    if (!machine) return [];
+    return machine.transitions[from || 'draft'] || [];
+}
+
+function canTransition(kind, from, to) {
+    return getAllowedTransitions(kind, from).includes(to);
+}
+
+// Actor ids are only stored when they are real user ids (not 'system')
+function actorId(actor) {
+    const id = actor && typeof actor === 'object' ? actor.id : actor;
+    if (id === undefined || id === null || id === '') return null;
+    return Number.isInteger(Number(id)) ? Number(id) : null;
+}
+
+function actorRole(actor) {
+    if (actor && typeof actor === 'object') return actor.role || null;
+    return actor === 'system' ? 'system' : null;
+}
+
+function canDecide(kind, actor) {
+    return actor === 'system' || REVIEW_PERMISSIONS[kind].some((permission) => hasPermission(actor, permission));
+}
+
+// ==============================
+// Status History
+// ==============================
+
+/**
+ * Append a row to proposal_status_history
+ * @param {Object} executor - pool or a connection inside the caller's transaction
+ * @param {Object} entry - { proposalId, kind, from, to, actor, comment, source }
+ */
+async function recordStatusHistory(executor, { proposalId, kind = 'proposal', from = null, to, actor = 'system', comment = null, source = null }) {
+    await executor.query(
+        `INSERT INTO proposal_status_history
+            (proposal_id, status_type, from_status, to_status, actor_id, actor_role, comment, source)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [proposalId, kind, from, to, actorId(actor), actorRole(actor), comment || null, source]
+    );
+}
+
+/**
+ * Full status timeline for a proposal, oldest first
+ * @param {number|string} proposalId - proposals.id
+ * @returns {Promise<Object[]>} History entries with the actor's name and email
+ */
+async function getStatusHistory(proposalId) {
+    const [rows] = await pool.query(
+        `SELECT h.id, h.status_type, h.from_status, h.to_status, h.actor_id, h.actor_role,
+                h.comment, h.source, h.created_at, u.name AS actor_name, u.email AS actor_email
+         FROM proposal_status_history h
+         LEFT JOIN users u ON u.id = h.actor_id
+         WHERE h.proposal_id = ?
+         ORDER BY h.created_at ASC, h.id ASC`,
+        [proposalId]
+    );
+
+    return rows.map((row) => ({
+        id: row.id,
+        type: row.status_type,
+        from: row.from_status,
+        to: row.to_status,
+        comment: row.comment,
+        source: row.source,
+        createdAt: row.created_at,
+        actor: {
+            id: row.actor_id,
+            name: row.actor_name || (row.actor_role === 'system' ? 'System' : null),
+            email: row.actor_email || null,
+            role: row.actor_role,
+        },
+    }));
+}
+
+// ==============================
+// Transition Engine
+// ==============================
+
+async function applyTransition(kind, proposalId, requestedStatus, {
+    actor = 'system',
+    reason = null,
+    source = null,
+    connection = null,
+    overrideConflicts = false,
+} = {}) {
+    const machine = MACHINES[kind];
+    const toStatus = normalizeStatus(requestedStatus);
+
+    if (!Object.prototype.hasOwnProperty.call(machine.transitions, toStatus)) {
+        throw httpError(400, `Invalid ${kind} status "${requestedStatus}"`, {
+            allowed: Object.keys(machine.transitions),
+        });
+    }
+
+    const trimmedReason = typeof reason === 'string' ? reason.trim() : null;
+    if (REASON_REQUIRED[kind].includes(toStatus) && !trimmedReason) {
+        throw httpError(400, `A reason is required when setting ${kind} status to "${toStatus}"`);
+    }
+
+    if (REVIEW_DECISIONS.includes(toStatus) && !canDecide(kind, actor)) {
+        throw httpError(403, `Only reviewers can set ${kind} status to "${toStatus}"`);
+    }
+
+    // Join the caller's transaction, or run our own
+    const executor = connection || await pool.getConnection();
+    const ownsTransaction = !connection;
+
+    try {
+        if (ownsTransaction) await executor.beginTransaction();
+
+        const [rows] = await executor.query(
+            'SELECT id, userId, proposal_status, report_status, organization_name FROM proposals WHERE id = ? FOR UPDATE',
+            [proposalId]
+        );
+        if (rows.length === 0) {
+            throw httpError(404, 'Proposal not found');
+        }
+
+        const current = rows[0];
+        const fromStatus = current[machine.column] || 'draft';
+
+        if (kind === 'report' && current.proposal_status !== 'approved') {
+            throw httpError(409, 'Reports can only move forward once the proposal is approved', {
+                from: fromStatus,
+                to: toStatus,
+            });
+        }
+
+        if (!canTransition(kind, fromStatus, toStatus)) {
+            throw httpError(409, `Cannot change ${kind} status from "${fromStatus}" to "${toStatus}"`, {
+                from: fromStatus,
+                to: toStatus,
+                allowed: getAllowedTransitions(kind, fromStatus),
+            });
+        }
+
+        // A revised proposal cannot go back to review while requested documents are missing
+        if (kind === 'proposal' && fromStatus === 'revision_requested' && toStatus === 'pending') {
+            const [[{ outstanding }]] = await executor.query(
+                `SELECT COUNT(*) AS outstanding
+                 FROM proposal_documentation_items i
+                 JOIN proposal_documentation_requests r ON r.id = i.request_id
+                 WHERE r.proposal_id = ? AND r.status = 'open' AND i.is_required = 1 AND i.status = 'pending'`,
+                [proposalId]
+            );
+            if (Number(outstanding) > 0) {
+                throw httpError(409, 'Submit the requested documentation before resubmitting this proposal', {
+                    from: fromStatus,
+                    to: toStatus,
+                    outstanding: Number(outstanding),
+                });
+            }
+        }
+
+        // Organizations with overdue accomplishment reports cannot send new proposals
+        if (kind === 'proposal' && fromStatus === 'draft' && toStatus === 'pending') {
+            await assertOrganizationCanSubmit(current.organization_name, {
+                ownerId: current.userId,
+                connection: executor,
+                excludeProposalId: proposalId,
+            });
+        }
+
+        // Venue / organization double bookings and blackout periods block approval
+        if (kind === 'proposal' && toStatus === 'approved') {
+            const conflicts = await findBlockingConflicts(proposalId, executor);
+            if (conflicts.length > 0) {
+                if (!overrideConflicts) {
+                    throw httpError(409, 'This proposal conflicts with the event schedule', {
+                        from: fromStatus,
+                        to: toStatus,
+                        conflicts,
+                    });
+                }
+                if (!trimmedReason) {
+                    throw httpError(400, 'A reason is required to approve a proposal despite schedule conflicts', {
+                        conflicts,
+                    });
+                }
+                console.warn(`⚠️ Lifecycle: Proposal ${proposalId} approved despite ${conflicts.length} schedule conflict(s)`);
+            }
+        }
+
+        const assignments = [`${machine.column} = ?`, 'updated_at = CURRENT_TIMESTAMP'];
+        const params = [toStatus];
+
+        if (REVIEW_DECISIONS.includes(toStatus)) {
+            assignments.push('reviewed_by_admin_id = ?', 'reviewed_at = CURRENT_TIMESTAMP');
+            params.push(actorId(actor));
+        }
+        if (trimmedReason) {
+            assignments.push('admin_comments = ?');
+            params.push(trimmedReason);
+        }
+        if (kind === 'proposal' && toStatus === 'pending') {
+            assignments.push('submitted_at = COALESCE(submitted_at, CURRENT_TIMESTAMP)');
+        }
+
+        await executor.query(
+            `UPDATE proposals SET ${assignments.join(', ')} WHERE id = ?`,
+            [...params, proposalId]
+        );
+
+        await recordStatusHistory(executor, {
+            proposalId,
+            kind,
+            from: fromStatus,
+            to: toStatus,
+            actor,
+            comment: trimmedReason,
+            source,
+        });
+
+        if (kind === 'proposal' && toStatus === 'approved') {
+            await createEventForProposal(proposalId, { actor, connection: executor });
+            await startComplianceClock(proposalId, { connection: executor });
+        }
+        if (kind === 'report') {
+            await refreshComplianceStatus(proposalId, { connection: executor });
+        }
+        if (kind === 'report' && toStatus === 'approved') {
+            await awardEventCredits(proposalId, { actor, connection: executor });
+        }
+
+        if (ownsTransaction) await executor.commit();
+
+        const transition = {
+            proposalId: Number(proposalId),
+            kind,
+            from: fromStatus,
+            to: toStatus,
+            actorId: actorId(actor),
+            actorRole: actorRole(actor),
+            reason: trimmedReason,
+            source,
+            changedAt: new Date().toISOString(),
+        };
+
+        console.log(`🔄 Lifecycle: Proposal ${proposalId} ${kind} ${fromStatus} → ${toStatus}`, {
+            actorId: transition.actorId,
+            reason: transition.reason,
+        });
+
+        if (ownsTransaction) await notifyTransition(transition);
+
+        return transition;
+    } catch (error) {
+        if (ownsTransaction) await executor.rollback();
+        throw error;
+    } finally {
+        if (ownsTransaction) executor.release();
+    }
+}
+
+/**
+ * Move a proposal's `proposal_status`
+ * @param {number|string} proposalId - proposals.id
+ * @param {string} status - Target status (aliases such as "rejected" are accepted)
+ * @param {Object} [options]
+ * @param {Object|string} [options.actor] - req.user, or 'system'
+ * @param {string} [options.reason] - Why; required for denied / revision_requested
+ * @param {string} [options.source] - Route or job making the change (stored in the history)
+ * @param {Object} [options.connection] - Join an existing transaction instead of opening one
+ *   (the caller then sends notifications with notifyTransition() after committing)
+ * @param {boolean} [options.overrideConflicts] - Approve despite blocking schedule conflicts (needs a reason)
+ * @returns {Promise<Object>} The recorded transition ({ from, to, actorId, reason, ... })
+ */
+function transitionProposalStatus(proposalId, status, options = {}) {
+    return applyTransition('proposal', proposalId, status, options);
+}
+
+/**
+ * Move a proposal's `report_status` (accomplishment report)
+ * Same options as transitionProposalStatus; a reason is required for denied.
+ */
+function transitionReportStatus(proposalId, status, options = {}) {
+    return applyTransition('report', proposalId, status, options);
+}
+
+module.exports = {
+    PROPOSAL_TRANSITIONS,
+    REPORT_TRANSITIONS,
+    normalizeStatus,
+    getAllowedTransitions,
+    canTransition,
+    transitionProposalStatus,
+    transitionReportStatus,
+    recordStatusHistory,
+    getStatusHistory,
+};
@@ -4,9 +4,13 @@ const { Binary } = require('mongodb');
 const path = require("path");
 const Proposal = require("../models/Proposal");
 const ROLES = require('../constants/roles');
-const transporter = require('../config/nodemailer.config');
+const emailService = require('./email.service');
 const User = require("../models/User");
 const fs = require("fs");
+const { normalizeStatus, transitionProposalStatus } = require('./proposal-lifecycle.service');
+const { notifyTransition } = require('./notification.service');
+const { hasPermission } = require('./permission.service');
+const { httpError } = require('../utils/http-error');
 
 async function saveSection2Data(data) {
     const {
@@ -62,12 +66,38 @@ async function saveSection2Data(data) {
     }
 }
 
-async function saveSection2OrgData(data) {
+/**
+ * A proposal the section forms may change: the organizer's own, or any for proposal managers
+ * @param {number|string} proposalId - proposals.id
+ * @param {Object} actor - req.user
+ * @returns {Promise<{id: number, userId: number|null, proposal_status: string, isOwner: boolean}>}
+ */
+async function loadEditableProposal(proposalId, actor) {
+    const [rows] = await pool.query('SELECT id, userId, proposal_status FROM proposals WHERE id = ?', [proposalId]);
+    if (rows.length === 0) {
+        throw httpError(404, 'Proposal not found');
+    }
+
+    const isOwner = rows[0].userId !== null && String(rows[0].userId) === String(actor && actor.id);
+    if (!isOwner && !hasPermission(actor, 'proposal:manage')) {
+        throw httpError(403, 'You can only edit your own proposals');
+    }
+    return { ...rows[0], isOwner };
+}
+
+/**
+ * Create or update a proposal from the Section 2 organization form. The only
+ * status change it makes is the organizer submitting their own draft
+ * (`status: 'pending'`); review decisions go through the review routes.
+ * @param {Object} data - Request body
+ * @param {Object} actor - req.user, the owner of a new proposal
+ */
+async function saveSection2OrgData(data, actor) {
     const {
         title, description, category, organizationType,
         contactPerson, contactEmail, contactPhone,
         startDate, endDate, location, budget, objectives, volunteersNeeded,
-        status = 'draft',
+        status,
         proposal_id
     } = data;
 
@@ -86,6 +116,8 @@ async function saveSection2OrgData(data) {
     }
 
     if (proposal_id) {
+        const proposal = await loadEditableProposal(proposal_id, actor);
+
         const updateQuery = `
           UPDATE proposals 
           SET organization_name = ?, organization_description = ?, organization_type = ?,
@@ -93,7 +125,7 @@ async function saveSection2OrgData(data) {
               event_name = ?, event_venue = ?, event_start_date = ?, event_end_date = ?,
               event_start_time = ?, event_end_time = ?,
               school_event_type = ?, community_event_type = ?,
-              proposal_status = ?, updated_at = NOW()
+              updated_at = NOW()
           WHERE id = ?
         `;
         const schoolEventType = validatedOrganizationType === 'school-based' ? 'other' : null;
@@ -108,13 +140,17 @@ async function saveSection2OrgData(data) {
             '09:00:00', '17:00:00',
             schoolEventType,
             communityEventType,
-            status, proposal_id
+            proposal_id
         ];
 
         const [updateResult] = await pool.query(updateQuery, updateValues);
         if (updateResult.affectedRows === 0) {
             throw new Error('Proposal not found');
         }
+
+        if (proposal.isOwner && proposal.proposal_status === 'draft' && normalizeStatus(status) === 'pending') {
+            await transitionProposalStatus(proposal_id, 'pending', { actor, source: 'proposal.service.saveSection2OrgData' });
+        }
         return { id: proposal_id };
     } else {
         const insertQuery = `
@@ -123,9 +159,9 @@ async function saveSection2OrgData(data) {
             contact_name, contact_email, contact_phone,
             event_name, event_venue, event_start_date, event_end_date,
             event_start_time, event_end_time,
-            school_event_type, community_event_type,
+            school_event_type, community_event_type, userId,
             proposal_status, created_at, updated_at
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'draft', NOW(), NOW())
         `;
 
         const schoolEventType = validatedOrganizationType === 'school-based' ? 'other' : null;
@@ -140,17 +176,45 @@ async function saveSection2OrgData(data) {
             '09:00:00', '17:00:00',
             schoolEventType,
             communityEventType,
-            status
+            actor?.id ?? null
         ];
 
-        const [insertResult] = await pool.query(insertQuery, insertValues);
-        return { id: insertResult.insertId };
+        if (normalizeStatus(status) !== 'pending') {
+            const [insertResult] = await pool.query(insertQuery, insertValues);
+            return { id: insertResult.insertId };
+        }
+
+        // Submitted straight away: the lifecycle engine moves the new draft to pending
+        // in the same transaction, so a refused submission leaves no row behind
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+            const [insertResult] = await connection.query(insertQuery, insertValues);
+            const transition = await transitionProposalStatus(insertResult.insertId, 'pending', {
+                actor,
+                source: 'proposal.service.saveSection2OrgData',
+                connection,
+            });
+            await connection.commit();
+            await notifyTransition(transition);
+            return { id: insertResult.insertId };
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
     }
 }
 
-async function saveSection3EventData(data) {
+/**
+ * Save the Section 3 event details; completing them submits the organizer's draft for review
+ * @param {Object} data - Request body
+ * @param {Object} actor - req.user, the owner or a proposal manager
+ */
+async function saveSection3EventData(data, actor) {
     const {
-        proposal_id, venue, start_date, end_date, time_start, time_end,
+        proposal_id, venue, venue_id, start_date, end_date, time_start, time_end,
         event_type, event_mode
     } = data;
 
@@ -158,44 +222,32 @@ async function saveSection3EventData(data) {
         throw new Error('Missing required field: proposal_id');
     }
 
-    const [currentProposal] = await pool.query(
-        'SELECT proposal_status FROM proposals WHERE id = ?',
-        [proposal_id]
-    );
-
-    if (currentProposal.length === 0) {
-        throw new Error('Proposal not found');
-    }
-
-    const currentStatus = currentProposal[0].proposal_status;
-    let nextStatus = currentStatus;
-    if (currentStatus === 'draft') {
-        nextStatus = 'pending';
-    }
+    const proposal = await loadEditableProposal(proposal_id, actor);
+    const currentStatus = proposal.proposal_status;
 
     const updateQuery = `
       UPDATE proposals 
       SET event_venue = ?, 
+          venue_id = ?,
           event_start_date = ?, 
           event_end_date = ?,
           event_start_time = ?, 
           event_end_time = ?,
           school_event_type = ?,
           event_mode = ?,
-          proposal_status = ?,
           updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
     `;
 
     const updateValues = [
         venue || 'TBD',
+        Number(venue_id) || null,
         start_date || null,
         end_date || null,
         time_start || null,
         time_end || null,
         event_type || 'other',
         event_mode || 'offline',
-        nextStatus,
         proposal_id
     ];
 
@@ -204,6 +256,11 @@ async function saveSection3EventData(data) {
         throw new Error('Proposal not found or could not be updated');
     }
 
+    // Completing the event section submits the organizer's draft for review
+    if (proposal.isOwner && currentStatus === 'draft') {
+        await transitionProposalStatus(proposal_id, 'pending', { actor, source: 'proposal.service.saveSection3EventData' });
+    }
+
     const [verifyProposal] = await pool.query(
         'SELECT proposal_status FROM proposals WHERE id = ?',
         [proposal_id]
@@ -327,21 +384,16 @@ async function sendNewProposalEmail(proposal, user) {
         const reviewers = await User.find({ role: ROLES.REVIEWER });
 
         if (reviewers.length > 0) {
-            const mailOptions = {
-                from: process.env.EMAIL_USER,
-                bcc: reviewers.map(r => r.email),
-                subject: "New Partnership Proposal Submitted",
-                text: `Hello Reviewer,\n\nA new partnership proposal titled "${proposal.title}" has been submitted by ${user.name || user.email} and is awaiting your review.\n\nView proposal here: ${process.env.FRONTEND_URL}/proposals/${proposal._id}\n\nRegards,\nCEDO Team`,
-                html: `<p>Hello Reviewer,</p><p>A new partnership proposal titled "<strong>${proposal.title}</strong>" has been submitted by ${user.name || user.email} and is awaiting your review.</p><p><a href="${process.env.FRONTEND_URL}/proposals/${proposal._id}">View Proposal Details</a></p><p>Regards,<br>CEDO Team</p>`
-            };
-
-            transporter.sendMail(mailOptions, (error, info) => {
-                if (error) {
-                    console.error("Email notification failed:", error);
-                } else {
-                    console.log("Email notification sent:", info.response);
+            // One queued email per reviewer so each can opt out and retry independently
+            await emailService.queueForUsers(
+                'proposal_submitted',
+                reviewers.map(r => ({ email: r.email, name: r.name })),
+                {
+                    eventName: proposal.title,
+                    organization: user.organization,
+                    submittedBy: user.name || user.email,
                 }
-            });
+            );
         } else {
             console.log("No users found with role 'reviewer' to notify.");
         }
@@ -352,9 +404,7 @@ async function sendNewProposalEmail(proposal, user) {
 
 async function getProposals(user, filters) {
     const query = {};
-    const requestingUserRole = user.role;
-
-    if (requestingUserRole === ROLES.STUDENT || requestingUserRole === ROLES.PARTNER) {
+    if (!hasPermission(user, 'proposal:review')) {
         query.submitter = user.id;
     }
 
@@ -394,7 +444,7 @@ async function getProposalById(proposalId, user) {
         return null;
     }
 
-    if (user.role === ROLES.PARTNER && proposal.submitter && proposal.submitter._id.toString() !== user.id) {
+    if (!hasPermission(user, 'proposal:review') && proposal.submitter && proposal.submitter._id.toString() !== user.id) {
         const error = new Error("Not authorized to view this proposal");
         error.statusCode = 403;
         throw error;
@@ -410,9 +460,9 @@ async function updateProposal(proposalId, user, updateData, files) {
     }
 
     const isOwner = proposal.submitter.toString() === user.id;
-    const isAdminOrManager = [ROLES.HEAD_ADMIN, ROLES.MANAGER].includes(user.role);
+    const canManage = hasPermission(user, 'proposal:manage');
 
-    if (!isOwner && !isAdminOrManager) {
+    if (!isOwner && !canManage) {
         const err = new Error("Not authorized to update this proposal");
         err.statusCode = 403;
         throw err;
@@ -436,7 +486,7 @@ async function updateProposal(proposalId, user, updateData, files) {
     }
 
     const updateFields = { ...updateData };
-    if (!isAdminOrManager && updateFields.status !== undefined && updateFields.status !== proposal.status) {
+    if (!canManage && updateFields.status !== undefined && updateFields.status !== proposal.status) {
         delete updateFields.status;
     }
 
@@ -456,9 +506,9 @@ async function deleteProposal(proposalId, user) {
     }
 
     const isOwner = proposal.submitter.toString() === user.id;
-    const isAdminOrManager = [ROLES.HEAD_ADMIN, ROLES.MANAGER].includes(user.role);
+    const canManage = hasPermission(user, 'proposal:manage');
 
-    if (!isOwner && !isAdminOrManager) {
+    if (!isOwner && !canManage) {
         const err = new Error("Not authorized to delete this proposal");
         err.statusCode = 403;
         throw err;
@@ -0,0 +1,774 @@
+// ==============================
+// Registration Service
+// Online pre-registration for approved events
+// ==============================
+// Replaces the spreadsheet organizers used to upload as their pre-registration
+// list. An organizer opens registration on an approved event and configures:
+//   capacity      - registered spots (null for no limit)
+//   waitlist      - once full, further students queue in sign-up order and
+//                   are promoted automatically when a registered student
+//                   cancels or the capacity is raised
+//   cancellation  - students may cancel until `cancellation_deadline_hours`
+//                   before the event starts (leaving the waitlist is always allowed)
+//   questions     - custom questions answered when registering
+// Every registration also records the student's school, program and year level
+// so the exported list has the columns the reporting section's attendance
+// import reads (attendance-import.service).
+// Postponing or cancelling the event closes registration (event.service);
+// it cannot be reopened while the event is postponed, or ever once cancelled.
+
+const { json2csv } = require('json-2-csv');
+const { pool } = require('../config/db');
+const { publish } = require('./live-stream.service');
+const { notifyRegistrationPromoted } = require('./notification.service');
+const { hasPermission } = require('./permission.service');
+const { httpError } = require('../utils/http-error');
+
+const QUESTION_TYPES = ['text', 'choice', 'yes_no'];
+const MAX_QUESTIONS = 10;
+const MAX_ANSWER_LENGTH = 1000;
+const DEFAULT_CANCELLATION_HOURS = 24;
+
+function parseJson(value, fallback) {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value === 'object') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+// ==============================
+// Event Timing
+// ==============================
+
+/**
+ * The moment the event starts (server local time); midnight when no start time was given
+ * @returns {Date|null}
+ */
+function getEventStart(proposal) {
+    const { event_start_date: date, event_start_time: time } = proposal;
+    if (!date) return null;
+    let start;
+    if (date instanceof Date) {
+        start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    } else {
+        const [year, month, day] = String(date).slice(0, 10).split('-').map(Number);
+        start = new Date(year, month - 1, day);
+    }
+    if (time) {
+        const [hours, minutes] = String(time).split(':').map(Number);
+        start.setHours(hours || 0, minutes || 0, 0, 0);
+    }
+    return start;
+}
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+/**
+ * Whether students can register right now
+ * @returns {{ open: boolean, reason: string|null }}
+ */
+function getRegistrationWindow(settings, proposal, now = new Date()) {
+    if (!settings || !settings.is_open) {
+        return { open: false, reason: 'Registration is not open for this event' };
+    }
+    const opensAt = toDate(settings.opens_at);
+    if (opensAt && now < opensAt) {
+        return { open: false, reason: `Registration opens on ${opensAt.toLocaleString('en-US')}` };
+    }
+    const closesAt = toDate(settings.closes_at) || getEventStart(proposal);
+    if (closesAt && now >= closesAt) {
+        return { open: false, reason: 'Registration for this event has closed' };
+    }
+    return { open: true, reason: null };
+}
+
+/**
+ * Registered students may cancel until this moment
+ * @returns {Date|null} null when the event has no date
+ */
+function getCancellationDeadline(settings, proposal) {
+    const start = getEventStart(proposal);
+    if (!start) return null;
+    const hours = settings && settings.cancellation_deadline_hours !== null && settings.cancellation_deadline_hours !== undefined
+        ? Number(settings.cancellation_deadline_hours)
+        : DEFAULT_CANCELLATION_HOURS;
+    return new Date(start.getTime() - hours * 60 * 60 * 1000);
+}
+
+// ==============================
+// Loading
+// ==============================
+
+async function loadEvent(proposalId, executor = pool) {
+    const [rows] = await executor.query(
+        `SELECT id, userId, event_name, organization_name, proposal_status, event_status,
+                event_start_date, event_end_date, event_start_time, event_end_time, event_venue
+         FROM proposals WHERE id = ?`,
+        [proposalId]
+    );
+    if (rows.length === 0) {
+        throw httpError(404, 'Event not found');
+    }
+    return rows[0];
+}
+
+// Postponed events take registrations again once rescheduled; cancelled ones never do
+function assertEventGoesAhead(proposal) {
+    if (proposal.event_status === 'cancelled') {
+        throw httpError(409, 'This event has been cancelled');
+    }
+    if (proposal.event_status === 'postponed') {
+        throw httpError(409, 'This event has been postponed. Registration can reopen once it is rescheduled.');
+    }
+}
+
+async function loadSettings(proposalId, executor = pool, { forUpdate = false } = {}) {
+    const [rows] = await executor.query(
+        `SELECT * FROM event_registration_settings WHERE proposal_id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+        [proposalId]
+    );
+    return rows[0] || null;
+}
+
+async function countRegistrations(proposalId, executor = pool) {
+    const [rows] = await executor.query(
+        `SELECT status, COUNT(*) AS total FROM event_registrations
+         WHERE proposal_id = ? GROUP BY status`,
+        [proposalId]
+    );
+    const counts = { registered: 0, waitlisted: 0, cancelled: 0 };
+    rows.forEach((row) => {
+        counts[row.status] = Number(row.total);
+    });
+    return counts;
+}
+
+function assertOrganizerOrStaff(proposal, user) {
+    if (!hasPermission(user, 'event:manage') && String(proposal.userId) !== String(user.id)) {
+        throw httpError(403, 'Only the event organizer and CEDO staff can manage registration');
+    }
+}
+
+const describeEvent = (proposal) => ({
+    id: proposal.id,
+    name: proposal.event_name || proposal.organization_name || `Event #${proposal.id}`,
+    organization: proposal.organization_name,
+    venue: proposal.event_venue || null,
+    startsAt: getEventStart(proposal),
+    endDate: proposal.event_end_date || null,
+});
+
+function formatSettings(settings, proposal) {
+    const row = settings || {};
+    return {
+        isOpen: Boolean(row.is_open),
+        capacity: row.capacity === null || row.capacity === undefined ? null : Number(row.capacity),
+        waitlistEnabled: row.waitlist_enabled === undefined ? true : Boolean(row.waitlist_enabled),
+        cancellationDeadlineHours: row.cancellation_deadline_hours === undefined || row.cancellation_deadline_hours === null
+            ? DEFAULT_CANCELLATION_HOURS
+            : Number(row.cancellation_deadline_hours),
+        opensAt: row.opens_at || null,
+        closesAt: row.closes_at || null,
+        questions: parseJson(row.questions, []),
+        cancellationDeadline: getCancellationDeadline(settings, proposal),
+    };
+}
+
+function formatRegistration(row) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        name: row.name,
+        email: row.email,
+        studentId: row.student_id || null,
+        status: row.status,
+        school: row.school,
+        program: row.program,
+        yearLevel: row.year_level,
+        answers: parseJson(row.answers, {}),
+        registeredAt: row.registered_at,
+        waitlistedAt: row.waitlisted_at,
+        promotedAt: row.promoted_at,
+        cancelledAt: row.cancelled_at,
+    };
+}
+
+// ==============================
+// Settings
+// ==============================
+
+/**
+ * Validate the organizer's custom questions
+ * @returns {Object[]} [{ id, label, type, options, required }]
+ */
+function normalizeQuestions(questions) {
+    if (questions === undefined || questions === null) return [];
+    if (!Array.isArray(questions)) {
+        throw httpError(400, 'questions must be a list');
+    }
+    if (questions.length > MAX_QUESTIONS) {
+        throw httpError(400, `At most ${MAX_QUESTIONS} registration questions are allowed`);
+    }
+
+    const ids = new Set();
+    return questions.map((question, index) => {
+        const label = String((question && question.label) || '').trim();
+        if (!label) {
+            throw httpError(400, `Question ${index + 1} needs a label`);
+        }
+        const type = question.type || 'text';
+        if (!QUESTION_TYPES.includes(type)) {
+            throw httpError(400, `Question "${label}" has an unknown type`, { allowed: QUESTION_TYPES });
+        }
+
+        let options = [];
+        if (type === 'choice') {
+            options = [...new Set((question.options || []).map((option) => String(option).trim()).filter(Boolean))];
+            if (options.length < 2) {
+                throw httpError(400, `Question "${label}" needs at least two choices`);
+            }
+        }
+
+        // Keep ids stable so answers given before an edit still line up
+        let id = String(question.id || '').trim() || `q${index + 1}`;
+        while (ids.has(id)) id = `${id}_${index + 1}`;
+        ids.add(id);
+
+        return { id, label, type, options, required: Boolean(question.required) };
+    });
+}
+
+function readSettingsInput(input, current) {
+    const value = (key, fallback) => (input[key] === undefined ? fallback : input[key]);
+
+    const capacity = value('capacity', current.capacity);
+    if (capacity !== null && capacity !== '' && (!Number.isInteger(Number(capacity)) || Number(capacity) < 1)) {
+        throw httpError(400, 'capacity must be a whole number of at least 1, or empty for no limit');
+    }
+
+    const cancellationHours = Number(value('cancellationDeadlineHours', current.cancellationDeadlineHours));
+    if (!Number.isInteger(cancellationHours) || cancellationHours < 0) {
+        throw httpError(400, 'cancellationDeadlineHours must be zero or more whole hours');
+    }
+
+    const opensAt = value('opensAt', current.opensAt);
+    const closesAt = value('closesAt', current.closesAt);
+    [opensAt, closesAt].forEach((date) => {
+        if (date && Number.isNaN(new Date(date).getTime())) {
+            throw httpError(400, 'opensAt and closesAt must be valid dates');
+        }
+    });
+    if (opensAt && closesAt && new Date(opensAt) >= new Date(closesAt)) {
+        throw httpError(400, 'Registration must open before it closes');
+    }
+
+    return {
+        isOpen: Boolean(value('isOpen', current.isOpen)),
+        capacity: capacity === null || capacity === '' ? null : Number(capacity),
+        waitlistEnabled: Boolean(value('waitlistEnabled', current.waitlistEnabled)),
+        cancellationDeadlineHours: cancellationHours,
+        opensAt: opensAt ? new Date(opensAt) : null,
+        closesAt: closesAt ? new Date(closesAt) : null,
+        questions: input.questions === undefined ? current.questions : normalizeQuestions(input.questions),
+    };
+}
+
+/**
+ * Registration settings and counts for the organizer
+ */
+async function getSettings(proposalId, user) {
+    const proposal = await loadEvent(proposalId);
+    assertOrganizerOrStaff(proposal, user);
+
+    const settings = await loadSettings(proposal.id);
+    const counts = await countRegistrations(proposal.id);
+    return {
+        event: describeEvent(proposal),
+        settings: formatSettings(settings, proposal),
+        window: getRegistrationWindow(settings, proposal),
+        counts,
+    };
+}
+
+/**
+ * Save the organizer's registration settings. Raising the capacity (or
+ * removing it) promotes waitlisted students into the new spots.
+ * @param {number} proposalId
+ * @param {Object} input - { isOpen, capacity, waitlistEnabled, cancellationDeadlineHours, opensAt, closesAt, questions }
+ * @param {Object} user - Organizer or staff
+ */
+async function updateSettings(proposalId, input, user) {
+    const proposal = await loadEvent(proposalId);
+    assertOrganizerOrStaff(proposal, user);
+
+    const connection = await pool.getConnection();
+    let promoted = [];
+    try {
+        await connection.beginTransaction();
+
+        const current = await loadSettings(proposal.id, connection, { forUpdate: true });
+        const next = readSettingsInput(input || {}, formatSettings(current, proposal));
+        if (next.isOpen && proposal.proposal_status !== 'approved') {
+            throw httpError(409, 'Registration can only be opened for approved events');
+        }
+        if (next.isOpen) {
+            assertEventGoesAhead(proposal);
+        }
+
+        await connection.query(
+            `INSERT INTO event_registration_settings
+                (proposal_id, is_open, capacity, waitlist_enabled, cancellation_deadline_hours, opens_at, closes_at, questions, updated_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE
+                is_open = VALUES(is_open), capacity = VALUES(capacity), waitlist_enabled = VALUES(waitlist_enabled),
+                cancellation_deadline_hours = VALUES(cancellation_deadline_hours), opens_at = VALUES(opens_at),
+                closes_at = VALUES(closes_at), questions = VALUES(questions), updated_by = VALUES(updated_by)`,
+            [
+                proposal.id, next.isOpen, next.capacity, next.waitlistEnabled, next.cancellationDeadlineHours,
+                next.opensAt, next.closesAt, JSON.stringify(next.questions), user.id,
+            ]
+        );
+
+        promoted = await promoteFromWaitlist(proposal.id, { capacity: next.capacity }, connection);
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    console.log(`📝 Registration: settings saved for proposal ${proposal.id} by user ${user.id}`);
+    if (promoted.length > 0) {
+        await notifyRegistrationPromoted(proposal.id, promoted);
+    }
+    const result = await getSettings(proposal.id, user);
+    publishCounts(proposal, result.counts);
+    return result;
+}
+
+// ==============================
+// Waitlist
+// ==============================
+
+/**
+ * Move waitlisted students into free spots, oldest first
+ * @param {number} proposalId
+ * @param {{ capacity: number|null }} settings
+ * @param {Object} executor - Connection inside the caller's transaction
+ * @returns {Promise<number[]>} Promoted user ids
+ */
+async function promoteFromWaitlist(proposalId, settings, executor) {
+    let limit = null;
+    if (settings.capacity !== null && settings.capacity !== undefined) {
+        const [[{ total }]] = await executor.query(
+            `SELECT COUNT(*) AS total FROM event_registrations WHERE proposal_id = ? AND status = 'registered'`,
+            [proposalId]
+        );
+        limit = Number(settings.capacity) - Number(total);
+        if (limit <= 0) return [];
+    }
+
+    const [waiting] = await executor.query(
+        `SELECT id, user_id FROM event_registrations
+         WHERE proposal_id = ? AND status = 'waitlisted'
+         ORDER BY waitlisted_at, id${limit === null ? '' : ' LIMIT ?'}
+         FOR UPDATE`,
+        limit === null ? [proposalId] : [proposalId, limit]
+    );
+    if (waiting.length === 0) return [];
+
+    await executor.query(
+        `UPDATE event_registrations
+         SET status = 'registered', registered_at = NOW(), promoted_at = NOW()
+         WHERE id IN (?)`,
+        [waiting.map((row) => row.id)]
+    );
+    console.log(`⬆️ Registration: promoted ${waiting.length} student(s) from the waitlist for proposal ${proposalId}`);
+    return waiting.map((row) => row.user_id);
+}
+
+// Keep the organizer's registrant list current
+function publishCounts(proposal, counts) {
+    publish('registration.updated', { proposalId: proposal.id, counts }, { userIds: [proposal.userId], staff: true });
+}
+
+// ==============================
+// Students
+// ==============================
+
+/**
+ * Validate the student's answers against the event's questions
+ * @returns {Object} { questionId: answer }
+ */
+function normalizeAnswers(questions, answers = {}) {
+    const result = {};
+    const missing = [];
+
+    questions.forEach((question) => {
+        const raw = answers[question.id];
+        let answer = raw === undefined || raw === null ? '' : String(raw).trim();
+
+        if (answer && question.type === 'yes_no') {
+            const lowered = answer.toLowerCase();
+            if (['yes', 'true'].includes(lowered)) answer = 'Yes';
+            else if (['no', 'false'].includes(lowered)) answer = 'No';
+            else throw httpError(400, `Answer "${question.label}" with yes or no`);
+        }
+        if (answer && question.type === 'choice' && !question.options.includes(answer)) {
+            throw httpError(400, `"${answer}" is not one of the choices for "${question.label}"`);
+        }
+        if (answer.length > MAX_ANSWER_LENGTH) {
+            throw httpError(400, `The answer to "${question.label}" is too long`);
+        }
+
+        if (!answer && question.required) missing.push(question.label);
+        if (answer) result[question.id] = answer;
+    });
+
+    if (missing.length > 0) {
+        throw httpError(400, `Please answer: ${missing.join(', ')}`, { missing });
+    }
+    return result;
+}
+
+const profileValue = (value, max) => {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    return text ? text.slice(0, max) : null;
+};
+
+/**
+ * Approved events currently taking registrations, with the student's own status
+ * @param {Object} user
+ * @param {Object} [options] - { now }
+ */
+async function listOpenEvents(user, { now = new Date() } = {}) {
+    const [rows] = await pool.query(
+        `SELECT p.id, p.userId, p.event_name, p.organization_name, p.proposal_status,
+                p.event_start_date, p.event_end_date, p.event_start_time, p.event_end_time, p.event_venue,
+                s.is_open, s.capacity, s.waitlist_enabled, s.cancellation_deadline_hours,
+                s.opens_at, s.closes_at, s.questions,
+                (SELECT COUNT(*) FROM event_registrations r
+                 WHERE r.proposal_id = p.id AND r.status = 'registered') AS registered_count,
+                (SELECT COUNT(*) FROM event_registrations r
+                 WHERE r.proposal_id = p.id AND r.status = 'waitlisted') AS waitlisted_count,
+                mine.status AS my_status, mine.registered_at AS my_registered_at,
+                mine.waitlisted_at AS my_waitlisted_at,
+                (SELECT e.id FROM events e WHERE e.proposal_id = p.id) AS event_id
+         FROM event_registration_settings s
+         JOIN proposals p ON p.id = s.proposal_id
+         LEFT JOIN event_registrations mine ON mine.proposal_id = p.id AND mine.user_id = ?
+         WHERE s.is_open = TRUE AND p.proposal_status = 'approved'
+           AND (p.event_status IS NULL OR p.event_status NOT IN ('postponed', 'cancelled'))
+           AND (p.event_end_date IS NULL OR p.event_end_date >= CURDATE())
+         ORDER BY p.event_start_date, p.event_start_time`,
+        [user.id]
+    );
+
+    const events = [];
+    for (const row of rows) {
+        const window = getRegistrationWindow(row, row, now);
+        const mine = row.my_status && row.my_status !== 'cancelled' ? row.my_status : null;
+        // Hide events that have closed unless the student still holds a place
+        if (!window.open && !mine) continue;
+
+        let waitlistPosition = null;
+        if (mine === 'waitlisted') {
+            const [[{ ahead }]] = await pool.query(
+                `SELECT COUNT(*) AS ahead FROM event_registrations
+                 WHERE proposal_id = ? AND status = 'waitlisted' AND waitlisted_at < ?`,
+                [row.id, row.my_waitlisted_at]
+            );
+            waitlistPosition = Number(ahead) + 1;
+        }
+
+        const capacity = row.capacity === null ? null : Number(row.capacity);
+        const registered = Number(row.registered_count);
+        events.push({
+            ...describeEvent(row),
+            eventId: row.event_id || null,
+            registrationOpen: window.open,
+            closedReason: window.reason,
+            capacity,
+            registeredCount: registered,
+            waitlistedCount: Number(row.waitlisted_count),
+            spotsLeft: capacity === null ? null : Math.max(capacity - registered, 0),
+            waitlistEnabled: Boolean(row.waitlist_enabled),
+            cancellationDeadline: getCancellationDeadline(row, row),
+            questions: parseJson(row.questions, []),
+            isOrganizer: String(row.userId) === String(user.id),
+            myRegistration: mine ? { status: mine, registeredAt: row.my_registered_at, waitlistPosition } : null,
+        });
+    }
+    return events;
+}
+
+/**
+ * Register the student for an event; they go on the waitlist when it is full
+ * @param {number} proposalId
+ * @param {Object} user - Student
+ * @param {Object} input - { school, program, yearLevel, answers }
+ * @param {Object} [options] - { now }
+ * @returns {Promise<{ event: Object, registration: Object, counts: Object }>}
+ */
+async function register(proposalId, user, input = {}, { now = new Date() } = {}) {
+    if (!hasPermission(user, 'event:attend')) {
+        throw httpError(403, 'Only student accounts can register for events');
+    }
+
+    const connection = await pool.getConnection();
+    let proposal;
+    let status;
+    try {
+        await connection.beginTransaction();
+
+        proposal = await loadEvent(proposalId, connection);
+        // Locking the settings row serialises registrations for this event,
+        // so two students can never take the last spot at once
+        const settings = await loadSettings(proposal.id, connection, { forUpdate: true });
+        if (proposal.proposal_status !== 'approved') {
+            throw httpError(409, 'This event is not open for registration');
+        }
+        assertEventGoesAhead(proposal);
+        const window = getRegistrationWindow(settings, proposal, now);
+        if (!window.open) {
+            throw httpError(409, window.reason);
+        }
+
+        const answers = normalizeAnswers(parseJson(settings.questions, []), input.answers || {});
+
+        const [existing] = await connection.query(
+            'SELECT id, status FROM event_registrations WHERE proposal_id = ? AND user_id = ?',
+            [proposal.id, user.id]
+        );
+        if (existing[0] && existing[0].status !== 'cancelled') {
+            throw httpError(409, existing[0].status === 'waitlisted'
+                ? 'You are already on the waitlist for this event'
+                : 'You are already registered for this event');
+        }
+
+        const [[{ total }]] = await connection.query(
+            `SELECT COUNT(*) AS total FROM event_registrations WHERE proposal_id = ? AND status = 'registered'`,
+            [proposal.id]
+        );
+        if (settings.capacity === null || Number(total) < Number(settings.capacity)) {
+            status = 'registered';
+        } else if (settings.waitlist_enabled) {
+            status = 'waitlisted';
+        } else {
+            throw httpError(409, 'This event is full');
+        }
+
+        const values = [
+            status,
+            profileValue(input.school, 255),
+            profileValue(input.program, 255),
+            profileValue(input.yearLevel, 50),
+            JSON.stringify(answers),
+            status === 'registered' ? now : null,
+            status === 'waitlisted' ? now : null,
+        ];
+        if (existing[0]) {
+            // Coming back after cancelling starts over at the end of any queue
+            await connection.query(
+                `UPDATE event_registrations
+                 SET status = ?, school = ?, program = ?, year_level = ?, answers = ?,
+                     registered_at = ?, waitlisted_at = ?, promoted_at = NULL, cancelled_at = NULL
+                 WHERE id = ?`,
+                [...values, existing[0].id]
+            );
+        } else {
+            await connection.query(
+                `INSERT INTO event_registrations
+                    (status, school, program, year_level, answers, registered_at, waitlisted_at, proposal_id, user_id)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [...values, proposal.id, user.id]
+            );
+        }
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    console.log(`📝 Registration: user ${user.id} ${status} for proposal ${proposal.id}`);
+    const counts = await countRegistrations(proposal.id);
+    publishCounts(proposal, counts);
+    return { event: describeEvent(proposal), registration: { status }, counts };
+}
+
+/**
+ * Cancel the student's registration or leave the waitlist. A freed spot goes
+ * to the first student on the waitlist.
+ * @param {number} proposalId
+ * @param {Object} user - Student
+ * @param {Object} [options] - { now }
+ */
+async function cancel(proposalId, user, { now = new Date() } = {}) {
+    const connection = await pool.getConnection();
+    let proposal;
+    let previousStatus;
+    let promoted = [];
+    try {
+        await connection.beginTransaction();
+
+        proposal = await loadEvent(proposalId, connection);
+        const settings = await loadSettings(proposal.id, connection, { forUpdate: true });
+        const [rows] = await connection.query(
+            'SELECT id, status FROM event_registrations WHERE proposal_id = ? AND user_id = ?',
+            [proposal.id, user.id]
+        );
+        const registration = rows[0];
+        if (!registration || registration.status === 'cancelled') {
+            throw httpError(404, 'You are not registered for this event');
+        }
+
+        previousStatus = registration.status;
+        if (previousStatus === 'registered') {
+            const deadline = getCancellationDeadline(settings, proposal);
+            if (deadline && now >= deadline) {
+                throw httpError(409, `Cancellations closed on ${deadline.toLocaleString('en-US')}. Please contact the organizer.`, {
+                    deadline,
+                });
+            }
+        }
+
+        await connection.query(
+            `UPDATE event_registrations SET status = 'cancelled', cancelled_at = ? WHERE id = ?`,
+            [now, registration.id]
+        );
+        if (previousStatus === 'registered' && settings) {
+            promoted = await promoteFromWaitlist(proposal.id, settings, connection);
+        }
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    console.log(`📝 Registration: user ${user.id} cancelled (${previousStatus}) for proposal ${proposal.id}`);
+    if (promoted.length > 0) {
+        await notifyRegistrationPromoted(proposal.id, promoted);
+    }
+    const counts = await countRegistrations(proposal.id);
+    publishCounts(proposal, counts);
+    return { event: describeEvent(proposal), previousStatus, promotedCount: promoted.length, counts };
+}
+
+// ==============================
+// Registrant List
+// ==============================
+
+async function loadRegistrants(proposalId, status) {
+    const [rows] = await pool.query(
+        `SELECT r.*, u.name, u.email, u.student_id
+         FROM event_registrations r
+         JOIN users u ON u.id = r.user_id
+         WHERE r.proposal_id = ?${status ? ' AND r.status = ?' : ''}
+         ORDER BY FIELD(r.status, 'registered', 'waitlisted', 'cancelled'),
+                  COALESCE(r.registered_at, r.waitlisted_at, r.created_at), r.id`,
+        status ? [proposalId, status] : [proposalId]
+    );
+    return rows.map(formatRegistration);
+}
+
+/**
+ * Everyone who registered, waitlisted or cancelled, for the organizer
+ * @param {number} proposalId
+ * @param {Object} user - Organizer or staff
+ * @param {Object} [filters] - { status }
+ */
+async function listRegistrants(proposalId, user, { status } = {}) {
+    const proposal = await loadEvent(proposalId);
+    assertOrganizerOrStaff(proposal, user);
+
+    const settings = await loadSettings(proposal.id);
+    const registrants = await loadRegistrants(proposal.id, status || null);
+    return {
+        event: describeEvent(proposal),
+        settings: formatSettings(settings, proposal),
+        registrants,
+        counts: await countRegistrations(proposal.id),
+    };
+}
+
+// "2025-04-15 09:30" in server local time
+const csvDate = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    return `${date.toLocaleDateString('en-CA')} ${date.toTimeString().slice(0, 5)}`;
+};
+
+/**
+ * The registrant list as CSV. The first columns use the headers the
+ * attendance import recognises, so the file can be uploaded as-is in the
+ * accomplishment report's attendance section.
+ * @param {number} proposalId
+ * @param {Object} user - Organizer or staff
+ * @param {Object} [options] - { status } (default: registered only)
+ * @returns {Promise<{ filename: string, csv: string }>}
+ */
+async function exportRegistrants(proposalId, user, { status = 'registered' } = {}) {
+    const { event, settings, registrants } = await listRegistrants(proposalId, user, {
+        status: status === 'all' ? null : status,
+    });
+
+    const rows = registrants.map((registrant) => {
+        const row = {
+            fullName: registrant.name,
+            email: registrant.email,
+            studentId: registrant.studentId || '',
+            school: registrant.school || '',
+            program: registrant.program || '',
+            yearLevel: registrant.yearLevel || '',
+            status: registrant.status,
+            registeredAt: csvDate(registrant.registeredAt || registrant.waitlistedAt),
+        };
+        settings.questions.forEach((question) => {
+            row[`answer_${question.id}`] = registrant.answers[question.id] || '';
+        });
+        return row;
+    });
+
+    const keys = [
+        { field: 'fullName', title: 'Full Name' },
+        { field: 'email', title: 'Email' },
+        { field: 'studentId', title: 'Student ID' },
+        { field: 'school', title: 'School' },
+        { field: 'program', title: 'Program' },
+        { field: 'yearLevel', title: 'Year Level' },
+        { field: 'status', title: 'Registration Status' },
+        { field: 'registeredAt', title: 'Registered At' },
+        ...settings.questions.map((question) => ({ field: `answer_${question.id}`, title: question.label })),
+    ];
+
+    const csv = json2csv(rows, { keys, emptyFieldValue: '' });
+    const slug = String(event.organization || event.name).replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '');
+    return { filename: `${slug || `event_${event.id}`}_PreRegistration.csv`, csv };
+}
+
+module.exports = {
+    QUESTION_TYPES,
+    getEventStart,
+    getRegistrationWindow,
+    getCancellationDeadline,
+    normalizeQuestions,
+    normalizeAnswers,
+    promoteFromWaitlist,
+    getSettings,
+    updateSettings,
+    listOpenEvents,
+    register,
+    cancel,
+    listRegistrants,
+    exportRegistrants,
+};
@@ -0,0 +1,521 @@
+// ==============================
+// Report Review Service
+// Rubric review of accomplishment reports
+// ==============================
+// Reviewers score a submitted accomplishment report against a configurable
+// rubric (report_review_criteria: attendance evidence, objectives met, photo
+// documentation, signatures, ...). Every item is accepted, partially accepted
+// or rejected, with a comment, and can ask for a specific report file to be
+// uploaded again. The review is stored in report_reviews / report_review_items
+// (labels are copied so later rubric edits do not rewrite old reviews) and
+// decides the report through the lifecycle engine:
+//   - a rejected required item or any requested re-upload returns the report (denied)
+//   - otherwise it is accepted; partial items are accepted with the reviewer's note
+// A returned report can only be resubmitted with the requested files
+// (missingReuploads, checked by admin.service.saveSection5Reporting).
+
+const path = require('path');
+const { pool } = require('../config/db');
+const { notifyTransition } = require('./notification.service');
+const { transitionReportStatus } = require('./proposal-lifecycle.service');
+const { hasPermission } = require('./permission.service');
+const { httpError } = require('../utils/http-error');
+
+const ITEM_STATUSES = ['accepted', 'partial', 'rejected'];
+
+// Report files a reviewer can ask for again → proposals.<key>_file_name / _file_path
+const REPORT_DOCUMENTS = {
+    accomplishment_report: 'Accomplishment report',
+    pre_registration: 'Pre-registration list',
+    final_attendance: 'Final attendance list',
+};
+
+const QUEUE_STATUSES = ['pending', 'denied', 'approved'];
+
+const MAX_LABEL_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_COMMENT_LENGTH = 2000;
+
+const BACKEND_ROOT = path.join(__dirname, '..');
+
+const isStaff = (user) => hasPermission(user, 'report:review');
+
+function assertStaff(user) {
+    if (!isStaff(user)) {
+        throw httpError(403, 'Reviewer privileges required');
+    }
+}
+
+function assertRubricManager(user) {
+    if (!hasPermission(user, 'report:rubric')) {
+        throw httpError(403, 'You do not have permission to change the review rubric');
+    }
+}
+
+const trimmed = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// ==============================
+// Rubric
+// ==============================
+
+function formatCriterion(row) {
+    return {
+        id: row.id,
+        label: row.label,
+        description: row.description || null,
+        required: Boolean(row.is_required),
+        sortOrder: row.sort_order,
+        active: Boolean(row.is_active),
+    };
+}
+
+/**
+ * Rubric items in display order; retired items only on request
+ * @param {Object} [options] - { includeInactive }
+ * @returns {Promise<Object[]>}
+ */
+async function listCriteria({ includeInactive = false } = {}) {
+    const [rows] = await pool.query(
+        `SELECT * FROM report_review_criteria
+         ${includeInactive ? '' : 'WHERE is_active = TRUE'}
+         ORDER BY sort_order ASC, id ASC`
+    );
+    return rows.map(formatCriterion);
+}
+
+function validateCriterion({ label, description, required, sortOrder } = {}, { partial = false } = {}) {
+    const errors = {};
+    const values = {};
+
+    if (!partial || label !== undefined) {
+        values.label = trimmed(label);
+        if (!values.label) errors.label = 'Name the rubric item';
+        else if (values.label.length > MAX_LABEL_LENGTH) errors.label = `Keep the name under ${MAX_LABEL_LENGTH} characters`;
+    }
+    if (!partial || description !== undefined) {
+        values.description = trimmed(description) || null;
+        if (values.description && values.description.length > MAX_DESCRIPTION_LENGTH) {
+            errors.description = `Keep the description under ${MAX_DESCRIPTION_LENGTH} characters`;
+        }
+    }
+    if (!partial || required !== undefined) {
+        values.is_required = required !== false;
+    }
+    if (sortOrder !== undefined && sortOrder !== null && sortOrder !== '') {
+        values.sort_order = Number(sortOrder);
+        if (!Number.isInteger(values.sort_order)) errors.sortOrder = 'Position must be a whole number';
+    }
+
+    if (Object.keys(errors).length > 0) {
+        throw httpError(400, 'Invalid rubric item', { errors });
+    }
+    return values;
+}
+
+/**
+ * Add a rubric item (head admin / manager); new items go last unless placed
+ * @param {Object} input - { label, description, required, sortOrder }
+ */
+async function createCriterion(input, user) {
+    assertRubricManager(user);
+    const values = validateCriterion(input);
+
+    if (values.sort_order === undefined) {
+        const [[{ last }]] = await pool.query('SELECT COALESCE(MAX(sort_order), 0) AS last FROM report_review_criteria');
+        values.sort_order = Number(last) + 1;
+    }
+
+    const [result] = await pool.query(
+        `INSERT INTO report_review_criteria (label, description, is_required, sort_order, created_by)
+         VALUES (?, ?, ?, ?, ?)`,
+        [values.label, values.description, values.is_required, values.sort_order, user.id]
+    );
+    console.log(`✅ Report Review: Rubric item "${values.label}" added`, { userId: user.id });
+
+    const [rows] = await pool.query('SELECT * FROM report_review_criteria WHERE id = ?', [result.insertId]);
+    return formatCriterion(rows[0]);
+}
+
+/**
+ * Edit a rubric item; reviews already given keep the label they were given with
+ * @param {Object} input - Any of { label, description, required, sortOrder, active }
+ */
+async function updateCriterion(criterionId, input = {}, user) {
+    assertRubricManager(user);
+    const values = validateCriterion(input, { partial: true });
+    if (input.active !== undefined) values.is_active = input.active !== false;
+
+    const [rows] = await pool.query('SELECT * FROM report_review_criteria WHERE id = ?', [criterionId]);
+    if (rows.length === 0) {
+        throw httpError(404, 'Rubric item not found');
+    }
+
+    const columns = Object.keys(values);
+    if (columns.length > 0) {
+        await pool.query(
+            `UPDATE report_review_criteria SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map((column) => values[column]), criterionId]
+        );
+    }
+
+    const [updated] = await pool.query('SELECT * FROM report_review_criteria WHERE id = ?', [criterionId]);
+    return formatCriterion(updated[0]);
+}
+
+/**
+ * Retire a rubric item. It stays in the table so past reviews still point at it.
+ */
+async function retireCriterion(criterionId, user) {
+    assertRubricManager(user);
+    const [result] = await pool.query(
+        'UPDATE report_review_criteria SET is_active = FALSE WHERE id = ? AND is_active = TRUE',
+        [criterionId]
+    );
+    if (result.affectedRows === 0) {
+        throw httpError(404, 'Rubric item not found');
+    }
+}
+
+// ==============================
+// Reading
+// ==============================
+
+const PROPOSAL_COLUMNS = `
+    p.id, p.userId, p.event_name, p.organization_name, p.organization_type, p.proposal_status, p.report_status,
+    p.event_start_date, p.event_end_date, p.event_status, p.attendance_count, p.report_description, p.admin_comments,
+    p.accomplishment_report_file_name, p.accomplishment_report_file_path,
+    p.pre_registration_file_name, p.pre_registration_file_path,
+    p.final_attendance_file_name, p.final_attendance_file_path,
+    p.updated_at, owner.name AS owner_name, owner.email AS owner_email`;
+
+async function loadAccessibleProposal(proposalId, user, executor = pool) {
+    const [rows] = await executor.query(
+        `SELECT ${PROPOSAL_COLUMNS}
+         FROM proposals p
+         LEFT JOIN users owner ON owner.id = p.userId
+         WHERE p.id = ?`,
+        [proposalId]
+    );
+    const row = rows[0];
+    if (!row) {
+        throw httpError(404, 'Proposal not found');
+    }
+    if (!isStaff(user) && String(row.userId) !== String(user && user.id)) {
+        throw httpError(403, 'Not authorized to view this report');
+    }
+    return row;
+}
+
+function formatReportDocuments(row) {
+    return Object.entries(REPORT_DOCUMENTS).map(([key, label]) => ({
+        key,
+        label,
+        fileName: row[`${key}_file_name`] || null,
+        downloadUrl: row[`${key}_file_path`] ? `/api/report-reviews/${row.id}/files/${key}` : null,
+    }));
+}
+
+// An item the organizer has to act on before the report can be accepted
+const isFailed = (item) => (item.required && item.status === 'rejected') || Boolean(item.reuploadDocument);
+
+function formatItem(row) {
+    return {
+        id: row.id,
+        criterionId: row.criterion_id,
+        label: row.label,
+        required: Boolean(row.is_required),
+        status: row.status,
+        comment: row.comment || null,
+        reuploadDocument: row.reupload_document || null,
+    };
+}
+
+/**
+ * Reviews of one or more proposals, newest first, with their rubric items
+ * @returns {Promise<Map<string, Object[]>>} proposal id → reviews
+ */
+async function loadReviews(proposalIds, executor = pool) {
+    const byProposal = new Map(proposalIds.map((id) => [String(id), []]));
+    if (proposalIds.length === 0) return byProposal;
+
+    const [reviews] = await executor.query(
+        `SELECT r.*, u.name AS reviewer_name
+         FROM report_reviews r
+         LEFT JOIN users u ON u.id = r.reviewer_id
+         WHERE r.proposal_id IN (?)
+         ORDER BY r.created_at DESC, r.id DESC`,
+        [proposalIds]
+    );
+    if (reviews.length === 0) return byProposal;
+
+    const [items] = await executor.query(
+        'SELECT * FROM report_review_items WHERE review_id IN (?) ORDER BY id ASC',
+        [reviews.map((review) => review.id)]
+    );
+
+    reviews.forEach((review) => {
+        const reviewItems = items.filter((item) => item.review_id === review.id).map(formatItem);
+        const list = byProposal.get(String(review.proposal_id));
+        if (!list) return;
+        list.push({
+            id: review.id,
+            decision: review.decision,
+            summary: review.summary || null,
+            createdAt: review.created_at,
+            reviewer: review.reviewer_id ? { id: review.reviewer_id, name: review.reviewer_name || null } : null,
+            items: reviewItems,
+            failedItems: reviewItems.filter(isFailed),
+        });
+    });
+    return byProposal;
+}
+
+function formatReport(row, reviews) {
+    const latestReview = reviews[0] || null;
+    return {
+        proposalId: row.id,
+        eventName: row.event_name,
+        organizationName: row.organization_name,
+        organizationType: row.organization_type,
+        organizer: { id: row.userId, name: row.owner_name || null, email: row.owner_email || null },
+        eventStartDate: row.event_start_date,
+        eventEndDate: row.event_end_date,
+        eventStatus: row.event_status || null,
+        attendanceCount: row.attendance_count,
+        reportDescription: row.report_description || null,
+        reportStatus: row.report_status || 'draft',
+        updatedAt: row.updated_at,
+        documents: formatReportDocuments(row),
+        latestReview,
+        // Only a returned report still has open items; a resubmission is waiting for a new review
+        requestedReuploads: row.report_status === 'denied' && latestReview
+            ? [...new Set(latestReview.items.map((item) => item.reuploadDocument).filter(Boolean))]
+            : [],
+        reviews,
+    };
+}
+
+/**
+ * Reports to review (staff), oldest submission first
+ * @param {Object} [filters] - { status: 'pending'|'denied'|'approved' }, default pending
+ * @returns {Promise<Object[]>} Reports with their latest review
+ */
+async function listReviewQueue(user, { status = 'pending' } = {}) {
+    assertStaff(user);
+    const reportStatus = QUEUE_STATUSES.includes(status) ? status : 'pending';
+
+    const [rows] = await pool.query(
+        `SELECT ${PROPOSAL_COLUMNS}
+         FROM proposals p
+         LEFT JOIN users owner ON owner.id = p.userId
+         WHERE p.proposal_status = 'approved' AND p.report_status = ?
+         ORDER BY p.updated_at ASC, p.id ASC`,
+        [reportStatus]
+    );
+    const reviews = await loadReviews(rows.map((row) => row.id));
+
+    return rows.map((row) => {
+        const { reviews: history, ...report } = formatReport(row, reviews.get(String(row.id)) || []);
+        return { ...report, reviewCount: history.length };
+    });
+}
+
+/**
+ * One report with its files, every review given and the current rubric
+ * (owner and staff)
+ */
+async function getReportReview(proposalId, user) {
+    const row = await loadAccessibleProposal(proposalId, user);
+    const [reviews, rubric] = await Promise.all([
+        loadReviews([row.id]),
+        listCriteria(),
+    ]);
+    return {
+        ...formatReport(row, reviews.get(String(row.id)) || []),
+        rubric,
+    };
+}
+
+/**
+ * A submitted report file, for download by the organizer or staff
+ * @param {string} documentKey - One of REPORT_DOCUMENTS
+ * @returns {Promise<{ path: string, fileName: string }>}
+ */
+async function getReportFile(proposalId, documentKey, user) {
+    if (!REPORT_DOCUMENTS[documentKey]) {
+        throw httpError(404, 'Unknown report document');
+    }
+    const row = await loadAccessibleProposal(proposalId, user);
+    const filePath = row[`${documentKey}_file_path`];
+    if (!filePath) {
+        throw httpError(404, `${REPORT_DOCUMENTS[documentKey]} has not been uploaded`);
+    }
+    return {
+        path: path.isAbsolute(filePath) ? filePath : path.join(BACKEND_ROOT, filePath),
+        fileName: row[`${documentKey}_file_name`] || path.basename(filePath),
+    };
+}
+
+// ==============================
+// Reviewing
+// ==============================
+
+/**
+ * Check the reviewer's items against the active rubric: every item scored,
+ * a comment on anything not fully accepted, known re-upload documents
+ * @returns {Object[]} Items ready to store, in rubric order
+ */
+function validateItems(items, rubric) {
+    const byCriterion = new Map((Array.isArray(items) ? items : []).map((item) => [String(item && item.criterionId), item]));
+    const errors = {};
+
+    const validated = rubric.map((criterion) => {
+        const item = byCriterion.get(String(criterion.id)) || {};
+        const status = String(item.status || '').toLowerCase();
+        const comment = trimmed(item.comment);
+        const reuploadDocument = item.reuploadDocument || null;
+
+        if (!ITEM_STATUSES.includes(status)) {
+            errors[criterion.id] = 'Mark this item accepted, partial or rejected';
+        } else if (reuploadDocument && !REPORT_DOCUMENTS[reuploadDocument]) {
+            errors[criterion.id] = 'Choose which report file to upload again';
+        } else if ((status !== 'accepted' || reuploadDocument) && !comment) {
+            errors[criterion.id] = 'Tell the organizer what is missing';
+        } else if (comment.length > MAX_COMMENT_LENGTH) {
+            errors[criterion.id] = `Keep the comment under ${MAX_COMMENT_LENGTH} characters`;
+        }
+
+        return {
+            criterionId: criterion.id,
+            label: criterion.label,
+            required: criterion.required,
+            status,
+            comment: comment || null,
+            reuploadDocument,
+        };
+    });
+
+    if (Object.keys(errors).length > 0) {
+        throw httpError(400, 'Review every rubric item', { errors: { items: errors } });
+    }
+    return validated;
+}
+
+// The lifecycle reason (admin_comments, notification and email) lists what to fix
+function decisionReason(summary, items) {
+    const lines = items
+        .filter((item) => item.status !== 'accepted' || item.reuploadDocument)
+        .map((item) => {
+            const reupload = item.reuploadDocument ? ` (upload the ${REPORT_DOCUMENTS[item.reuploadDocument].toLowerCase()} again)` : '';
+            return `- ${item.label}: ${item.status}${reupload}. ${item.comment}`;
+        });
+    return [summary, lines.join('\n')].filter(Boolean).join('\n\n') || null;
+}
+
+/**
+ * Review a pending accomplishment report against the rubric and decide it
+ * @param {Object} input - { items: [{ criterionId, status, comment, reuploadDocument }], summary }
+ * @param {Object} [options] - { source } stored in the status history
+ * @returns {Promise<Object>} The report with the new review
+ */
+async function submitReportReview(proposalId, user, { items, summary } = {}, { source = null } = {}) {
+    assertStaff(user);
+
+    const trimmedSummary = trimmed(summary);
+    if (trimmedSummary.length > MAX_COMMENT_LENGTH) {
+        throw httpError(400, 'Invalid review', { errors: { summary: `Keep the summary under ${MAX_COMMENT_LENGTH} characters` } });
+    }
+
+    const rubric = await listCriteria();
+    if (rubric.length === 0) {
+        throw httpError(409, 'The review rubric is empty; add rubric items first');
+    }
+    const reviewed = validateItems(items, rubric);
+
+    const row = await loadAccessibleProposal(proposalId, user);
+    if (row.report_status !== 'pending') {
+        throw httpError(409, 'Only submitted reports awaiting review can be reviewed', { from: row.report_status });
+    }
+
+    const decision = reviewed.some(isFailed) ? 'denied' : 'approved';
+
+    let transition;
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        transition = await transitionReportStatus(proposalId, decision, {
+            actor: user,
+            reason: decisionReason(trimmedSummary, reviewed),
+            source,
+            connection,
+        });
+
+        const [result] = await connection.query(
+            'INSERT INTO report_reviews (proposal_id, reviewer_id, decision, summary) VALUES (?, ?, ?, ?)',
+            [proposalId, user.id, decision, trimmedSummary || null]
+        );
+        await connection.query(
+            `INSERT INTO report_review_items (review_id, criterion_id, label, is_required, status, comment, reupload_document)
+             VALUES ?`,
+            [reviewed.map((item) => [
+                result.insertId,
+                item.criterionId,
+                item.label,
+                item.required,
+                item.status,
+                item.comment,
+                item.reuploadDocument,
+            ])]
+        );
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    console.log(`✅ Report Review: Report of proposal ${proposalId} ${decision}`, {
+        reviewerId: user.id,
+        failed: reviewed.filter(isFailed).map((item) => item.label),
+    });
+    await notifyTransition(transition);
+
+    return getReportReview(proposalId, user);
+}
+
+/**
+ * Report files the latest review asked for that a resubmission does not include
+ * @param {number|string} proposalId
+ * @param {string[]} uploadedDocuments - REPORT_DOCUMENTS keys in the resubmission
+ * @returns {Promise<string[]>} Labels of the missing files
+ */
+async function missingReuploads(proposalId, uploadedDocuments, executor = pool) {
+    const [rows] = await executor.query(
+        `SELECT DISTINCT i.reupload_document
+         FROM report_review_items i
+         WHERE i.reupload_document IS NOT NULL
+           AND i.review_id = (SELECT r.id FROM report_reviews r WHERE r.proposal_id = ? ORDER BY r.created_at DESC, r.id DESC LIMIT 1)`,
+        [proposalId]
+    );
+    return rows
+        .map((row) => row.reupload_document)
+        .filter((key) => !uploadedDocuments.includes(key))
+        .map((key) => REPORT_DOCUMENTS[key] || key);
+}
+
+module.exports = {
+    ITEM_STATUSES,
+    REPORT_DOCUMENTS,
+    listCriteria,
+    createCriterion,
+    updateCriterion,
+    retireCriterion,
+    listReviewQueue,
+    getReportReview,
+    getReportFile,
+    submitReportReview,
+    missingReuploads,
+};
@@ -0,0 +1,514 @@
+// ==============================
+// Proposal Review Service
+// Backs admin-dashboard/review/services/reviewService.js
+// ==============================
+// Reviewer comments are threaded (parent_id), decisions are stored in `reviews`
+// and applied through the proposal lifecycle engine, and documentation
+// requests create a checklist the student has to work through before the
+// proposal can be resubmitted.
+
+const { pool } = require('../config/db');
+const { transitionProposalStatus, getStatusHistory } = require('./proposal-lifecycle.service');
+const { notifyTransition } = require('./notification.service');
+const { checkProposalConflicts } = require('./schedule-conflict.service');
+const { hasPermission } = require('./permission.service');
+const { httpError } = require('../utils/http-error');
+
+// Review decisions as sent by the dashboard → proposal_status
+const DECISION_STATUS = {
+    approve: 'approved',
+    approved: 'approved',
+    reject: 'denied',
+    rejected: 'denied',
+    deny: 'denied',
+    denied: 'denied',
+    revision: 'revision_requested',
+    revise: 'revision_requested',
+    revision_requested: 'revision_requested',
+};
+
+const MAX_COMMENT_LENGTH = 5000;
+
+// Students may only read and reply on their own proposals
+const isReviewer = (user) => hasPermission(user, 'proposal:review');
+
+/**
+ * Load a proposal and check the user may see it (reviewers, or the student who owns it)
+ */
+async function loadAccessibleProposal(proposalId, user, executor = pool) {
+    const [rows] = await executor.query('SELECT * FROM proposals WHERE id = ?', [proposalId]);
+    if (rows.length === 0) {
+        throw httpError(404, 'Proposal not found');
+    }
+
+    const proposal = rows[0];
+    const isOwner = proposal.userId !== null && proposal.userId !== undefined && String(proposal.userId) === String(user.id);
+    if (!isOwner && !isReviewer(user)) {
+        throw httpError(403, 'Not authorized to access this proposal');
+    }
+
+    return proposal;
+}
+
+function assertReviewer(user) {
+    if (!isReviewer(user)) {
+        throw httpError(403, 'Reviewer privileges required');
+    }
+}
+
+// ==============================
+// Comments
+// ==============================
+
+function formatComment(row) {
+    return {
+        id: row.id,
+        parentId: row.parent_id,
+        kind: row.kind,
+        text: row.body,
+        internal: Boolean(row.is_internal),
+        timestamp: row.created_at,
+        author: {
+            id: row.author_id,
+            name: row.author_name || 'Unknown user',
+            role: row.author_role,
+        },
+        replies: [],
+    };
+}
+
+async function insertComment(executor, { proposalId, parentId = null, user, body, kind = 'comment', internal = false }) {
+    const [result] = await executor.query(
+        `INSERT INTO proposal_comments (proposal_id, parent_id, author_id, author_role, kind, body, is_internal)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [proposalId, parentId, user.id, user.role, kind, body, internal ? 1 : 0]
+    );
+    return result.insertId;
+}
+
+/**
+ * Comment thread for a proposal, as a tree of top-level comments with replies
+ * Internal reviewer notes are left out for students.
+ */
+async function listComments(proposalId, user) {
+    await loadAccessibleProposal(proposalId, user);
+
+    const [rows] = await pool.query(
+        `SELECT c.*, u.name AS author_name
+         FROM proposal_comments c
+         LEFT JOIN users u ON u.id = c.author_id
+         WHERE c.proposal_id = ?${isReviewer(user) ? '' : ' AND c.is_internal = 0'}
+         ORDER BY c.created_at ASC, c.id ASC`,
+        [proposalId]
+    );
+
+    const byId = new Map(rows.map((row) => [row.id, formatComment(row)]));
+    const thread = [];
+    byId.forEach((comment) => {
+        const parent = comment.parentId ? byId.get(comment.parentId) : null;
+        if (parent) {
+            parent.replies.push(comment);
+        } else {
+            thread.push(comment);
+        }
+    });
+
+    return thread;
+}
+
+/**
+ * Add a comment or a reply to a proposal's thread
+ * @param {Object} input - { comment, parentId, internal }
+ */
+async function addComment(proposalId, user, { comment, parentId = null, internal = false } = {}) {
+    const body = typeof comment === 'string' ? comment.trim() : '';
+    if (!body) {
+        throw httpError(400, 'Comment cannot be empty', { errors: { comment: 'Comment cannot be empty' } });
+    }
+    if (body.length > MAX_COMMENT_LENGTH) {
+        throw httpError(400, `Comment must be at most ${MAX_COMMENT_LENGTH} characters`, {
+            errors: { comment: `Comment must be at most ${MAX_COMMENT_LENGTH} characters` },
+        });
+    }
+
+    await loadAccessibleProposal(proposalId, user);
+
+    if (parentId) {
+        const [parents] = await pool.query(
+            'SELECT id FROM proposal_comments WHERE id = ? AND proposal_id = ?',
+            [parentId, proposalId]
+        );
+        if (parents.length === 0) {
+            throw httpError(400, 'Parent comment does not belong to this proposal', {
+                errors: { parentId: 'Unknown parent comment' },
+            });
+        }
+    }
+
+    // Only reviewers can leave notes the student does not see
+    const commentId = await insertComment(pool, {
+        proposalId,
+        parentId: parentId || null,
+        user,
+        body,
+        internal: Boolean(internal) && isReviewer(user),
+    });
+
+    const [rows] = await pool.query(
+        `SELECT c.*, u.name AS author_name FROM proposal_comments c
+         LEFT JOIN users u ON u.id = c.author_id WHERE c.id = ?`,
+        [commentId]
+    );
+
+    console.log('💬 Review Service: Comment added:', { proposalId, commentId, parentId });
+    return formatComment(rows[0]);
+}
+
+// ==============================
+// Decisions
+// ==============================
+
+/**
+ * Record a structured review decision and apply it to the proposal
+ * @param {Object} input - { decision: approve|reject|revision, comment, overrideConflicts }
+ *   overrideConflicts approves despite blocking schedule conflicts; the comment is then required
+ * @returns {Promise<Object>} { proposalId, status, previousStatus, reviewedAt, reviewedBy, reviewId }
+ */
+async function submitReview(proposalId, user, { decision, comment, overrideConflicts = false } = {}, { source = null } = {}) {
+    assertReviewer(user);
+
+    const status = DECISION_STATUS[String(decision || '').toLowerCase()];
+    if (!status) {
+        throw httpError(400, 'Decision must be one of: approve, reject, revision', {
+            errors: { decision: 'Select approve, reject or revision' },
+        });
+    }
+
+    const reason = typeof comment === 'string' ? comment.trim() : '';
+    if (status !== 'approved' && !reason) {
+        throw httpError(400, 'A reason is required when rejecting or requesting revisions', {
+            errors: { comment: 'Explain why the proposal is being rejected or needs revision' },
+        });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const transition = await transitionProposalStatus(proposalId, status, {
+            actor: user,
+            reason: reason || null,
+            source,
+            connection,
+            overrideConflicts: Boolean(overrideConflicts),
+        });
+
+        const [reviewResult] = await connection.query(
+            'INSERT INTO reviews (proposalId, reviewerId, comments, decision) VALUES (?, ?, ?, ?)',
+            [proposalId, user.id, reason || null, status]
+        );
+
+        if (reason) {
+            await insertComment(connection, { proposalId, user, body: reason, kind: 'decision' });
+        }
+
+        await connection.commit();
+        console.log('✅ Review Service: Decision recorded:', { proposalId, status, reviewerId: user.id });
+        await notifyTransition(transition);
+
+        return {
+            proposalId: Number(proposalId),
+            status,
+            previousStatus: transition.from,
+            reviewedAt: transition.changedAt,
+            reviewedBy: user.id,
+            reviewId: reviewResult.insertId,
+        };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Direct status change (PATCH /status); same rules as a review decision
+ */
+async function updateStatus(proposalId, user, { status, reason, comment, overrideConflicts = false } = {}, { source = null } = {}) {
+    assertReviewer(user);
+    return transitionProposalStatus(proposalId, status, {
+        actor: user,
+        reason: reason || comment || null,
+        source,
+        overrideConflicts: Boolean(overrideConflicts),
+    });
+}
+
+// ==============================
+// Documentation Requests
+// ==============================
+
+// Accept ['GPOA', ...] or [{ label, description, required }, ...]
+function normalizeChecklist(items, message) {
+    const list = Array.isArray(items) ? items : [];
+    const normalized = list
+        .map((item) => (typeof item === 'string' ? { label: item } : item || {}))
+        .map((item) => ({
+            label: String(item.label || item.name || '').trim(),
+            description: item.description ? String(item.description).trim() : null,
+            required: item.required !== false,
+        }))
+        .filter((item) => item.label);
+
+    if (normalized.length === 0 && message) {
+        return [{ label: 'Additional documentation', description: message, required: true }];
+    }
+    return normalized;
+}
+
+function formatDocumentationRequests(requests, items) {
+    return requests.map((request) => {
+        const checklist = items
+            .filter((item) => item.request_id === request.id)
+            .map((item) => ({
+                id: item.id,
+                label: item.label,
+                description: item.description,
+                required: Boolean(item.is_required),
+                status: item.status,
+                note: item.response_note,
+                fileName: item.file_name,
+                submittedAt: item.submitted_at,
+            }));
+
+        return {
+            id: request.id,
+            proposalId: request.proposal_id,
+            message: request.message,
+            status: request.status,
+            dueDate: request.due_date,
+            requestedBy: request.requested_by,
+            createdAt: request.created_at,
+            fulfilledAt: request.fulfilled_at,
+            outstanding: checklist.filter((item) => item.required && item.status !== 'submitted').length,
+            checklist,
+        };
+    });
+}
+
+async function listDocumentationRequests(proposalId, user) {
+    await loadAccessibleProposal(proposalId, user);
+
+    const [requests] = await pool.query(
+        'SELECT * FROM proposal_documentation_requests WHERE proposal_id = ? ORDER BY created_at DESC, id DESC',
+        [proposalId]
+    );
+    if (requests.length === 0) return [];
+
+    const [items] = await pool.query(
+        'SELECT * FROM proposal_documentation_items WHERE request_id IN (?) ORDER BY id ASC',
+        [requests.map((request) => request.id)]
+    );
+
+    return formatDocumentationRequests(requests, items);
+}
+
+/**
+ * Ask the student for more documents
+ * A pending proposal is sent back as revision_requested; the checklist must be
+ * satisfied before it can be resubmitted.
+ * @param {Object} input - { message, items, dueDate }
+ */
+async function requestDocumentation(proposalId, user, { message, items, dueDate } = {}, { source = null } = {}) {
+    assertReviewer(user);
+
+    const trimmedMessage = typeof message === 'string' ? message.trim() : '';
+    const checklist = normalizeChecklist(items, trimmedMessage);
+    if (checklist.length === 0) {
+        throw httpError(400, 'Provide a message or at least one checklist item', {
+            errors: { items: 'Add at least one document to request' },
+        });
+    }
+
+    let transition = null;
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const proposal = await loadAccessibleProposal(proposalId, user, connection);
+
+        const [requestResult] = await connection.query(
+            `INSERT INTO proposal_documentation_requests (proposal_id, requested_by, message, due_date)
+             VALUES (?, ?, ?, ?)`,
+            [proposalId, user.id, trimmedMessage || null, dueDate || null]
+        );
+        const requestId = requestResult.insertId;
+
+        for (const item of checklist) {
+            await connection.query(
+                `INSERT INTO proposal_documentation_items (request_id, label, description, is_required)
+                 VALUES (?, ?, ?, ?)`,
+                [requestId, item.label, item.description, item.required ? 1 : 0]
+            );
+        }
+
+        const summary = `Documentation requested: ${checklist.map((item) => item.label).join(', ')}`;
+        await insertComment(connection, {
+            proposalId,
+            user,
+            body: trimmedMessage ? `${summary}\n\n${trimmedMessage}` : summary,
+            kind: 'documentation_request',
+        });
+
+        if (proposal.proposal_status === 'pending') {
+            transition = await transitionProposalStatus(proposalId, 'revision_requested', {
+                actor: user,
+                reason: trimmedMessage || summary,
+                source,
+                connection,
+            });
+        }
+
+        await connection.commit();
+        console.log('📎 Review Service: Documentation requested:', { proposalId, requestId, items: checklist.length });
+        await notifyTransition(transition);
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+
+    const requests = await listDocumentationRequests(proposalId, user);
+    return requests[0];
+}
+
+/**
+ * Student marks a checklist item as provided (optionally with an uploaded file)
+ * The request is fulfilled once every required item has been submitted.
+ */
+async function submitDocumentationItem(proposalId, user, requestId, itemId, { note, file } = {}) {
+    const proposal = await loadAccessibleProposal(proposalId, user);
+    if (isReviewer(user) && String(proposal.userId) !== String(user.id)) {
+        throw httpError(403, 'Only the proposal owner can submit requested documents');
+    }
+
+    const [items] = await pool.query(
+        `SELECT i.*, r.status AS request_status FROM proposal_documentation_items i
+         JOIN proposal_documentation_requests r ON r.id = i.request_id
+         WHERE i.id = ? AND r.id = ? AND r.proposal_id = ?`,
+        [itemId, requestId, proposalId]
+    );
+    if (items.length === 0) {
+        throw httpError(404, 'Checklist item not found');
+    }
+    if (items[0].request_status !== 'open') {
+        throw httpError(409, 'This documentation request is already closed');
+    }
+
+    const trimmedNote = typeof note === 'string' ? note.trim() : '';
+    if (!file && !trimmedNote) {
+        throw httpError(400, 'Attach a file or add a note for this item', {
+            errors: { file: 'Attach a file or add a note for this item' },
+        });
+    }
+
+    await pool.query(
+        `UPDATE proposal_documentation_items
+         SET status = 'submitted', response_note = ?, file_name = ?, file_path = ?, submitted_by = ?, submitted_at = NOW()
+         WHERE id = ?`,
+        [trimmedNote || null, file ? file.originalname || file.filename : null, file ? file.path : null, user.id, itemId]
+    );
+
+    const [[{ outstanding }]] = await pool.query(
+        `SELECT COUNT(*) AS outstanding FROM proposal_documentation_items
+         WHERE request_id = ? AND is_required = 1 AND status = 'pending'`,
+        [requestId]
+    );
+    if (Number(outstanding) === 0) {
+        await pool.query(
+            `UPDATE proposal_documentation_requests SET status = 'fulfilled', fulfilled_at = NOW() WHERE id = ?`,
+            [requestId]
+        );
+    }
+
+    const requests = await listDocumentationRequests(proposalId, user);
+    return requests.find((request) => String(request.id) === String(requestId));
+}
+
+// ==============================
+// Details
+// ==============================
+
+/**
+ * Proposal with comments, review history, documentation requests, status timeline
+ * and schedule conflicts
+ */
+async function getProposalDetails(proposalId, user) {
+    const proposal = await loadAccessibleProposal(proposalId, user);
+
+    const [submitters] = proposal.userId
+        ? await pool.query('SELECT id, name, email FROM users WHERE id = ?', [proposal.userId])
+        : [[]];
+    const [reviews] = await pool.query(
+        `SELECT r.id, r.decision, r.comments, r.createdAt, u.id AS reviewer_id, u.name AS reviewer_name
+         FROM reviews r LEFT JOIN users u ON u.id = r.reviewerId
+         WHERE r.proposalId = ? ORDER BY r.createdAt DESC`,
+        [proposalId]
+    );
+
+    const [comments, documentationRequests, history, schedule] = await Promise.all([
+        listComments(proposalId, user),
+        listDocumentationRequests(proposalId, user),
+        getStatusHistory(proposalId),
+        checkProposalConflicts(proposalId),
+    ]);
+
+    const submitter = submitters[0];
+
+    return {
+        id: proposal.id,
+        title: proposal.event_name,
+        status: proposal.proposal_status,
+        reportStatus: proposal.report_status,
+        submittedAt: proposal.submitted_at,
+        submitter: {
+            id: submitter ? submitter.id : proposal.userId,
+            name: submitter ? submitter.name : proposal.contact_name,
+            email: submitter ? submitter.email : proposal.contact_email,
+        },
+        details: {
+            purpose: proposal.organization_description,
+            organization: {
+                name: proposal.organization_name,
+                type: [proposal.organization_type].filter(Boolean),
+                description: proposal.organization_description,
+            },
+            adminComments: proposal.admin_comments,
+            comments,
+        },
+        reviews: reviews.map((review) => ({
+            id: review.id,
+            decision: review.decision,
+            comment: review.comments,
+            createdAt: review.createdAt,
+            reviewer: { id: review.reviewer_id, name: review.reviewer_name },
+        })),
+        documentationRequests,
+        history,
+        scheduleConflicts: schedule.conflicts,
+    };
+}
+
+module.exports = {
+    DECISION_STATUS,
+    listComments,
+    addComment,
+    submitReview,
+    updateStatus,
+    requestDocumentation,
+    listDocumentationRequests,
+    submitDocumentationItem,
+    getProposalDetails,
+};
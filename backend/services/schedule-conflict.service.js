@@ -0,0 +1,365 @@
+// ==============================
+// Schedule Conflict Service
+// Venue, organization and blackout checks for event proposals
+// ==============================
+// A proposal conflicts with another approved or pending proposal when their
+// date ranges overlap, their daily time windows overlap (a missing time counts
+// as the whole day), and they share the same venue or the same organization.
+// It also conflicts with any admin-set blackout period its dates fall into.
+// A cancelled event gives its slot back even though the proposal stays approved.
+// Venues picked from the catalog are compared by venue_id; free-text venues
+// fall back to comparing names. A venue that is still "TBD" clashes with
+// nothing, and online venues host parallel events (as in venue.service's
+// availability), so only the organization and blackouts count for them.
+//
+// Severity decides what happens next:
+//   blocking - an approved proposal or a blackout; approval is refused unless
+//              the reviewer overrides it with a reason (proposal-lifecycle.service)
+//   warning  - another pending proposal; shown, but first approval wins
+// The submission form shows everything as warnings; the review queue shows
+// blocking conflicts as blockers.
+
+const { pool } = require('../config/db');
+const { httpError } = require('../utils/http-error');
+
+// Proposals that hold their slot, unless their event has been cancelled
+const SCHEDULED_STATUSES = ['approved', 'pending'];
+
+// Written by the section forms while the organizer has not picked a venue yet
+const PLACEHOLDER_VENUES = ['tbd'];
+
+// ==============================
+// Normalisation
+// ==============================
+
+// "  Main  Gym " and "main gym" are the same venue
+const normalizeName = (value) => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// A placeholder venue is no venue at all
+const normalizeVenue = (value) => {
+    const name = normalizeName(value);
+    return PLACEHOLDER_VENUES.includes(name) ? '' : name;
+};
+
+/**
+ * YYYY-MM-DD for a DATE column, Date or ISO string
+ * @returns {string|null}
+ */
+function toDateString(value) {
+    if (!value) return null;
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) return null;
+        const month = String(value.getMonth() + 1).padStart(2, '0');
+        const day = String(value.getDate()).padStart(2, '0');
+        return `${value.getFullYear()}-${month}-${day}`;
+    }
+    const match = String(value).match(/^(\d{4}-\d{2}-\d{2})/);
+    return match ? match[1] : null;
+}
+
+/**
+ * HH:MM for a TIME column or form value
+ * @returns {string|null}
+ */
+function toTimeString(value) {
+    if (!value) return null;
+    const match = String(value).match(/^(\d{1,2}):(\d{2})/);
+    return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+/**
+ * Whether two daily time windows overlap; an open window covers the whole day
+ */
+function timesOverlap(a, b) {
+    if (!a.startTime || !a.endTime || !b.startTime || !b.endTime) return true;
+    return a.startTime < b.endTime && b.startTime < a.endTime;
+}
+
+function normalizeSlot(input = {}) {
+    const startDate = toDateString(input.startDate);
+    return {
+        venue: normalizeVenue(input.venue),
+        venueId: Number(input.venueId) || null,
+        organizationName: normalizeName(input.organizationName),
+        startDate,
+        endDate: toDateString(input.endDate) || startDate,
+        startTime: toTimeString(input.startTime),
+        endTime: toTimeString(input.endTime),
+    };
+}
+
+function formatProposal(row) {
+    return {
+        id: row.id,
+        title: row.event_name,
+        organizationName: row.organization_name,
+        venue: row.event_venue,
+        venueId: row.venue_id || null,
+        status: row.proposal_status,
+        startDate: toDateString(row.event_start_date),
+        endDate: toDateString(row.event_end_date) || toDateString(row.event_start_date),
+        startTime: toTimeString(row.event_start_time),
+        endTime: toTimeString(row.event_end_time),
+    };
+}
+
+function formatBlackout(row) {
+    return {
+        id: row.id,
+        title: row.title,
+        startDate: toDateString(row.start_date),
+        endDate: toDateString(row.end_date),
+        reason: row.reason,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+    };
+}
+
+function sameVenue(target, other) {
+    if (target.venueId && other.venueId) return target.venueId === other.venueId;
+    return Boolean(target.venue) && normalizeVenue(other.venue) === target.venue;
+}
+
+async function isOnlineVenue(venueId, executor) {
+    const [rows] = await executor.query('SELECT is_online FROM venues WHERE id = ?', [venueId]);
+    return Boolean(rows[0] && rows[0].is_online);
+}
+
+const describeRange = ({ startDate, endDate }) => (startDate === endDate ? startDate : `${startDate} to ${endDate}`);
+
+// ==============================
+// Conflict Checks
+// ==============================
+
+/**
+ * Find the scheduling conflicts for an event slot
+ * @param {Object} slot - { venue, venueId, startDate, endDate, startTime, endTime, organizationName, excludeProposalId }
+ *   plus `venueOnline` when the caller already knows it (looked up by venueId otherwise)
+ * @param {Object} [executor] - pool or a connection inside the caller's transaction
+ * @returns {Promise<{ conflicts: Array<Object>, hasConflicts: boolean, hasBlockingConflicts: boolean }>}
+ */
+async function checkConflicts(slot = {}, executor = pool) {
+    const target = normalizeSlot(slot);
+    if (!target.startDate) {
+        throw httpError(400, 'A start date is required to check for conflicts', {
+            errors: { startDate: 'Start date is required' },
+        });
+    }
+    if (target.endDate < target.startDate) {
+        throw httpError(400, 'End date cannot be before the start date', {
+            errors: { endDate: 'End date cannot be before the start date' },
+        });
+    }
+
+    const conflicts = [];
+    const venueOnline = slot.venueOnline ?? (target.venueId ? await isOnlineVenue(target.venueId, executor) : false);
+
+    if (target.venue || target.venueId || target.organizationName) {
+        const [rows] = await executor.query(
+            `SELECT id, event_name, organization_name, event_venue, venue_id, proposal_status,
+                    event_start_date, event_end_date, event_start_time, event_end_time
+             FROM proposals
+             WHERE proposal_status IN (?)
+               AND (event_status IS NULL OR event_status <> 'cancelled')
+               AND event_start_date IS NOT NULL
+               AND event_start_date <= ?
+               AND COALESCE(event_end_date, event_start_date) >= ?
+               AND id <> ?`,
+            [SCHEDULED_STATUSES, target.endDate, target.startDate, Number(slot.excludeProposalId) || 0]
+        );
+
+        rows.map(formatProposal)
+            .filter((other) => timesOverlap(target, other))
+            .forEach((other) => {
+                const severity = other.status === 'approved' ? 'blocking' : 'warning';
+                const state = other.status === 'approved' ? 'approved' : 'pending';
+
+                if (!venueOnline && sameVenue(target, other)) {
+                    conflicts.push({
+                        type: 'venue',
+                        severity,
+                        message: `${other.venue} is already booked for "${other.title}" (${state}, ${describeRange(other)})`,
+                        proposal: other,
+                    });
+                }
+                if (target.organizationName && normalizeName(other.organizationName) === target.organizationName) {
+                    conflicts.push({
+                        type: 'organization',
+                        severity,
+                        message: `${other.organizationName} already has "${other.title}" scheduled at the same time (${state}, ${describeRange(other)})`,
+                        proposal: other,
+                    });
+                }
+            });
+    }
+
+    const [blackouts] = await executor.query(
+        'SELECT * FROM blackout_periods WHERE start_date <= ? AND end_date >= ? ORDER BY start_date ASC',
+        [target.endDate, target.startDate]
+    );
+    blackouts.map(formatBlackout).forEach((blackout) => {
+        conflicts.push({
+            type: 'blackout',
+            severity: 'blocking',
+            message: `Events cannot be scheduled during ${blackout.title} (${describeRange(blackout)})`,
+            blackout,
+        });
+    });
+
+    return {
+        conflicts,
+        hasConflicts: conflicts.length > 0,
+        hasBlockingConflicts: conflicts.some((conflict) => conflict.severity === 'blocking'),
+    };
+}
+
+/**
+ * Conflicts for a stored proposal (its own row is excluded)
+ * @param {number|string} proposalId
+ * @param {Object} [executor]
+ */
+async function checkProposalConflicts(proposalId, executor = pool) {
+    const [rows] = await executor.query(
+        `SELECT p.id, p.event_venue, p.venue_id, p.organization_name, p.event_start_date, p.event_end_date,
+                p.event_start_time, p.event_end_time, v.is_online AS venue_online
+         FROM proposals p
+         LEFT JOIN venues v ON v.id = p.venue_id
+         WHERE p.id = ?`,
+        [proposalId]
+    );
+    if (rows.length === 0) {
+        throw httpError(404, 'Proposal not found');
+    }
+
+    const proposal = rows[0];
+    if (!proposal.event_start_date) {
+        return { conflicts: [], hasConflicts: false, hasBlockingConflicts: false };
+    }
+
+    return checkConflicts({
+        venue: proposal.event_venue,
+        venueId: proposal.venue_id,
+        venueOnline: Boolean(proposal.venue_online),
+        organizationName: proposal.organization_name,
+        startDate: proposal.event_start_date,
+        endDate: proposal.event_end_date,
+        startTime: proposal.event_start_time,
+        endTime: proposal.event_end_time,
+        excludeProposalId: proposal.id,
+    }, executor);
+}
+
+/**
+ * Blocking conflicts only; used by the lifecycle engine before approving
+ * @returns {Promise<Array<Object>>}
+ */
+async function findBlockingConflicts(proposalId, executor = pool) {
+    const { conflicts } = await checkProposalConflicts(proposalId, executor);
+    return conflicts.filter((conflict) => conflict.severity === 'blocking');
+}
+
+/**
+ * Conflicts for every proposal waiting in the review queue
+ * @returns {Promise<Object>} proposalId → conflicts (proposals without conflicts are left out)
+ */
+async function listPendingConflicts() {
+    const [rows] = await pool.query(
+        "SELECT id FROM proposals WHERE proposal_status = 'pending' AND event_start_date IS NOT NULL"
+    );
+
+    const byProposal = {};
+    for (const row of rows) {
+        const { conflicts } = await checkProposalConflicts(row.id);
+        if (conflicts.length > 0) {
+            byProposal[row.id] = conflicts;
+        }
+    }
+    return byProposal;
+}
+
+// ==============================
+// Blackout Periods
+// ==============================
+
+function validateBlackout({ title, startDate, endDate } = {}) {
+    const errors = {};
+    const start = toDateString(startDate);
+    const end = toDateString(endDate) || start;
+
+    if (!title || !String(title).trim()) errors.title = 'Title is required';
+    if (!start) errors.startDate = 'Start date is required';
+    if (start && end < start) errors.endDate = 'End date cannot be before the start date';
+
+    if (Object.keys(errors).length > 0) {
+        throw httpError(400, 'Invalid blackout period', { errors });
+    }
+    return { title: String(title).trim(), start, end };
+}
+
+/**
+ * Blackout periods, optionally only those ending on or after a date
+ * @param {Object} [filters] - { from: YYYY-MM-DD }
+ */
+async function listBlackouts({ from } = {}) {
+    const since = toDateString(from);
+    const [rows] = await pool.query(
+        `SELECT * FROM blackout_periods${since ? ' WHERE end_date >= ?' : ''} ORDER BY start_date ASC`,
+        since ? [since] : []
+    );
+    return rows.map(formatBlackout);
+}
+
+async function getBlackout(id) {
+    const [rows] = await pool.query('SELECT * FROM blackout_periods WHERE id = ?', [id]);
+    if (rows.length === 0) {
+        throw httpError(404, 'Blackout period not found');
+    }
+    return formatBlackout(rows[0]);
+}
+
+/**
+ * @param {Object} input - { title, startDate, endDate, reason }
+ * @param {Object} user - req.user
+ */
+async function createBlackout(input = {}, user) {
+    const { title, start, end } = validateBlackout(input);
+    const [result] = await pool.query(
+        'INSERT INTO blackout_periods (title, start_date, end_date, reason, created_by) VALUES (?, ?, ?, ?, ?)',
+        [title, start, end, input.reason || null, user ? user.id : null]
+    );
+    console.log('🚫 Schedule: Blackout period created:', { id: result.insertId, start, end });
+    return getBlackout(result.insertId);
+}
+
+async function updateBlackout(id, input = {}) {
+    await getBlackout(id);
+    const { title, start, end } = validateBlackout(input);
+    await pool.query(
+        'UPDATE blackout_periods SET title = ?, start_date = ?, end_date = ?, reason = ? WHERE id = ?',
+        [title, start, end, input.reason || null, id]
+    );
+    console.log('🚫 Schedule: Blackout period updated:', { id, start, end });
+    return getBlackout(id);
+}
+
+async function deleteBlackout(id) {
+    const [result] = await pool.query('DELETE FROM blackout_periods WHERE id = ?', [id]);
+    if (result.affectedRows === 0) {
+        throw httpError(404, 'Blackout period not found');
+    }
+    console.log('🚫 Schedule: Blackout period deleted:', { id });
+}
+
+module.exports = {
+    SCHEDULED_STATUSES,
+    toDateString,
+    toTimeString,
+    checkConflicts,
+    checkProposalConflicts,
+    findBlockingConflicts,
+    listPendingConflicts,
+    listBlackouts,
+    createBlackout,
+    updateBlackout,
+    deleteBlackout,
+};
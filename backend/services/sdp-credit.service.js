@@ -0,0 +1,414 @@
+// ==============================
+// SDP Credit Service
+// Student Development Program credits ledger (sdp_credit_ledger)
+// ==============================
+// Credits are never stored as a running total: every award and adjustment is a
+// ledger row and totals are summed from it.
+//   award      - written for each attendee with a student account (event_attendees.user_id)
+//                when the event's accomplishment report is approved; the amount is the
+//                proposal's school_return_service_credit / community_sdp_credits
+//   adjustment - signed correction entered by an admin, always with a reason
+// Awarding is idempotent per (proposal, student), so re-running it after more
+// attendees are matched only credits the new ones.
+
+const { json2csv } = require('json-2-csv');
+const { pool } = require('../config/db');
+const { hasPermission } = require('./permission.service');
+const { httpError } = require('../utils/http-error');
+
+// Credits a student needs to complete the programme
+const REQUIRED_CREDITS = Number(process.env.SDP_REQUIRED_CREDITS) || 36;
+
+// ==============================
+// Event Credits
+// ==============================
+
+// "workshop-seminar-webinar" → "Workshop Seminar Webinar"
+const formatCategory = (type) => (type
+    ? String(type).split('-').map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')
+    : 'Other');
+
+/**
+ * Credits and category an event is worth, from its proposal row
+ * @returns {{ credits: number, category: string }}
+ */
+function getEventCredits(proposal) {
+    const isCommunity = proposal.organization_type === 'community-based';
+    const value = isCommunity ? proposal.community_sdp_credits : proposal.school_return_service_credit;
+    const credits = Number.parseInt(value, 10);
+
+    return {
+        credits: Number.isInteger(credits) && credits > 0 ? credits : 0,
+        category: formatCategory(isCommunity ? proposal.community_event_type : proposal.school_event_type),
+    };
+}
+
+const toDateString = (value) => {
+    if (!value) return null;
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    return String(value).slice(0, 10);
+};
+
+/**
+ * Credit every matched attendee of an event; called by the lifecycle engine
+ * inside the transaction that approves the accomplishment report
+ * @param {number|string} proposalId
+ * @param {Object} [options]
+ * @param {Object|string} [options.actor] - Approving reviewer (req.user) or 'system'
+ * @param {Object} [options.connection] - Caller's transaction; defaults to the pool
+ * @returns {Promise<{ awarded: number, credits: number, category: string }>}
+ */
+async function awardEventCredits(proposalId, { actor = 'system', connection = null } = {}) {
+    const executor = connection || pool;
+
+    const [rows] = await executor.query(
+        `SELECT id, event_name, organization_type, school_event_type, community_event_type,
+                school_return_service_credit, community_sdp_credits
+         FROM proposals WHERE id = ?`,
+        [proposalId]
+    );
+    if (rows.length === 0) {
+        throw httpError(404, 'Proposal not found');
+    }
+
+    const { credits, category } = getEventCredits(rows[0]);
+    if (credits === 0) {
+        console.log(`🏆 SDP: Proposal ${proposalId} carries no SDP credits; nothing to award`);
+        return { awarded: 0, credits, category };
+    }
+
+    const createdBy = actor && typeof actor === 'object' ? actor.id : null;
+    const [result] = await executor.query(
+        `INSERT INTO sdp_credit_ledger (user_id, proposal_id, entry_type, credits, category, reason, created_by)
+         SELECT DISTINCT a.user_id, a.proposal_id, 'award', ?, ?, ?, ?
+         FROM event_attendees a
+         WHERE a.proposal_id = ? AND a.user_id IS NOT NULL
+           AND NOT EXISTS (
+               SELECT 1 FROM sdp_credit_ledger l
+               WHERE l.proposal_id = a.proposal_id AND l.user_id = a.user_id AND l.entry_type = 'award'
+           )`,
+        [credits, category, `Attended "${rows[0].event_name}"`, createdBy, proposalId]
+    );
+
+    console.log(`🏆 SDP: Awarded ${credits} credit(s) to ${result.affectedRows} attendee(s) of proposal ${proposalId}`);
+    return { awarded: result.affectedRows, credits, category };
+}
+
+/**
+ * Re-run awarding for an event whose report is already approved, e.g. after
+ * more attendees were matched to student accounts
+ * @param {number|string} proposalId
+ * @param {Object} admin - req.user
+ */
+async function reawardEventCredits(proposalId, admin) {
+    const [rows] = await pool.query('SELECT report_status FROM proposals WHERE id = ?', [proposalId]);
+    if (rows.length === 0) {
+        throw httpError(404, 'Proposal not found');
+    }
+    if (rows[0].report_status !== 'approved') {
+        throw httpError(409, 'Credits are awarded once the accomplishment report is approved');
+    }
+    return awardEventCredits(proposalId, { actor: admin });
+}
+
+// ==============================
+// Adjustments
+// ==============================
+
+/**
+ * Add a manual correction to a student's credits
+ * @param {number|string} userId - Student
+ * @param {Object} input - { credits (signed, non-zero), reason, proposalId? }
+ * @param {Object} admin - req.user
+ */
+async function adjustCredits(userId, { credits, reason, proposalId } = {}, admin) {
+    const errors = {};
+    const amount = Number(credits);
+    const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+
+    if (!Number.isInteger(amount) || amount === 0) {
+        errors.credits = 'Enter a whole number of credits other than zero (negative to deduct)';
+    }
+    if (!trimmedReason) {
+        errors.reason = 'A reason is required for every adjustment';
+    }
+    if (Object.keys(errors).length > 0) {
+        throw httpError(400, 'Invalid credit adjustment', { errors });
+    }
+
+    const [users] = await pool.query("SELECT id FROM users WHERE id = ? AND role = 'student'", [userId]);
+    if (users.length === 0) {
+        throw httpError(404, 'Student not found');
+    }
+
+    let category = null;
+    if (proposalId) {
+        const [proposals] = await pool.query(
+            'SELECT organization_type, school_event_type, community_event_type FROM proposals WHERE id = ?',
+            [proposalId]
+        );
+        if (proposals.length === 0) {
+            throw httpError(404, 'Proposal not found', { errors: { proposalId: 'Unknown event' } });
+        }
+        ({ category } = getEventCredits(proposals[0]));
+    }
+
+    const [result] = await pool.query(
+        `INSERT INTO sdp_credit_ledger (user_id, proposal_id, entry_type, credits, category, reason, created_by)
+         VALUES (?, ?, 'adjustment', ?, ?, ?, ?)`,
+        [userId, proposalId || null, amount, category, trimmedReason, admin ? admin.id : null]
+    );
+
+    console.log('🏆 SDP: Credit adjustment recorded', { userId, credits: amount, by: admin ? admin.id : null });
+    return { id: result.insertId, userId: Number(userId), credits: amount, reason: trimmedReason };
+}
+
+// ==============================
+// Student Totals
+// ==============================
+
+function formatEntry(row) {
+    return {
+        id: row.id,
+        type: row.entry_type,
+        credits: Number(row.credits),
+        category: row.category || 'Other',
+        reason: row.reason,
+        proposalId: row.proposal_id,
+        eventName: row.event_name || null,
+        eventDate: toDateString(row.event_start_date),
+        recordedBy: row.created_by_name || null,
+        createdAt: row.created_at,
+    };
+}
+
+function assertCanView(userId, user) {
+    if (!hasPermission(user, 'credit:view') && String(user.id) !== String(userId)) {
+        throw httpError(403, 'Not authorized to view these credits');
+    }
+}
+
+/**
+ * A student's credit summary: totals, per-category breakdown, ledger entries
+ * and events they attended whose reports are still awaiting approval
+ * @param {number|string} userId
+ * @param {Object} user - req.user (the student themself, or staff)
+ */
+async function getStudentSummary(userId, user) {
+    assertCanView(userId, user);
+
+    const [students] = await pool.query('SELECT id, name, email FROM users WHERE id = ?', [userId]);
+    if (students.length === 0) {
+        throw httpError(404, 'Student not found');
+    }
+
+    const [rows] = await pool.query(
+        `SELECT l.*, p.event_name, p.event_start_date, u.name AS created_by_name
+         FROM sdp_credit_ledger l
+         LEFT JOIN proposals p ON p.id = l.proposal_id
+         LEFT JOIN users u ON u.id = l.created_by
+         WHERE l.user_id = ?
+         ORDER BY COALESCE(p.event_start_date, DATE(l.created_at)) DESC, l.id DESC`,
+        [userId]
+    );
+    const entries = rows.map(formatEntry);
+
+    // Attended, but the accomplishment report has not been approved yet
+    const [pendingRows] = await pool.query(
+        `SELECT p.id, p.event_name, p.event_start_date, p.report_status, p.organization_type,
+                p.school_event_type, p.community_event_type, p.school_return_service_credit, p.community_sdp_credits
+         FROM event_attendees a
+         JOIN proposals p ON p.id = a.proposal_id
+         WHERE a.user_id = ? AND p.proposal_status = 'approved'
+           AND (p.report_status IS NULL OR p.report_status <> 'approved')
+         ORDER BY p.event_start_date DESC`,
+        [userId]
+    );
+    const pending = pendingRows.map((row) => ({
+        proposalId: row.id,
+        eventName: row.event_name,
+        eventDate: toDateString(row.event_start_date),
+        reportStatus: row.report_status || 'draft',
+        ...getEventCredits(row),
+    }));
+
+    const earned = entries.reduce((sum, entry) => sum + entry.credits, 0);
+    const byCategory = Object.entries(entries.reduce((totals, entry) => {
+        totals[entry.category] = (totals[entry.category] || 0) + entry.credits;
+        return totals;
+    }, {}))
+        .map(([category, credits]) => ({ category, credits }))
+        .sort((a, b) => b.credits - a.credits);
+
+    return {
+        student: students[0],
+        required: REQUIRED_CREDITS,
+        earned,
+        remaining: Math.max(REQUIRED_CREDITS - earned, 0),
+        byCategory,
+        entries,
+        pending,
+    };
+}
+
+/**
+ * Credit totals per student, highest first
+ * @param {Object} [filters] - { search: name or email }
+ */
+async function listStudentTotals({ search } = {}) {
+    const params = [];
+    let where = "WHERE u.role = 'student'";
+    if (search && String(search).trim()) {
+        where += ' AND (u.name LIKE ? OR u.email LIKE ?)';
+        const term = `%${String(search).trim()}%`;
+        params.push(term, term);
+    }
+
+    const [rows] = await pool.query(
+        `SELECT u.id, u.name, u.email,
+                COALESCE(SUM(l.credits), 0) AS credits,
+                COUNT(DISTINCT CASE WHEN l.entry_type = 'award' THEN l.proposal_id END) AS events
+         FROM users u
+         JOIN sdp_credit_ledger l ON l.user_id = u.id
+         ${where}
+         GROUP BY u.id, u.name, u.email
+         ORDER BY credits DESC, u.name ASC`,
+        params
+    );
+
+    return rows.map((row) => ({
+        userId: row.id,
+        name: row.name,
+        email: row.email,
+        credits: Number(row.credits),
+        events: Number(row.events),
+        required: REQUIRED_CREDITS,
+    }));
+}
+
+/**
+ * Transcript of a student's credits as CSV
+ * @returns {Promise<{ filename: string, csv: string }>}
+ */
+async function buildTranscriptCsv(userId, user) {
+    const summary = await getStudentSummary(userId, user);
+
+    const csv = json2csv(summary.entries.map((entry) => ({
+        date: entry.eventDate || toDateString(entry.createdAt),
+        event: entry.eventName || '',
+        category: entry.category,
+        type: entry.type === 'award' ? 'Award' : 'Adjustment',
+        credits: entry.credits,
+        notes: entry.reason || '',
+    })), {
+        keys: [
+            { field: 'date', title: 'Date' },
+            { field: 'event', title: 'Event' },
+            { field: 'category', title: 'Category' },
+            { field: 'type', title: 'Type' },
+            { field: 'credits', title: 'Credits' },
+            { field: 'notes', title: 'Notes' },
+        ],
+        emptyFieldValue: '',
+    });
+
+    const footer = json2csv([
+        { label: 'Student', value: summary.student.name },
+        { label: 'Email', value: summary.student.email },
+        { label: 'Total credits', value: summary.earned },
+        { label: 'Required credits', value: summary.required },
+    ], { prependHeader: false });
+
+    const slug = String(summary.student.name || `student-${userId}`).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    return { filename: `sdp-transcript-${slug}.csv`, csv: `${csv}\n\n${footer}\n` };
+}
+
+// ==============================
+// Events & Participants
+// ==============================
+
+/**
+ * Approved events with their credit value and participant count. Students see
+ * the events they organized; staff see every event.
+ * @param {Object} user - req.user
+ */
+async function listCreditedEvents(user) {
+    const params = [];
+    let where = "WHERE p.proposal_status = 'approved'";
+    if (!hasPermission(user, 'credit:view')) {
+        where += ' AND p.userId = ?';
+        params.push(user.id);
+    }
+
+    const [rows] = await pool.query(
+        `SELECT p.id, p.event_name, p.event_start_date, p.report_status, p.organization_type,
+                p.school_event_type, p.community_event_type, p.school_return_service_credit, p.community_sdp_credits,
+                COUNT(a.id) AS participants
+         FROM proposals p
+         LEFT JOIN event_attendees a ON a.proposal_id = p.id
+         ${where}
+         GROUP BY p.id
+         ORDER BY p.event_start_date DESC`,
+        params
+    );
+
+    return rows.map((row) => ({
+        id: row.id,
+        name: row.event_name,
+        date: toDateString(row.event_start_date),
+        reportStatus: row.report_status || 'draft',
+        participants: Number(row.participants),
+        ...getEventCredits(row),
+    }));
+}
+
+/**
+ * Attendees of an event and the credits each was awarded
+ * @param {number|string} proposalId
+ * @param {Object} user - req.user (staff, or the student who organized the event)
+ */
+async function getEventParticipants(proposalId, user) {
+    const [proposals] = await pool.query('SELECT id, userId FROM proposals WHERE id = ?', [proposalId]);
+    if (proposals.length === 0) {
+        throw httpError(404, 'Proposal not found');
+    }
+    if (!hasPermission(user, 'credit:view') && String(proposals[0].userId) !== String(user.id)) {
+        throw httpError(403, 'Not authorized to view these participants');
+    }
+
+    const [rows] = await pool.query(
+        `SELECT a.*, COALESCE(SUM(l.credits), 0) AS credits_awarded
+         FROM event_attendees a
+         LEFT JOIN sdp_credit_ledger l ON l.proposal_id = a.proposal_id AND l.user_id = a.user_id
+         WHERE a.proposal_id = ?
+         GROUP BY a.id
+         ORDER BY a.full_name ASC`,
+        [proposalId]
+    );
+
+    return rows.map((row) => ({
+        id: row.id,
+        userId: row.user_id,
+        name: row.full_name,
+        email: row.email,
+        studentId: row.student_id,
+        school: row.school,
+        program: row.program,
+        yearLevel: row.year_level,
+        source: row.source,
+        creditsAwarded: Number(row.credits_awarded),
+    }));
+}
+
+module.exports = {
+    REQUIRED_CREDITS,
+    getEventCredits,
+    awardEventCredits,
+    reawardEventCredits,
+    adjustCredits,
+    getStudentSummary,
+    listStudentTotals,
+    buildTranscriptCsv,
+    listCreditedEvents,
+    getEventParticipants,
+};
@@ -0,0 +1,264 @@
+// ==============================
+// Upload Policy Service
+// What each kind of uploaded document may be, checked against its contents
+// ==============================
+// Multer's file filters only see the name and the browser's declared type, so
+// a renamed executable passes as "budget.pdf". Once multer has the file,
+// middleware/upload-policy.js runs checkUpload() on its bytes:
+//
+//   - the magic bytes must match the extension (a .docx must be a Word
+//     package, a .pdf must start with %PDF-, a .csv must be text)
+//   - macro-enabled Office files (.docm/.xlsm, or a vbaProject in the file)
+//     and password-protected PDFs / Office files / ZIPs are rejected
+//   - each document type has its own size limit, and PDFs a page limit
+//
+// Document types with a naming rule (GPOA: OrganizationName_GPOA.pdf) are
+// renamed to it on the server, whatever the file was called on the
+// organizer's machine.
+
+const path = require('path');
+
+const MB = 1024 * 1024;
+
+const OFFICE_EXTENSIONS = ['.pdf', '.doc', '.docx', '.xls', '.xlsx'];
+
+/**
+ * Per document type: allowed extensions, size limit, PDF page limit and the
+ * suffix of the required file name (null when any name will do).
+ * The frontend mirrors this table in lib/upload-policy.js.
+ */
+const DOCUMENT_POLICIES = {
+    gpoa: { label: 'General Plan of Action', extensions: OFFICE_EXTENSIONS, maxSize: 5 * MB, maxPages: 30, suffix: '_GPOA' },
+    proposal: { label: 'Project proposal', extensions: OFFICE_EXTENSIONS, maxSize: 5 * MB, maxPages: 50, suffix: '_PP' },
+    accomplishment_report: { label: 'Accomplishment report', extensions: ['.pdf', '.docx'], maxSize: 10 * MB, maxPages: 100, suffix: '_AR' },
+    attendance: { label: 'Attendance list', extensions: ['.csv', '.xlsx'], maxSize: 10 * MB, maxPages: null, suffix: null },
+    supporting: { label: 'Supporting document', extensions: OFFICE_EXTENSIONS, maxSize: 5 * MB, maxPages: 50, suffix: null },
+    compliance: {
+        label: 'Compliance document',
+        extensions: [...OFFICE_EXTENSIONS, '.jpg', '.jpeg', '.png', '.zip'],
+        maxSize: 5 * MB,
+        maxPages: 50,
+        suffix: null,
+    },
+};
+
+// GridFS callers still pass the short name they store in metadata
+const DOCUMENT_TYPE_ALIASES = { AR: 'accomplishment_report' };
+
+// Office formats that can carry VBA macros, rejected by name before looking inside
+const MACRO_EXTENSIONS = ['.docm', '.dotm', '.xlsm', '.xltm', '.xlam', '.xlsb', '.pptm', '.potm', '.ppsm'];
+
+// What the contents of each allowed extension must be detected as
+const EXPECTED_KINDS = {
+    '.pdf': ['pdf'],
+    '.docx': ['docx'],
+    '.xlsx': ['xlsx'],
+    '.doc': ['doc'],
+    '.xls': ['xls'],
+    '.jpg': ['jpeg'],
+    '.jpeg': ['jpeg'],
+    '.png': ['png'],
+    '.zip': ['zip', 'docx', 'xlsx'],
+    '.csv': ['text'],
+};
+
+const KIND_LABELS = {
+    pdf: 'a PDF',
+    docx: 'a Word document',
+    xlsx: 'an Excel workbook',
+    doc: 'a Word 97-2003 document',
+    xls: 'an Excel 97-2003 workbook',
+    ole: 'an older Office file',
+    jpeg: 'a JPEG image',
+    png: 'a PNG image',
+    zip: 'a ZIP archive',
+    text: 'a text file',
+    unknown: 'an unrecognised file',
+};
+
+const SIGNATURES = {
+    ole: Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+    png: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    jpeg: Buffer.from([0xff, 0xd8, 0xff]),
+    zip: Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+    emptyZip: Buffer.from([0x50, 0x4b, 0x05, 0x06]),
+};
+
+const startsWith = (buffer, signature) => buffer.length >= signature.length && buffer.subarray(0, signature.length).equals(signature);
+
+// Stream and storage names inside OLE2 (.doc/.xls) files are stored as UTF-16LE
+const hasOleName = (buffer, name) => buffer.includes(Buffer.from(name, 'utf16le'));
+
+/**
+ * Entry names of a ZIP archive, read from its central directory, and whether
+ * any entry is encrypted. Returns null when the directory cannot be found.
+ */
+function readZipEntries(buffer) {
+    if (buffer.length < 22) return null;
+    // The end-of-central-directory record sits in the last 22 bytes plus up to 64KB of comment
+    const searchFrom = Math.max(0, buffer.length - 22 - 0xffff);
+    let end = -1;
+    for (let offset = buffer.length - 22; offset >= searchFrom; offset -= 1) {
+        if (buffer.readUInt32LE(offset) === 0x06054b50) {
+            end = offset;
+            break;
+        }
+    }
+    if (end === -1) return null;
+
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const names = [];
+    let encrypted = false;
+    for (let index = 0; index < count; index += 1) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) return null;
+        const flags = buffer.readUInt16LE(offset + 8);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        names.push(buffer.toString('utf8', offset + 46, offset + 46 + nameLength));
+        encrypted = encrypted || (flags & 0x1) === 0x1;
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return { names, encrypted };
+}
+
+/**
+ * Pages of a PDF, from its page objects (or the page tree's /Count when the
+ * objects are compressed). null when neither can be read.
+ */
+function countPdfPages(buffer) {
+    const text = buffer.toString('latin1');
+    const pages = text.match(/\/Type\s*\/Page(?![A-Za-z])/g);
+    if (pages) return pages.length;
+    const counts = [...text.matchAll(/\/Count\s+(\d+)/g)].map((match) => Number(match[1]));
+    return counts.length ? Math.max(...counts) : null;
+}
+
+/**
+ * What a file is, judged by its bytes alone
+ * @param {Buffer} buffer
+ * @returns {{ kind: string, macros: boolean, encrypted: boolean, pages: number|null }}
+ */
+function detectFileType(buffer) {
+    const result = { kind: 'unknown', macros: false, encrypted: false, pages: null };
+    if (!buffer || buffer.length === 0) return result;
+
+    // PDF readers accept a header anywhere in the first kilobyte
+    if (buffer.subarray(0, 1024).includes('%PDF-')) {
+        result.kind = 'pdf';
+        result.encrypted = /\/Encrypt\s*[\d<]/.test(buffer.toString('latin1'));
+        result.pages = countPdfPages(buffer);
+        return result;
+    }
+
+    if (startsWith(buffer, SIGNATURES.ole)) {
+        // Password-protected .docx/.xlsx files are OLE containers with an EncryptionInfo stream
+        result.encrypted = hasOleName(buffer, 'EncryptionInfo');
+        result.macros = hasOleName(buffer, '_VBA_PROJECT');
+        if (hasOleName(buffer, 'WordDocument')) result.kind = 'doc';
+        else if (hasOleName(buffer, 'Workbook') || hasOleName(buffer, 'Book')) result.kind = 'xls';
+        else result.kind = 'ole';
+        return result;
+    }
+
+    if (startsWith(buffer, SIGNATURES.zip) || startsWith(buffer, SIGNATURES.emptyZip)) {
+        const zip = readZipEntries(buffer);
+        result.kind = 'zip';
+        if (!zip) return result;
+        result.encrypted = zip.encrypted;
+        result.macros = zip.names.some((name) => /(^|\/)vbaProject\.bin$/i.test(name));
+        if (zip.names.includes('[Content_Types].xml')) {
+            if (zip.names.some((name) => name.startsWith('word/'))) result.kind = 'docx';
+            else if (zip.names.some((name) => name.startsWith('xl/'))) result.kind = 'xlsx';
+        }
+        return result;
+    }
+
+    if (startsWith(buffer, SIGNATURES.png)) {
+        result.kind = 'png';
+        return result;
+    }
+    if (startsWith(buffer, SIGNATURES.jpeg)) {
+        result.kind = 'jpeg';
+        return result;
+    }
+
+    // Text: no NUL bytes in the first 8KB
+    if (!buffer.subarray(0, 8192).includes(0)) result.kind = 'text';
+    return result;
+}
+
+const policyFor = (documentType) => DOCUMENT_POLICIES[DOCUMENT_TYPE_ALIASES[documentType] || documentType] || null;
+
+// ['.pdf', '.docx'] -> ".pdf or .docx"
+const listExtensions = (extensions) => `${extensions.slice(0, -1).join(', ')} or ${extensions[extensions.length - 1]}`;
+
+const formatSize = (bytes) => `${Math.round((bytes / MB) * 10) / 10}MB`;
+
+/**
+ * Check an uploaded file against the policy of its document type
+ * @param {{ buffer: Buffer, name: string, size?: number }} file
+ * @param {string} documentType - Key of DOCUMENT_POLICIES
+ * @returns {{ accepted: boolean, code?: string, reason?: string, kind: string, pages: number|null }}
+ */
+function checkUpload({ buffer, name, size }, documentType) {
+    const policy = policyFor(documentType);
+    if (!policy) throw new Error(`Unknown document type: ${documentType}`);
+
+    const extension = path.extname(name || '').toLowerCase();
+    const detected = detectFileType(buffer);
+    const reject = (code, reason) => ({ accepted: false, code, reason, kind: detected.kind, pages: detected.pages });
+    const bytes = size ?? (buffer ? buffer.length : 0);
+
+    if (MACRO_EXTENSIONS.includes(extension)) {
+        return reject('MACRO_ENABLED', 'Macro-enabled Office files are not accepted. Save it as a regular .docx or .xlsx file.');
+    }
+    if (!policy.extensions.includes(extension)) {
+        return reject('EXTENSION_NOT_ALLOWED', `${policy.label} files must be ${listExtensions(policy.extensions)}`);
+    }
+    if (bytes === 0) {
+        return reject('EMPTY', 'The file is empty');
+    }
+    if (bytes > policy.maxSize) {
+        return reject('TOO_LARGE', `${policy.label} files must be ${formatSize(policy.maxSize)} or smaller (this file is ${formatSize(bytes)})`);
+    }
+    if (detected.encrypted) {
+        return reject('ENCRYPTED', 'Password-protected or encrypted files are not accepted. Remove the password and upload it again.');
+    }
+    if (detected.macros) {
+        return reject('MACRO_ENABLED', 'The file contains macros. Save it without macros and upload it again.');
+    }
+    if (!EXPECTED_KINDS[extension].includes(detected.kind)) {
+        return reject('TYPE_MISMATCH', `The file is named ${extension} but its contents are ${KIND_LABELS[detected.kind]}`);
+    }
+    if (detected.kind === 'pdf' && policy.maxPages && detected.pages > policy.maxPages) {
+        return reject('TOO_MANY_PAGES', `${policy.label} PDFs can have at most ${policy.maxPages} pages (this PDF has ${detected.pages})`);
+    }
+
+    return { accepted: true, kind: detected.kind, pages: detected.pages };
+}
+
+/**
+ * The file name a document type must have, e.g. "XavierRobotics_GPOA.pdf".
+ * null when the type has no naming rule or there is no organization name.
+ * @param {string} documentType
+ * @param {string} organizationName
+ * @param {string} extension - ".pdf"
+ */
+function requiredFilename(documentType, organizationName, extension) {
+    const policy = policyFor(documentType);
+    const organization = String(organizationName || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '') // accents: "Niño" -> "Nino"
+        .replace(/[^A-Za-z0-9]+/g, '');
+    if (!policy || !policy.suffix || !organization || organization === 'Unknown') return null;
+    return `${organization}${policy.suffix}${String(extension || '').toLowerCase()}`;
+}
+
+module.exports = {
+    DOCUMENT_POLICIES,
+    detectFileType,
+    checkUpload,
+    requiredFilename,
+};
@@ -0,0 +1,391 @@
+// ==============================
+// Venue Service
+// Managed catalog of rooms and online platforms (venues table)
+// ==============================
+// Proposals used to carry only a free-text event_venue, so one room showed up
+// under many spellings. Venues picked from the catalog are stored in
+// proposals.venue_id while event_venue keeps the display name; older rows are
+// linked by fuzzy-matching their text against catalog names and aliases
+// (migrateFreeTextVenues / scripts/migrate-venues.js).
+//
+// Availability combines the venue's own rules (active, bookable hours) with the
+// booking and blackout checks in schedule-conflict.service.
+
+const { pool } = require('../config/db');
+const { checkConflicts } = require('./schedule-conflict.service');
+const { httpError } = require('../utils/http-error');
+
+// Minimum similarity (0-1) for a free-text venue to be linked automatically
+const MATCH_THRESHOLD = 0.82;
+
+// Filler words that do not tell two venues apart
+const NOISE_WORDS = new Set(['the', 'at', 'of']);
+
+// ==============================
+// Formatting
+// ==============================
+
+const toTimeString = (value) => {
+    if (!value) return null;
+    const match = String(value).match(/^(\d{1,2}):(\d{2})/);
+    return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+};
+
+function parseAliases(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function formatVenue(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        building: row.building,
+        capacity: row.capacity,
+        isOnline: Boolean(row.is_online),
+        openTime: toTimeString(row.open_time),
+        closeTime: toTimeString(row.close_time),
+        aliases: parseAliases(row.aliases),
+        isActive: Boolean(row.is_active),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+// ==============================
+// Catalog
+// ==============================
+
+/**
+ * @param {Object} [filters] - { search, includeInactive }
+ */
+async function listVenues({ search, includeInactive = false } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (!includeInactive) {
+        conditions.push('is_active = 1');
+    }
+    if (search && String(search).trim()) {
+        conditions.push('(name LIKE ? OR building LIKE ?)');
+        const term = `%${String(search).trim()}%`;
+        params.push(term, term);
+    }
+
+    const [rows] = await pool.query(
+        `SELECT * FROM venues${conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''} ORDER BY name ASC`,
+        params
+    );
+    return rows.map(formatVenue);
+}
+
+async function getVenue(id) {
+    const [rows] = await pool.query('SELECT * FROM venues WHERE id = ?', [id]);
+    if (rows.length === 0) {
+        throw httpError(404, 'Venue not found');
+    }
+    return formatVenue(rows[0]);
+}
+
+function validateVenue(input = {}) {
+    const errors = {};
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    const capacity = input.capacity === '' || input.capacity === null || input.capacity === undefined
+        ? null
+        : Number(input.capacity);
+    const openTime = toTimeString(input.openTime);
+    const closeTime = toTimeString(input.closeTime);
+
+    if (!name) errors.name = 'Name is required';
+    if (capacity !== null && (!Number.isInteger(capacity) || capacity <= 0)) {
+        errors.capacity = 'Capacity must be a positive whole number';
+    }
+    if (Boolean(openTime) !== Boolean(closeTime)) {
+        errors.closeTime = 'Set both opening and closing times, or neither';
+    } else if (openTime && openTime >= closeTime) {
+        errors.closeTime = 'Closing time must be after opening time';
+    }
+
+    if (Object.keys(errors).length > 0) {
+        throw httpError(400, 'Invalid venue', { errors });
+    }
+
+    const aliases = (Array.isArray(input.aliases) ? input.aliases : String(input.aliases || '').split(','))
+        .map((alias) => String(alias).trim())
+        .filter(Boolean);
+
+    return {
+        name,
+        building: input.building ? String(input.building).trim() : null,
+        capacity,
+        isOnline: Boolean(input.isOnline),
+        openTime,
+        closeTime,
+        aliases,
+        isActive: input.isActive === undefined ? true : Boolean(input.isActive),
+    };
+}
+
+const venueValues = (venue) => [
+    venue.name,
+    venue.building,
+    venue.capacity,
+    venue.isOnline ? 1 : 0,
+    venue.openTime,
+    venue.closeTime,
+    JSON.stringify(venue.aliases),
+    venue.isActive ? 1 : 0,
+];
+
+async function createVenue(input) {
+    const venue = validateVenue(input);
+    try {
+        const [result] = await pool.query(
+            `INSERT INTO venues (name, building, capacity, is_online, open_time, close_time, aliases, is_active)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            venueValues(venue)
+        );
+        console.log('🏛️ Venues: Created venue', { id: result.insertId, name: venue.name });
+        return getVenue(result.insertId);
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            throw httpError(409, `A venue named "${venue.name}" already exists`, { errors: { name: 'Name already in use' } });
+        }
+        throw error;
+    }
+}
+
+async function updateVenue(id, input) {
+    await getVenue(id);
+    const venue = validateVenue(input);
+    try {
+        await pool.query(
+            `UPDATE venues
+             SET name = ?, building = ?, capacity = ?, is_online = ?, open_time = ?, close_time = ?, aliases = ?, is_active = ?
+             WHERE id = ?`,
+            [...venueValues(venue), id]
+        );
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            throw httpError(409, `A venue named "${venue.name}" already exists`, { errors: { name: 'Name already in use' } });
+        }
+        throw error;
+    }
+    console.log('🏛️ Venues: Updated venue', { id, name: venue.name });
+    return getVenue(id);
+}
+
+/**
+ * Venues are referenced by proposals, so removing one only hides it from pickers
+ */
+async function deactivateVenue(id) {
+    const [result] = await pool.query('UPDATE venues SET is_active = 0 WHERE id = ?', [id]);
+    if (result.affectedRows === 0) {
+        throw httpError(404, 'Venue not found');
+    }
+    console.log('🏛️ Venues: Deactivated venue', { id });
+}
+
+// ==============================
+// Availability
+// ==============================
+
+/**
+ * Whether a venue can be booked for a slot, and why not
+ * @param {number|string} id - venues.id
+ * @param {Object} slot - { startDate, endDate, startTime, endTime, excludeProposalId }
+ * @returns {Promise<{ venue: Object, available: boolean, reasons: string[], bookings: Object[], conflicts: Object[] }>}
+ */
+async function getAvailability(id, slot = {}) {
+    const venue = await getVenue(id);
+    const reasons = [];
+
+    if (!venue.isActive) {
+        reasons.push(`${venue.name} is no longer available for booking`);
+    }
+
+    const startTime = toTimeString(slot.startTime);
+    const endTime = toTimeString(slot.endTime);
+    if (venue.openTime && venue.closeTime) {
+        if ((startTime && startTime < venue.openTime) || (endTime && endTime > venue.closeTime)) {
+            reasons.push(`${venue.name} can only be booked between ${venue.openTime} and ${venue.closeTime}`);
+        }
+    }
+
+    // Online platforms can host parallel events
+    let conflicts = [];
+    if (!venue.isOnline) {
+        ({ conflicts } = await checkConflicts({
+            venue: venue.name,
+            venueId: venue.id,
+            venueOnline: false,
+            startDate: slot.startDate,
+            endDate: slot.endDate,
+            startTime,
+            endTime,
+            excludeProposalId: slot.excludeProposalId,
+        }));
+    }
+
+    const blocking = conflicts.filter((conflict) => conflict.severity === 'blocking');
+    blocking.forEach((conflict) => reasons.push(conflict.message));
+
+    return {
+        venue,
+        available: reasons.length === 0,
+        reasons,
+        bookings: conflicts.filter((conflict) => conflict.type === 'venue').map((conflict) => conflict.proposal),
+        conflicts,
+    };
+}
+
+// ==============================
+// Fuzzy Matching
+// ==============================
+
+/**
+ * Lower-case, strip punctuation and filler words: "The Main Gym!" → "main gym"
+ */
+function normalizeVenueText(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .split(' ')
+        .filter((word) => word && !NOISE_WORDS.has(word))
+        .join(' ');
+}
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i += 1) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j += 1) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Similarity of two venue spellings, 0 (different) to 1 (same)
+ */
+function similarity(a, b) {
+    const left = normalizeVenueText(a);
+    const right = normalizeVenueText(b);
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+
+    const editScore = 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+
+    // Same words in a different order ("Room 301 Science" / "Science Room 301")
+    const leftWords = new Set(left.split(' '));
+    const rightWords = new Set(right.split(' '));
+    const shared = [...leftWords].filter((word) => rightWords.has(word)).length;
+    const wordScore = shared / Math.max(leftWords.size, rightWords.size);
+
+    return Math.max(editScore, wordScore);
+}
+
+/**
+ * Best catalog entry for a free-text venue
+ * @param {string} text - e.g. "univ gym"
+ * @param {Object[]} venues - Formatted catalog entries
+ * @returns {{ venue: Object, score: number }|null} null when nothing reaches the threshold
+ */
+function matchVenue(text, venues, threshold = MATCH_THRESHOLD) {
+    let best = null;
+
+    venues.forEach((venue) => {
+        const candidates = [venue.name, ...venue.aliases];
+        if (venue.building) candidates.push(`${venue.name} ${venue.building}`);
+
+        candidates.forEach((candidate) => {
+            const score = similarity(text, candidate);
+            if (!best || score > best.score) {
+                best = { venue, score };
+            }
+        });
+    });
+
+    return best && best.score >= threshold ? best : null;
+}
+
+/**
+ * Link proposals that only have a free-text event_venue to catalog entries
+ * @param {Object} [options]
+ * @param {boolean} [options.apply=false] - Write the matches; otherwise only report them
+ * @param {number} [options.threshold] - Minimum similarity to accept
+ * @returns {Promise<{ matched: Object[], unmatched: Object[], updated: number }>}
+ */
+async function migrateFreeTextVenues({ apply = false, threshold = MATCH_THRESHOLD } = {}) {
+    const venues = await listVenues({ includeInactive: true });
+    const [rows] = await pool.query(
+        `SELECT event_venue AS text, COUNT(*) AS proposals
+         FROM proposals
+         WHERE venue_id IS NULL AND event_venue IS NOT NULL AND TRIM(event_venue) <> '' AND event_venue <> 'TBD'
+         GROUP BY event_venue
+         ORDER BY proposals DESC`
+    );
+
+    const matched = [];
+    const unmatched = [];
+    let updated = 0;
+
+    for (const row of rows) {
+        const match = matchVenue(row.text, venues, threshold);
+        if (!match) {
+            unmatched.push({ text: row.text, proposals: Number(row.proposals) });
+            continue;
+        }
+
+        matched.push({
+            text: row.text,
+            proposals: Number(row.proposals),
+            venueId: match.venue.id,
+            venueName: match.venue.name,
+            score: Math.round(match.score * 100) / 100,
+        });
+
+        if (apply) {
+            const [result] = await pool.query(
+                'UPDATE proposals SET venue_id = ?, event_venue = ? WHERE venue_id IS NULL AND event_venue = ?',
+                [match.venue.id, match.venue.name, row.text]
+            );
+            updated += result.affectedRows;
+        }
+    }
+
+    console.log(`🏛️ Venues: ${apply ? 'Migrated' : 'Previewed'} free-text venues`, {
+        matched: matched.length,
+        unmatched: unmatched.length,
+        updated,
+    });
+    return { matched, unmatched, updated };
+}
+
+module.exports = {
+    MATCH_THRESHOLD,
+    listVenues,
+    getVenue,
+    createVenue,
+    updateVenue,
+    deactivateVenue,
+    getAvailability,
+    normalizeVenueText,
+    similarity,
+    matchVenue,
+    migrateFreeTextVenues,
+};
@@ -0,0 +1,395 @@
+// ==============================
+// Whitelist Service
+// Email addresses allowed to create their account on first Google sign-in
+// ==============================
+// Accounts are never created for unknown Google users. An address on the
+// whitelist is the exception: the first time it signs in with Google (and
+// Google has verified it), an approved account is created with the entry's
+// role, and the entry records which account it became. Entries can expire;
+// expired entries stay listed but no longer provision anyone. A student
+// entry also auto-approves a pending student account that signed up with the
+// address itself (account-approval.service), so there is one list of trusted
+// addresses.
+//
+// Head admins (user:manage) manage entries one at a time from the settings
+// page or in bulk through CSV import/export. Only head admins may whitelist
+// an address as head admin.
+
+const { json2csv, csv2json } = require('json-2-csv');
+const { pool } = require('../config/db');
+const ROLES = require('../constants/roles');
+const { httpError } = require('../utils/http-error');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_NOTES_LENGTH = 1000;
+const MAX_IMPORT_ROWS = 2000;
+
+const ROLE_VALUES = Object.values(ROLES);
+const STATUSES = ['all', 'active', 'expired', 'provisioned'];
+const EMAIL_PATTERN = /^[^\s@]+@[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// CSV columns, in order; imports accept the same file an export produces,
+// skipping the rows of entries that have already expired
+const CSV_KEYS = ['email', 'role', 'expires_at', 'notes', 'provisioned_at', 'created_at'];
+
+const normalizeEmail = (value) => String(value || '').trim().toLowerCase();
+
+const isExpired = (row) => Boolean(row.expires_at) && new Date(row.expires_at) <= new Date();
+
+// A date without a time means "through the end of that day"
+function parseExpiry(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const text = String(value).trim();
+    const date = new Date(DATE_ONLY_PATTERN.test(text) ? `${text}T23:59:59` : text);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+const csvDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+function formatEntry(row) {
+    return {
+        id: row.id,
+        email: row.email,
+        role: row.role,
+        notes: row.notes || null,
+        expiresAt: row.expires_at || null,
+        isExpired: isExpired(row),
+        provisionedUser: row.provisioned_user_id
+            ? { id: row.provisioned_user_id, name: row.provisioned_user_name || null }
+            : null,
+        provisionedAt: row.provisioned_at || null,
+        createdBy: row.created_by_name || null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+/**
+ * Check an entry. `partial` allows leaving fields out (updates); `allowPast`
+ * accepts an expiry that has passed (imports skip those rows instead).
+ * @returns {{ values: Object, errors: Object }}
+ */
+function validateEntry(input, actor, { partial = false, allowPast = false } = {}) {
+    const errors = {};
+    const values = {};
+
+    if (!partial || input.email !== undefined) {
+        values.email = normalizeEmail(input.email);
+        if (!EMAIL_PATTERN.test(values.email)) errors.email = 'Enter a valid email address';
+    }
+    if (!partial || input.role !== undefined) {
+        values.role = input.role === undefined || input.role === '' ? ROLES.STUDENT : String(input.role).trim().toLowerCase();
+        if (!ROLE_VALUES.includes(values.role)) {
+            errors.role = `Must be one of: ${ROLE_VALUES.join(', ')}`;
+        } else if (values.role === ROLES.HEAD_ADMIN && actor.role !== ROLES.HEAD_ADMIN) {
+            errors.role = 'Only head admins can whitelist head admins';
+        }
+    }
+    if (!partial || input.expiresAt !== undefined) {
+        values.expires_at = parseExpiry(input.expiresAt);
+        if (values.expires_at === undefined) errors.expiresAt = 'Enter a valid date';
+        else if (!allowPast && values.expires_at && values.expires_at <= new Date()) errors.expiresAt = 'Must be in the future';
+    }
+    if (!partial || input.notes !== undefined) {
+        const notes = typeof input.notes === 'string' ? input.notes.trim() : '';
+        if (notes.length > MAX_NOTES_LENGTH) errors.notes = `Must be ${MAX_NOTES_LENGTH} characters or fewer`;
+        values.notes = notes || null;
+    }
+
+    return { values, errors };
+}
+
+const ENTRY_SELECT = `
+    SELECT w.*, account.name AS provisioned_user_name, creator.name AS created_by_name
+      FROM whitelist w
+      LEFT JOIN users account ON account.id = w.provisioned_user_id
+      LEFT JOIN users creator ON creator.id = w.created_by`;
+
+async function getEntry(id) {
+    const [rows] = await pool.query(`${ENTRY_SELECT} WHERE w.id = ?`, [id]);
+    if (!rows[0]) throw httpError(404, 'Whitelist entry not found');
+    return formatEntry(rows[0]);
+}
+
+/**
+ * A page of whitelist entries, newest first
+ * @param {Object} query - { status: all|active|expired|provisioned, q, page, limit }
+ * @returns {Promise<{entries, pagination}>}
+ */
+async function listEntries(query = {}) {
+    const status = query.status || 'all';
+    if (!STATUSES.includes(status)) {
+        throw httpError(400, 'Validation failed', { errors: { status: `Must be one of: ${STATUSES.join(', ')}` } });
+    }
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+    const conditions = [];
+    const params = [];
+    if (status === 'active') conditions.push('w.provisioned_user_id IS NULL AND (w.expires_at IS NULL OR w.expires_at > NOW())');
+    if (status === 'expired') conditions.push('w.provisioned_user_id IS NULL AND w.expires_at <= NOW()');
+    if (status === 'provisioned') conditions.push('w.provisioned_user_id IS NOT NULL');
+    const search = String(query.q || '').trim();
+    if (search) {
+        conditions.push('(w.email LIKE ? OR w.notes LIKE ?)');
+        params.push(`%${search}%`, `%${search}%`);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [rows] = await pool.query(
+        `${ENTRY_SELECT} ${where} ORDER BY w.created_at DESC, w.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, (page - 1) * limit],
+    );
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM whitelist w ${where}`, params);
+
+    return {
+        entries: rows.map(formatEntry),
+        pagination: { page, limit, total: Number(total), pages: Math.ceil(Number(total) / limit) },
+    };
+}
+
+/**
+ * Whitelist an address
+ * @param {Object} input - { email, role, expiresAt, notes }
+ * @param {Object} actor - req.user
+ */
+async function createEntry(input, actor) {
+    const { values, errors } = validateEntry(input || {}, actor);
+    if (Object.keys(errors).length) throw httpError(400, 'Validation failed', { errors });
+
+    try {
+        const [result] = await pool.query(
+            'INSERT INTO whitelist (email, role, expires_at, notes, created_by) VALUES (?, ?, ?, ?, ?)',
+            [values.email, values.role, values.expires_at, values.notes, Number.isInteger(actor.id) ? actor.id : null],
+        );
+        return getEntry(result.insertId);
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            throw httpError(409, 'This address is already whitelisted', { errors: { email: `${values.email} is already listed` } });
+        }
+        throw error;
+    }
+}
+
+/**
+ * Change an entry's role, expiry or notes. The address itself is fixed;
+ * delete the entry and add the new address instead.
+ * @param {number} id
+ * @param {Object} input - { role, expiresAt, notes }
+ * @param {Object} actor - req.user
+ */
+async function updateEntry(id, input, actor) {
+    const { email, ...changes } = input || {};
+    if (email !== undefined) {
+        throw httpError(400, 'Validation failed', { errors: { email: 'The address cannot be changed' } });
+    }
+    const { values, errors } = validateEntry(changes, actor, { partial: true });
+    if (Object.keys(errors).length) throw httpError(400, 'Validation failed', { errors });
+    if (Object.keys(values).length === 0) throw httpError(400, 'Nothing to update');
+
+    const [existing] = await pool.query('SELECT role FROM whitelist WHERE id = ?', [id]);
+    if (!existing[0]) throw httpError(404, 'Whitelist entry not found');
+    if (existing[0].role === ROLES.HEAD_ADMIN && actor.role !== ROLES.HEAD_ADMIN) {
+        throw httpError(403, 'Only head admins can change head admin entries');
+    }
+
+    await pool.query('UPDATE whitelist SET ? WHERE id = ?', [values, id]);
+    return getEntry(id);
+}
+
+/**
+ * Remove an entry. An account it already created is kept.
+ * @param {number} id
+ * @param {Object} actor - req.user
+ */
+async function deleteEntry(id, actor) {
+    const [existing] = await pool.query('SELECT role FROM whitelist WHERE id = ?', [id]);
+    if (!existing[0]) throw httpError(404, 'Whitelist entry not found');
+    if (existing[0].role === ROLES.HEAD_ADMIN && actor.role !== ROLES.HEAD_ADMIN) {
+        throw httpError(403, 'Only head admins can remove head admin entries');
+    }
+    await pool.query('DELETE FROM whitelist WHERE id = ?', [id]);
+}
+
+// Header names are matched loosely: "Email", "Expires At" and "expires_at" all work
+const headerKey = (header) => String(header).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+/**
+ * Add or update entries from a CSV file (columns: email, role, expires_at,
+ * notes; other columns are ignored). Every row is checked first and nothing
+ * is saved if any row is invalid. Rows that expired already (as in an export
+ * of expired entries) are skipped and counted, not saved.
+ * @param {Buffer|string} file - CSV contents
+ * @param {Object} actor - req.user
+ * @returns {Promise<{ created: number, updated: number, skipped: number, total: number }>}
+ */
+async function importCsv(file, actor) {
+    let records;
+    try {
+        // Excel starts the CSV files it saves with a byte order mark
+        const text = String(file || '').replace(/^\uFEFF/, '');
+        records = csv2json(text, {
+            trimHeaderFields: true,
+            trimFieldValues: true,
+            parseValue: (value) => value,
+        });
+    } catch (error) {
+        throw httpError(400, 'Could not read the CSV file', { errors: { file: error.message } });
+    }
+    const rows = records
+        .map((record) => Object.fromEntries(Object.entries(record).map(([key, value]) => [headerKey(key), value])))
+        .filter((row) => Object.values(row).some((value) => String(value ?? '').trim() !== ''));
+
+    if (rows.length === 0) {
+        throw httpError(400, 'Validation failed', { errors: { file: 'The file has no rows. The first row must be a header with an "email" column.' } });
+    }
+    if (!('email' in rows[0])) {
+        throw httpError(400, 'Validation failed', { errors: { file: 'The first row must be a header with an "email" column' } });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw httpError(400, 'Validation failed', { errors: { file: `At most ${MAX_IMPORT_ROWS} rows per file` } });
+    }
+
+    const entries = [];
+    const rowErrors = [];
+    const seen = new Map();
+    rows.forEach((row, index) => {
+        const line = index + 2; // after the header, counting from 1
+        const { values, errors } = validateEntry(
+            { email: row.email, role: row.role, expiresAt: row.expires_at, notes: row.notes },
+            actor,
+            { allowPast: true },
+        );
+        if (values.email && seen.has(values.email)) {
+            errors.email = `Duplicate of line ${seen.get(values.email)}`;
+        }
+        if (Object.keys(errors).length) {
+            rowErrors.push({ line, email: row.email || null, message: Object.values(errors).join('; ') });
+        } else {
+            seen.set(values.email, line);
+            entries.push(values);
+        }
+    });
+    if (rowErrors.length) {
+        throw httpError(400, `${rowErrors.length} row${rowErrors.length === 1 ? '' : 's'} could not be imported; nothing was saved`, {
+            errors: { rows: rowErrors },
+        });
+    }
+
+    const current = entries.filter((entry) => !isExpired(entry));
+    const skipped = entries.length - current.length;
+    if (current.length === 0) {
+        return { created: 0, updated: 0, skipped, total: entries.length };
+    }
+
+    const [existing] = await pool.query('SELECT email, role FROM whitelist WHERE email IN (?)', [current.map((entry) => entry.email)]);
+    if (actor.role !== ROLES.HEAD_ADMIN && existing.some((row) => row.role === ROLES.HEAD_ADMIN)) {
+        throw httpError(403, 'Only head admins can change head admin entries');
+    }
+
+    const createdBy = Number.isInteger(actor.id) ? actor.id : null;
+    await pool.query(
+        `INSERT INTO whitelist (email, role, expires_at, notes, created_by) VALUES ?
+         ON DUPLICATE KEY UPDATE role = VALUES(role), expires_at = VALUES(expires_at), notes = VALUES(notes)`,
+        [current.map((entry) => [entry.email, entry.role, entry.expires_at, entry.notes, createdBy])],
+    );
+
+    console.log(`✅ Whitelist: imported ${current.length} rows (${existing.length} updated, ${skipped} expired skipped) by ${actor.id}`);
+    return { created: current.length - existing.length, updated: existing.length, skipped, total: entries.length };
+}
+
+/**
+ * Every entry as CSV, in the format importCsv reads
+ * @returns {Promise<{ filename: string, csv: string }>}
+ */
+async function exportCsv() {
+    const [rows] = await pool.query('SELECT * FROM whitelist ORDER BY email ASC');
+    const csv = json2csv(
+        rows.map((row) => ({
+            email: row.email,
+            role: row.role,
+            expires_at: csvDate(row.expires_at),
+            notes: row.notes || '',
+            provisioned_at: csvDate(row.provisioned_at),
+            created_at: csvDate(row.created_at),
+        })),
+        { keys: CSV_KEYS, emptyFieldValue: '', preventCsvInjection: true },
+    );
+    return { filename: `whitelist-${new Date().toISOString().slice(0, 10)}.csv`, csv };
+}
+
+/**
+ * Unexpired entries for some addresses, used or not
+ * @param {string[]} emails
+ * @returns {Promise<Object[]>} Formatted entries
+ */
+async function findActiveEntries(emails) {
+    const addresses = [...new Set((emails || []).map(normalizeEmail).filter(Boolean))];
+    if (addresses.length === 0) return [];
+
+    const [rows] = await pool.query(
+        `${ENTRY_SELECT} WHERE w.email IN (?) AND (w.expires_at IS NULL OR w.expires_at > NOW())`,
+        [addresses],
+    );
+    return rows.map(formatEntry);
+}
+
+/**
+ * Create the account of a first-time Google user from their whitelist entry.
+ * Returns the new users row, or null when the address is not whitelisted,
+ * the entry has expired or was already used, or Google has not verified it.
+ * @param {Object} profile - { email, name, picture, googleId, emailVerified }
+ */
+async function provisionGoogleUser({ email, name, picture, googleId, emailVerified }) {
+    const address = normalizeEmail(email);
+    if (!address || !emailVerified) return null;
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [entries] = await connection.query(
+            `SELECT * FROM whitelist
+              WHERE email = ? AND provisioned_user_id IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+              FOR UPDATE`,
+            [address],
+        );
+        const entry = entries[0];
+        if (!entry) {
+            await connection.rollback();
+            return null;
+        }
+
+        const [result] = await connection.query(
+            `INSERT INTO users (name, email, role, google_id, avatar, is_approved, approved_by, approved_at)
+             VALUES (?, ?, ?, ?, ?, TRUE, ?, CURRENT_TIMESTAMP)`,
+            [name || address.split('@')[0], address, entry.role, googleId, picture || null, entry.created_by],
+        );
+        await connection.query(
+            'UPDATE whitelist SET provisioned_user_id = ?, provisioned_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [result.insertId, entry.id],
+        );
+        const [users] = await connection.query('SELECT * FROM users WHERE id = ?', [result.insertId]);
+        await connection.commit();
+
+        console.log(`✅ Whitelist: provisioned ${address} as ${entry.role} (user ${result.insertId})`);
+        return users[0];
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+module.exports = {
+    listEntries,
+    createEntry,
+    updateEntry,
+    deleteEntry,
+    importCsv,
+    exportCsv,
+    findActiveEntries,
+    provisionGoogleUser,
+};
@@ -0,0 +1,348 @@
+// backend/tests/account-approvals.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// Requests run as `mockUser`; individual tests switch between roles
+let mockUser;
+jest.mock("../middleware/auth", () => ({
+    validateToken: (req, res, next) => {
+        req.user = mockUser;
+        next();
+    },
+}));
+
+// Decisions run on a dedicated connection with the accounts locked
+const mockConnection = {
+    beginTransaction: jest.fn(),
+    query: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn(),
+};
+
+jest.mock("../config/db", () => ({
+    pool: {
+        query: jest.fn(),
+        getConnection: jest.fn(),
+    },
+}));
+
+jest.mock("../services/notification.service", () => ({
+    notifyAccountApproved: jest.fn(),
+    notifyAccountRejected: jest.fn(),
+}));
+
+const { pool } = require("../config/db");
+const { notifyAccountApproved, notifyAccountRejected } = require("../services/notification.service");
+const accountApprovalService = require("../services/account-approval.service");
+const accountApprovalsRouter = require("../routes/account-approvals");
+
+const app = express();
+app.use(express.json());
+app.use("/api/account-approvals", accountApprovalsRouter);
+
+const headAdmin = { id: 1, role: "head_admin" };
+const manager = { id: 2, role: "manager" };
+
+const DOMAIN_RULE = { id: 3, rule_type: "email_domain", value: "my.xu.edu.ph", is_active: 1 };
+const WHITELIST_ENTRY = { id: 8, email: "guest.speaker@gmail.com", role: "student", notes: null, expires_at: null };
+
+const pendingStudent = (overrides = {}) => ({
+    id: 10,
+    name: "Ana Cruz",
+    email: "ana@my.xu.edu.ph",
+    role: "student",
+    is_approved: 0,
+    rejected_at: null,
+    rejection_reason: null,
+    ...overrides,
+});
+
+describe("Account approvals API", () => {
+    beforeEach(() => {
+        mockUser = manager;
+        pool.getConnection.mockResolvedValue(mockConnection);
+    });
+
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("lists pending accounts with the rule that would approve them", async () => {
+        pool.query
+            .mockResolvedValueOnce([[
+                { ...pendingStudent(), organization: "Xavier Robotics", google_linked: 1, created_at: "2026-10-01" },
+                { ...pendingStudent({ id: 11, email: "partner@my.xu.edu.ph", role: "partner" }), google_linked: 0 },
+            ]])
+            .mockResolvedValueOnce([[{ total: 2 }]])
+            .mockResolvedValueOnce([[{ pending: "2", rejected: "1" }]])
+            .mockResolvedValueOnce([[DOMAIN_RULE]])
+            .mockResolvedValueOnce([[]]);
+
+        const res = await request(app).get("/api/account-approvals?q=xu");
+
+        expect(res.status).toBe(200);
+        expect(res.body.counts).toEqual({ pending: 2, rejected: 1 });
+        expect(res.body.accounts[0]).toMatchObject({
+            id: 10,
+            status: "pending",
+            googleLinked: true,
+            matchedRule: { id: 3, type: "email_domain", value: "my.xu.edu.ph" },
+        });
+        // Rules only cover student accounts
+        expect(res.body.accounts[1].matchedRule).toBeNull();
+
+        const [sql, params] = pool.query.mock.calls[0];
+        expect(sql).toContain("u.rejected_at IS NULL");
+        expect(params).toEqual(["%xu%", "%xu%", "%xu%", 25, 0]);
+        // Only the whitelist entries of the listed addresses are read
+        expect(pool.query.mock.calls[4][1]).toEqual([["ana@my.xu.edu.ph", "partner@my.xu.edu.ph"]]);
+    });
+
+    it("requires a reason to reject", async () => {
+        const res = await request(app)
+            .post("/api/account-approvals/decisions")
+            .send({ userIds: [10], decision: "reject", reason: "   " });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.reason).toBeDefined();
+        expect(pool.getConnection).not.toHaveBeenCalled();
+    });
+
+    it("rejects in bulk, skipping accounts that were already decided", async () => {
+        mockConnection.query
+            .mockResolvedValueOnce([[
+                pendingStudent(),
+                pendingStudent({ id: 12, is_approved: 1 }),
+                pendingStudent({ id: 13, rejected_at: "2026-10-02" }),
+                pendingStudent({ id: 14 }),
+            ]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+        const res = await request(app)
+            .post("/api/account-approvals/decisions")
+            .send({ userIds: [10, 12, 13, 14, 99], decision: "reject", reason: " Not an XU student " });
+
+        expect(res.status).toBe(200);
+        expect(res.body.updated).toEqual([10, 14]);
+        expect(res.body.skipped).toEqual([
+            { id: 12, reason: "Already approved" },
+            { id: 13, reason: "Already rejected" },
+            { id: 99, reason: "Account not found" },
+        ]);
+        expect(res.body.message).toBe("2 accounts rejected");
+
+        expect(mockConnection.query.mock.calls[0][0]).toContain("FOR UPDATE");
+        const [sql, params] = mockConnection.query.mock.calls[1];
+        expect(sql).toContain("rejection_reason = ?");
+        expect(params).toEqual([2, "Not an XU student", 10]);
+        expect(mockConnection.query.mock.calls[2][1]).toEqual([2, "Not an XU student", 14]);
+        expect(mockConnection.commit).toHaveBeenCalled();
+        expect(notifyAccountRejected).toHaveBeenCalledTimes(2);
+        expect(notifyAccountRejected).toHaveBeenCalledWith(10, { reason: "Not an XU student", reviewer: manager });
+    });
+
+    it("approves rejected accounts and clears the rejection", async () => {
+        mockConnection.query
+            .mockResolvedValueOnce([[pendingStudent({ rejected_at: "2026-10-02", rejection_reason: "Wrong ID" })]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+        const res = await request(app)
+            .post("/api/account-approvals/decisions")
+            .send({ userIds: [10], decision: "approve" });
+
+        expect(res.status).toBe(200);
+        expect(res.body.updated).toEqual([10]);
+        expect(mockConnection.query.mock.calls[1][0]).toContain("rejection_reason = NULL");
+        expect(notifyAccountApproved).toHaveBeenCalledWith(10, { approver: manager });
+    });
+
+    it("only notifies the accounts this decision changed", async () => {
+        mockConnection.query
+            .mockResolvedValueOnce([[pendingStudent(), pendingStudent({ id: 11 })]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }])
+            .mockResolvedValueOnce([{ affectedRows: 0 }]);
+
+        const res = await request(app)
+            .post("/api/account-approvals/decisions")
+            .send({ userIds: [10, 11], decision: "approve" });
+
+        expect(res.status).toBe(200);
+        expect(res.body.updated).toEqual([10]);
+        expect(res.body.skipped).toEqual([{ id: 11, reason: "Decided by someone else in the meantime" }]);
+        expect(notifyAccountApproved).toHaveBeenCalledTimes(1);
+        expect(notifyAccountApproved).toHaveBeenCalledWith(10, { approver: manager });
+    });
+
+    it("notifies nobody when the decision cannot be saved", async () => {
+        mockConnection.query
+            .mockResolvedValueOnce([[pendingStudent()]])
+            .mockRejectedValueOnce(new Error("Lock wait timeout exceeded"));
+
+        const res = await request(app)
+            .post("/api/account-approvals/decisions")
+            .send({ userIds: [10], decision: "approve" });
+
+        expect(res.status).toBe(500);
+        expect(mockConnection.rollback).toHaveBeenCalled();
+        expect(mockConnection.release).toHaveBeenCalled();
+        expect(notifyAccountApproved).not.toHaveBeenCalled();
+    });
+
+    it("leaves head admin accounts to head admins", async () => {
+        mockConnection.query.mockResolvedValueOnce([[pendingStudent({ role: "head_admin" })]]);
+
+        const res = await request(app)
+            .post("/api/account-approvals/decisions")
+            .send({ userIds: [10], decision: "approve" });
+
+        expect(res.body.updated).toEqual([]);
+        expect(res.body.skipped[0].reason).toMatch(/head admins/);
+        expect(mockConnection.query).toHaveBeenCalledTimes(1);
+    });
+
+    it("limits rule management to user:manage", async () => {
+        const res = await request(app)
+            .post("/api/account-approvals/rules")
+            .send({ type: "email_domain", value: "xu.edu.ph" });
+
+        expect(res.status).toBe(403);
+        expect(res.body.missingPermissions).toEqual(["user:manage"]);
+    });
+
+    it("normalises and validates new rules", async () => {
+        mockUser = headAdmin;
+        pool.query
+            .mockResolvedValueOnce([{ insertId: 5 }])
+            .mockResolvedValueOnce([[{ id: 5, rule_type: "email_domain", value: "xu.edu.ph", is_active: 1, created_by_name: "Head Admin" }]]);
+
+        const created = await request(app)
+            .post("/api/account-approvals/rules")
+            .send({ type: "email_domain", value: " @XU.edu.ph " });
+        const invalid = await request(app)
+            .post("/api/account-approvals/rules")
+            .send({ type: "email_domain", value: "not-a-domain" });
+        const address = await request(app)
+            .post("/api/account-approvals/rules")
+            .send({ type: "email", value: "guest.speaker@gmail.com" });
+
+        expect(created.status).toBe(201);
+        expect(created.body.rule).toMatchObject({ id: 5, type: "email_domain", value: "xu.edu.ph", isActive: true });
+        expect(pool.query.mock.calls[0][1]).toEqual(["email_domain", "xu.edu.ph", null, 1]);
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.errors.value).toBeDefined();
+        // Single addresses belong on the email whitelist
+        expect(address.status).toBe(400);
+        expect(address.body.errors.type).toMatch(/whitelist/);
+        expect(pool.query).toHaveBeenCalledTimes(2);
+    });
+
+    it("reports duplicate rules as a conflict", async () => {
+        mockUser = headAdmin;
+        pool.query.mockRejectedValueOnce(Object.assign(new Error("Duplicate entry"), { code: "ER_DUP_ENTRY" }));
+
+        const res = await request(app)
+            .post("/api/account-approvals/rules")
+            .send({ type: "email_domain", value: "xu.edu.ph" });
+
+        expect(res.status).toBe(409);
+    });
+});
+
+describe("Auto-approval at sign-in", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("approves a pending student whose verified address matches a rule", async () => {
+        pool.query
+            .mockResolvedValueOnce([[DOMAIN_RULE]])
+            .mockResolvedValueOnce([[]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+        const user = await accountApprovalService.applyAutoApproval(
+            pendingStudent({ email: "Ana@Students.My.XU.edu.ph" }),
+            { emailVerified: true },
+        );
+
+        expect(user.is_approved).toBe(1);
+        expect(notifyAccountApproved).toHaveBeenCalledWith(10, {
+            rule: expect.objectContaining({ id: 3, type: "email_domain" }),
+        });
+    });
+
+    it("approves a pending student whose address is on the email whitelist", async () => {
+        pool.query
+            .mockResolvedValueOnce([[]])
+            .mockResolvedValueOnce([[WHITELIST_ENTRY]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+        const user = await accountApprovalService.applyAutoApproval(
+            pendingStudent({ email: "Guest.Speaker@gmail.com" }),
+            { emailVerified: true },
+        );
+
+        expect(user.is_approved).toBe(1);
+        expect(pool.query.mock.calls[1][0]).toContain("FROM whitelist w");
+        expect(pool.query.mock.calls[1][1]).toEqual([["guest.speaker@gmail.com"]]);
+        expect(notifyAccountApproved).toHaveBeenCalledWith(10, {
+            rule: expect.objectContaining({ id: 8, type: "whitelist", value: "guest.speaker@gmail.com" }),
+        });
+    });
+
+    it("does not approve a student through a staff whitelist entry", async () => {
+        pool.query
+            .mockResolvedValueOnce([[]])
+            .mockResolvedValueOnce([[{ ...WHITELIST_ENTRY, role: "manager" }]]);
+
+        const user = await accountApprovalService.applyAutoApproval(
+            pendingStudent({ email: "guest.speaker@gmail.com" }),
+            { emailVerified: true },
+        );
+
+        expect(user.is_approved).toBe(0);
+        expect(pool.query).toHaveBeenCalledTimes(2);
+    });
+
+    it("prefers a whitelisted address over its domain", () => {
+        const rules = [
+            { id: 3, type: "email_domain", value: "gmail.com" },
+            { id: 8, type: "whitelist", value: "guest.speaker@gmail.com" },
+        ];
+
+        expect(accountApprovalService.matchingRule(rules, "Guest.Speaker@gmail.com").id).toBe(8);
+        expect(accountApprovalService.matchingRule(rules, "someone@notgmail.com")).toBeNull();
+    });
+
+    it("skips unverified addresses, staff and rejected requests", async () => {
+        const unverified = await accountApprovalService.applyAutoApproval(pendingStudent(), { emailVerified: false });
+        const staff = await accountApprovalService.applyAutoApproval(pendingStudent({ role: "reviewer" }), { emailVerified: true });
+        const rejected = await accountApprovalService.applyAutoApproval(
+            pendingStudent({ rejected_at: "2026-10-02" }),
+            { emailVerified: true },
+        );
+
+        expect([unverified, staff, rejected].map((user) => user.is_approved)).toEqual([0, 0, 0]);
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it("never blocks sign-in when the rules cannot be read", async () => {
+        pool.query.mockRejectedValueOnce(new Error("Table 'account_approval_rules' doesn't exist"));
+
+        const user = await accountApprovalService.applyAutoApproval(pendingStudent(), { emailVerified: true });
+
+        expect(user.is_approved).toBe(0);
+    });
+
+    it("tells rejected users why", () => {
+        const body = accountApprovalService.signInBlock(
+            pendingStudent({ rejected_at: "2026-10-02", rejection_reason: "Use your school email" }),
+        );
+
+        expect(body.reason).toBe("USER_REJECTED");
+        expect(body.approval).toEqual({ status: "rejected", rejectionReason: "Use your school email", rejectedAt: "2026-10-02" });
+        expect(accountApprovalService.signInBlock(pendingStudent()).reason).toBe("USER_NOT_APPROVED");
+    });
+});
@@ -0,0 +1,218 @@
+// backend/tests/attendance-import.test.js
+
+const request = require("supertest");
+const express = require("express");
+const ExcelJS = require("exceljs");
+
+// Requests run as `mockUser`; individual tests switch between organizer and others
+let mockUser;
+jest.mock("../middleware/auth", () => ({
+    validateToken: (req, res, next) => {
+        req.user = mockUser;
+        next();
+    },
+}));
+
+const mockConnection = {
+    query: jest.fn(),
+    beginTransaction: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn(),
+};
+
+jest.mock("../config/db", () => ({
+    pool: {
+        query: jest.fn(),
+        getConnection: jest.fn(),
+    },
+}));
+
+const { pool } = require("../config/db");
+const { parseAttendanceSheet, matchStudentAccounts } = require("../services/attendance-import.service");
+const attendanceRouter = require("../routes/attendance");
+
+const app = express();
+app.use(express.json());
+app.use("/api/attendance", attendanceRouter);
+
+const organizer = { id: 7, role: "student" };
+
+const csv = (lines) => Buffer.from(lines.join("\n"));
+
+const SHEET = csv([
+    "Leadership Workshop - Attendance",
+    "",
+    "No.,Full Name,E-mail Address,Student No.,Course,Year",
+    "1,Ana Cruz,ANA@example.com,2021-00123,BSIT,3",
+    "2,Ben Reyes,ben@example.com,2021-00456,BSCS,2",
+    "3,,missing@example.com,,BSCS,1",
+    "4,Ana Cruz,ana@example.com,2021-00123,BSIT,3",
+]);
+
+const proposalRow = (overrides = {}) => ({ id: 42, userId: 7, report_status: "draft", ...overrides });
+
+describe("Attendance sheet parsing", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("finds the header row below a title and maps known columns", async () => {
+        const sheet = await parseAttendanceSheet(SHEET, "attendance.csv");
+
+        expect(sheet.headerRowNumber).toBe(3);
+        expect(sheet.mapping).toEqual({
+            fullName: "Full Name",
+            email: "E-mail Address",
+            studentId: "Student No.",
+            program: "Course",
+            yearLevel: "Year",
+        });
+        expect(sheet.rows[0]).toMatchObject({
+            rowNumber: 4,
+            fullName: "Ana Cruz",
+            email: "ana@example.com",
+            studentId: "2021-00123",
+            status: "unmatched",
+        });
+    });
+
+    it("flags rows without a name and repeated attendees", async () => {
+        const sheet = await parseAttendanceSheet(SHEET, "attendance.csv");
+
+        expect(sheet.rows[2]).toMatchObject({ status: "invalid", errors: ["Name is missing"] });
+        expect(sheet.rows[3]).toMatchObject({ status: "duplicate", errors: ["Duplicate of row 4"] });
+    });
+
+    it("combines first and last name columns and reads xlsx files", async () => {
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet("Attendance");
+        worksheet.addRow(["First Name", "Last Name", "Email"]);
+        worksheet.addRow(["Ana", "Cruz", { text: "ana@example.com", hyperlink: "mailto:ana@example.com" }]);
+        const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+        const sheet = await parseAttendanceSheet(buffer, "attendance.xlsx");
+
+        expect(sheet.rows).toHaveLength(1);
+        expect(sheet.rows[0]).toMatchObject({ fullName: "Ana Cruz", email: "ana@example.com", status: "unmatched" });
+    });
+
+    it("uses the organizer's column choice over the guessed one", async () => {
+        const sheet = await parseAttendanceSheet(
+            csv(["Participant,Gbox,Personal Email", "Ana Cruz,ana@school.edu,ana@example.com"]),
+            "attendance.csv",
+            { fullName: "Participant", email: "Personal Email" }
+        );
+
+        expect(sheet.rows[0].email).toBe("ana@example.com");
+    });
+
+    it("rejects sheets without a recognisable header row", async () => {
+        await expect(parseAttendanceSheet(csv(["a,b,c", "1,2,3"]), "attendance.csv"))
+            .rejects.toMatchObject({ statusCode: 422 });
+    });
+
+    it("rejects file types it cannot read", async () => {
+        await expect(parseAttendanceSheet(Buffer.from("x"), "attendance.xls"))
+            .rejects.toMatchObject({ statusCode: 422 });
+    });
+
+    it("matches accounts by email first and then by student ID", async () => {
+        const sheet = await parseAttendanceSheet(SHEET, "attendance.csv");
+        pool.query.mockResolvedValueOnce([[
+            { id: 11, email: "Ana@Example.com", student_id: null },
+            { id: 12, email: "benjamin@school.edu", student_id: "2021-00456" },
+        ]]);
+
+        await matchStudentAccounts(sheet.rows);
+
+        expect(sheet.rows[0]).toMatchObject({ userId: 11, matchedBy: "email", status: "matched" });
+        expect(sheet.rows[1]).toMatchObject({ userId: 12, matchedBy: "student_id", status: "matched" });
+        const [sql, params] = pool.query.mock.calls[0];
+        expect(sql).toContain("role = 'student'");
+        expect(params).toEqual([["ana@example.com", "ben@example.com"], ["2021-00123", "2021-00456"]]);
+    });
+});
+
+describe("Attendance import API", () => {
+    beforeEach(() => {
+        mockUser = organizer;
+    });
+
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("previews a sheet without writing attendees", async () => {
+        pool.query
+            .mockResolvedValueOnce([[proposalRow()]])
+            .mockResolvedValueOnce([[{ id: 11, email: "ana@example.com", student_id: null }]]);
+
+        const res = await request(app)
+            .post("/api/attendance/42/import/preview")
+            .attach("attendance_file", SHEET, "attendance.csv");
+
+        expect(res.status).toBe(200);
+        expect(res.body.summary).toEqual({ total: 4, valid: 2, matched: 1, unmatched: 1, invalid: 1, duplicates: 1 });
+        expect(pool.getConnection).not.toHaveBeenCalled();
+    });
+
+    it("replaces imported attendees and derives the attendance count on confirm", async () => {
+        pool.query.mockResolvedValueOnce([[proposalRow()]]);
+        pool.getConnection.mockResolvedValue(mockConnection);
+        mockConnection.query
+            .mockResolvedValueOnce([[{ id: 11, email: "ana@example.com", student_id: null }]])
+            .mockResolvedValueOnce([{ affectedRows: 3 }])
+            .mockResolvedValueOnce([{ affectedRows: 2 }])
+            .mockResolvedValueOnce([[{ total: 5 }]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+        const res = await request(app)
+            .post("/api/attendance/42/import/confirm")
+            .attach("attendance_file", SHEET, "attendance.csv");
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ imported: 2, attendanceCount: 5 });
+
+        const [deleteSql] = mockConnection.query.mock.calls[1];
+        expect(deleteSql).toContain("source = 'import'");
+        const [, [values]] = mockConnection.query.mock.calls[2];
+        expect(values).toEqual([
+            ["42", 11, "Ana Cruz", "ana@example.com", "2021-00123", null, "BSIT", "3", "import"],
+            ["42", null, "Ben Reyes", "ben@example.com", "2021-00456", null, "BSCS", "2", "import"],
+        ]);
+        expect(mockConnection.query.mock.calls[4][1]).toEqual([5, "42"]);
+        expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    it("does not let other students import for someone else's event", async () => {
+        mockUser = { id: 8, role: "student" };
+        pool.query.mockResolvedValueOnce([[proposalRow()]]);
+
+        const res = await request(app)
+            .post("/api/attendance/42/import/preview")
+            .attach("attendance_file", SHEET, "attendance.csv");
+
+        expect(res.status).toBe(403);
+    });
+
+    it("locks attendance once the report is approved", async () => {
+        pool.query.mockResolvedValueOnce([[proposalRow({ report_status: "approved" })]]);
+
+        const res = await request(app)
+            .post("/api/attendance/42/import/confirm")
+            .attach("attendance_file", SHEET, "attendance.csv");
+
+        expect(res.status).toBe(409);
+        expect(pool.getConnection).not.toHaveBeenCalled();
+    });
+
+    it("rejects files that are not CSV or xlsx before parsing", async () => {
+        const res = await request(app)
+            .post("/api/attendance/42/import/preview")
+            .attach("attendance_file", Buffer.from("%PDF-1.4"), "attendance.pdf");
+
+        expect(res.status).toBe(400);
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,275 @@
+// backend/tests/check-in.test.js
+
+process.env.CHECK_IN_SECRET = "test-check-in-secret";
+
+const request = require("supertest");
+const express = require("express");
+
+// Requests run as `mockUser`; individual tests switch between organizer and students
+let mockUser;
+jest.mock("../middleware/auth", () => ({
+    validateToken: (req, res, next) => {
+        req.user = mockUser;
+        next();
+    },
+}));
+
+jest.mock("../config/db", () => ({
+    pool: {
+        query: jest.fn(),
+    },
+}));
+
+jest.mock("../services/live-stream.service", () => ({
+    publish: jest.fn(),
+}));
+
+const { pool } = require("../config/db");
+const { publish } = require("../services/live-stream.service");
+const { signCode, verifyCode, issueCode, checkIn } = require("../services/check-in.service");
+const checkInRouter = require("../routes/check-in");
+
+const app = express();
+app.use(express.json());
+app.use("/api/check-in", checkInRouter);
+
+const organizer = { id: 7, role: "student" };
+const attendee = { id: 9, role: "student" };
+
+// The event runs all of April 15 (server local time)
+const eventRow = (overrides = {}) => ({
+    id: 42,
+    userId: 7,
+    event_name: "Leadership Workshop",
+    organization_name: "Student Council",
+    proposal_status: "approved",
+    report_status: "draft",
+    event_start_date: "2025-04-15",
+    event_end_date: "2025-04-15",
+    event_venue: "Gymnasium",
+    ...overrides,
+});
+
+const at = (hours, minutes = 0) => new Date(2025, 3, 15, hours, minutes);
+
+const codeFor = (issuedAt, minutes = 5) => signCode({
+    proposalId: 42,
+    issuedAt,
+    expiresAt: new Date(issuedAt.getTime() + minutes * 60 * 1000),
+});
+
+const studentRow = { id: 9, name: "Ana Cruz", email: "Ana@Example.com", student_id: "2021-00123" };
+
+describe("Check-in codes", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("rejects codes whose signature does not match", () => {
+        const code = codeFor(at(9));
+        const [payload] = code.split(".");
+        const forged = Buffer.from(JSON.stringify({ p: 43, iat: 1, exp: 9999999999 })).toString("base64url");
+
+        expect(verifyCode(code).proposalId).toBe(42);
+        expect(() => verifyCode(`${forged}.${code.split(".")[1]}`)).toThrow("not valid");
+        expect(() => verifyCode(`${payload}.tampered`)).toThrow("not valid");
+    });
+
+    it("issues a short-lived code with a QR image during the event", async () => {
+        pool.query.mockResolvedValueOnce([[eventRow()]]);
+
+        const result = await issueCode(42, organizer, { now: at(9) });
+
+        expect(new Date(result.expiresAt)).toEqual(at(9, 5));
+        expect(result.url).toContain("/student-dashboard/check-in?code=");
+        expect(result.qrSvg).toContain("<svg");
+        expect(verifyCode(result.code).proposalId).toBe(42);
+    });
+
+    it("issues printable codes valid until the end of the event", async () => {
+        pool.query.mockResolvedValueOnce([[eventRow()]]);
+
+        const result = await issueCode(42, organizer, { printable: true, now: at(9) });
+
+        expect(new Date(result.expiresAt)).toEqual(new Date(2025, 3, 16));
+    });
+
+    it("does not issue codes before the event day or for unapproved events", async () => {
+        pool.query.mockResolvedValueOnce([[eventRow()]]);
+        await expect(issueCode(42, organizer, { now: new Date(2025, 3, 14, 20) }))
+            .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining("Check-in opens on") });
+
+        pool.query.mockResolvedValueOnce([[eventRow({ proposal_status: "pending" })]]);
+        await expect(issueCode(42, organizer, { now: at(9) })).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it("stops issuing codes while the event is postponed or once it is cancelled", async () => {
+        pool.query.mockResolvedValueOnce([[eventRow({ event_status: "postponed" })]]);
+        await expect(issueCode(42, organizer, { now: at(9) }))
+            .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining("postponed") });
+
+        pool.query.mockResolvedValueOnce([[eventRow({ event_status: "cancelled" })]]);
+        await expect(issueCode(42, organizer, { now: at(9) }))
+            .rejects.toMatchObject({ statusCode: 409, message: "This event has been cancelled" });
+    });
+
+    it("only lets the organizer or staff open the code", async () => {
+        pool.query.mockResolvedValueOnce([[eventRow()]]);
+
+        await expect(issueCode(42, attendee, { now: at(9) })).rejects.toMatchObject({ statusCode: 403 });
+    });
+});
+
+describe("Checking in", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("adds the student to the event attendees and notifies the organizer", async () => {
+        pool.query
+            .mockResolvedValueOnce([[eventRow()]])
+            .mockResolvedValueOnce([[studentRow]])
+            .mockResolvedValueOnce([[]])
+            .mockResolvedValueOnce([{ insertId: 501 }])
+            .mockResolvedValueOnce([[{ total: 12 }]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+        const result = await checkIn(codeFor(at(9)), attendee, { now: at(9, 2) });
+
+        expect(result.alreadyCheckedIn).toBe(false);
+        const [insertSql, insertParams] = pool.query.mock.calls[3];
+        expect(insertSql).toContain("'check_in'");
+        expect(insertParams).toEqual([42, 9, "Ana Cruz", "ana@example.com", "2021-00123", at(9, 2)]);
+        expect(pool.query.mock.calls[5][1]).toEqual([12, 42]);
+        expect(publish).toHaveBeenCalledWith(
+            "attendance.check_in",
+            expect.objectContaining({ proposalId: 42, attendanceCount: 12 }),
+            { userIds: [7], staff: true }
+        );
+    });
+
+    it("marks an imported attendee as checked in instead of adding them twice", async () => {
+        pool.query
+            .mockResolvedValueOnce([[eventRow()]])
+            .mockResolvedValueOnce([[studentRow]])
+            .mockResolvedValueOnce([[{ id: 300, source: "import", checked_in_at: null }]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }])
+            .mockResolvedValueOnce([[{ total: 12 }]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+        await checkIn(codeFor(at(9)), attendee, { now: at(9, 2) });
+
+        expect(pool.query.mock.calls[3][0]).toContain("UPDATE event_attendees SET user_id = COALESCE(user_id, ?), checked_in_at = ?");
+        expect(pool.query.mock.calls[3][1]).toEqual([9, at(9, 2), 300]);
+    });
+
+    it("reports a repeated scan without writing again", async () => {
+        pool.query
+            .mockResolvedValueOnce([[eventRow()]])
+            .mockResolvedValueOnce([[studentRow]])
+            .mockResolvedValueOnce([[{ id: 300, source: "check_in", checked_in_at: at(9, 1) }]]);
+
+        const result = await checkIn(codeFor(at(9)), attendee, { now: at(9, 2) });
+
+        expect(result.alreadyCheckedIn).toBe(true);
+        expect(pool.query).toHaveBeenCalledTimes(3);
+        expect(publish).not.toHaveBeenCalled();
+    });
+
+    it("refuses check-ins to a cancelled event with a code issued before it was cancelled", async () => {
+        pool.query.mockResolvedValueOnce([[eventRow({ event_status: "cancelled" })]]);
+
+        await expect(checkIn(codeFor(at(9)), attendee, { now: at(9, 2) }))
+            .rejects.toMatchObject({ statusCode: 409, message: "This event has been cancelled" });
+        expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it("rejects expired codes", async () => {
+        await expect(checkIn(codeFor(at(9)), attendee, { now: at(9, 30) }))
+            .rejects.toMatchObject({ statusCode: 410 });
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it("accepts a queued offline scan made while the code was valid", async () => {
+        pool.query
+            .mockResolvedValueOnce([[eventRow()]])
+            .mockResolvedValueOnce([[studentRow]])
+            .mockResolvedValueOnce([[]])
+            .mockResolvedValueOnce([{ insertId: 501 }])
+            .mockResolvedValueOnce([[{ total: 1 }]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+        const result = await checkIn(codeFor(at(9)), attendee, { scannedAt: at(9, 3).toISOString(), now: at(9, 8) });
+
+        expect(result.checkedInAt).toBe(at(9, 3).toISOString());
+    });
+
+    it("rejects a backdated scan of a code that expired more than a few minutes ago", async () => {
+        await expect(checkIn(codeFor(at(9)), attendee, {
+            scannedAt: at(9, 3).toISOString(),
+            now: at(9, 20),
+        })).rejects.toMatchObject({ statusCode: 410 });
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it("does not sign codes with the JWT secret itself", () => {
+        const checkInSecret = process.env.CHECK_IN_SECRET;
+        const jwtSecret = process.env.JWT_SECRET;
+        delete process.env.CHECK_IN_SECRET;
+        process.env.JWT_SECRET = "test-jwt-secret";
+        try {
+            const code = codeFor(at(9));
+            const [payload, signature] = code.split(".");
+            const jwtSigned = require("crypto").createHmac("sha256", "test-jwt-secret").update(`check-in.${payload}`).digest("base64url");
+
+            expect(signature).not.toBe(jwtSigned);
+            expect(verifyCode(code).proposalId).toBe(42);
+        } finally {
+            process.env.CHECK_IN_SECRET = checkInSecret;
+            if (jwtSecret === undefined) delete process.env.JWT_SECRET;
+            else process.env.JWT_SECRET = jwtSecret;
+        }
+    });
+});
+
+describe("Check-in API", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("only accepts check-ins from student accounts", async () => {
+        mockUser = { id: 1, role: "head_admin" };
+
+        const res = await request(app).post("/api/check-in").send({ code: "x.y" });
+
+        expect(res.status).toBe(403);
+    });
+
+    it("returns the roster of checked-in attendees to the organizer", async () => {
+        mockUser = organizer;
+        pool.query
+            .mockResolvedValueOnce([[eventRow()]])
+            .mockResolvedValueOnce([[{
+                id: 501, user_id: 9, full_name: "Ana Cruz", email: "ana@example.com",
+                student_id: null, source: "check_in", checked_in_at: "2025-04-15T01:02:00.000Z",
+            }]])
+            .mockResolvedValueOnce([[{ total: 5 }]]);
+
+        const res = await request(app).get("/api/check-in/events/42/roster");
+
+        expect(res.status).toBe(200);
+        expect(res.body.attendanceCount).toBe(5);
+        expect(res.body.checkIns).toEqual([
+            expect.objectContaining({ name: "Ana Cruz", checkedInAt: "2025-04-15T01:02:00.000Z" }),
+        ]);
+    });
+
+    it("hides the roster from other students", async () => {
+        mockUser = attendee;
+        pool.query.mockResolvedValueOnce([[eventRow()]]);
+
+        const res = await request(app).get("/api/check-in/events/42/roster");
+
+        expect(res.status).toBe(403);
+    });
+});
@@ -0,0 +1,339 @@
+// backend/tests/compliance-deadlines.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// Requests run as `mockUser`; individual tests switch between staff and student
+let mockUser;
+jest.mock("../middleware/auth", () => ({
+    validateToken: (req, res, next) => {
+        req.user = mockUser;
+        next();
+    },
+}));
+
+jest.mock("../config/db", () => ({
+    pool: {
+        query: jest.fn(),
+    },
+}));
+
+// Notification content is covered in notifications.test.js
+jest.mock("../services/notification.service", () => ({
+    notifyComplianceReminder: jest.fn(),
+    notifyComplianceOverdue: jest.fn(),
+    notifyComplianceEscalated: jest.fn(),
+}));
+
+const { pool } = require("../config/db");
+const {
+    notifyComplianceReminder,
+    notifyComplianceOverdue,
+    notifyComplianceEscalated,
+} = require("../services/notification.service");
+const {
+    parseReminderDays,
+    nextComplianceStatus,
+    startComplianceClock,
+    refreshComplianceStatus,
+    pauseComplianceClock,
+    runComplianceCheck,
+    assertOrganizationCanSubmit,
+} = require("../services/compliance-deadline.service");
+const complianceRouter = require("../routes/compliance");
+
+const app = express();
+app.use(express.json());
+app.use("/api/compliance", complianceRouter);
+
+const student = { id: 7, role: "student" };
+const reviewer = { id: 3, role: "reviewer" };
+const admin = { id: 1, role: "head_admin", name: "Head Admin" };
+
+const today = new Date(2025, 2, 24); // March 24, 2025
+
+const outstanding = (overrides = {}) => ({
+    id: 42,
+    compliance_due_date: "2025-03-27",
+    compliance_status: "pending",
+    reviewed_by_admin_id: 3,
+    ...overrides,
+});
+
+describe("Compliance deadlines", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("parses the reminder offsets, furthest first", () => {
+        expect(parseReminderDays("1, 7,3,3,-2,x")).toEqual([7, 3, 1]);
+        expect(parseReminderDays("")).toEqual([]);
+    });
+
+    describe("status", () => {
+        it("starts the clock with the default documents checklist", async () => {
+            pool.query.mockResolvedValue([{ affectedRows: 1 }]);
+
+            await startComplianceClock(42);
+
+            expect(pool.query.mock.calls[0][1]).toEqual([30, 42]);
+            expect(pool.query.mock.calls[1]).toEqual([
+                expect.stringContaining("INSERT IGNORE INTO compliance_documents"),
+                [[[42, "Budget Report", true], [42, "Photo Documentation", true]]],
+            ]);
+        });
+
+        it("needs the accepted report and every required document to be compliant", () => {
+            const state = (overrides) => ({ compliance_status: "pending", report_status: "approved", missing_documents: 0, ...overrides });
+
+            expect(nextComplianceStatus(state())).toBe("compliant");
+            expect(nextComplianceStatus(state({ missing_documents: 1 }))).toBe("pending");
+            expect(nextComplianceStatus(state({ compliance_status: "overdue", report_status: "pending" }))).toBe("pending");
+            expect(nextComplianceStatus(state({ compliance_status: "overdue", report_status: "pending", missing_documents: 2 }))).toBe("overdue");
+            expect(nextComplianceStatus(state({ compliance_status: "compliant", report_status: "denied", missing_documents: 1 }))).toBe("compliant");
+        });
+
+        it("only writes when the status changes", async () => {
+            pool.query
+                .mockResolvedValueOnce([[{ compliance_status: "overdue", report_status: "approved", missing_documents: 0 }]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([[{ compliance_status: "pending", report_status: "draft", missing_documents: 2 }]]);
+
+            await expect(refreshComplianceStatus(42)).resolves.toBe("compliant");
+            expect(pool.query.mock.calls[1][1]).toEqual(["compliant", 42]);
+
+            await expect(refreshComplianceStatus(42)).resolves.toBe("pending");
+            expect(pool.query).toHaveBeenCalledTimes(3);
+        });
+    });
+
+    describe("daily check", () => {
+        it("reminds the organizer at a configured offset", async () => {
+            pool.query
+                .mockResolvedValueOnce([[outstanding()]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+            const summary = await runComplianceCheck({ today });
+
+            expect(pool.query.mock.calls[1]).toEqual([
+                expect.stringContaining("INSERT IGNORE INTO compliance_reminders"),
+                [42, "reminder", 3, "2025-03-27"],
+            ]);
+            expect(notifyComplianceReminder).toHaveBeenCalledWith(42, { dueDate: "2025-03-27", daysLeft: 3 });
+            expect(summary).toMatchObject({ checked: 1, reminded: 1, markedOverdue: 0 });
+        });
+
+        it("stays quiet between offsets and for reminders already sent", async () => {
+            pool.query
+                .mockResolvedValueOnce([[outstanding({ compliance_due_date: "2025-03-29" }), outstanding({ id: 43 })]])
+                .mockResolvedValueOnce([{ affectedRows: 0 }]);
+
+            const summary = await runComplianceCheck({ today });
+
+            expect(pool.query).toHaveBeenCalledTimes(2);
+            expect(pool.query.mock.calls[1][1]).toEqual([43, "reminder", 3, "2025-03-27"]);
+            expect(notifyComplianceReminder).not.toHaveBeenCalled();
+            expect(summary.reminded).toBe(0);
+        });
+
+        it("marks a missed deadline overdue and escalates to the approving reviewer", async () => {
+            pool.query
+                .mockResolvedValueOnce([[outstanding({ compliance_due_date: "2025-03-20" })]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+            const summary = await runComplianceCheck({ today });
+
+            expect(pool.query.mock.calls[1][0]).toContain("compliance_status = 'overdue'");
+            expect(pool.query.mock.calls[2][1]).toEqual([42, "overdue", 0, "2025-03-20"]);
+            expect(pool.query.mock.calls[3][1]).toEqual([42, "escalation", 0, "2025-03-20"]);
+            expect(notifyComplianceOverdue).toHaveBeenCalledWith(42, { dueDate: "2025-03-20" });
+            expect(notifyComplianceEscalated).toHaveBeenCalledWith(42, { dueDate: "2025-03-20", reviewerId: 3 });
+            expect(summary).toMatchObject({ markedOverdue: 1, escalated: 1 });
+        });
+
+        it("does not escalate the same overdue report twice", async () => {
+            pool.query
+                .mockResolvedValueOnce([[outstanding({ compliance_due_date: "2025-03-20", compliance_status: "overdue" })]])
+                .mockResolvedValueOnce([{ affectedRows: 0 }])
+                .mockResolvedValueOnce([{ affectedRows: 0 }]);
+
+            const summary = await runComplianceCheck({ today });
+
+            expect(pool.query).toHaveBeenCalledTimes(3);
+            expect(notifyComplianceOverdue).not.toHaveBeenCalled();
+            expect(notifyComplianceEscalated).not.toHaveBeenCalled();
+            expect(summary).toMatchObject({ markedOverdue: 0, escalated: 0 });
+        });
+
+        it("keeps going when one proposal fails", async () => {
+            pool.query
+                .mockResolvedValueOnce([[outstanding({ id: 41 }), outstanding()]])
+                .mockRejectedValueOnce(new Error("deadlock"))
+                .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+            const summary = await runComplianceCheck({ today });
+
+            expect(notifyComplianceReminder).toHaveBeenCalledWith(42, expect.any(Object));
+            expect(summary).toMatchObject({ checked: 2, reminded: 1, failed: 1 });
+        });
+
+        it("stops chasing the report once the event is cancelled", async () => {
+            pool.query
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([[]]);
+
+            await pauseComplianceClock(42, "cancelled");
+            const summary = await runComplianceCheck({ today });
+
+            expect(pool.query.mock.calls[0][0]).toContain("compliance_due_date = NULL");
+            expect(pool.query.mock.calls[0][1]).toEqual(["not_applicable", 42]);
+            expect(pool.query.mock.calls[1][0]).toMatch(/e\.status IN \('postponed', 'cancelled'\)/);
+            expect(notifyComplianceOverdue).not.toHaveBeenCalled();
+            expect(notifyComplianceEscalated).not.toHaveBeenCalled();
+            expect(summary).toMatchObject({ checked: 0, markedOverdue: 0 });
+        });
+
+        it("keeps a postponed event's report pending until it is rescheduled", async () => {
+            pool.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+            await pauseComplianceClock(42, "postponed");
+
+            expect(pool.query.mock.calls[0][1]).toEqual(["pending", 42]);
+        });
+    });
+
+    describe("submission block", () => {
+        it("refuses organizations with overdue reports", async () => {
+            pool.query
+                .mockResolvedValueOnce([[{ id: 4, event_name: "Robotics Fair", compliance_due_date: "2025-02-01" }]])
+                .mockResolvedValueOnce([[]]);
+
+            await expect(assertOrganizationCanSubmit(" Xavier Robotics ", { excludeProposalId: 10 })).rejects.toMatchObject({
+                statusCode: 409,
+                code: "COMPLIANCE_OVERDUE",
+                overdueReports: [{ proposalId: 4, eventName: "Robotics Fair", dueDate: "2025-02-01" }],
+            });
+            expect(pool.query.mock.calls[0][1]).toEqual(["xavier robotics", 0, 10]);
+        });
+
+        it("matches the organization however its name is typed, and the organizer who owes the report", async () => {
+            pool.query
+                .mockResolvedValueOnce([[{ id: 4, event_name: "Robotics Fair", organization_name: "Xavier Robotics", compliance_due_date: "2025-02-01" }]])
+                .mockResolvedValueOnce([[]]);
+
+            await expect(assertOrganizationCanSubmit("XAVIER  robotics club", { ownerId: 7 }))
+                .rejects.toMatchObject({ statusCode: 409 });
+
+            const [sql, params] = pool.query.mock.calls[0];
+            expect(sql).toContain("LOWER(REGEXP_REPLACE(TRIM(organization_name), '[[:space:]]+', ' ')) = ? OR userId = ?");
+            expect(params).toEqual(["xavier robotics club", 7, 0]);
+            // An override for the organization that owes the report still applies
+            expect(pool.query.mock.calls[1][1]).toEqual([["xavier robotics club", "xavier robotics"]]);
+        });
+
+        it("lets the organization submit under an admin override", async () => {
+            pool.query
+                .mockResolvedValueOnce([[{ id: 4, event_name: "Robotics Fair", compliance_due_date: "2025-02-01" }]])
+                .mockResolvedValueOnce([[{ id: 2, organization_name: "Xavier Robotics", reason: "Report delayed by adviser", expires_at: "2025-04-01", granted_by: 1 }]]);
+
+            await expect(assertOrganizationCanSubmit("Xavier Robotics")).resolves.toBeUndefined();
+        });
+
+        it("does not look for overrides when nothing is overdue", async () => {
+            pool.query.mockResolvedValueOnce([[]]);
+
+            await assertOrganizationCanSubmit("Xavier Robotics");
+
+            expect(pool.query).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe("API", () => {
+        it("lists only the student's own deadlines", async () => {
+            mockUser = student;
+            pool.query.mockResolvedValueOnce([[{
+                id: 42,
+                userId: 7,
+                event_name: "Robotics Fair",
+                organization_name: "Xavier Robotics",
+                event_end_date: "2025-02-28",
+                report_status: "draft",
+                compliance_due_date: "2025-03-30",
+                compliance_status: "pending",
+                reviewed_by_admin_id: 3,
+                reviewer_name: "Rita Reviewer",
+            }]]);
+
+            const res = await request(app).get("/api/compliance/deadlines?status=pending");
+
+            expect(res.status).toBe(200);
+            const [sql, params] = pool.query.mock.calls[0];
+            expect(sql).toContain("p.userId = ?");
+            expect(params).toEqual(["pending", 7]);
+            expect(res.body.deadlines[0]).toMatchObject({
+                proposalId: 42,
+                dueDate: "2025-03-30",
+                status: "pending",
+                reviewer: { id: 3, name: "Rita Reviewer" },
+            });
+            expect(res.body.settings).toEqual({ dueDays: 30, reminderDays: [7, 3, 1] });
+        });
+
+        it("only lets staff run the check on demand", async () => {
+            mockUser = student;
+            const denied = await request(app).post("/api/compliance/deadlines/run");
+            expect(denied.status).toBe(403);
+
+            mockUser = reviewer;
+            pool.query.mockResolvedValueOnce([[]]);
+            const res = await request(app).post("/api/compliance/deadlines/run");
+            expect(res.status).toBe(200);
+            expect(res.body.summary).toMatchObject({ checked: 0 });
+        });
+
+        it("lets admins grant an override with a reason", async () => {
+            mockUser = admin;
+            pool.query.mockResolvedValueOnce([{ insertId: 5 }]);
+
+            const res = await request(app).post("/api/compliance/overrides").send({
+                organizationName: "Xavier Robotics",
+                reason: "Adviser on leave; report expected next week",
+                expiresAt: "2999-01-01T00:00:00.000Z",
+            });
+
+            expect(res.status).toBe(201);
+            expect(res.body.override).toMatchObject({ id: 5, organizationName: "Xavier Robotics", grantedBy: { id: 1 } });
+            expect(pool.query.mock.calls[0][1]).toEqual([
+                "Xavier Robotics", "Adviser on leave; report expected next week", new Date("2999-01-01T00:00:00.000Z"), 1,
+            ]);
+        });
+
+        it("validates overrides and keeps them to admins", async () => {
+            mockUser = reviewer;
+            const denied = await request(app).post("/api/compliance/overrides").send({ organizationName: "Xavier Robotics", reason: "Please" });
+            expect(denied.status).toBe(403);
+
+            mockUser = admin;
+            const invalid = await request(app).post("/api/compliance/overrides").send({ organizationName: " ", expiresAt: "2020-01-01" });
+            expect(invalid.status).toBe(400);
+            expect(Object.keys(invalid.body.errors)).toEqual(["organizationName", "reason", "expiresAt"]);
+            expect(pool.query).not.toHaveBeenCalled();
+        });
+
+        it("revokes an active override", async () => {
+            mockUser = admin;
+            pool.query
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([{ affectedRows: 0 }]);
+
+            const res = await request(app).delete("/api/compliance/overrides/5");
+            expect(res.status).toBe(200);
+            expect(pool.query.mock.calls[0][1]).toEqual([1, "5"]);
+
+            const again = await request(app).delete("/api/compliance/overrides/5");
+            expect(again.status).toBe(404);
+        });
+    });
+});
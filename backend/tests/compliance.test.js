@@ -0,0 +1,317 @@
+// backend/tests/compliance.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// Requests run as `mockUser`; individual tests switch between staff and students
+let mockUser;
+jest.mock("../middleware/auth", () => ({
+    validateToken: (req, res, next) => {
+        req.user = mockUser;
+        next();
+    },
+}));
+
+jest.mock("../config/db", () => ({
+    pool: {
+        query: jest.fn(),
+        getConnection: jest.fn(),
+    },
+}));
+
+jest.mock("../services/notification.service", () => ({
+    notifyComplianceDocumentsSubmitted: jest.fn(),
+    notifyComplianceStatusChanged: jest.fn(),
+}));
+
+jest.mock("../services/proposal-lifecycle.service", () => ({
+    recordStatusHistory: jest.fn(),
+    getStatusHistory: jest.fn(),
+}));
+
+// Status rules are covered in compliance-deadlines.test.js
+jest.mock("../services/compliance-deadline.service", () => ({
+    ...jest.requireActual("../services/compliance-deadline.service"),
+    refreshComplianceStatus: jest.fn(),
+}));
+
+const { pool } = require("../config/db");
+const {
+    notifyComplianceDocumentsSubmitted,
+    notifyComplianceStatusChanged,
+} = require("../services/notification.service");
+const { recordStatusHistory, getStatusHistory } = require("../services/proposal-lifecycle.service");
+const { refreshComplianceStatus } = require("../services/compliance-deadline.service");
+const { uploadDocuments, migrateMongoCompliance } = require("../services/compliance.service");
+const complianceRouter = require("../routes/compliance");
+
+const app = express();
+app.use(express.json());
+app.use("/api/compliance", complianceRouter);
+
+const student = { id: 7, role: "student" };
+const otherStudent = { id: 8, role: "student" };
+const reviewer = { id: 3, role: "reviewer" };
+
+const proposalRow = (overrides = {}) => ({
+    id: 42,
+    userId: 7,
+    event_name: "Robotics Fair",
+    organization_name: "Xavier Robotics",
+    proposal_status: "approved",
+    report_status: "draft",
+    event_start_date: "2025-02-27",
+    event_end_date: "2025-02-28",
+    approved_at: "2025-02-01T08:00:00.000Z",
+    reviewed_by_admin_id: 3,
+    compliance_due_date: "2025-03-30",
+    compliance_status: "pending",
+    compliance_overdue_at: null,
+    owner_name: "Sam Student",
+    owner_email: "sam@example.com",
+    reviewer_name: "Rita Reviewer",
+    ...overrides,
+});
+
+const checklist = () => [
+    {
+        id: 1,
+        proposal_id: 42,
+        name: "Budget Report",
+        is_required: 1,
+        file_name: "budget.xlsx",
+        file_path: "/srv/uploads/compliance/42/budget_1.xlsx",
+        mime_type: "application/vnd.ms-excel",
+        file_size: 2048,
+        submitted_at: "2025-03-02T10:00:00.000Z",
+        submitted_by: 7,
+        submitted_by_name: "Sam Student",
+    },
+    { id: 2, proposal_id: 42, name: "Photo Documentation", is_required: 1, submitted_at: null },
+];
+
+const mockConnection = {
+    beginTransaction: jest.fn(),
+    query: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn(),
+};
+
+describe("Compliance", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    describe("reading", () => {
+        it("lists only the student's own proposals with their checklist and progress", async () => {
+            mockUser = student;
+            pool.query
+                .mockResolvedValueOnce([[proposalRow()]])
+                .mockResolvedValueOnce([checklist()]);
+
+            const res = await request(app).get("/api/compliance?status=pending");
+
+            expect(res.status).toBe(200);
+            const [sql, params] = pool.query.mock.calls[0];
+            expect(sql).toContain("p.userId = ?");
+            expect(params).toEqual(["pending", 7]);
+            expect(pool.query.mock.calls[1][1]).toEqual([[42]]);
+
+            const [item] = res.body.items;
+            expect(item).toMatchObject({
+                proposalId: 42,
+                dueDate: "2025-03-30",
+                status: "pending",
+                organizer: { id: 7, name: "Sam Student" },
+                progress: 33,
+            });
+            expect(item.documents).toEqual([
+                expect.objectContaining({ name: "Budget Report", required: true, submitted: true, downloadUrl: "/api/compliance/documents/1/file" }),
+                expect.objectContaining({ name: "Photo Documentation", required: true, submitted: false, downloadUrl: null }),
+            ]);
+        });
+
+        it("keeps statistics to staff", async () => {
+            mockUser = student;
+            const denied = await request(app).get("/api/compliance/stats");
+            expect(denied.status).toBe(403);
+
+            mockUser = reviewer;
+            pool.query.mockResolvedValueOnce([[
+                { compliance_status: "compliant", count: 3 },
+                { compliance_status: "overdue", count: 1 },
+            ]]);
+            const res = await request(app).get("/api/compliance/stats");
+
+            expect(res.status).toBe(200);
+            expect(res.body.stats).toEqual({ compliant: 3, pending: 0, overdue: 1, total: 4, complianceRate: 75 });
+        });
+
+        it("shows one proposal with its manual compliance changes only", async () => {
+            mockUser = reviewer;
+            pool.query
+                .mockResolvedValueOnce([[proposalRow()]])
+                .mockResolvedValueOnce([checklist()]);
+            getStatusHistory.mockResolvedValueOnce([
+                { id: 1, type: "proposal", from: "pending", to: "approved" },
+                { id: 2, type: "compliance", from: "overdue", to: "pending", comment: "Extension agreed" },
+            ]);
+
+            const res = await request(app).get("/api/compliance/42");
+
+            expect(res.status).toBe(200);
+            expect(res.body.compliance.history).toEqual([expect.objectContaining({ id: 2, type: "compliance" })]);
+        });
+
+        it("hides other students' proposals", async () => {
+            mockUser = otherStudent;
+            pool.query.mockResolvedValueOnce([[proposalRow()]]);
+
+            const res = await request(app).get("/api/compliance/42");
+
+            expect(res.status).toBe(403);
+        });
+    });
+
+    describe("documents", () => {
+        const file = (name) => ({ originalname: name, path: `/tmp/compliance-test/${name}`, mimetype: "application/pdf", size: 1024 });
+
+        it("stores each file against its checklist item and re-evaluates the status", async () => {
+            pool.getConnection.mockResolvedValue(mockConnection);
+            pool.query
+                .mockResolvedValueOnce([[proposalRow()]])
+                .mockResolvedValueOnce([[proposalRow()]])
+                .mockResolvedValueOnce([checklist()]);
+            getStatusHistory.mockResolvedValueOnce([]);
+
+            const result = await uploadDocuments(42, [file("photos.pdf")], '["Photo Documentation"]', student);
+
+            expect(mockConnection.query.mock.calls[0][0]).toContain("ON DUPLICATE KEY UPDATE");
+            expect(mockConnection.query.mock.calls[0][1]).toEqual([
+                42, "Photo Documentation", "photos.pdf", "/tmp/compliance-test/photos.pdf", "application/pdf", 1024, 7,
+            ]);
+            expect(refreshComplianceStatus).toHaveBeenCalledWith(42, { connection: mockConnection });
+            expect(mockConnection.commit).toHaveBeenCalled();
+            expect(mockConnection.release).toHaveBeenCalled();
+            expect(notifyComplianceDocumentsSubmitted).toHaveBeenCalledWith(42, { documents: ["Photo Documentation"], actor: student });
+            expect(result.proposalId).toBe(42);
+        });
+
+        it("refuses files without a matching type and proposals of other students", async () => {
+            await expect(uploadDocuments(42, [file("a.pdf"), file("b.pdf")], ["Budget Report"], student))
+                .rejects.toMatchObject({ statusCode: 400 });
+            expect(pool.query).not.toHaveBeenCalled();
+
+            pool.query.mockResolvedValueOnce([[proposalRow()]]);
+            await expect(uploadDocuments(42, [file("a.pdf")], ["Budget Report"], otherStudent))
+                .rejects.toMatchObject({ statusCode: 403 });
+            expect(pool.getConnection).not.toHaveBeenCalled();
+        });
+
+        it("only accepts approved proposals", async () => {
+            pool.query.mockResolvedValueOnce([[proposalRow({ proposal_status: "pending" })]]);
+
+            await expect(uploadDocuments(42, [file("a.pdf")], ["Budget Report"], student))
+                .rejects.toMatchObject({ statusCode: 400 });
+        });
+
+        it("rejects file types outside the allowed list before storing them", async () => {
+            mockUser = student;
+
+            const res = await request(app)
+                .post("/api/compliance/42/documents")
+                .field("documentTypes", '["Budget Report"]')
+                .attach("documents", Buffer.from("MZ"), "budget.exe");
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toContain("Invalid file type");
+            expect(pool.query).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("status", () => {
+        it("lets staff set the status with a comment for the organizer", async () => {
+            mockUser = reviewer;
+            pool.query
+                .mockResolvedValueOnce([[proposalRow({ compliance_status: "overdue" })]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([[proposalRow({ compliance_status: "compliant" })]])
+                .mockResolvedValueOnce([checklist()]);
+            getStatusHistory.mockResolvedValueOnce([]);
+
+            const res = await request(app)
+                .put("/api/compliance/42/status")
+                .send({ status: "compliant", comment: " Paper copies received " });
+
+            expect(res.status).toBe(200);
+            expect(pool.query.mock.calls[1][1]).toEqual(["compliant", "compliant", 42]);
+            expect(recordStatusHistory).toHaveBeenCalledWith(pool, expect.objectContaining({
+                proposalId: 42,
+                kind: "compliance",
+                from: "overdue",
+                to: "compliant",
+                actor: reviewer,
+                comment: "Paper copies received",
+            }));
+            expect(notifyComplianceStatusChanged).toHaveBeenCalledWith(42, { status: "compliant", comment: "Paper copies received" });
+            expect(res.body.compliance.status).toBe("compliant");
+        });
+
+        it("keeps manual changes to staff and known statuses", async () => {
+            mockUser = student;
+            const denied = await request(app).put("/api/compliance/42/status").send({ status: "compliant" });
+            expect(denied.status).toBe(403);
+
+            mockUser = reviewer;
+            const invalid = await request(app).put("/api/compliance/42/status").send({ status: "done" });
+            expect(invalid.status).toBe(400);
+            expect(Object.keys(invalid.body.errors)).toEqual(["status"]);
+            expect(pool.query).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("Mongo migration", () => {
+        const mongoProposal = (overrides = {}) => ({
+            _id: "65f0c0ffee",
+            title: "Robotics Fair",
+            startDate: new Date(2025, 1, 27),
+            complianceStatus: "overdue",
+            complianceDueDate: new Date(2025, 2, 29),
+            complianceDocuments: [
+                { name: "Final Report", required: true, submitted: true, submittedAt: new Date("2025-03-01T00:00:00Z"), path: "uploads/compliance/1700-final.pdf" },
+                { name: "Budget Report", required: true, submitted: false },
+            ],
+            ...overrides,
+        });
+
+        it("previews matches by event name and start date without writing", async () => {
+            pool.query
+                .mockResolvedValueOnce([[{ id: 42, event_start_date: "2025-02-27", compliance_status: "pending" }, { id: 50, event_start_date: "2026-02-27", compliance_status: "pending" }]])
+                .mockResolvedValueOnce([[]]);
+
+            const result = await migrateMongoCompliance([mongoProposal(), mongoProposal({ _id: "65f0beef", title: "Unknown Drive" })]);
+
+            expect(result.matched).toEqual([expect.objectContaining({ proposalId: 42, status: "overdue", documents: 2 })]);
+            expect(result.unmatched).toEqual([expect.objectContaining({ title: "Unknown Drive" })]);
+            expect(result.updated).toBe(0);
+            expect(pool.query).toHaveBeenCalledTimes(2);
+        });
+
+        it("writes the due date, status and documents when applied", async () => {
+            pool.query
+                .mockResolvedValueOnce([[{ id: 42, event_start_date: "2025-03-01", compliance_status: "compliant" }]])
+                .mockResolvedValue([{ affectedRows: 1 }]);
+
+            const result = await migrateMongoCompliance([mongoProposal()], { apply: true });
+
+            expect(result.matched[0].status).toBe("compliant");
+            expect(pool.query.mock.calls[1][1]).toEqual(["2025-03-29", "overdue", "overdue", 42]);
+            expect(pool.query.mock.calls[2][1]).toEqual([
+                42, "Final Report", true, "1700-final.pdf", "uploads/compliance/1700-final.pdf", new Date("2025-03-01T00:00:00Z"),
+            ]);
+            expect(pool.query.mock.calls[3][1]).toEqual([42, "Budget Report", true, null, null, null]);
+            expect(result.updated).toBe(1);
+        });
+    });
+});
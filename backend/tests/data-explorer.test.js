@@ -0,0 +1,277 @@
+// backend/tests/data-explorer.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// Requests run as `mockUser`; individual tests switch between roles
+let mockUser;
+jest.mock("../middleware/auth", () => ({
+    validateToken: (req, res, next) => {
+        req.user = mockUser;
+        next();
+    },
+}));
+
+// Mock the MySQL pool (writes use a transaction)
+const mockConnection = {
+    beginTransaction: jest.fn(),
+    query: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn(),
+};
+
+jest.mock("../config/db", () => ({
+    pool: {
+        query: jest.fn(),
+        getConnection: jest.fn(),
+    },
+}));
+
+const mockCollection = {
+    find: jest.fn(),
+    countDocuments: jest.fn(),
+    findOne: jest.fn(),
+};
+jest.mock("../config/mongodb", () => ({
+    getDb: jest.fn(),
+}));
+
+const { pool } = require("../config/db");
+const { getDb } = require("../config/mongodb");
+const { hasPermission, loadGrants } = require("../services/permission.service");
+const dataExplorerRouter = require("../routes/data-explorer");
+const permissionsRouter = require("../routes/permissions");
+
+const app = express();
+app.use(express.json());
+app.use("/api/data-explorer", dataExplorerRouter);
+app.use("/api/permissions", permissionsRouter);
+
+const headAdmin = { id: 1, role: "head_admin" };
+const manager = { id: 2, role: "manager" };
+
+const USER_COLUMNS = ["id", "name", "email", "password", "google_id", "reset_token", "reset_token_expires", "is_approved"]
+    .map((Field) => ({ Field }));
+
+const auditInsertOf = (calls) => calls.find(([sql]) => sql.includes("INSERT INTO data_explorer_audit"));
+
+describe("Data explorer API", () => {
+    const originalWrites = process.env.DATA_EXPLORER_WRITES;
+
+    beforeEach(() => {
+        mockUser = headAdmin;
+        delete process.env.DATA_EXPLORER_WRITES;
+    });
+
+    afterEach(async () => {
+        jest.resetAllMocks();
+        pool.query.mockResolvedValueOnce([[]]);
+        await loadGrants();
+        pool.query.mockClear();
+        process.env.DATA_EXPLORER_WRITES = originalWrites;
+        if (originalWrites === undefined) delete process.env.DATA_EXPLORER_WRITES;
+    });
+
+    it("is limited to head admins", async () => {
+        mockUser = manager;
+
+        const res = await request(app).get("/api/data-explorer/users");
+
+        expect(res.status).toBe(403);
+        expect(res.body.missingPermissions).toEqual(["data:explore"]);
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it("lists the whitelist and reports that writes are off by default", async () => {
+        const res = await request(app).get("/api/data-explorer/resources");
+
+        expect(res.status).toBe(200);
+        expect(res.body.writesEnabled).toBe(false);
+        expect(res.body.canWrite).toBe(false);
+        const names = res.body.resources.map((resource) => resource.name);
+        expect(names).toContain("users");
+        expect(names).not.toContain("role_permissions");
+        expect(res.body.resources.find((resource) => resource.name === "users").editable).not.toContain("role");
+    });
+
+    it("404s for tables outside the whitelist", async () => {
+        const res = await request(app).get("/api/data-explorer/role_permissions");
+        const prototypeKey = await request(app).get("/api/data-explorer/constructor");
+
+        expect(res.status).toBe(404);
+        expect(prototypeKey.status).toBe(404);
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it("never selects redacted columns and audits the read", async () => {
+        pool.query
+            .mockResolvedValueOnce([USER_COLUMNS])
+            .mockResolvedValueOnce([[{ id: 4, name: "Ana", email: "ana@example.com", is_approved: 1 }]])
+            .mockResolvedValueOnce([[{ total: 1 }]])
+            .mockResolvedValueOnce([{ insertId: 1 }]);
+
+        const res = await request(app).get("/api/data-explorer/users?q=ana&limit=500");
+
+        expect(res.status).toBe(200);
+        expect(res.body.columns).toEqual(["id", "name", "email", "is_approved"]);
+        expect(res.body.redacted).toEqual(["password", "google_id", "reset_token", "reset_token_expires"]);
+        expect(res.body.pagination).toEqual({ page: 1, limit: 100, total: 1, pages: 1 });
+
+        const [selectSql, selectParams] = pool.query.mock.calls[1];
+        expect(selectSql).toContain("?? LIKE ?");
+        expect(selectParams[0]).toEqual(["id", "name", "email", "is_approved"]);
+        expect(selectParams).toContain("%ana%");
+
+        const [, auditParams] = auditInsertOf(pool.query.mock.calls);
+        expect(auditParams.slice(0, 4)).toEqual([1, "head_admin", "list", "users"]);
+        expect(JSON.parse(auditParams[6])).toEqual({ page: 1, limit: 100, q: "ana" });
+    });
+
+    it("projects redacted fields out of MongoDB documents", async () => {
+        const cursor = { sort: jest.fn(), skip: jest.fn(), limit: jest.fn(), toArray: jest.fn() };
+        cursor.sort.mockReturnValue(cursor);
+        cursor.skip.mockReturnValue(cursor);
+        cursor.limit.mockReturnValue(cursor);
+        cursor.toArray.mockResolvedValue([{ _id: "66aa", filename: "Org_AR.pdf" }]);
+        mockCollection.find.mockReturnValue(cursor);
+        mockCollection.countDocuments.mockResolvedValue(1);
+        getDb.mockResolvedValue({ collection: () => mockCollection });
+        pool.query.mockResolvedValueOnce([{ insertId: 2 }]);
+
+        const res = await request(app).get("/api/data-explorer/file_uploads");
+
+        expect(res.status).toBe(200);
+        expect(mockCollection.find.mock.calls[0][1].projection).toMatchObject({ data: 0, password: 0 });
+        expect(res.body.columns).toEqual(["_id", "filename"]);
+    });
+
+    it("refuses writes while the explorer is read-only", async () => {
+        const res = await request(app)
+            .patch("/api/data-explorer/users/4")
+            .send({ changes: { name: "Ana B." }, reason: "Name change request #12" });
+
+        expect(res.status).toBe(403);
+        expect(res.body.error).toMatch(/read-only/);
+        expect(pool.getConnection).not.toHaveBeenCalled();
+    });
+
+    it("requires a reason and only editable columns", async () => {
+        process.env.DATA_EXPLORER_WRITES = "true";
+
+        const noReason = await request(app).patch("/api/data-explorer/users/4").send({ changes: { name: "Ana B." } });
+        const password = await request(app)
+            .patch("/api/data-explorer/users/4")
+            .send({ changes: { password: "x", role: "head_admin" }, reason: "Testing" });
+        const readOnly = await request(app)
+            .patch("/api/data-explorer/sdp_credit_ledger/3")
+            .send({ changes: { credits: 10 }, reason: "Testing" });
+
+        expect(noReason.status).toBe(400);
+        expect(noReason.body.errors.reason).toBeDefined();
+        expect(password.status).toBe(400);
+        expect(password.body.error).toBe("Not editable: password, role");
+        expect(readOnly.status).toBe(403);
+        expect(pool.getConnection).not.toHaveBeenCalled();
+    });
+
+    it("updates a record and audits before/after in the same transaction", async () => {
+        process.env.DATA_EXPLORER_WRITES = "true";
+        pool.query.mockResolvedValueOnce([USER_COLUMNS]);
+        pool.getConnection.mockResolvedValue(mockConnection);
+        mockConnection.query
+            .mockResolvedValueOnce([[{ id: 4, name: "Ana", email: "ana@example.com", is_approved: 1 }]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }])
+            .mockResolvedValueOnce([[{ id: 4, name: "Ana Cruz", email: "ana@example.com", is_approved: 1 }]])
+            .mockResolvedValueOnce([{ insertId: 3 }]);
+
+        const res = await request(app)
+            .patch("/api/data-explorer/users/4")
+            .send({ changes: { name: "Ana Cruz" }, reason: "  Full name from the registrar  " });
+
+        expect(res.status).toBe(200);
+        expect(res.body.record.name).toBe("Ana Cruz");
+        expect(mockConnection.query.mock.calls[0][0]).toContain("FOR UPDATE");
+        expect(mockConnection.query.mock.calls[1]).toEqual(["UPDATE ?? SET ? WHERE ?? = ?", ["users", { name: "Ana Cruz" }, "id", "4"]]);
+
+        const [, auditParams] = auditInsertOf(mockConnection.query.mock.calls);
+        expect(auditParams.slice(2, 6)).toEqual(["update", "users", "4", "Full name from the registrar"]);
+        expect(JSON.parse(auditParams[6])).toEqual({ before: { name: "Ana" }, after: { name: "Ana Cruz" } });
+        expect(mockConnection.commit).toHaveBeenCalled();
+        expect(mockConnection.release).toHaveBeenCalled();
+    });
+
+    it("leaves account approval and forced resets to their own workflows", async () => {
+        process.env.DATA_EXPLORER_WRITES = "true";
+
+        const res = await request(app)
+            .patch("/api/data-explorer/users/4")
+            .send({ changes: { is_approved: true, password_reset_required: false }, reason: "Approved by the dean over email" });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe("Not editable: is_approved, password_reset_required");
+        expect(pool.getConnection).not.toHaveBeenCalled();
+    });
+
+    it("rolls back the change when the audit row cannot be written", async () => {
+        process.env.DATA_EXPLORER_WRITES = "true";
+        pool.query.mockResolvedValueOnce([[{ Field: "id" }, { Field: "title" }]]);
+        pool.getConnection.mockResolvedValue(mockConnection);
+        mockConnection.query
+            .mockResolvedValueOnce([[{ id: 9, title: "Reminder" }]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }])
+            .mockRejectedValueOnce(new Error("Table 'data_explorer_audit' doesn't exist"));
+
+        const res = await request(app).delete("/api/data-explorer/notifications/9").send({ reason: "Sent by mistake" });
+
+        expect(res.status).toBe(500);
+        expect(mockConnection.rollback).toHaveBeenCalled();
+        expect(mockConnection.commit).not.toHaveBeenCalled();
+    });
+
+    it("only deletes records of deletable resources", async () => {
+        process.env.DATA_EXPLORER_WRITES = "true";
+
+        const res = await request(app).delete("/api/data-explorer/users/4").send({ reason: "Duplicate account" });
+
+        expect(res.status).toBe(403);
+        expect(pool.getConnection).not.toHaveBeenCalled();
+    });
+
+    it("returns the audit log with actor names", async () => {
+        pool.query
+            .mockResolvedValueOnce([[{
+                id: 3,
+                actor_id: 1,
+                actor_name: "Head Admin",
+                actor_role: "head_admin",
+                action: "update",
+                resource: "users",
+                record_id: "4",
+                reason: "Approved by the dean over email",
+                details: '{"before":{"is_approved":0},"after":{"is_approved":1}}',
+                created_at: "2026-10-19T08:00:00.000Z",
+            }]])
+            .mockResolvedValueOnce([[{ total: 1 }]]);
+
+        const res = await request(app).get("/api/data-explorer/audit?action=update");
+
+        expect(res.status).toBe(200);
+        expect(res.body.entries[0].actor).toEqual({ id: 1, name: "Head Admin", role: "head_admin" });
+        expect(res.body.entries[0].details.after).toEqual({ is_approved: 1 });
+        expect(pool.query.mock.calls[0][1]).toEqual(["update", 25, 0]);
+    });
+
+    it("cannot be granted to other roles", async () => {
+        const res = await request(app)
+            .put("/api/permissions/manager")
+            .send({ permissions: ["dashboard:admin", "data:explore"] });
+
+        pool.query.mockResolvedValueOnce([[{ role: "manager", permission: "data:explore", granted: 1 }]]);
+        await loadGrants();
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.permissions).toMatch(/data:explore/);
+        expect(hasPermission(manager, "data:explore")).toBe(false);
+    });
+});
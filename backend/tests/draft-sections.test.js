@@ -0,0 +1,46 @@
+// backend/tests/draft-sections.test.js
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const { DRAFT_SECTION_SCHEMA } = require("../validators/draft-sections.validator");
+
+const CLIENT_VALIDATION = path.join(
+    __dirname,
+    "../../frontend/src/app/(main)/student-dashboard/submit-event/validation.js"
+);
+
+// Client section names → draft section keys
+const SECTION_MAP = {
+    section1: "overview",
+    section2: "orgInfo",
+    section3: "schoolEvent",
+    section4: "communityEvent",
+    section5: "reporting",
+};
+
+// The client module is an ES module with no imports; run it as a script to read REQUIRED_FIELDS
+function loadClientRequiredFields() {
+    const source = fs.readFileSync(CLIENT_VALIDATION, "utf8").replace(/^export\s+/gm, "");
+    const context = {};
+    vm.runInNewContext(`${source}\nthis.REQUIRED_FIELDS = REQUIRED_FIELDS;`, context);
+    return context.REQUIRED_FIELDS;
+}
+
+// What must match on both sides: which fields exist, whether they are required, the message shown
+const describeRules = (fields) =>
+    Object.fromEntries(Object.entries(fields).map(([field, rule]) => [field, { required: rule.required, message: rule.message }]));
+
+describe("Draft section schema", () => {
+    const clientFields = loadClientRequiredFields();
+
+    it("covers the same sections as the client", () => {
+        expect(Object.keys(clientFields).map((section) => SECTION_MAP[section]).sort())
+            .toEqual(Object.keys(DRAFT_SECTION_SCHEMA).sort());
+    });
+
+    it.each(Object.entries(SECTION_MAP))("matches the client's %s (%s) fields and messages", (clientSection, section) => {
+        expect(describeRules(DRAFT_SECTION_SCHEMA[section].fields)).toEqual(describeRules(clientFields[clientSection]));
+    });
+});
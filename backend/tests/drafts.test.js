@@ -0,0 +1,281 @@
+// backend/tests/drafts.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// Authenticate every request as student #7
+jest.mock("../middleware/auth", () => ({
+    validateToken: (req, res, next) => {
+        req.user = { id: 7, role: "student", email: "student@example.com" };
+        next();
+    },
+}));
+
+// Mock the MySQL pool (plus a transactional connection for submit)
+const mockConnection = {
+    beginTransaction: jest.fn(),
+    query: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn(),
+};
+
+jest.mock("../config/db", () => ({
+    pool: {
+        query: jest.fn(),
+        getConnection: jest.fn(),
+    },
+}));
+
+// Notifications are covered in notifications.test.js
+jest.mock("../services/notification.service");
+
+// Overdue report checks are covered in compliance-deadlines.test.js
+jest.mock("../services/compliance-deadline.service", () => ({
+    assertOrganizationCanSubmit: jest.fn(),
+}));
+
+const { pool } = require("../config/db");
+const { assertOrganizationCanSubmit } = require("../services/compliance-deadline.service");
+const { notifyTransition } = require("../services/notification.service");
+const draftsRouter = require("../routes/drafts");
+
+const app = express();
+app.use(express.json());
+app.use("/api", draftsRouter);
+
+const draftRow = (overrides = {}) => ({
+    id: 1,
+    uuid: "draft-uuid",
+    user_id: 7,
+    payload: JSON.stringify({ orgInfo: { organizationName: "Xavier Robotics" } }),
+    current_section: "orgInfo",
+    version: 3,
+    status: "draft",
+    proposal_id: null,
+    created_at: "2025-01-01T00:00:00.000Z",
+    updated_at: "2025-01-01T00:00:00.000Z",
+    submitted_at: null,
+    ...overrides,
+});
+
+// The proposal row the lifecycle engine locks on submit
+const newProposalRow = { id: 42, proposal_status: "draft", report_status: "draft", organization_name: "Xavier Robotics" };
+
+// A draft with every section required for submission filled in
+const completePayload = {
+    overview: { purpose: "Submit a new event proposal" },
+    orgInfo: {
+        organizationName: "Xavier Robotics",
+        organizationTypes: ["school-based"],
+        contactName: "Ana Cruz",
+        contactEmail: "ana@example.com",
+    },
+    schoolEvent: {
+        schoolEventName: "Robotics Camp",
+        schoolVenue: "Gym",
+        schoolStartDate: "2025-03-01",
+        schoolEndDate: "2025-03-02",
+        schoolTimeStart: "08:00",
+        schoolTimeEnd: "17:00",
+        schoolEventType: "academic-enhancement",
+        schoolTargetAudience: ["1st Year"],
+        schoolEventMode: "offline",
+        schoolReturnServiceCredit: "2",
+        schoolGPOAFile: "XavierRobotics_GPOA.pdf",
+        schoolProposalFile: "XavierRobotics_PP.pdf",
+    },
+};
+
+describe("Draft Routes", () => {
+    beforeEach(() => {
+        pool.getConnection.mockResolvedValue(mockConnection);
+    });
+
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    describe("POST /api/proposals/drafts", () => {
+        it("creates a draft owned by the authenticated user", async () => {
+            pool.query
+                .mockResolvedValueOnce([{ insertId: 1 }])
+                .mockImplementationOnce(async (sql, params) => [[draftRow({ uuid: params[0], payload: "{}", version: 1 })]]);
+
+            const response = await request(app).post("/api/proposals/drafts");
+
+            expect(response.status).toBe(201);
+            expect(response.body.draftId).toEqual(expect.any(String));
+            expect(pool.query.mock.calls[0][1][1]).toBe(7);
+        });
+    });
+
+    describe("GET /api/proposals/drafts/:id", () => {
+        it("returns per-section payload and flattened form_data", async () => {
+            pool.query.mockResolvedValueOnce([[draftRow()]]);
+
+            const response = await request(app).get("/api/proposals/drafts/draft-uuid");
+
+            expect(response.status).toBe(200);
+            expect(response.body.payload.orgInfo.organizationName).toBe("Xavier Robotics");
+            expect(response.body.form_data.organizationName).toBe("Xavier Robotics");
+            expect(response.body.version).toBe(3);
+        });
+
+        it("refuses drafts owned by someone else", async () => {
+            pool.query.mockResolvedValueOnce([[draftRow({ user_id: 99 })]]);
+
+            const response = await request(app).get("/api/proposals/drafts/draft-uuid");
+
+            expect(response.status).toBe(403);
+        });
+
+        it("returns 404 for unknown drafts", async () => {
+            pool.query.mockResolvedValueOnce([[]]);
+
+            const response = await request(app).get("/api/proposals/drafts/missing");
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe("PATCH /api/proposals/drafts/:id/:section", () => {
+        it("stores the section under its canonical key and bumps the version", async () => {
+            pool.query
+                .mockResolvedValueOnce([[draftRow()]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([[draftRow({ version: 4 })]]);
+
+            const response = await request(app)
+                .patch("/api/proposals/drafts/draft-uuid/school-event")
+                .set("If-Match", '"3"')
+                .send({ schoolEventName: "Robotics Camp" });
+
+            expect(response.status).toBe(200);
+            const [sql, params] = pool.query.mock.calls[1];
+            expect(sql).toContain("version = version + 1");
+            expect(JSON.parse(params[0]).schoolEvent).toEqual({ schoolEventName: "Robotics Camp" });
+            expect(params[1]).toBe("schoolEvent");
+            expect(params[3]).toBe(3);
+        });
+
+        it("returns 409 when the client version is stale", async () => {
+            pool.query.mockResolvedValueOnce([[draftRow({ version: 5 })]]);
+
+            const response = await request(app)
+                .patch("/api/proposals/drafts/draft-uuid/orgInfo")
+                .set("If-Match", '"3"')
+                .send({ organizationName: "Renamed" });
+
+            expect(response.status).toBe(409);
+            expect(response.body.currentVersion).toBe(5);
+            expect(pool.query).toHaveBeenCalledTimes(1);
+        });
+
+        it("rejects unknown sections", async () => {
+            const response = await request(app)
+                .patch("/api/proposals/drafts/draft-uuid/budget")
+                .send({ amount: 100 });
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors.section).toBeDefined();
+            expect(pool.query).not.toHaveBeenCalled();
+        });
+
+        it("returns field-level errors for malformed values", async () => {
+            const response = await request(app)
+                .patch("/api/proposals/drafts/draft-uuid/orgInfo")
+                .send({ organizationName: "Xavier Robotics", contactEmail: "not-an-email" });
+
+            expect(response.status).toBe(400);
+            expect(response.body.errors).toEqual({ contactEmail: "Please enter a valid email address" });
+            expect(pool.query).not.toHaveBeenCalled();
+        });
+
+        it("accepts partial sections while the draft is in progress", async () => {
+            pool.query
+                .mockResolvedValueOnce([[draftRow()]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([[draftRow({ version: 4 })]]);
+
+            const response = await request(app)
+                .patch("/api/proposals/drafts/draft-uuid/community-event")
+                .send({ communityEventName: "Coastal Cleanup" });
+
+            expect(response.status).toBe(200);
+        });
+    });
+
+    describe("POST /api/proposals/drafts/:id/submit", () => {
+        it("creates a pending proposal and marks the draft submitted", async () => {
+            mockConnection.query
+                .mockResolvedValueOnce([[draftRow({ payload: JSON.stringify(completePayload) })]])
+                .mockResolvedValueOnce([{ insertId: 42 }])
+                .mockResolvedValueOnce([[newProposalRow]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([{ insertId: 1 }])
+                .mockResolvedValueOnce([{ affectedRows: 1 }]);
+            pool.query.mockResolvedValueOnce([[draftRow({ status: "submitted", proposal_id: 42 })]]);
+
+            const response = await request(app).post("/api/proposals/drafts/draft-uuid/submit");
+
+            expect(response.status).toBe(201);
+            expect(response.body.proposalId).toBe(42);
+            // Inserted as a draft, then moved to pending by the lifecycle engine
+            const [insertSql, insertParams] = mockConnection.query.mock.calls[1];
+            expect(insertSql).toContain("INSERT INTO proposals");
+            expect(insertParams).toEqual(expect.arrayContaining(["Xavier Robotics", "draft", 7]));
+            expect(mockConnection.query.mock.calls[3][0]).toContain("UPDATE proposals SET proposal_status = ?");
+            const [historySql, historyParams] = mockConnection.query.mock.calls[4];
+            expect(historySql).toContain("INSERT INTO proposal_status_history");
+            expect(historyParams).toEqual([42, "proposal", "draft", "pending", 7, "student", null, "POST /api/proposals/drafts/:id/submit"]);
+            expect(notifyTransition).toHaveBeenCalledWith(expect.objectContaining({ proposalId: 42, from: "draft", to: "pending", actorId: 7 }));
+            expect(mockConnection.commit).toHaveBeenCalled();
+            expect(mockConnection.release).toHaveBeenCalled();
+        });
+
+        it("refuses to submit until every required section passes", async () => {
+            const { schoolEvent, ...withoutEvent } = completePayload;
+            mockConnection.query.mockResolvedValueOnce([[
+                draftRow({ payload: JSON.stringify({ ...withoutEvent, schoolEvent: { ...schoolEvent, schoolVenue: "" } }) }),
+            ]]);
+
+            const response = await request(app).post("/api/proposals/drafts/draft-uuid/submit");
+
+            expect(response.status).toBe(422);
+            expect(response.body.errors).toEqual({ schoolVenue: "Venue is required" });
+            expect(response.body.sections).toEqual({ schoolEvent: { schoolVenue: "Venue is required" } });
+            expect(mockConnection.query).toHaveBeenCalledTimes(1);
+            expect(mockConnection.rollback).toHaveBeenCalled();
+        });
+
+        it("refuses to submit while the organization has overdue reports", async () => {
+            mockConnection.query
+                .mockResolvedValueOnce([[draftRow({ payload: JSON.stringify(completePayload) })]])
+                .mockResolvedValueOnce([{ insertId: 42 }])
+                .mockResolvedValueOnce([[newProposalRow]]);
+            assertOrganizationCanSubmit.mockRejectedValueOnce(Object.assign(
+                new Error("Xavier Robotics has overdue accomplishment reports. Submit them before sending a new proposal."),
+                { statusCode: 409, overdueReports: [{ proposalId: 4, eventName: "Robotics Fair", dueDate: "2025-02-01" }] }
+            ));
+
+            const response = await request(app).post("/api/proposals/drafts/draft-uuid/submit");
+
+            expect(response.status).toBe(409);
+            expect(response.body.overdueReports).toEqual([{ proposalId: 4, eventName: "Robotics Fair", dueDate: "2025-02-01" }]);
+            expect(assertOrganizationCanSubmit).toHaveBeenCalledWith("Xavier Robotics", { connection: mockConnection, excludeProposalId: 42 });
+            expect(mockConnection.rollback).toHaveBeenCalled();
+            expect(mockConnection.commit).not.toHaveBeenCalled();
+        });
+
+        it("rejects a second submit of the same draft", async () => {
+            mockConnection.query.mockResolvedValueOnce([[draftRow({ status: "submitted", proposal_id: 42 })]]);
+
+            const response = await request(app).post("/api/proposals/drafts/draft-uuid/submit");
+
+            expect(response.status).toBe(409);
+            expect(response.body.proposalId).toBe(42);
+            expect(mockConnection.rollback).toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,239 @@
+// backend/tests/email.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// Requests run as `mockUser`: student #7 unless a test switches to an admin
+const STUDENT = { id: 7, role: "student", email: "student@example.com" };
+let mockUser = STUDENT;
+jest.mock("../middleware/auth", () => ({
+    validateToken: (req, res, next) => {
+        req.user = mockUser;
+        next();
+    },
+}));
+
+jest.mock("../config/db", () => ({
+    pool: {
+        query: jest.fn(),
+    },
+}));
+
+const mockSendMail = jest.fn();
+jest.mock("../config/nodemailer.config", () => ({
+    TRANSPORT: "file",
+    FROM_ADDRESS: "CEDO <no-reply@cedo.local>",
+    getTransport: () => ({ sendMail: mockSendMail }),
+}));
+
+const { pool } = require("../config/db");
+const emailService = require("../services/email.service");
+const { renderEmail } = require("../services/email-templates");
+const emailRouter = require("../routes/email");
+
+const app = express();
+app.use(express.json());
+app.use("/api/email", emailRouter);
+
+const outboxRow = (overrides = {}) => ({
+    id: 11,
+    template: "proposal_decision",
+    to_email: "student@example.com",
+    subject: "Your proposal \"Robotics Fair\" was approved",
+    html: "<p>Approved</p>",
+    text: "Approved",
+    attempts: 0,
+    max_attempts: 5,
+    ...overrides,
+});
+
+// Mock the queries processOutbox runs before delivering a single row
+function mockDueRow(row) {
+    pool.query
+        .mockResolvedValueOnce([{ affectedRows: 0 }]) // reset stale `sending` rows
+        .mockResolvedValueOnce([[row]]) // due rows
+        .mockResolvedValueOnce([{ affectedRows: 1 }]) // claim
+        .mockResolvedValueOnce([{ affectedRows: 1 }]); // outcome
+}
+
+describe("Email templates", () => {
+    it("renders escaped HTML and a text fallback", () => {
+        const email = renderEmail("proposal_decision", {
+            recipientName: "Ana",
+            eventName: "<Robotics> Fair",
+            status: "revision_requested",
+            reason: "Add a budget",
+        });
+
+        expect(email.subject).toBe("Your proposal \"<Robotics> Fair\" was returned for revision");
+        expect(email.category).toBe("proposal_updates");
+        expect(email.html).toContain("&lt;Robotics&gt; Fair");
+        expect(email.html).not.toContain("<Robotics>");
+        expect(email.text).toContain("Reviewer comments: Add a budget");
+    });
+
+    it("rejects unknown templates", () => {
+        expect(() => renderEmail("nope", {})).toThrow("Unknown email template");
+    });
+});
+
+describe("Email outbox", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("queues a pending email for a recipient who has not opted out", async () => {
+        pool.query
+            .mockResolvedValueOnce([[{ id: 7, enabled: null }]])
+            .mockResolvedValueOnce([{ insertId: 11 }]);
+
+        const queued = await emailService.queueEmail("proposal_decision", {
+            to: "student@example.com",
+            userId: 7,
+            data: { eventName: "Robotics Fair", status: "approved" },
+        });
+
+        expect(queued).toEqual({ id: 11, status: "pending" });
+        expect(pool.query.mock.calls[0][1]).toEqual(["proposal_updates", 7]);
+        expect(pool.query.mock.calls[1][1]).toEqual(
+            expect.arrayContaining(["proposal_decision", 7, "student@example.com", "pending"])
+        );
+    });
+
+    it("records an opted-out email as skipped", async () => {
+        pool.query
+            .mockResolvedValueOnce([[{ id: 7, enabled: 0 }]])
+            .mockResolvedValueOnce([{ insertId: 12 }]);
+
+        const queued = await emailService.queueEmail("proposal_decision", {
+            to: "student@example.com",
+            userId: 7,
+            data: { eventName: "Robotics Fair", status: "denied" },
+        });
+
+        expect(queued).toEqual({ id: 12, status: "skipped" });
+    });
+
+    it("always queues account emails without checking preferences", async () => {
+        pool.query.mockResolvedValueOnce([{ insertId: 13 }]);
+
+        const queued = await emailService.queueEmail("account_approved", { to: "student@example.com", userId: 7 });
+
+        expect(queued).toEqual({ id: 13, status: "pending" });
+        expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it("marks a delivered email as sent", async () => {
+        mockDueRow(outboxRow());
+        mockSendMail.mockResolvedValueOnce({ messageId: "<abc@cedo.local>" });
+
+        const summary = await emailService.processOutbox();
+
+        expect(summary).toEqual({ sent: 1, retrying: 0, failed: 0 });
+        expect(mockSendMail).toHaveBeenCalledWith(expect.objectContaining({
+            to: "student@example.com",
+            from: "CEDO <no-reply@cedo.local>",
+        }));
+        expect(pool.query.mock.calls[3][0]).toContain("status = 'sent'");
+        expect(pool.query.mock.calls[3][1]).toEqual([1, "<abc@cedo.local>", 11]);
+    });
+
+    it("backs off and retries after a transport failure", async () => {
+        mockDueRow(outboxRow({ attempts: 1 }));
+        mockSendMail.mockRejectedValueOnce(new Error("SMTP unavailable"));
+        const before = Date.now();
+
+        const summary = await emailService.processOutbox();
+
+        expect(summary).toEqual({ sent: 0, retrying: 1, failed: 0 });
+        const [status, attempts, lastError, nextAttemptAt] = pool.query.mock.calls[3][1];
+        expect(status).toBe("pending");
+        expect(attempts).toBe(2);
+        expect(lastError).toBe("SMTP unavailable");
+        // Second attempt waits twice the base delay
+        expect(nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 2 * 60 * 1000);
+    });
+
+    it("gives up once the last attempt fails", async () => {
+        mockDueRow(outboxRow({ attempts: 4 }));
+        mockSendMail.mockRejectedValueOnce(new Error("Mailbox unavailable"));
+
+        const summary = await emailService.processOutbox();
+
+        expect(summary).toEqual({ sent: 0, retrying: 0, failed: 1 });
+        expect(pool.query.mock.calls[3][1][0]).toBe("failed");
+    });
+
+    it("does not send a row another worker already claimed", async () => {
+        pool.query
+            .mockResolvedValueOnce([{ affectedRows: 0 }])
+            .mockResolvedValueOnce([[outboxRow()]])
+            .mockResolvedValueOnce([{ affectedRows: 0 }]);
+
+        const summary = await emailService.processOutbox();
+
+        expect(summary).toEqual({ sent: 0, retrying: 0, failed: 0 });
+        expect(mockSendMail).not.toHaveBeenCalled();
+    });
+});
+
+describe("Email API", () => {
+    beforeEach(() => {
+        mockUser = STUDENT;
+    });
+
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("GET /api/email/preferences defaults every category to enabled", async () => {
+        pool.query.mockResolvedValueOnce([[{ category: "compliance", enabled: 0 }]]);
+
+        const res = await request(app).get("/api/email/preferences");
+
+        expect(res.statusCode).toBe(200);
+        const enabled = Object.fromEntries(res.body.preferences.map((p) => [p.category, p.enabled]));
+        expect(enabled).toEqual({ proposal_updates: true, review_queue: true, compliance: false, registrations: true });
+    });
+
+    it("PUT /api/email/preferences saves the changes for the current user", async () => {
+        pool.query
+            .mockResolvedValueOnce([{ affectedRows: 1 }])
+            .mockResolvedValueOnce([[{ category: "proposal_updates", enabled: 0 }]]);
+
+        const res = await request(app)
+            .put("/api/email/preferences")
+            .send({ preferences: { proposal_updates: false } });
+
+        expect(res.statusCode).toBe(200);
+        expect(pool.query.mock.calls[0][1]).toEqual([[[7, "proposal_updates", false]]]);
+        expect(res.body.preferences.find((p) => p.category === "proposal_updates").enabled).toBe(false);
+    });
+
+    it("PUT /api/email/preferences rejects unknown categories", async () => {
+        const res = await request(app)
+            .put("/api/email/preferences")
+            .send({ preferences: { marketing: true } });
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.allowed).toEqual(["proposal_updates", "review_queue", "compliance", "registrations"]);
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it("POST /api/email/outbox/:id/retry needs the email:manage permission", async () => {
+        const res = await request(app).post("/api/email/outbox/11/retry");
+
+        expect(res.statusCode).toBe(403);
+        expect(res.body.missingPermissions).toEqual(["email:manage"]);
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it("POST /api/email/outbox/:id/retry only retries failed emails", async () => {
+        mockUser = { id: 1, role: "head_admin" };
+        pool.query.mockResolvedValueOnce([{ affectedRows: 0 }]);
+
+        const res = await request(app).post("/api/email/outbox/11/retry");
+
+        expect(res.statusCode).toBe(404);
+    });
+});
@@ -0,0 +1,400 @@
+// backend/tests/events.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// Requests run as `mockUser`; individual tests switch between organizer, students and staff
+let mockUser;
+jest.mock("../middleware/auth", () => ({
+    validateToken: (req, res, next) => {
+        req.user = mockUser;
+        next();
+    },
+}));
+
+const mockConnection = {
+    query: jest.fn(),
+    beginTransaction: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn(),
+};
+
+jest.mock("../config/db", () => ({
+    pool: {
+        query: jest.fn(),
+        getConnection: jest.fn(),
+    },
+}));
+
+jest.mock("../services/live-stream.service", () => ({
+    publish: jest.fn(),
+}));
+
+jest.mock("../services/notification.service", () => ({
+    notifyEventChanged: jest.fn(),
+}));
+
+// Compliance deadlines are covered in compliance-deadlines.test.js
+jest.mock("../services/compliance-deadline.service", () => ({
+    refreshComplianceDueDate: jest.fn(),
+    pauseComplianceClock: jest.fn(),
+}));
+
+// Conflict queries are covered in schedule-conflicts.test.js
+jest.mock("../services/schedule-conflict.service", () => ({
+    ...jest.requireActual("../services/schedule-conflict.service"),
+    findBlockingConflicts: jest.fn(),
+}));
+
+const { pool } = require("../config/db");
+const { publish } = require("../services/live-stream.service");
+const { notifyEventChanged } = require("../services/notification.service");
+const { findBlockingConflicts } = require("../services/schedule-conflict.service");
+const { pauseComplianceClock, refreshComplianceDueDate } = require("../services/compliance-deadline.service");
+const { createEventForProposal, recordReportedOutcome } = require("../services/event.service");
+const eventsRouter = require("../routes/events");
+
+const app = express();
+app.use(express.json());
+app.use("/api/events", eventsRouter);
+
+const organizer = { id: 7, role: "student" };
+const student = { id: 9, role: "student" };
+const reviewer = { id: 3, role: "reviewer" };
+
+const eventRow = (overrides = {}) => ({
+    id: 5,
+    proposal_id: 42,
+    title: "Leadership Workshop",
+    organization_name: "Student Council",
+    venue: "Gymnasium",
+    venue_id: null,
+    start_date: "2025-04-15",
+    end_date: "2025-04-15",
+    start_time: "09:00:00",
+    end_time: "12:00:00",
+    status: "scheduled",
+    status_reason: null,
+    owner_id: 7,
+    contact_name: "Ana Cruz",
+    contact_email: "ana@example.com",
+    registered_count: 3,
+    ...overrides,
+});
+
+// The locked event row, then one result per write inside the transaction
+const mockChangeQueries = (row, writes) => {
+    mockConnection.query.mockResolvedValueOnce([[row]]);
+    for (let i = 0; i < writes; i += 1) {
+        mockConnection.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
+    }
+};
+
+const sqlCalls = () => mockConnection.query.mock.calls.map(([sql]) => sql);
+
+describe("Events", () => {
+    beforeEach(() => {
+        mockUser = organizer;
+        pool.getConnection.mockResolvedValue(mockConnection);
+        findBlockingConflicts.mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    describe("creating events", () => {
+        it("creates the event for an approved proposal inside the approval transaction", async () => {
+            mockConnection.query
+                .mockResolvedValueOnce([[]])
+                .mockResolvedValueOnce([[{
+                    id: 42,
+                    event_name: "Leadership Workshop",
+                    organization_name: "Student Council",
+                    event_venue: "Gymnasium",
+                    venue_id: 4,
+                    event_start_date: "2025-04-15",
+                    event_end_date: "2025-04-15",
+                    event_start_time: "09:00:00",
+                    event_end_time: "12:00:00",
+                }]])
+                .mockResolvedValueOnce([{ insertId: 5 }])
+                .mockResolvedValueOnce([{ insertId: 1 }]);
+
+            const eventId = await createEventForProposal(42, { actor: reviewer, connection: mockConnection });
+
+            expect(eventId).toBe(5);
+            const [insertSql, insertParams] = mockConnection.query.mock.calls[2];
+            expect(insertSql).toContain("INSERT INTO events");
+            expect(insertParams).toEqual([
+                42, "Leadership Workshop", "Student Council", "Gymnasium", 4,
+                "2025-04-15", "2025-04-15", "09:00:00", "12:00:00", 3,
+            ]);
+            const [changeSql, changeParams] = mockConnection.query.mock.calls[3];
+            expect(changeSql).toContain("INSERT INTO event_changes");
+            expect(changeParams).toEqual([5, "created", null, null, 3, "reviewer"]);
+            expect(pool.query).not.toHaveBeenCalled();
+        });
+
+        it("leaves an existing event alone", async () => {
+            mockConnection.query.mockResolvedValueOnce([[{ id: 5 }]]);
+
+            await expect(createEventForProposal(42, { connection: mockConnection })).resolves.toBe(5);
+            expect(mockConnection.query).toHaveBeenCalledTimes(1);
+        });
+
+        it("only lets staff create events by hand, and only once", async () => {
+            const res = await request(app).post("/api/events").send({ proposalId: 42 });
+            expect(res.status).toBe(403);
+
+            mockUser = reviewer;
+            pool.query.mockResolvedValueOnce([[{ id: 42, proposal_status: "approved", event_id: 5 }]]);
+            const duplicate = await request(app).post("/api/events").send({ proposalId: 42 });
+            expect(duplicate.status).toBe(409);
+            expect(duplicate.body.eventId).toBe(5);
+
+            pool.query.mockResolvedValueOnce([[{ id: 43, proposal_status: "pending", event_id: null }]]);
+            const pending = await request(app).post("/api/events").send({ proposalId: 43 });
+            expect(pending.status).toBe(409);
+        });
+    });
+
+    describe("reading events", () => {
+        it("returns the event with its change history and the caller's registration", async () => {
+            mockUser = student;
+            pool.query
+                .mockResolvedValueOnce([[eventRow({ status: "postponed", status_reason: "Typhoon signal no. 2" })]])
+                .mockResolvedValueOnce([[{ status: "registered", registered_at: "2025-04-01T08:00:00.000Z" }]])
+                .mockResolvedValueOnce([[
+                    { id: 1, action: "created", changes: null, reason: null, changed_by: 3, changed_by_role: "reviewer", changed_by_name: "Rita Reyes", created_at: "2025-03-20" },
+                    { id: 2, action: "postponed", changes: '{"status":{"from":"scheduled","to":"postponed"}}', reason: "Typhoon signal no. 2", changed_by: 7, changed_by_role: "student", changed_by_name: "Ana Cruz", created_at: "2025-04-12" },
+                ]]);
+
+            const res = await request(app).get("/api/events/5");
+
+            expect(res.status).toBe(200);
+            expect(res.body.event).toMatchObject({
+                id: 5,
+                proposalId: 42,
+                status: "postponed",
+                statusReason: "Typhoon signal no. 2",
+                startDate: "2025-04-15",
+                startTime: "09:00",
+                canManage: false,
+                allowedActions: [],
+            });
+            expect(res.body.myRegistration).toMatchObject({ status: "registered" });
+            expect(res.body.history[1]).toMatchObject({
+                action: "postponed",
+                changes: { status: { from: "scheduled", to: "postponed" } },
+                changedBy: { id: 7, name: "Ana Cruz", role: "student" },
+            });
+        });
+
+        it("lists the organizer's actions on their own event", async () => {
+            pool.query.mockResolvedValueOnce([[eventRow()]]);
+
+            const res = await request(app).get("/api/events?status=scheduled&mine=true");
+
+            expect(res.status).toBe(200);
+            expect(res.body.events[0]).toMatchObject({ canManage: true, allowedActions: ["reschedule", "postpone", "cancel"] });
+            const [sql, params] = pool.query.mock.calls[0];
+            expect(sql).toContain("e.status IN (?)");
+            expect(params).toEqual([["scheduled"], 7, 7]);
+        });
+
+        it("rejects unknown status filters", async () => {
+            const res = await request(app).get("/api/events?status=ongoing");
+
+            expect(res.status).toBe(400);
+            expect(res.body.allowed).toEqual(["scheduled", "postponed", "cancelled", "completed"]);
+        });
+
+        it("returns 404 for a missing event", async () => {
+            pool.query.mockResolvedValueOnce([[]]);
+
+            const res = await request(app).get("/api/events/99");
+
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe("postponing and cancelling", () => {
+        it("requires a reason", async () => {
+            const res = await request(app).post("/api/events/5/postpone").send({ reason: "  " });
+
+            expect(res.status).toBe(400);
+            expect(pool.getConnection).not.toHaveBeenCalled();
+        });
+
+        it("postpones the event, syncs the proposal, closes registration and notifies registrants", async () => {
+            mockChangeQueries(eventRow(), 4);
+            pool.query.mockResolvedValueOnce([[eventRow({ status: "postponed", status_reason: "Typhoon signal no. 2" })]]);
+
+            const res = await request(app).post("/api/events/5/postpone").send({ reason: "Typhoon signal no. 2" });
+
+            expect(res.status).toBe(200);
+            expect(res.body.event).toMatchObject({ status: "postponed", allowedActions: ["reschedule", "cancel"] });
+            expect(mockConnection.query.mock.calls[0][0]).toContain("FOR UPDATE");
+            expect(mockConnection.query.mock.calls[1][1]).toEqual(["postponed", "Typhoon signal no. 2", 5]);
+            expect(mockConnection.query.mock.calls[2]).toEqual([
+                expect.stringContaining("UPDATE proposals SET event_status = ?"),
+                ["postponed", 42],
+            ]);
+            expect(sqlCalls()[3]).toContain("UPDATE event_registration_settings SET is_open = FALSE");
+            expect(mockConnection.query.mock.calls[4][1]).toEqual([
+                5, "postponed", JSON.stringify({ status: { from: "scheduled", to: "postponed" } }),
+                "Typhoon signal no. 2", 7, "student",
+            ]);
+            expect(mockConnection.commit).toHaveBeenCalled();
+
+            expect(notifyEventChanged).toHaveBeenCalledWith(
+                expect.objectContaining({ id: 5, status: "postponed" }),
+                expect.objectContaining({ action: "postponed", reason: "Typhoon signal no. 2", actorId: 7 })
+            );
+            expect(publish).toHaveBeenCalledWith(
+                "event.updated",
+                expect.objectContaining({ event: expect.objectContaining({ id: 5 }) }),
+                { userIds: [7], staff: true }
+            );
+        });
+
+        it("closes online registration when an event is cancelled", async () => {
+            mockChangeQueries(eventRow({ status: "postponed" }), 4);
+            pool.query.mockResolvedValueOnce([[eventRow({ status: "cancelled" })]]);
+
+            const res = await request(app).post("/api/events/5/cancel").send({ reason: "Speaker unavailable" });
+
+            expect(res.status).toBe(200);
+            expect(res.body.change.changes).toEqual({ status: { from: "postponed", to: "cancelled" } });
+            expect(sqlCalls()[3]).toContain("UPDATE event_registration_settings SET is_open = FALSE");
+            expect(mockConnection.query.mock.calls[3][1]).toEqual([42]);
+            expect(pauseComplianceClock).toHaveBeenCalledWith(42, "cancelled", { connection: mockConnection });
+        });
+
+        it("refuses changes from other students", async () => {
+            mockUser = student;
+            mockChangeQueries(eventRow(), 0);
+
+            const res = await request(app).post("/api/events/5/cancel").send({ reason: "Not my event" });
+
+            expect(res.status).toBe(403);
+            expect(mockConnection.rollback).toHaveBeenCalled();
+            expect(notifyEventChanged).not.toHaveBeenCalled();
+        });
+
+        it("treats cancelled events as final", async () => {
+            mockChangeQueries(eventRow({ status: "cancelled" }), 0);
+
+            const res = await request(app).post("/api/events/5/postpone").send({ reason: "Again" });
+
+            expect(res.status).toBe(409);
+            expect(res.body.allowed).toEqual([]);
+        });
+    });
+
+    describe("rescheduling", () => {
+        it("moves the event and the proposal and records what changed", async () => {
+            mockChangeQueries(eventRow({ status: "postponed" }), 3);
+            pool.query.mockResolvedValueOnce([[eventRow({ start_date: "2025-04-22", end_date: "2025-04-22" })]]);
+
+            const res = await request(app).post("/api/events/5/reschedule").send({
+                startDate: "2025-04-22",
+                reason: "New date after the typhoon",
+            });
+
+            expect(res.status).toBe(200);
+            expect(res.body.change.changes).toEqual({
+                startDate: { from: "2025-04-15", to: "2025-04-22" },
+                endDate: { from: "2025-04-15", to: "2025-04-22" },
+                status: { from: "postponed", to: "scheduled" },
+            });
+            expect(mockConnection.query.mock.calls[1]).toEqual([
+                expect.stringContaining("UPDATE proposals SET event_start_date = ?"),
+                ["2025-04-22", "2025-04-22", "09:00", "12:00", 42],
+            ]);
+            expect(findBlockingConflicts).toHaveBeenCalledWith(42, mockConnection);
+            expect(mockConnection.query.mock.calls[2][1]).toEqual(["2025-04-22", "2025-04-22", "09:00", "12:00", "New date after the typhoon", 5]);
+            expect(refreshComplianceDueDate).toHaveBeenCalledWith(42, { connection: mockConnection });
+            expect(notifyEventChanged).toHaveBeenCalledWith(
+                expect.objectContaining({ startDate: "2025-04-22" }),
+                expect.objectContaining({ action: "rescheduled" })
+            );
+        });
+
+        it("refuses a slot with blocking conflicts, even when the organizer asks to override", async () => {
+            const conflict = { type: "venue", severity: "blocking", message: "Gymnasium is already booked" };
+            findBlockingConflicts.mockResolvedValue([conflict]);
+            mockChangeQueries(eventRow(), 1);
+
+            const res = await request(app).post("/api/events/5/reschedule").send({
+                startDate: "2025-04-22",
+                overrideConflicts: true,
+                reason: "We asked first",
+            });
+
+            expect(res.status).toBe(409);
+            expect(res.body.conflicts).toEqual([conflict]);
+            expect(mockConnection.rollback).toHaveBeenCalled();
+            expect(mockConnection.commit).not.toHaveBeenCalled();
+        });
+
+        it("lets staff override conflicts with a reason", async () => {
+            mockUser = reviewer;
+            findBlockingConflicts.mockResolvedValue([{ type: "blackout", severity: "blocking", message: "Exam week" }]);
+            mockChangeQueries(eventRow(), 1);
+
+            const withoutReason = await request(app).post("/api/events/5/reschedule").send({
+                startDate: "2025-04-22",
+                overrideConflicts: true,
+            });
+            expect(withoutReason.status).toBe(400);
+
+            mockChangeQueries(eventRow(), 3);
+            pool.query.mockResolvedValueOnce([[eventRow({ start_date: "2025-04-22", end_date: "2025-04-22" })]]);
+            const res = await request(app).post("/api/events/5/reschedule").send({
+                startDate: "2025-04-22",
+                overrideConflicts: true,
+                reason: "Exams moved for this college",
+            });
+
+            expect(res.status).toBe(200);
+            expect(res.body.change.actorId).toBe(3);
+        });
+
+        it("rejects an unchanged schedule and an end before the start", async () => {
+            mockChangeQueries(eventRow(), 0);
+            const unchanged = await request(app).post("/api/events/5/reschedule").send({ startDate: "2025-04-15" });
+            expect(unchanged.status).toBe(400);
+
+            mockChangeQueries(eventRow(), 0);
+            const backwards = await request(app).post("/api/events/5/reschedule").send({
+                startDate: "2025-04-22",
+                endDate: "2025-04-20",
+            });
+            expect(backwards.status).toBe(400);
+            expect(backwards.body.errors).toHaveProperty("endDate");
+        });
+    });
+
+    describe("reported outcomes", () => {
+        it("marks the event completed when the report says it took place", async () => {
+            pool.query
+                .mockResolvedValueOnce([[{ id: 5, status: "scheduled" }]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([{ insertId: 3 }]);
+
+            await expect(recordReportedOutcome(42, "completed")).resolves.toBe(true);
+            expect(pool.query.mock.calls[2][1]).toEqual([
+                5, "completed", JSON.stringify({ status: { from: "scheduled", to: "completed" } }),
+                "Reported in the accomplishment report", null, "system",
+            ]);
+        });
+
+        it("ignores other reported statuses", async () => {
+            await expect(recordReportedOutcome(42, "cancelled")).resolves.toBe(false);
+            expect(pool.query).not.toHaveBeenCalled();
+        });
+    });
+});
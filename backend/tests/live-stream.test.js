@@ -0,0 +1,105 @@
+// backend/tests/live-stream.test.js
+
+const { EventEmitter } = require("events");
+
+jest.mock("../config/db", () => ({
+    pool: {
+        query: jest.fn(),
+    },
+}));
+
+const { pool } = require("../config/db");
+const liveStream = require("../services/live-stream.service");
+const notificationService = require("../services/notification.service");
+const streamController = require("../controllers/stream.controller");
+
+// Minimal stand-ins for an Express request/response pair held open by SSE
+function openConnection(user) {
+    const req = new EventEmitter();
+    const res = {
+        chunks: [],
+        writeHead: jest.fn(),
+        flushHeaders: jest.fn(),
+        write(chunk) {
+            this.chunks.push(chunk);
+        },
+        end: jest.fn(),
+    };
+    req.user = user;
+    streamController.openStream(req, res);
+    return { req, res };
+}
+
+// Parse the `event:` / `data:` blocks written to a connection
+function eventsOf(res) {
+    return res.chunks
+        .filter((chunk) => chunk.includes("event: "))
+        .map((chunk) => ({
+            event: chunk.match(/event: (.+)/)[1],
+            data: JSON.parse(chunk.match(/data: (.+)/)[1]),
+        }));
+}
+
+const student = { id: 7, role: "student" };
+const otherStudent = { id: 8, role: "student" };
+const reviewer = { id: 3, role: "head_admin" };
+
+describe("Live stream (SSE)", () => {
+    afterEach(() => {
+        liveStream.closeAll();
+        jest.resetAllMocks();
+    });
+
+    it("opens an event stream and announces the connection scope", () => {
+        const { res } = openConnection(reviewer);
+
+        expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ "Content-Type": "text/event-stream" }));
+        expect(res.chunks[0]).toBe("retry: 5000\n\n");
+        expect(eventsOf(res)[0]).toEqual({ event: "ready", data: { userId: 3, scope: "all" } });
+        expect(liveStream.getConnectionCount()).toBe(1);
+    });
+
+    it("forgets a connection once the client goes away", () => {
+        const { req } = openConnection(student);
+
+        req.emit("close");
+
+        expect(liveStream.getConnectionCount()).toBe(0);
+    });
+
+    it("sends proposal events to the owner and staff only", () => {
+        const owner = openConnection(student);
+        const other = openConnection(otherStudent);
+        const staff = openConnection(reviewer);
+
+        const delivered = liveStream.publish("proposal.status", { proposalId: 42 }, { userIds: [7], staff: true });
+
+        expect(delivered).toBe(2);
+        expect(eventsOf(owner.res).map((e) => e.event)).toContain("proposal.status");
+        expect(eventsOf(staff.res).map((e) => e.event)).toContain("proposal.status");
+        expect(eventsOf(other.res).map((e) => e.event)).toEqual(["ready"]);
+    });
+
+    it("pushes a committed decision from the notification producers", async () => {
+        const owner = openConnection(student);
+        const staff = openConnection(reviewer);
+        pool.query
+            .mockResolvedValueOnce([[{ id: 42, userId: 7, event_name: "Robotics Fair", organization_name: "Xavier Robotics" }]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+        await notificationService.notifyTransition({ proposalId: 42, kind: "report", from: "pending", to: "approved", actorId: 3 });
+
+        const ownerEvents = eventsOf(owner.res);
+        expect(ownerEvents.find((e) => e.event === "report.status").data).toMatchObject({
+            proposalId: 42,
+            ownerId: 7,
+            from: "pending",
+            to: "approved",
+            eventName: "Robotics Fair",
+        });
+        expect(ownerEvents.find((e) => e.event === "notification").data).toMatchObject({ type: "report_approved" });
+
+        // Staff see the status change but not the student's notification
+        expect(eventsOf(staff.res).map((e) => e.event)).toEqual(["ready", "report.status"]);
+    });
+});
@@ -0,0 +1,200 @@
+// backend/tests/notifications.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// Authenticate every request as student #7
+jest.mock("../middleware/auth", () => ({
+    validateToken: (req, res, next) => {
+        req.user = { id: 7, role: "student", email: "student@example.com" };
+        next();
+    },
+}));
+
+jest.mock("../config/db", () => ({
+    pool: {
+        query: jest.fn(),
+    },
+}));
+
+const { pool } = require("../config/db");
+const notificationService = require("../services/notification.service");
+const notificationsRouter = require("../routes/notifications");
+
+const app = express();
+app.use(express.json());
+app.use("/api/notifications", notificationsRouter);
+
+const notificationRow = (overrides = {}) => ({
+    id: 1,
+    user_id: 7,
+    type: "proposal_approved",
+    title: "Approved: Robotics Fair",
+    message: "Your proposal was approved.",
+    link: "/student-dashboard/proposals",
+    related_type: "proposal",
+    related_id: 42,
+    metadata: JSON.stringify({ organization: "Xavier Robotics" }),
+    is_read: 0,
+    read_at: null,
+    created_at: "2025-01-01T00:00:00.000Z",
+    ...overrides,
+});
+
+describe("Notifications API", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("lists the current user's notifications with the unread count", async () => {
+        pool.query
+            .mockResolvedValueOnce([[notificationRow()]])
+            .mockResolvedValueOnce([[{ total: 1 }]])
+            .mockResolvedValueOnce([[{ count: 1 }]]);
+
+        const res = await request(app).get("/api/notifications?status=unread&type=proposal&limit=10");
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ success: true, total: 1, unreadCount: 1 });
+        expect(res.body.notifications[0]).toMatchObject({
+            id: 1,
+            type: "proposal_approved",
+            read: false,
+            relatedId: 42,
+            metadata: { organization: "Xavier Robotics" },
+        });
+
+        const [sql, params] = pool.query.mock.calls[0];
+        expect(sql).toContain("user_id = ? AND is_read = FALSE AND type LIKE ?");
+        expect(params).toEqual([7, "proposal%", 10, 0]);
+    });
+
+    it("returns the unread count", async () => {
+        pool.query.mockResolvedValueOnce([[{ count: 3 }]]);
+
+        const res = await request(app).get("/api/notifications/unread-count");
+
+        expect(res.body).toEqual({ success: true, unreadCount: 3 });
+    });
+
+    it("marks one notification as read for its owner only", async () => {
+        pool.query
+            .mockResolvedValueOnce([{ affectedRows: 1 }])
+            .mockResolvedValueOnce([[{ count: 0 }]]);
+
+        const res = await request(app).patch("/api/notifications/1/read");
+
+        expect(res.status).toBe(200);
+        expect(res.body.unreadCount).toBe(0);
+        expect(pool.query.mock.calls[0][1]).toEqual(["1", 7]);
+    });
+
+    it("returns 404 when the notification belongs to someone else", async () => {
+        pool.query.mockResolvedValueOnce([{ affectedRows: 0 }]);
+
+        const res = await request(app).patch("/api/notifications/99/read");
+
+        expect(res.status).toBe(404);
+    });
+
+    it("marks everything as read", async () => {
+        pool.query.mockResolvedValueOnce([{ affectedRows: 4 }]);
+
+        const res = await request(app).patch("/api/notifications/read-all");
+
+        expect(res.body).toEqual({ success: true, updated: 4, unreadCount: 0 });
+    });
+});
+
+describe("Notification producers", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    const proposal = { id: 42, userId: 7, event_name: "Robotics Fair", organization_name: "Xavier Robotics", event_end_date: null };
+
+    it("tells reviewers and the owner about a new submission", async () => {
+        pool.query
+            .mockResolvedValueOnce([[proposal]])
+            .mockResolvedValueOnce([[{ id: 3 }, { id: 4 }]]) // reviewers
+            .mockResolvedValueOnce([{ affectedRows: 2 }])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+        await notificationService.notifyTransition({ proposalId: 42, kind: "proposal", from: "draft", to: "pending", actorId: 7 });
+
+        const [reviewerSql, [reviewerRows]] = pool.query.mock.calls[2];
+        expect(reviewerSql).toContain("INSERT INTO notifications");
+        expect(reviewerRows.map((row) => row[0])).toEqual([3, 4]);
+        expect(reviewerRows[0][1]).toBe("proposal_submitted");
+        expect(pool.query.mock.calls[3][1][0][0][0]).toBe(7);
+    });
+
+    it("sends the decision and the report reminder when a proposal is approved", async () => {
+        pool.query
+            .mockResolvedValueOnce([[proposal]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }])
+            .mockResolvedValueOnce([[proposal]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+        await notificationService.notifyTransition({ proposalId: 42, kind: "proposal", from: "pending", to: "approved", actorId: 3 });
+
+        expect(pool.query.mock.calls[1][1][0][0].slice(0, 2)).toEqual([7, "proposal_approved"]);
+        expect(pool.query.mock.calls[3][1][0][0].slice(0, 2)).toEqual([7, "report_due"]);
+    });
+
+    it("includes the reviewer's reason on report decisions", async () => {
+        pool.query
+            .mockResolvedValueOnce([[proposal]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+        await notificationService.notifyTransition({ proposalId: 42, kind: "report", from: "pending", to: "denied", reason: "Attendance sheet missing" });
+
+        const row = pool.query.mock.calls[1][1][0][0];
+        expect(row[1]).toBe("report_denied");
+        expect(row[3]).toContain("Attendance sheet missing");
+    });
+
+    it("escalates an overdue report to the reviewer who approved it", async () => {
+        pool.query
+            .mockResolvedValueOnce([[proposal]])
+            .mockResolvedValueOnce([[{ id: 3, email: "reviewer@example.com", name: "Rita Reviewer" }]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+        await notificationService.notifyComplianceEscalated(42, { dueDate: "2025-03-20", reviewerId: 3 });
+
+        expect(pool.query.mock.calls[1][1]).toEqual([3, ["head_admin", "manager", "reviewer"]]);
+        const rows = pool.query.mock.calls[2][1][0];
+        expect(rows.map((row) => row.slice(0, 2))).toEqual([[3, "report_overdue_escalated"]]);
+    });
+
+    it("escalates to every reviewer when nobody approved the proposal", async () => {
+        pool.query
+            .mockResolvedValueOnce([[proposal]])
+            .mockResolvedValueOnce([[{ id: 3 }, { id: 4 }]])
+            .mockResolvedValueOnce([{ affectedRows: 2 }]);
+
+        await notificationService.notifyComplianceEscalated(42, { dueDate: "2025-03-20" });
+
+        expect(pool.query.mock.calls[1][0]).toContain("WHERE role IN (?)");
+        expect(pool.query.mock.calls[2][1][0].map((row) => row[0])).toEqual([3, 4]);
+    });
+
+    it("tells every reviewer but the uploader about new compliance documents", async () => {
+        pool.query
+            .mockResolvedValueOnce([[proposal]])
+            .mockResolvedValueOnce([[{ id: 3 }, { id: 7 }]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+        await notificationService.notifyComplianceDocumentsSubmitted(42, { documents: ["Budget Report"], actor: { id: 7 } });
+
+        const rows = pool.query.mock.calls[2][1][0];
+        expect(rows.map((row) => row.slice(0, 2))).toEqual([[3, "compliance_submitted"]]);
+        expect(rows[0][3]).toContain("Budget Report");
+    });
+
+    it("never throws when the database is unavailable", async () => {
+        pool.query.mockRejectedValueOnce(new Error("connect ECONNREFUSED"));
+
+        await expect(notificationService.notifyAccountApproved(7)).resolves.toBeUndefined();
+    });
+});
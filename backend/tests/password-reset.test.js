@@ -0,0 +1,199 @@
+// backend/tests/password-reset.test.js
+
+const request = require("supertest");
+const express = require("express");
+const bcrypt = require("bcryptjs");
+
+jest.mock("../config/db", () => ({
+    pool: {
+        query: jest.fn(),
+    },
+}));
+
+jest.mock("../services/email.service", () => ({
+    queueEmail: jest.fn(),
+}));
+
+jest.mock("../utils/recaptcha", () => ({
+    verifyRecaptchaToken: jest.fn(),
+}));
+
+const { pool } = require("../config/db");
+const emailService = require("../services/email.service");
+const { verifyRecaptchaToken } = require("../utils/recaptcha");
+const passwordResetService = require("../services/password-reset.service");
+const authRouter = require("../routes/auth");
+const usersRouter = require("../routes/users");
+
+const app = express();
+app.use(express.json());
+app.use("/api/auth", authRouter);
+app.use("/api/users", usersRouter);
+
+describe("POST /api/auth/forgot-password", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("answers the same way for an unknown address and sends nothing", async () => {
+        pool.query.mockResolvedValueOnce([[]]);
+
+        const res = await request(app).post("/api/auth/forgot-password").send({ email: "nobody@example.com" });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.message).toMatch(/If an account exists/);
+        expect(emailService.queueEmail).not.toHaveBeenCalled();
+    });
+
+    it("stores only the hash of the token it emails", async () => {
+        pool.query
+            .mockResolvedValueOnce([[{ id: 7, name: "Ana", email: "ana@example.com", recently_issued: 0 }]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+        const res = await request(app).post("/api/auth/forgot-password").send({ email: " Ana@Example.com " });
+
+        expect(res.statusCode).toBe(200);
+        expect(pool.query.mock.calls[0][1][1]).toBe("ana@example.com");
+
+        const [template, options] = emailService.queueEmail.mock.calls[0];
+        expect(template).toBe("password_reset");
+        expect(options.to).toBe("ana@example.com");
+
+        const [storedHash, ttl, userId] = pool.query.mock.calls[1][1];
+        expect(storedHash).toBe(passwordResetService.hashToken(options.data.token));
+        expect(storedHash).not.toBe(options.data.token);
+        expect(ttl).toBe(passwordResetService.TOKEN_TTL_MINUTES);
+        expect(userId).toBe(7);
+    });
+
+    it("does not send a second link while the last one is fresh", async () => {
+        pool.query.mockResolvedValueOnce([[{ id: 7, name: "Ana", email: "ana@example.com", recently_issued: 1 }]]);
+
+        const res = await request(app).post("/api/auth/forgot-password").send({ email: "ana@example.com" });
+
+        expect(res.statusCode).toBe(200);
+        expect(pool.query).toHaveBeenCalledTimes(1);
+        expect(emailService.queueEmail).not.toHaveBeenCalled();
+    });
+
+    it("rate limits repeated requests from one client", async () => {
+        pool.query.mockResolvedValue([[]]);
+
+        const statuses = [];
+        for (let i = 0; i < 6; i += 1) {
+            const res = await request(app).post("/api/auth/forgot-password").send({ email: "nobody@example.com" });
+            statuses.push(res.statusCode);
+        }
+
+        expect(statuses[statuses.length - 1]).toBe(429);
+    });
+});
+
+describe("POST /api/auth/reset-password", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("sets the new password and consumes the token", async () => {
+        const tokenHash = passwordResetService.hashToken("abc123");
+        pool.query
+            .mockResolvedValueOnce([[{ id: 7, email: "ana@example.com", role: "manager" }]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]); // access log
+
+        const res = await request(app).post("/api/auth/reset-password").send({ token: "abc123", password: "new-password-1" });
+
+        expect(res.statusCode).toBe(200);
+        expect(pool.query.mock.calls[0][1]).toEqual([tokenHash]);
+
+        const [updateSql, [hashedPassword, userId, matchedHash]] = pool.query.mock.calls[1];
+        expect(updateSql).toMatch(/reset_token = NULL/);
+        expect(updateSql).toMatch(/password_reset_required = FALSE/);
+        expect(await bcrypt.compare("new-password-1", hashedPassword)).toBe(true);
+        expect(userId).toBe(7);
+        expect(matchedHash).toBe(tokenHash);
+    });
+
+    it("rejects an unknown or expired token", async () => {
+        pool.query.mockResolvedValueOnce([[]]);
+
+        const res = await request(app).post("/api/auth/reset-password").send({ token: "stale", password: "new-password-1" });
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.reason).toBe("INVALID_RESET_TOKEN");
+    });
+
+    it("rejects a token that was used by a concurrent request", async () => {
+        pool.query
+            .mockResolvedValueOnce([[{ id: 7, email: "ana@example.com", role: "manager" }]])
+            .mockResolvedValueOnce([{ affectedRows: 0 }]);
+
+        const res = await request(app).post("/api/auth/reset-password").send({ token: "abc123", password: "new-password-1" });
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toMatch(/already been used/);
+    });
+
+    it("rejects a short password before touching the database", async () => {
+        const res = await request(app).post("/api/auth/reset-password").send({ token: "abc123", password: "short" });
+
+        expect(res.statusCode).toBe(400);
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+});
+
+describe("POST /api/auth/login with a temporary password", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("sends the user to the reset screen instead of starting a session", async () => {
+        const password = await bcrypt.hash("temporary-1", 4);
+        verifyRecaptchaToken.mockResolvedValueOnce(true);
+        pool.query
+            .mockResolvedValueOnce([[{
+                id: 9,
+                email: "manager@example.com",
+                role: "manager",
+                password,
+                is_approved: 1,
+                password_reset_required: 1,
+            }]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+        const res = await request(app).post("/api/auth/login").send({ email: "manager@example.com", password: "temporary-1" });
+
+        expect(res.statusCode).toBe(403);
+        expect(res.body.reason).toBe("PASSWORD_RESET_REQUIRED");
+        expect(res.body.token).toBeUndefined();
+        expect(passwordResetService.hashToken(res.body.resetToken)).toBe(pool.query.mock.calls[1][1][0]);
+    });
+});
+
+describe("POST /api/users/login-manager with a temporary password", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("refuses a session the same way /api/auth/login does", async () => {
+        const password = await bcrypt.hash("temporary-1", 4);
+        pool.query
+            .mockResolvedValueOnce([[{
+                id: 9,
+                email: "manager@example.com",
+                role: "manager",
+                password,
+                is_approved: 1,
+                password_reset_required: 1,
+            }]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+        const res = await request(app).post("/api/users/login-manager").send({ email: "manager@example.com", password: "temporary-1" });
+
+        expect(res.statusCode).toBe(403);
+        expect(res.body.reason).toBe("PASSWORD_RESET_REQUIRED");
+        expect(res.body.token).toBeUndefined();
+        expect(passwordResetService.hashToken(res.body.resetToken)).toBe(pool.query.mock.calls[1][1][0]);
+        expect(pool.query).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,243 @@
+// backend/tests/permissions.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// Requests run as `mockUser`; individual tests switch between roles
+let mockUser;
+jest.mock("../middleware/auth", () => ({
+    validateToken: (req, res, next) => {
+        req.user = mockUser;
+        next();
+    },
+}));
+
+// Mock the MySQL pool (grant changes use a transaction)
+const mockConnection = {
+    beginTransaction: jest.fn(),
+    query: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn(),
+};
+
+jest.mock("../config/db", () => ({
+    pool: {
+        query: jest.fn(),
+        getConnection: jest.fn(),
+    },
+}));
+
+const { pool } = require("../config/db");
+const { PERMISSIONS } = require("../constants/permissions");
+const { requirePermission } = require("../middleware/permissions");
+const { hasPermission, loadGrants, permissionsFor, rolesWith } = require("../services/permission.service");
+const { listCheckInEvents } = require("../services/check-in.service");
+const permissionsRouter = require("../routes/permissions");
+
+const app = express();
+app.use(express.json());
+app.use("/api/permissions", permissionsRouter);
+
+// A route guarded the way every other router is
+const guarded = express();
+guarded.get("/export", (req, res, next) => {
+    req.user = mockUser;
+    next();
+}, requirePermission("report:export"), (req, res) => res.json({ success: true }));
+
+const headAdmin = { id: 1, role: "head_admin" };
+const manager = { id: 2, role: "manager" };
+const reviewer = { id: 3, role: "reviewer" };
+const student = { id: 7, role: "student" };
+
+describe("Permission registry", () => {
+    afterEach(async () => {
+        jest.resetAllMocks();
+        // Back to the defaults for the next test
+        pool.query.mockResolvedValueOnce([[]]);
+        await loadGrants();
+        pool.query.mockClear();
+    });
+
+    it("grants the defaults to the roles in ROLES", () => {
+        expect(hasPermission(headAdmin, "user:approve")).toBe(true);
+        expect(hasPermission(manager, "user:approve")).toBe(true);
+        expect(hasPermission(reviewer, "proposal:review")).toBe(true);
+        expect(hasPermission(reviewer, "user:approve")).toBe(false);
+        expect(hasPermission(student, "proposal:review")).toBe(false);
+        expect(hasPermission({ id: 9, role: "admin" }, "proposal:review")).toBe(false);
+        expect(permissionsFor("head_admin")).toContain("permission:manage");
+    });
+
+    it("applies stored grants over the defaults", async () => {
+        pool.query.mockResolvedValueOnce([[
+            { role: "reviewer", permission: "report:export", granted: 0 },
+            { role: "student", permission: "credit:view", granted: 1 },
+            { role: "student", permission: "retired:permission", granted: 1 },
+        ]]);
+
+        await loadGrants();
+
+        expect(hasPermission(reviewer, "report:export")).toBe(false);
+        expect(hasPermission(reviewer, "proposal:review")).toBe(true);
+        expect(hasPermission(student, "credit:view")).toBe(true);
+        expect(permissionsFor("student")).not.toContain("retired:permission");
+    });
+
+    it("lists the roles holding a permission", async () => {
+        expect(rolesWith("proposal:review")).toEqual(["head_admin", "manager", "reviewer"]);
+
+        pool.query.mockResolvedValueOnce([[{ role: "reviewer", permission: "proposal:review", granted: 0 }]]);
+        await loadGrants();
+
+        expect(rolesWith("proposal:review")).toEqual(["head_admin", "manager"]);
+    });
+
+    it("services follow the grants rather than the role", async () => {
+        pool.query.mockResolvedValueOnce([[{ role: "reviewer", permission: "event:manage", granted: 0 }]]);
+        await loadGrants();
+        pool.query.mockResolvedValueOnce([[]]);
+
+        await listCheckInEvents(reviewer);
+
+        // Without event:manage a reviewer only sees the events they organized
+        expect(pool.query.mock.calls[1][0]).toContain("AND userId = ?");
+        expect(pool.query.mock.calls[1][1]).toContain(3);
+    });
+
+    it("requirePermission rejects unknown permissions when the route is defined", () => {
+        expect(() => requirePermission("proposal:reveiw")).toThrow("unknown permission proposal:reveiw");
+        expect(() => requirePermission()).toThrow();
+    });
+
+    it("requirePermission lets head admins through and names what students lack", async () => {
+        mockUser = headAdmin;
+        const allowed = await request(guarded).get("/export");
+
+        mockUser = student;
+        const denied = await request(guarded).get("/export");
+
+        expect(allowed.status).toBe(200);
+        expect(denied.status).toBe(403);
+        expect(denied.body.missingPermissions).toEqual(["report:export"]);
+    });
+});
+
+describe("Permissions API", () => {
+    afterEach(async () => {
+        jest.resetAllMocks();
+        pool.query.mockResolvedValueOnce([[]]);
+        await loadGrants();
+        pool.query.mockClear();
+    });
+
+    it("GET /api/permissions lists every permission and the grants per role", async () => {
+        mockUser = headAdmin;
+        pool.query
+            .mockResolvedValueOnce([[{ role: "manager", permission: "report:rubric", granted: 0 }]])
+            .mockResolvedValueOnce([[{ role: "manager", updatedAt: "2026-10-01T08:00:00.000Z", updatedBy: "Head Admin" }]]);
+
+        const res = await request(app).get("/api/permissions");
+
+        expect(res.status).toBe(200);
+        expect(res.body.permissions.map((permission) => permission.key)).toEqual(Object.keys(PERMISSIONS));
+        const managerGrants = res.body.roles.find((role) => role.role === "manager");
+        expect(managerGrants.permissions).not.toContain("report:rubric");
+        expect(managerGrants.defaults).toContain("report:rubric");
+        expect(managerGrants.updatedBy).toBe("Head Admin");
+        expect(res.body.roles.find((role) => role.role === "head_admin").locked).toEqual(["dashboard:admin", "permission:manage"]);
+    });
+
+    it("GET /api/permissions is limited to head admins", async () => {
+        mockUser = manager;
+
+        const res = await request(app).get("/api/permissions");
+
+        expect(res.status).toBe(403);
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it("GET /api/permissions/me returns the caller's permissions", async () => {
+        mockUser = reviewer;
+
+        const res = await request(app).get("/api/permissions/me");
+
+        expect(res.status).toBe(200);
+        expect(res.body.permissions).toEqual(permissionsFor("reviewer"));
+    });
+
+    it("PUT /api/permissions/:role stores a row per permission and applies at once", async () => {
+        mockUser = headAdmin;
+        pool.getConnection.mockResolvedValue(mockConnection);
+        mockConnection.query.mockResolvedValue([{ affectedRows: 1 }]);
+        const permissions = permissionsFor("reviewer").filter((permission) => permission !== "report:export");
+
+        const res = await request(app).put("/api/permissions/reviewer").send({ permissions });
+
+        expect(res.status).toBe(200);
+        expect(res.body.permissions).toEqual(permissions);
+        expect(mockConnection.query.mock.calls[0]).toEqual(["DELETE FROM role_permissions WHERE role = ?", ["reviewer"]]);
+        const rows = mockConnection.query.mock.calls[1][1][0];
+        expect(rows).toHaveLength(Object.keys(PERMISSIONS).length);
+        expect(rows).toContainEqual(["reviewer", "report:export", false, 1]);
+        expect(rows).toContainEqual(["reviewer", "proposal:review", true, 1]);
+        expect(mockConnection.commit).toHaveBeenCalled();
+        expect(mockConnection.release).toHaveBeenCalled();
+        expect(hasPermission(reviewer, "report:export")).toBe(false);
+    });
+
+    it("PUT /api/permissions/:role rejects unknown permissions", async () => {
+        mockUser = headAdmin;
+
+        const res = await request(app).put("/api/permissions/manager").send({ permissions: ["proposal:review", "db:drop"] });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.permissions).toMatch(/db:drop/);
+        expect(pool.getConnection).not.toHaveBeenCalled();
+    });
+
+    it("PUT /api/permissions/head_admin cannot lock head admins out", async () => {
+        mockUser = headAdmin;
+        const permissions = permissionsFor("head_admin").filter((permission) => permission !== "permission:manage");
+
+        const res = await request(app).put("/api/permissions/head_admin").send({ permissions });
+
+        expect(res.status).toBe(400);
+        expect(pool.getConnection).not.toHaveBeenCalled();
+        expect(hasPermission(headAdmin, "permission:manage")).toBe(true);
+    });
+
+    it("PUT /api/permissions/:role keeps this page to head admins", async () => {
+        mockUser = headAdmin;
+
+        const res = await request(app).put("/api/permissions/manager").send({ permissions: ["dashboard:admin", "permission:manage"] });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.permissions).toMatch(/permission:manage/);
+        expect(pool.getConnection).not.toHaveBeenCalled();
+        expect(hasPermission(manager, "permission:manage")).toBe(false);
+    });
+
+    it("PUT /api/permissions/:role 404s for roles outside ROLES", async () => {
+        mockUser = headAdmin;
+
+        const res = await request(app).put("/api/permissions/admin").send({ permissions: [] });
+
+        expect(res.status).toBe(404);
+    });
+
+    it("PUT /api/permissions/:role rolls back when the write fails", async () => {
+        mockUser = headAdmin;
+        pool.getConnection.mockResolvedValue(mockConnection);
+        mockConnection.query
+            .mockResolvedValueOnce([{ affectedRows: 1 }])
+            .mockRejectedValueOnce(new Error("Deadlock"));
+
+        const res = await request(app).put("/api/permissions/student").send({ permissions: [] });
+
+        expect(res.status).toBe(500);
+        expect(mockConnection.rollback).toHaveBeenCalled();
+        expect(hasPermission(student, "dashboard:student")).toBe(true);
+    });
+});
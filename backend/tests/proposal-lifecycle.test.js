@@ -0,0 +1,374 @@
+// backend/tests/proposal-lifecycle.test.js
+
+// Mock the MySQL pool (transitions run on a dedicated connection)
+const mockConnection = {
+    beginTransaction: jest.fn(),
+    query: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn(),
+};
+
+jest.mock("../config/db", () => ({
+    pool: {
+        query: jest.fn(),
+        getConnection: jest.fn(),
+    },
+}));
+
+// Notifications are covered in notifications.test.js
+jest.mock("../services/notification.service");
+
+// Conflict queries are covered in schedule-conflicts.test.js
+jest.mock("../services/schedule-conflict.service", () => ({
+    findBlockingConflicts: jest.fn(),
+}));
+
+// Ledger queries are covered in sdp-credits.test.js
+jest.mock("../services/sdp-credit.service", () => ({
+    awardEventCredits: jest.fn(),
+}));
+
+// Event records are covered in events.test.js
+jest.mock("../services/event.service", () => ({
+    createEventForProposal: jest.fn(),
+}));
+
+// Deadline queries are covered in compliance-deadlines.test.js
+jest.mock("../services/compliance-deadline.service", () => ({
+    assertOrganizationCanSubmit: jest.fn(),
+    refreshComplianceStatus: jest.fn(),
+    startComplianceClock: jest.fn(),
+}));
+
+// Mongo-backed parts of proposal.service are not exercised here
+jest.mock("../config/mongodb", () => ({ getDb: jest.fn() }));
+
+const { pool } = require("../config/db");
+const {
+    assertOrganizationCanSubmit,
+    refreshComplianceStatus,
+    startComplianceClock,
+} = require("../services/compliance-deadline.service");
+const { createEventForProposal } = require("../services/event.service");
+const { findBlockingConflicts } = require("../services/schedule-conflict.service");
+const { awardEventCredits } = require("../services/sdp-credit.service");
+const {
+    canTransition,
+    transitionProposalStatus,
+    transitionReportStatus,
+    getStatusHistory,
+} = require("../services/proposal-lifecycle.service");
+const { notifyTransition } = require("../services/notification.service");
+const proposalService = require("../services/proposal.service");
+
+const admin = { id: 3, role: "head_admin" };
+
+const withStatus = (proposal_status, report_status = "draft") => {
+    mockConnection.query
+        .mockResolvedValueOnce([[{ id: 10, proposal_status, report_status }]])
+        .mockResolvedValueOnce([{ affectedRows: 1 }])
+        .mockResolvedValueOnce([{ insertId: 1 }]);
+};
+
+describe("Proposal lifecycle", () => {
+    beforeEach(() => {
+        pool.getConnection.mockResolvedValue(mockConnection);
+        findBlockingConflicts.mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("describes the allowed transitions", () => {
+        expect(canTransition("proposal", "draft", "pending")).toBe(true);
+        expect(canTransition("proposal", "draft", "approved")).toBe(false);
+        expect(canTransition("proposal", "approved", "denied")).toBe(false);
+        expect(canTransition("report", "pending", "approved")).toBe(true);
+    });
+
+    it("approves a pending proposal and records the reviewer", async () => {
+        withStatus("pending");
+
+        const transition = await transitionProposalStatus(10, "approved", { actor: admin });
+
+        expect(transition).toMatchObject({ from: "pending", to: "approved", actorId: 3 });
+        const [sql, params] = mockConnection.query.mock.calls[1];
+        expect(sql).toContain("reviewed_by_admin_id = ?");
+        expect(params).toEqual(["approved", 3, 10]);
+        expect(createEventForProposal).toHaveBeenCalledWith(10, { actor: admin, connection: mockConnection });
+        expect(startComplianceClock).toHaveBeenCalledWith(10, { connection: mockConnection });
+        expect(mockConnection.commit).toHaveBeenCalled();
+        expect(mockConnection.release).toHaveBeenCalled();
+    });
+
+    it("checks the organization's overdue reports on a new submission", async () => {
+        mockConnection.query
+            .mockResolvedValueOnce([[{ id: 10, userId: 7, proposal_status: "draft", report_status: "draft", organization_name: "Xavier Robotics" }]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }])
+            .mockResolvedValueOnce([{ insertId: 1 }]);
+
+        await transitionProposalStatus(10, "pending", { actor: { id: 7, role: "student" } });
+
+        expect(assertOrganizationCanSubmit).toHaveBeenCalledWith("Xavier Robotics", { ownerId: 7, connection: mockConnection, excludeProposalId: 10 });
+        expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    it("refuses a new submission while the organization has overdue reports", async () => {
+        mockConnection.query.mockResolvedValueOnce([[{ id: 10, proposal_status: "draft", report_status: "draft", organization_name: "Xavier Robotics" }]]);
+        assertOrganizationCanSubmit.mockRejectedValueOnce(Object.assign(new Error("Overdue reports"), {
+            statusCode: 409,
+            overdueReports: [{ proposalId: 4 }],
+        }));
+
+        await expect(transitionProposalStatus(10, "pending", { actor: { id: 7, role: "student" } }))
+            .rejects.toMatchObject({ statusCode: 409, overdueReports: [{ proposalId: 4 }] });
+        expect(mockConnection.rollback).toHaveBeenCalled();
+        expect(mockConnection.query).toHaveBeenCalledTimes(1);
+    });
+
+    it("writes a history row in the same transaction", async () => {
+        withStatus("pending");
+
+        await transitionProposalStatus(10, "revision_requested", {
+            actor: admin,
+            reason: "Attach the signed GPOA",
+            source: "PATCH /api/admin/proposals/:id/status",
+        });
+
+        const [sql, params] = mockConnection.query.mock.calls[2];
+        expect(sql).toContain("INSERT INTO proposal_status_history");
+        expect(params).toEqual([
+            10, "proposal", "pending", "revision_requested", 3, "head_admin",
+            "Attach the signed GPOA", "PATCH /api/admin/proposals/:id/status",
+        ]);
+        expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    it("accepts legacy 'rejected' and stores the reason", async () => {
+        withStatus("pending");
+
+        const transition = await transitionProposalStatus(10, "rejected", { actor: admin, reason: "Venue unavailable" });
+
+        expect(transition.to).toBe("denied");
+        expect(mockConnection.query.mock.calls[1][1]).toEqual(["denied", 3, "Venue unavailable", 10]);
+    });
+
+    it("requires a reason for denial and revision requests", async () => {
+        await expect(transitionProposalStatus(10, "revision_requested", { actor: admin }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        expect(pool.getConnection).not.toHaveBeenCalled();
+    });
+
+    it("rejects illegal transitions with 409", async () => {
+        mockConnection.query.mockResolvedValueOnce([[{ id: 10, proposal_status: "approved", report_status: "draft" }]]);
+
+        await expect(transitionProposalStatus(10, "pending", { actor: admin }))
+            .rejects.toMatchObject({ statusCode: 409, from: "approved", to: "pending" });
+        expect(mockConnection.rollback).toHaveBeenCalled();
+        expect(mockConnection.query).toHaveBeenCalledTimes(1);
+    });
+
+    it("blocks resubmission while requested documents are outstanding", async () => {
+        mockConnection.query
+            .mockResolvedValueOnce([[{ id: 10, proposal_status: "revision_requested", report_status: "draft" }]])
+            .mockResolvedValueOnce([[{ outstanding: 2 }]]);
+
+        await expect(transitionProposalStatus(10, "pending", { actor: { id: 7, role: "student" } }))
+            .rejects.toMatchObject({ statusCode: 409, outstanding: 2 });
+        expect(mockConnection.rollback).toHaveBeenCalled();
+    });
+
+    it("refuses to approve over a blocking schedule conflict", async () => {
+        const conflict = { type: "venue", severity: "blocking", message: "Main Gym is already booked" };
+        findBlockingConflicts.mockResolvedValueOnce([conflict]);
+        mockConnection.query.mockResolvedValueOnce([[{ id: 10, proposal_status: "pending", report_status: "draft" }]]);
+
+        await expect(transitionProposalStatus(10, "approved", { actor: admin }))
+            .rejects.toMatchObject({ statusCode: 409, conflicts: [conflict] });
+        expect(findBlockingConflicts).toHaveBeenCalledWith(10, mockConnection);
+        expect(mockConnection.rollback).toHaveBeenCalled();
+    });
+
+    it("approves over a conflict only with an override and a reason", async () => {
+        findBlockingConflicts.mockResolvedValue([{ type: "blackout", severity: "blocking", message: "Exam week" }]);
+        mockConnection.query.mockResolvedValueOnce([[{ id: 10, proposal_status: "pending", report_status: "draft" }]]);
+
+        await expect(transitionProposalStatus(10, "approved", { actor: admin, overrideConflicts: true }))
+            .rejects.toMatchObject({ statusCode: 400 });
+
+        withStatus("pending");
+        const transition = await transitionProposalStatus(10, "approved", {
+            actor: admin,
+            overrideConflicts: true,
+            reason: "Exam schedule moved for this college",
+        });
+
+        expect(transition.to).toBe("approved");
+        expect(transition.reason).toBe("Exam schedule moved for this college");
+    });
+
+    it("leaves review decisions to reviewers", async () => {
+        const student = { id: 7, role: "student" };
+
+        await expect(transitionProposalStatus(10, "approved", { actor: student }))
+            .rejects.toMatchObject({ statusCode: 403 });
+        await expect(transitionReportStatus(10, "denied", { actor: student, reason: "No" }))
+            .rejects.toMatchObject({ statusCode: 403 });
+        expect(pool.getConnection).not.toHaveBeenCalled();
+    });
+
+    it("rejects unknown statuses", async () => {
+        await expect(transitionProposalStatus(10, "archived", { actor: admin }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it("returns 404 for missing proposals", async () => {
+        mockConnection.query.mockResolvedValueOnce([[]]);
+
+        await expect(transitionProposalStatus(99, "approved", { actor: admin }))
+            .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it("only moves reports once the proposal is approved", async () => {
+        mockConnection.query.mockResolvedValueOnce([[{ id: 10, proposal_status: "pending", report_status: "draft" }]]);
+
+        await expect(transitionReportStatus(10, "pending", { actor: admin }))
+            .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it("returns the timeline oldest first with actor details", async () => {
+        pool.query.mockResolvedValueOnce([[
+            { id: 1, status_type: "proposal", from_status: "draft", to_status: "pending", actor_id: 7, actor_role: "student", comment: null, source: "POST /api/proposals/drafts/:id/submit", created_at: "2025-01-01", actor_name: "Ana Cruz", actor_email: "ana@example.com" },
+            { id: 2, status_type: "proposal", from_status: "pending", to_status: "approved", actor_id: null, actor_role: "system", comment: null, source: "data-sync.updateProposalStatus", created_at: "2025-01-02", actor_name: null, actor_email: null },
+        ]]);
+
+        const history = await getStatusHistory(10);
+
+        expect(pool.query.mock.calls[0][0]).toContain("ORDER BY h.created_at ASC");
+        expect(history[0]).toMatchObject({ from: "draft", to: "pending", actor: { id: 7, name: "Ana Cruz", role: "student" } });
+        expect(history[1].actor.name).toBe("System");
+    });
+
+    it("joins the caller's transaction when a connection is passed", async () => {
+        withStatus("approved", "pending");
+
+        await transitionReportStatus(10, "approved", { actor: admin, connection: mockConnection });
+
+        expect(pool.getConnection).not.toHaveBeenCalled();
+        expect(mockConnection.beginTransaction).not.toHaveBeenCalled();
+        expect(mockConnection.commit).not.toHaveBeenCalled();
+        expect(mockConnection.query.mock.calls[1][0]).toContain("report_status = ?");
+    });
+
+    it("awards SDP credits inside the transaction that approves a report", async () => {
+        withStatus("approved", "pending");
+
+        await transitionReportStatus(10, "approved", { actor: admin });
+
+        expect(awardEventCredits).toHaveBeenCalledWith(10, { actor: admin, connection: mockConnection });
+        expect(refreshComplianceStatus).toHaveBeenCalledWith(10, { connection: mockConnection });
+        expect(createEventForProposal).not.toHaveBeenCalled();
+        expect(mockConnection.commit).toHaveBeenCalled();
+    });
+
+    it("rolls the report approval back when awarding credits fails", async () => {
+        withStatus("approved", "pending");
+        awardEventCredits.mockRejectedValueOnce(new Error("ledger unavailable"));
+
+        await expect(transitionReportStatus(10, "approved", { actor: admin })).rejects.toThrow("ledger unavailable");
+
+        expect(mockConnection.rollback).toHaveBeenCalled();
+        expect(mockConnection.commit).not.toHaveBeenCalled();
+    });
+
+    it("does not award credits for other report decisions", async () => {
+        withStatus("approved", "pending");
+
+        await transitionReportStatus(10, "denied", { actor: admin, reason: "Attendance sheet missing" });
+
+        expect(awardEventCredits).not.toHaveBeenCalled();
+    });
+
+    describe("Section form saves", () => {
+        const student = { id: 7, role: "student" };
+        const section2 = {
+            title: "Xavier Robotics",
+            organizationType: "school-based",
+            contactPerson: "Ana Cruz",
+            contactEmail: "ana@example.com",
+            status: "pending",
+        };
+
+        it("inserts a submitted proposal as a draft and submits it through the engine", async () => {
+            mockConnection.query
+                .mockResolvedValueOnce([{ insertId: 10 }])
+                .mockResolvedValueOnce([[{ id: 10, proposal_status: "draft", report_status: "draft", organization_name: "Xavier Robotics" }]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([{ insertId: 1 }]);
+
+            const result = await proposalService.saveSection2OrgData(section2, student);
+
+            expect(result).toEqual({ id: 10 });
+            expect(mockConnection.query.mock.calls[0][0]).toContain("'draft', NOW(), NOW()");
+            expect(mockConnection.query.mock.calls[0][1][14]).toBe(7);
+            expect(mockConnection.query.mock.calls[3][1]).toEqual([
+                10, "proposal", "draft", "pending", 7, "student", null, "proposal.service.saveSection2OrgData",
+            ]);
+            expect(mockConnection.commit).toHaveBeenCalledTimes(1);
+            expect(notifyTransition).toHaveBeenCalledWith(expect.objectContaining({ proposalId: 10, to: "pending", actorId: 7 }));
+        });
+
+        it("leaves no proposal behind when the submission is refused", async () => {
+            mockConnection.query
+                .mockResolvedValueOnce([{ insertId: 10 }])
+                .mockResolvedValueOnce([[{ id: 10, proposal_status: "draft", report_status: "draft", organization_name: "Xavier Robotics" }]]);
+            assertOrganizationCanSubmit.mockRejectedValueOnce(Object.assign(new Error("Overdue reports"), { statusCode: 409 }));
+
+            await expect(proposalService.saveSection2OrgData(section2, student)).rejects.toMatchObject({ statusCode: 409 });
+            expect(mockConnection.rollback).toHaveBeenCalled();
+            expect(mockConnection.commit).not.toHaveBeenCalled();
+            expect(notifyTransition).not.toHaveBeenCalled();
+        });
+
+        it("ignores review statuses sent with the organization form", async () => {
+            pool.query
+                .mockResolvedValueOnce([[{ id: 10, userId: 7, proposal_status: "pending" }]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+            const result = await proposalService.saveSection2OrgData({ ...section2, proposal_id: 10, status: "approved" }, student);
+
+            expect(result).toEqual({ id: 10 });
+            expect(pool.getConnection).not.toHaveBeenCalled();
+        });
+
+        it("refuses to edit someone else's proposal", async () => {
+            pool.query.mockResolvedValue([[{ id: 10, userId: 8, proposal_status: "draft" }]]);
+
+            await expect(proposalService.saveSection2OrgData({ ...section2, proposal_id: 10 }, student))
+                .rejects.toMatchObject({ statusCode: 403 });
+            await expect(proposalService.saveSection3EventData({ proposal_id: 10, venue: "Gym" }, student))
+                .rejects.toMatchObject({ statusCode: 403 });
+            expect(pool.query).toHaveBeenCalledTimes(2);
+        });
+
+        it("records who completed the event section", async () => {
+            pool.query
+                .mockResolvedValueOnce([[{ id: 10, userId: 7, proposal_status: "draft" }]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([[{ proposal_status: "pending" }]]);
+            mockConnection.query
+                .mockResolvedValueOnce([[{ id: 10, proposal_status: "draft", report_status: "draft", organization_name: "Xavier Robotics" }]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([{ insertId: 1 }]);
+
+            const result = await proposalService.saveSection3EventData({ proposal_id: 10, venue: "Gym" }, student);
+
+            expect(result).toMatchObject({ previousStatus: "draft", newStatus: "pending", autoPromoted: true });
+            expect(mockConnection.query.mock.calls[2][1]).toEqual([
+                10, "proposal", "draft", "pending", 7, "student", null, "proposal.service.saveSection3EventData",
+            ]);
+        });
+    });
+});
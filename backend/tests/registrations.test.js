@@ -0,0 +1,360 @@
+// backend/tests/registrations.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// Requests run as `mockUser`; individual tests switch between organizer and students
+let mockUser;
+jest.mock("../middleware/auth", () => ({
+    validateToken: (req, res, next) => {
+        req.user = mockUser;
+        next();
+    },
+}));
+
+const mockConnection = {
+    query: jest.fn(),
+    beginTransaction: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn(),
+};
+
+jest.mock("../config/db", () => ({
+    pool: {
+        query: jest.fn(),
+        getConnection: jest.fn(),
+    },
+}));
+
+jest.mock("../services/live-stream.service", () => ({
+    publish: jest.fn(),
+}));
+
+jest.mock("../services/notification.service", () => ({
+    notifyRegistrationPromoted: jest.fn(),
+}));
+
+const { pool } = require("../config/db");
+const { publish } = require("../services/live-stream.service");
+const { notifyRegistrationPromoted } = require("../services/notification.service");
+const { parseAttendanceSheet } = require("../services/attendance-import.service");
+const {
+    register, cancel, updateSettings, normalizeQuestions, getCancellationDeadline,
+} = require("../services/registration.service");
+const registrationsRouter = require("../routes/registrations");
+
+const app = express();
+app.use(express.json());
+app.use("/api/registrations", registrationsRouter);
+
+const organizer = { id: 7, role: "student" };
+const student = { id: 9, role: "student" };
+
+// The event starts April 15 at 9:00 (server local time)
+const eventRow = (overrides = {}) => ({
+    id: 42,
+    userId: 7,
+    event_name: "Leadership Workshop",
+    organization_name: "Student Council",
+    proposal_status: "approved",
+    event_start_date: "2025-04-15",
+    event_end_date: "2025-04-15",
+    event_start_time: "09:00:00",
+    event_end_time: "12:00:00",
+    event_venue: "Gymnasium",
+    ...overrides,
+});
+
+const settingsRow = (overrides = {}) => ({
+    proposal_id: 42,
+    is_open: 1,
+    capacity: 2,
+    waitlist_enabled: 1,
+    cancellation_deadline_hours: 24,
+    opens_at: null,
+    closes_at: null,
+    questions: JSON.stringify([
+        { id: "shirt", label: "T-shirt size", type: "choice", options: ["S", "M", "L"], required: true },
+    ]),
+    ...overrides,
+});
+
+const beforeEvent = new Date(2025, 3, 10, 12);
+
+// Query order in register(): event, settings (locked), existing registration, registered count, write
+const mockRegisterQueries = ({ settings = settingsRow(), existing = [], registered = 0 } = {}) => {
+    mockConnection.query
+        .mockResolvedValueOnce([[eventRow()]])
+        .mockResolvedValueOnce([[settings]])
+        .mockResolvedValueOnce([existing])
+        .mockResolvedValueOnce([[{ total: registered }]])
+        .mockResolvedValueOnce([{ insertId: 500, affectedRows: 1 }]);
+    pool.query.mockResolvedValueOnce([[{ status: "registered", total: registered + 1 }]]);
+};
+
+describe("Registering", () => {
+    beforeEach(() => {
+        pool.getConnection.mockResolvedValue(mockConnection);
+    });
+
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("registers the student while spots are left", async () => {
+        mockRegisterQueries({ registered: 1 });
+
+        const result = await register(42, student, {
+            program: "BSIT",
+            yearLevel: "3",
+            answers: { shirt: "M" },
+        }, { now: beforeEvent });
+
+        expect(result.registration.status).toBe("registered");
+        const [insertSql, insertParams] = mockConnection.query.mock.calls[4];
+        expect(insertSql).toContain("INSERT INTO event_registrations");
+        expect(insertParams).toEqual([
+            "registered", null, "BSIT", "3", JSON.stringify({ shirt: "M" }), beforeEvent, null, 42, 9,
+        ]);
+        expect(mockConnection.query.mock.calls[1][0]).toContain("FOR UPDATE");
+        expect(mockConnection.commit).toHaveBeenCalled();
+        expect(publish).toHaveBeenCalledWith(
+            "registration.updated",
+            expect.objectContaining({ proposalId: 42 }),
+            { userIds: [7], staff: true }
+        );
+    });
+
+    it("puts the student on the waitlist once the event is full", async () => {
+        mockRegisterQueries({ registered: 2 });
+
+        const result = await register(42, student, { answers: { shirt: "S" } }, { now: beforeEvent });
+
+        expect(result.registration.status).toBe("waitlisted");
+        expect(mockConnection.query.mock.calls[4][1].slice(5, 7)).toEqual([null, beforeEvent]);
+    });
+
+    it("turns students away when the event is full and has no waitlist", async () => {
+        mockConnection.query
+            .mockResolvedValueOnce([[eventRow()]])
+            .mockResolvedValueOnce([[settingsRow({ waitlist_enabled: 0 })]])
+            .mockResolvedValueOnce([[]])
+            .mockResolvedValueOnce([[{ total: 2 }]]);
+
+        await expect(register(42, student, { answers: { shirt: "S" } }, { now: beforeEvent }))
+            .rejects.toMatchObject({ statusCode: 409, message: "This event is full" });
+        expect(mockConnection.rollback).toHaveBeenCalled();
+    });
+
+    it("turns students away from a cancelled event", async () => {
+        mockConnection.query
+            .mockResolvedValueOnce([[eventRow({ event_status: "cancelled" })]])
+            .mockResolvedValueOnce([[settingsRow()]]);
+
+        await expect(register(42, student, { answers: { shirt: "S" } }, { now: beforeEvent }))
+            .rejects.toMatchObject({ statusCode: 409, message: "This event has been cancelled" });
+        expect(mockConnection.rollback).toHaveBeenCalled();
+    });
+
+    it("requires answers to the organizer's required questions", async () => {
+        mockConnection.query
+            .mockResolvedValueOnce([[eventRow()]])
+            .mockResolvedValueOnce([[settingsRow()]]);
+
+        await expect(register(42, student, { answers: {} }, { now: beforeEvent }))
+            .rejects.toMatchObject({ statusCode: 400, missing: ["T-shirt size"] });
+    });
+
+    it("lets a student who cancelled register again", async () => {
+        mockRegisterQueries({ existing: [{ id: 300, status: "cancelled" }], registered: 0 });
+
+        await register(42, student, { answers: { shirt: "L" } }, { now: beforeEvent });
+
+        const [updateSql, updateParams] = mockConnection.query.mock.calls[4];
+        expect(updateSql).toContain("UPDATE event_registrations");
+        expect(updateParams[0]).toBe("registered");
+        expect(updateParams[updateParams.length - 1]).toBe(300);
+    });
+
+    it("closes registration when the event starts", async () => {
+        mockConnection.query
+            .mockResolvedValueOnce([[eventRow()]])
+            .mockResolvedValueOnce([[settingsRow()]]);
+
+        await expect(register(42, student, { answers: { shirt: "S" } }, { now: new Date(2025, 3, 15, 9, 30) }))
+            .rejects.toMatchObject({ statusCode: 409, message: "Registration for this event has closed" });
+    });
+});
+
+describe("Cancelling and the waitlist", () => {
+    beforeEach(() => {
+        pool.getConnection.mockResolvedValue(mockConnection);
+    });
+
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("gives a cancelled spot to the first student on the waitlist", async () => {
+        mockConnection.query
+            .mockResolvedValueOnce([[eventRow()]])
+            .mockResolvedValueOnce([[settingsRow()]])
+            .mockResolvedValueOnce([[{ id: 300, status: "registered" }]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }])
+            .mockResolvedValueOnce([[{ total: 1 }]])
+            .mockResolvedValueOnce([[{ id: 301, user_id: 11 }]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]);
+        pool.query.mockResolvedValueOnce([[{ status: "registered", total: 2 }, { status: "cancelled", total: 1 }]]);
+
+        const result = await cancel(42, student, { now: beforeEvent });
+
+        expect(result.promotedCount).toBe(1);
+        const [waitlistSql, waitlistParams] = mockConnection.query.mock.calls[5];
+        expect(waitlistSql).toContain("ORDER BY waitlisted_at, id LIMIT ?");
+        expect(waitlistParams).toEqual([42, 1]);
+        expect(mockConnection.query.mock.calls[6][1]).toEqual([[301]]);
+        expect(notifyRegistrationPromoted).toHaveBeenCalledWith(42, [11]);
+        expect(result.counts).toEqual({ registered: 2, waitlisted: 0, cancelled: 1 });
+    });
+
+    it("refuses to cancel a registration inside the cancellation window", async () => {
+        mockConnection.query
+            .mockResolvedValueOnce([[eventRow()]])
+            .mockResolvedValueOnce([[settingsRow()]])
+            .mockResolvedValueOnce([[{ id: 300, status: "registered" }]]);
+
+        await expect(cancel(42, student, { now: new Date(2025, 3, 14, 10) }))
+            .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining("Cancellations closed") });
+        expect(mockConnection.rollback).toHaveBeenCalled();
+    });
+
+    it("always lets students leave the waitlist", async () => {
+        mockConnection.query
+            .mockResolvedValueOnce([[eventRow()]])
+            .mockResolvedValueOnce([[settingsRow()]])
+            .mockResolvedValueOnce([[{ id: 301, status: "waitlisted" }]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]);
+        pool.query.mockResolvedValueOnce([[{ status: "registered", total: 2 }]]);
+
+        const result = await cancel(42, student, { now: new Date(2025, 3, 14, 10) });
+
+        expect(result.previousStatus).toBe("waitlisted");
+        expect(mockConnection.query).toHaveBeenCalledTimes(4);
+        expect(notifyRegistrationPromoted).not.toHaveBeenCalled();
+    });
+
+    it("computes the cancellation deadline from the event's start time", () => {
+        expect(getCancellationDeadline(settingsRow({ cancellation_deadline_hours: 48 }), eventRow()))
+            .toEqual(new Date(2025, 3, 13, 9));
+    });
+});
+
+describe("Registration settings", () => {
+    beforeEach(() => {
+        pool.getConnection.mockResolvedValue(mockConnection);
+    });
+
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("does not reopen registration while the event is postponed", async () => {
+        pool.query.mockResolvedValueOnce([[eventRow({ event_status: "postponed" })]]);
+        mockConnection.query.mockResolvedValueOnce([[settingsRow({ is_open: 0 })]]);
+
+        await expect(updateSettings(42, { isOpen: true }, organizer))
+            .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining("postponed") });
+        expect(mockConnection.rollback).toHaveBeenCalled();
+    });
+
+    it("only opens registration for approved events", async () => {
+        pool.query.mockResolvedValueOnce([[eventRow({ proposal_status: "pending" })]]);
+        mockConnection.query.mockResolvedValueOnce([[]]);
+
+        await expect(updateSettings(42, { isOpen: true }, organizer)).rejects.toMatchObject({ statusCode: 409 });
+        expect(mockConnection.rollback).toHaveBeenCalled();
+    });
+
+    it("promotes waitlisted students when the capacity is raised", async () => {
+        pool.query
+            .mockResolvedValueOnce([[eventRow()]])
+            // getSettings() after saving: event, settings, counts
+            .mockResolvedValueOnce([[eventRow()]])
+            .mockResolvedValueOnce([[settingsRow({ capacity: 4 })]])
+            .mockResolvedValueOnce([[{ status: "registered", total: 4 }]]);
+        mockConnection.query
+            .mockResolvedValueOnce([[settingsRow()]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }])
+            .mockResolvedValueOnce([[{ total: 2 }]])
+            .mockResolvedValueOnce([[{ id: 301, user_id: 11 }, { id: 302, user_id: 12 }]])
+            .mockResolvedValueOnce([{ affectedRows: 2 }]);
+
+        const result = await updateSettings(42, { capacity: 4 }, organizer);
+
+        expect(mockConnection.query.mock.calls[1][1].slice(0, 3)).toEqual([42, true, 4]);
+        expect(mockConnection.query.mock.calls[3][1]).toEqual([42, 2]);
+        expect(notifyRegistrationPromoted).toHaveBeenCalledWith(42, [11, 12]);
+        expect(result.settings.capacity).toBe(4);
+    });
+
+    it("validates custom questions", () => {
+        expect(() => normalizeQuestions([{ label: "Size", type: "choice", options: ["M"] }]))
+            .toThrow("at least two choices");
+        expect(() => normalizeQuestions([{ label: "", type: "text" }])).toThrow("needs a label");
+        expect(normalizeQuestions([{ label: "Dietary needs" }, { id: "q1", label: "Allergies", type: "yes_no" }]))
+            .toEqual([
+                { id: "q1", label: "Dietary needs", type: "text", options: [], required: false },
+                { id: "q1_2", label: "Allergies", type: "yes_no", options: [], required: false },
+            ]);
+    });
+});
+
+describe("Registration API", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("only accepts registrations from student accounts", async () => {
+        mockUser = { id: 1, role: "head_admin" };
+
+        const res = await request(app).post("/api/registrations/events/42").send({});
+
+        expect(res.status).toBe(403);
+    });
+
+    it("hides the registrant list from other students", async () => {
+        mockUser = student;
+        pool.query.mockResolvedValueOnce([[eventRow()]]);
+
+        const res = await request(app).get("/api/registrations/events/42/registrants");
+
+        expect(res.status).toBe(403);
+    });
+
+    it("exports registrants in a format the attendance import reads", async () => {
+        mockUser = organizer;
+        pool.query
+            .mockResolvedValueOnce([[eventRow()]])
+            .mockResolvedValueOnce([[settingsRow()]])
+            .mockResolvedValueOnce([[{
+                id: 300, user_id: 9, name: "Ana Cruz", email: "ana@example.com", student_id: "2021-00123",
+                status: "registered", school: null, program: "BSIT", year_level: "3",
+                answers: JSON.stringify({ shirt: "M" }), registered_at: new Date(2025, 3, 10, 12),
+            }]])
+            .mockResolvedValueOnce([[{ status: "registered", total: 1 }]]);
+
+        const res = await request(app).get("/api/registrations/events/42/registrants/export");
+
+        expect(res.status).toBe(200);
+        expect(res.headers["content-type"]).toContain("text/csv");
+        expect(res.headers["content-disposition"]).toContain("Student_Council_PreRegistration.csv");
+        expect(pool.query.mock.calls[2][1]).toEqual([42, "registered"]);
+
+        const sheet = await parseAttendanceSheet(Buffer.from(res.text), "registrants.csv");
+        expect(sheet.rows).toEqual([
+            expect.objectContaining({ fullName: "Ana Cruz", email: "ana@example.com", studentId: "2021-00123", program: "BSIT" }),
+        ]);
+        expect(res.text.split("\n")[0]).toContain("T-shirt size");
+    });
+});
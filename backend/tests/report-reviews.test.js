@@ -0,0 +1,308 @@
+// backend/tests/report-reviews.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// Requests run as `mockUser`; individual tests switch between staff and students
+let mockUser;
+jest.mock("../middleware/auth", () => ({
+    validateToken: (req, res, next) => {
+        req.user = mockUser;
+        next();
+    },
+}));
+
+jest.mock("../config/db", () => ({
+    pool: {
+        query: jest.fn(),
+        getConnection: jest.fn(),
+    },
+}));
+
+jest.mock("../services/notification.service", () => ({
+    notifyTransition: jest.fn(),
+}));
+
+jest.mock("../services/proposal-lifecycle.service", () => ({
+    transitionReportStatus: jest.fn(),
+}));
+
+const { pool } = require("../config/db");
+const { notifyTransition } = require("../services/notification.service");
+const { transitionReportStatus } = require("../services/proposal-lifecycle.service");
+const { missingReuploads } = require("../services/report-review.service");
+const reportReviewsRouter = require("../routes/report-reviews");
+
+const app = express();
+app.use(express.json());
+app.use("/api/report-reviews", reportReviewsRouter);
+
+const student = { id: 7, role: "student" };
+const otherStudent = { id: 8, role: "student" };
+const reviewer = { id: 3, role: "reviewer" };
+const manager = { id: 2, role: "manager" };
+
+const criteriaRows = () => [
+    { id: 1, label: "Attendance evidence", description: null, is_required: 1, sort_order: 1, is_active: 1 },
+    { id: 2, label: "Objectives met", description: null, is_required: 1, sort_order: 2, is_active: 1 },
+    { id: 3, label: "Photo documentation", description: null, is_required: 0, sort_order: 3, is_active: 1 },
+];
+
+const proposalRow = (overrides = {}) => ({
+    id: 42,
+    userId: 7,
+    event_name: "Robotics Fair",
+    organization_name: "Xavier Robotics",
+    organization_type: "school-based",
+    proposal_status: "approved",
+    report_status: "pending",
+    accomplishment_report_file_name: "report.pdf",
+    accomplishment_report_file_path: "uploads/report.pdf",
+    final_attendance_file_name: null,
+    final_attendance_file_path: null,
+    owner_name: "Sam Student",
+    owner_email: "sam@example.com",
+    ...overrides,
+});
+
+// Answer pool.query by the table it reads instead of by call order
+function mockTables({ proposal = proposalRow(), reviews = [], items = [] } = {}) {
+    pool.query.mockImplementation(async (sql) => {
+        if (sql.includes("FROM report_review_criteria")) return [criteriaRows()];
+        if (sql.includes("FROM proposals p")) return [proposal ? [proposal] : []];
+        if (sql.includes("FROM report_reviews r")) return [reviews];
+        if (sql.includes("FROM report_review_items")) return [items];
+        throw new Error(`Unexpected query: ${sql}`);
+    });
+}
+
+function mockConnection() {
+    const connection = {
+        beginTransaction: jest.fn(),
+        commit: jest.fn(),
+        rollback: jest.fn(),
+        release: jest.fn(),
+        query: jest.fn().mockResolvedValueOnce([{ insertId: 11 }]).mockResolvedValueOnce([{ affectedRows: 3 }]),
+    };
+    pool.getConnection.mockResolvedValue(connection);
+    return connection;
+}
+
+const accepted = (criterionId) => ({ criterionId, status: "accepted" });
+
+describe("Report review rubric", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("lists the active rubric in order", async () => {
+        mockUser = student;
+        mockTables();
+
+        const res = await request(app).get("/api/report-reviews/rubric");
+
+        expect(res.status).toBe(200);
+        expect(res.body.criteria.map((criterion) => criterion.label)).toEqual([
+            "Attendance evidence",
+            "Objectives met",
+            "Photo documentation",
+        ]);
+        expect(res.body.criteria[2].required).toBe(false);
+        expect(pool.query.mock.calls[0][0]).toContain("WHERE is_active = TRUE");
+    });
+
+    it("only lets head admins and managers add rubric items", async () => {
+        mockUser = reviewer;
+
+        const res = await request(app).post("/api/report-reviews/rubric").send({ label: "Budget liquidation" });
+
+        expect(res.status).toBe(403);
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it("appends a new rubric item after the last one", async () => {
+        mockUser = manager;
+        pool.query
+            .mockResolvedValueOnce([[{ last: 4 }]])
+            .mockResolvedValueOnce([{ insertId: 5 }])
+            .mockResolvedValueOnce([[{ id: 5, label: "Budget liquidation", description: null, is_required: 1, sort_order: 5, is_active: 1 }]]);
+
+        const res = await request(app).post("/api/report-reviews/rubric").send({ label: "  Budget liquidation " });
+
+        expect(res.status).toBe(201);
+        expect(res.body.criterion).toMatchObject({ id: 5, label: "Budget liquidation", sortOrder: 5, required: true });
+        expect(pool.query.mock.calls[1][1]).toEqual(["Budget liquidation", null, true, 5, 2]);
+    });
+
+    it("retires rubric items instead of deleting them", async () => {
+        mockUser = manager;
+        pool.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+        const res = await request(app).delete("/api/report-reviews/rubric/3");
+
+        expect(res.status).toBe(200);
+        expect(pool.query.mock.calls[0][0]).toContain("SET is_active = FALSE");
+    });
+});
+
+describe("Report reviews", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("does not let students review reports", async () => {
+        mockUser = student;
+
+        const res = await request(app).post("/api/report-reviews/42").send({ items: [] });
+
+        expect(res.status).toBe(403);
+        expect(transitionReportStatus).not.toHaveBeenCalled();
+    });
+
+    it("requires every rubric item, and a comment on anything not fully accepted", async () => {
+        mockUser = reviewer;
+        mockTables();
+
+        const res = await request(app)
+            .post("/api/report-reviews/42")
+            .send({ items: [accepted(1), { criterionId: 2, status: "partial" }] });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors.items).toEqual({
+            2: "Tell the organizer what is missing",
+            3: "Mark this item accepted, partial or rejected",
+        });
+        expect(pool.getConnection).not.toHaveBeenCalled();
+    });
+
+    it("refuses reports that are not waiting for review", async () => {
+        mockUser = reviewer;
+        mockTables({ proposal: proposalRow({ report_status: "approved" }) });
+
+        const res = await request(app)
+            .post("/api/report-reviews/42")
+            .send({ items: [accepted(1), accepted(2), accepted(3)] });
+
+        expect(res.status).toBe(409);
+        expect(pool.getConnection).not.toHaveBeenCalled();
+    });
+
+    it("accepts a report whose only shortfalls are partial or optional items", async () => {
+        mockUser = reviewer;
+        mockTables();
+        const connection = mockConnection();
+        const transition = { proposalId: 42, kind: "report", from: "pending", to: "approved" };
+        transitionReportStatus.mockResolvedValue(transition);
+
+        const res = await request(app)
+            .post("/api/report-reviews/42")
+            .send({
+                summary: "Good report",
+                items: [
+                    accepted(1),
+                    { criterionId: 2, status: "partial", comment: "Objective 3 is only mentioned" },
+                    { criterionId: 3, status: "rejected", comment: "No captions" },
+                ],
+            });
+
+        expect(res.status).toBe(200);
+        expect(transitionReportStatus).toHaveBeenCalledWith("42", "approved", expect.objectContaining({
+            actor: reviewer,
+            connection,
+            source: "POST /api/report-reviews/:proposalId",
+            reason: "Good report\n\n- Objectives met: partial. Objective 3 is only mentioned\n- Photo documentation: rejected. No captions",
+        }));
+        expect(connection.query.mock.calls[0][1]).toEqual(["42", 3, "approved", "Good report"]);
+        expect(connection.query.mock.calls[1][1][0]).toEqual([
+            [11, 1, "Attendance evidence", true, "accepted", null, null],
+            [11, 2, "Objectives met", true, "partial", "Objective 3 is only mentioned", null],
+            [11, 3, "Photo documentation", false, "rejected", "No captions", null],
+        ]);
+        expect(connection.commit).toHaveBeenCalled();
+        expect(notifyTransition).toHaveBeenCalledWith(transition);
+    });
+
+    it("returns the report when a required item fails or a file has to be uploaded again", async () => {
+        mockUser = reviewer;
+        mockTables();
+        const connection = mockConnection();
+        transitionReportStatus.mockResolvedValue({ proposalId: 42, kind: "report", from: "pending", to: "denied" });
+
+        const res = await request(app)
+            .post("/api/report-reviews/42")
+            .send({
+                items: [
+                    { criterionId: 1, status: "partial", comment: "Day 2 sheet missing", reuploadDocument: "final_attendance" },
+                    accepted(2),
+                    accepted(3),
+                ],
+            });
+
+        expect(res.status).toBe(200);
+        expect(transitionReportStatus).toHaveBeenCalledWith("42", "denied", expect.objectContaining({
+            reason: "- Attendance evidence: partial (upload the final attendance list again). Day 2 sheet missing",
+        }));
+        expect(connection.query.mock.calls[0][1][2]).toBe("denied");
+    });
+
+    it("rolls back when the lifecycle refuses the decision", async () => {
+        mockUser = reviewer;
+        mockTables();
+        const connection = mockConnection();
+        transitionReportStatus.mockRejectedValue(Object.assign(new Error("Cannot change report status"), { statusCode: 409 }));
+
+        const res = await request(app)
+            .post("/api/report-reviews/42")
+            .send({ items: [accepted(1), accepted(2), accepted(3)] });
+
+        expect(res.status).toBe(409);
+        expect(connection.rollback).toHaveBeenCalled();
+        expect(notifyTransition).not.toHaveBeenCalled();
+    });
+
+    it("shows the owner which items failed and which files to upload again", async () => {
+        mockUser = student;
+        mockTables({
+            proposal: proposalRow({ report_status: "denied" }),
+            reviews: [{ id: 11, proposal_id: 42, reviewer_id: 3, reviewer_name: "Rita Reviewer", decision: "denied", summary: null, created_at: "2025-03-10T08:00:00.000Z" }],
+            items: [
+                { id: 1, review_id: 11, criterion_id: 1, label: "Attendance evidence", is_required: 1, status: "partial", comment: "Day 2 sheet missing", reupload_document: "final_attendance" },
+                { id: 2, review_id: 11, criterion_id: 2, label: "Objectives met", is_required: 1, status: "accepted", comment: null, reupload_document: null },
+                { id: 3, review_id: 11, criterion_id: 4, label: "Signatures", is_required: 1, status: "rejected", comment: "Adviser did not sign", reupload_document: null },
+            ],
+        });
+
+        const res = await request(app).get("/api/report-reviews/42");
+
+        expect(res.status).toBe(200);
+        const { report } = res.body;
+        expect(report.latestReview.reviewer).toEqual({ id: 3, name: "Rita Reviewer" });
+        expect(report.latestReview.failedItems.map((item) => item.label)).toEqual(["Attendance evidence", "Signatures"]);
+        expect(report.requestedReuploads).toEqual(["final_attendance"]);
+        expect(report.documents[0]).toEqual({
+            key: "accomplishment_report",
+            label: "Accomplishment report",
+            fileName: "report.pdf",
+            downloadUrl: "/api/report-reviews/42/files/accomplishment_report",
+        });
+        expect(report.rubric).toHaveLength(3);
+    });
+
+    it("hides other students' reports", async () => {
+        mockUser = otherStudent;
+        mockTables();
+
+        const res = await request(app).get("/api/report-reviews/42");
+
+        expect(res.status).toBe(403);
+    });
+
+    it("lists the files a resubmission still lacks", async () => {
+        pool.query.mockResolvedValueOnce([[{ reupload_document: "final_attendance" }, { reupload_document: "accomplishment_report" }]]);
+
+        const missing = await missingReuploads(42, ["accomplishment_report"]);
+
+        expect(missing).toEqual(["Final attendance list"]);
+        expect(pool.query.mock.calls[0][1]).toEqual([42]);
+    });
+});
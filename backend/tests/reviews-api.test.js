@@ -0,0 +1,267 @@
+// backend/tests/reviews-api.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// Requests run as `mockUser`; individual tests switch between reviewer and student
+let mockUser;
+jest.mock("../middleware/auth", () => ({
+    validateToken: (req, res, next) => {
+        req.user = mockUser;
+        next();
+    },
+}));
+
+// Mock the MySQL pool (decisions and documentation requests use a transaction)
+const mockConnection = {
+    beginTransaction: jest.fn(),
+    query: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn(),
+};
+
+jest.mock("../config/db", () => ({
+    pool: {
+        query: jest.fn(),
+        getConnection: jest.fn(),
+    },
+}));
+
+// Notifications are covered in notifications.test.js
+jest.mock("../services/notification.service");
+
+// Conflict queries are covered in schedule-conflicts.test.js
+jest.mock("../services/schedule-conflict.service", () => ({
+    findBlockingConflicts: async () => [],
+    checkProposalConflicts: async () => ({ conflicts: [] }),
+}));
+
+// Event records are covered in events.test.js
+jest.mock("../services/event.service", () => ({
+    createEventForProposal: jest.fn(),
+}));
+
+// Compliance deadlines are covered in compliance-deadlines.test.js
+jest.mock("../services/compliance-deadline.service");
+
+const { pool } = require("../config/db");
+const reviewRouter = require("../routes/proposals/review.routes");
+
+const app = express();
+app.use(express.json());
+app.use("/api/proposals", reviewRouter);
+
+const reviewer = { id: 3, role: "head_admin", name: "Head Admin" };
+const student = { id: 7, role: "student", name: "Ana Cruz" };
+
+const proposalRow = (overrides = {}) => ({
+    id: 42,
+    userId: 7,
+    event_name: "Robotics Fair",
+    proposal_status: "pending",
+    report_status: "draft",
+    organization_name: "Xavier Robotics",
+    ...overrides,
+});
+
+describe("Review API", () => {
+    beforeEach(() => {
+        mockUser = reviewer;
+        pool.getConnection.mockResolvedValue(mockConnection);
+    });
+
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    describe("POST /api/proposals/:id/review", () => {
+        it("approves a pending proposal and stores the review", async () => {
+            mockConnection.query
+                .mockResolvedValueOnce([[{ id: 42, proposal_status: "pending", report_status: "draft" }]]) // lock
+                .mockResolvedValueOnce([{ affectedRows: 1 }]) // update proposal
+                .mockResolvedValueOnce([{ insertId: 1 }]) // status history
+                .mockResolvedValueOnce([{ insertId: 9 }]); // reviews
+
+            const res = await request(app)
+                .post("/api/proposals/42/review")
+                .send({ decision: "approve" });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ proposalId: 42, status: "approved", previousStatus: "pending", reviewedBy: 3, reviewId: 9 });
+
+            const [sql, params] = mockConnection.query.mock.calls[3];
+            expect(sql).toContain("INSERT INTO reviews");
+            expect(params).toEqual(["42", 3, null, "approved"]);
+            expect(mockConnection.query.mock.calls[2][1]).toContain("POST /api/proposals/:id/review");
+            expect(mockConnection.commit).toHaveBeenCalled();
+        });
+
+        it("requires a reason when requesting revisions", async () => {
+            const res = await request(app)
+                .post("/api/proposals/42/review")
+                .send({ decision: "revision", comment: "   " });
+
+            expect(res.status).toBe(400);
+            expect(res.body.errors.comment).toBeDefined();
+            expect(pool.getConnection).not.toHaveBeenCalled();
+        });
+
+        it("records the reason as a decision comment", async () => {
+            mockConnection.query
+                .mockResolvedValueOnce([[{ id: 42, proposal_status: "pending", report_status: "draft" }]])
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([{ insertId: 1 }])
+                .mockResolvedValueOnce([{ insertId: 9 }])
+                .mockResolvedValueOnce([{ insertId: 15 }]);
+
+            const res = await request(app)
+                .post("/api/proposals/42/review")
+                .send({ decision: "reject", comment: "Venue is not available" });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.status).toBe("denied");
+            const [sql, params] = mockConnection.query.mock.calls[4];
+            expect(sql).toContain("INSERT INTO proposal_comments");
+            expect(params).toEqual(["42", null, 3, "head_admin", "decision", "Venue is not available", 0]);
+        });
+
+        it("rolls back and returns 409 for an illegal transition", async () => {
+            mockConnection.query.mockResolvedValueOnce([[{ id: 42, proposal_status: "approved", report_status: "draft" }]]);
+
+            const res = await request(app)
+                .post("/api/proposals/42/review")
+                .send({ decision: "approve" });
+
+            expect(res.status).toBe(409);
+            expect(mockConnection.rollback).toHaveBeenCalled();
+            expect(mockConnection.release).toHaveBeenCalled();
+        });
+
+        it("does not let students decide", async () => {
+            mockUser = student;
+
+            const res = await request(app)
+                .post("/api/proposals/42/review")
+                .send({ decision: "approve" });
+
+            expect(res.status).toBe(403);
+        });
+    });
+
+    describe("comments", () => {
+        it("returns a threaded list and hides internal notes from students", async () => {
+            mockUser = student;
+            pool.query
+                .mockResolvedValueOnce([[proposalRow()]])
+                .mockResolvedValueOnce([[
+                    { id: 1, parent_id: null, author_id: 3, author_role: "head_admin", kind: "comment", body: "Please attach the GPOA", is_internal: 0, created_at: "2025-01-01", author_name: "Head Admin" },
+                    { id: 2, parent_id: 1, author_id: 7, author_role: "student", kind: "comment", body: "Uploaded", is_internal: 0, created_at: "2025-01-02", author_name: "Ana Cruz" },
+                ]]);
+
+            const res = await request(app).get("/api/proposals/42/comments");
+
+            expect(res.status).toBe(200);
+            expect(pool.query.mock.calls[1][0]).toContain("is_internal = 0");
+            expect(res.body.comments).toHaveLength(1);
+            expect(res.body.comments[0].replies[0]).toMatchObject({ id: 2, text: "Uploaded", author: { name: "Ana Cruz" } });
+        });
+
+        it("adds a reply to an existing comment", async () => {
+            pool.query
+                .mockResolvedValueOnce([[proposalRow()]])
+                .mockResolvedValueOnce([[{ id: 1 }]]) // parent lookup
+                .mockResolvedValueOnce([{ insertId: 5 }])
+                .mockResolvedValueOnce([[{ id: 5, parent_id: 1, author_id: 3, author_role: "head_admin", kind: "comment", body: "Thanks", is_internal: 0, created_at: "2025-01-03", author_name: "Head Admin" }]]);
+
+            const res = await request(app)
+                .post("/api/proposals/42/comments")
+                .send({ comment: "Thanks", parentId: 1 });
+
+            expect(res.status).toBe(201);
+            expect(res.body.comment).toMatchObject({ id: 5, parentId: 1, text: "Thanks" });
+            expect(pool.query.mock.calls[2][1]).toEqual(["42", 1, 3, "head_admin", "comment", "Thanks", 0]);
+        });
+
+        it("forbids students from commenting on other users' proposals", async () => {
+            mockUser = { ...student, id: 8 };
+            pool.query.mockResolvedValueOnce([[proposalRow()]]);
+
+            const res = await request(app)
+                .post("/api/proposals/42/comments")
+                .send({ comment: "Hello" });
+
+            expect(res.status).toBe(403);
+        });
+
+        it("returns 404 for unknown proposals", async () => {
+            pool.query.mockResolvedValueOnce([[]]);
+
+            const res = await request(app).get("/api/proposals/99/comments");
+
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe("POST /api/proposals/:id/request-documentation", () => {
+        it("creates the checklist and sends a pending proposal back for revision", async () => {
+            mockConnection.query
+                .mockResolvedValueOnce([[proposalRow()]]) // access check
+                .mockResolvedValueOnce([{ insertId: 4 }]) // request
+                .mockResolvedValueOnce([{ insertId: 10 }]) // item 1
+                .mockResolvedValueOnce([{ insertId: 11 }]) // item 2
+                .mockResolvedValueOnce([{ insertId: 20 }]) // comment
+                .mockResolvedValueOnce([[{ id: 42, proposal_status: "pending", report_status: "draft" }]]) // lock
+                .mockResolvedValueOnce([{ affectedRows: 1 }])
+                .mockResolvedValueOnce([{ insertId: 2 }]);
+            pool.query
+                .mockResolvedValueOnce([[proposalRow({ proposal_status: "revision_requested" })]])
+                .mockResolvedValueOnce([[{ id: 4, proposal_id: 42, requested_by: 3, message: "Missing documents", status: "open", due_date: null, created_at: "2025-01-04", fulfilled_at: null }]])
+                .mockResolvedValueOnce([[
+                    { id: 10, request_id: 4, label: "Signed GPOA", description: null, is_required: 1, status: "pending" },
+                    { id: 11, request_id: 4, label: "Budget", description: "Itemized", is_required: 0, status: "pending" },
+                ]]);
+
+            const res = await request(app)
+                .post("/api/proposals/42/request-documentation")
+                .send({ message: "Missing documents", items: ["Signed GPOA", { label: "Budget", description: "Itemized", required: false }] });
+
+            expect(res.status).toBe(201);
+            expect(res.body.request).toMatchObject({ id: 4, status: "open", outstanding: 1 });
+            expect(res.body.request.checklist).toHaveLength(2);
+            expect(mockConnection.query.mock.calls[3][1]).toEqual([4, "Budget", "Itemized", 0]);
+            expect(mockConnection.query.mock.calls[6][1]).toEqual(["revision_requested", 3, "Missing documents", "42"]);
+            expect(mockConnection.commit).toHaveBeenCalled();
+        });
+
+        it("needs a message or checklist items", async () => {
+            const res = await request(app)
+                .post("/api/proposals/42/request-documentation")
+                .send({});
+
+            expect(res.status).toBe(400);
+            expect(pool.getConnection).not.toHaveBeenCalled();
+        });
+    });
+
+    it("marks the request fulfilled once every required item is submitted", async () => {
+        mockUser = student;
+        pool.query
+            .mockResolvedValueOnce([[proposalRow({ proposal_status: "revision_requested" })]])
+            .mockResolvedValueOnce([[{ id: 10, request_id: 4, request_status: "open" }]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }])
+            .mockResolvedValueOnce([[{ outstanding: 0 }]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }])
+            .mockResolvedValueOnce([[proposalRow({ proposal_status: "revision_requested" })]])
+            .mockResolvedValueOnce([[{ id: 4, proposal_id: 42, status: "fulfilled" }]])
+            .mockResolvedValueOnce([[{ id: 10, request_id: 4, label: "Signed GPOA", is_required: 1, status: "submitted" }]]);
+
+        const res = await request(app)
+            .post("/api/proposals/42/documentation-requests/4/items/10")
+            .send({ note: "Signed copy is on file with the OSA" });
+
+        expect(res.status).toBe(200);
+        expect(pool.query.mock.calls[4][0]).toContain("status = 'fulfilled'");
+        expect(res.body.request).toMatchObject({ id: 4, status: "fulfilled", outstanding: 0 });
+    });
+});
@@ -0,0 +1,245 @@
+// backend/tests/schedule-conflicts.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// Requests run as `mockUser`; individual tests switch between admin and student
+let mockUser;
+jest.mock("../middleware/auth", () => ({
+    validateToken: (req, res, next) => {
+        req.user = mockUser;
+        next();
+    },
+}));
+
+jest.mock("../config/db", () => ({
+    pool: {
+        query: jest.fn(),
+    },
+}));
+
+const { pool } = require("../config/db");
+const { checkConflicts, findBlockingConflicts } = require("../services/schedule-conflict.service");
+const scheduleRouter = require("../routes/schedule");
+
+const app = express();
+app.use(express.json());
+app.use("/api/schedule", scheduleRouter);
+
+const booking = (overrides = {}) => ({
+    id: 5,
+    event_name: "Leadership Summit",
+    organization_name: "Student Council",
+    event_venue: "Main Gym",
+    proposal_status: "approved",
+    event_start_date: "2025-03-10",
+    event_end_date: "2025-03-11",
+    event_start_time: "08:00:00",
+    event_end_time: "12:00:00",
+    ...overrides,
+});
+
+const slot = {
+    venue: " main  gym ",
+    organizationName: "Robotics Club",
+    startDate: "2025-03-11",
+    endDate: "2025-03-11",
+    startTime: "10:00",
+    endTime: "15:00",
+};
+
+describe("Schedule conflict checks", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("flags an approved booking at the same venue as blocking", async () => {
+        pool.query
+            .mockResolvedValueOnce([[booking()]])
+            .mockResolvedValueOnce([[]]);
+
+        const result = await checkConflicts(slot);
+
+        expect(result.hasBlockingConflicts).toBe(true);
+        expect(result.conflicts).toHaveLength(1);
+        expect(result.conflicts[0]).toMatchObject({ type: "venue", severity: "blocking", proposal: { id: 5 } });
+        // Only approved and pending proposals in the requested range are considered
+        expect(pool.query.mock.calls[0][1]).toEqual([["approved", "pending"], "2025-03-11", "2025-03-11", 0]);
+    });
+
+    it("leaves cancelled events out so their slot can be booked again", async () => {
+        pool.query
+            .mockResolvedValueOnce([[]])
+            .mockResolvedValueOnce([[]]);
+
+        const result = await checkConflicts(slot);
+
+        expect(result.hasConflicts).toBe(false);
+        expect(pool.query.mock.calls[0][0]).toMatch(/event_status IS NULL OR event_status <> 'cancelled'/);
+    });
+
+    it("reports pending bookings and organization double bookings as warnings", async () => {
+        pool.query
+            .mockResolvedValueOnce([[booking({ proposal_status: "pending", event_venue: "Library", organization_name: "Robotics Club" })]])
+            .mockResolvedValueOnce([[]]);
+
+        const result = await checkConflicts(slot);
+
+        expect(result.hasBlockingConflicts).toBe(false);
+        expect(result.conflicts).toEqual([
+            expect.objectContaining({ type: "organization", severity: "warning" }),
+        ]);
+    });
+
+    it("ignores bookings whose daily times do not overlap", async () => {
+        pool.query
+            .mockResolvedValueOnce([[booking({ event_start_time: "13:00:00", event_end_time: "17:00:00" })]])
+            .mockResolvedValueOnce([[]]);
+
+        const result = await checkConflicts({ ...slot, startTime: "08:00", endTime: "13:00" });
+
+        expect(result.hasConflicts).toBe(false);
+    });
+
+    it("treats a booking without times as taking the whole day", async () => {
+        pool.query
+            .mockResolvedValueOnce([[booking({ event_start_time: null, event_end_time: null })]])
+            .mockResolvedValueOnce([[]]);
+
+        const result = await checkConflicts({ ...slot, startTime: "18:00", endTime: "20:00" });
+
+        expect(result.conflicts).toHaveLength(1);
+    });
+
+    it("compares catalog venues by id rather than spelling", async () => {
+        pool.query
+            .mockResolvedValueOnce([[{ is_online: 0 }]])
+            .mockResolvedValueOnce([[
+                booking({ id: 6, venue_id: 3, event_venue: "University Gymnasium" }),
+                booking({ id: 7, venue_id: 4, event_venue: "Main Gym", organization_name: "Chess Club" }),
+            ]])
+            .mockResolvedValueOnce([[]]);
+
+        const result = await checkConflicts({ ...slot, venueId: 3, organizationName: "" });
+
+        expect(result.conflicts).toHaveLength(1);
+        expect(result.conflicts[0]).toMatchObject({ type: "venue", proposal: { id: 6 } });
+    });
+
+    it("does not treat proposals whose venue is still TBD as sharing it", async () => {
+        pool.query
+            .mockResolvedValueOnce([[booking({ event_venue: "TBD", organization_name: "Chess Club" })]])
+            .mockResolvedValueOnce([[]]);
+
+        const result = await checkConflicts({ ...slot, venue: "tbd" });
+
+        expect(result.hasConflicts).toBe(false);
+    });
+
+    it("lets online venues host parallel events", async () => {
+        pool.query
+            .mockResolvedValueOnce([[{ is_online: 1 }]])
+            .mockResolvedValueOnce([[booking({ venue_id: 9, event_venue: "Zoom" })]])
+            .mockResolvedValueOnce([[]]);
+
+        const result = await checkConflicts({ ...slot, venue: "Zoom", venueId: 9, organizationName: "" });
+
+        expect(result.hasConflicts).toBe(false);
+        expect(pool.query.mock.calls[0]).toEqual(["SELECT is_online FROM venues WHERE id = ?", [9]]);
+    });
+
+    it("blocks events inside a blackout period", async () => {
+        pool.query
+            .mockResolvedValueOnce([[]])
+            .mockResolvedValueOnce([[{ id: 2, title: "Midterm examinations", start_date: "2025-03-10", end_date: "2025-03-14" }]]);
+
+        const result = await checkConflicts(slot);
+
+        expect(result.conflicts).toEqual([
+            expect.objectContaining({ type: "blackout", severity: "blocking", blackout: expect.objectContaining({ id: 2 }) }),
+        ]);
+    });
+
+    it("checks a stored proposal against everything but itself", async () => {
+        pool.query
+            .mockResolvedValueOnce([[{ id: 12, event_venue: "Main Gym", organization_name: "Robotics Club", event_start_date: "2025-03-11", event_end_date: null, event_start_time: null, event_end_time: null }]])
+            .mockResolvedValueOnce([[booking({ proposal_status: "pending" })]])
+            .mockResolvedValueOnce([[]]);
+
+        const blocking = await findBlockingConflicts(12);
+
+        expect(pool.query.mock.calls[1][1][3]).toBe(12);
+        expect(blocking).toEqual([]);
+    });
+
+    it("does not block approving an online event over another one on the same platform", async () => {
+        pool.query
+            .mockResolvedValueOnce([[{ id: 12, event_venue: "Zoom", venue_id: 9, venue_online: 1, organization_name: "Robotics Club", event_start_date: "2025-03-11", event_end_date: null, event_start_time: null, event_end_time: null }]])
+            .mockResolvedValueOnce([[booking({ venue_id: 9, event_venue: "Zoom" })]])
+            .mockResolvedValueOnce([[]]);
+
+        const blocking = await findBlockingConflicts(12);
+
+        expect(blocking).toEqual([]);
+        expect(pool.query).toHaveBeenCalledTimes(3);
+    });
+
+    it("requires a start date", async () => {
+        await expect(checkConflicts({ venue: "Main Gym" })).rejects.toMatchObject({ statusCode: 400 });
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+});
+
+describe("Schedule API", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("lets any signed-in user check a slot", async () => {
+        mockUser = { id: 7, role: "student" };
+        pool.query
+            .mockResolvedValueOnce([[booking()]])
+            .mockResolvedValueOnce([[]]);
+
+        const res = await request(app).post("/api/schedule/conflicts/check").send(slot);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.hasBlockingConflicts).toBe(true);
+    });
+
+    it("creates a blackout period for admins", async () => {
+        mockUser = { id: 3, role: "head_admin" };
+        pool.query
+            .mockResolvedValueOnce([{ insertId: 4 }])
+            .mockResolvedValueOnce([[{ id: 4, title: "Holy Week", start_date: "2025-04-14", end_date: "2025-04-20", reason: null, created_by: 3 }]]);
+
+        const res = await request(app)
+            .post("/api/schedule/blackouts")
+            .send({ title: " Holy Week ", startDate: "2025-04-14", endDate: "2025-04-20" });
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.blackout).toMatchObject({ id: 4, startDate: "2025-04-14", endDate: "2025-04-20" });
+        expect(pool.query.mock.calls[0][1]).toEqual(["Holy Week", "2025-04-14", "2025-04-20", null, 3]);
+    });
+
+    it("rejects a blackout that ends before it starts", async () => {
+        mockUser = { id: 3, role: "head_admin" };
+
+        const res = await request(app)
+            .post("/api/schedule/blackouts")
+            .send({ title: "Typo", startDate: "2025-04-20", endDate: "2025-04-14" });
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.errors.endDate).toBeDefined();
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it("does not let students manage blackout periods", async () => {
+        mockUser = { id: 7, role: "student" };
+
+        const res = await request(app).delete("/api/schedule/blackouts/4");
+
+        expect(res.statusCode).toBe(403);
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+});
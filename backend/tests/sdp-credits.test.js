@@ -0,0 +1,220 @@
+// backend/tests/sdp-credits.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// Requests run as `mockUser`; individual tests switch between admin and student
+let mockUser;
+jest.mock("../middleware/auth", () => ({
+    validateToken: (req, res, next) => {
+        req.user = mockUser;
+        next();
+    },
+}));
+
+jest.mock("../config/db", () => ({
+    pool: {
+        query: jest.fn(),
+    },
+}));
+
+const { pool } = require("../config/db");
+const { getEventCredits, awardEventCredits } = require("../services/sdp-credit.service");
+const sdpCreditsRouter = require("../routes/sdp-credits");
+
+const app = express();
+app.use(express.json());
+app.use("/api/sdp-credits", sdpCreditsRouter);
+
+const student = { id: 7, role: "student" };
+const admin = { id: 1, role: "head_admin" };
+
+const schoolEvent = {
+    id: 42,
+    event_name: "Leadership Workshop",
+    organization_type: "school-based",
+    school_event_type: "workshop-seminar-webinar",
+    school_return_service_credit: "2",
+    community_sdp_credits: null,
+};
+
+// Query order in getStudentSummary: student, ledger rows, pending attendance
+const mockSummaryQueries = (entries, pending = []) => {
+    pool.query
+        .mockResolvedValueOnce([[{ id: 7, name: "Ana Cruz", email: "ana@example.com" }]])
+        .mockResolvedValueOnce([entries])
+        .mockResolvedValueOnce([pending]);
+};
+
+const ledgerRow = (overrides = {}) => ({
+    id: 1,
+    entry_type: "award",
+    credits: 2,
+    category: "Workshop Seminar Webinar",
+    reason: 'Attended "Leadership Workshop"',
+    proposal_id: 42,
+    event_name: "Leadership Workshop",
+    event_start_date: "2025-04-15",
+    created_by_name: "Head Admin",
+    created_at: "2025-05-01T00:00:00.000Z",
+    ...overrides,
+});
+
+describe("SDP credit awards", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("reads the credit value from the matching event type", () => {
+        expect(getEventCredits(schoolEvent)).toEqual({ credits: 2, category: "Workshop Seminar Webinar" });
+        expect(getEventCredits({ organization_type: "community-based", community_sdp_credits: "1", community_event_type: "general-assembly" }))
+            .toEqual({ credits: 1, category: "General Assembly" });
+        expect(getEventCredits({ ...schoolEvent, school_return_service_credit: "Not Applicable" }).credits).toBe(0);
+    });
+
+    it("credits matched attendees that were not credited before", async () => {
+        pool.query
+            .mockResolvedValueOnce([[schoolEvent]])
+            .mockResolvedValueOnce([{ affectedRows: 3 }]);
+
+        const result = await awardEventCredits(42, { actor: admin });
+
+        expect(result).toEqual({ awarded: 3, credits: 2, category: "Workshop Seminar Webinar" });
+        const [sql, params] = pool.query.mock.calls[1];
+        expect(sql).toContain("a.user_id IS NOT NULL");
+        expect(sql).toContain("NOT EXISTS");
+        expect(params).toEqual([2, "Workshop Seminar Webinar", 'Attended "Leadership Workshop"', 1, 42]);
+    });
+
+    it("skips events without SDP credits", async () => {
+        pool.query.mockResolvedValueOnce([[{ ...schoolEvent, school_return_service_credit: "Not Applicable" }]]);
+
+        const result = await awardEventCredits(42);
+
+        expect(result.awarded).toBe(0);
+        expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it("uses the caller's transaction when one is passed", async () => {
+        const connection = { query: jest.fn() };
+        connection.query
+            .mockResolvedValueOnce([[schoolEvent]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+        await awardEventCredits(42, { actor: admin, connection });
+
+        expect(connection.query).toHaveBeenCalledTimes(2);
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+});
+
+describe("SDP credits API", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("summarises the signed-in student's ledger", async () => {
+        mockUser = student;
+        mockSummaryQueries(
+            [ledgerRow(), ledgerRow({ id: 2, entry_type: "adjustment", credits: -1, reason: "Left early" })],
+            [{ id: 50, event_name: "Clean-up Drive", event_start_date: "2025-05-10", report_status: "pending", organization_type: "community-based", community_event_type: "others", community_sdp_credits: "1" }]
+        );
+
+        const res = await request(app).get("/api/sdp-credits/me");
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toMatchObject({ earned: 1, required: 36, remaining: 35 });
+        expect(res.body.byCategory).toEqual([{ category: "Workshop Seminar Webinar", credits: 1 }]);
+        expect(res.body.pending[0]).toMatchObject({ proposalId: 50, credits: 1, reportStatus: "pending" });
+        expect(pool.query.mock.calls[1][1]).toEqual([7]);
+    });
+
+    it("exports a transcript as CSV", async () => {
+        mockUser = student;
+        mockSummaryQueries([ledgerRow()]);
+
+        const res = await request(app).get("/api/sdp-credits/me/transcript");
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers["content-type"]).toContain("text/csv");
+        expect(res.headers["content-disposition"]).toContain("sdp-transcript-ana-cruz.csv");
+        expect(res.text).toContain("Date,Event,Category,Type,Credits,Notes");
+        expect(res.text).toContain("2025-04-15,Leadership Workshop,Workshop Seminar Webinar,Award,2");
+        expect(res.text).toContain("Total credits,2");
+    });
+
+    it("does not show one student another student's credits", async () => {
+        mockUser = student;
+
+        const res = await request(app).get("/api/sdp-credits/students/8");
+
+        expect(res.statusCode).toBe(403);
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it("records an admin adjustment with a reason", async () => {
+        mockUser = admin;
+        pool.query
+            .mockResolvedValueOnce([[{ id: 7 }]])
+            .mockResolvedValueOnce([{ insertId: 9 }]);
+
+        const res = await request(app)
+            .post("/api/sdp-credits/students/7/adjustments")
+            .send({ credits: -2, reason: "Duplicate award" });
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.adjustment).toMatchObject({ id: 9, credits: -2 });
+        expect(pool.query.mock.calls[1][1]).toEqual(["7", null, -2, null, "Duplicate award", 1]);
+    });
+
+    it("rejects adjustments without a reason or amount", async () => {
+        mockUser = admin;
+
+        const res = await request(app).post("/api/sdp-credits/students/7/adjustments").send({ credits: 0 });
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.errors).toHaveProperty("credits");
+        expect(res.body.errors).toHaveProperty("reason");
+    });
+
+    it("does not let students adjust credits", async () => {
+        mockUser = student;
+
+        const res = await request(app).post("/api/sdp-credits/students/7/adjustments").send({ credits: 5, reason: "Please" });
+
+        expect(res.statusCode).toBe(403);
+    });
+
+    it("lists participants for the event organizer", async () => {
+        mockUser = student;
+        pool.query
+            .mockResolvedValueOnce([[{ id: 42, userId: 7 }]])
+            .mockResolvedValueOnce([[{
+                id: 3, user_id: 12, full_name: "Juan Dela Cruz", email: "juan@example.com", student_id: "2021-0001",
+                school: "Xavier University", program: "BS Biology", year_level: "2nd Year", source: "import", credits_awarded: "2",
+            }]]);
+
+        const res = await request(app).get("/api/sdp-credits/events/42/participants");
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.participants[0]).toMatchObject({ name: "Juan Dela Cruz", yearLevel: "2nd Year", creditsAwarded: 2 });
+    });
+
+    it("hides participant lists of other organizations' events", async () => {
+        mockUser = student;
+        pool.query.mockResolvedValueOnce([[{ id: 42, userId: 99 }]]);
+
+        const res = await request(app).get("/api/sdp-credits/events/42/participants");
+
+        expect(res.statusCode).toBe(403);
+    });
+
+    it("only re-runs awards for approved reports", async () => {
+        mockUser = admin;
+        pool.query.mockResolvedValueOnce([[{ report_status: "pending" }]]);
+
+        const res = await request(app).post("/api/sdp-credits/events/42/award");
+
+        expect(res.statusCode).toBe(409);
+    });
+});
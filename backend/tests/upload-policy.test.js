@@ -0,0 +1,240 @@
+// backend/tests/upload-policy.test.js
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const express = require("express");
+const multer = require("multer");
+const ExcelJS = require("exceljs");
+
+const { checkUpload, detectFileType, requiredFilename } = require("../services/upload-policy.service");
+const { verifyUploads, verifyDeclaredUploads } = require("../middleware/upload-policy");
+
+// ---- Minimal files, built byte by byte ----
+
+const pdf = (pages, { encrypted = false } = {}) => Buffer.from([
+    "%PDF-1.7",
+    "1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj",
+    `2 0 obj << /Type /Pages /Count ${pages} >> endobj`,
+    ...Array.from({ length: pages }, (_, index) => `${index + 3} 0 obj << /Type /Page /Parent 2 0 R >> endobj`),
+    `trailer << /Root 1 0 R${encrypted ? " /Encrypt 99 0 R" : ""} >>`,
+    "%%EOF",
+].join("\n"));
+
+// Stored (uncompressed) ZIP with empty entries; only the central directory matters here
+function zipOf(names, { encrypted = false } = {}) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const name of names) {
+        const nameBytes = Buffer.from(name);
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(encrypted ? 1 : 0, 6);
+        local.writeUInt16LE(nameBytes.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(encrypted ? 1 : 0, 8);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        locals.push(local, nameBytes);
+        centrals.push(central, nameBytes);
+        offset += local.length + nameBytes.length;
+    }
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(names.length, 8);
+    end.writeUInt16LE(names.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+const DOCX = zipOf(["[Content_Types].xml", "_rels/.rels", "word/document.xml"]);
+
+const ole = (...streams) => Buffer.concat([
+    Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+    Buffer.alloc(504),
+    ...streams.map((name) => Buffer.from(name, "utf16le")),
+]);
+
+const check = (buffer, name, type) => checkUpload({ buffer, name }, type);
+
+describe("Upload policy", () => {
+    it("recognises files by their contents", async () => {
+        const workbook = new ExcelJS.Workbook();
+        workbook.addWorksheet("Attendance").addRow(["Name", "Email"]);
+        const xlsx = Buffer.from(await workbook.xlsx.writeBuffer());
+
+        expect(detectFileType(pdf(3))).toMatchObject({ kind: "pdf", pages: 3, encrypted: false });
+        expect(detectFileType(DOCX).kind).toBe("docx");
+        expect(detectFileType(xlsx).kind).toBe("xlsx");
+        expect(detectFileType(ole("WordDocument")).kind).toBe("doc");
+        expect(detectFileType(Buffer.from("Name,Email\nAna,ana@xu.edu.ph\n")).kind).toBe("text");
+        expect(detectFileType(Buffer.from([0x4d, 0x5a, 0x90, 0x00])).kind).toBe("unknown");
+    });
+
+    it("rejects files whose contents do not match their extension", () => {
+        const renamedExe = check(Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03]), "Robotics_GPOA.pdf", "gpoa");
+        const renamedPdf = check(pdf(1), "Robotics_PP.docx", "proposal");
+
+        expect(renamedExe).toMatchObject({ accepted: false, code: "TYPE_MISMATCH" });
+        expect(renamedExe.reason).toBe("The file is named .pdf but its contents are an unrecognised file");
+        expect(renamedPdf.reason).toBe("The file is named .docx but its contents are a PDF");
+        expect(check(DOCX, "Robotics_PP.docx", "proposal").accepted).toBe(true);
+    });
+
+    it("rejects macro-enabled Office files by name or by contents", () => {
+        const withVba = zipOf(["[Content_Types].xml", "word/document.xml", "word/vbaProject.bin"]);
+
+        expect(check(DOCX, "plan.docm", "gpoa").code).toBe("MACRO_ENABLED");
+        expect(check(withVba, "plan.docx", "gpoa").code).toBe("MACRO_ENABLED");
+        expect(check(ole("WordDocument", "_VBA_PROJECT"), "plan.doc", "gpoa").code).toBe("MACRO_ENABLED");
+    });
+
+    it("rejects encrypted PDFs, password-protected Office files and ZIPs", () => {
+        expect(check(pdf(2, { encrypted: true }), "plan.pdf", "gpoa").code).toBe("ENCRYPTED");
+        // Office saves password-protected .docx files as OLE containers
+        expect(check(ole("EncryptionInfo", "EncryptedPackage"), "plan.docx", "gpoa").code).toBe("ENCRYPTED");
+        expect(check(zipOf(["receipts/1.jpg"], { encrypted: true }), "receipts.zip", "compliance").code).toBe("ENCRYPTED");
+    });
+
+    it("applies size and page limits per document type", () => {
+        const large = checkUpload({ buffer: pdf(1), name: "plan.pdf", size: 6 * 1024 * 1024 }, "gpoa");
+
+        expect(large).toMatchObject({ accepted: false, code: "TOO_LARGE" });
+        expect(large.reason).toBe("General Plan of Action files must be 5MB or smaller (this file is 6MB)");
+        expect(check(pdf(31), "plan.pdf", "gpoa")).toMatchObject({ accepted: false, code: "TOO_MANY_PAGES" });
+        // The same PDF is within an accomplishment report's limit
+        expect(check(pdf(31), "report.pdf", "accomplishment_report")).toMatchObject({ accepted: true, pages: 31 });
+        expect(check(Buffer.from("Name\n"), "list.csv", "gpoa").code).toBe("EXTENSION_NOT_ALLOWED");
+    });
+
+    it("builds the required file name from the organization", () => {
+        expect(requiredFilename("gpoa", "Xavier Robotics Club", ".PDF")).toBe("XavierRoboticsClub_GPOA.pdf");
+        expect(requiredFilename("proposal", "Niño's Choir", ".docx")).toBe("NinosChoir_PP.docx");
+        expect(requiredFilename("AR", "Xavier Robotics Club", ".pdf")).toBe("XavierRoboticsClub_AR.pdf");
+        expect(requiredFilename("compliance", "Xavier Robotics Club", ".pdf")).toBeNull();
+        expect(requiredFilename("gpoa", "Unknown", ".pdf")).toBeNull();
+    });
+});
+
+describe("verifyUploads middleware", () => {
+    const memoryApp = express();
+    memoryApp.post(
+        "/events",
+        multer({ storage: multer.memoryStorage() }).fields([{ name: "gpoaFile" }, { name: "proposalFile" }]),
+        verifyUploads({ gpoaFile: "gpoa", proposalFile: "proposal" }),
+        (req, res) => res.json({
+            files: Object.values(req.files).flat().map(({ originalname, submittedName }) => ({ originalname, submittedName })),
+        }),
+    );
+
+    it("renames accepted files to the naming convention", async () => {
+        const res = await request(memoryApp)
+            .post("/events")
+            .field("organization_name", "Xavier Robotics Club")
+            .attach("gpoaFile", pdf(2), "final plan v3.pdf")
+            .attach("proposalFile", DOCX, "XavierRoboticsClub_PP.docx");
+
+        expect(res.status).toBe(200);
+        expect(res.body.files).toEqual([
+            { originalname: "XavierRoboticsClub_GPOA.pdf", submittedName: "final plan v3.pdf" },
+            { originalname: "XavierRoboticsClub_PP.docx" },
+        ]);
+    });
+
+    it("lists every rejected file with its reason", async () => {
+        const res = await request(memoryApp)
+            .post("/events")
+            .field("organization_name", "Xavier Robotics Club")
+            .attach("gpoaFile", pdf(1, { encrypted: true }), "plan.pdf")
+            .attach("proposalFile", DOCX, "proposal.xlsm");
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe("2 files were rejected");
+        expect(res.body.rejected.map(({ field, fileName, code }) => ({ field, fileName, code }))).toEqual([
+            { field: "gpoaFile", fileName: "plan.pdf", code: "ENCRYPTED" },
+            { field: "proposalFile", fileName: "proposal.xlsm", code: "MACRO_ENABLED" },
+        ]);
+        expect(Object.keys(res.body.errors)).toEqual(["gpoaFile", "proposalFile"]);
+    });
+
+    it("deletes rejected files that were already written to disk", async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), "upload-policy-"));
+        const diskApp = express();
+        diskApp.post(
+            "/documents",
+            multer({ dest: directory }).array("documents"),
+            verifyUploads({ documents: "compliance" }),
+            (req, res) => res.json({ ok: true }),
+        );
+
+        const res = await request(diskApp)
+            .post("/documents")
+            .attach("documents", pdf(1), "budget.pdf")
+            .attach("documents", Buffer.from([0x4d, 0x5a, 0x90, 0x00]), "photos.zip");
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe("The file is named .zip but its contents are an unrecognised file");
+        expect(fs.readdirSync(directory)).toEqual([]);
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe("with the types listed beside the files", () => {
+        const declaredApp = express();
+        declaredApp.post(
+            "/files",
+            multer({ storage: multer.memoryStorage() }).array("files"),
+            verifyDeclaredUploads("fileTypes"),
+            (req, res) => res.json({ types: req.files.map(({ originalname, documentType }) => ({ originalname, documentType })) }),
+        );
+
+        it("checks each file against its declared type", async () => {
+            const res = await request(declaredApp)
+                .post("/files")
+                .field("fileTypes", "gpoa, proposal")
+                .attach("files", pdf(2), "plan.pdf")
+                .attach("files", DOCX, "proposal.docx");
+
+            expect(res.status).toBe(200);
+            expect(res.body.types).toEqual([
+                { originalname: "plan.pdf", documentType: "gpoa" },
+                { originalname: "proposal.docx", documentType: "proposal" },
+            ]);
+
+            const tooLong = await request(declaredApp)
+                .post("/files")
+                .field("fileTypes", "gpoa")
+                .attach("files", pdf(31), "plan.pdf");
+
+            expect(tooLong.status).toBe(400);
+            expect(tooLong.body.rejected[0].code).toBe("TOO_MANY_PAGES");
+        });
+
+        it("rejects unknown types and lists that do not match the files", async () => {
+            const unknown = await request(declaredApp)
+                .post("/files")
+                .field("fileTypes", "budget")
+                .attach("files", pdf(1), "budget.pdf");
+
+            expect(unknown.status).toBe(400);
+            expect(unknown.body.error).toMatch(/^Unknown document type budget/);
+
+            const missing = await request(declaredApp)
+                .post("/files")
+                .field("fileTypes", "gpoa")
+                .attach("files", pdf(1), "plan.pdf")
+                .attach("files", pdf(1), "proposal.pdf");
+
+            expect(missing.status).toBe(400);
+            expect(missing.body.error).toBe("fileTypes must list one document type per uploaded file");
+        });
+    });
+
+    it("refuses unknown document types at startup", () => {
+        expect(() => verifyUploads({ file: "gpoa_v2" })).toThrow("unknown document type gpoa_v2");
+    });
+});
@@ -3,7 +3,7 @@
 const request = require("supertest");
 const express = require("express");
 
-// Mock the auth and checkRole middleware before importing routes
+// Mock the auth and permission middleware before importing routes
 jest.mock("../middleware/auth", () => {
     return jest.fn((req, res, next) => {
         // Add a mock authenticated user to the request
@@ -12,14 +12,12 @@ jest.mock("../middleware/auth", () => {
     });
 });
 
-jest.mock("../middleware/roles", () => {
-    return (...allowedRoles) => {
-        return (req, res, next) => {
-            // The middleware check is bypassed since we mock req.user.role as head_admin
-            next();
-        };
-    };
-});
+jest.mock("../middleware/permissions", () => ({
+    requirePermission: () => (req, res, next) => {
+        // The permission check is bypassed since we mock req.user.role as head_admin
+        next();
+    },
+}));
 
 // Mock the MySQL pool
 jest.mock("../config/db", () => ({
@@ -0,0 +1,195 @@
+// backend/tests/venues.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// Requests run as `mockUser`; individual tests switch between admin and student
+let mockUser;
+jest.mock("../middleware/auth", () => ({
+    validateToken: (req, res, next) => {
+        req.user = mockUser;
+        next();
+    },
+}));
+
+jest.mock("../config/db", () => ({
+    pool: {
+        query: jest.fn(),
+    },
+}));
+
+const { pool } = require("../config/db");
+const { matchVenue, migrateFreeTextVenues, getAvailability } = require("../services/venue.service");
+const venuesRouter = require("../routes/venues");
+
+const app = express();
+app.use(express.json());
+app.use("/api/venues", venuesRouter);
+
+const venueRow = (overrides = {}) => ({
+    id: 3,
+    name: "University Gymnasium",
+    building: "Sports Complex",
+    capacity: 800,
+    is_online: 0,
+    open_time: "07:00:00",
+    close_time: "21:00:00",
+    aliases: JSON.stringify(["Univ Gym", "Gym"]),
+    is_active: 1,
+    ...overrides,
+});
+
+const catalog = [
+    { id: 3, name: "University Gymnasium", building: "Sports Complex", aliases: ["Univ Gym"] },
+    { id: 4, name: "Science Room 301", building: "Science Building", aliases: [] },
+];
+
+describe("Venue matching", () => {
+    it("matches spelling and word-order variants", () => {
+        expect(matchVenue("university gymnasium.", catalog).venue.id).toBe(3);
+        expect(matchVenue("Univ. Gym", catalog).venue.id).toBe(3);
+        expect(matchVenue("Room 301 Science", catalog).venue.id).toBe(4);
+        expect(matchVenue("Unversity Gymnasum", catalog).venue.id).toBe(3);
+    });
+
+    it("leaves unrelated venues unmatched", () => {
+        expect(matchVenue("Barangay Hall, Carmen", catalog)).toBeNull();
+        expect(matchVenue("", catalog)).toBeNull();
+    });
+});
+
+describe("Venue service", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("previews free-text venue matches without writing them", async () => {
+        pool.query
+            .mockResolvedValueOnce([[venueRow()]])
+            .mockResolvedValueOnce([[
+                { text: "univ gym", proposals: 4 },
+                { text: "Barangay Hall", proposals: 1 },
+            ]]);
+
+        const result = await migrateFreeTextVenues();
+
+        expect(result.matched).toEqual([
+            expect.objectContaining({ text: "univ gym", venueId: 3, venueName: "University Gymnasium", proposals: 4 }),
+        ]);
+        expect(result.unmatched).toEqual([{ text: "Barangay Hall", proposals: 1 }]);
+        expect(result.updated).toBe(0);
+        expect(pool.query).toHaveBeenCalledTimes(2);
+    });
+
+    it("links matched proposals to the catalog when applied", async () => {
+        pool.query
+            .mockResolvedValueOnce([[venueRow()]])
+            .mockResolvedValueOnce([[{ text: "univ gym", proposals: 4 }]])
+            .mockResolvedValueOnce([{ affectedRows: 4 }]);
+
+        const result = await migrateFreeTextVenues({ apply: true });
+
+        expect(result.updated).toBe(4);
+        expect(pool.query.mock.calls[2][1]).toEqual([3, "University Gymnasium", "univ gym"]);
+    });
+
+    it("reports slots outside bookable hours", async () => {
+        pool.query
+            .mockResolvedValueOnce([[venueRow()]])
+            .mockResolvedValueOnce([[]])
+            .mockResolvedValueOnce([[]]);
+
+        const result = await getAvailability(3, { startDate: "2025-03-11", startTime: "18:00", endTime: "22:00" });
+
+        expect(result.available).toBe(false);
+        expect(result.reasons).toEqual(["University Gymnasium can only be booked between 07:00 and 21:00"]);
+    });
+
+    it("reports approved bookings of the venue", async () => {
+        pool.query
+            .mockResolvedValueOnce([[venueRow()]])
+            .mockResolvedValueOnce([[{
+                id: 9,
+                event_name: "Intramurals",
+                organization_name: "Student Council",
+                event_venue: "University Gymnasium",
+                venue_id: 3,
+                proposal_status: "approved",
+                event_start_date: "2025-03-11",
+                event_end_date: null,
+                event_start_time: null,
+                event_end_time: null,
+            }]])
+            .mockResolvedValueOnce([[]]);
+
+        const result = await getAvailability(3, { startDate: "2025-03-11", startTime: "08:00", endTime: "10:00" });
+
+        expect(result.available).toBe(false);
+        expect(result.bookings).toEqual([expect.objectContaining({ id: 9, title: "Intramurals" })]);
+    });
+
+    it("skips booking checks for online platforms", async () => {
+        pool.query.mockResolvedValueOnce([[venueRow({ is_online: 1, open_time: null, close_time: null })]]);
+
+        const result = await getAvailability(3, { startDate: "2025-03-11" });
+
+        expect(result.available).toBe(true);
+        expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe("Venues API", () => {
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("lists active venues for signed-in users", async () => {
+        mockUser = { id: 7, role: "student" };
+        pool.query.mockResolvedValueOnce([[venueRow()]]);
+
+        const res = await request(app).get("/api/venues");
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.venues[0]).toMatchObject({ id: 3, capacity: 800, openTime: "07:00", aliases: ["Univ Gym", "Gym"] });
+        expect(pool.query.mock.calls[0][0]).toContain("is_active = 1");
+    });
+
+    it("creates a venue for admins", async () => {
+        mockUser = { id: 1, role: "head_admin" };
+        pool.query
+            .mockResolvedValueOnce([{ insertId: 3 }])
+            .mockResolvedValueOnce([[venueRow()]]);
+
+        const res = await request(app)
+            .post("/api/venues")
+            .send({ name: "University Gymnasium", capacity: "800", openTime: "07:00", closeTime: "21:00", aliases: "Univ Gym, Gym" });
+
+        expect(res.statusCode).toBe(201);
+        expect(pool.query.mock.calls[0][1]).toEqual([
+            "University Gymnasium", null, 800, 0, "07:00", "21:00", JSON.stringify(["Univ Gym", "Gym"]), 1,
+        ]);
+    });
+
+    it("rejects bookable hours that end before they start", async () => {
+        mockUser = { id: 1, role: "head_admin" };
+
+        const res = await request(app)
+            .post("/api/venues")
+            .send({ name: "Chapel", openTime: "17:00", closeTime: "08:00" });
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.errors).toHaveProperty("closeTime");
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it("does not let students manage the catalog or run the migration", async () => {
+        mockUser = { id: 7, role: "student" };
+
+        const created = await request(app).post("/api/venues").send({ name: "Chapel" });
+        const migrated = await request(app).post("/api/venues/migrate").send({ apply: true });
+
+        expect(created.statusCode).toBe(403);
+        expect(migrated.statusCode).toBe(403);
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,274 @@
+// backend/tests/whitelist.test.js
+
+const request = require("supertest");
+const express = require("express");
+
+// Requests run as `mockUser`; individual tests switch between roles
+let mockUser;
+jest.mock("../middleware/auth", () => ({
+    validateToken: (req, res, next) => {
+        req.user = mockUser;
+        next();
+    },
+}));
+
+const mockConnection = {
+    query: jest.fn(),
+    beginTransaction: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn(),
+};
+jest.mock("../config/db", () => ({
+    pool: {
+        query: jest.fn(),
+        getConnection: jest.fn(),
+    },
+}));
+
+const { pool } = require("../config/db");
+const whitelistService = require("../services/whitelist.service");
+const whitelistRouter = require("../routes/whitelist");
+
+const app = express();
+app.use(express.json());
+app.use("/api/whitelist", whitelistRouter);
+
+const headAdmin = { id: 1, role: "head_admin" };
+const manager = { id: 2, role: "manager" };
+
+const entryRow = (overrides = {}) => ({
+    id: 7,
+    email: "guest.speaker@gmail.com",
+    role: "partner",
+    notes: null,
+    expires_at: null,
+    provisioned_user_id: null,
+    provisioned_at: null,
+    created_by: 1,
+    created_by_name: "Head Admin",
+    created_at: "2026-10-01",
+    updated_at: "2026-10-01",
+    ...overrides,
+});
+
+describe("Whitelist API", () => {
+    beforeEach(() => {
+        mockUser = headAdmin;
+    });
+
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("is limited to user:manage", async () => {
+        mockUser = manager;
+
+        const res = await request(app).get("/api/whitelist");
+
+        expect(res.status).toBe(403);
+        expect(res.body.missingPermissions).toEqual(["user:manage"]);
+    });
+
+    it("lists active entries with paging", async () => {
+        pool.query
+            .mockResolvedValueOnce([[entryRow({ expires_at: "2099-01-01T00:00:00Z" })]])
+            .mockResolvedValueOnce([[{ total: 1 }]]);
+
+        const res = await request(app).get("/api/whitelist?status=active&q=gmail");
+
+        expect(res.status).toBe(200);
+        expect(res.body.entries[0]).toMatchObject({ id: 7, role: "partner", isExpired: false, provisionedUser: null });
+        expect(res.body.pagination).toEqual({ page: 1, limit: 25, total: 1, pages: 1 });
+        const [sql, params] = pool.query.mock.calls[0];
+        expect(sql).toContain("w.provisioned_user_id IS NULL AND (w.expires_at IS NULL OR w.expires_at > NOW())");
+        expect(params).toEqual(["%gmail%", "%gmail%", 25, 0]);
+    });
+
+    it("normalises new entries and treats a bare date as the end of that day", async () => {
+        pool.query
+            .mockResolvedValueOnce([{ insertId: 7 }])
+            .mockResolvedValueOnce([[entryRow()]]);
+
+        const res = await request(app)
+            .post("/api/whitelist")
+            .send({ email: " Guest.Speaker@Gmail.com ", role: "Partner", expiresAt: "2099-03-31", notes: " Keynote " });
+
+        expect(res.status).toBe(201);
+        const [, params] = pool.query.mock.calls[0];
+        expect(params.slice(0, 2)).toEqual(["guest.speaker@gmail.com", "partner"]);
+        expect(params[2]).toEqual(new Date("2099-03-31T23:59:59"));
+        expect(params.slice(3)).toEqual(["Keynote", 1]);
+    });
+
+    it("rejects invalid addresses, unknown roles and past expiry dates", async () => {
+        const res = await request(app)
+            .post("/api/whitelist")
+            .send({ email: "not-an-email", role: "owner", expiresAt: "2020-01-01" });
+
+        expect(res.status).toBe(400);
+        expect(Object.keys(res.body.errors)).toEqual(["email", "role", "expiresAt"]);
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it("reports an address that is already listed as a conflict", async () => {
+        pool.query.mockRejectedValueOnce(Object.assign(new Error("Duplicate entry"), { code: "ER_DUP_ENTRY" }));
+
+        const res = await request(app).post("/api/whitelist").send({ email: "guest.speaker@gmail.com" });
+
+        expect(res.status).toBe(409);
+        expect(res.body.errors.email).toMatch(/already listed/);
+    });
+
+    it("leaves head admin entries to head admins", async () => {
+        await expect(whitelistService.createEntry({ email: "new.head@xu.edu.ph", role: "head_admin" }, manager))
+            .rejects.toMatchObject({ statusCode: 400, errors: { role: expect.stringMatching(/head admins/) } });
+
+        pool.query.mockResolvedValueOnce([[{ role: "head_admin" }]]);
+        await expect(whitelistService.deleteEntry(7, manager)).rejects.toMatchObject({ statusCode: 403 });
+        expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it("imports nothing when any CSV row is invalid", async () => {
+        const csv = [
+            "Email,Role,Expires At,Notes",
+            "ana@my.xu.edu.ph,student,,",
+            "bad-address,student,,",
+            "ANA@my.xu.edu.ph,reviewer,,",
+        ].join("\n");
+
+        const res = await request(app)
+            .post("/api/whitelist/import")
+            .attach("file", Buffer.from(csv), "whitelist.csv");
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe("2 rows could not be imported; nothing was saved");
+        expect(res.body.errors.rows).toEqual([
+            { line: 3, email: "bad-address", message: "Enter a valid email address" },
+            { line: 4, email: "ANA@my.xu.edu.ph", message: "Duplicate of line 2" },
+        ]);
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it("upserts every row of a valid CSV", async () => {
+        pool.query
+            .mockResolvedValueOnce([[{ email: "ana@my.xu.edu.ph", role: "student" }]])
+            .mockResolvedValueOnce([{ affectedRows: 3 }]);
+        const csv = "email,role,expires_at,notes\nana@my.xu.edu.ph,reviewer,,Moved to reviewer\nben@xu.edu.ph,,2099-06-30,\n";
+
+        const res = await request(app)
+            .post("/api/whitelist/import")
+            .attach("file", Buffer.from(csv), "whitelist.csv");
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ created: 1, updated: 1, total: 2, message: "1 added, 1 updated" });
+        const [sql, [values]] = pool.query.mock.calls[1];
+        expect(sql).toContain("ON DUPLICATE KEY UPDATE");
+        expect(values).toEqual([
+            ["ana@my.xu.edu.ph", "reviewer", null, "Moved to reviewer", 1],
+            ["ben@xu.edu.ph", "student", new Date("2099-06-30T23:59:59"), null, 1],
+        ]);
+    });
+
+    it("re-imports an export, skipping entries that have expired", async () => {
+        pool.query
+            .mockResolvedValueOnce([[]])
+            .mockResolvedValueOnce([{ affectedRows: 1 }]);
+        const csv = [
+            "email,role,expires_at,notes,provisioned_at,created_at",
+            "ana@my.xu.edu.ph,student,2020-06-30,Last year's intern,,2020-01-10",
+            "ben@xu.edu.ph,reviewer,,,2025-02-01,2025-01-15",
+        ].join("\n");
+
+        const res = await request(app)
+            .post("/api/whitelist/import")
+            .attach("file", Buffer.from(csv), "whitelist-2026-10-19.csv");
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ created: 1, updated: 0, skipped: 1, total: 2, message: "1 added, 0 updated, 1 expired skipped" });
+        expect(pool.query.mock.calls[1][1][0]).toEqual([["ben@xu.edu.ph", "reviewer", null, null, 1]]);
+    });
+
+    it("only accepts .csv files for import", async () => {
+        const res = await request(app)
+            .post("/api/whitelist/import")
+            .attach("file", Buffer.from("email\n"), "whitelist.xlsx");
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/must be CSV files/);
+    });
+
+    it("exports entries as CSV that cannot run as spreadsheet formulas", async () => {
+        pool.query.mockResolvedValueOnce([[entryRow({ notes: "=HYPERLINK(\"http://evil\")", expires_at: "2099-03-31T15:59:59Z" })]]);
+
+        const res = await request(app).get("/api/whitelist/export");
+
+        expect(res.status).toBe(200);
+        expect(res.headers["content-type"]).toContain("text/csv");
+        expect(res.headers["content-disposition"]).toMatch(/attachment; filename="whitelist-\d{4}-\d{2}-\d{2}\.csv"/);
+        const [header, row] = res.text.split("\n");
+        expect(header).toBe("email,role,expires_at,notes,provisioned_at,created_at");
+        expect(row).toContain("guest.speaker@gmail.com,partner,2099-03-31,");
+        expect(row).not.toContain(",=HYPERLINK");
+    });
+});
+
+describe("Provisioning at first Google sign-in", () => {
+    const profile = {
+        email: "Guest.Speaker@gmail.com",
+        name: "Guest Speaker",
+        picture: "https://example.com/a.png",
+        googleId: "g-123",
+        emailVerified: true,
+    };
+
+    beforeEach(() => {
+        pool.getConnection.mockResolvedValue(mockConnection);
+    });
+
+    afterEach(() => {
+        jest.resetAllMocks();
+    });
+
+    it("creates an approved account with the entry's role and marks the entry used", async () => {
+        mockConnection.query
+            .mockResolvedValueOnce([[entryRow()]])
+            .mockResolvedValueOnce([{ insertId: 42 }])
+            .mockResolvedValueOnce([{ affectedRows: 1 }])
+            .mockResolvedValueOnce([[{ id: 42, email: "guest.speaker@gmail.com", role: "partner", is_approved: 1 }]]);
+
+        const user = await whitelistService.provisionGoogleUser(profile);
+
+        expect(user).toMatchObject({ id: 42, role: "partner", is_approved: 1 });
+        expect(mockConnection.query.mock.calls[0][0]).toContain("FOR UPDATE");
+        expect(mockConnection.query.mock.calls[1][1]).toEqual([
+            "Guest Speaker", "guest.speaker@gmail.com", "partner", "g-123", "https://example.com/a.png", 1,
+        ]);
+        expect(mockConnection.query.mock.calls[2][1]).toEqual([42, 7]);
+        expect(mockConnection.commit).toHaveBeenCalled();
+        expect(mockConnection.release).toHaveBeenCalled();
+    });
+
+    it("returns null for addresses without an active entry", async () => {
+        mockConnection.query.mockResolvedValueOnce([[]]);
+
+        expect(await whitelistService.provisionGoogleUser(profile)).toBeNull();
+        expect(mockConnection.rollback).toHaveBeenCalled();
+        expect(mockConnection.query).toHaveBeenCalledTimes(1);
+    });
+
+    it("never provisions an address Google has not verified", async () => {
+        expect(await whitelistService.provisionGoogleUser({ ...profile, emailVerified: false })).toBeNull();
+        expect(pool.getConnection).not.toHaveBeenCalled();
+    });
+
+    it("rolls back when the account cannot be created", async () => {
+        mockConnection.query
+            .mockResolvedValueOnce([[entryRow()]])
+            .mockRejectedValueOnce(Object.assign(new Error("Duplicate entry"), { code: "ER_DUP_ENTRY" }));
+
+        await expect(whitelistService.provisionGoogleUser(profile)).rejects.toThrow("Duplicate entry");
+        expect(mockConnection.rollback).toHaveBeenCalled();
+        expect(mockConnection.release).toHaveBeenCalled();
+    });
+});
@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 // Use the shared, already-authenticated MongoClient promise so GridFS always reuses
 // the same credentials that the rest of the application relies on.
 const { getClientWithRetry } = require('../config/mongodb');
+const { requiredFilename } = require('../services/upload-policy.service');
 
 // Helper to lazily resolve the native DB instance from the shared connection with retry logic
 const getNativeDb = async (maxRetries = 3) => {
@@ -164,12 +165,14 @@ const uploadToGridFS = async (file, fileType, organizationName = 'Unknown', prop
 
     console.log('✅ (GridFS Utility) Bucket is ready, proceeding with upload...');
 
+    // Stored under the required name (OrganizationName_GPOA.pdf, _PP, _AR) whatever it was uploaded as
     const extension = require('path').extname(file.originalname);
-    const prettyFilename = `${organizationName.replace(/\s+/g, '')}_${fileType.toUpperCase()}${extension}`;
+    const prettyFilename = requiredFilename(fileType, organizationName, extension)
+        || `${organizationName.replace(/\s+/g, '')}_${fileType.toUpperCase()}${extension}`;
 
     // Enhanced metadata for better file tracking
     const metadata = {
-        originalName: file.originalname,
+        originalName: file.submittedName || file.originalname, // as sent, before verifyUploads renamed it
         organizationName,
         fileType,
         uploadedAt: new Date(),
@@ -236,7 +239,7 @@ const uploadToGridFS = async (file, fileType, organizationName = 'Unknown', prop
     // Return comprehensive file metadata
     const fileMetadata = {
         filename: fileDoc.filename,
-        originalName: file.originalname,
+        originalName: file.submittedName || file.originalname,
         size: fileDoc.length,
         mimeType: fileDoc.contentType,
         uploadedAt: fileDoc.uploadDate,
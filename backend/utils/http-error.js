@@ -0,0 +1,21 @@
+// backend/utils/http-error.js
+// Errors that carry the HTTP status a controller should answer with
+
+/**
+ * Creates an Error with a statusCode; controllers send it as
+ * res.status(error.statusCode).json({ success: false, error: error.message, ... })
+ * @param {number} statusCode - HTTP status, e.g. 404
+ * @param {string} message - Shown to the user as `error`
+ * @param {object} [extra] - Copied onto the error (e.g. { code, errors })
+ * @returns {Error}
+ */
+function httpError(statusCode, message, extra = {}) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    Object.assign(error, extra);
+    return error;
+}
+
+module.exports = {
+    httpError
+};
@@ -0,0 +1,252 @@
+// ==============================
+// Draft Section Validation
+// Server-side copy of submit-event/validation.js REQUIRED_FIELDS
+// ==============================
+// Each section maps field → rule. Errors come back as `{ field: message }`,
+// the same shape ValidationErrorsAlert.jsx renders on the client.
+// tests/draft-sections.test.js fails when the fields, required flags or
+// messages here drift from the client's, so change both together.
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const ORGANIZATION_TYPES = ['school-based', 'community-based', 'school', 'community'];
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+const isValidTime = (value) => TIME_PATTERN.test(String(value).slice(0, 5));
+const isNonEmptyArray = (value) => Array.isArray(value) && value.length > 0;
+const isNonNegativeNumber = (value) => Number.isFinite(Number(value)) && Number(value) >= 0;
+
+// Files are stored in drafts either as a filename or as `{ name, ... }` metadata
+const isFileReference = (value) =>
+    (typeof value === 'string' && value.trim() !== '') ||
+    (value !== null && typeof value === 'object' && !Array.isArray(value) && Boolean(value.name));
+
+const isOrganizationType = (value) => {
+    if (Array.isArray(value)) {
+        return value.length === 1 && ORGANIZATION_TYPES.includes(value[0]);
+    }
+    return ORGANIZATION_TYPES.includes(value);
+};
+
+/**
+ * Build the rules for an event section (school/community share the same shape)
+ */
+function eventSectionRules(prefix, creditsField, creditsMessage) {
+    return {
+        [`${prefix}EventName`]: { required: true, message: 'Event name is required' },
+        [`${prefix}Venue`]: { required: true, message: 'Venue is required' },
+        [`${prefix}StartDate`]: {
+            required: true,
+            message: 'Start date is required',
+            validator: isValidDate,
+            validationMessage: 'Start date must be a valid date',
+        },
+        [`${prefix}EndDate`]: {
+            required: true,
+            message: 'End date is required',
+            validator: isValidDate,
+            validationMessage: 'End date must be a valid date',
+        },
+        [`${prefix}TimeStart`]: {
+            required: true,
+            message: 'Start time is required',
+            validator: isValidTime,
+            validationMessage: 'Start time must be in HH:MM format',
+        },
+        [`${prefix}TimeEnd`]: {
+            required: true,
+            message: 'End time is required',
+            validator: isValidTime,
+            validationMessage: 'End time must be in HH:MM format',
+        },
+        [`${prefix}EventType`]: { required: true, message: 'Event type is required' },
+        [`${prefix}TargetAudience`]: {
+            required: true,
+            message: 'At least one target audience must be selected',
+            validator: isNonEmptyArray,
+        },
+        [`${prefix}EventMode`]: { required: true, message: 'Event mode is required' },
+        [creditsField]: {
+            required: true,
+            message: creditsMessage,
+            validator: isNonNegativeNumber,
+            validationMessage: `${creditsMessage.replace(' is required', '')} must be a number`,
+        },
+        [`${prefix}GPOAFile`]: {
+            required: true,
+            message: 'GPOA file is required',
+            validator: isFileReference,
+        },
+        [`${prefix}ProposalFile`]: {
+            required: true,
+            message: 'Proposal document is required',
+            validator: isFileReference,
+        },
+    };
+}
+
+// End date may not precede start date
+function eventDateOrder(prefix) {
+    return (data) => {
+        const start = data[`${prefix}StartDate`];
+        const end = data[`${prefix}EndDate`];
+        if (start && end && isValidDate(start) && isValidDate(end) && new Date(end) < new Date(start)) {
+            return { [`${prefix}EndDate`]: 'End date cannot be before start date' };
+        }
+        return {};
+    };
+}
+
+// ==============================
+// Schema
+// ==============================
+
+const DRAFT_SECTION_SCHEMA = {
+    overview: {
+        fields: {
+            purpose: { required: true, message: 'Please select your purpose' },
+        },
+    },
+    orgInfo: {
+        fields: {
+            organizationName: { required: true, message: 'Organization name is required' },
+            organizationTypes: {
+                required: true,
+                message: 'Please select one organization type',
+                validator: isOrganizationType,
+            },
+            contactName: { required: true, message: 'Contact person name is required' },
+            contactEmail: {
+                required: true,
+                message: 'Contact email is required',
+                validator: (value) => /\S+@\S+\.\S+/.test(value),
+                validationMessage: 'Please enter a valid email address',
+            },
+            contactPhone: {
+                required: false,
+                message: 'Phone number must be exactly 11 digits',
+                validator: (value) => /^\d{11}$/.test(String(value).replace(/\D/g, '')),
+            },
+        },
+    },
+    schoolEvent: {
+        fields: eventSectionRules('school', 'schoolReturnServiceCredit', 'Number of return service credits is required'),
+        checks: [eventDateOrder('school')],
+    },
+    communityEvent: {
+        fields: eventSectionRules('community', 'communitySDPCredits', 'Number of SDP credits is required'),
+        checks: [eventDateOrder('community')],
+    },
+    reporting: {
+        // attendanceCount is derived from the confirmed attendance list, not typed in
+        fields: {
+            eventStatus: { required: true, message: 'Event status is required' },
+            accomplishmentReport: {
+                required: true,
+                message: 'Accomplishment report file is required',
+                validator: isFileReference,
+            },
+            signature: { required: true, message: 'Digital signature is required' },
+        },
+    },
+};
+
+const isEmpty = (value) =>
+    value === undefined ||
+    value === null ||
+    (typeof value === 'string' && value.trim() === '') ||
+    (Array.isArray(value) && value.length === 0);
+
+/**
+ * Check whether a section name is part of the schema
+ */
+function isKnownSection(section) {
+    return Object.prototype.hasOwnProperty.call(DRAFT_SECTION_SCHEMA, section);
+}
+
+/**
+ * Validate one section's data
+ * @param {string} section - Canonical section key
+ * @param {Object} data - Section data
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Skip missing fields (draft saves); only check what was sent
+ * @returns {Object} `{ field: message }`, empty when valid
+ */
+function validateSection(section, data, { partial = false } = {}) {
+    const schema = DRAFT_SECTION_SCHEMA[section];
+    if (!schema) {
+        return { section: `Unknown section "${section}"` };
+    }
+
+    const values = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    const errors = {};
+
+    Object.entries(schema.fields).forEach(([field, rule]) => {
+        const value = values[field];
+
+        if (isEmpty(value)) {
+            if (rule.required && !partial) {
+                errors[field] = rule.message;
+            }
+            return;
+        }
+
+        if (rule.validator && !rule.validator(value)) {
+            errors[field] = rule.validationMessage || rule.message;
+        }
+    });
+
+    (schema.checks || []).forEach((check) => {
+        Object.entries(check(values)).forEach(([field, message]) => {
+            if (!errors[field]) errors[field] = message;
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Which event section applies, based on the organization type chosen in orgInfo
+ */
+function getActiveEventSection(orgInfo = {}) {
+    const value = orgInfo.organizationTypes || orgInfo.organizationType;
+    const type = Array.isArray(value) ? value[0] : value;
+    return type === 'community-based' || type === 'community' ? 'communityEvent' : 'schoolEvent';
+}
+
+/**
+ * Sections that must pass before a draft can be submitted.
+ * Reporting is filled in after approval, so it is not part of submission.
+ */
+function getRequiredSections(payload = {}) {
+    return ['overview', 'orgInfo', getActiveEventSection(payload.orgInfo)];
+}
+
+/**
+ * Validate every required section of a draft payload
+ * @param {Object} payload - Draft payload keyed by section
+ * @returns {{ valid: boolean, sections: Object, errors: Object }}
+ *   `sections` groups errors per section; `errors` is the flattened field map
+ */
+function validateDraftForSubmit(payload = {}) {
+    const sections = {};
+    let errors = {};
+
+    getRequiredSections(payload).forEach((section) => {
+        const sectionErrors = validateSection(section, payload[section]);
+        if (Object.keys(sectionErrors).length > 0) {
+            sections[section] = sectionErrors;
+            errors = { ...errors, ...sectionErrors };
+        }
+    });
+
+    return { valid: Object.keys(errors).length === 0, sections, errors };
+}
+
+module.exports = {
+    DRAFT_SECTION_SCHEMA,
+    isKnownSection,
+    validateSection,
+    getActiveEventSection,
+    getRequiredSections,
+    validateDraftForSubmit,
+};
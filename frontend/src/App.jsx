@@ -23,7 +23,7 @@ function App() {
                         <Route
                             path="/dashboard"
                             element={
-                                <ProtectedRoute allowedRoles={["head_admin", "manager"]}>
+                                <ProtectedRoute permission="dashboard:admin">
                                     <DashboardPage />
                                 </ProtectedRoute>
                             }
@@ -32,7 +32,7 @@ function App() {
                         <Route
                             path="/users"
                             element={
-                                <ProtectedRoute allowedRoles={["head_admin"]}>
+                                <ProtectedRoute permission="user:manage">
                                     <UsersPage />
                                 </ProtectedRoute>
                             }
@@ -41,7 +41,7 @@ function App() {
                         <Route
                             path="/proposals"
                             element={
-                                <ProtectedRoute allowedRoles={["head_admin", "manager"]}>
+                                <ProtectedRoute permission="proposal:manage">
                                     <ProposalsPage />
                                 </ProtectedRoute>
                             }
@@ -50,7 +50,7 @@ function App() {
                         <Route
                             path="/reports"
                             element={
-                                <ProtectedRoute allowedRoles={["head_admin", "manager"]}>
+                                <ProtectedRoute permission="report:export">
                                     <ReportsPage />
                                 </ProtectedRoute>
                             }
@@ -59,7 +59,7 @@ function App() {
                         <Route
                             path="/profile"
                             element={
-                                <ProtectedRoute allowedRoles={["head_admin", "manager", "student"]}>
+                                <ProtectedRoute>
                                     <ProfilePage />
                                 </ProtectedRoute>
                             }
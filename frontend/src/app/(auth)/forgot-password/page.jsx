@@ -6,9 +6,10 @@ export const dynamic = 'force-dynamic';
 import { LogoSimple } from "@/components/logo"
 import { Button } from "@/components/ui/button"
 import { Card, CardContent } from "@/components/ui/card"
-import { Form, FormControl, FormItem, FormLabel, FormMessage } from "@/components/ui/form"
 import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
 import { useToast } from "@/components/ui/use-toast"
+import { authApi } from "@/lib/api"
 import { ArrowLeft, CheckCircle } from "lucide-react"
 import Link from "next/link"
 import { useState } from "react"
@@ -25,8 +26,7 @@ export default function ForgotPasswordPage() {
     setIsLoading(true)
 
     try {
-      // Simulate API call
-      await new Promise((resolve) => setTimeout(resolve, 1500))
+      await authApi.forgotPassword(email.trim())
 
       setIsSubmitted(true)
 
@@ -39,7 +39,10 @@ export default function ForgotPasswordPage() {
 
       toast({
         title: "Something went wrong",
-        description: "There was a problem sending the reset link. Please try again.",
+        description:
+          error.response?.data?.error ||
+          error.response?.data?.message ||
+          "There was a problem sending the reset link. Please try again.",
         variant: "destructive",
       })
     } finally {
@@ -60,27 +63,26 @@ export default function ForgotPasswordPage() {
       <Card className="border-0 shadow-lg">
         <CardContent className="pt-6">
           {!isSubmitted ? (
-            <Form onSubmit={onSubmit}>
+            <form onSubmit={onSubmit}>
               <div className="space-y-4">
-                <FormItem>
-                  <FormLabel>Email</FormLabel>
-                  <FormControl>
-                    <Input
-                      placeholder="your.email@example.com"
-                      type="email"
-                      autoComplete="email"
-                      value={email}
-                      onChange={(e) => setEmail(e.target.value)}
-                    />
-                  </FormControl>
-                  <FormMessage />
-                </FormItem>
+                <div className="space-y-2">
+                  <Label htmlFor="email">Email</Label>
+                  <Input
+                    id="email"
+                    placeholder="your.email@example.com"
+                    type="email"
+                    autoComplete="email"
+                    required
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                  />
+                </div>
 
                 <Button type="submit" className="w-full bg-cedo-blue hover:bg-cedo-blue/90" disabled={isLoading}>
                   {isLoading ? "Sending..." : "Send reset link"}
                 </Button>
               </div>
-            </Form>
+            </form>
           ) : (
             <div className="flex flex-col items-center justify-center py-4 text-center">
               <div className="mb-4 rounded-full bg-green-100 p-3">
@@ -88,7 +90,7 @@ export default function ForgotPasswordPage() {
               </div>
               <h3 className="text-lg font-medium">Check your email</h3>
               <p className="mt-2 text-sm text-muted-foreground">
-                We've sent a password reset link to your email address.
+                If an account exists for that address, we've sent it a password reset link. The link expires in one hour.
               </p>
               <Button
                 variant="outline"
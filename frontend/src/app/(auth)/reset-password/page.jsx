@@ -0,0 +1,167 @@
+"use client"
+
+// Force dynamic rendering to prevent SSG issues
+export const dynamic = 'force-dynamic';
+
+import { LogoSimple } from "@/components/logo"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent } from "@/components/ui/card"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { useToast } from "@/components/ui/use-toast"
+import { authApi } from "@/lib/api"
+import { AlertCircle, ArrowLeft, Loader2 } from "lucide-react"
+import Link from "next/link"
+import { useRouter, useSearchParams } from "next/navigation"
+import { Suspense, useState } from "react"
+
+const MIN_PASSWORD_LENGTH = 8
+
+function ResetPasswordContent() {
+  const { toast } = useToast()
+  const router = useRouter()
+  const searchParams = useSearchParams()
+  const token = searchParams.get("token")
+  // Set when sign-in redirected here because the account has a temporary password
+  const isRequired = searchParams.get("required") === "1"
+
+  const [password, setPassword] = useState("")
+  const [confirmPassword, setConfirmPassword] = useState("")
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  async function onSubmit(e) {
+    e.preventDefault()
+    setError(null)
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`)
+      return
+    }
+    if (password !== confirmPassword) {
+      setError("Passwords do not match.")
+      return
+    }
+
+    setIsLoading(true)
+    try {
+      await authApi.resetPassword(token, password)
+
+      toast({
+        title: "Password updated",
+        description: "Your password has been reset. Please sign in with your new password.",
+      })
+      router.push("/sign-in")
+    } catch (err) {
+      console.error("Password reset error:", err)
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.error ||
+        "There was a problem resetting your password. Please try again."
+      )
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <div className="w-full max-w-md p-4">
+      <div className="mb-8 text-center">
+        <LogoSimple />
+        <h1 className="mt-4 text-2xl font-bold text-cedo-blue">
+          {isRequired ? "Set a new password" : "Choose a new password"}
+        </h1>
+        <p className="mt-2 text-sm text-muted-foreground">
+          {isRequired
+            ? "Your account was created with a temporary password. Choose a new password to continue."
+            : "Enter a new password for your account"}
+        </p>
+      </div>
+
+      <Card className="border-0 shadow-lg">
+        <CardContent className="pt-6">
+          {!token ? (
+            <div className="flex flex-col items-center justify-center py-4 text-center">
+              <div className="mb-4 rounded-full bg-red-100 p-3">
+                <AlertCircle className="h-6 w-6 text-red-600" />
+              </div>
+              <h3 className="text-lg font-medium">Invalid reset link</h3>
+              <p className="mt-2 text-sm text-muted-foreground">
+                This link is missing its reset token. Please request a new password reset link.
+              </p>
+              <Button asChild variant="outline" className="mt-4">
+                <Link href="/forgot-password">Request a new link</Link>
+              </Button>
+            </div>
+          ) : (
+            <form onSubmit={onSubmit}>
+              <div className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="password">New password</Label>
+                  <Input
+                    id="password"
+                    type="password"
+                    autoComplete="new-password"
+                    required
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                  />
+                  <p className="text-xs text-muted-foreground">At least {MIN_PASSWORD_LENGTH} characters.</p>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="confirm-password">Confirm new password</Label>
+                  <Input
+                    id="confirm-password"
+                    type="password"
+                    autoComplete="new-password"
+                    required
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                  />
+                </div>
+
+                {error && (
+                  <div className="space-y-1 text-sm text-red-600">
+                    <p>{error}</p>
+                    {!isRequired && (
+                      <Link href="/forgot-password" className="font-medium text-cedo-blue hover:underline">
+                        Request a new link
+                      </Link>
+                    )}
+                  </div>
+                )}
+
+                <Button type="submit" className="w-full bg-cedo-blue hover:bg-cedo-blue/90" disabled={isLoading}>
+                  {isLoading ? (
+                    <>
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      Saving...
+                    </>
+                  ) : (
+                    "Reset password"
+                  )}
+                </Button>
+              </div>
+            </form>
+          )}
+
+          <div className="mt-6 text-center text-sm">
+            <Link href="/sign-in" className="inline-flex items-center text-cedo-blue font-medium hover:underline">
+              <ArrowLeft className="mr-1 h-4 w-4" />
+              Back to sign in
+            </Link>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
+
+export default function ResetPasswordPage() {
+  return (
+    <Suspense fallback={null}>
+      <ResetPasswordContent />
+    </Suspense>
+  )
+}
@@ -3,6 +3,8 @@
 // Force dynamic rendering to prevent SSG issues
 export const dynamic = 'force-dynamic';
 
+import { AccountNotFoundDialog } from "@/components/auth/AccountNotFoundDialog";
+import { AccountPendingDialog } from "@/components/auth/AccountPendingDialog";
 import { AuthLoadingScreen } from "@/components/auth/loading-screen";
 import { LogoSimple } from "@/components/logo";
 import { Button } from "@/components/ui/button";
@@ -93,6 +95,9 @@ function SignInContent() {
 
   const [captchaToken, setCaptchaToken] = useState(null);
   const [isErrorDialogOpen, setIsErrorDialogOpen] = useState(false);
+  // Pending or rejected account: { status, rejectionReason, email }
+  const [approvalDialog, setApprovalDialog] = useState(null);
+  const [notFoundEmail, setNotFoundEmail] = useState(null);
 
   const recaptchaSiteKey = config.recaptchaSiteKey;
   const GOOGLE_BUTTON_CONTAINER_ID = "google-signin-button-container";
@@ -139,6 +144,24 @@ function SignInContent() {
   const openErrorDialog = useCallback((message, error = null) => {
     console.log("⚠️ SignIn: Opening error dialog:", message);
 
+    // Pending or rejected account with details from the backend: show AccountPendingDialog instead
+    if (error?.isPendingApproval && error.approval) {
+      setApprovalDialog(error.approval);
+      setTimeout(() => {
+        resetGoogleButtonState("approval_required");
+      }, 500);
+      return;
+    }
+
+    // Google account that is neither registered nor whitelisted: show AccountNotFoundDialog instead
+    if (error?.isAccountNotFound && error.email) {
+      setNotFoundEmail(error.email);
+      setTimeout(() => {
+        resetGoogleButtonState("account_not_found");
+      }, 500);
+      return;
+    }
+
     // Check if this is a pending approval error
     if (error?.isPendingApproval || (message && message.toLowerCase().includes("pending approval"))) {
       setErrorDialogMessage("Your account is currently pending approval. Please contact an administrator to activate your account.");
@@ -481,8 +504,19 @@ function SignInContent() {
         resetCaptcha();
       }
     } catch (error) {
-      // Check if this is a pending approval error
-      if (error.message && error.message.toLowerCase().includes("pending approval")) {
+      if (error.isPasswordResetRequired) {
+        toast({
+          title: "Set a new password",
+          description: "Your account uses a temporary password. Please choose a new one to continue.",
+        });
+        router.push(`/reset-password?token=${encodeURIComponent(error.resetToken)}&required=1`);
+        return;
+      }
+
+      // Pending or rejected account: show the approval status (and the reason for a rejection)
+      if (error.isPendingApproval && error.approval) {
+        setApprovalDialog({ ...error.approval, email: error.approval.email || data.email });
+      } else if (error.message && error.message.toLowerCase().includes("pending approval")) {
         openErrorDialog("Your account is currently pending approval. Please contact an administrator to activate your account.");
       } else {
         openErrorDialog(error.message || "An unexpected error occurred during sign in. Please try again.");
@@ -670,6 +704,22 @@ function SignInContent() {
         </div>
       </div>
 
+      <AccountPendingDialog
+        isOpen={Boolean(approvalDialog)}
+        onClose={() => setApprovalDialog(null)}
+        onCheckAgain={() => setApprovalDialog(null)}
+        userEmail={approvalDialog?.email}
+        status={approvalDialog?.status}
+        rejectionReason={approvalDialog?.rejectionReason}
+      />
+
+      <AccountNotFoundDialog
+        isOpen={Boolean(notFoundEmail)}
+        onClose={() => setNotFoundEmail(null)}
+        onTryAgain={() => setNotFoundEmail(null)}
+        userEmail={notFoundEmail}
+      />
+
       <Dialog open={isErrorDialogOpen} onOpenChange={setIsErrorDialogOpen}>
         <DialogPortal>
           <DialogOverlay className="fixed inset-0 bg-black bg-opacity-25 backdrop-blur-sm transition-opacity duration-300 ease-out" />
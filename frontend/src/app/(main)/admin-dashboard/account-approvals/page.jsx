@@ -0,0 +1,376 @@
+// frontend/src/app/(main)/admin-dashboard/account-approvals/page.jsx
+"use client"
+
+import { PageHeader } from "@/components/page-header"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Checkbox } from "@/components/ui/checkbox"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import { Textarea } from "@/components/ui/textarea"
+import { decideAccounts, fetchApprovalQueue } from "@/lib/account-approvals-api"
+import { Check, ChevronLeft, ChevronRight, Loader2, Search, UserCheck, X } from "lucide-react"
+import { useCallback, useEffect, useState } from "react"
+import { toast } from "sonner"
+
+const QUEUE_TABS = {
+  pending: "Pending",
+  rejected: "Rejected",
+}
+
+const ROLE_LABELS = {
+  head_admin: "Head Admin",
+  manager: "Manager",
+  reviewer: "Reviewer",
+  partner: "Partner",
+  student: "Student",
+}
+
+const RULE_LABELS = {
+  email_domain: "Domain",
+  whitelist: "Whitelisted",
+}
+
+// Summarise a bulk decision, including the accounts the server skipped
+function reportDecision(result) {
+  if (result.updated.length > 0) toast.success(result.message)
+  for (const skipped of result.skipped) {
+    toast.warning(`Account #${skipped.id}: ${skipped.reason}`)
+  }
+}
+
+function RejectDialog({ accounts, onClose, onDone }) {
+  const [reason, setReason] = useState("")
+  const [error, setError] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  const submit = async (event) => {
+    event.preventDefault()
+    if (!reason.trim()) {
+      setError("The user sees this reason when they try to sign in")
+      return
+    }
+    setSaving(true)
+    try {
+      reportDecision(await decideAccounts(accounts.map((account) => account.id), "reject", reason))
+      onDone()
+    } catch (decisionError) {
+      setError(decisionError.errors?.reason || null)
+      toast.error(decisionError.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && !saving && onClose()}>
+      <DialogContent className="max-w-lg">
+        <form onSubmit={submit} className="space-y-4">
+          <DialogHeader>
+            <DialogTitle>
+              Reject {accounts.length === 1 ? accounts[0].name : `${accounts.length} accounts`}
+            </DialogTitle>
+            <DialogDescription>
+              The reason is emailed to {accounts.length === 1 ? "the user" : "each user"} and shown when they try to
+              sign in. Rejected accounts can still be approved later.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-1">
+            <Label htmlFor="rejection-reason">Reason (required)</Label>
+            <Textarea
+              id="rejection-reason"
+              value={reason}
+              maxLength={500}
+              disabled={saving}
+              placeholder="e.g. Please sign in with your @my.xu.edu.ph school email instead"
+              onChange={(event) => setReason(event.target.value)}
+            />
+            {error && <p className="text-sm text-red-600">{error}</p>}
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" disabled={saving} onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="destructive" disabled={saving}>
+              {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Reject
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default function AccountApprovalsPage() {
+  const [status, setStatus] = useState("pending")
+  const [search, setSearch] = useState("")
+  const [query, setQuery] = useState("")
+  const [page, setPage] = useState(1)
+  const [queue, setQueue] = useState(null)
+  const [error, setError] = useState(null)
+  const [selected, setSelected] = useState([])
+  const [rejecting, setRejecting] = useState(null)
+  const [approving, setApproving] = useState(false)
+
+  const load = useCallback(() => {
+    fetchApprovalQueue({ status, q: query, page })
+      .then((result) => {
+        setQueue(result)
+        setError(null)
+      })
+      .catch((loadError) => setError(loadError.message))
+  }, [status, query, page])
+
+  useEffect(() => {
+    setQueue(null)
+    setSelected([])
+    load()
+  }, [load])
+
+  const accounts = queue?.accounts || []
+  const selectedAccounts = accounts.filter((account) => selected.includes(account.id))
+  const ruleMatches = accounts.filter((account) => account.matchedRule)
+  const allSelected = accounts.length > 0 && selected.length === accounts.length
+
+  const toggle = (id, checked) =>
+    setSelected((current) => (checked ? [...current, id] : current.filter((selectedId) => selectedId !== id)))
+
+  const approve = async (ids) => {
+    setApproving(true)
+    try {
+      reportDecision(await decideAccounts(ids, "approve"))
+      setSelected([])
+      load()
+    } catch (decisionError) {
+      toast.error(decisionError.message)
+    } finally {
+      setApproving(false)
+    }
+  }
+
+  const changeTab = (value) => {
+    setStatus(value)
+    setPage(1)
+  }
+
+  const submitSearch = (event) => {
+    event.preventDefault()
+    setPage(1)
+    setQuery(search.trim())
+  }
+
+  return (
+    <div className="flex-1 bg-[#f8f9fa] p-6 md:p-8 space-y-6">
+      <PageHeader
+        title="Account Approvals"
+        subtitle="Approve new accounts or reject them with a reason the user will see"
+      />
+
+      <Card className="cedo-card">
+        <CardHeader>
+          <CardTitle className="text-cedo-blue">Approval Queue</CardTitle>
+          <CardDescription>
+            Oldest requests first. Every decision is emailed to the user and added to their notifications. Students
+            covered by an auto-approval rule (admin settings) are approved when they sign in with Google.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <Tabs value={status} onValueChange={changeTab}>
+              <TabsList>
+                {Object.entries(QUEUE_TABS).map(([value, label]) => (
+                  <TabsTrigger key={value} value={value}>
+                    {label}
+                    {queue?.counts && <span className="ml-2 text-xs text-muted-foreground">{queue.counts[value]}</span>}
+                  </TabsTrigger>
+                ))}
+              </TabsList>
+            </Tabs>
+            <form onSubmit={submitSearch} className="flex gap-2">
+              <Input
+                value={search}
+                onChange={(event) => setSearch(event.target.value)}
+                placeholder="Name, email or organization"
+                className="w-64"
+              />
+              <Button type="submit" variant="outline" size="icon" aria-label="Search">
+                <Search className="h-4 w-4" />
+              </Button>
+            </form>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 rounded-md border bg-gray-50 p-3 text-sm">
+            <span className="mr-auto text-muted-foreground">
+              {selected.length > 0 ? `${selected.length} selected` : "Select accounts to approve or reject them together"}
+            </span>
+            {status === "pending" && ruleMatches.length > 0 && (
+              <Button variant="outline" size="sm" onClick={() => setSelected(ruleMatches.map((account) => account.id))}>
+                Select rule matches ({ruleMatches.length})
+              </Button>
+            )}
+            <Button
+              size="sm"
+              disabled={selected.length === 0 || approving}
+              onClick={() => approve(selected)}
+              className="bg-cedo-blue hover:bg-cedo-blue/90"
+            >
+              {approving ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Check className="mr-2 h-4 w-4" />}
+              Approve
+            </Button>
+            {status === "pending" && (
+              <Button
+                size="sm"
+                variant="destructive"
+                disabled={selected.length === 0 || approving}
+                onClick={() => setRejecting(selectedAccounts)}
+              >
+                <X className="mr-2 h-4 w-4" />
+                Reject
+              </Button>
+            )}
+          </div>
+
+          <div className="rounded-md border">
+            <Table>
+              <TableHeader className="cedo-table-header">
+                <TableRow>
+                  <TableHead className="w-10">
+                    <Checkbox
+                      checked={allSelected}
+                      disabled={accounts.length === 0}
+                      onCheckedChange={(checked) => setSelected(checked === true ? accounts.map((account) => account.id) : [])}
+                      aria-label="Select all"
+                    />
+                  </TableHead>
+                  <TableHead>Account</TableHead>
+                  <TableHead>Role</TableHead>
+                  <TableHead>Organization</TableHead>
+                  <TableHead>{status === "pending" ? "Requested" : "Rejection"}</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {!queue && !error ? (
+                  <TableRow>
+                    <TableCell colSpan={6} className="text-center py-6">
+                      <Loader2 className="h-6 w-6 animate-spin text-cedo-blue mx-auto" />
+                    </TableCell>
+                  </TableRow>
+                ) : accounts.length > 0 ? (
+                  accounts.map((account) => (
+                    <TableRow key={account.id} className="cedo-table-row">
+                      <TableCell>
+                        <Checkbox
+                          checked={selected.includes(account.id)}
+                          onCheckedChange={(checked) => toggle(account.id, checked === true)}
+                          aria-label={`Select ${account.name}`}
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <div className="font-medium">{account.name}</div>
+                        <div className="text-xs text-muted-foreground">{account.email}</div>
+                        {account.matchedRule && (
+                          <Badge variant="outline" className="mt-1 text-xs">
+                            {RULE_LABELS[account.matchedRule.type]}: {account.matchedRule.value}
+                          </Badge>
+                        )}
+                      </TableCell>
+                      <TableCell>{ROLE_LABELS[account.role] || account.role}</TableCell>
+                      <TableCell>{account.organization || "—"}</TableCell>
+                      <TableCell className="max-w-xs">
+                        {account.rejection ? (
+                          <>
+                            <p className="text-sm">{account.rejection.reason}</p>
+                            <p className="text-xs text-muted-foreground">
+                              {new Date(account.rejection.rejectedAt).toLocaleDateString()}
+                              {account.rejection.rejectedBy ? ` by ${account.rejection.rejectedBy}` : ""}
+                            </p>
+                          </>
+                        ) : account.createdAt ? (
+                          new Date(account.createdAt).toLocaleDateString()
+                        ) : (
+                          "—"
+                        )}
+                      </TableCell>
+                      <TableCell className="text-right space-x-2 whitespace-nowrap">
+                        <Button variant="outline" size="sm" disabled={approving} onClick={() => approve([account.id])}>
+                          <Check className="mr-1 h-4 w-4" />
+                          Approve
+                        </Button>
+                        {status === "pending" && (
+                          <Button variant="outline" size="sm" disabled={approving} onClick={() => setRejecting([account])}>
+                            <X className="mr-1 h-4 w-4" />
+                            Reject
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))
+                ) : (
+                  <TableRow>
+                    <TableCell colSpan={6} className="text-center py-6">
+                      <div className="flex flex-col items-center justify-center text-muted-foreground">
+                        <UserCheck className="h-10 w-10 mb-2" />
+                        <h3 className="text-lg font-medium">{error ? "Could not load the queue" : "Nothing waiting"}</h3>
+                        <p className="text-sm">
+                          {error || (status === "pending" ? "New account requests appear here" : "No rejected requests")}
+                        </p>
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </div>
+
+          {queue?.pagination?.pages > 1 && (
+            <div className="flex items-center justify-between text-sm text-muted-foreground">
+              <span>
+                Page {queue.pagination.page} of {queue.pagination.pages} ({queue.pagination.total} total)
+              </span>
+              <div className="flex gap-2">
+                <Button variant="outline" size="sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                  <ChevronLeft className="h-4 w-4" />
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={page >= queue.pagination.pages}
+                  onClick={() => setPage(page + 1)}
+                >
+                  <ChevronRight className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {rejecting && (
+        <RejectDialog
+          accounts={rejecting}
+          onClose={() => setRejecting(null)}
+          onDone={() => {
+            setRejecting(null)
+            setSelected([])
+            load()
+          }}
+        />
+      )}
+    </div>
+  )
+}
@@ -2,6 +2,7 @@
 
 "use client"
 
+import { BlackoutPeriodsCard } from "@/components/dashboard/admin/blackout-periods-card"
 import { EventCalendar } from "@/components/dashboard/admin/event-calendar"
 import { EventList } from "@/components/dashboard/admin/event-list"
 import { PageHeader } from "@/components/dashboard/admin/page-header"
@@ -10,6 +11,7 @@ import { Card, CardContent } from "@/components/dashboard/admin/ui/card"
 import { Input } from "@/components/dashboard/admin/ui/input"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/dashboard/admin/ui/select"
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/dashboard/admin/ui/tabs"
+import { VenueCatalogCard } from "@/components/dashboard/admin/venue-catalog-card"
 import { useMobile } from "@/hooks/use-mobile"
 import { Calendar, Filter, List, Search } from "lucide-react"
 import { useState } from "react"
@@ -282,6 +284,10 @@ export default function EventsPage() {
           </Tabs>
         </CardContent>
       </Card>
+
+      <BlackoutPeriodsCard className="mt-6 shadow-sm border-slate-200 bg-white/90 responsive-rounded zoom-safe" />
+
+      <VenueCatalogCard className="mt-6 shadow-sm border-slate-200 bg-white/90 responsive-rounded zoom-safe" />
     </div>
   )
 }
\ No newline at end of file
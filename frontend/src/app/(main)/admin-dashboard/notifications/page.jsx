@@ -5,81 +5,57 @@
 // Force dynamic rendering to prevent SSG issues
 export const dynamic = 'force-dynamic';
 
-import { Suspense, useState } from "react"
+import { Suspense, useCallback, useEffect, useState } from "react"
+import { useRouter } from "next/navigation"
 // Ensure the path to PageHeader is correct for the admin dashboard
 import { PageHeader } from "@/components/dashboard/admin/page-header"
+import { EmailPreferencesCard } from "@/components/email-preferences-card"
 import { Badge } from "@/components/dashboard/admin/ui/badge"
 import { Button } from "@/components/dashboard/admin/ui/button"
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/dashboard/admin/ui/card"
 import { Input } from "@/components/dashboard/admin/ui/input"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/dashboard/admin/ui/select"
-import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuSeparator, DropdownMenuTrigger } from "@/components/ui/dropdown-menu"
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from "@/components/ui/dropdown-menu"
+import { useNotifications } from "@/contexts/NotificationContext"
+import { fetchNotifications, getNotificationGroup } from "@/lib/notifications-api"
 import {
   AlertCircle,
-  Archive,
   Bell,
   Calendar,
   CheckCircle,
   ChevronDown,
   ChevronUp,
   FileText,
-  MessageSquare,
   MoreHorizontal,
+  RefreshCw,
   Search,
   X
 } from "lucide-react"
 
-// Sample notification data (enhanced for variety)
-const allNotifications = [
-  {
-    id: "notif-001", type: "proposal_submitted", title: "New Proposal: Science Fair 2025",
-    message: "The Science Department has submitted a proposal for the annual Science Fair.",
-    organization: "Science Department", timestamp: "2023-04-23T10:30:00Z",
-    status: "unread", actionTag: "Review", icon: <FileText className="h-4 w-4" />,
-    iconBg: "bg-blue-100 dark:bg-blue-900", iconColor: "text-blue-600 dark:text-blue-300", category: "organization",
-    details: "Proposal includes budget for new equipment and guest speaker fees. Deadline for review: May 1st."
-  },
-  {
-    id: "notif-002", type: "proposal_approved", title: "Approved: Leadership Workshop",
-    message: "Student Council's Leadership Workshop proposal has been approved.",
-    organization: "Student Council", timestamp: "2023-04-23T08:15:00Z",
-    status: "read", actionTag: "Approved", icon: <CheckCircle className="h-4 w-4" />,
-    iconBg: "bg-green-100 dark:bg-green-900", iconColor: "text-green-600 dark:text-green-300", category: "organization",
-    details: "Funding allocated. Event scheduled for June 10th. Promotion materials can now be prepared."
-  },
-  {
-    id: "notif-003", type: "event_reminder", title: "Reminder: Community Day Tomorrow",
-    message: "Community Service Day starts tomorrow at 8:00 AM. Volunteers to gather at main hall.",
-    organization: "Community Outreach", timestamp: "2023-04-22T10:30:00Z",
-    status: "unread", actionTag: "Reminder", icon: <Calendar className="h-4 w-4" />,
-    iconBg: "bg-amber-100 dark:bg-amber-900", iconColor: "text-amber-600 dark:text-amber-300", category: "organization",
-    details: "Ensure all team leaders have their volunteer lists and equipment ready."
-  },
-  {
-    id: "admin-notif-001", type: "system_update", title: "System Maintenance Scheduled",
-    message: "A system update is scheduled for May 5th, 2 AM - 4 AM. Expect brief downtime.",
-    organization: "IT Department", timestamp: "2023-04-24T14:00:00Z",
-    status: "unread", actionTag: "System", icon: <AlertCircle className="h-4 w-4" />,
-    iconBg: "bg-orange-100 dark:bg-orange-900", iconColor: "text-orange-600 dark:text-orange-300", category: "admin",
-    details: "This update includes security patches and performance improvements for the proposal management module."
-  },
-  {
-    id: "admin-notif-002", type: "user_feedback", title: "New User Feedback Received",
-    message: "A faculty member submitted feedback regarding the file upload process.",
-    organization: "System Feedback", timestamp: "2023-04-24T11:20:00Z",
-    status: "unread", actionTag: "Feedback", icon: <MessageSquare className="h-4 w-4" />,
-    iconBg: "bg-indigo-100 dark:bg-indigo-900", iconColor: "text-indigo-600 dark:text-indigo-300", category: "admin",
-    details: "User suggests increasing the maximum file size for supporting documents. See feedback ID #FDBK-789 for full text."
-  },
-  {
-    id: "student-notif-001", type: "event_cancelled", title: "Event Cancelled: Coding Workshop",
-    message: "The Advanced Coding Workshop scheduled for next Monday has been cancelled due to unforeseen circumstances.",
-    organization: "Tech Club", timestamp: "2023-04-24T09:00:00Z",
-    status: "read", actionTag: "Cancelled", icon: <X className="h-4 w-4" />,
-    iconBg: "bg-red-100 dark:bg-red-900", iconColor: "text-red-600 dark:text-red-300", category: "student",
-    details: "All registered participants have been notified. We apologize for any inconvenience."
-  },
-];
+// Icon and colours for each notification group (see getNotificationGroup)
+const GROUP_STYLES = {
+  proposal: { Icon: FileText, iconBg: "bg-blue-100 dark:bg-blue-900", iconColor: "text-blue-600 dark:text-blue-300" },
+  approval: { Icon: CheckCircle, iconBg: "bg-green-100 dark:bg-green-900", iconColor: "text-green-600 dark:text-green-300" },
+  rejection: { Icon: X, iconBg: "bg-red-100 dark:bg-red-900", iconColor: "text-red-600 dark:text-red-300" },
+  reminder: { Icon: Calendar, iconBg: "bg-amber-100 dark:bg-amber-900", iconColor: "text-amber-600 dark:text-amber-300" },
+  general: { Icon: AlertCircle, iconBg: "bg-orange-100 dark:bg-orange-900", iconColor: "text-orange-600 dark:text-orange-300" },
+}
+
+// API notification → the shape rendered by this page
+const toDisplayNotification = (notification) => {
+  const { group, tag } = getNotificationGroup(notification.type)
+  const { Icon, iconBg, iconColor } = GROUP_STYLES[group]
+  return {
+    ...notification,
+    organization: notification.metadata?.organization || "",
+    timestamp: notification.createdAt,
+    status: notification.read ? "read" : "unread",
+    actionTag: tag,
+    icon: <Icon className="h-4 w-4" />,
+    iconBg,
+    iconColor,
+  }
+}
 
 // Utility to format date for display (e.g., "April 23, 2023")
 const formatDateHeading = (dateString) => {
@@ -119,34 +95,54 @@ const PageHeaderFallback = () => (
 );
 
 function NotificationsContent() {
-  const [notifications, setNotifications] = useState(allNotifications);
+  const router = useRouter();
+  const { markAsRead, markAllAsRead } = useNotifications();
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
   const [searchTerm, setSearchTerm] = useState("");
   const [statusFilter, setStatusFilter] = useState("all");
   const [categoryFilter, setCategoryFilter] = useState("all");
   const [expandedNotification, setExpandedNotification] = useState(null);
 
-  // If PageHeader needs useSearchParams, it must be a client component.
-  // And it's good practice to import useSearchParams here if this component *also* used it.
-  // import { useSearchParams } from 'next/navigation';
-  // const searchParams = useSearchParams(); 
+  // Status and type filters are applied by the API; search runs on the loaded page
+  const loadNotifications = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await fetchNotifications({ status: statusFilter, type: categoryFilter, limit: 100 });
+      setNotifications((data.notifications || []).map(toDisplayNotification));
+      setLoadError(null);
+    } catch (error) {
+      console.error("Failed to load notifications:", error);
+      setLoadError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter, categoryFilter]);
+
+  useEffect(() => {
+    loadNotifications();
+  }, [loadNotifications]);
 
   const handleMarkAsRead = (id) => {
     setNotifications(
       notifications.map((notif) =>
-        notif.id === id ? { ...notif, status: "read" } : notif
+        notif.id === id ? { ...notif, read: true, status: "read" } : notif
       )
     );
+    markAsRead(id);
   };
 
   const handleMarkAllAsRead = () => {
     setNotifications(
-      notifications.map((notif) => ({ ...notif, status: "read" }))
+      notifications.map((notif) => ({ ...notif, read: true, status: "read" }))
     );
+    markAllAsRead();
   };
 
-  const handleDeleteNotification = (id) => {
-    setNotifications(notifications.filter(notif => notif.id !== id));
-    // Consider adding a toast notification for deletion using your useToast hook
+  const handleOpenRelated = (notification) => {
+    if (notification.status === "unread") handleMarkAsRead(notification.id);
+    if (notification.link) router.push(notification.link);
   };
 
   const toggleExpand = (id) => {
@@ -160,8 +156,7 @@ function NotificationsContent() {
       notif.message.toLowerCase().includes(lowerSearchTerm) ||
       notif.organization.toLowerCase().includes(lowerSearchTerm);
     const matchesStatus = statusFilter === "all" || notif.status === statusFilter;
-    const matchesCategory = categoryFilter === "all" || notif.category === categoryFilter;
-    return matchesSearch && matchesStatus && matchesCategory;
+    return matchesSearch && matchesStatus;
   });
 
   const groupedNotifications = filteredNotifications.reduce((groups, notif) => {
@@ -211,9 +206,9 @@ function NotificationsContent() {
                 </SelectTrigger>
                 <SelectContent>
                   <SelectItem value="all">All Categories</SelectItem>
-                  <SelectItem value="organization">Organization</SelectItem>
-                  <SelectItem value="admin">Admin</SelectItem>
-                  <SelectItem value="student">Student</SelectItem>
+                  <SelectItem value="proposal">Proposals</SelectItem>
+                  <SelectItem value="report">Reports</SelectItem>
+                  <SelectItem value="account">Accounts</SelectItem>
                 </SelectContent>
               </Select>
               <Select value={statusFilter} onValueChange={setStatusFilter}>
@@ -229,10 +224,19 @@ function NotificationsContent() {
               <Button variant="outline" onClick={handleMarkAllAsRead} className="w-full sm:w-auto border-gray-300 dark:border-gray-600">
                 Mark All Read
               </Button>
+              <Button variant="outline" size="icon" onClick={loadNotifications} disabled={loading} aria-label="Refresh notifications" className="border-gray-300 dark:border-gray-600">
+                <RefreshCw className={`h-4 w-4 ${loading ? "animate-spin" : ""}`} />
+              </Button>
             </div>
           </div>
 
-          {filteredNotifications.length === 0 && (
+          {loadError && (
+            <div className="mb-4 rounded-md border border-red-200 bg-red-50 p-3 text-sm text-red-700 dark:border-red-800 dark:bg-red-900/30 dark:text-red-300">
+              {loadError}
+            </div>
+          )}
+
+          {!loading && !loadError && filteredNotifications.length === 0 && (
             <div className="text-center py-10">
               <Bell className="mx-auto h-12 w-12 text-gray-400 dark:text-gray-500" />
               <h3 className="mt-2 text-sm font-medium text-gray-900 dark:text-white">No notifications</h3>
@@ -281,13 +285,6 @@ function NotificationsContent() {
                                       <CheckCircle className="mr-2 h-4 w-4" /> Mark as read
                                     </DropdownMenuItem>
                                   )}
-                                  <DropdownMenuItem>
-                                    <Archive className="mr-2 h-4 w-4" /> Archive
-                                  </DropdownMenuItem>
-                                  <DropdownMenuSeparator />
-                                  <DropdownMenuItem className="text-red-600 dark:text-red-500 focus:bg-red-50 dark:focus:bg-red-900/50 focus:text-red-700 dark:focus:text-red-400" onClick={() => handleDeleteNotification(notification.id)}>
-                                    <X className="mr-2 h-4 w-4" /> Delete
-                                  </DropdownMenuItem>
                                 </DropdownMenuContent>
                               </DropdownMenu>
                             </div>
@@ -299,13 +296,13 @@ function NotificationsContent() {
                       {expandedNotification === notification.id && (
                         <div className="p-3 ml-11 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-700/30 rounded-b-md">
                           <h4 className="text-xs font-semibold text-gray-700 dark:text-gray-200 mb-1">Details:</h4>
-                          <p className="text-xs text-gray-600 dark:text-gray-400 whitespace-pre-wrap">{notification.details || "No additional details."}</p>
-                          <div className="mt-2 flex gap-2">
-                            <Button size="xs" variant="outline" className="dark:border-gray-600">View Related Item</Button>
-                            {notification.category === "admin" && notification.type === "user_feedback" && (
-                              <Button size="xs" variant="outline" className="dark:border-gray-600">Respond to Feedback</Button>
-                            )}
-                          </div>
+                          <p className="text-xs text-gray-600 dark:text-gray-400 whitespace-pre-wrap">{notification.message || "No additional details."}</p>
+                          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{new Date(notification.timestamp).toLocaleString()}</p>
+                          {notification.link && (
+                            <div className="mt-2 flex gap-2">
+                              <Button size="xs" variant="outline" className="dark:border-gray-600" onClick={() => handleOpenRelated(notification)}>View Related Item</Button>
+                            </div>
+                          )}
                         </div>
                       )}
                     </li>
@@ -316,6 +313,8 @@ function NotificationsContent() {
           </div>
         </CardContent>
       </Card>
+
+      <EmailPreferencesCard className="mt-6" />
     </div>
   );
 }
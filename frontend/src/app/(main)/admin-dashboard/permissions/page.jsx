@@ -0,0 +1,184 @@
+// frontend/src/app/(main)/admin-dashboard/permissions/page.jsx
+"use client"
+
+import { PageHeader } from "@/components/page-header"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Label } from "@/components/ui/label"
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import { useAuth } from "@/contexts/auth-context"
+import { fetchRoleGrants, updateRoleGrants } from "@/lib/permissions-api"
+import { hasPermission } from "@/lib/permissions"
+import { Loader2, Lock, RotateCcw } from "lucide-react"
+import { useCallback, useEffect, useMemo, useState } from "react"
+import { toast } from "sonner"
+
+const ROLE_LABELS = {
+  head_admin: "Head Admin",
+  manager: "Manager",
+  reviewer: "Reviewer",
+  partner: "Partner",
+  student: "Student",
+}
+
+const sameGrants = (a, b) => a.length === b.length && a.every((permission) => b.includes(permission))
+
+function RoleGrants({ role, permissions, onSaved }) {
+  const [selected, setSelected] = useState(role.permissions)
+  const [saving, setSaving] = useState(false)
+
+  const groups = useMemo(() => {
+    const grouped = {}
+    for (const permission of permissions) {
+      if (!grouped[permission.group]) grouped[permission.group] = []
+      grouped[permission.group].push(permission)
+    }
+    return Object.entries(grouped)
+  }, [permissions])
+
+  const changed = !sameGrants(selected, role.permissions)
+  const isDefault = sameGrants(selected, role.defaults)
+
+  const toggle = (key, checked) =>
+    setSelected((current) => (checked ? [...current, key] : current.filter((permission) => permission !== key)))
+
+  const save = async () => {
+    setSaving(true)
+    try {
+      await updateRoleGrants(role.role, selected)
+      toast.success(`${ROLE_LABELS[role.role] || role.role} permissions saved`)
+      onSaved()
+    } catch (error) {
+      toast.error(error.errors?.permissions || error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      {groups.map(([group, items]) => (
+        <div key={group} className="space-y-2">
+          <p className="text-sm font-medium">{group}</p>
+          <ul className="divide-y rounded-md border">
+            {items.map((permission) => {
+              const locked = role.locked.includes(permission.key)
+              // Only head admins may ever hold these (the data explorer)
+              const headAdminOnly = permission.headAdminOnly && role.role !== "head_admin"
+              const id = `${role.role}-${permission.key}`
+              return (
+                <li key={permission.key} className="flex items-center gap-3 p-3 text-sm">
+                  <Checkbox
+                    id={id}
+                    checked={selected.includes(permission.key)}
+                    disabled={locked || headAdminOnly || saving}
+                    onCheckedChange={(checked) => toggle(permission.key, checked === true)}
+                  />
+                  <Label htmlFor={id} className="flex-1 font-normal">
+                    {permission.label}
+                    <span className="ml-2 font-mono text-xs text-muted-foreground">{permission.key}</span>
+                  </Label>
+                  {locked && <Lock className="h-4 w-4 text-muted-foreground" aria-label="Always granted" />}
+                  {headAdminOnly && (
+                    <Badge variant="secondary" className="text-xs">
+                      Head admins only
+                    </Badge>
+                  )}
+                  {!locked && !headAdminOnly && role.defaults.includes(permission.key) !== selected.includes(permission.key) && (
+                    <Badge variant="outline" className="text-xs">
+                      Changed from default
+                    </Badge>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        </div>
+      ))}
+
+      <div className="flex flex-wrap items-center justify-between gap-3 rounded-md bg-gray-50 border p-3 text-sm">
+        <p className="text-muted-foreground">
+          {role.updatedAt
+            ? `Last changed ${new Date(role.updatedAt).toLocaleString()}${role.updatedBy ? ` by ${role.updatedBy}` : ""}.`
+            : "Using the default permissions."}
+        </p>
+        <div className="flex gap-2">
+          <Button variant="outline" size="sm" disabled={isDefault || saving} onClick={() => setSelected(role.defaults)}>
+            <RotateCcw className="mr-2 h-4 w-4" />
+            Restore defaults
+          </Button>
+          <Button size="sm" disabled={!changed || saving} onClick={save} className="bg-cedo-blue hover:bg-cedo-blue/90">
+            {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Save
+          </Button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default function PermissionsPage() {
+  const { user } = useAuth()
+  const canManage = hasPermission(user, "permission:manage")
+  const [grants, setGrants] = useState(null)
+  const [error, setError] = useState(null)
+
+  const load = useCallback(() => {
+    fetchRoleGrants()
+      .then((result) => {
+        setGrants(result)
+        setError(null)
+      })
+      .catch((loadError) => setError(loadError.message))
+  }, [])
+
+  useEffect(() => {
+    if (canManage) load()
+  }, [canManage, load])
+
+  return (
+    <div className="flex-1 bg-[#f8f9fa] p-6 md:p-8 space-y-6">
+      <PageHeader title="Permissions" subtitle="Choose what each role may do across the system" />
+
+      <Card className="cedo-card">
+        <CardHeader>
+          <CardTitle className="text-cedo-blue">Role Permissions</CardTitle>
+          <CardDescription>
+            Changes apply to the next request. Pages and menus follow the new permissions the next time a user signs in.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {user && !canManage ? (
+            <p className="text-sm text-muted-foreground">Only head admins can change role permissions.</p>
+          ) : error ? (
+            <p className="text-sm text-red-600">{error}</p>
+          ) : !grants ? (
+            <Loader2 className="h-6 w-6 animate-spin text-cedo-blue mx-auto my-6" />
+          ) : (
+            <Tabs defaultValue={grants.roles[0]?.role} className="space-y-4">
+              <TabsList>
+                {grants.roles.map((role) => (
+                  <TabsTrigger key={role.role} value={role.role}>
+                    {ROLE_LABELS[role.role] || role.role}
+                  </TabsTrigger>
+                ))}
+              </TabsList>
+              {grants.roles.map((role) => (
+                <TabsContent key={role.role} value={role.role}>
+                  <RoleGrants
+                    key={`${role.role}-${role.updatedAt}`}
+                    role={role}
+                    permissions={grants.permissions}
+                    onSaved={load}
+                  />
+                </TabsContent>
+              ))}
+            </Tabs>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
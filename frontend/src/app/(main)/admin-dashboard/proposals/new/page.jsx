@@ -335,7 +335,7 @@ const ProposalFormContent = () => {
                       files={files}
                       setFiles={setFiles}
                       maxFiles={5}
-                      maxSize={5 * 1024 * 1024} // 5MB
+                      documentType="supporting" // 5MB each, PDF/Word/Excel
                     />
 
                     <div className="pt-4">
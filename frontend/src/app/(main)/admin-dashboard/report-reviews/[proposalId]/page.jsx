@@ -0,0 +1,317 @@
+// frontend/src/app/(main)/admin-dashboard/report-reviews/[proposalId]/page.jsx
+"use client"
+
+// Force dynamic rendering to prevent SSG issues
+export const dynamic = 'force-dynamic';
+
+import { PageHeader } from "@/components/page-header"
+import { ITEM_STATUS_STYLES, ReviewItems, reviewHeading } from "@/components/report-review-results"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Label } from "@/components/ui/label"
+import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Textarea } from "@/components/ui/textarea"
+import { useLiveUpdates } from "@/hooks/useLiveUpdates"
+import { REPORT_STATUS_LABELS } from "@/lib/compliance-api"
+import {
+  ITEM_STATUS_LABELS,
+  REPORT_DOCUMENT_LABELS,
+  downloadReportFile,
+  fetchReportReview,
+  submitReportReview,
+} from "@/lib/report-review-api"
+import { ArrowLeft, Download, FileText, Loader2 } from "lucide-react"
+import Link from "next/link"
+import { useParams } from "next/navigation"
+import { useCallback, useEffect, useState } from "react"
+import { toast } from "sonner"
+
+// Select items cannot have an empty value
+const NO_REUPLOAD = "none"
+
+// Same rule as the backend: a rejected required item or a requested re-upload returns the report
+const returnsReport = (criterion, item) =>
+  Boolean(item) && ((criterion.required && item.status === "rejected") || item.reuploadDocument !== NO_REUPLOAD)
+
+function RubricItem({ index, criterion, item, error, onChange }) {
+  const update = (field) => (value) => onChange({ ...item, [field]: value })
+
+  return (
+    <div className="space-y-3 rounded-md border p-4">
+      <div>
+        <p className="font-medium">
+          {index + 1}. {criterion.label}
+          {!criterion.required && <span className="ml-2 text-xs text-muted-foreground">(optional)</span>}
+        </p>
+        {criterion.description && <p className="text-sm text-muted-foreground">{criterion.description}</p>}
+      </div>
+
+      <RadioGroup value={item.status} onValueChange={update("status")} className="flex flex-wrap gap-4">
+        {Object.entries(ITEM_STATUS_LABELS).map(([value, label]) => (
+          <div key={value} className="flex items-center gap-2">
+            <RadioGroupItem value={value} id={`criterion-${criterion.id}-${value}`} />
+            <Label htmlFor={`criterion-${criterion.id}-${value}`} className="font-normal">
+              {label}
+            </Label>
+          </div>
+        ))}
+      </RadioGroup>
+
+      <div className="grid gap-3 sm:grid-cols-[1fr_220px]">
+        <Textarea
+          placeholder={item.status === "accepted" ? "Comment (optional)" : "What is missing or needs fixing"}
+          maxLength={2000}
+          value={item.comment}
+          onChange={(event) => update("comment")(event.target.value)}
+        />
+        <div className="space-y-1">
+          <Label className="text-xs">Ask for a re-upload</Label>
+          <Select value={item.reuploadDocument} onValueChange={update("reuploadDocument")}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={NO_REUPLOAD}>No re-upload</SelectItem>
+              {Object.entries(REPORT_DOCUMENT_LABELS).map(([value, label]) => (
+                <SelectItem key={value} value={value}>
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  )
+}
+
+function ReviewForm({ report, onReviewed }) {
+  const [items, setItems] = useState(() =>
+    Object.fromEntries(report.rubric.map((criterion) => [criterion.id, { status: "", comment: "", reuploadDocument: NO_REUPLOAD }]))
+  )
+  const [summary, setSummary] = useState("")
+  const [errors, setErrors] = useState({})
+  const [saving, setSaving] = useState(false)
+
+  const complete = report.rubric.every((criterion) => items[criterion.id]?.status)
+  const returning = report.rubric.filter((criterion) => returnsReport(criterion, items[criterion.id]))
+
+  const submit = async (event) => {
+    event.preventDefault()
+    setSaving(true)
+    setErrors({})
+    try {
+      const updated = await submitReportReview(report.proposalId, {
+        summary,
+        items: report.rubric.map((criterion) => {
+          const item = items[criterion.id]
+          return {
+            criterionId: criterion.id,
+            status: item.status,
+            comment: item.comment,
+            reuploadDocument: item.reuploadDocument === NO_REUPLOAD ? null : item.reuploadDocument,
+          }
+        }),
+      })
+      toast.success(updated.reportStatus === "approved" ? "Report accepted" : "Report returned to the organizer")
+      onReviewed(updated)
+    } catch (error) {
+      setErrors(error.errors?.items || {})
+      toast.error(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (report.rubric.length === 0) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        The review rubric is empty. A head admin or manager has to add rubric items before reports can be reviewed.
+      </p>
+    )
+  }
+
+  return (
+    <form onSubmit={submit} className="space-y-4">
+      {report.rubric.map((criterion, index) => (
+        <RubricItem
+          key={criterion.id}
+          index={index}
+          criterion={criterion}
+          item={items[criterion.id]}
+          error={errors[criterion.id]}
+          onChange={(item) => setItems((current) => ({ ...current, [criterion.id]: item }))}
+        />
+      ))}
+
+      <div className="space-y-1">
+        <Label htmlFor="review-summary">Summary for the organizer (optional)</Label>
+        <Textarea id="review-summary" maxLength={2000} value={summary} onChange={(event) => setSummary(event.target.value)} />
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-3 rounded-md bg-gray-50 border p-3 text-sm">
+        <p>
+          {!complete
+            ? "Mark every rubric item to submit the review."
+            : returning.length > 0
+              ? `The report will be returned because of: ${returning.map((criterion) => criterion.label).join(", ")}.`
+              : "The report will be accepted."}
+        </p>
+        <Button type="submit" disabled={!complete || saving} className="bg-cedo-blue hover:bg-cedo-blue/90">
+          {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+          {complete && returning.length > 0 ? "Return report" : "Accept report"}
+        </Button>
+      </div>
+    </form>
+  )
+}
+
+export default function ReportReviewPage() {
+  const { proposalId } = useParams()
+  const [report, setReport] = useState(null)
+  const [error, setError] = useState(null)
+
+  const load = useCallback(() => {
+    fetchReportReview(proposalId)
+      .then((result) => {
+        setReport(result)
+        setError(null)
+      })
+      .catch((loadError) => setError(loadError.message))
+  }, [proposalId])
+
+  useEffect(() => {
+    load()
+  }, [load])
+
+  // The organizer resubmitted, or another reviewer decided the report
+  useLiveUpdates(["report.status"], (_event, payload) => {
+    if (String(payload?.proposalId) === String(proposalId)) load()
+  })
+
+  const download = (document) => {
+    downloadReportFile(document).catch((downloadError) => toast.error(downloadError.message))
+  }
+
+  return (
+    <div className="flex-1 bg-[#f8f9fa] p-6 md:p-8 space-y-6">
+      <PageHeader title="Report Review" subtitle="Score the accomplishment report item by item" />
+
+      <Button asChild variant="ghost" className="px-0">
+        <Link href="/admin-dashboard/report-reviews">
+          <ArrowLeft className="mr-2 h-4 w-4" />
+          Back to reports
+        </Link>
+      </Button>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {!report && !error && <Loader2 className="h-6 w-6 animate-spin text-cedo-blue mx-auto my-6" />}
+
+      {report && (
+        <div className="grid gap-6 lg:grid-cols-3">
+          <div className="space-y-6 lg:col-span-2">
+            <Card className="cedo-card">
+              <CardHeader>
+                <CardTitle className="text-cedo-blue">{report.eventName}</CardTitle>
+                <CardDescription>
+                  {report.organizationName} · Proposal #{report.proposalId}
+                  {report.organizer?.name ? ` · ${report.organizer.name}` : ""}
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                {report.reportStatus === "pending" ? (
+                  <ReviewForm key={report.reviews.length} report={report} onReviewed={setReport} />
+                ) : (
+                  <p className="text-sm text-muted-foreground">
+                    This report is {(REPORT_STATUS_LABELS[report.reportStatus] || report.reportStatus).toLowerCase()}; it can be reviewed
+                    again once the organizer resubmits it.
+                  </p>
+                )}
+              </CardContent>
+            </Card>
+
+            {report.reviews.length > 0 && (
+              <Card className="cedo-card">
+                <CardHeader>
+                  <CardTitle className="text-cedo-blue">Earlier reviews</CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-5">
+                  {report.reviews.map((review) => (
+                    <div key={review.id} className="space-y-2">
+                      <p className="text-sm font-medium">{reviewHeading(review)}</p>
+                      {review.summary && <p className="text-sm text-muted-foreground whitespace-pre-wrap">{review.summary}</p>}
+                      <ReviewItems review={review} />
+                    </div>
+                  ))}
+                </CardContent>
+              </Card>
+            )}
+          </div>
+
+          <div className="space-y-6">
+            <Card className="cedo-card">
+              <CardHeader>
+                <CardTitle className="text-cedo-blue text-lg">Report</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3 text-sm">
+                <div>
+                  <p className="text-muted-foreground">Status</p>
+                  <Badge
+                    variant="outline"
+                    className={report.reportStatus === "approved" ? ITEM_STATUS_STYLES.accepted : report.reportStatus === "denied" ? ITEM_STATUS_STYLES.rejected : ITEM_STATUS_STYLES.partial}
+                  >
+                    {REPORT_STATUS_LABELS[report.reportStatus] || report.reportStatus}
+                  </Badge>
+                </div>
+                <div>
+                  <p className="text-muted-foreground">Event outcome</p>
+                  <p className="capitalize">{report.eventStatus || "Not reported"}</p>
+                </div>
+                <div>
+                  <p className="text-muted-foreground">Attendance on record</p>
+                  <p>{report.attendanceCount ?? 0}</p>
+                </div>
+                {report.reportDescription && (
+                  <div>
+                    <p className="text-muted-foreground">Organizer&apos;s notes</p>
+                    <p className="whitespace-pre-wrap">{report.reportDescription}</p>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+
+            <Card className="cedo-card">
+              <CardHeader>
+                <CardTitle className="text-cedo-blue text-lg">Files</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <ul className="divide-y rounded-md border">
+                  {report.documents.map((document) => (
+                    <li key={document.key} className="flex items-center justify-between gap-3 p-3 text-sm">
+                      <div className="flex items-start gap-2 min-w-0">
+                        <FileText className="h-4 w-4 mt-0.5 text-muted-foreground flex-shrink-0" />
+                        <div className="min-w-0">
+                          <p className="font-medium">{document.label}</p>
+                          <p className="text-xs text-muted-foreground truncate">{document.fileName || "Not uploaded"}</p>
+                        </div>
+                      </div>
+                      {document.downloadUrl && (
+                        <Button variant="ghost" size="sm" onClick={() => download(document)}>
+                          <Download className="h-4 w-4" />
+                          <span className="sr-only">Download {document.label}</span>
+                        </Button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </CardContent>
+            </Card>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
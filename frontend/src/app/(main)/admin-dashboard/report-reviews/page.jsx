@@ -0,0 +1,131 @@
+// frontend/src/app/(main)/admin-dashboard/report-reviews/page.jsx
+"use client"
+
+import { PageHeader } from "@/components/page-header"
+import { ReportRubricSettings } from "@/components/report-rubric-settings"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import { useAuth } from "@/contexts/auth-context"
+import { useLiveUpdates } from "@/hooks/useLiveUpdates"
+import { hasPermission } from "@/lib/permissions"
+import { fetchReportQueue } from "@/lib/report-review-api"
+import { ClipboardCheck, FileText, Loader2 } from "lucide-react"
+import Link from "next/link"
+import { useCallback, useEffect, useState } from "react"
+
+const QUEUE_TABS = {
+  pending: "Awaiting review",
+  denied: "Returned",
+  approved: "Accepted",
+}
+
+export default function ReportReviewsPage() {
+  const { user } = useAuth()
+  const [status, setStatus] = useState("pending")
+  const [reports, setReports] = useState(null)
+  const [error, setError] = useState(null)
+
+  const load = useCallback(() => {
+    fetchReportQueue({ status })
+      .then((result) => {
+        setReports(result)
+        setError(null)
+      })
+      .catch((loadError) => setError(loadError.message))
+  }, [status])
+
+  useEffect(() => {
+    setReports(null)
+    load()
+  }, [load])
+
+  // Reports are submitted and decided elsewhere too
+  useLiveUpdates(["report.status"], load)
+
+  return (
+    <div className="flex-1 bg-[#f8f9fa] p-6 md:p-8 space-y-6">
+      <PageHeader
+        title="Report Review"
+        subtitle="Review accomplishment reports against the rubric and tell organizers exactly what to fix"
+      />
+
+      <Card className="cedo-card">
+        <CardHeader>
+          <CardTitle className="text-cedo-blue">Accomplishment Reports</CardTitle>
+          <CardDescription>Oldest submissions first</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Tabs value={status} onValueChange={setStatus} className="space-y-4">
+            <TabsList>
+              {Object.entries(QUEUE_TABS).map(([value, label]) => (
+                <TabsTrigger key={value} value={value}>
+                  {label}
+                </TabsTrigger>
+              ))}
+            </TabsList>
+
+            <div className="rounded-md border">
+              <Table>
+                <TableHeader className="cedo-table-header">
+                  <TableRow>
+                    <TableHead>ID</TableHead>
+                    <TableHead>Event</TableHead>
+                    <TableHead>Organization</TableHead>
+                    <TableHead>Last updated</TableHead>
+                    <TableHead>Reviews</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {!reports && !error ? (
+                    <TableRow>
+                      <TableCell colSpan={6} className="text-center py-6">
+                        <Loader2 className="h-6 w-6 animate-spin text-cedo-blue mx-auto" />
+                      </TableCell>
+                    </TableRow>
+                  ) : reports?.length > 0 ? (
+                    reports.map((report) => (
+                      <TableRow key={report.proposalId} className="cedo-table-row">
+                        <TableCell className="font-medium">#{report.proposalId}</TableCell>
+                        <TableCell>{report.eventName}</TableCell>
+                        <TableCell>{report.organizationName}</TableCell>
+                        <TableCell>{report.updatedAt ? new Date(report.updatedAt).toLocaleDateString() : "—"}</TableCell>
+                        <TableCell>
+                          {report.reviewCount === 0
+                            ? "First review"
+                            : `${report.reviewCount} earlier review${report.reviewCount === 1 ? "" : "s"}`}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          <Button asChild variant="outline" size="sm">
+                            <Link href={`/admin-dashboard/report-reviews/${report.proposalId}`}>
+                              {status === "pending" && <ClipboardCheck className="mr-2 h-4 w-4" />}
+                              {status === "pending" ? "Review" : "View"}
+                            </Link>
+                          </Button>
+                        </TableCell>
+                      </TableRow>
+                    ))
+                  ) : (
+                    <TableRow>
+                      <TableCell colSpan={6} className="text-center py-6">
+                        <div className="flex flex-col items-center justify-center text-muted-foreground">
+                          <FileText className="h-10 w-10 mb-2" />
+                          <h3 className="text-lg font-medium">{error ? "Could not load reports" : "No reports here"}</h3>
+                          <p className="text-sm">{error || "Submitted accomplishment reports appear here"}</p>
+                        </div>
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </div>
+          </Tabs>
+        </CardContent>
+      </Card>
+
+      <ReportRubricSettings canManage={hasPermission(user, "report:rubric")} />
+    </div>
+  )
+}
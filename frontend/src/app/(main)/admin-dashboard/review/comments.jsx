@@ -3,38 +3,97 @@
 import { Button } from "@/components/dashboard/admin/ui/button"
 import { Label } from "@/components/dashboard/admin/ui/label"
 import { Textarea } from "@/components/dashboard/admin/ui/textarea"
-import { MessageSquare } from "lucide-react"
+import { MessageSquare, Reply, X } from "lucide-react"
 
-export default function CommentsPanel({ selectedProposal, newComment, setNewComment, handleAddComment }) {
-    if (!selectedProposal?.details) return null
+const KIND_LABELS = {
+    decision: "Decision",
+    documentation_request: "Documentation request",
+}
+
+const formatDate = (value) =>
+    value ? new Date(value).toLocaleDateString("en-US", { month: "short", day: "numeric" }) : ""
+
+function CommentItem({ comment, depth, onReply }) {
+    const isStudent = comment.author?.role === "student"
+
+    return (
+        <div className={depth > 0 ? "ml-6 border-l border-gray-200 pl-3" : ""}>
+            <div className={`p-3 rounded-md ${isStudent ? "bg-blue-50" : "bg-gray-100"}`}>
+                <div className="flex justify-between items-center mb-1 gap-2">
+                    <span className="font-semibold">
+                        {comment.author?.name}
+                        {KIND_LABELS[comment.kind] && (
+                            <span className="ml-2 text-xs font-normal text-muted-foreground">{KIND_LABELS[comment.kind]}</span>
+                        )}
+                        {comment.internal && (
+                            <span className="ml-2 text-xs font-normal text-amber-700">Internal</span>
+                        )}
+                    </span>
+                    <span className="text-xs text-muted-foreground">{formatDate(comment.timestamp)}</span>
+                </div>
+                <p className="whitespace-pre-wrap">{comment.text}</p>
+                <button
+                    type="button"
+                    onClick={() => onReply(comment)}
+                    className="mt-2 flex items-center gap-1 text-xs text-cedo-blue hover:underline"
+                >
+                    <Reply className="h-3 w-3" />
+                    Reply
+                </button>
+            </div>
+            {comment.replies?.length > 0 && (
+                <div className="mt-2 space-y-2">
+                    {comment.replies.map((reply) => (
+                        <CommentItem key={reply.id} comment={reply} depth={depth + 1} onReply={onReply} />
+                    ))}
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default function CommentsPanel({
+    selectedProposal,
+    comments = [],
+    newComment,
+    setNewComment,
+    handleAddComment,
+    replyTo,
+    setReplyTo,
+    error,
+    isLoading = false,
+}) {
+    if (!selectedProposal) return null
 
     return (
         <div className="border rounded-md p-4 space-y-4">
             <h3 className="text-lg font-semibold mb-3">Comment Thread</h3>
+            {error && (
+                <p className="text-sm text-red-600 bg-red-50 border border-red-200 rounded-md p-3">{error}</p>
+            )}
             <div className="space-y-4 max-h-[300px] overflow-y-auto mb-4">
-                {selectedProposal.details.comments && selectedProposal.details.comments.length > 0 ? (
-                    selectedProposal.details.comments.map((comment, index) => (
-                        <div
-                            key={index}
-                            className={`p-3 rounded-md ${comment.role === "Admin" ? "bg-gray-100" : "bg-blue-50"}`}
-                        >
-                            <div className="flex justify-between items-center mb-1">
-                                <span className="font-semibold">{comment.role}</span>
-                                <span className="text-xs text-muted-foreground">{comment.date}</span>
-                            </div>
-                            <p>{comment.text}</p>
-                        </div>
+                {comments.length > 0 ? (
+                    comments.map((comment) => (
+                        <CommentItem key={comment.id} comment={comment} depth={0} onReply={setReplyTo} />
                     ))
                 ) : (
                     <div className="text-center py-4 text-muted-foreground">
                         <MessageSquare className="h-8 w-8 mx-auto mb-2 opacity-50" />
-                        <p>No comments yet</p>
+                        <p>{isLoading ? "Loading comments..." : "No comments yet"}</p>
                     </div>
                 )}
             </div>
 
             <div className="space-y-2">
-                <Label htmlFor="new-comment">Add Comment</Label>
+                <Label htmlFor="new-comment">{replyTo ? "Reply" : "Add Comment"}</Label>
+                {replyTo && (
+                    <div className="flex items-center justify-between text-xs text-muted-foreground bg-gray-50 rounded-md px-3 py-2">
+                        <span className="truncate">Replying to {replyTo.author?.name}: “{replyTo.text}”</span>
+                        <button type="button" onClick={() => setReplyTo(null)} aria-label="Cancel reply">
+                            <X className="h-3 w-3" />
+                        </button>
+                    </div>
+                )}
                 <Textarea
                     id="new-comment"
                     placeholder="Type your comment here..."
@@ -42,8 +101,8 @@ export default function CommentsPanel({ selectedProposal, newComment, setNewComm
                     onChange={(e) => setNewComment(e.target.value)}
                     className="min-h-[80px]"
                 />
-                <Button onClick={handleAddComment} disabled={!newComment.trim()} className="w-full">
-                    Post Comment
+                <Button onClick={handleAddComment} disabled={!newComment.trim() || isLoading} className="w-full">
+                    {replyTo ? "Post Reply" : "Post Comment"}
                 </Button>
             </div>
         </div>
@@ -10,6 +10,7 @@ import EventDetails from "../../EventDetails";
 import CommentsPanel from "../../comments";
 import DecisionPanel from "../../decision";
 import OverviewTab from "./tabs/OverviewTab";
+import TimelineTab from "./tabs/TimelineTab";
 
 
 const ReviewDialogTabs = ({
@@ -23,6 +24,18 @@ const ReviewDialogTabs = ({
     newComment,
     setNewComment,
     onAddComment,
+    comments,
+    replyTo,
+    setReplyTo,
+    commentError,
+    isLoadingComments,
+    onSubmitReview,
+    canSubmitReview,
+    isSubmitting,
+    reviewError,
+    scheduleConflicts,
+    overrideConflicts,
+    setOverrideConflicts,
     isApprovedProposal
 }) => {
     if (!proposal) return null;
@@ -31,7 +44,7 @@ const ReviewDialogTabs = ({
         <Tabs value={activeTab} onValueChange={onTabChange} className="w-full">
             {/* Enhanced Tab Navigation */}
             <div className="sticky top-0 z-10 bg-white/95 backdrop-blur-sm border border-gray-200 rounded-lg p-1 mb-6 shadow-sm">
-                <TabsList className="grid w-full grid-cols-4 h-12 bg-transparent p-0">
+                <TabsList className="grid w-full grid-cols-5 h-12 bg-transparent p-0">
                     <TabsTrigger
                         value="overview"
                         className="
@@ -62,6 +75,16 @@ const ReviewDialogTabs = ({
                     >
                         Comments
                     </TabsTrigger>
+                    <TabsTrigger
+                        value="timeline"
+                        className="
+              text-sm font-medium rounded-md transition-all duration-200
+              data-[state=active]:bg-cedo-blue data-[state=active]:text-white data-[state=active]:shadow-sm
+              hover:bg-gray-100 data-[state=active]:hover:bg-cedo-blue
+            "
+                    >
+                        Timeline
+                    </TabsTrigger>
                     <TabsTrigger
                         value="decision"
                         className="
@@ -87,18 +110,34 @@ const ReviewDialogTabs = ({
             <TabsContent value="comments" className="space-y-6">
                 <CommentsPanel
                     selectedProposal={proposal}
+                    comments={comments}
                     newComment={newComment}
                     setNewComment={setNewComment}
                     handleAddComment={onAddComment}
+                    replyTo={replyTo}
+                    setReplyTo={setReplyTo}
+                    error={commentError}
+                    isLoading={isLoadingComments}
                 />
             </TabsContent>
 
+            <TabsContent value="timeline" className="space-y-6">
+                <TimelineTab proposal={proposal} />
+            </TabsContent>
+
             <TabsContent value="decision" className="space-y-6">
                 <DecisionPanel
                     reviewDecision={reviewDecision}
                     setReviewDecision={setReviewDecision}
                     reviewComment={reviewComment}
                     setReviewComment={setReviewComment}
+                    onSubmit={onSubmitReview}
+                    canSubmit={canSubmitReview}
+                    isSubmitting={isSubmitting}
+                    error={reviewError}
+                    scheduleConflicts={scheduleConflicts}
+                    overrideConflicts={overrideConflicts}
+                    setOverrideConflicts={setOverrideConflicts}
                 />
             </TabsContent>
         </Tabs>
@@ -0,0 +1,142 @@
+/**
+ * TimelineTab - Status History for Review Dialog
+ *
+ * Shows every proposal/report status change recorded in
+ * proposal_status_history, oldest first, so reviewers can follow the
+ * back-and-forth on a revised proposal. Compliance statuses set by hand on
+ * the compliance page are listed too.
+ */
+
+import { Badge } from "@/components/dashboard/admin/ui/badge";
+import { Button } from "@/components/dashboard/admin/ui/button";
+import { ArrowRight, Clock, FileText, RefreshCw, ShieldCheck, User } from "lucide-react";
+import { useCallback, useEffect, useState } from "react";
+import { reviewService } from "../../../services/reviewService";
+
+const STATUS_STYLES = {
+    draft: "bg-gray-100 text-gray-700 border-gray-200",
+    pending: "bg-amber-50 text-amber-700 border-amber-200",
+    approved: "bg-green-50 text-green-700 border-green-200",
+    denied: "bg-red-50 text-red-700 border-red-200",
+    revision_requested: "bg-blue-50 text-blue-700 border-blue-200",
+    compliant: "bg-green-50 text-green-700 border-green-200",
+    overdue: "bg-red-50 text-red-700 border-red-200",
+};
+
+const ENTRY_TYPES = {
+    proposal: { label: "Proposal", icon: Clock },
+    report: { label: "Report", icon: FileText },
+    compliance: { label: "Compliance", icon: ShieldCheck },
+};
+
+const formatStatus = (status) => (status ? status.replace(/_/g, " ") : "none");
+
+const formatTimestamp = (value) => {
+    if (!value) return "Unknown time";
+    try {
+        return new Date(value).toLocaleString("en-US", {
+            month: "short",
+            day: "numeric",
+            year: "numeric",
+            hour: "numeric",
+            minute: "2-digit",
+        });
+    } catch (error) {
+        return value;
+    }
+};
+
+const StatusBadge = ({ status }) => (
+    <Badge variant="outline" className={`capitalize ${STATUS_STYLES[status] || STATUS_STYLES.draft}`}>
+        {formatStatus(status)}
+    </Badge>
+);
+
+const TimelineTab = ({ proposal }) => {
+    const [history, setHistory] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const loadHistory = useCallback(async () => {
+        if (!proposal?.id) return;
+        setLoading(true);
+        setError(null);
+        try {
+            const data = await reviewService.getProposalHistory(proposal.id);
+            setHistory(data.history || []);
+        } catch (err) {
+            setError(err.message || "Failed to load status history");
+        } finally {
+            setLoading(false);
+        }
+    }, [proposal?.id]);
+
+    useEffect(() => {
+        loadHistory();
+    }, [loadHistory]);
+
+    if (!proposal) return null;
+
+    return (
+        <div className="bg-white border border-gray-200 rounded-lg p-6 shadow-sm">
+            <div className="flex items-center justify-between mb-6">
+                <div>
+                    <h3 className="text-lg font-semibold text-gray-900">Status Timeline</h3>
+                    <p className="text-sm text-gray-500">Every decision on this proposal, oldest first.</p>
+                </div>
+                <Button variant="outline" size="sm" onClick={loadHistory} disabled={loading}>
+                    <RefreshCw className={`h-4 w-4 mr-2 ${loading ? "animate-spin" : ""}`} />
+                    Refresh
+                </Button>
+            </div>
+
+            {error && (
+                <p className="text-sm text-red-600 bg-red-50 border border-red-200 rounded-md p-3 mb-4">{error}</p>
+            )}
+
+            {!loading && !error && history.length === 0 && (
+                <p className="text-sm text-gray-500 text-center py-8">No status changes have been recorded yet.</p>
+            )}
+
+            <ol className="relative border-l border-gray-200 ml-3 space-y-6">
+                {history.map((entry) => {
+                    const { label, icon: Icon } = ENTRY_TYPES[entry.type] || ENTRY_TYPES.proposal;
+                    return (
+                        <li key={entry.id} className="ml-6">
+                            <span className="absolute -left-3 flex h-6 w-6 items-center justify-center rounded-full bg-cedo-blue/10 ring-4 ring-white">
+                                <Icon className="h-3 w-3 text-cedo-blue" />
+                            </span>
+
+                            <div className="flex flex-wrap items-center gap-2">
+                                <span className="text-xs font-medium uppercase tracking-wide text-gray-500">
+                                    {label}
+                                </span>
+                                <StatusBadge status={entry.from} />
+                                <ArrowRight className="h-3 w-3 text-gray-400" />
+                                <StatusBadge status={entry.to} />
+                            </div>
+
+                            <div className="mt-2 flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-gray-500">
+                                <span className="flex items-center gap-1">
+                                    <User className="h-3 w-3" />
+                                    {entry.actor?.name || entry.actor?.email || "Unknown user"}
+                                    {entry.actor?.role && <span className="capitalize">({formatStatus(entry.actor.role)})</span>}
+                                </span>
+                                <span>{formatTimestamp(entry.createdAt)}</span>
+                                {entry.source && <span className="font-mono">{entry.source}</span>}
+                            </div>
+
+                            {entry.comment && (
+                                <p className="mt-2 text-sm text-gray-700 bg-gray-50 border border-gray-200 rounded-md p-3 whitespace-pre-wrap">
+                                    {entry.comment}
+                                </p>
+                            )}
+                        </li>
+                    );
+                })}
+            </ol>
+        </div>
+    );
+};
+
+export default TimelineTab;
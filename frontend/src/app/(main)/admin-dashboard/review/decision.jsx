@@ -1,17 +1,80 @@
 // frontend/src/app/(main)/admin-dashboard/review/decision.jsx
 
 import { Button } from "@/components/dashboard/admin/ui/button"
+import { Checkbox } from "@/components/dashboard/admin/ui/checkbox"
 import { Label } from "@/components/dashboard/admin/ui/label"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/dashboard/admin/ui/select"
 import { Textarea } from "@/components/dashboard/admin/ui/textarea"
-import { FileText } from "lucide-react"
+import { AlertTriangle, FileText, Send } from "lucide-react"
+
+// Rejections and revision requests must tell the student why
+const REASON_REQUIRED = ["reject", "revision"]
+
+export default function DecisionPanel({
+    reviewDecision,
+    setReviewDecision,
+    reviewComment,
+    setReviewComment,
+    onSubmit,
+    canSubmit = false,
+    isSubmitting = false,
+    error = null,
+    scheduleConflicts = [],
+    overrideConflicts = false,
+    setOverrideConflicts,
+}) {
+    const blockingConflicts = scheduleConflicts.filter((conflict) => conflict.severity === "blocking")
+    const warnings = scheduleConflicts.filter((conflict) => conflict.severity !== "blocking")
+    // Approving over a blocking conflict is allowed only with an override and a reason
+    const overriding = reviewDecision === "approve" && blockingConflicts.length > 0 && overrideConflicts
+    const reasonRequired = REASON_REQUIRED.includes(reviewDecision) || overriding
+    const commentError = error?.errors?.comment
 
-export default function DecisionPanel({ reviewDecision, setReviewDecision, reviewComment, setReviewComment }) {
     return (
         <div className="border rounded-md p-4 space-y-4">
             <h3 className="text-lg font-semibold mb-3">Review Decision</h3>
 
             <div className="space-y-4">
+                {blockingConflicts.length > 0 && (
+                    <div className="rounded-md border border-red-200 bg-red-50 p-3 space-y-2">
+                        <p className="flex items-center gap-2 text-sm font-semibold text-red-800">
+                            <AlertTriangle className="h-4 w-4" />
+                            Schedule conflicts block approval
+                        </p>
+                        <ul className="list-disc pl-5 space-y-1 text-sm text-red-700">
+                            {blockingConflicts.map((conflict, index) => (
+                                <li key={`${conflict.type}-${index}`}>{conflict.message}</li>
+                            ))}
+                        </ul>
+                        {reviewDecision === "approve" && setOverrideConflicts && (
+                            <div className="flex items-center gap-2 pt-1">
+                                <Checkbox
+                                    id="override-conflicts"
+                                    checked={overrideConflicts}
+                                    onCheckedChange={(checked) => setOverrideConflicts(checked === true)}
+                                />
+                                <Label htmlFor="override-conflicts" className="text-sm text-red-800">
+                                    Approve anyway (explain why in the comments)
+                                </Label>
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {warnings.length > 0 && (
+                    <div className="rounded-md border border-amber-200 bg-amber-50 p-3 space-y-2">
+                        <p className="flex items-center gap-2 text-sm font-semibold text-amber-800">
+                            <AlertTriangle className="h-4 w-4" />
+                            Also requested for the same slot
+                        </p>
+                        <ul className="list-disc pl-5 space-y-1 text-sm text-amber-700">
+                            {warnings.map((conflict, index) => (
+                                <li key={`${conflict.type}-${index}`}>{conflict.message}</li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
                 <div className="space-y-2">
                     <Label htmlFor="decision">Decision</Label>
                     <Select value={reviewDecision || ""} onValueChange={(value) => setReviewDecision(value)}>
@@ -27,16 +90,38 @@ export default function DecisionPanel({ reviewDecision, setReviewDecision, revie
                 </div>
 
                 <div className="space-y-2">
-                    <Label htmlFor="comment">Decision Comments</Label>
+                    <Label htmlFor="comment">
+                        Decision Comments{reasonRequired && <span className="text-red-600"> *</span>}
+                    </Label>
                     <Textarea
                         id="comment"
-                        placeholder="Provide feedback or reasons for your decision"
+                        placeholder={
+                            overriding
+                                ? "Explain why this event can go ahead despite the conflicts"
+                                : reasonRequired ? "Explain what the student needs to change" : "Provide feedback or reasons for your decision"
+                        }
                         value={reviewComment}
                         onChange={(e) => setReviewComment(e.target.value)}
-                        className="min-h-[100px]"
+                        className={`min-h-[100px] ${commentError ? "border-red-500" : ""}`}
                     />
+                    {commentError && <p className="text-sm text-red-600">{commentError}</p>}
                 </div>
 
+                {error?.message && !commentError && (
+                    <p className="text-sm text-red-600 bg-red-50 border border-red-200 rounded-md p-3">{error.message}</p>
+                )}
+
+                {onSubmit && (
+                    <Button
+                        onClick={onSubmit}
+                        disabled={!canSubmit || (reasonRequired && !reviewComment.trim())}
+                        className="w-full flex items-center gap-2"
+                    >
+                        <Send className="h-4 w-4" />
+                        {isSubmitting ? "Submitting..." : "Submit Decision"}
+                    </Button>
+                )}
+
                 <div className="pt-4">
                     <Label className="text-xs text-muted-foreground mb-2 block">Quick Links</Label>
                     <div className="flex flex-wrap gap-2">
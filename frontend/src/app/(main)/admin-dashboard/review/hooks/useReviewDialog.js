@@ -12,8 +12,16 @@
  */
 
 import { useCallback, useMemo, useState } from 'react';
+import { reviewService } from '../services/reviewService';
 
-export const useReviewDialog = () => {
+// Decisions that must explain themselves to the student (mirrors review.service.js)
+const REASON_REQUIRED = ['reject', 'revision'];
+
+/**
+ * @param {Object} [options]
+ * @param {Function} [options.onReviewed] - Called with `{ proposalId, status }` after a decision is saved
+ */
+export const useReviewDialog = ({ onReviewed } = {}) => {
     // Dialog state
     const [isOpen, setIsOpen] = useState(false);
     const [selectedProposal, setSelectedProposal] = useState(null);
@@ -23,11 +31,46 @@ export const useReviewDialog = () => {
     const [reviewDecision, setReviewDecision] = useState(null);
     const [reviewComment, setReviewComment] = useState('');
     const [newComment, setNewComment] = useState('');
+    const [replyTo, setReplyTo] = useState(null);
+
+    // Threaded comments loaded from /proposals/:id/comments
+    const [comments, setComments] = useState([]);
+    const [commentError, setCommentError] = useState(null);
+    const [reviewError, setReviewError] = useState(null);
+
+    // Venue / organization / blackout conflicts; blocking ones need an explicit override to approve
+    const [scheduleConflicts, setScheduleConflicts] = useState([]);
+    const [overrideConflicts, setOverrideConflicts] = useState(false);
 
     // Loading states
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [isLoading, setIsLoading] = useState(false);
 
+    const loadComments = useCallback(async (proposalId) => {
+        if (!proposalId) return;
+        try {
+            setIsLoading(true);
+            setCommentError(null);
+            const data = await reviewService.getComments(proposalId);
+            setComments(data.comments || []);
+        } catch (error) {
+            setCommentError(error.message || 'Failed to load comments');
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    const loadScheduleConflicts = useCallback(async (proposalId) => {
+        if (!proposalId) return;
+        try {
+            const data = await reviewService.getScheduleConflicts(proposalId);
+            setScheduleConflicts(data.conflicts || []);
+        } catch (error) {
+            // The server checks again on approval, so a failed preview is not fatal
+            setScheduleConflicts([]);
+        }
+    }, []);
+
     // Open dialog with proposal
     const openDialog = useCallback((proposal) => {
         setSelectedProposal(proposal);
@@ -36,7 +79,15 @@ export const useReviewDialog = () => {
         setReviewDecision(null);
         setReviewComment('');
         setNewComment('');
-    }, []);
+        setReplyTo(null);
+        setComments([]);
+        setCommentError(null);
+        setReviewError(null);
+        setScheduleConflicts([]);
+        setOverrideConflicts(false);
+        loadComments(proposal?.id);
+        if (proposal?.status === 'pending') loadScheduleConflicts(proposal.id);
+    }, [loadComments, loadScheduleConflicts]);
 
     // Close dialog and reset state
     const closeDialog = useCallback(() => {
@@ -46,85 +97,82 @@ export const useReviewDialog = () => {
         setReviewDecision(null);
         setReviewComment('');
         setNewComment('');
+        setReplyTo(null);
+        setComments([]);
+        setCommentError(null);
+        setReviewError(null);
+        setScheduleConflicts([]);
+        setOverrideConflicts(false);
     }, []);
 
-    // Add comment to proposal
+    // Add comment (or a reply to `replyTo`) to the proposal thread
     const addComment = useCallback(async () => {
         if (!newComment.trim() || !selectedProposal) return;
 
         try {
             setIsLoading(true);
+            setCommentError(null);
 
-            // For demo purposes, use local state management instead of API
-            // TODO: Replace with actual API call when backend is ready
-            // await reviewService.addComment(selectedProposal.id, newComment);
-
-            // Update local state (simulating successful API response)
-            if (selectedProposal.details.comments) {
-                selectedProposal.details.comments.push({
-                    role: 'Admin',
-                    date: new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-                    text: newComment,
-                    timestamp: new Date().toISOString(),
-                    id: Date.now(), // Simple ID for demo
-                });
-            } else {
-                // Initialize comments array if it doesn't exist
-                selectedProposal.details.comments = [{
-                    role: 'Admin',
-                    date: new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-                    text: newComment,
-                    timestamp: new Date().toISOString(),
-                    id: Date.now(),
-                }];
-            }
+            await reviewService.addComment(selectedProposal.id, newComment, { parentId: replyTo?.id || null });
 
             setNewComment('');
-            console.log('Comment added successfully (local state)');
-
+            setReplyTo(null);
+            await loadComments(selectedProposal.id);
         } catch (error) {
             console.error('Failed to add comment:', error);
-            // For now, just log the error and continue with local state
-            // In production, you would show a proper error message to the user
+            setCommentError(error.message || 'Failed to add comment');
         } finally {
             setIsLoading(false);
         }
-    }, [newComment, selectedProposal]);
+    }, [newComment, replyTo, selectedProposal, loadComments]);
+
+    const blockingConflicts = useMemo(() => {
+        return scheduleConflicts.filter((conflict) => conflict.severity === 'blocking');
+    }, [scheduleConflicts]);
 
     // Submit review decision
     const submitReview = useCallback(async () => {
         if (!reviewDecision || !selectedProposal) return;
 
+        const overriding = reviewDecision === 'approve' && blockingConflicts.length > 0 && overrideConflicts;
+        if (overriding && !reviewComment.trim()) {
+            setReviewError({
+                message: 'A reason is required to approve despite schedule conflicts',
+                errors: { comment: 'Explain why this proposal can go ahead despite the conflicts' },
+            });
+            return;
+        }
+
+        if (REASON_REQUIRED.includes(reviewDecision) && !reviewComment.trim()) {
+            setReviewError({
+                message: 'A reason is required when rejecting or requesting revisions',
+                errors: { comment: 'Explain why the proposal is being rejected or needs revision' },
+            });
+            return;
+        }
+
         try {
             setIsSubmitting(true);
+            setReviewError(null);
 
-            // For demo purposes, use local state management instead of API
-            // TODO: Replace with actual API call when backend is ready
-            // await reviewService.submitReview({
-            //     proposalId: selectedProposal.id,
-            //     decision: reviewDecision,
-            //     comment: reviewComment,
-            // });
-
-            // Simulate successful API response with local state update
-            console.log('Review submitted successfully (local state):', {
+            const { data } = await reviewService.submitReview({
                 proposalId: selectedProposal.id,
                 decision: reviewDecision,
                 comment: reviewComment,
-                timestamp: new Date().toISOString(),
+                overrideConflicts: overriding,
             });
 
-            // Close dialog on success
+            if (onReviewed) onReviewed(data);
             closeDialog();
-
         } catch (error) {
             console.error('Failed to submit review:', error);
-            // For now, just log the error
-            // In production, you would show a proper error message to the user
+            // A conflict may have appeared since the dialog was opened
+            if (error.conflicts) setScheduleConflicts(error.conflicts);
+            setReviewError({ message: error.message, errors: error.errors || {} });
         } finally {
             setIsSubmitting(false);
         }
-    }, [reviewDecision, reviewComment, selectedProposal, closeDialog]);
+    }, [reviewDecision, reviewComment, selectedProposal, blockingConflicts, overrideConflicts, closeDialog, onReviewed]);
 
     // Set review decision and navigate to decision tab
     const setDecisionAndNavigate = useCallback((decision) => {
@@ -134,8 +182,9 @@ export const useReviewDialog = () => {
 
     // Computed values
     const canSubmitReview = useMemo(() => {
-        return reviewDecision && !isSubmitting;
-    }, [reviewDecision, isSubmitting]);
+        const blocked = reviewDecision === 'approve' && blockingConflicts.length > 0 && !overrideConflicts;
+        return reviewDecision && !isSubmitting && !blocked;
+    }, [reviewDecision, isSubmitting, blockingConflicts, overrideConflicts]);
 
     const isApprovedProposal = useMemo(() => {
         return selectedProposal?.status === 'approved';
@@ -150,10 +199,17 @@ export const useReviewDialog = () => {
         reviewDecision,
         reviewComment,
         newComment,
+        replyTo,
+        comments,
+        commentError,
+        reviewError,
+        scheduleConflicts,
+        overrideConflicts,
         isSubmitting,
         isLoading,
 
         // Computed
+        blockingConflicts,
         canSubmitReview,
         isApprovedProposal,
 
@@ -166,6 +222,8 @@ export const useReviewDialog = () => {
         setReviewDecision,
         setReviewComment,
         setNewComment,
+        setReplyTo,
+        setOverrideConflicts,
         addComment,
         submitReview,
         setDecisionAndNavigate,
@@ -12,19 +12,57 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/com
 import { Input } from "@/components/dashboard/admin/ui/input";
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/dashboard/admin/ui/table";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/dashboard/admin/ui/tabs";
-import { Filter, Search, XCircle } from "lucide-react";
+import { fetchPendingConflicts } from "@/lib/schedule-api";
+import { AlertTriangle, Filter, Search, XCircle } from "lucide-react";
 import { useCallback, useEffect, useMemo, useState } from "react";
 import ReviewDialog from "./components/ReviewDialog";
 import { useReviewDialog } from "./hooks/useReviewDialog";
 
+// Red when approval is blocked (approved booking or blackout), amber when another request wants the slot
+function ConflictBadge({ conflicts }) {
+  if (!conflicts || conflicts.length === 0) return null
+
+  const blocked = conflicts.some((conflict) => conflict.severity === 'blocking')
+  return (
+    <Badge
+      variant="outline"
+      title={conflicts.map((conflict) => conflict.message).join('\n')}
+      className={blocked ? 'bg-red-100 text-red-800 border-red-200' : 'bg-amber-100 text-amber-800 border-amber-200'}
+    >
+      <AlertTriangle className="h-3 w-3 mr-1" />
+      {blocked ? 'Blocked: schedule conflict' : 'Overlaps a pending request'}
+    </Badge>
+  )
+}
+
 export default function ReviewPage() {
   // Live proposals pulled from the hybrid backend (MySQL + MongoDB)
   const [proposals, setProposals] = useState([])
   const [searchTerm, setSearchTerm] = useState("")
   const [filterStatus, setFilterStatus] = useState("pending")
+  // Schedule conflicts for pending proposals, keyed by proposal id
+  const [conflictsByProposal, setConflictsByProposal] = useState({})
+
+  const loadConflicts = useCallback(() => {
+    fetchPendingConflicts()
+      .then(setConflictsByProposal)
+      .catch((e) => console.error('Failed to load schedule conflicts', e))
+  }, [])
+
+  useEffect(() => {
+    loadConflicts()
+  }, [loadConflicts])
+
+  // Keep the queue in sync once a decision is saved
+  const handleReviewed = useCallback(({ proposalId, status }) => {
+    const normalisedStatus = status === 'denied' ? 'rejected' : status
+    setProposals((prev) => prev.map((p) => (String(p.id) === String(proposalId) ? { ...p, status: normalisedStatus } : p)))
+    // An approval takes the slot, which can turn other proposals' warnings into blockers
+    loadConflicts()
+  }, [loadConflicts])
 
   // Use the refactored review dialog hook
-  const reviewDialog = useReviewDialog();
+  const reviewDialog = useReviewDialog({ onReviewed: handleReviewed });
 
   // Memoized filtered proposals for performance
   const filteredProposals = useMemo(() => {
@@ -208,7 +246,12 @@ export default function ReviewPage() {
                         .map((proposal) => (
                           <TableRow key={proposal.id} className="cedo-table-row">
                             <TableCell className="font-medium">{proposal.id}</TableCell>
-                            <TableCell>{proposal.title}</TableCell>
+                            <TableCell>
+                              <div className="flex flex-col items-start gap-1">
+                                <span>{proposal.title}</span>
+                                <ConflictBadge conflicts={conflictsByProposal[proposal.id]} />
+                              </div>
+                            </TableCell>
                             <TableCell>
                               <div className="flex items-center gap-2">
                                 <Avatar className="h-6 w-6">
@@ -454,6 +497,18 @@ export default function ReviewPage() {
             newComment={reviewDialog.newComment}
             setNewComment={reviewDialog.setNewComment}
             onAddComment={handleAddComment}
+            comments={reviewDialog.comments}
+            replyTo={reviewDialog.replyTo}
+            setReplyTo={reviewDialog.setReplyTo}
+            commentError={reviewDialog.commentError}
+            isLoadingComments={reviewDialog.isLoading}
+            onSubmitReview={handleSubmitReview}
+            canSubmitReview={reviewDialog.canSubmitReview}
+            isSubmitting={reviewDialog.isSubmitting}
+            reviewError={reviewDialog.reviewError}
+            scheduleConflicts={reviewDialog.scheduleConflicts}
+            overrideConflicts={reviewDialog.overrideConflicts}
+            setOverrideConflicts={reviewDialog.setOverrideConflicts}
             isApprovedProposal={reviewDialog.selectedProposal?.status === "approved"}
           />
         </ReviewDialog.Content>
@@ -464,6 +519,7 @@ export default function ReviewPage() {
           onRequestRevision={() => reviewDialog.setDecisionAndNavigate("revision")}
           onReject={() => reviewDialog.setDecisionAndNavigate("reject")}
           canSubmitReview={reviewDialog.canSubmitReview}
+          isSubmitting={reviewDialog.isSubmitting}
         />
       </ReviewDialog>
     </div>
@@ -14,30 +14,86 @@
 
 const API_BASE_URL = process.env.API_URL || "http://localhost:5000/api";
 
+/**
+ * Read the signed-in user's JWT (cookie first, then localStorage)
+ * @returns {string|null}
+ */
+const getAuthToken = () => {
+    if (typeof window === 'undefined') return null;
+    const cookieValue = document.cookie.split('; ').find(row => row.startsWith('cedo_token='));
+    return cookieValue ? cookieValue.split('=')[1] : localStorage.getItem('cedo_token');
+};
+
+/**
+ * JSON + Bearer headers for review API calls
+ * @returns {Object}
+ */
+const authHeaders = () => {
+    const token = getAuthToken();
+    return {
+        'Content-Type': 'application/json',
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+    };
+};
+
+/**
+ * Turn a failed response into an Error carrying the server's message and field errors
+ * @param {Response} response - The fetch response
+ * @param {string} fallback - Message used when the body has none
+ * @returns {Promise<Error>}
+ */
+const readError = async (response, fallback) => {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || `${fallback}: ${response.status}`);
+    error.status = response.status;
+    error.errors = body.errors;
+    error.conflicts = body.conflicts;
+    return error;
+};
+
 class ReviewService {
+    /**
+     * Fetch the threaded comments for a proposal
+     * @param {string} proposalId - The proposal ID
+     * @returns {Promise<Object>} `{ success, comments }`, replies nested under `replies`
+     */
+    async getComments(proposalId) {
+        try {
+            const response = await fetch(`${API_BASE_URL}/proposals/${proposalId}/comments`, {
+                method: 'GET',
+                headers: authHeaders(),
+            });
+
+            if (!response.ok) {
+                throw await readError(response, 'Failed to fetch comments');
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('ReviewService.getComments error:', error);
+            throw error;
+        }
+    }
+
     /**
      * Add a comment to a proposal
      * @param {string} proposalId - The proposal ID
      * @param {string} comment - The comment text
-     * @returns {Promise<Object>} The API response
+     * @param {Object} [options]
+     * @param {number} [options.parentId] - Comment being replied to
+     * @param {boolean} [options.internal] - Reviewer-only note, hidden from the student
+     * @returns {Promise<Object>} `{ success, comment }`
      */
-    async addComment(proposalId, comment) {
+    async addComment(proposalId, comment, { parentId = null, internal = false } = {}) {
         try {
             const response = await fetch(`${API_BASE_URL}/proposals/${proposalId}/comments`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    // Add auth headers as needed
-                    // 'Authorization': `Bearer ${getAuthToken()}`,
-                },
-                body: JSON.stringify({
-                    comment,
-                    timestamp: new Date().toISOString(),
-                }),
+                headers: authHeaders(),
+                body: JSON.stringify({ comment, parentId, internal }),
             });
 
             if (!response.ok) {
-                throw new Error(`Failed to add comment: ${response.status}`);
+                throw await readError(response, 'Failed to add comment');
             }
 
             return await response.json();
@@ -52,28 +108,20 @@ class ReviewService {
      * @param {Object} reviewData - The review data
      * @param {string} reviewData.proposalId - The proposal ID
      * @param {string} reviewData.decision - The review decision (approve, reject, revision)
-     * @param {string} reviewData.comment - Optional review comment
-     * @returns {Promise<Object>} The API response
+     * @param {string} reviewData.comment - Reason; required for reject and revision
+     * @param {boolean} [reviewData.overrideConflicts] - Approve despite blocking schedule conflicts (comment required)
+     * @returns {Promise<Object>} `{ success, data: { proposalId, status, reviewedAt, reviewedBy } }`
      */
-    async submitReview({ proposalId, decision, comment }) {
+    async submitReview({ proposalId, decision, comment, overrideConflicts = false }) {
         try {
             const response = await fetch(`${API_BASE_URL}/proposals/${proposalId}/review`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    // Add auth headers as needed
-                    // 'Authorization': `Bearer ${getAuthToken()}`,
-                },
-                body: JSON.stringify({
-                    decision,
-                    comment,
-                    reviewedAt: new Date().toISOString(),
-                    reviewerId: 'current-admin-id', // Get from auth context
-                }),
+                headers: authHeaders(),
+                body: JSON.stringify({ decision, comment, overrideConflicts }),
             });
 
             if (!response.ok) {
-                throw new Error(`Failed to submit review: ${response.status}`);
+                throw await readError(response, 'Failed to submit review');
             }
 
             return await response.json();
@@ -86,21 +134,17 @@ class ReviewService {
     /**
      * Fetch proposal details with additional review data
      * @param {string} proposalId - The proposal ID
-     * @returns {Promise<Object>} The proposal with review data
+     * @returns {Promise<Object>} `{ success, data }` with comments, reviews, documentation requests and history
      */
     async getProposalDetails(proposalId) {
         try {
             const response = await fetch(`${API_BASE_URL}/proposals/${proposalId}/details`, {
                 method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    // Add auth headers as needed
-                    // 'Authorization': `Bearer ${getAuthToken()}`,
-                },
+                headers: authHeaders(),
             });
 
             if (!response.ok) {
-                throw new Error(`Failed to fetch proposal details: ${response.status}`);
+                throw await readError(response, 'Failed to fetch proposal details');
             }
 
             return await response.json();
@@ -114,25 +158,19 @@ class ReviewService {
      * Update proposal status
      * @param {string} proposalId - The proposal ID
      * @param {string} status - The new status
+     * @param {string} [reason] - Required for denied / revision_requested
      * @returns {Promise<Object>} The API response
      */
-    async updateProposalStatus(proposalId, status) {
+    async updateProposalStatus(proposalId, status, reason = '') {
         try {
             const response = await fetch(`${API_BASE_URL}/proposals/${proposalId}/status`, {
                 method: 'PATCH',
-                headers: {
-                    'Content-Type': 'application/json',
-                    // Add auth headers as needed
-                    // 'Authorization': `Bearer ${getAuthToken()}`,
-                },
-                body: JSON.stringify({
-                    status,
-                    updatedAt: new Date().toISOString(),
-                }),
+                headers: authHeaders(),
+                body: JSON.stringify({ status, reason }),
             });
 
             if (!response.ok) {
-                throw new Error(`Failed to update proposal status: ${response.status}`);
+                throw await readError(response, 'Failed to update proposal status');
             }
 
             return await response.json();
@@ -142,30 +180,70 @@ class ReviewService {
         }
     }
 
+    /**
+     * Fetch venue, organization and blackout conflicts for a proposal
+     * @param {string} proposalId - The proposal ID
+     * @returns {Promise<Object>} `{ success, conflicts, hasConflicts, hasBlockingConflicts }`
+     */
+    async getScheduleConflicts(proposalId) {
+        try {
+            const response = await fetch(`${API_BASE_URL}/schedule/conflicts/proposals/${proposalId}`, {
+                method: 'GET',
+                headers: authHeaders(),
+            });
+
+            if (!response.ok) {
+                throw await readError(response, 'Failed to fetch schedule conflicts');
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('ReviewService.getScheduleConflicts error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch the status timeline (proposal_status_history) for a proposal
+     * @param {string} proposalId - The proposal ID
+     * @returns {Promise<Object>} `{ success, proposalStatus, reportStatus, history }`
+     */
+    async getProposalHistory(proposalId) {
+        try {
+            const response = await fetch(`${API_BASE_URL}/proposals/${proposalId}/history`, {
+                method: 'GET',
+                headers: authHeaders(),
+            });
+
+            if (!response.ok) {
+                throw await readError(response, 'Failed to fetch proposal history');
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('ReviewService.getProposalHistory error:', error);
+            throw error;
+        }
+    }
+
     /**
      * Request documentation from proposal submitter
      * @param {string} proposalId - The proposal ID
      * @param {string} message - Optional message to submitter
-     * @returns {Promise<Object>} The API response
+     * @param {Array<string|Object>} [items] - Checklist, e.g. ['Signed GPOA'] or [{ label, description, required }]
+     * @param {string} [dueDate] - Optional YYYY-MM-DD deadline
+     * @returns {Promise<Object>} `{ success, request }` with the created checklist
      */
-    async requestDocumentation(proposalId, message = '') {
+    async requestDocumentation(proposalId, message = '', items = [], dueDate = null) {
         try {
             const response = await fetch(`${API_BASE_URL}/proposals/${proposalId}/request-documentation`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    // Add auth headers as needed
-                    // 'Authorization': `Bearer ${getAuthToken()}`,
-                },
-                body: JSON.stringify({
-                    message,
-                    requestedAt: new Date().toISOString(),
-                    requesterId: 'current-admin-id', // Get from auth context
-                }),
+                headers: authHeaders(),
+                body: JSON.stringify({ message, items, dueDate }),
             });
 
             if (!response.ok) {
-                throw new Error(`Failed to request documentation: ${response.status}`);
+                throw await readError(response, 'Failed to request documentation');
             }
 
             return await response.json();
@@ -0,0 +1,205 @@
+'use client';
+// frontend/src/app/(main)/admin-dashboard/settings/components/AutoApprovalRules.jsx
+
+/**
+ * AutoApprovalRules Component - Account Auto-Approval Settings
+ *
+ * Manages the rules served by /api/account-approvals/rules. A pending student
+ * account whose Google-verified address matches an active rule, or has a
+ * student entry on the email whitelist, is approved when it signs in; everyone
+ * else waits in the Account Approvals queue.
+ *
+ * Features:
+ * - School email domains (subdomains included); single addresses go on the whitelist
+ * - Turn rules on or off without deleting them
+ * - Optional note per rule (e.g. who asked for it)
+ */
+
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import {
+    createApprovalRule,
+    deleteApprovalRule,
+    fetchApprovalRules,
+    updateApprovalRule,
+} from '@/lib/account-approvals-api';
+import { Loader2, Plus, ShieldCheck, Trash2 } from 'lucide-react';
+import { memo, useCallback, useEffect, useState } from 'react';
+import { toast } from 'sonner';
+
+const EMPTY_RULE = { type: 'email_domain', value: '', note: '' };
+
+const AutoApprovalRules = memo(() => {
+    const [rules, setRules] = useState(null);
+    const [error, setError] = useState(null);
+    const [draft, setDraft] = useState(EMPTY_RULE);
+    const [errors, setErrors] = useState({});
+    const [saving, setSaving] = useState(false);
+    const [busyId, setBusyId] = useState(null);
+
+    const load = useCallback(() => {
+        fetchApprovalRules()
+            .then((result) => {
+                setRules(result);
+                setError(null);
+            })
+            .catch((loadError) => setError(loadError.message));
+    }, []);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const addRule = async (event) => {
+        event.preventDefault();
+        setSaving(true);
+        try {
+            const rule = await createApprovalRule(draft);
+            toast.success(`${rule.value} added`);
+            setDraft(EMPTY_RULE);
+            setErrors({});
+            load();
+        } catch (addError) {
+            setErrors(addError.errors || {});
+            toast.error(addError.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const toggleRule = async (rule, isActive) => {
+        setBusyId(rule.id);
+        try {
+            await updateApprovalRule(rule.id, { isActive });
+            load();
+        } catch (toggleError) {
+            toast.error(toggleError.message);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const removeRule = async (rule) => {
+        setBusyId(rule.id);
+        try {
+            await deleteApprovalRule(rule.id);
+            toast.success(`${rule.value} removed`);
+            load();
+        } catch (removeError) {
+            toast.error(removeError.message);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <Card className="border border-gray-100 shadow-sm rounded-lg bg-white">
+            <CardHeader className="p-4 sm:p-6">
+                <CardTitle className="text-lg sm:text-xl font-medium text-cedo-blue flex items-center gap-2">
+                    <ShieldCheck className="h-5 w-5" />
+                    Auto-Approval Rules
+                </CardTitle>
+                <CardDescription>
+                    Pending student accounts are approved automatically when they sign in with Google and Google has
+                    verified their address, either from a school domain listed here or with a student entry on the email
+                    whitelist. Staff accounts and rejected requests always wait for a person in Account Approvals.
+                </CardDescription>
+            </CardHeader>
+            <CardContent className="p-4 sm:p-6 pt-0 space-y-4">
+                <form onSubmit={addRule} className="grid gap-3 sm:grid-cols-[1fr_1fr_auto] sm:items-end">
+                    <div className="space-y-1">
+                        <Label htmlFor="rule-value">School email domain</Label>
+                        <Input
+                            id="rule-value"
+                            value={draft.value}
+                            disabled={saving}
+                            placeholder="my.xu.edu.ph"
+                            onChange={(event) => setDraft((current) => ({ ...current, value: event.target.value }))}
+                        />
+                        {errors.value && <p className="text-sm text-red-600">{errors.value}</p>}
+                    </div>
+                    <div className="space-y-1">
+                        <Label htmlFor="rule-note">Note (optional)</Label>
+                        <Input
+                            id="rule-note"
+                            value={draft.note}
+                            maxLength={255}
+                            disabled={saving}
+                            placeholder="e.g. Requested by the OSA director"
+                            onChange={(event) => setDraft((current) => ({ ...current, note: event.target.value }))}
+                        />
+                    </div>
+                    <Button type="submit" disabled={saving || !draft.value.trim()} className="bg-cedo-blue hover:bg-cedo-blue/90">
+                        {saving ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Plus className="mr-2 h-4 w-4" />}
+                        Add rule
+                    </Button>
+                </form>
+
+                {error ? (
+                    <p className="text-sm text-red-600">{error}</p>
+                ) : !rules ? (
+                    <Loader2 className="h-6 w-6 animate-spin text-cedo-blue mx-auto my-6" />
+                ) : rules.length === 0 ? (
+                    <p className="text-sm text-muted-foreground">
+                        No rules yet. Every new account waits in the Account Approvals queue.
+                    </p>
+                ) : (
+                    <div className="rounded-md border overflow-x-auto">
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>Rule</TableHead>
+                                    <TableHead>Note</TableHead>
+                                    <TableHead>Added</TableHead>
+                                    <TableHead>Active</TableHead>
+                                    <TableHead className="text-right">Remove</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {rules.map((rule) => (
+                                    <TableRow key={rule.id} className={rule.isActive ? undefined : 'opacity-60'}>
+                                        <TableCell>
+                                            <div className="font-mono text-sm">{rule.value}</div>
+                                        </TableCell>
+                                        <TableCell className="text-sm">{rule.note || '—'}</TableCell>
+                                        <TableCell className="text-xs text-muted-foreground">
+                                            {rule.createdAt ? new Date(rule.createdAt).toLocaleDateString() : '—'}
+                                            {rule.createdBy ? ` by ${rule.createdBy}` : ''}
+                                        </TableCell>
+                                        <TableCell>
+                                            <Switch
+                                                checked={rule.isActive}
+                                                disabled={busyId === rule.id}
+                                                onCheckedChange={(checked) => toggleRule(rule, checked)}
+                                                aria-label={`${rule.isActive ? 'Turn off' : 'Turn on'} ${rule.value}`}
+                                            />
+                                        </TableCell>
+                                        <TableCell className="text-right">
+                                            <Button
+                                                variant="ghost"
+                                                size="sm"
+                                                disabled={busyId === rule.id}
+                                                onClick={() => removeRule(rule)}
+                                                aria-label={`Remove ${rule.value}`}
+                                            >
+                                                <Trash2 className="h-4 w-4 text-red-600" />
+                                            </Button>
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+});
+
+AutoApprovalRules.displayName = 'AutoApprovalRules';
+
+export default AutoApprovalRules;
@@ -0,0 +1,472 @@
+'use client';
+// frontend/src/app/(main)/admin-dashboard/settings/components/DataExplorer.jsx
+
+/**
+ * DataExplorer Component - Head Admin Record Browser
+ *
+ * Browses the whitelisted MySQL tables and MongoDB collections served by
+ * /api/data-explorer. Sensitive columns (password hashes, reset tokens) are
+ * redacted by the server and listed above the table instead.
+ *
+ * Features:
+ * - Resource picker, search and pagination
+ * - Read-only unless the server enables writes (DATA_EXPLORER_WRITES=true)
+ * - Editing and deleting always ask for a reason, stored in the audit log
+ * - Audit log of every read and write, filterable by action
+ */
+
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Textarea } from '@/components/ui/textarea';
+import { deleteRecord, fetchAuditLog, fetchRecords, fetchResources, updateRecord } from '@/lib/data-explorer-api';
+import { ChevronLeft, ChevronRight, Database, Edit, History, Loader2, Lock, Search, Trash2 } from 'lucide-react';
+import { memo, useCallback, useEffect, useState } from 'react';
+import { toast } from 'sonner';
+
+const AUDIT_ACTIONS = ['list', 'view', 'update', 'delete'];
+
+const selectClassName = 'h-10 rounded-md border border-input bg-background px-3 text-sm focus:outline-none focus:ring-2 focus:ring-cedo-blue';
+
+// Cells show a short text form of any value (MongoDB fields can be objects)
+const formatValue = (value) => {
+    if (value === null || value === undefined) return '—';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 80 ? `${text.slice(0, 77)}…` : text;
+};
+
+const inputValue = (value) => (value === null || value === undefined ? '' : String(value));
+
+function Pager({ pagination, onPage }) {
+    if (!pagination || pagination.pages <= 1) return null;
+    return (
+        <div className="flex items-center justify-between text-sm text-muted-foreground">
+            <span>
+                Page {pagination.page} of {pagination.pages} ({pagination.total} total)
+            </span>
+            <div className="flex gap-2">
+                <Button variant="outline" size="sm" disabled={pagination.page <= 1} onClick={() => onPage(pagination.page - 1)}>
+                    <ChevronLeft className="h-4 w-4" />
+                </Button>
+                <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={pagination.page >= pagination.pages}
+                    onClick={() => onPage(pagination.page + 1)}
+                >
+                    <ChevronRight className="h-4 w-4" />
+                </Button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Edit or delete dialog. Both need a reason; edits only offer the resource's
+ * editable columns and send the ones that changed.
+ */
+function ChangeDialog({ change, onClose, onDone }) {
+    const [values, setValues] = useState({});
+    const [reason, setReason] = useState('');
+    const [errors, setErrors] = useState({});
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        if (!change) return;
+        setValues(Object.fromEntries(change.resource.editable.map((column) => [column, inputValue(change.record[column])])));
+        setReason('');
+        setErrors({});
+    }, [change]);
+
+    if (!change) return null;
+
+    const { mode, resource, record } = change;
+    const id = record[resource.key];
+    const changes = Object.fromEntries(
+        Object.entries(values)
+            .filter(([column, value]) => value !== inputValue(record[column]))
+            .map(([column, value]) => [column, value === '' ? null : value])
+    );
+    const hasChanges = mode === 'delete' || Object.keys(changes).length > 0;
+
+    const submit = async (event) => {
+        event.preventDefault();
+        if (!reason.trim()) {
+            setErrors({ reason: 'Say why this record is being changed' });
+            return;
+        }
+        setSaving(true);
+        try {
+            if (mode === 'delete') {
+                await deleteRecord(resource.name, id, reason);
+                toast.success(`${resource.label} ${id} deleted`);
+            } else {
+                await updateRecord(resource.name, id, changes, reason);
+                toast.success(`${resource.label} ${id} updated`);
+            }
+            onDone();
+        } catch (error) {
+            setErrors(error.errors || {});
+            toast.error(error.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Dialog open onOpenChange={(open) => !open && !saving && onClose()}>
+            <DialogContent className="max-w-lg">
+                <form onSubmit={submit} className="space-y-4">
+                    <DialogHeader>
+                        <DialogTitle>
+                            {mode === 'delete' ? 'Delete' : 'Edit'} {resource.label} #{id}
+                        </DialogTitle>
+                        <DialogDescription>
+                            {mode === 'delete'
+                                ? 'The record is removed for good. A copy is kept in the audit log.'
+                                : 'Only these columns can be changed here. Leave a field empty to clear it.'}
+                        </DialogDescription>
+                    </DialogHeader>
+
+                    {mode === 'edit' && (
+                        <div className="max-h-72 space-y-3 overflow-y-auto pr-1">
+                            {resource.editable.map((column) => (
+                                <div key={column} className="space-y-1">
+                                    <Label htmlFor={`explorer-${column}`} className="font-mono text-xs">
+                                        {column}
+                                    </Label>
+                                    <Input
+                                        id={`explorer-${column}`}
+                                        value={values[column] ?? ''}
+                                        disabled={saving}
+                                        onChange={(event) => setValues((current) => ({ ...current, [column]: event.target.value }))}
+                                    />
+                                </div>
+                            ))}
+                            {errors.changes && <p className="text-sm text-red-600">{errors.changes}</p>}
+                        </div>
+                    )}
+
+                    <div className="space-y-1">
+                        <Label htmlFor="explorer-reason">Reason (required)</Label>
+                        <Textarea
+                            id="explorer-reason"
+                            value={reason}
+                            maxLength={500}
+                            disabled={saving}
+                            placeholder="e.g. Corrected the contact email at the organization's request"
+                            onChange={(event) => setReason(event.target.value)}
+                        />
+                        {errors.reason && <p className="text-sm text-red-600">{errors.reason}</p>}
+                    </div>
+
+                    <DialogFooter>
+                        <Button type="button" variant="outline" disabled={saving} onClick={onClose}>
+                            Cancel
+                        </Button>
+                        <Button
+                            type="submit"
+                            disabled={saving || !hasChanges}
+                            variant={mode === 'delete' ? 'destructive' : 'default'}
+                            className={mode === 'delete' ? undefined : 'bg-cedo-blue hover:bg-cedo-blue/90'}
+                        >
+                            {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                            {mode === 'delete' ? 'Delete' : 'Save changes'}
+                        </Button>
+                    </DialogFooter>
+                </form>
+            </DialogContent>
+        </Dialog>
+    );
+}
+
+function AuditLog({ resource, refreshKey }) {
+    const [action, setAction] = useState('');
+    const [page, setPage] = useState(1);
+    const [audit, setAudit] = useState(null);
+
+    useEffect(() => {
+        setPage(1);
+    }, [resource, action]);
+
+    useEffect(() => {
+        fetchAuditLog({ resource, action, page, limit: 10 })
+            .then(setAudit)
+            .catch((error) => toast.error(error.message));
+    }, [resource, action, page, refreshKey]);
+
+    return (
+        <Card className="border border-gray-100 shadow-sm rounded-lg bg-white">
+            <CardHeader className="p-4 sm:p-6">
+                <div className="flex flex-wrap items-center justify-between gap-3">
+                    <div>
+                        <CardTitle className="text-lg font-medium text-cedo-blue flex items-center gap-2">
+                            <History className="h-5 w-5" />
+                            Audit Log
+                        </CardTitle>
+                        <CardDescription>Every record viewed or changed through the explorer, newest first.</CardDescription>
+                    </div>
+                    <select
+                        aria-label="Filter by action"
+                        value={action}
+                        onChange={(event) => setAction(event.target.value)}
+                        className={selectClassName}
+                    >
+                        <option value="">All actions</option>
+                        {AUDIT_ACTIONS.map((option) => (
+                            <option key={option} value={option}>
+                                {option.charAt(0).toUpperCase() + option.slice(1)}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+            </CardHeader>
+            <CardContent className="space-y-4 p-4 pt-0 sm:p-6 sm:pt-0">
+                {!audit ? (
+                    <Loader2 className="h-5 w-5 animate-spin text-cedo-blue" />
+                ) : audit.entries.length === 0 ? (
+                    <p className="text-sm text-muted-foreground">Nothing recorded yet.</p>
+                ) : (
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>When</TableHead>
+                                <TableHead>Who</TableHead>
+                                <TableHead>Action</TableHead>
+                                <TableHead>Record</TableHead>
+                                <TableHead>Reason</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {audit.entries.map((entry) => (
+                                <TableRow key={entry.id}>
+                                    <TableCell className="whitespace-nowrap text-xs">
+                                        {new Date(entry.createdAt).toLocaleString()}
+                                    </TableCell>
+                                    <TableCell className="text-xs">{entry.actor.name || entry.actor.role || 'Unknown'}</TableCell>
+                                    <TableCell>
+                                        <Badge variant={['update', 'delete'].includes(entry.action) ? 'destructive' : 'secondary'}>
+                                            {entry.action}
+                                        </Badge>
+                                    </TableCell>
+                                    <TableCell className="font-mono text-xs">
+                                        {entry.resource}
+                                        {entry.recordId ? ` #${entry.recordId}` : ''}
+                                    </TableCell>
+                                    <TableCell className="text-xs" title={entry.details ? JSON.stringify(entry.details) : undefined}>
+                                        {entry.reason || '—'}
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                )}
+                <Pager pagination={audit?.pagination} onPage={setPage} />
+            </CardContent>
+        </Card>
+    );
+}
+
+const DataExplorer = memo(() => {
+    const [meta, setMeta] = useState(null);
+    const [resourceName, setResourceName] = useState('');
+    const [search, setSearch] = useState('');
+    const [query, setQuery] = useState({ q: '', page: 1 });
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [change, setChange] = useState(null);
+    const [refreshKey, setRefreshKey] = useState(0);
+
+    useEffect(() => {
+        fetchResources()
+            .then((result) => {
+                setMeta(result);
+                setResourceName(result.resources[0]?.name || '');
+            })
+            .catch((loadError) => setError(loadError.message));
+    }, []);
+
+    const load = useCallback(() => {
+        if (!resourceName) return;
+        setLoading(true);
+        fetchRecords(resourceName, { page: query.page, q: query.q, limit: 25 })
+            .then((result) => {
+                setData(result);
+                setError(null);
+            })
+            .catch((loadError) => setError(loadError.message))
+            .finally(() => {
+                setLoading(false);
+                // Reads are audited too
+                setRefreshKey((key) => key + 1);
+            });
+    }, [resourceName, query]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const selectResource = (name) => {
+        setResourceName(name);
+        setSearch('');
+        setQuery({ q: '', page: 1 });
+        setData(null);
+    };
+
+    const resource = data?.resource;
+    const canEdit = Boolean(meta?.canWrite && resource?.editable.length > 0);
+    const canDelete = Boolean(meta?.canWrite && resource?.deletable);
+
+    return (
+        <div className="space-y-4 sm:space-y-6">
+            <Card className="border border-gray-100 shadow-sm rounded-lg bg-white">
+                <CardHeader className="p-4 sm:p-6">
+                    <CardTitle className="text-lg sm:text-xl font-medium text-cedo-blue flex items-center gap-2">
+                        <Database className="h-5 w-5" />
+                        <span>Data Explorer</span>
+                        {meta && (
+                            <Badge variant={meta.canWrite ? 'destructive' : 'secondary'} className="ml-auto">
+                                {meta.canWrite ? 'Editing enabled' : 'Read-only'}
+                            </Badge>
+                        )}
+                    </CardTitle>
+                    <CardDescription>
+                        Browse selected tables and collections. Password hashes, reset tokens and other sensitive columns are
+                        never shown, and every view and change is recorded in the audit log below.
+                        {meta && !meta.writesEnabled && ' Changes are turned off on the server (DATA_EXPLORER_WRITES).'}
+                    </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-4 p-4 pt-0 sm:p-6 sm:pt-0">
+                    {error && <p className="text-sm text-red-600">{error}</p>}
+
+                    {meta && (
+                        <form
+                            className="flex flex-wrap gap-2"
+                            onSubmit={(event) => {
+                                event.preventDefault();
+                                setQuery({ q: search.trim(), page: 1 });
+                            }}
+                        >
+                            <select
+                                aria-label="Resource"
+                                value={resourceName}
+                                onChange={(event) => selectResource(event.target.value)}
+                                className={selectClassName}
+                            >
+                                {meta.resources.map((option) => (
+                                    <option key={option.name} value={option.name}>
+                                        {option.label}
+                                    </option>
+                                ))}
+                            </select>
+                            <Input
+                                value={search}
+                                onChange={(event) => setSearch(event.target.value)}
+                                placeholder={resource?.searchable.length ? `Search ${resource.searchable.join(', ')}` : 'Search'}
+                                disabled={!resource?.searchable.length}
+                                className="max-w-xs"
+                            />
+                            <Button type="submit" variant="outline" disabled={!resource?.searchable.length}>
+                                <Search className="mr-2 h-4 w-4" />
+                                Search
+                            </Button>
+                        </form>
+                    )}
+
+                    {data?.redacted.length > 0 && (
+                        <p className="flex items-center gap-1 text-xs text-muted-foreground">
+                            <Lock className="h-3 w-3" />
+                            Hidden columns: <span className="font-mono">{data.redacted.join(', ')}</span>
+                        </p>
+                    )}
+
+                    {loading && !data ? (
+                        <Loader2 className="h-6 w-6 animate-spin text-cedo-blue mx-auto my-6" />
+                    ) : data && data.records.length === 0 ? (
+                        <p className="text-sm text-muted-foreground">No records found.</p>
+                    ) : data ? (
+                        <div className="rounded-md border">
+                            <Table>
+                                <TableHeader>
+                                    <TableRow>
+                                        {data.columns.map((column) => (
+                                            <TableHead key={column} className="whitespace-nowrap font-mono text-xs">
+                                                {column}
+                                            </TableHead>
+                                        ))}
+                                        {(canEdit || canDelete) && <TableHead className="text-right">Actions</TableHead>}
+                                    </TableRow>
+                                </TableHeader>
+                                <TableBody>
+                                    {data.records.map((record) => (
+                                        <TableRow key={String(record[resource.key])}>
+                                            {data.columns.map((column) => (
+                                                <TableCell key={column} className="whitespace-nowrap text-xs">
+                                                    {formatValue(record[column])}
+                                                </TableCell>
+                                            ))}
+                                            {(canEdit || canDelete) && (
+                                                <TableCell className="text-right whitespace-nowrap">
+                                                    {canEdit && (
+                                                        <Button
+                                                            variant="ghost"
+                                                            size="sm"
+                                                            aria-label="Edit record"
+                                                            onClick={() => setChange({ mode: 'edit', resource, record })}
+                                                        >
+                                                            <Edit className="h-4 w-4" />
+                                                        </Button>
+                                                    )}
+                                                    {canDelete && (
+                                                        <Button
+                                                            variant="ghost"
+                                                            size="sm"
+                                                            aria-label="Delete record"
+                                                            className="text-red-600 hover:text-red-700"
+                                                            onClick={() => setChange({ mode: 'delete', resource, record })}
+                                                        >
+                                                            <Trash2 className="h-4 w-4" />
+                                                        </Button>
+                                                    )}
+                                                </TableCell>
+                                            )}
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        </div>
+                    ) : null}
+
+                    <Pager pagination={data?.pagination} onPage={(page) => setQuery((current) => ({ ...current, page }))} />
+                </CardContent>
+            </Card>
+
+            {meta && <AuditLog resource={resourceName} refreshKey={refreshKey} />}
+
+            <ChangeDialog
+                change={change}
+                onClose={() => setChange(null)}
+                onDone={() => {
+                    setChange(null);
+                    load();
+                }}
+            />
+        </div>
+    );
+});
+
+DataExplorer.displayName = 'DataExplorer';
+
+export default DataExplorer;
@@ -0,0 +1,485 @@
+'use client';
+// frontend/src/app/(main)/admin-dashboard/settings/components/EmailWhitelist.jsx
+
+/**
+ * EmailWhitelist Component - Account Provisioning Whitelist
+ *
+ * Manages the entries served by /api/whitelist. The first time a whitelisted
+ * address signs in with Google (and Google has verified it), an approved
+ * account is created with the entry's role, and a pending student account
+ * with a student entry is approved. Anyone else who is not in the system is
+ * shown the "account not found" dialog.
+ *
+ * Features:
+ * - Role, optional expiry date and notes per address
+ * - Filter by active / expired / used entries, search by address or notes
+ * - CSV import (all-or-nothing, with per-line errors) and export
+ */
+
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Textarea } from '@/components/ui/textarea';
+import {
+    createWhitelistEntry,
+    deleteWhitelistEntry,
+    downloadWhitelist,
+    fetchWhitelist,
+    importWhitelist,
+    updateWhitelistEntry,
+} from '@/lib/whitelist-api';
+import { Download, Loader2, Mail, Pencil, Plus, Trash2, Upload } from 'lucide-react';
+import { memo, useCallback, useEffect, useRef, useState } from 'react';
+import { toast } from 'sonner';
+
+const ROLE_LABELS = {
+    student: 'Student',
+    partner: 'Partner',
+    reviewer: 'Reviewer',
+    manager: 'Manager',
+    head_admin: 'Head Admin',
+};
+
+const STATUS_FILTERS = {
+    all: 'All entries',
+    active: 'Waiting for sign-in',
+    provisioned: 'Account created',
+    expired: 'Expired',
+};
+
+const selectClassName = 'h-10 rounded-md border border-input bg-background px-3 text-sm focus:outline-none focus:ring-2 focus:ring-cedo-blue';
+
+const EMPTY_ENTRY = { email: '', role: 'student', expiresAt: '', notes: '' };
+
+// <input type="date"> value in local time
+const toDateInput = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+function RoleSelect({ id, value, disabled, onChange }) {
+    return (
+        <select id={id} className={selectClassName} value={value} disabled={disabled} onChange={(event) => onChange(event.target.value)}>
+            {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                <option key={role} value={role}>
+                    {label}
+                </option>
+            ))}
+        </select>
+    );
+}
+
+function EditEntryDialog({ entry, onClose, onSaved }) {
+    const [draft, setDraft] = useState({
+        role: entry.role,
+        expiresAt: toDateInput(entry.expiresAt),
+        notes: entry.notes || '',
+    });
+    const [errors, setErrors] = useState({});
+    const [saving, setSaving] = useState(false);
+
+    const save = async (event) => {
+        event.preventDefault();
+        setSaving(true);
+        try {
+            await updateWhitelistEntry(entry.id, { ...draft, expiresAt: draft.expiresAt || null });
+            toast.success(`${entry.email} updated`);
+            onSaved();
+        } catch (saveError) {
+            setErrors(saveError.errors || {});
+            toast.error(saveError.message);
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Dialog open onOpenChange={(open) => !open && !saving && onClose()}>
+            <DialogContent className="max-w-lg">
+                <form onSubmit={save} className="space-y-4">
+                    <DialogHeader>
+                        <DialogTitle>Edit whitelist entry</DialogTitle>
+                        <DialogDescription className="font-mono">{entry.email}</DialogDescription>
+                    </DialogHeader>
+                    <div className="grid gap-3 sm:grid-cols-2">
+                        <div className="space-y-1">
+                            <Label htmlFor="edit-role">Role</Label>
+                            <RoleSelect
+                                id="edit-role"
+                                value={draft.role}
+                                disabled={saving}
+                                onChange={(role) => setDraft((current) => ({ ...current, role }))}
+                            />
+                            {errors.role && <p className="text-sm text-red-600">{errors.role}</p>}
+                        </div>
+                        <div className="space-y-1">
+                            <Label htmlFor="edit-expires">Expires (optional)</Label>
+                            <Input
+                                id="edit-expires"
+                                type="date"
+                                value={draft.expiresAt}
+                                disabled={saving}
+                                onChange={(event) => setDraft((current) => ({ ...current, expiresAt: event.target.value }))}
+                            />
+                            {errors.expiresAt && <p className="text-sm text-red-600">{errors.expiresAt}</p>}
+                        </div>
+                    </div>
+                    <div className="space-y-1">
+                        <Label htmlFor="edit-notes">Notes</Label>
+                        <Textarea
+                            id="edit-notes"
+                            rows={3}
+                            maxLength={1000}
+                            value={draft.notes}
+                            disabled={saving}
+                            onChange={(event) => setDraft((current) => ({ ...current, notes: event.target.value }))}
+                        />
+                        {errors.notes && <p className="text-sm text-red-600">{errors.notes}</p>}
+                    </div>
+                    <DialogFooter>
+                        <Button type="button" variant="outline" disabled={saving} onClick={onClose}>
+                            Cancel
+                        </Button>
+                        <Button type="submit" disabled={saving} className="bg-cedo-blue hover:bg-cedo-blue/90">
+                            {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                            Save
+                        </Button>
+                    </DialogFooter>
+                </form>
+            </DialogContent>
+        </Dialog>
+    );
+}
+
+const EmailWhitelist = memo(() => {
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+    const [filters, setFilters] = useState({ status: 'all', q: '', page: 1 });
+    const [draft, setDraft] = useState(EMPTY_ENTRY);
+    const [errors, setErrors] = useState({});
+    const [saving, setSaving] = useState(false);
+    const [busyId, setBusyId] = useState(null);
+    const [editing, setEditing] = useState(null);
+    const [importing, setImporting] = useState(false);
+    const [importErrors, setImportErrors] = useState(null);
+    const fileInput = useRef(null);
+
+    const load = useCallback(() => {
+        fetchWhitelist({ status: filters.status, q: filters.q.trim(), page: filters.page })
+            .then((page) => {
+                setResult(page);
+                setError(null);
+            })
+            .catch((loadError) => setError(loadError.message));
+    }, [filters]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const setFilter = (key, value) => setFilters((current) => ({ ...current, [key]: value, page: 1 }));
+
+    const addEntry = async (event) => {
+        event.preventDefault();
+        setSaving(true);
+        try {
+            const entry = await createWhitelistEntry({ ...draft, expiresAt: draft.expiresAt || null });
+            toast.success(`${entry.email} whitelisted`);
+            setDraft((current) => ({ ...EMPTY_ENTRY, role: current.role }));
+            setErrors({});
+            load();
+        } catch (addError) {
+            setErrors(addError.errors || {});
+            toast.error(addError.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const removeEntry = async (entry) => {
+        setBusyId(entry.id);
+        try {
+            await deleteWhitelistEntry(entry.id);
+            toast.success(`${entry.email} removed`);
+            load();
+        } catch (removeError) {
+            toast.error(removeError.message);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const importFile = async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+        setImporting(true);
+        setImportErrors(null);
+        try {
+            const summary = await importWhitelist(file);
+            toast.success(`Whitelist imported: ${summary.message}`);
+            load();
+        } catch (importError) {
+            setImportErrors({ message: importError.message, rows: importError.errors?.rows || [], file: importError.errors?.file });
+            toast.error(importError.message);
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    const exportFile = () => {
+        downloadWhitelist().catch((exportError) => toast.error(exportError.message));
+    };
+
+    const pagination = result?.pagination;
+
+    return (
+        <Card className="border border-gray-100 shadow-sm rounded-lg bg-white">
+            <CardHeader className="p-4 sm:p-6">
+                <CardTitle className="text-lg sm:text-xl font-medium text-cedo-blue flex items-center gap-2">
+                    <Mail className="h-5 w-5" />
+                    Email Whitelist
+                </CardTitle>
+                <CardDescription>
+                    The first time a whitelisted address signs in with Google, an approved account is created with the
+                    role listed here; a pending student account with a student entry is approved instead. Addresses
+                    that are neither registered nor whitelisted cannot sign in.
+                </CardDescription>
+            </CardHeader>
+            <CardContent className="p-4 sm:p-6 pt-0 space-y-4">
+                <form onSubmit={addEntry} className="grid gap-3 lg:grid-cols-[2fr_auto_auto_2fr_auto] lg:items-end">
+                    <div className="space-y-1">
+                        <Label htmlFor="whitelist-email">Email address</Label>
+                        <Input
+                            id="whitelist-email"
+                            type="email"
+                            value={draft.email}
+                            disabled={saving}
+                            placeholder="guest.speaker@gmail.com"
+                            onChange={(event) => setDraft((current) => ({ ...current, email: event.target.value }))}
+                        />
+                        {errors.email && <p className="text-sm text-red-600">{errors.email}</p>}
+                    </div>
+                    <div className="space-y-1">
+                        <Label htmlFor="whitelist-role">Role</Label>
+                        <RoleSelect
+                            id="whitelist-role"
+                            value={draft.role}
+                            disabled={saving}
+                            onChange={(role) => setDraft((current) => ({ ...current, role }))}
+                        />
+                        {errors.role && <p className="text-sm text-red-600">{errors.role}</p>}
+                    </div>
+                    <div className="space-y-1">
+                        <Label htmlFor="whitelist-expires">Expires (optional)</Label>
+                        <Input
+                            id="whitelist-expires"
+                            type="date"
+                            value={draft.expiresAt}
+                            disabled={saving}
+                            onChange={(event) => setDraft((current) => ({ ...current, expiresAt: event.target.value }))}
+                        />
+                        {errors.expiresAt && <p className="text-sm text-red-600">{errors.expiresAt}</p>}
+                    </div>
+                    <div className="space-y-1">
+                        <Label htmlFor="whitelist-notes">Notes (optional)</Label>
+                        <Input
+                            id="whitelist-notes"
+                            value={draft.notes}
+                            maxLength={1000}
+                            disabled={saving}
+                            placeholder="e.g. Keynote speaker, CEDO Week"
+                            onChange={(event) => setDraft((current) => ({ ...current, notes: event.target.value }))}
+                        />
+                    </div>
+                    <Button type="submit" disabled={saving || !draft.email.trim()} className="bg-cedo-blue hover:bg-cedo-blue/90">
+                        {saving ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Plus className="mr-2 h-4 w-4" />}
+                        Add
+                    </Button>
+                </form>
+
+                <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+                    <div className="flex flex-col gap-2 sm:flex-row">
+                        <select
+                            aria-label="Filter entries"
+                            className={selectClassName}
+                            value={filters.status}
+                            onChange={(event) => setFilter('status', event.target.value)}
+                        >
+                            {Object.entries(STATUS_FILTERS).map(([value, label]) => (
+                                <option key={value} value={value}>
+                                    {label}
+                                </option>
+                            ))}
+                        </select>
+                        <Input
+                            aria-label="Search entries"
+                            placeholder="Search address or notes"
+                            value={filters.q}
+                            onChange={(event) => setFilter('q', event.target.value)}
+                            className="sm:w-64"
+                        />
+                    </div>
+                    <div className="flex gap-2">
+                        <input ref={fileInput} type="file" accept=".csv,text/csv" className="hidden" onChange={importFile} />
+                        <Button variant="outline" disabled={importing} onClick={() => fileInput.current?.click()}>
+                            {importing ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Upload className="mr-2 h-4 w-4" />}
+                            Import CSV
+                        </Button>
+                        <Button variant="outline" onClick={exportFile}>
+                            <Download className="mr-2 h-4 w-4" />
+                            Export CSV
+                        </Button>
+                    </div>
+                </div>
+                <p className="text-xs text-muted-foreground">
+                    CSV columns: <span className="font-mono">email, role, expires_at, notes</span>. Existing addresses
+                    are updated. If any row is invalid, nothing is imported.
+                </p>
+
+                {importErrors && (
+                    <Alert variant="destructive">
+                        <AlertTitle>{importErrors.message}</AlertTitle>
+                        <AlertDescription>
+                            {importErrors.file && <p>{importErrors.file}</p>}
+                            {importErrors.rows.length > 0 && (
+                                <ul className="mt-1 max-h-40 overflow-y-auto text-sm">
+                                    {importErrors.rows.map((row) => (
+                                        <li key={row.line}>
+                                            Line {row.line}
+                                            {row.email ? ` (${row.email})` : ''}: {row.message}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </AlertDescription>
+                    </Alert>
+                )}
+
+                {error ? (
+                    <p className="text-sm text-red-600">{error}</p>
+                ) : !result ? (
+                    <Loader2 className="h-6 w-6 animate-spin text-cedo-blue mx-auto my-6" />
+                ) : result.entries.length === 0 ? (
+                    <p className="text-sm text-muted-foreground">No whitelisted addresses match.</p>
+                ) : (
+                    <div className="rounded-md border overflow-x-auto">
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>Address</TableHead>
+                                    <TableHead>Role</TableHead>
+                                    <TableHead>Expires</TableHead>
+                                    <TableHead>Status</TableHead>
+                                    <TableHead className="text-right">Actions</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {result.entries.map((entry) => (
+                                    <TableRow key={entry.id} className={entry.isExpired && !entry.provisionedUser ? 'opacity-60' : undefined}>
+                                        <TableCell>
+                                            <div className="font-mono text-sm">{entry.email}</div>
+                                            {entry.notes && <div className="text-xs text-muted-foreground">{entry.notes}</div>}
+                                        </TableCell>
+                                        <TableCell>
+                                            <Badge variant="outline">{ROLE_LABELS[entry.role] || entry.role}</Badge>
+                                        </TableCell>
+                                        <TableCell className="text-sm">{entry.expiresAt ? formatDate(entry.expiresAt) : 'Never'}</TableCell>
+                                        <TableCell className="text-sm">
+                                            {entry.provisionedUser ? (
+                                                <span className="text-green-700">
+                                                    Account created {formatDate(entry.provisionedAt)}
+                                                    {entry.provisionedUser.name ? ` (${entry.provisionedUser.name})` : ''}
+                                                </span>
+                                            ) : entry.isExpired ? (
+                                                <span className="text-red-600">Expired</span>
+                                            ) : (
+                                                <span className="text-muted-foreground">Waiting for sign-in</span>
+                                            )}
+                                        </TableCell>
+                                        <TableCell className="text-right whitespace-nowrap">
+                                            <Button
+                                                variant="ghost"
+                                                size="sm"
+                                                disabled={busyId === entry.id || Boolean(entry.provisionedUser)}
+                                                onClick={() => setEditing(entry)}
+                                                aria-label={`Edit ${entry.email}`}
+                                            >
+                                                <Pencil className="h-4 w-4" />
+                                            </Button>
+                                            <Button
+                                                variant="ghost"
+                                                size="sm"
+                                                disabled={busyId === entry.id}
+                                                onClick={() => removeEntry(entry)}
+                                                aria-label={`Remove ${entry.email}`}
+                                            >
+                                                <Trash2 className="h-4 w-4 text-red-600" />
+                                            </Button>
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </div>
+                )}
+
+                {pagination && pagination.pages > 1 && (
+                    <div className="flex items-center justify-between text-sm">
+                        <span className="text-muted-foreground">
+                            Page {pagination.page} of {pagination.pages} ({pagination.total} entries)
+                        </span>
+                        <div className="flex gap-2">
+                            <Button
+                                variant="outline"
+                                size="sm"
+                                disabled={pagination.page <= 1}
+                                onClick={() => setFilters((current) => ({ ...current, page: current.page - 1 }))}
+                            >
+                                Previous
+                            </Button>
+                            <Button
+                                variant="outline"
+                                size="sm"
+                                disabled={pagination.page >= pagination.pages}
+                                onClick={() => setFilters((current) => ({ ...current, page: current.page + 1 }))}
+                            >
+                                Next
+                            </Button>
+                        </div>
+                    </div>
+                )}
+            </CardContent>
+
+            {editing && (
+                <EditEntryDialog
+                    entry={editing}
+                    onClose={() => setEditing(null)}
+                    onSaved={() => {
+                        setEditing(null);
+                        load();
+                    }}
+                />
+            )}
+        </Card>
+    );
+});
+
+EmailWhitelist.displayName = 'EmailWhitelist';
+
+export default EmailWhitelist;
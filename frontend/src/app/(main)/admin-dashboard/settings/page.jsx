@@ -14,7 +14,10 @@ import NextDynamic from 'next/dynamic';
 import { memo, useCallback, useEffect, useMemo, useState } from 'react';
 
 // Custom Hook and Components
+import AutoApprovalRules from "./components/AutoApprovalRules";
 import ConfirmationDialog from "./components/ConfirmationDialog";
+import DataExplorer from "./components/DataExplorer";
+import EmailWhitelist from "./components/EmailWhitelist";
 import UserTable from "./components/UserTable";
 import { useWhitelist } from "./hooks/useWhitelist";
 
@@ -35,6 +38,7 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { hasPermission } from "@/lib/permissions";
 
 // Icons
 import {
@@ -42,6 +46,7 @@ import {
     Check,
     ChevronDown,
     Copy,
+    Database,
     Download,
     Eye,
     EyeOff,
@@ -50,6 +55,7 @@ import {
     Plus,
     RefreshCw,
     Search,
+    ShieldCheck,
     User,
     Users,
     X
@@ -61,6 +67,7 @@ const WhitelistManagementPage = memo(() => {
 
     // Use the custom whitelist hook for all business logic
     const whitelist = useWhitelist(authUser)
+    const canExplore = hasPermission(authUser, "data:explore")
 
     // Edit modal state
     const [editModal, setEditModal] = useState({
@@ -220,7 +227,7 @@ const WhitelistManagementPage = memo(() => {
             <div className="mt-6">
                 <Tabs defaultValue="whitelist" className="w-full">
                     {/* Responsive tabs - mobile-first design */}
-                    <TabsList className="grid w-full grid-cols-2 mb-4 sm:mb-6 h-auto">
+                    <TabsList className={`grid w-full ${canExplore ? "grid-cols-5" : "grid-cols-4"} mb-4 sm:mb-6 h-auto`}>
                         <TabsTrigger
                             value="whitelist"
                             className="flex items-center gap-1 sm:gap-2 px-2 sm:px-4 py-2 sm:py-3 text-xs sm:text-sm md:text-base"
@@ -238,6 +245,29 @@ const WhitelistManagementPage = memo(() => {
                             <span className="hidden xs:inline sm:hidden lg:inline">Add New User</span>
                             <span className="xs:hidden sm:inline lg:hidden">Add User</span>
                         </TabsTrigger>
+                        <TabsTrigger
+                            value="email-whitelist"
+                            className="flex items-center gap-1 sm:gap-2 px-2 sm:px-4 py-2 sm:py-3 text-xs sm:text-sm md:text-base"
+                        >
+                            <Mail className="h-3 w-3 sm:h-4 sm:w-4" />
+                            <span>Email Whitelist</span>
+                        </TabsTrigger>
+                        <TabsTrigger
+                            value="auto-approval"
+                            className="flex items-center gap-1 sm:gap-2 px-2 sm:px-4 py-2 sm:py-3 text-xs sm:text-sm md:text-base"
+                        >
+                            <ShieldCheck className="h-3 w-3 sm:h-4 sm:w-4" />
+                            <span>Auto-Approval</span>
+                        </TabsTrigger>
+                        {canExplore && (
+                            <TabsTrigger
+                                value="data-explorer"
+                                className="flex items-center gap-1 sm:gap-2 px-2 sm:px-4 py-2 sm:py-3 text-xs sm:text-sm md:text-base"
+                            >
+                                <Database className="h-3 w-3 sm:h-4 sm:w-4" />
+                                <span>Data Explorer</span>
+                            </TabsTrigger>
+                        )}
                     </TabsList>
 
                     {/* Whitelist View Tab - Implementing responsive grid patterns */}
@@ -587,6 +617,23 @@ const WhitelistManagementPage = memo(() => {
                             </CardContent>
                         </Card>
                     </TabsContent>
+
+                    {/* Email Whitelist Tab - addresses that get an account on their first Google sign-in */}
+                    <TabsContent value="email-whitelist">
+                        <EmailWhitelist />
+                    </TabsContent>
+
+                    {/* Auto-Approval Tab - domains and addresses approved on verified Google sign-in */}
+                    <TabsContent value="auto-approval">
+                        <AutoApprovalRules />
+                    </TabsContent>
+
+                    {/* Data Explorer Tab - head admins only, read-only unless the server allows changes */}
+                    {canExplore && (
+                        <TabsContent value="data-explorer">
+                            <DataExplorer />
+                        </TabsContent>
+                    )}
                 </Tabs>
             </div>
 
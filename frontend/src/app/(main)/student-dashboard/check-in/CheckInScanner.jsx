@@ -0,0 +1,248 @@
+"use client"
+
+import { Button } from "@/components/dashboard/student/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/dashboard/student/ui/card";
+import { Input } from "@/components/dashboard/student/ui/input";
+import { checkInOrQueue, extractCheckInCode, flushCheckInQueue, getQueuedCheckIns } from "@/lib/check-in-api";
+import { Camera, CameraOff, CheckCircle2, CloudOff, Loader2, XCircle } from "lucide-react";
+import { useRouter, useSearchParams } from "next/navigation";
+import { useCallback, useEffect, useRef, useState } from "react";
+import { toast } from "sonner";
+
+// How often the camera frame is checked for a QR code
+const SCAN_INTERVAL_MS = 300;
+
+const formatTime = (value) =>
+  new Date(value).toLocaleString("en-US", { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+
+/**
+ * Student side of event check-in. Codes arrive three ways: the URL a phone's
+ * camera app opens (?code=), the in-page camera scanner (browsers with
+ * BarcodeDetector) or pasting the code. Scans made offline are queued and
+ * sent when the connection returns.
+ */
+export function CheckInScanner() {
+  const router = useRouter()
+  const searchParams = useSearchParams()
+  const [status, setStatus] = useState(null)
+  const [working, setWorking] = useState(false)
+  const [queued, setQueued] = useState([])
+  const [manualCode, setManualCode] = useState("")
+  const [scanning, setScanning] = useState(false)
+  const [cameraSupported, setCameraSupported] = useState(false)
+  const videoRef = useRef(null)
+  const streamRef = useRef(null)
+  const handledUrlCode = useRef(false)
+
+  const refreshQueue = () => setQueued(getQueuedCheckIns())
+
+  const handleCode = useCallback(async (rawValue) => {
+    const code = extractCheckInCode(rawValue)
+    if (!code) {
+      setStatus({ type: "error", message: "That QR code is not an event check-in code." })
+      return
+    }
+
+    setWorking(true)
+    try {
+      const { queued: wasQueued, result } = await checkInOrQueue(code)
+      if (wasQueued) {
+        setStatus({ type: "queued", message: "You're offline. Your check-in was saved and will be sent when you reconnect; it only counts if you reconnect within a few minutes." })
+      } else {
+        setStatus({ type: result.alreadyCheckedIn ? "already" : "success", event: result.event, checkedInAt: result.checkedInAt })
+      }
+    } catch (error) {
+      setStatus({ type: "error", message: error.message })
+    } finally {
+      setWorking(false)
+      refreshQueue()
+    }
+  }, [])
+
+  const sendQueued = useCallback(async () => {
+    if (getQueuedCheckIns().length === 0) return
+    const { sent, rejected } = await flushCheckInQueue()
+    sent.forEach((result) => {
+      if (!result.alreadyCheckedIn) toast.success(`Checked in to ${result.event.name}`)
+    })
+    rejected.forEach(({ error }) => toast.error(`A saved check-in was not accepted: ${error}`))
+    refreshQueue()
+  }, [])
+
+  // Send anything queued earlier, then handle a code from the QR link
+  useEffect(() => {
+    setCameraSupported(typeof window !== "undefined" && "BarcodeDetector" in window && Boolean(navigator.mediaDevices))
+    refreshQueue()
+    sendQueued()
+
+    window.addEventListener("online", sendQueued)
+    return () => window.removeEventListener("online", sendQueued)
+  }, [sendQueued])
+
+  useEffect(() => {
+    const code = searchParams.get("code")
+    if (!code || handledUrlCode.current) return
+    handledUrlCode.current = true
+    handleCode(code)
+    // Refreshing the page should not submit the code again
+    router.replace("/student-dashboard/check-in")
+  }, [searchParams, handleCode, router])
+
+  const stopCamera = useCallback(() => {
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach((track) => track.stop())
+      streamRef.current = null
+    }
+    setScanning(false)
+  }, [])
+
+  useEffect(() => stopCamera, [stopCamera])
+
+  const startCamera = async () => {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" } })
+      streamRef.current = stream
+      setScanning(true)
+      setStatus(null)
+    } catch (error) {
+      toast.error("Camera access was denied. Use your phone's camera app or paste the code instead.")
+    }
+  }
+
+  // Attach the stream once the <video> is rendered, then look for a code
+  useEffect(() => {
+    if (!scanning || !videoRef.current || !streamRef.current) return undefined
+
+    const video = videoRef.current
+    video.srcObject = streamRef.current
+    video.play().catch(() => {})
+
+    const detector = new window.BarcodeDetector({ formats: ["qr_code"] })
+    let timer = null
+    let stopped = false
+
+    const detect = async () => {
+      if (stopped) return
+      try {
+        const [barcode] = await detector.detect(video)
+        if (barcode) {
+          stopCamera()
+          handleCode(barcode.rawValue)
+          return
+        }
+      } catch (error) {
+        // Frames before the video starts playing cannot be read
+      }
+      timer = setTimeout(detect, SCAN_INTERVAL_MS)
+    }
+    detect()
+
+    return () => {
+      stopped = true
+      clearTimeout(timer)
+    }
+  }, [scanning, handleCode, stopCamera])
+
+  const handleManualSubmit = (e) => {
+    e.preventDefault()
+    handleCode(manualCode)
+    setManualCode("")
+  }
+
+  return (
+    <div className="grid gap-6 lg:grid-cols-2">
+      <Card className="shadow-sm">
+        <CardHeader>
+          <CardTitle className="text-lg">Scan a check-in code</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {scanning ? (
+            <div className="space-y-3">
+              <video ref={videoRef} className="w-full rounded-md bg-black" muted playsInline />
+              <Button variant="outline" onClick={stopCamera} className="w-full">
+                <CameraOff className="h-4 w-4 mr-2" />
+                Stop camera
+              </Button>
+            </div>
+          ) : cameraSupported ? (
+            <Button onClick={startCamera} disabled={working} className="w-full bg-[#001a56] hover:bg-[#001a56]/90">
+              <Camera className="h-4 w-4 mr-2" />
+              Scan with camera
+            </Button>
+          ) : (
+            <p className="text-sm text-muted-foreground">
+              This browser cannot scan codes. Point your phone&apos;s camera app at the code to open it here, or paste the
+              code below.
+            </p>
+          )}
+
+          <form onSubmit={handleManualSubmit} className="flex gap-2">
+            <Input
+              value={manualCode}
+              onChange={(e) => setManualCode(e.target.value)}
+              placeholder="Paste a check-in code or link"
+              aria-label="Check-in code"
+            />
+            <Button type="submit" variant="outline" disabled={working || !manualCode.trim()}>
+              Check in
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      <Card className="shadow-sm">
+        <CardHeader>
+          <CardTitle className="text-lg">Status</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {working ? (
+            <div className="flex items-center text-sm text-muted-foreground">
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              Checking in...
+            </div>
+          ) : status?.type === "success" || status?.type === "already" ? (
+            <div className="flex items-start gap-3 rounded-md bg-green-50 p-4 text-green-800">
+              <CheckCircle2 className="h-6 w-6 shrink-0" />
+              <div>
+                <p className="font-medium">
+                  {status.type === "already" ? "You're already checked in" : "You're checked in"}
+                </p>
+                <p className="text-sm">
+                  {status.event.name} · {formatTime(status.checkedInAt)}
+                </p>
+              </div>
+            </div>
+          ) : status?.type === "queued" ? (
+            <div className="flex items-start gap-3 rounded-md bg-amber-50 p-4 text-amber-800">
+              <CloudOff className="h-6 w-6 shrink-0" />
+              <p className="text-sm">{status.message}</p>
+            </div>
+          ) : status?.type === "error" ? (
+            <div className="flex items-start gap-3 rounded-md bg-red-50 p-4 text-red-700">
+              <XCircle className="h-6 w-6 shrink-0" />
+              <p className="text-sm">{status.message}</p>
+            </div>
+          ) : (
+            <p className="text-sm text-muted-foreground">No code scanned yet.</p>
+          )}
+
+          {queued.length > 0 && (
+            <div className="space-y-2 rounded-md border border-dashed p-3 text-sm">
+              <p className="font-medium">
+                {queued.length} check-in{queued.length === 1 ? "" : "s"} waiting to be sent
+              </p>
+              <ul className="text-muted-foreground">
+                {queued.map((entry) => (
+                  <li key={entry.code}>Scanned {formatTime(entry.scannedAt)}</li>
+                ))}
+              </ul>
+              <Button variant="outline" size="sm" onClick={sendQueued}>
+                Send now
+              </Button>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -0,0 +1,211 @@
+// frontend/src/app/(main)/student-dashboard/check-in/[proposalId]/page.jsx
+
+"use client"
+
+// Force dynamic rendering to prevent SSG issues
+export const dynamic = 'force-dynamic';
+
+import { Badge } from "@/components/dashboard/student/ui/badge";
+import { Button } from "@/components/dashboard/student/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/dashboard/student/ui/card";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/dashboard/student/ui/table";
+import { useLiveUpdates } from "@/hooks/useLiveUpdates";
+import { fetchCheckInCode, fetchCheckInRoster } from "@/lib/check-in-api";
+import { ArrowLeft, Loader2, Printer, QrCode, RefreshCw, Users } from "lucide-react";
+import Link from "next/link";
+import { useParams } from "next/navigation";
+import { useCallback, useEffect, useState } from "react";
+
+// Fetch the next rotating code shortly before the shown one expires
+const REFRESH_BEFORE_EXPIRY_MS = 30 * 1000;
+
+const SOURCE_LABELS = {
+  check_in: "QR check-in",
+  import: "Attendance list",
+  registration: "Registered",
+  manual: "Added by staff",
+}
+
+const formatTime = (value) => new Date(value).toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" })
+
+/**
+ * Organizer view of an event's check-in: the current QR code (rotating, or a
+ * printable one valid for the whole event) next to a roster that fills in as
+ * students scan.
+ */
+export default function EventCheckInPage() {
+  const { proposalId } = useParams()
+  const [roster, setRoster] = useState(null)
+  const [rosterError, setRosterError] = useState(null)
+  const [code, setCode] = useState(null)
+  const [codeError, setCodeError] = useState(null)
+  const [printable, setPrintable] = useState(false)
+
+  const loadRoster = useCallback(() => {
+    fetchCheckInRoster(proposalId)
+      .then((result) => {
+        setRoster(result)
+        setRosterError(null)
+      })
+      .catch((error) => setRosterError(error.message))
+  }, [proposalId])
+
+  useEffect(() => {
+    loadRoster()
+  }, [loadRoster])
+
+  // Load a code, and keep replacing rotating codes before they expire
+  useEffect(() => {
+    let cancelled = false
+    let timer = null
+
+    const loadCode = () => {
+      fetchCheckInCode(proposalId, { printable })
+        .then((result) => {
+          if (cancelled) return
+          setCode(result)
+          setCodeError(null)
+          if (!printable) {
+            const delay = new Date(result.expiresAt).getTime() - Date.now() - REFRESH_BEFORE_EXPIRY_MS
+            timer = setTimeout(loadCode, Math.max(delay, 5000))
+          }
+        })
+        .catch((error) => {
+          if (cancelled) return
+          setCode(null)
+          setCodeError(error.message)
+        })
+    }
+    loadCode()
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [proposalId, printable])
+
+  useLiveUpdates(["attendance.check_in"], (event, data) => {
+    if (String(data.proposalId) !== String(proposalId)) return
+    setRoster((current) => {
+      if (!current) return current
+      const others = current.checkIns.filter((row) => row.id !== data.attendee.id)
+      return { ...current, checkIns: [data.attendee, ...others], attendanceCount: data.attendanceCount }
+    })
+  })
+
+  const eventName = roster?.event.name || code?.event.name
+
+  return (
+    <div className="space-y-6 p-4 sm:p-6 lg:p-8">
+      <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between print:hidden">
+        <div className="space-y-1">
+          <Link href="/student-dashboard" className="flex items-center text-sm text-muted-foreground hover:text-foreground">
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Dashboard
+          </Link>
+          <h1 className="text-xl sm:text-2xl lg:text-3xl font-bold tracking-tight">{eventName || "Event"} check-in</h1>
+        </div>
+        <div className="flex gap-2">
+          <Button variant={printable ? "outline" : "default"} onClick={() => setPrintable(false)}>
+            <QrCode className="h-4 w-4 mr-2" />
+            Rotating code
+          </Button>
+          <Button variant={printable ? "default" : "outline"} onClick={() => setPrintable(true)}>
+            <Printer className="h-4 w-4 mr-2" />
+            Printable code
+          </Button>
+        </div>
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-[minmax(0,2fr)_minmax(0,3fr)]">
+        <Card className="shadow-sm">
+          <CardHeader className="print:hidden">
+            <CardTitle className="text-lg">Check-in code</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4 text-center">
+            {codeError ? (
+              <p className="text-sm text-red-600">{codeError}</p>
+            ) : !code ? (
+              <Loader2 className="mx-auto h-6 w-6 animate-spin text-muted-foreground" />
+            ) : (
+              <>
+                <p className="hidden text-2xl font-bold print:block">{code.event.name}</p>
+                {/* The SVG comes from our own API; next/image adds nothing for inline data */}
+                {/* eslint-disable-next-line @next/next/no-img-element */}
+                <img
+                  src={`data:image/svg+xml;utf8,${encodeURIComponent(code.qrSvg)}`}
+                  alt={`Check-in code for ${code.event.name}`}
+                  className="mx-auto w-full max-w-xs"
+                />
+                <p className="text-sm text-muted-foreground">
+                  {printable
+                    ? `Valid until ${new Date(code.expiresAt).toLocaleString("en-US")}`
+                    : `Refreshes automatically · valid until ${formatTime(code.expiresAt)}`}
+                </p>
+                <p className="text-sm">Scan with your phone camera or from the CEDO student dashboard.</p>
+                {printable && (
+                  <Button variant="outline" onClick={() => window.print()} className="print:hidden">
+                    <Printer className="h-4 w-4 mr-2" />
+                    Print
+                  </Button>
+                )}
+              </>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card className="shadow-sm print:hidden">
+          <CardHeader className="flex flex-row items-center justify-between space-y-0">
+            <CardTitle className="flex items-center gap-2 text-lg">
+              <Users className="h-5 w-5" />
+              Checked in
+              {roster && <Badge variant="secondary">{roster.checkIns.length}</Badge>}
+            </CardTitle>
+            <Button variant="ghost" size="icon" onClick={loadRoster} aria-label="Refresh roster">
+              <RefreshCw className="h-4 w-4" />
+            </Button>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {rosterError ? (
+              <p className="text-sm text-red-600">{rosterError}</p>
+            ) : !roster ? (
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+            ) : (
+              <>
+                <p className="text-sm text-muted-foreground">
+                  {roster.attendanceCount} attendee(s) on record for the report, including the attendance list.
+                </p>
+                {roster.checkIns.length === 0 ? (
+                  <p className="text-sm text-muted-foreground">No one has checked in yet. New check-ins appear here live.</p>
+                ) : (
+                  <div className="max-h-[32rem] overflow-auto rounded border">
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          <TableHead>Name</TableHead>
+                          <TableHead>Email</TableHead>
+                          <TableHead>Time</TableHead>
+                          <TableHead>Listed via</TableHead>
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {roster.checkIns.map((row) => (
+                          <TableRow key={row.id}>
+                            <TableCell className="font-medium">{row.name}</TableCell>
+                            <TableCell>{row.email || "—"}</TableCell>
+                            <TableCell>{formatTime(row.checkedInAt)}</TableCell>
+                            <TableCell>{SOURCE_LABELS[row.source] || row.source}</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </div>
+                )}
+              </>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+// frontend/src/app/(main)/student-dashboard/check-in/page.jsx
+
+"use client"
+
+// Force dynamic rendering to prevent SSG issues
+export const dynamic = 'force-dynamic';
+
+import { Loader2 } from "lucide-react";
+import { Suspense } from "react";
+import { CheckInScanner } from "./CheckInScanner";
+
+export default function CheckInPage() {
+  return (
+    <div className="space-y-6 p-4 sm:p-6 lg:p-8">
+      <div className="space-y-1">
+        <h1 className="text-xl sm:text-2xl lg:text-3xl font-bold tracking-tight">Event Check-in</h1>
+        <p className="text-sm sm:text-base text-muted-foreground">
+          Scan the QR code shown at the event to record your attendance.
+        </p>
+      </div>
+      {/* CheckInScanner reads ?code= from the URL the QR code opens */}
+      <Suspense fallback={<Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />}>
+        <CheckInScanner />
+      </Suspense>
+    </div>
+  );
+}
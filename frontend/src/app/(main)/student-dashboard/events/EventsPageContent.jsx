@@ -9,11 +9,17 @@ import { Card, CardContent } from "@/components/dashboard/student/ui/card";
 import { Input } from "@/components/dashboard/student/ui/input";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/dashboard/student/ui/select";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/dashboard/student/ui/tabs";
+import { EventCalendar } from "@/components/event-calendar";
+import { useAuth } from "@/contexts/auth-context";
 import { Calendar, Filter, List, PlusCircle, Search } from "lucide-react";
 import Link from "next/link";
 import { useState } from "react";
 
+// The student's own submissions, whatever their review status
+const CALENDAR_STATUSES = ["approved", "pending", "revision_requested", "denied"];
+
 export default function EventsPageContent() {
+    const { user } = useAuth();
     const [searchTerm, setSearchTerm] = useState("");
     const [categoryFilter, setCategoryFilter] = useState("all");
     const [viewMode, setViewMode] = useState("list");
@@ -362,11 +368,18 @@ export default function EventsPageContent() {
                                         </table>
                                     </div>
                                 </>
+                            ) : user?.email ? (
+                                <EventCalendar
+                                    statuses={CALENDAR_STATUSES}
+                                    email={user.email}
+                                    basePath="/student-dashboard/events"
+                                    searchTerm={searchTerm}
+                                />
                             ) : (
                                 <div className="flex items-center justify-center h-32 text-muted-foreground">
                                     <div className="text-center">
                                         <Calendar className="h-8 w-8 mx-auto mb-2 text-gray-300" />
-                                        <p className="text-sm">Calendar view coming soon...</p>
+                                        <p className="text-sm">Sign in to see your events on the calendar.</p>
                                     </div>
                                 </div>
                             )}
@@ -2,6 +2,7 @@
 
 "use client"
 
+import { EventRegistrations } from "@/components/dashboard/student/event-registrations";
 import { PageHeader } from "@/components/dashboard/student/page-header";
 import { Button } from "@/components/dashboard/student/ui/button";
 import { Card, CardContent } from "@/components/dashboard/student/ui/card";
@@ -39,6 +40,9 @@ const EventsContent = () => {
     <div className="flex-1 bg-[#f8f9fa] p-3 sm:p-4 md:p-6 lg:p-8 w-full max-w-full mx-auto overflow-x-hidden">
       <PageHeader title="Event Tracking" subtitle="Monitor and manage upcoming and past events" />
 
+      {/* Approved events taking online registrations */}
+      <EventRegistrations />
+
       {/* Enhanced Event Management Card */}
       <Card className="cedo-card mb-4 sm:mb-6 shadow-sm hover:shadow-md transition-shadow duration-200">
         <CardContent className="p-4 sm:p-6">
@@ -2,6 +2,7 @@
 
 "use client";
 
+import { EmailPreferencesCard } from "@/components/email-preferences-card";
 import { PageHeader } from "@/components/page-header";
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
@@ -10,61 +11,116 @@ import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigge
 import { Input } from "@/components/ui/input";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { useNotifications } from "@/contexts/NotificationContext";
+import { fetchNotifications, formatNotificationTime, getNotificationGroup } from "@/lib/notifications-api";
 import {
+    AlertCircle,
     Bell,
+    Calendar,
+    CheckCircle,
     ChevronDown,
     ChevronUp,
+    FileText,
     MoreHorizontal,
     RefreshCw,
-    Search
+    Search,
+    X
 } from "lucide-react";
-import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { useCallback, useEffect, useState } from "react";
 
-// Sample notification data
-const allNotifications = [
-    // ... (copy the allNotifications array from page.jsx)
-];
+// Icon and colours for each notification group (see getNotificationGroup)
+const GROUP_STYLES = {
+    proposal: { Icon: FileText, iconBg: "bg-blue-100", iconColor: "text-blue-600" },
+    approval: { Icon: CheckCircle, iconBg: "bg-green-100", iconColor: "text-green-600" },
+    rejection: { Icon: X, iconBg: "bg-red-100", iconColor: "text-red-600" },
+    reminder: { Icon: Calendar, iconBg: "bg-amber-100", iconColor: "text-amber-600" },
+    general: { Icon: AlertCircle, iconBg: "bg-gray-100", iconColor: "text-gray-600" },
+};
+
+// API notification → the shape rendered by this page
+const toDisplayNotification = (notification) => {
+    const { group, tag } = getNotificationGroup(notification.type);
+    const { Icon, iconBg, iconColor } = GROUP_STYLES[group];
+    return {
+        ...notification,
+        organization: notification.metadata?.organization || "",
+        timestamp: notification.createdAt,
+        relativeTime: formatNotificationTime(notification.createdAt),
+        status: notification.read ? "read" : "unread",
+        actionTag: tag,
+        icon: <Icon className="h-5 w-5" />,
+        iconBg,
+        iconColor,
+    };
+};
 
 export default function NotificationsPageContent() {
-    const [notifications, setNotifications] = useState(allNotifications);
+    const router = useRouter();
+    const { markAsRead: markAsReadOnServer, markAllAsRead: markAllAsReadOnServer } = useNotifications();
+    const [notifications, setNotifications] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [loadError, setLoadError] = useState(null);
     const [searchTerm, setSearchTerm] = useState("");
     const [statusFilter, setStatusFilter] = useState("all");
     const [typeFilter, setTypeFilter] = useState("all");
     const [expandedNotification, setExpandedNotification] = useState(null);
 
+    // Status and type filters are applied by the API; search runs on the loaded page
+    const loadNotifications = useCallback(async () => {
+        setLoading(true);
+        try {
+            const data = await fetchNotifications({ status: statusFilter, type: typeFilter, limit: 100 });
+            setNotifications((data.notifications || []).map(toDisplayNotification));
+            setLoadError(null);
+        } catch (error) {
+            console.error("Failed to load notifications:", error);
+            setLoadError(error.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [statusFilter, typeFilter]);
+
+    useEffect(() => {
+        loadNotifications();
+    }, [loadNotifications]);
+
     const markAllAsRead = () => {
         setNotifications(
             notifications.map((notif) => ({
                 ...notif,
+                read: true,
                 status: "read",
             }))
         );
+        markAllAsReadOnServer();
     };
 
     const markAsRead = (id) => {
-        setNotifications(notifications.map((notif) => (notif.id === id ? { ...notif, status: "read" } : notif)));
+        setNotifications(notifications.map((notif) => (notif.id === id ? { ...notif, read: true, status: "read" } : notif)));
+        markAsReadOnServer(id);
     };
 
     const toggleExpand = (id) => {
         setExpandedNotification(expandedNotification === id ? null : id);
     };
 
-    const bumpNotification = (id) => {
-        // In a real app, this would call an API to bump the notification
-        alert(`Notification ${id} has been bumped to the top of the admin's queue.`);
+    const openRelatedItem = (notification) => {
+        if (notification.status === "unread") markAsRead(notification.id);
+        if (notification.link) router.push(notification.link);
     };
 
-    // Filter notifications based on search, status, and type
+    // Filter notifications based on search (status and type come filtered from the API)
     const filteredNotifications = notifications.filter((notif) => {
+        const term = searchTerm.toLowerCase();
         const matchesSearch =
-            notif.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-            notif.message.toLowerCase().includes(searchTerm.toLowerCase()) ||
-            notif.organization.toLowerCase().includes(searchTerm.toLowerCase());
+            notif.title.toLowerCase().includes(term) ||
+            (notif.message || "").toLowerCase().includes(term) ||
+            notif.organization.toLowerCase().includes(term);
 
         const matchesStatus = statusFilter === "all" || notif.status === statusFilter;
-        const matchesType = typeFilter === "all" || notif.type.includes(typeFilter);
 
-        return matchesSearch && matchesStatus && matchesType;
+        return matchesSearch && matchesStatus;
     });
 
     // Group notifications by date
@@ -92,11 +148,11 @@ export default function NotificationsPageContent() {
                 </CardHeader>
                 <CardContent>
                     <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6">
-                        <Tabs defaultValue="all" className="w-full sm:w-auto">
+                        <Tabs value={statusFilter} onValueChange={setStatusFilter} className="w-full sm:w-auto">
                             <TabsList className="grid w-full sm:w-auto grid-cols-3">
                                 <TabsTrigger value="all">All</TabsTrigger>
                                 <TabsTrigger value="unread">Unread</TabsTrigger>
-                                <TabsTrigger value="admin">Admin</TabsTrigger>
+                                <TabsTrigger value="read">Read</TabsTrigger>
                             </TabsList>
                         </Tabs>
 
@@ -128,19 +184,32 @@ export default function NotificationsPageContent() {
                                 <SelectContent>
                                     <SelectItem value="all">All Types</SelectItem>
                                     <SelectItem value="proposal">Proposals</SelectItem>
-                                    <SelectItem value="event">Events</SelectItem>
-                                    <SelectItem value="comment">Comments</SelectItem>
-                                    <SelectItem value="concern">Concerns</SelectItem>
+                                    <SelectItem value="report">Reports</SelectItem>
+                                    <SelectItem value="account">Account</SelectItem>
                                 </SelectContent>
                             </Select>
                             <Button variant="outline" onClick={markAllAsRead}>
                                 Mark All Read
                             </Button>
+                            <Button variant="outline" size="icon" onClick={loadNotifications} disabled={loading} aria-label="Refresh notifications">
+                                <RefreshCw className={`h-4 w-4 ${loading ? "animate-spin" : ""}`} />
+                            </Button>
                         </div>
                     </div>
 
+                    {loadError && (
+                        <div className="mb-4 rounded-md border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+                            {loadError}
+                        </div>
+                    )}
+
                     <div className="space-y-6">
-                        {sortedDates.length > 0 ? (
+                        {loading && notifications.length === 0 ? (
+                            <div className="flex items-center justify-center py-10 text-sm text-muted-foreground">
+                                <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
+                                Loading notifications...
+                            </div>
+                        ) : sortedDates.length > 0 ? (
                             sortedDates.map((date) => (
                                 <div key={date} className="space-y-2">
                                     <h3 className="text-sm font-medium text-muted-foreground sticky top-0 bg-[#f8f9fa] py-1">
@@ -193,9 +262,11 @@ export default function NotificationsPageContent() {
                                                                         <DropdownMenuItem onClick={() => markAsRead(notification.id)}>
                                                                             Mark as read
                                                                         </DropdownMenuItem>
-                                                                        <DropdownMenuItem onClick={() => bumpNotification(notification.id)}>
-                                                                            Bump notification
-                                                                        </DropdownMenuItem>
+                                                                        {notification.link && (
+                                                                            <DropdownMenuItem onClick={() => openRelatedItem(notification)}>
+                                                                                View related item
+                                                                            </DropdownMenuItem>
+                                                                        )}
                                                                     </DropdownMenuContent>
                                                                 </DropdownMenu>
                                                             </div>
@@ -240,15 +311,16 @@ export default function NotificationsPageContent() {
                                                                     Mark as read
                                                                 </Button>
 
-                                                                <div className="flex gap-2">
-                                                                    <Button variant="outline" size="sm" onClick={() => bumpNotification(notification.id)}>
-                                                                        <RefreshCw className="h-3 w-3 mr-1" />
-                                                                        Bump
-                                                                    </Button>
-                                                                    <Button variant="default" size="sm" className="bg-cedo-blue hover:bg-cedo-blue/90">
+                                                                {notification.link && (
+                                                                    <Button
+                                                                        variant="default"
+                                                                        size="sm"
+                                                                        className="bg-cedo-blue hover:bg-cedo-blue/90"
+                                                                        onClick={() => openRelatedItem(notification)}
+                                                                    >
                                                                         View Related Item
                                                                     </Button>
-                                                                </div>
+                                                                )}
                                                             </div>
                                                         </div>
                                                     </div>
@@ -270,6 +342,8 @@ export default function NotificationsPageContent() {
                     </div>
                 </CardContent>
             </Card>
+
+            <EmailPreferencesCard className="mt-6" />
         </div>
     );
 } 
\ No newline at end of file
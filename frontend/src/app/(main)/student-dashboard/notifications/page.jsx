@@ -6,6 +6,8 @@
 export const dynamic = 'force-dynamic';
 
 import { Suspense } from "react"
+import NotificationsLoading from "./loading"
+import NotificationsContent from "./NotificationsPageContent"
 
 export default function NotificationsPage() {
   return (
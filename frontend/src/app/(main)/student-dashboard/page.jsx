@@ -5,12 +5,14 @@
 // Force dynamic rendering to prevent SSG issues
 export const dynamic = 'force-dynamic';
 
+import { CheckInEvents } from "@/components/dashboard/student/check-in-events";
+import { RecentProposals } from "@/components/dashboard/student/recent-proposals";
 import { Badge } from "@/components/dashboard/student/ui/badge";
 import { Button } from "@/components/dashboard/student/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/dashboard/student/ui/card";
 import Progress from '@/components/dashboard/student/ui/progress';
 import { Tabs, TabsList, TabsTrigger } from "@/components/dashboard/student/ui/tabs";
-import { Calendar, ChevronRight, Clock, FileText, PlusCircle } from "lucide-react";
+import { Calendar, ChevronRight, Clock, FileText, PlusCircle, QrCode } from "lucide-react";
 import Link from "next/link";
 import { memo, useMemo, useState } from "react";
 
@@ -164,12 +166,20 @@ export default function DashboardPage() {
               Track your Scholars Development Program events and credits
             </p>
           </div>
-          <Link href="/student-dashboard/submit-event" prefetch={true}>
-            <Button className="bg-[#001a56] hover:bg-[#001a56]/90 w-full sm:w-auto">
-              <PlusCircle className="h-4 w-4 mr-2" aria-hidden="true" />
-              <span className="text-sm sm:text-base">New Event</span>
-            </Button>
-          </Link>
+          <div className="flex flex-col gap-2 sm:flex-row">
+            <Link href="/student-dashboard/check-in" prefetch={true}>
+              <Button variant="outline" className="w-full sm:w-auto">
+                <QrCode className="h-4 w-4 mr-2" aria-hidden="true" />
+                <span className="text-sm sm:text-base">Check In</span>
+              </Button>
+            </Link>
+            <Link href="/student-dashboard/submit-event" prefetch={true}>
+              <Button className="bg-[#001a56] hover:bg-[#001a56]/90 w-full sm:w-auto">
+                <PlusCircle className="h-4 w-4 mr-2" aria-hidden="true" />
+                <span className="text-sm sm:text-base">New Event</span>
+              </Button>
+            </Link>
+          </div>
         </div>
 
         {/* Enhanced SDP Credits Summary */}
@@ -239,6 +249,19 @@ export default function DashboardPage() {
           </CardContent>
         </Card>
 
+        {/* Check-in codes for events the student is organizing */}
+        <CheckInEvents />
+
+        {/* Recent Proposals (updated live as reviewers decide) */}
+        <Card className="shadow-sm">
+          <CardHeader className="pb-4 sm:pb-6">
+            <CardTitle className="text-lg sm:text-xl">Recent Proposals</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <RecentProposals />
+          </CardContent>
+        </Card>
+
         {/* Enhanced Recent Events */}
         <Card className="shadow-sm">
           <CardHeader className="flex flex-col space-y-4 sm:flex-row sm:items-center sm:justify-between sm:space-y-0 pb-4 sm:pb-6">
@@ -303,7 +303,7 @@ function NewProposalFormContent() {
                         files={files}
                         setFiles={setFiles} // Make sure FileUploader calls setFiles with the new array of files
                         maxFiles={5}
-                        maxSize={5 * 1024 * 1024} // 5MB
+                        documentType="supporting" // 5MB each, PDF/Word/Excel
                       />
 
                       <div className="pt-4">
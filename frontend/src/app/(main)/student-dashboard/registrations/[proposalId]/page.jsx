@@ -0,0 +1,382 @@
+// frontend/src/app/(main)/student-dashboard/registrations/[proposalId]/page.jsx
+
+"use client"
+
+// Force dynamic rendering to prevent SSG issues
+export const dynamic = 'force-dynamic';
+
+import { Badge } from "@/components/dashboard/student/ui/badge";
+import { Button } from "@/components/dashboard/student/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/dashboard/student/ui/card";
+import { Checkbox } from "@/components/dashboard/student/ui/checkbox";
+import { Input } from "@/components/dashboard/student/ui/input";
+import { Label } from "@/components/dashboard/student/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/dashboard/student/ui/select";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/dashboard/student/ui/table";
+import { useLiveUpdates } from "@/hooks/useLiveUpdates";
+import {
+  downloadRegistrants,
+  fetchRegistrants,
+  fetchRegistrationSettings,
+  saveRegistrationSettings,
+} from "@/lib/registrations-api";
+import { ArrowLeft, Download, Loader2, Plus, Trash2, Users } from "lucide-react";
+import Link from "next/link";
+import { useParams } from "next/navigation";
+import { useCallback, useEffect, useState } from "react";
+import { toast } from "sonner";
+
+const QUESTION_TYPES = [
+  { value: "text", label: "Short answer" },
+  { value: "choice", label: "Multiple choice" },
+  { value: "yes_no", label: "Yes / No" },
+]
+
+const STATUS_STYLES = {
+  registered: "bg-green-100 text-green-800 hover:bg-green-100",
+  waitlisted: "bg-amber-100 text-amber-800 hover:bg-amber-100",
+  cancelled: "bg-gray-100 text-gray-600 hover:bg-gray-100",
+}
+
+const formatDateTime = (value) =>
+  value ? new Date(value).toLocaleString("en-US", { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" }) : "—"
+
+// <input type="datetime-local"> works in local time without a zone
+const toLocalInput = (value) => {
+  if (!value) return ""
+  const date = new Date(value)
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
+const toForm = (settings) => ({
+  isOpen: settings.isOpen,
+  capacity: settings.capacity === null ? "" : String(settings.capacity),
+  waitlistEnabled: settings.waitlistEnabled,
+  cancellationDeadlineHours: String(settings.cancellationDeadlineHours),
+  opensAt: toLocalInput(settings.opensAt),
+  closesAt: toLocalInput(settings.closesAt),
+  questions: settings.questions.map((question) => ({ ...question, options: question.options.join(", ") })),
+})
+
+const fromForm = (form) => ({
+  isOpen: form.isOpen,
+  capacity: form.capacity === "" ? null : Number(form.capacity),
+  waitlistEnabled: form.waitlistEnabled,
+  cancellationDeadlineHours: Number(form.cancellationDeadlineHours || 0),
+  opensAt: form.opensAt ? new Date(form.opensAt).toISOString() : null,
+  closesAt: form.closesAt ? new Date(form.closesAt).toISOString() : null,
+  questions: form.questions.map((question) => ({
+    ...question,
+    options: question.type === "choice" ? question.options.split(",").map((option) => option.trim()).filter(Boolean) : [],
+  })),
+})
+
+/**
+ * Organizer view of an event's online registration: capacity, waitlist,
+ * cancellation window and custom questions, plus the registrant list and its
+ * CSV export for the accomplishment report.
+ */
+export default function EventRegistrationPage() {
+  const { proposalId } = useParams()
+  const [event, setEvent] = useState(null)
+  const [form, setForm] = useState(null)
+  const [windowState, setWindowState] = useState(null)
+  const [loadError, setLoadError] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [registrants, setRegistrants] = useState(null)
+  const [counts, setCounts] = useState(null)
+  const [questions, setQuestions] = useState([])
+  const [statusFilter, setStatusFilter] = useState("all")
+
+  const applySettings = (result) => {
+    setEvent(result.event)
+    setForm(toForm(result.settings))
+    setWindowState(result.window)
+    setCounts(result.counts)
+  }
+
+  useEffect(() => {
+    fetchRegistrationSettings(proposalId)
+      .then(applySettings)
+      .catch((error) => setLoadError(error.message))
+  }, [proposalId])
+
+  const loadRegistrants = useCallback(() => {
+    fetchRegistrants(proposalId, { status: statusFilter === "all" ? null : statusFilter })
+      .then((result) => {
+        setRegistrants(result.registrants)
+        setCounts(result.counts)
+        setQuestions(result.settings.questions)
+      })
+      .catch((error) => toast.error(error.message))
+  }, [proposalId, statusFilter])
+
+  useEffect(() => {
+    loadRegistrants()
+  }, [loadRegistrants])
+
+  useLiveUpdates(["registration.updated"], (name, data) => {
+    if (String(data.proposalId) !== String(proposalId)) return
+    loadRegistrants()
+  })
+
+  const setField = (field, value) => setForm((current) => ({ ...current, [field]: value }))
+
+  const setQuestion = (index, changes) => setForm((current) => ({
+    ...current,
+    questions: current.questions.map((question, i) => (i === index ? { ...question, ...changes } : question)),
+  }))
+
+  const addQuestion = () => setForm((current) => ({
+    ...current,
+    // A fresh id so answers to a removed question never carry over
+    questions: [...current.questions, { id: `q${Date.now().toString(36)}`, label: "", type: "text", options: "", required: false }],
+  }))
+
+  const removeQuestion = (index) => setForm((current) => ({
+    ...current,
+    questions: current.questions.filter((_, i) => i !== index),
+  }))
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      applySettings(await saveRegistrationSettings(proposalId, fromForm(form)))
+      toast.success("Registration settings saved")
+      loadRegistrants()
+    } catch (error) {
+      toast.error(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleExport = async (status) => {
+    try {
+      await downloadRegistrants(proposalId, { status })
+    } catch (error) {
+      toast.error(error.message)
+    }
+  }
+
+  if (loadError) {
+    return <p className="p-8 text-sm text-red-600">{loadError}</p>
+  }
+  if (!form) {
+    return <Loader2 className="m-8 h-6 w-6 animate-spin text-muted-foreground" />
+  }
+
+  return (
+    <div className="space-y-6 p-4 sm:p-6 lg:p-8">
+      <div className="space-y-1">
+        <Link href="/student-dashboard" className="flex items-center text-sm text-muted-foreground hover:text-foreground">
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Dashboard
+        </Link>
+        <h1 className="text-xl sm:text-2xl lg:text-3xl font-bold tracking-tight">{event.name} registration</h1>
+        <p className="text-sm text-muted-foreground">
+          {windowState.open ? "Students can register now." : windowState.reason}
+        </p>
+      </div>
+
+      <div className="grid gap-6 xl:grid-cols-[minmax(0,2fr)_minmax(0,3fr)]">
+        <Card className="shadow-sm">
+          <CardHeader>
+            <CardTitle className="text-lg">Settings</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleSave} className="space-y-4">
+              <label className="flex items-center gap-2 text-sm font-medium">
+                <Checkbox checked={form.isOpen} onCheckedChange={(checked) => setField("isOpen", checked === true)} />
+                Accept registrations
+              </label>
+
+              <div className="grid gap-3 sm:grid-cols-2">
+                <div className="space-y-1">
+                  <Label htmlFor="capacity">Capacity</Label>
+                  <Input
+                    id="capacity"
+                    type="number"
+                    min="1"
+                    placeholder="No limit"
+                    value={form.capacity}
+                    onChange={(e) => setField("capacity", e.target.value)}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="cancellation-hours">Cancellation closes (hours before start)</Label>
+                  <Input
+                    id="cancellation-hours"
+                    type="number"
+                    min="0"
+                    value={form.cancellationDeadlineHours}
+                    onChange={(e) => setField("cancellationDeadlineHours", e.target.value)}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="opens-at">Opens</Label>
+                  <Input id="opens-at" type="datetime-local" value={form.opensAt} onChange={(e) => setField("opensAt", e.target.value)} />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="closes-at">Closes</Label>
+                  <Input id="closes-at" type="datetime-local" value={form.closesAt} onChange={(e) => setField("closesAt", e.target.value)} />
+                  <p className="text-xs text-muted-foreground">Leave empty to close when the event starts.</p>
+                </div>
+              </div>
+
+              <label className="flex items-center gap-2 text-sm">
+                <Checkbox
+                  checked={form.waitlistEnabled}
+                  onCheckedChange={(checked) => setField("waitlistEnabled", checked === true)}
+                />
+                Keep a waitlist when full (students move up automatically when a spot opens)
+              </label>
+
+              <div className="space-y-3">
+                <div className="flex items-center justify-between">
+                  <Label>Registration questions</Label>
+                  <Button type="button" variant="outline" size="sm" onClick={addQuestion}>
+                    <Plus className="h-4 w-4 mr-1" />
+                    Add question
+                  </Button>
+                </div>
+                {form.questions.length === 0 && (
+                  <p className="text-sm text-muted-foreground">
+                    Students give their school, program and year level. Add questions for anything else you need.
+                  </p>
+                )}
+                {form.questions.map((question, index) => (
+                  <div key={index} className="space-y-2 rounded-md border p-3">
+                    <div className="flex gap-2">
+                      <Input
+                        placeholder="Question"
+                        value={question.label}
+                        onChange={(e) => setQuestion(index, { label: e.target.value })}
+                        aria-label={`Question ${index + 1}`}
+                      />
+                      <Button type="button" variant="ghost" size="icon" onClick={() => removeQuestion(index)} aria-label="Remove question">
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-3">
+                      <Select value={question.type} onValueChange={(type) => setQuestion(index, { type })}>
+                        <SelectTrigger className="w-[160px]">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {QUESTION_TYPES.map((type) => (
+                            <SelectItem key={type.value} value={type.value}>
+                              {type.label}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      <label className="flex items-center gap-2 text-sm">
+                        <Checkbox
+                          checked={question.required}
+                          onCheckedChange={(checked) => setQuestion(index, { required: checked === true })}
+                        />
+                        Required
+                      </label>
+                    </div>
+                    {question.type === "choice" && (
+                      <Input
+                        placeholder="Choices, separated by commas"
+                        value={question.options}
+                        onChange={(e) => setQuestion(index, { options: e.target.value })}
+                      />
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              <Button type="submit" disabled={saving} className="bg-[#001a56] hover:bg-[#001a56]/90">
+                {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Save settings
+              </Button>
+            </form>
+          </CardContent>
+        </Card>
+
+        <Card className="shadow-sm">
+          <CardHeader className="flex flex-row flex-wrap items-center justify-between gap-3 space-y-0">
+            <CardTitle className="flex items-center gap-2 text-lg">
+              <Users className="h-5 w-5" />
+              Registrants
+              {counts && <Badge variant="secondary">{counts.registered}{form.capacity ? ` / ${form.capacity}` : ""}</Badge>}
+              {counts?.waitlisted > 0 && <Badge variant="outline">{counts.waitlisted} waitlisted</Badge>}
+            </CardTitle>
+            <div className="flex flex-wrap gap-2">
+              <Select value={statusFilter} onValueChange={setStatusFilter}>
+                <SelectTrigger className="w-[140px]">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">Everyone</SelectItem>
+                  <SelectItem value="registered">Registered</SelectItem>
+                  <SelectItem value="waitlisted">Waitlisted</SelectItem>
+                  <SelectItem value="cancelled">Cancelled</SelectItem>
+                </SelectContent>
+              </Select>
+              <Button variant="outline" onClick={() => handleExport("registered")}>
+                <Download className="h-4 w-4 mr-2" />
+                Export list
+              </Button>
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            <p className="text-xs text-muted-foreground">
+              The exported CSV lists registered students with the columns the accomplishment report&apos;s attendance
+              upload reads.{" "}
+              <button type="button" className="underline" onClick={() => handleExport("all")}>
+                Export everyone instead
+              </button>
+            </p>
+            {!registrants ? (
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+            ) : registrants.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No registrations yet.</p>
+            ) : (
+              <div className="max-h-[36rem] overflow-auto rounded border">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Name</TableHead>
+                      <TableHead>Program / Year</TableHead>
+                      <TableHead>Status</TableHead>
+                      <TableHead>Since</TableHead>
+                      {questions.map((question) => (
+                        <TableHead key={question.id}>{question.label}</TableHead>
+                      ))}
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {registrants.map((row) => (
+                      <TableRow key={row.id}>
+                        <TableCell>
+                          <p className="font-medium">{row.name}</p>
+                          <p className="text-xs text-muted-foreground">{row.email}</p>
+                        </TableCell>
+                        <TableCell>{[row.program, row.yearLevel].filter(Boolean).join(" · ") || "—"}</TableCell>
+                        <TableCell>
+                          <Badge className={STATUS_STYLES[row.status]}>{row.status}</Badge>
+                        </TableCell>
+                        <TableCell>
+                          {formatDateTime(row.status === "cancelled" ? row.cancelledAt : row.registeredAt || row.waitlistedAt)}
+                        </TableCell>
+                        {questions.map((question) => (
+                          <TableCell key={question.id}>{row.answers[question.id] || "—"}</TableCell>
+                        ))}
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
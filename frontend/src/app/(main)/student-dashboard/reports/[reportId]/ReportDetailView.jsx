@@ -18,11 +18,22 @@ import {
     Mail,
     MapPin,
     Phone,
+    Upload,
     User,
     Users
 } from "lucide-react";
 import Link from "next/link";
-import { useState } from "react";
+import { useCallback, useEffect, useState } from "react";
+import { ReviewItems, reviewHeading } from "@/components/report-review-results";
+import { useLiveUpdates } from "@/hooks/useLiveUpdates";
+import { REPORT_DOCUMENT_LABELS, fetchReportReview } from "@/lib/report-review-api";
+
+// FileDownloadCard file types → report review document keys
+const REVIEW_DOCUMENT_KEYS = {
+    accomplishmentReport: "accomplishment_report",
+    preRegistrationList: "pre_registration",
+    finalAttendanceList: "final_attendance",
+};
 
 /**
  * Status Badge Component
@@ -67,7 +78,7 @@ const StatusBadge = ({ status, type = "proposal" }) => {
 /**
  * File Download Component
  */
-const FileDownloadCard = ({ file, fileType, reportId }) => {
+const FileDownloadCard = ({ file, fileType, reportId, reuploadRequested = false }) => {
     const [isDownloading, setIsDownloading] = useState(false);
     const [downloadError, setDownloadError] = useState(null);
 
@@ -206,19 +217,27 @@ const FileDownloadCard = ({ file, fileType, reportId }) => {
         }
     };
 
+    const reuploadNotice = reuploadRequested && (
+        <p className="mt-2 inline-flex items-center text-xs font-medium text-red-700">
+            <Upload className="h-3 w-3 mr-1" />
+            The reviewer asked for this file again
+        </p>
+    );
+
     if (!file) {
         return (
-            <div className="border-2 border-dashed border-gray-300 rounded-lg p-4 text-center">
+            <div className={`border-2 border-dashed rounded-lg p-4 text-center ${reuploadRequested ? 'border-red-300' : 'border-gray-300'}`}>
                 <FileText className="mx-auto h-8 w-8 text-gray-400" />
                 <p className="mt-2 text-sm text-gray-500">
                     {getFileTypeLabel(fileType)} not uploaded
                 </p>
+                {reuploadNotice}
             </div>
         );
     }
 
     return (
-        <div className="bg-white border border-gray-200 rounded-lg p-4 hover:shadow-md transition-shadow">
+        <div className={`bg-white border rounded-lg p-4 hover:shadow-md transition-shadow ${reuploadRequested ? 'border-red-300' : 'border-gray-200'}`}>
             <div className="flex items-start justify-between">
                 <div className="flex-1">
                     <div className="flex items-center">
@@ -238,6 +257,8 @@ const FileDownloadCard = ({ file, fileType, reportId }) => {
                         </div>
                     </div>
 
+                    {reuploadNotice}
+
                     {downloadError && (
                         <div className="mt-2 text-xs text-red-600 bg-red-50 p-2 rounded">
                             {downloadError}
@@ -270,10 +291,86 @@ const FileDownloadCard = ({ file, fileType, reportId }) => {
     );
 };
 
+/**
+ * Outcome of the latest rubric review: which items failed and which files to upload again
+ */
+const ReviewResults = ({ review, reportStatus, requestedReuploads, reportId }) => {
+    const returned = reportStatus === 'denied';
+    const accepted = reportStatus === 'approved';
+
+    const heading = returned
+        ? 'Your report was returned'
+        : accepted
+            ? 'Your report was accepted'
+            : 'Resubmitted, waiting for a new review';
+    const intro = returned
+        ? 'Fix the items below and resubmit the report.'
+        : accepted
+            ? 'Reviewer notes:'
+            : 'These were the issues with your previous submission:';
+
+    return (
+        <div className={`shadow rounded-lg p-6 border ${returned ? 'bg-red-50 border-red-200' : accepted ? 'bg-white border-green-200' : 'bg-white border-yellow-200'}`}>
+            <div className="flex items-start justify-between gap-4 mb-4">
+                <div>
+                    <h2 className="text-xl font-semibold text-gray-900">{heading}</h2>
+                    <p className="text-sm text-gray-600">{reviewHeading(review)}</p>
+                </div>
+                {returned && (
+                    <Link
+                        href={`/student-dashboard/submit-event/${reportId}/reporting`}
+                        className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                    >
+                        <FileText className="h-4 w-4 mr-2" />
+                        Fix and resubmit
+                    </Link>
+                )}
+            </div>
+
+            {review.summary && (
+                <p className="mb-4 text-sm text-gray-700 whitespace-pre-wrap">{review.summary}</p>
+            )}
+
+            <p className="mb-2 text-sm font-medium text-gray-800">{intro}</p>
+            <ReviewItems review={review} onlyIssues />
+
+            {requestedReuploads.length > 0 && (
+                <p className="mt-4 text-sm text-red-700">
+                    The resubmission must include: {requestedReuploads.map((key) => REPORT_DOCUMENT_LABELS[key] || key).join(', ')}.
+                </p>
+            )}
+        </div>
+    );
+};
+
 /**
  * Main Report Detail View Component
  */
 export default function ReportDetailView({ reportData, reportId }) {
+    const [review, setReview] = useState(null);
+
+    // Rubric review of the report; missing for reports that were never reviewed
+    const loadReview = useCallback(() => {
+        fetchReportReview(reportId)
+            .then(setReview)
+            .catch((error) => {
+                console.warn('⚠️ Report review unavailable:', error.message);
+                setReview(null);
+            });
+    }, [reportId]);
+
+    useEffect(() => {
+        loadReview();
+    }, [loadReview]);
+
+    // A reviewer accepted or returned the report while it is open
+    useLiveUpdates(['report.status'], (_event, payload) => {
+        if (String(payload?.proposalId) === String(reportId)) loadReview();
+    });
+
+    const requestedReuploads = review?.requestedReuploads || [];
+    const reuploadRequested = (fileType) => requestedReuploads.includes(REVIEW_DOCUMENT_KEYS[fileType]);
+
     const formatDate = (dateString) => {
         if (!dateString) return 'Not specified';
         return new Date(dateString).toLocaleDateString('en-US', {
@@ -326,6 +423,16 @@ export default function ReportDetailView({ reportData, reportId }) {
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
                 {/* Main Content */}
                 <div className="lg:col-span-2 space-y-8">
+                    {/* Review Results */}
+                    {review?.latestReview && (
+                        <ReviewResults
+                            review={review.latestReview}
+                            reportStatus={review.reportStatus}
+                            requestedReuploads={requestedReuploads}
+                            reportId={reportId}
+                        />
+                    )}
+
                     {/* Event Details */}
                     <div className="bg-white shadow rounded-lg p-6">
                         <h2 className="text-xl font-semibold text-gray-900 mb-6">Event Details</h2>
@@ -415,16 +522,19 @@ export default function ReportDetailView({ reportData, reportId }) {
                                 file={reportData.files.accomplishmentReport}
                                 fileType="accomplishmentReport"
                                 reportId={reportId}
+                                reuploadRequested={reuploadRequested("accomplishmentReport")}
                             />
                             <FileDownloadCard
                                 file={reportData.files.preRegistrationList}
                                 fileType="preRegistrationList"
                                 reportId={reportId}
+                                reuploadRequested={reuploadRequested("preRegistrationList")}
                             />
                             <FileDownloadCard
                                 file={reportData.files.finalAttendanceList}
                                 fileType="finalAttendanceList"
                                 reportId={reportId}
+                                reuploadRequested={reuploadRequested("finalAttendanceList")}
                             />
                         </div>
 
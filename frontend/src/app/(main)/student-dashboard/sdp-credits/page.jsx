@@ -16,107 +16,127 @@ import {
   PaginationNext,
   PaginationPrevious,
 } from "@/components/ui/pagination";
-import { ChevronDown, ChevronUp, Download, Filter, HelpCircle, InfoIcon, Search } from "lucide-react";
-import { useState } from "react";
+import { downloadCreditTranscript, fetchCreditedEvents, fetchCreditSummary, fetchEventParticipants } from "@/lib/sdp-credits-api";
+import { ChevronDown, ChevronUp, Download, Filter, HelpCircle, InfoIcon, Loader2, Search } from "lucide-react";
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+
+// Events shown per page in the participants list
+const EVENTS_PER_PAGE = 5
+
+const formatDate = (value) =>
+  value ? new Date(`${value}T00:00:00`).toLocaleDateString("en-US", { month: "long", day: "numeric", year: "numeric" }) : "—"
+
+const percentOf = (value, total) => (total > 0 ? Math.min(Math.round((value / total) * 100), 100) : 0)
+
+const matches = (query, ...values) => values.some((value) => String(value || "").toLowerCase().includes(query.toLowerCase()))
 
 export default function SDPCreditsPage() {
+  const [summary, setSummary] = useState(null)
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [exporting, setExporting] = useState(false)
+  const [participants, setParticipants] = useState({})
   const [expandedEvent, setExpandedEvent] = useState(null)
   const [searchQuery, setSearchQuery] = useState("")
   const [participantSearchQuery, setParticipantSearchQuery] = useState("")
   const [currentPage, setCurrentPage] = useState(1)
   const [showFilters, setShowFilters] = useState(false)
 
+  useEffect(() => {
+    let cancelled = false
+
+    Promise.all([fetchCreditSummary(), fetchCreditedEvents()])
+      .then(([creditSummary, creditedEvents]) => {
+        if (cancelled) return
+        setSummary(creditSummary)
+        setEvents(creditedEvents)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
   const toggleEvent = (eventId) => {
     if (expandedEvent === eventId) {
       setExpandedEvent(null)
-    } else {
-      setExpandedEvent(eventId)
-      setParticipantSearchQuery("")
+      return
+    }
+
+    setExpandedEvent(eventId)
+    setParticipantSearchQuery("")
+    if (participants[eventId]) return
+
+    fetchEventParticipants(eventId)
+      .then((rows) => setParticipants((prev) => ({ ...prev, [eventId]: rows })))
+      .catch((err) => {
+        toast.error(err.message || "Could not load participants")
+        setParticipants((prev) => ({ ...prev, [eventId]: [] }))
+      })
+  }
+
+  const handleExport = async () => {
+    setExporting(true)
+    try {
+      await downloadCreditTranscript()
+    } catch (err) {
+      toast.error(err.message || "Could not download your transcript")
+    } finally {
+      setExporting(false)
     }
   }
 
-  // Sample data
-  const events = [
-    {
-      id: 1,
-      name: "Leadership Workshop",
-      date: "April 15, 2025",
-      category: "Leadership",
-      credits: 2,
-      participants: [
-        { name: "Juan Dela Cruz", school: "Xavier University", program: "BS Biology", yearLevel: "2nd Year" },
-        { name: "Maria Santos", school: "Liceo de Cagayan", program: "BS Information Tech.", yearLevel: "3rd Year" },
-        {
-          name: "Ahmed Alonto",
-          school: "Mindanao State University",
-          program: "BS Political Science",
-          yearLevel: "4th Year",
-        },
-      ],
-    },
-    {
-      id: 2,
-      name: "Community Clean-up",
-      date: "April 5, 2025",
-      category: "Community Service",
-      credits: 3,
-      participants: [
-        { name: "Juan Dela Cruz", school: "Xavier University", program: "BS Biology", yearLevel: "2nd Year" },
-        { name: "Maria Santos", school: "Liceo de Cagayan", program: "BS Information Tech.", yearLevel: "3rd Year" },
-      ],
-    },
-    {
-      id: 3,
-      name: "Career Fair Volunteer",
-      date: "March 20, 2025",
-      category: "Professional Development",
-      credits: 2,
-      participants: [
-        {
-          name: "Ahmed Alonto",
-          school: "Mindanao State University",
-          program: "BS Political Science",
-          yearLevel: "4th Year",
-        },
-      ],
-    },
-    {
-      id: 4,
-      name: "Student Council Meeting",
-      date: "March 10, 2025",
-      category: "Leadership",
-      credits: 1,
-      participants: [
-        { name: "Juan Dela Cruz", school: "Xavier University", program: "BS Biology", yearLevel: "2nd Year" },
-      ],
-    },
-  ]
-
-  // Calculate total credits
-  const totalCredits = 36
-  const earnedCredits = 24
-  const remainingCredits = totalCredits - earnedCredits
-  const progressPercentage = Math.round((earnedCredits / totalCredits) * 100)
+  const totalCredits = summary?.required ?? 0
+  const earnedCredits = summary?.earned ?? 0
+  const remainingCredits = summary?.remaining ?? 0
+  const progressPercentage = percentOf(earnedCredits, totalCredits)
+  const entries = summary?.entries ?? []
+  const pendingEvents = summary?.pending ?? []
+  const categories = summary?.byCategory ?? []
 
   // Filter events based on search query
-  const filteredEvents = events.filter(
-    (event) =>
-      event.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      event.category.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      event.date.toLowerCase().includes(searchQuery.toLowerCase()),
-  )
+  const filteredEvents = events.filter((event) => matches(searchQuery, event.name, event.category, formatDate(event.date)))
+  const pageCount = Math.max(Math.ceil(filteredEvents.length / EVENTS_PER_PAGE), 1)
+  const page = Math.min(currentPage, pageCount)
+  const pagedEvents = filteredEvents.slice((page - 1) * EVENTS_PER_PAGE, page * EVENTS_PER_PAGE)
 
   // Get participants for the expanded event and filter them
-  const getFilteredParticipants = (eventId) => {
-    const event = events.find((e) => e.id === eventId)
-    if (!event) return []
-
-    return event.participants.filter(
-      (participant) =>
-        participant.name.toLowerCase().includes(participantSearchQuery.toLowerCase()) ||
-        participant.school.toLowerCase().includes(participantSearchQuery.toLowerCase()) ||
-        participant.program.toLowerCase().includes(participantSearchQuery.toLowerCase()) ||
-        participant.yearLevel.toLowerCase().includes(participantSearchQuery.toLowerCase()),
+  const getFilteredParticipants = (eventId) =>
+    (participants[eventId] || []).filter((participant) =>
+      matches(participantSearchQuery, participant.name, participant.school, participant.program, participant.yearLevel),
+    )
+
+  const goToPage = (e, target) => {
+    e.preventDefault()
+    if (target < 1 || target > pageCount) return
+    setCurrentPage(target)
+    setExpandedEvent(null)
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center gap-2 p-8 text-sm text-muted-foreground">
+        <Loader2 className="h-4 w-4 animate-spin" />
+        Loading your SDP credits...
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <div className="p-4 sm:p-6 lg:p-8">
+        <Card>
+          <CardContent className="py-8 text-center text-sm text-red-600">{error}</CardContent>
+        </Card>
+      </div>
     )
   }
 
@@ -199,62 +219,32 @@ export default function SDPCreditsPage() {
             <p className="text-xs sm:text-sm text-muted-foreground">Breakdown of credits earned in each category</p>
           </CardHeader>
           <CardContent className="space-y-4 sm:space-y-6">
-            {/* Leadership Category */}
-            <div>
-              <div className="mb-1 sm:mb-2 flex items-center justify-between">
-                <span className="text-xs sm:text-sm font-medium">Leadership</span>
-                <span className="text-xs sm:text-sm text-muted-foreground">8 / 12</span>
-              </div>
-              <div className="h-1.5 sm:h-2 w-full rounded-full bg-[#f0c14b]">
-                <div
-                  className="h-1.5 sm:h-2 rounded-full bg-[#0A2B70] transition-all duration-300"
-                  style={{ width: "66.7%" }}
-                  role="progressbar"
-                  aria-valuenow="67"
-                  aria-valuemin="0"
-                  aria-valuemax="100"
-                  aria-label="67% of leadership credits completed"
-                ></div>
-              </div>
-            </div>
-
-            {/* Community Service Category */}
-            <div>
-              <div className="mb-1 sm:mb-2 flex items-center justify-between">
-                <span className="text-xs sm:text-sm font-medium">Community Service</span>
-                <span className="text-xs sm:text-sm text-muted-foreground">10 / 12</span>
-              </div>
-              <div className="h-1.5 sm:h-2 w-full rounded-full bg-[#f0c14b]">
-                <div
-                  className="h-1.5 sm:h-2 rounded-full bg-[#0A2B70] transition-all duration-300"
-                  style={{ width: "83.3%" }}
-                  role="progressbar"
-                  aria-valuenow="83"
-                  aria-valuemin="0"
-                  aria-valuemax="100"
-                  aria-label="83% of community service credits completed"
-                ></div>
-              </div>
-            </div>
-
-            {/* Professional Development Category */}
-            <div>
-              <div className="mb-1 sm:mb-2 flex items-center justify-between">
-                <span className="text-xs sm:text-sm font-medium">Professional Development</span>
-                <span className="text-xs sm:text-sm text-muted-foreground">6 / 12</span>
-              </div>
-              <div className="h-1.5 sm:h-2 w-full rounded-full bg-[#f0c14b]">
-                <div
-                  className="h-1.5 sm:h-2 rounded-full bg-[#0A2B70] transition-all duration-300"
-                  style={{ width: "50%" }}
-                  role="progressbar"
-                  aria-valuenow="50"
-                  aria-valuemin="0"
-                  aria-valuemax="100"
-                  aria-label="50% of professional development credits completed"
-                ></div>
-              </div>
-            </div>
+            {categories.length === 0 ? (
+              <p className="text-xs sm:text-sm text-muted-foreground">Credits you earn will be grouped by event type here.</p>
+            ) : (
+              categories.map(({ category, credits }) => {
+                const share = percentOf(credits, earnedCredits)
+                return (
+                  <div key={category}>
+                    <div className="mb-1 sm:mb-2 flex items-center justify-between">
+                      <span className="text-xs sm:text-sm font-medium">{category}</span>
+                      <span className="text-xs sm:text-sm text-muted-foreground">{credits} credits</span>
+                    </div>
+                    <div className="h-1.5 sm:h-2 w-full rounded-full bg-[#f0c14b]">
+                      <div
+                        className="h-1.5 sm:h-2 rounded-full bg-[#0A2B70] transition-all duration-300"
+                        style={{ width: `${share}%` }}
+                        role="progressbar"
+                        aria-valuenow={share}
+                        aria-valuemin="0"
+                        aria-valuemax="100"
+                        aria-label={`${share}% of your credits are from ${category}`}
+                      ></div>
+                    </div>
+                  </div>
+                )
+              })
+            )}
           </CardContent>
         </Card>
       </div>
@@ -271,8 +261,14 @@ export default function SDPCreditsPage() {
             size="sm"
             className="min-h-[44px] sm:min-h-[32px] gap-1 w-full sm:w-auto text-xs sm:text-sm"
             aria-label="Export credit history"
+            onClick={handleExport}
+            disabled={exporting}
           >
-            <Download className="h-3 w-3 sm:h-4 sm:w-4" aria-hidden="true" />
+            {exporting ? (
+              <Loader2 className="h-3 w-3 sm:h-4 sm:w-4 animate-spin" aria-hidden="true" />
+            ) : (
+              <Download className="h-3 w-3 sm:h-4 sm:w-4" aria-hidden="true" />
+            )}
             Export
           </Button>
         </CardHeader>
@@ -289,120 +285,114 @@ export default function SDPCreditsPage() {
             </TabsList>
 
             <TabsContent value="approved">
-              {/* Mobile: Card Layout, Desktop: Table Layout */}
-              <div className="space-y-3 sm:hidden">
-                {/* Mobile Card Layout */}
-                {[
-                  { name: "Leadership Workshop", date: "April 15, 2025", category: "Leadership", credits: 2 },
-                  { name: "Community Clean-up", date: "April 5, 2025", category: "Community Service", credits: 3 },
-                  { name: "Career Fair Volunteer", date: "March 20, 2025", category: "Professional Development", credits: 2 },
-                  { name: "Student Council Meeting", date: "March 10, 2025", category: "Leadership", credits: 1 },
-                ].map((event, index) => (
-                  <Card key={index} className="border border-gray-200">
-                    <CardContent className="p-4">
-                      <div className="flex justify-between items-start mb-2">
-                        <h3 className="font-medium text-sm">{event.name}</h3>
-                        <Badge variant="outline" className="text-xs">
-                          <span className="mr-1" aria-hidden="true">🏆</span>
-                          {event.credits}
-                        </Badge>
-                      </div>
-                      <div className="space-y-1 text-xs text-muted-foreground">
-                        <p>{event.date}</p>
-                        <p>{event.category}</p>
-                      </div>
-                    </CardContent>
-                  </Card>
-                ))}
-              </div>
-
-              {/* Desktop Table Layout */}
-              <div className="hidden sm:block overflow-x-auto -mx-4 sm:mx-0">
-                <div className="inline-block min-w-full align-middle">
-                  <table className="min-w-full divide-y divide-gray-200">
-                    <thead>
-                      <tr className="text-left text-xs sm:text-sm font-medium text-muted-foreground">
-                        <th scope="col" className="py-2 sm:py-3 pl-4 pr-3 sm:pl-0">
-                          Event
-                        </th>
-                        <th scope="col" className="px-2 sm:px-3 py-2 sm:py-3">
-                          Date
-                        </th>
-                        <th scope="col" className="px-2 sm:px-3 py-2 sm:py-3">
-                          Category
-                        </th>
-                        <th scope="col" className="px-2 sm:px-3 py-2 sm:py-3 text-right">
-                          Credits
-                        </th>
-                      </tr>
-                    </thead>
-                    <tbody className="divide-y divide-gray-200">
-                      <tr className="hover:bg-muted/50">
-                        <td className="whitespace-nowrap py-3 sm:py-4 pl-4 pr-3 text-xs sm:text-sm font-medium text-gray-900 sm:pl-0">
-                          Leadership Workshop
-                        </td>
-                        <td className="whitespace-nowrap px-2 sm:px-3 py-3 sm:py-4 text-xs sm:text-sm text-gray-500">April 15, 2025</td>
-                        <td className="whitespace-nowrap px-2 sm:px-3 py-3 sm:py-4 text-xs sm:text-sm text-gray-500">Leadership</td>
-                        <td className="whitespace-nowrap px-2 sm:px-3 py-3 sm:py-4 text-xs sm:text-sm text-gray-500 text-right">
-                          <Badge variant="outline" className="text-xs font-normal">
-                            <span className="mr-1" aria-hidden="true">🏆</span>
-                            2
-                          </Badge>
-                        </td>
-                      </tr>
-                      <tr className="hover:bg-muted/50">
-                        <td className="whitespace-nowrap py-3 sm:py-4 pl-4 pr-3 text-xs sm:text-sm font-medium text-gray-900 sm:pl-0">
-                          Community Clean-up
-                        </td>
-                        <td className="whitespace-nowrap px-2 sm:px-3 py-3 sm:py-4 text-xs sm:text-sm text-gray-500">April 5, 2025</td>
-                        <td className="whitespace-nowrap px-2 sm:px-3 py-3 sm:py-4 text-xs sm:text-sm text-gray-500">Community Service</td>
-                        <td className="whitespace-nowrap px-2 sm:px-3 py-3 sm:py-4 text-xs sm:text-sm text-gray-500 text-right">
-                          <Badge variant="outline" className="text-xs font-normal">
-                            <span className="mr-1" aria-hidden="true">🏆</span>
-                            3
-                          </Badge>
-                        </td>
-                      </tr>
-                      <tr className="hover:bg-muted/50">
-                        <td className="whitespace-nowrap py-3 sm:py-4 pl-4 pr-3 text-xs sm:text-sm font-medium text-gray-900 sm:pl-0">
-                          Career Fair Volunteer
-                        </td>
-                        <td className="whitespace-nowrap px-2 sm:px-3 py-3 sm:py-4 text-xs sm:text-sm text-gray-500">March 20, 2025</td>
-                        <td className="whitespace-nowrap px-2 sm:px-3 py-3 sm:py-4 text-xs sm:text-sm text-gray-500">Professional Development</td>
-                        <td className="whitespace-nowrap px-2 sm:px-3 py-3 sm:py-4 text-xs sm:text-sm text-gray-500 text-right">
-                          <Badge variant="outline" className="text-xs font-normal">
-                            <span className="mr-1" aria-hidden="true">🏆</span>
-                            2
-                          </Badge>
-                        </td>
-                      </tr>
-                      <tr className="hover:bg-muted/50">
-                        <td className="whitespace-nowrap py-3 sm:py-4 pl-4 pr-3 text-xs sm:text-sm font-medium text-gray-900 sm:pl-0">
-                          Student Council Meeting
-                        </td>
-                        <td className="whitespace-nowrap px-2 sm:px-3 py-3 sm:py-4 text-xs sm:text-sm text-gray-500">March 10, 2025</td>
-                        <td className="whitespace-nowrap px-2 sm:px-3 py-3 sm:py-4 text-xs sm:text-sm text-gray-500">Leadership</td>
-                        <td className="whitespace-nowrap px-2 sm:px-3 py-3 sm:py-4 text-xs sm:text-sm text-gray-500 text-right">
-                          <Badge variant="outline" className="text-xs font-normal">
-                            <span className="mr-1" aria-hidden="true">🏆</span>
-                            1
-                          </Badge>
-                        </td>
-                      </tr>
-                    </tbody>
-                  </table>
+              {entries.length === 0 ? (
+                <div className="flex flex-col items-center justify-center py-8 sm:py-12 text-center px-4">
+                  <HelpCircle className="h-8 w-8 sm:h-12 sm:w-12 text-muted-foreground/50 mb-3 sm:mb-4" aria-hidden="true" />
+                  <h3 className="text-base sm:text-lg font-medium mb-1 sm:mb-2">No credits yet</h3>
+                  <p className="text-xs sm:text-base text-muted-foreground max-w-sm sm:max-w-md">
+                    Credits are added once the accomplishment report of an event you attended is approved.
+                  </p>
                 </div>
-              </div>
+              ) : (
+                <>
+                  {/* Mobile: Card Layout, Desktop: Table Layout */}
+                  <div className="space-y-3 sm:hidden">
+                    {entries.map((entry) => (
+                      <Card key={entry.id} className="border border-gray-200">
+                        <CardContent className="p-4">
+                          <div className="flex justify-between items-start mb-2">
+                            <h3 className="font-medium text-sm">{entry.eventName || "Credit adjustment"}</h3>
+                            <Badge variant="outline" className="text-xs">
+                              <span className="mr-1" aria-hidden="true">🏆</span>
+                              {entry.credits}
+                            </Badge>
+                          </div>
+                          <div className="space-y-1 text-xs text-muted-foreground">
+                            <p>{formatDate(entry.eventDate)}</p>
+                            <p>{entry.category}</p>
+                            {entry.type === "adjustment" && <p>Adjustment: {entry.reason}</p>}
+                          </div>
+                        </CardContent>
+                      </Card>
+                    ))}
+                  </div>
+
+                  {/* Desktop Table Layout */}
+                  <div className="hidden sm:block overflow-x-auto -mx-4 sm:mx-0">
+                    <div className="inline-block min-w-full align-middle">
+                      <table className="min-w-full divide-y divide-gray-200">
+                        <thead>
+                          <tr className="text-left text-xs sm:text-sm font-medium text-muted-foreground">
+                            <th scope="col" className="py-2 sm:py-3 pl-4 pr-3 sm:pl-0">
+                              Event
+                            </th>
+                            <th scope="col" className="px-2 sm:px-3 py-2 sm:py-3">
+                              Date
+                            </th>
+                            <th scope="col" className="px-2 sm:px-3 py-2 sm:py-3">
+                              Category
+                            </th>
+                            <th scope="col" className="px-2 sm:px-3 py-2 sm:py-3 text-right">
+                              Credits
+                            </th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                          {entries.map((entry) => (
+                            <tr key={entry.id} className="hover:bg-muted/50">
+                              <td className="py-3 sm:py-4 pl-4 pr-3 text-xs sm:text-sm font-medium text-gray-900 sm:pl-0">
+                                {entry.eventName || "Credit adjustment"}
+                                {entry.type === "adjustment" && (
+                                  <p className="mt-0.5 text-xs font-normal text-muted-foreground">Adjustment: {entry.reason}</p>
+                                )}
+                              </td>
+                              <td className="whitespace-nowrap px-2 sm:px-3 py-3 sm:py-4 text-xs sm:text-sm text-gray-500">
+                                {formatDate(entry.eventDate)}
+                              </td>
+                              <td className="whitespace-nowrap px-2 sm:px-3 py-3 sm:py-4 text-xs sm:text-sm text-gray-500">{entry.category}</td>
+                              <td className="whitespace-nowrap px-2 sm:px-3 py-3 sm:py-4 text-xs sm:text-sm text-gray-500 text-right">
+                                <Badge variant="outline" className="text-xs font-normal">
+                                  <span className="mr-1" aria-hidden="true">🏆</span>
+                                  {entry.credits}
+                                </Badge>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                </>
+              )}
             </TabsContent>
 
             <TabsContent value="pending">
-              <div className="flex flex-col items-center justify-center py-8 sm:py-12 text-center px-4">
-                <HelpCircle className="h-8 w-8 sm:h-12 sm:w-12 text-muted-foreground/50 mb-3 sm:mb-4" aria-hidden="true" />
-                <h3 className="text-base sm:text-lg font-medium mb-1 sm:mb-2">No pending credits</h3>
-                <p className="text-xs sm:text-base text-muted-foreground max-w-sm sm:max-w-md">
-                  You don't have any pending credit activities at the moment. They will appear here once submitted.
-                </p>
-              </div>
+              {pendingEvents.length === 0 ? (
+                <div className="flex flex-col items-center justify-center py-8 sm:py-12 text-center px-4">
+                  <HelpCircle className="h-8 w-8 sm:h-12 sm:w-12 text-muted-foreground/50 mb-3 sm:mb-4" aria-hidden="true" />
+                  <h3 className="text-base sm:text-lg font-medium mb-1 sm:mb-2">No pending credits</h3>
+                  <p className="text-xs sm:text-base text-muted-foreground max-w-sm sm:max-w-md">
+                    You don't have any pending credit activities at the moment. They will appear here once submitted.
+                  </p>
+                </div>
+              ) : (
+                <ul className="divide-y divide-gray-200">
+                  {pendingEvents.map((event) => (
+                    <li key={event.proposalId} className="flex items-center justify-between gap-3 py-3">
+                      <div className="min-w-0">
+                        <p className="truncate text-xs sm:text-sm font-medium text-gray-900">{event.eventName}</p>
+                        <p className="text-xs text-muted-foreground">
+                          {formatDate(event.eventDate)} • {event.category} • Report {event.reportStatus.replace(/_/g, " ")}
+                        </p>
+                      </div>
+                      <Badge variant="outline" className="text-xs font-normal flex-shrink-0">
+                        <span className="mr-1" aria-hidden="true">⏳</span>
+                        {event.credits}
+                      </Badge>
+                    </li>
+                  ))}
+                </ul>
+              )}
             </TabsContent>
           </Tabs>
         </CardContent>
@@ -413,7 +403,7 @@ export default function SDPCreditsPage() {
         <CardHeader className="flex flex-col sm:flex-row sm:items-center sm:justify-between pb-3 sm:pb-4 space-y-2 sm:space-y-0">
           <div>
             <CardTitle className="text-base sm:text-lg font-medium">Event Participants</CardTitle>
-            <p className="text-xs sm:text-sm text-muted-foreground">View participants for each event</p>
+            <p className="text-xs sm:text-sm text-muted-foreground">View participants for each event your organization ran</p>
           </div>
           <div className="flex items-center gap-2">
             <Button
@@ -438,7 +428,10 @@ export default function SDPCreditsPage() {
                   placeholder="Search events by name or date..."
                   className="pl-8 sm:pl-9 text-xs sm:text-sm min-h-[44px] sm:min-h-[36px]"
                   value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
+                  onChange={(e) => {
+                    setSearchQuery(e.target.value)
+                    setCurrentPage(1)
+                  }}
                 />
               </div>
             </div>
@@ -446,7 +439,7 @@ export default function SDPCreditsPage() {
 
           {filteredEvents.length > 0 ? (
             <div className="space-y-2 sm:space-y-3">
-              {filteredEvents.map((event) => (
+              {pagedEvents.map((event) => (
                 <div key={event.id} className="border rounded-md overflow-hidden">
                   {/* Event Header - Touch Friendly */}
                   <div
@@ -456,7 +449,7 @@ export default function SDPCreditsPage() {
                     <div className="flex-1 min-w-0">
                       <h3 className="font-medium text-sm sm:text-base truncate">{event.name}</h3>
                       <div className="text-xs sm:text-sm text-muted-foreground mt-1">
-                        {event.date} • {event.category}
+                        {formatDate(event.date)} • {event.category} • {event.participants} participants
                       </div>
                     </div>
                     <div className="flex items-center gap-2 sm:gap-3 ml-3">
@@ -475,7 +468,7 @@ export default function SDPCreditsPage() {
                   {/* Participants Panel */}
                   {expandedEvent === event.id && (
                     <div className="p-3 sm:p-4 bg-muted/20 border-t">
-                      <h4 className="font-medium text-sm sm:text-base mb-3">Participants ({event.participants.length})</h4>
+                      <h4 className="font-medium text-sm sm:text-base mb-3">Participants ({event.participants})</h4>
 
                       {/* Participant Search */}
                       <div className="mb-3">
@@ -493,14 +486,15 @@ export default function SDPCreditsPage() {
 
                       {/* Mobile: Card Layout, Desktop: Table Layout */}
                       <div className="space-y-2 sm:hidden">
-                        {getFilteredParticipants(event.id).map((participant, index) => (
-                          <Card key={index} className="border border-gray-200">
+                        {getFilteredParticipants(event.id).map((participant) => (
+                          <Card key={participant.id} className="border border-gray-200">
                             <CardContent className="p-3">
                               <h5 className="font-medium text-sm mb-1">{participant.name}</h5>
                               <div className="space-y-1 text-xs text-muted-foreground">
                                 <p>{participant.school}</p>
                                 <p>{participant.program}</p>
                                 <p>{participant.yearLevel}</p>
+                                <p>{participant.creditsAwarded} credits awarded</p>
                               </div>
                             </CardContent>
                           </Card>
@@ -524,25 +518,38 @@ export default function SDPCreditsPage() {
                               <th scope="col" className="px-2 sm:px-3 py-2">
                                 Year Level
                               </th>
+                              <th scope="col" className="px-2 sm:px-3 py-2 text-right">
+                                Credits
+                              </th>
                             </tr>
                           </thead>
                           <tbody className="divide-y divide-gray-200">
-                            {getFilteredParticipants(event.id).map((participant, index) => (
-                              <tr key={index} className="hover:bg-muted/30">
+                            {getFilteredParticipants(event.id).map((participant) => (
+                              <tr key={participant.id} className="hover:bg-muted/30">
                                 <td className="py-2 pl-0 pr-3 text-xs sm:text-sm font-medium">{participant.name}</td>
                                 <td className="px-2 sm:px-3 py-2 text-xs sm:text-sm text-gray-500">{participant.school}</td>
                                 <td className="px-2 sm:px-3 py-2 text-xs sm:text-sm text-gray-500">{participant.program}</td>
                                 <td className="px-2 sm:px-3 py-2 text-xs sm:text-sm text-gray-500">{participant.yearLevel}</td>
+                                <td className="px-2 sm:px-3 py-2 text-xs sm:text-sm text-gray-500 text-right">{participant.creditsAwarded}</td>
                               </tr>
                             ))}
                           </tbody>
                         </table>
                       </div>
 
-                      {getFilteredParticipants(event.id).length === 0 && (
-                        <div className="py-4 text-center text-xs sm:text-sm text-muted-foreground">
-                          No participants match your search criteria
+                      {!participants[event.id] ? (
+                        <div className="flex items-center justify-center gap-2 py-4 text-xs sm:text-sm text-muted-foreground">
+                          <Loader2 className="h-4 w-4 animate-spin" />
+                          Loading participants...
                         </div>
+                      ) : (
+                        getFilteredParticipants(event.id).length === 0 && (
+                          <div className="py-4 text-center text-xs sm:text-sm text-muted-foreground">
+                            {participants[event.id].length === 0
+                              ? "No attendance has been recorded for this event yet"
+                              : "No participants match your search criteria"}
+                          </div>
+                        )
                       )}
                     </div>
                   )}
@@ -552,7 +559,9 @@ export default function SDPCreditsPage() {
           ) : (
             <div className="flex flex-col items-center justify-center py-8 sm:py-12 text-center px-4">
               <HelpCircle className="h-8 w-8 sm:h-12 sm:w-12 text-muted-foreground/50 mb-3 sm:mb-4" aria-hidden="true" />
-              <h3 className="text-base sm:text-lg font-medium mb-1 sm:mb-2">No credits have been awarded yet</h3>
+              <h3 className="text-base sm:text-lg font-medium mb-1 sm:mb-2">
+                {events.length === 0 ? "No approved events yet" : "No events match your search"}
+              </h3>
               <p className="text-xs sm:text-base text-muted-foreground max-w-sm sm:max-w-md">
                 Submit and get an event approved to start tracking SDP credits.
               </p>
@@ -560,26 +569,27 @@ export default function SDPCreditsPage() {
           )}
 
           {/* Responsive Pagination */}
-          {filteredEvents.length > 0 && (
+          {pageCount > 1 && (
             <div className="mt-4 sm:mt-6">
               <Pagination>
                 <PaginationContent className="flex justify-center">
                   <PaginationItem>
-                    <PaginationPrevious href="#" className="text-xs sm:text-sm" />
-                  </PaginationItem>
-                  <PaginationItem>
-                    <PaginationLink href="#" isActive className="text-xs sm:text-sm">
-                      1
-                    </PaginationLink>
-                  </PaginationItem>
-                  <PaginationItem>
-                    <PaginationLink href="#" className="text-xs sm:text-sm">2</PaginationLink>
-                  </PaginationItem>
-                  <PaginationItem>
-                    <PaginationLink href="#" className="text-xs sm:text-sm">3</PaginationLink>
+                    <PaginationPrevious href="#" className="text-xs sm:text-sm" onClick={(e) => goToPage(e, page - 1)} />
                   </PaginationItem>
+                  {Array.from({ length: pageCount }, (_, index) => index + 1).map((number) => (
+                    <PaginationItem key={number}>
+                      <PaginationLink
+                        href="#"
+                        isActive={number === page}
+                        className="text-xs sm:text-sm"
+                        onClick={(e) => goToPage(e, number)}
+                      >
+                        {number}
+                      </PaginationLink>
+                    </PaginationItem>
+                  ))}
                   <PaginationItem>
-                    <PaginationNext href="#" className="text-xs sm:text-sm" />
+                    <PaginationNext href="#" className="text-xs sm:text-sm" onClick={(e) => goToPage(e, page + 1)} />
                   </PaginationItem>
                 </PaginationContent>
               </Pagination>
@@ -0,0 +1,87 @@
+"use client"
+
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert"
+import { checkScheduleConflicts } from "@/lib/schedule-api"
+import { AlertTriangle } from "lucide-react"
+import { useEffect, useState } from "react"
+
+// Wait for the student to stop typing the venue before asking the server
+const CHECK_DELAY_MS = 600
+
+/**
+ * Warns about venue / organization double bookings and blackout periods for
+ * the slot being entered. Nothing here blocks the form; reviewers see the same
+ * conflicts as blockers in the review queue.
+ */
+export const ScheduleConflictNotice = ({
+  venue,
+  venueId,
+  startDate,
+  endDate,
+  startTime,
+  endTime,
+  organizationName,
+  proposalId,
+}) => {
+  const [conflicts, setConflicts] = useState([])
+
+  const startKey = startDate ? new Date(startDate).toDateString() : ""
+  const endKey = endDate ? new Date(endDate).toDateString() : ""
+
+  useEffect(() => {
+    if (!startDate || !venue?.trim()) {
+      setConflicts([])
+      return
+    }
+
+    let cancelled = false
+    const timer = setTimeout(() => {
+      checkScheduleConflicts({
+        venue,
+        venueId,
+        startDate,
+        endDate: endDate || startDate,
+        startTime,
+        endTime,
+        organizationName,
+        excludeProposalId: proposalId,
+      })
+        .then((result) => {
+          if (!cancelled) setConflicts(result.conflicts || [])
+        })
+        .catch((error) => {
+          // The check is advisory; a failure should not get in the way of the form
+          console.warn("Schedule conflict check failed:", error.message)
+          if (!cancelled) setConflicts([])
+        })
+    }, CHECK_DELAY_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+    // startDate / endDate are tracked through their day keys so new Date objects for the same day don't re-check
+  },[venue, venueId, startKey, endKey, startTime, endTime, organizationName, proposalId])
+
+  if (conflicts.length === 0) return null
+
+  return (
+    <Alert className="bg-amber-50 border-amber-200 text-amber-900">
+      <AlertTriangle className="h-5 w-5 text-amber-600" />
+      <AlertTitle className="font-semibold text-amber-800">Possible schedule conflicts</AlertTitle>
+      <AlertDescription className="mt-2">
+        <ul className="list-disc pl-5 space-y-1 text-sm">
+          {conflicts.map((conflict, index) => (
+            <li key={`${conflict.type}-${conflict.proposal?.id || conflict.blackout?.id || index}`}>
+              {conflict.message}
+            </li>
+          ))}
+        </ul>
+        <p className="mt-2 text-xs text-amber-700">
+          You can still submit, but reviewers cannot approve an event that clashes with an approved booking or a
+          blackout period. Consider choosing another venue or date.
+        </p>
+      </AlertDescription>
+    </Alert>
+  )
+}
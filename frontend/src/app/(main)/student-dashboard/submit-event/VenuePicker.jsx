@@ -0,0 +1,177 @@
+"use client"
+
+import { Input } from "@/components/dashboard/student/ui/input"
+import { Select, SelectContent, SelectItem, SelectSeparator, SelectTrigger, SelectValue } from "@/components/dashboard/student/ui/select"
+import { fetchVenueAvailability, fetchVenues } from "@/lib/venues-api"
+import { cn } from "@/lib/utils"
+import { CheckCircle2, Monitor, Users, XCircle } from "lucide-react"
+import { useEffect, useState } from "react"
+
+// Select items cannot have an empty value
+const OTHER_VENUE = "__other__"
+
+// Wait for date / time edits to settle before asking the server
+const CHECK_DELAY_MS = 600
+
+/**
+ * Venue field for the event forms: a catalog picker with an "Other" option
+ * for places that are not listed (off-campus addresses, meeting links).
+ * Picking a catalog venue reports both its id and name; "Other" reports only
+ * the typed text, which admins later link to the catalog by fuzzy matching.
+ */
+export const VenuePicker = ({
+  id,
+  venue,
+  venueId,
+  onChange,
+  startDate,
+  endDate,
+  startTime,
+  endTime,
+  proposalId,
+  disabled,
+  className,
+  ...inputProps
+}) => {
+  const [venues, setVenues] = useState([])
+  const [loadFailed, setLoadFailed] = useState(false)
+  const [otherSelected, setOtherSelected] = useState(false)
+  const [availability, setAvailability] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    fetchVenues()
+      .then((rows) => {
+        if (!cancelled) setVenues(rows)
+      })
+      .catch((error) => {
+        // Without the catalog the field falls back to free text
+        console.warn("Venue catalog unavailable:", error.message)
+        if (!cancelled) setLoadFailed(true)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const selected = venues.find((option) => String(option.id) === String(venueId))
+  const showOther = loadFailed || otherSelected || (!selected && Boolean(venue))
+  const selectValue = selected ? String(selected.id) : showOther ? OTHER_VENUE : ""
+
+  const startKey = startDate ? new Date(startDate).toDateString() : ""
+  const endKey = endDate ? new Date(endDate).toDateString() : ""
+
+  useEffect(() => {
+    if (!selected || !startDate) {
+      setAvailability(null)
+      return
+    }
+
+    let cancelled = false
+    const timer = setTimeout(() => {
+      fetchVenueAvailability(selected.id, {
+        startDate,
+        endDate: endDate || startDate,
+        startTime,
+        endTime,
+        excludeProposalId: proposalId,
+      })
+        .then((result) => {
+          if (!cancelled) setAvailability(result)
+        })
+        .catch((error) => {
+          console.warn("Venue availability check failed:", error.message)
+          if (!cancelled) setAvailability(null)
+        })
+    }, CHECK_DELAY_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+    // startDate / endDate are tracked through their day keys so new Date objects for the same day don't re-check
+  }, [selected?.id, startKey, endKey, startTime, endTime, proposalId])
+
+  const handleSelect = (value) => {
+    if (value === OTHER_VENUE) {
+      setOtherSelected(true)
+      onChange({ venue: "", venueId: null })
+      return
+    }
+    const option = venues.find((row) => String(row.id) === value)
+    setOtherSelected(false)
+    onChange({ venue: option.name, venueId: option.id })
+  }
+
+  return (
+    <div className="space-y-2">
+      {!loadFailed && (
+        <Select value={selectValue} onValueChange={handleSelect} disabled={disabled}>
+          <SelectTrigger id={showOther ? undefined : id} className={className}>
+            <SelectValue placeholder="Select a venue" />
+          </SelectTrigger>
+          <SelectContent>
+            {venues.map((option) => (
+              <SelectItem key={option.id} value={String(option.id)}>
+                {option.name}
+                {option.building ? ` · ${option.building}` : ""}
+              </SelectItem>
+            ))}
+            {venues.length > 0 && <SelectSeparator />}
+            <SelectItem value={OTHER_VENUE}>Other / not listed</SelectItem>
+          </SelectContent>
+        </Select>
+      )}
+
+      {showOther && (
+        <Input
+          id={id}
+          value={venue || ""}
+          onChange={(e) => onChange({ venue: e.target.value, venueId: null })}
+          placeholder="e.g., Barangay Hall, Carmen or Zoom Meeting ID"
+          className={className}
+          disabled={disabled}
+          {...inputProps}
+        />
+      )}
+
+      {selected && (
+        <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-gray-600 dark:text-gray-400">
+          {selected.capacity && (
+            <span className="flex items-center">
+              <Users className="mr-1 h-3.5 w-3.5" />
+              Up to {selected.capacity} people
+            </span>
+          )}
+          {selected.isOnline && (
+            <span className="flex items-center">
+              <Monitor className="mr-1 h-3.5 w-3.5" />
+              Online
+            </span>
+          )}
+          {selected.openTime && selected.closeTime && (
+            <span>
+              Bookable {selected.openTime}–{selected.closeTime}
+            </span>
+          )}
+        </div>
+      )}
+
+      {availability && (
+        <p className={cn("flex items-start text-xs", availability.available ? "text-green-700" : "text-red-600")}>
+          {availability.available ? (
+            <>
+              <CheckCircle2 className="mr-1 h-3.5 w-3.5 shrink-0" />
+              Available for the selected dates
+            </>
+          ) : (
+            <>
+              <XCircle className="mr-1 mt-0.5 h-3.5 w-3.5 shrink-0" />
+              {availability.reasons.join(" · ")}
+            </>
+          )}
+        </p>
+      )}
+    </div>
+  )
+}
@@ -13,12 +13,15 @@ import { Skeleton } from "@/components/ui/skeleton"
 import { useToast } from "@/components/ui/use-toast"
 import { useDebouncedEffect } from "@/hooks/useDebouncedEffect"
 import { useDraft } from '@/hooks/useDraft'
+import { checkFile } from "@/lib/upload-policy"
 import { cn } from "@/lib/utils"
 import { format } from "date-fns"
 import isEqual from "lodash.isequal"
 import { AlertCircle, CalendarIcon, InfoIcon, LockIcon, Paperclip, UploadCloud, X } from "lucide-react"
 import { useParams, useRouter } from 'next/navigation'
 import { useCallback, useEffect, useRef, useState } from "react"
+import { ScheduleConflictNotice } from "../../ScheduleConflictNotice"
+import { VenuePicker } from "../../VenuePicker"
 import { getFieldClasses, hasFieldError } from "../../validation"
 
 // API service function for MongoDB - Community Events
@@ -32,6 +35,7 @@ const saveCommunityEventData = async (formData) => {
   form.append('organization_id', organizationId);
   form.append('name', formData.communityEventName);
   form.append('venue', formData.communityVenue);
+  if (formData.communityVenueId) form.append('venue_id', formData.communityVenueId);
   form.append('start_date', formData.communityStartDate ? new Date(formData.communityStartDate).toISOString().split('T')[0] : '');
   form.append('end_date', formData.communityEndDate ? new Date(formData.communityEndDate).toISOString().split('T')[0] : '');
   form.append('time_start', formData.communityTimeStart);
@@ -162,6 +166,7 @@ export const Section4_CommunityEvent = ({
   const [localFormData, setLocalFormData] = useState({
     communityEventName: formData.communityEventName || "",
     communityVenue: formData.communityVenue || "",
+    communityVenueId: formData.communityVenueId || null,
     communityStartDate: formData.communityStartDate ? new Date(formData.communityStartDate) : null,
     communityEndDate: formData.communityEndDate ? new Date(formData.communityEndDate) : null,
     communityTimeStart: formData.communityTimeStart || "",
@@ -198,6 +203,7 @@ export const Section4_CommunityEvent = ({
       setLocalFormData({
         communityEventName: formData.communityEventName || "",
         communityVenue: formData.communityVenue || "",
+        communityVenueId: formData.communityVenueId || null,
         communityStartDate: formData.communityStartDate ? new Date(formData.communityStartDate) : null,
         communityEndDate: formData.communityEndDate ? new Date(formData.communityEndDate) : null,
         communityTimeStart: formData.communityTimeStart || "",
@@ -220,6 +226,13 @@ export const Section4_CommunityEvent = ({
     handleInputChange(e);
   }, [disabled, handleInputChange]);
 
+  const handleVenueChange = useCallback(({ venue, venueId }) => {
+    if (disabled) return;
+    setLocalFormData(prev => ({ ...prev, communityVenue: venue, communityVenueId: venueId }));
+    handleInputChange({ target: { name: "communityVenue", value: venue } });
+    handleInputChange({ target: { name: "communityVenueId", value: venueId } });
+  }, [disabled, handleInputChange]);
+
   const handleDateChange = useCallback((fieldName, date) => {
     if (disabled || !date) return;
     const formattedDate = date.toISOString();
@@ -254,7 +267,7 @@ export const Section4_CommunityEvent = ({
     });
   }, [disabled, handleInputChange]);
 
-  const handleFileUpload = useCallback((e, fieldName) => {
+  const handleFileUpload = useCallback(async (e, fieldName, documentType) => {
     if (disabled) return;
     const file = e.target.files?.[0];
     if (!file) return;
@@ -285,6 +298,18 @@ export const Section4_CommunityEvent = ({
       return;
     }
 
+    // Same content checks the server runs: real file type, no macros or passwords, page limit
+    const check = await checkFile(file, documentType);
+    if (!check.accepted) {
+      toast({
+        title: "File not accepted",
+        description: check.reason,
+        variant: "destructive",
+      });
+      e.target.value = "";
+      return;
+    }
+
     setFilePreviews(prev => ({
       ...prev,
       [fieldName]: file.name
@@ -404,7 +429,7 @@ export const Section4_CommunityEvent = ({
     try {
       // Sync all local form data to the global state
       const fieldsToSync = [
-        'communityEventName', 'communityVenue', 'communityStartDate', 'communityEndDate',
+        'communityEventName', 'communityVenue', 'communityVenueId', 'communityStartDate', 'communityEndDate',
         'communityTimeStart', 'communityTimeEnd', 'communityEventType', 'communityEventMode',
         'communitySDPCredits', 'communityTargetAudience', 'communityGPOAFile', 'communityProposalFile'
       ];
@@ -529,12 +554,17 @@ export const Section4_CommunityEvent = ({
             <Label htmlFor="communityVenue" className="font-semibold text-gray-800 dark:text-gray-200 flex items-center">
               Venue (Platform or Address) <span className="text-red-500 ml-0.5">*</span>
             </Label>
-            <Input
+            <VenuePicker
               id="communityVenue"
               name="communityVenue"
-              value={localFormData.communityVenue || ""}
-              onChange={handleLocalInputChange}
-              placeholder="e.g., Community Center or Zoom Meeting ID"
+              venue={localFormData.communityVenue}
+              venueId={localFormData.communityVenueId}
+              onChange={handleVenueChange}
+              startDate={localFormData.communityStartDate}
+              endDate={localFormData.communityEndDate}
+              startTime={localFormData.communityTimeStart}
+              endTime={localFormData.communityTimeEnd}
+              proposalId={formData.proposalId || formData.id}
               className={getFieldClasses("communityVenue", validationErrors, "dark:bg-gray-700 dark:border-gray-600 focus:ring-cedo-blue dark:focus:ring-cedo-gold")}
               disabled={disabled}
               required
@@ -620,6 +650,16 @@ export const Section4_CommunityEvent = ({
               {renderFieldError("communityTimeEnd")}
             </div>
           </div>
+          <ScheduleConflictNotice
+            venue={localFormData.communityVenue}
+            venueId={localFormData.communityVenueId}
+            startDate={localFormData.communityStartDate}
+            endDate={localFormData.communityEndDate}
+            startTime={localFormData.communityTimeStart}
+            endTime={localFormData.communityTimeEnd}
+            organizationName={formData.organizationName}
+            proposalId={formData.proposalId || formData.id}
+          />
         </fieldset>
 
         {/* Fieldset for Event Specifics */}
@@ -703,8 +743,8 @@ export const Section4_CommunityEvent = ({
         <fieldset className="space-y-4 p-4 border rounded-lg dark:border-gray-700 shadow-sm bg-white dark:bg-gray-800/30">
           <legend className="text-sm font-semibold px-2 text-gray-700 dark:text-gray-300 -ml-2">Attachments</legend>
           {[
-            { label: "General Plan of Action (GPOA)", name: "communityGPOAFile", type: "gpoa", hint: "Filename: OrganizationName_GPOA.pdf/docx/xlsx" },
-            { label: "Project Proposal Document", name: "communityProposalFile", type: "proposal", hint: "Filename: OrganizationName_PP.pdf/docx/xlsx. Must include summary, objectives, timeline, budget." }
+            { label: "General Plan of Action (GPOA)", name: "communityGPOAFile", type: "gpoa", hint: "Saved as OrganizationName_GPOA.pdf/docx/xlsx. PDFs up to 30 pages." },
+            { label: "Project Proposal Document", name: "communityProposalFile", type: "proposal", hint: "Saved as OrganizationName_PP.pdf/docx/xlsx. Must include summary, objectives, timeline, budget. PDFs up to 50 pages." }
           ].map(fileField => (
             <div key={fileField.name} className="space-y-2">
               <Label htmlFor={fileField.name} className="font-semibold text-gray-800 dark:text-gray-200 flex items-center">
@@ -727,14 +767,14 @@ export const Section4_CommunityEvent = ({
                     )}
                   </p>
                   <p className="text-xs text-gray-500 dark:text-gray-400 mt-1.5">{fileField.hint}</p>
-                  <p className="text-xs text-gray-400 dark:text-gray-500">Max 5MB. Allowed: PDF, Word, Excel.</p>
+                  <p className="text-xs text-gray-400 dark:text-gray-500">Max 5MB. Allowed: PDF, Word, Excel, without macros or passwords.</p>
                 </Label>
                 <Input
                   id={fileField.name}
                   name={fileField.name}
                   type="file"
                   className="sr-only"
-                  onChange={(e) => handleFileUpload(e, fileField.name)}
+                  onChange={(e) => handleFileUpload(e, fileField.name, fileField.type)}
                   accept=".pdf,.doc,.docx,.xls,.xlsx"
                   disabled={disabled}
                 />
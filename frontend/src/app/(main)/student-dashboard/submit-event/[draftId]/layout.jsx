@@ -1,6 +1,6 @@
 import { getDraft } from '@/lib/draft-api';
 import { accessAllowed, correctUrl } from '@/utils/guards';
-import { headers } from 'next/headers';
+import { cookies, headers } from 'next/headers';
 import { redirect } from 'next/navigation';
 import DraftShell from './DraftShell'; // (client wrapper)
 
@@ -46,7 +46,10 @@ export default async function Layout({ children, params, searchParams }) {
     }
 
     // 3. fetch draft (normal flow) ---------------------------------------------
-    const draft = await getDraft(draftId).catch(() => redirect('/404'))
+    // Drafts are owner-bound on the backend, so forward the session token
+    const cookieStore = await cookies()
+    const token = cookieStore.get('cedo_token')?.value
+    const draft = await getDraft(draftId, token).catch(() => redirect('/404'))
 
     // 4. guard check ------------------------------------------------------------
     if (!accessAllowed(pathname, draft.form_data)) {
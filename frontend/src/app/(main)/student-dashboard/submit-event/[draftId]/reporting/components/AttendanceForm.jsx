@@ -9,7 +9,9 @@ import { Textarea } from "@/components/dashboard/student/ui/textarea";
 import { config } from "@/lib/utils";
 import { AlertCircle, CheckCircle, RefreshCw } from 'lucide-react';
 import { useCallback, useEffect, useState } from 'react';
+import { AttendanceImportPreview } from "./AttendanceImportPreview.jsx";
 import { AccomplishmentReportUpload, FinalAttendanceProofUpload, FinalAttendanceUpload, PreRegistrationUpload } from "./FileUploadInput.jsx";
+import { RegistrationSummary } from "./RegistrationSummary.jsx";
 
 /**
  * Attendance form component for file uploads with database integration
@@ -140,6 +142,19 @@ export const AttendanceForm = ({
         if (onFileUpload) {
             onFileUpload(fileType, file, error);
         }
+        // Column choices belong to the previous attendance file
+        if (fileType === 'finalAttendanceList' && onFieldChange) {
+            onFieldChange('attendanceMapping', null);
+        }
+    };
+
+    /**
+     * Show the count saved from the confirmed attendance list
+     */
+    const handleAttendanceConfirmed = ({ attendanceCount }) => {
+        if (onFieldChange) {
+            onFieldChange('attendanceCount', String(attendanceCount));
+        }
     };
 
     /**
@@ -283,8 +298,12 @@ export const AttendanceForm = ({
                 <h3 className="font-medium mb-4 text-amber-800">Attendance Tracking</h3>
 
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                    {/* Pre-Registration List */}
+                    {/* Pre-Registration List (online registrations, or an uploaded sheet) */}
                     <div>
+                        <RegistrationSummary
+                            proposalId={proposalId}
+                            onLoaded={(counts) => onFieldChange('onlineRegistrationCount', counts.registered)}
+                        />
                         <PreRegistrationUpload
                             id="preRegistrationFile"
                             onFileSelect={handleFileSelect('preRegistrationList')}
@@ -316,6 +335,20 @@ export const AttendanceForm = ({
                     </div>
                 </div>
 
+                {/* Attendance list preview / confirm */}
+                {uploadedFiles.finalAttendanceList && (
+                    <div className="mt-6">
+                        <AttendanceImportPreview
+                            proposalId={proposalId}
+                            file={uploadedFiles.finalAttendanceList}
+                            mapping={formData.attendanceMapping || null}
+                            onMappingChange={(mapping) => onFieldChange('attendanceMapping', mapping)}
+                            onConfirmed={handleAttendanceConfirmed}
+                            disabled={disabled}
+                        />
+                    </div>
+                )}
+
                 {/* Final Attendance Proof */}
                 <div className="mt-6">
                     <FinalAttendanceProofUpload
@@ -332,29 +365,14 @@ export const AttendanceForm = ({
                     />
                 </div>
 
-                {/* Attendance Count Input */}
+                {/* Attendance Count (derived from the attendee list) */}
                 <div className="mt-4">
-                    <Label htmlFor="attendanceCount" className="flex items-center">
-                        Final Attendance Count (optional)
-                        {databaseData?.attendanceCount && (
-                            <span className="ml-2 text-xs text-green-600">
-                                (Database: {databaseData.attendanceCount})
-                            </span>
-                        )}
-                    </Label>
-                    <input
-                        id="attendanceCount"
-                        name="attendanceCount"
-                        type="number"
-                        min="0"
-                        placeholder="Enter total number of attendees"
-                        value={effectiveFormData.attendanceCount || ""}
-                        onChange={(e) => onFieldChange(e.target.name, e.target.value)}
-                        className="flex h-10 w-full max-w-xs rounded-md border border-input bg-background px-3 py-2 text-base ring-offset-background file:border-0 file:bg-transparent file:text-sm file:font-medium file:text-foreground placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50 md:text-sm mt-1"
-                        disabled={disabled}
-                    />
+                    <Label className="flex items-center">Final Attendance Count</Label>
+                    <p className="mt-1 text-2xl font-semibold text-gray-900">
+                        {effectiveFormData.attendanceCount || '—'}
+                    </p>
                     <p className="text-xs text-gray-500 mt-1">
-                        This should match the count in your final attendance list
+                        Counted from the confirmed final attendance list and QR check-ins
                     </p>
                 </div>
             </div>
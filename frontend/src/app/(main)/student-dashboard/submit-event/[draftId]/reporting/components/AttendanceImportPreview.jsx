@@ -0,0 +1,243 @@
+/**
+ * Attendance Import Preview
+ * Shows how the final attendance list was read (column mapping, row checks,
+ * matched student accounts) and lets the organizer confirm it as the event's
+ * attendee list. The attendance count is derived from the confirmed rows.
+ */
+
+import { Badge } from "@/components/dashboard/student/ui/badge";
+import { Button } from "@/components/dashboard/student/ui/button";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/dashboard/student/ui/select";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/dashboard/student/ui/table";
+import { confirmAttendanceImport, previewAttendanceImport } from "@/lib/attendance-api";
+import { AlertCircle, CheckCircle, Loader2 } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { toast } from "sonner";
+
+const FIELD_LABELS = {
+    fullName: 'Full name',
+    firstName: 'First name',
+    lastName: 'Last name',
+    email: 'Email',
+    studentId: 'Student ID',
+    school: 'School',
+    program: 'Program',
+    yearLevel: 'Year level',
+};
+
+// Select items cannot have an empty value
+const NOT_IN_SHEET = '__none__';
+
+// Long sheets are summarized; the confirm step still imports every valid row
+const PREVIEW_ROW_LIMIT = 50;
+
+const STATUS_STYLES = {
+    matched: { label: 'Student account', className: 'bg-green-100 text-green-800' },
+    unmatched: { label: 'Guest', className: 'bg-gray-100 text-gray-700' },
+    invalid: { label: 'Skipped', className: 'bg-red-100 text-red-700' },
+    duplicate: { label: 'Duplicate', className: 'bg-amber-100 text-amber-800' },
+};
+
+/**
+ * @param {Object} props - Component props
+ * @param {string|number} props.proposalId - Proposal the attendees belong to
+ * @param {File} props.file - Selected CSV / .xlsx attendance list
+ * @param {Object|null} props.mapping - Organizer's column choices, null to let the server guess
+ * @param {Function} props.onMappingChange - Called with the new { field: header } mapping
+ * @param {Function} props.onConfirmed - Called with { imported, attendanceCount } after saving
+ * @param {boolean} props.disabled - Whether the form is disabled
+ * @returns {JSX.Element} Attendance import preview
+ */
+export const AttendanceImportPreview = ({
+    proposalId,
+    file,
+    mapping = null,
+    onMappingChange,
+    onConfirmed,
+    disabled = false
+}) => {
+    const [preview, setPreview] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [confirming, setConfirming] = useState(false);
+    const [confirmed, setConfirmed] = useState(null);
+
+    useEffect(() => {
+        if (!file || !proposalId) {
+            setPreview(null);
+            return;
+        }
+
+        let cancelled = false;
+        setLoading(true);
+        setError(null);
+        setConfirmed(null);
+
+        previewAttendanceImport(proposalId, file, mapping)
+            .then((result) => {
+                if (!cancelled) setPreview(result);
+            })
+            .catch((err) => {
+                if (!cancelled) {
+                    setPreview(null);
+                    setError(err.message);
+                }
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [proposalId, file, mapping]);
+
+    const handleColumnChange = (field, header) => {
+        onMappingChange({ ...preview.mapping, [field]: header === NOT_IN_SHEET ? null : header });
+    };
+
+    const handleConfirm = async () => {
+        setConfirming(true);
+        try {
+            const result = await confirmAttendanceImport(proposalId, file, mapping);
+            setConfirmed(result);
+            onConfirmed(result);
+            toast.success(`${result.imported} attendee(s) saved`);
+        } catch (err) {
+            toast.error(err.message || 'Could not save the attendee list');
+        } finally {
+            setConfirming(false);
+        }
+    };
+
+    if (!file) return null;
+
+    if (!proposalId) {
+        return (
+            <p className="text-sm text-gray-600">
+                Save the proposal first to check the attendance list before submitting.
+            </p>
+        );
+    }
+
+    if (loading) {
+        return (
+            <div className="flex items-center text-sm text-gray-600">
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                Reading {file.name}...
+            </div>
+        );
+    }
+
+    if (error) {
+        return (
+            <div className="flex items-start text-sm text-red-600">
+                <AlertCircle className="h-4 w-4 mr-2 mt-0.5 shrink-0" />
+                {error}
+            </div>
+        );
+    }
+
+    if (!preview) return null;
+
+    const { summary } = preview;
+    const problemRows = preview.rows.filter((row) => row.errors.length > 0);
+
+    return (
+        <div className="space-y-4 rounded-md border border-amber-200 bg-white p-4">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+                <div>
+                    <h4 className="font-medium text-gray-800">Attendance list preview</h4>
+                    <p className="text-sm text-gray-600">
+                        {summary.valid} attendee(s) will be saved: {summary.matched} linked to student accounts,{' '}
+                        {summary.unmatched} guest(s). {summary.invalid + summary.duplicates} row(s) will be skipped.
+                    </p>
+                </div>
+                {confirmed ? (
+                    <span className="flex items-center text-sm text-green-700">
+                        <CheckCircle className="h-4 w-4 mr-1" />
+                        Saved · {confirmed.attendanceCount} attendee(s) on record
+                    </span>
+                ) : (
+                    <Button
+                        type="button"
+                        onClick={handleConfirm}
+                        disabled={disabled || confirming || summary.valid === 0}
+                    >
+                        {confirming && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                        Confirm attendee list
+                    </Button>
+                )}
+            </div>
+
+            {/* Column mapping */}
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+                {preview.fields.map((field) => (
+                    <div key={field} className="space-y-1">
+                        <span className="text-xs font-medium text-gray-600">{FIELD_LABELS[field] || field}</span>
+                        <Select
+                            value={preview.mapping[field] || NOT_IN_SHEET}
+                            onValueChange={(header) => handleColumnChange(field, header)}
+                            disabled={disabled || confirming}
+                        >
+                            <SelectTrigger className="h-8 text-sm">
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                <SelectItem value={NOT_IN_SHEET}>Not in sheet</SelectItem>
+                                {preview.headers.filter(Boolean).map((header) => (
+                                    <SelectItem key={header} value={header}>{header}</SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                    </div>
+                ))}
+            </div>
+
+            {problemRows.length > 0 && (
+                <div className="text-sm text-red-700 space-y-1">
+                    {problemRows.slice(0, 10).map((row) => (
+                        <p key={row.rowNumber}>Row {row.rowNumber}: {row.errors.join(', ')}</p>
+                    ))}
+                    {problemRows.length > 10 && <p>…and {problemRows.length - 10} more row(s) with problems</p>}
+                </div>
+            )}
+
+            <div className="max-h-80 overflow-auto rounded border">
+                <Table>
+                    <TableHeader>
+                        <TableRow>
+                            <TableHead className="w-16">Row</TableHead>
+                            <TableHead>Name</TableHead>
+                            <TableHead>Email</TableHead>
+                            <TableHead>Student ID</TableHead>
+                            <TableHead>Status</TableHead>
+                        </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                        {preview.rows.slice(0, PREVIEW_ROW_LIMIT).map((row) => (
+                            <TableRow key={row.rowNumber}>
+                                <TableCell>{row.rowNumber}</TableCell>
+                                <TableCell>{row.fullName || '—'}</TableCell>
+                                <TableCell>{row.email || '—'}</TableCell>
+                                <TableCell>{row.studentId || '—'}</TableCell>
+                                <TableCell>
+                                    <Badge variant="outline" className={STATUS_STYLES[row.status].className}>
+                                        {STATUS_STYLES[row.status].label}
+                                    </Badge>
+                                </TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            </div>
+            {preview.rows.length > PREVIEW_ROW_LIMIT && (
+                <p className="text-xs text-gray-500">
+                    Showing the first {PREVIEW_ROW_LIMIT} of {preview.rows.length} rows.
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default AttendanceImportPreview;
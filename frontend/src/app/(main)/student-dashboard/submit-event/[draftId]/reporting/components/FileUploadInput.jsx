@@ -260,9 +260,9 @@ export const FinalAttendanceUpload = (props) => (
     <FileUploadInput
         {...props}
         fileType="finalAttendanceList"
-        validFormats={FILE_VALIDATION.CSV_FILES.formats}
+        validFormats={FILE_VALIDATION.ATTENDANCE_FILES.formats}
         label="Final Attendance List"
-        description="Upload the final list of actual attendees (CSV format only)"
+        description="Upload the final list of actual attendees (CSV or Excel .xlsx with a header row)"
     />
 );
 
@@ -0,0 +1,90 @@
+/**
+ * Registration Summary Component
+ * Online registration totals for the event, in place of an uploaded pre-registration sheet
+ */
+
+import { Button } from "@/components/dashboard/student/ui/button";
+import { downloadRegistrants, fetchRegistrationSettings } from "@/lib/registrations-api";
+import { ClipboardList, Download } from 'lucide-react';
+import Link from "next/link";
+import { useEffect, useRef, useState } from 'react';
+import { toast } from "sonner";
+
+/**
+ * Shows how many students registered online and offers the registrant list
+ * (CSV, same columns as the attendance upload). Renders nothing when the
+ * event never used online registration.
+ * @param {Object} props - Component props
+ * @param {string|number} props.proposalId - Proposal ID
+ * @param {Function} [props.onLoaded] - Receives the registration counts
+ * @returns {JSX.Element|null} Registration summary
+ */
+export const RegistrationSummary = ({ proposalId, onLoaded }) => {
+    const [summary, setSummary] = useState(null);
+    // onLoaded is a new function on every parent render; keep the latest one
+    // without refetching each time it changes
+    const onLoadedRef = useRef(onLoaded);
+
+    useEffect(() => {
+        onLoadedRef.current = onLoaded;
+    }, [onLoaded]);
+
+    useEffect(() => {
+        if (!proposalId) return undefined;
+        let cancelled = false;
+        fetchRegistrationSettings(proposalId)
+            .then((result) => {
+                if (cancelled) return;
+                setSummary(result);
+                if (onLoadedRef.current) onLoadedRef.current(result.counts);
+            })
+            .catch((error) => {
+                console.warn('Online registration unavailable:', error.message);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [proposalId]);
+
+    if (!summary) return null;
+    const { counts, settings } = summary;
+    const used = settings.isOpen || counts.registered + counts.waitlisted + counts.cancelled > 0;
+    if (!used) return null;
+
+    const handleDownload = async () => {
+        try {
+            await downloadRegistrants(proposalId);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    };
+
+    return (
+        <div className="mb-4 rounded-md border border-blue-200 bg-white p-3">
+            <div className="flex items-center text-sm font-medium text-gray-800">
+                <ClipboardList className="h-4 w-4 mr-2 text-blue-600" />
+                Online Registration
+            </div>
+            <p className="mt-1 text-sm text-gray-600">
+                {counts.registered} registered
+                {settings.capacity ? ` of ${settings.capacity}` : ''}
+                {counts.waitlisted > 0 ? ` · ${counts.waitlisted} waitlisted` : ''}
+                {counts.cancelled > 0 ? ` · ${counts.cancelled} cancelled` : ''}
+            </p>
+            <p className="mt-1 text-xs text-gray-500">
+                Online registrations count as your pre-registration list; uploading a sheet is optional.
+            </p>
+            <div className="mt-2 flex flex-wrap gap-2">
+                <Button type="button" variant="outline" size="sm" onClick={handleDownload}>
+                    <Download className="h-4 w-4 mr-1" />
+                    Download registrant list
+                </Button>
+                <Link href={`/student-dashboard/registrations/${proposalId}`}>
+                    <Button type="button" variant="ghost" size="sm">Manage</Button>
+                </Link>
+            </div>
+        </div>
+    );
+};
+
+export default RegistrationSummary;
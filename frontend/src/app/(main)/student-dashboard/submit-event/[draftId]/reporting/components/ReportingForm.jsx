@@ -77,7 +77,8 @@ export const ReportingForm = ({
             completedFields++;
         }
 
-        if (!uploadedFiles.preRegistrationList && !data.pre_registration_file_path) {
+        // Students who registered online stand in for an uploaded pre-registration sheet
+        if (!uploadedFiles.preRegistrationList && !data.pre_registration_file_path && !(data.onlineRegistrationCount > 0)) {
             newErrors.preRegistrationList = "Please upload the Pre-Registration Attendee List";
         } else {
             completedFields++;
@@ -356,6 +357,7 @@ export const ReportingForm = ({
                             errors={errors}
                             disabled={disabled}
                             formData={formData}
+                            proposalId={proposalId}
                         />
                     </Suspense>
                 </CardContent>
@@ -159,7 +159,8 @@ export const createFormDataPayload = (data, proposalId, uploadedFiles = {}) => {
         event_status: data.event_status,
         event_venue: eventVenue,
         report_description: data.reportDescription,
-        attendance_count: data.attendanceCount,
+        // attendance_count is derived on the server from the attendance list
+        attendance_mapping: data.attendanceMapping ? JSON.stringify(data.attendanceMapping) : undefined,
         organization_name: data.organizationName,
         event_name: eventName,
         event_start_date: getDateString(eventStartDate),
@@ -202,6 +203,14 @@ export const FILE_VALIDATION = {
         formats: ['text/csv', '.csv'],
         namingPattern: null
     },
+    ATTENDANCE_FILES: {
+        formats: [
+            'text/csv',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            '.csv', '.xlsx'
+        ],
+        namingPattern: null
+    },
     MAX_SIZE: 10 * 1024 * 1024 // 10MB
 };
 
@@ -8,10 +8,13 @@ import { Input } from "@/components/dashboard/student/ui/input"
 import { Label } from "@/components/dashboard/student/ui/label"
 import { RadioGroup, RadioGroupItem } from "@/components/dashboard/student/ui/radio-group"
 import { useToast } from "@/hooks/use-toast"
+import { checkFile } from "@/lib/upload-policy"
 import { cn } from "@/lib/utils"
 import { AlertCircle, Download, FileText, InfoIcon, LockIcon, Paperclip, UploadCloud, X } from "lucide-react"
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react"
 import DatePickerComponent from "../../DatePickerComponent"
+import { ScheduleConflictNotice } from "../../ScheduleConflictNotice"
+import { VenuePicker } from "../../VenuePicker"
 import { getFieldClasses, hasFieldError } from "../../validation"
 // 🆕 Centralised helpers
 import {
@@ -258,6 +261,7 @@ const Section3_SchoolEventComponent = ({
   const [localFormData, setLocalFormData] = useState({
     schoolEventName: formData.schoolEventName || "",
     schoolVenue: formData.schoolVenue || "",
+    schoolVenueId: formData.schoolVenueId || null,
     schoolStartDate: formData.schoolStartDate ? new Date(formData.schoolStartDate) : null,
     schoolEndDate: formData.schoolEndDate ? new Date(formData.schoolEndDate) : null,
     schoolTimeStart: formData.schoolTimeStart || "",
@@ -285,6 +289,7 @@ const Section3_SchoolEventComponent = ({
     setLocalFormData({
       schoolEventName: formData.schoolEventName || "",
       schoolVenue: formData.schoolVenue || "",
+      schoolVenueId: formData.schoolVenueId || null,
       schoolStartDate: formData.schoolStartDate ? new Date(formData.schoolStartDate) : null,
       schoolEndDate: formData.schoolEndDate ? new Date(formData.schoolEndDate) : null,
       schoolTimeStart: formData.schoolTimeStart || "",
@@ -329,6 +334,12 @@ const Section3_SchoolEventComponent = ({
     setLocalFormData(prev => ({ ...prev, [name]: value }));
   }, [disabled, localFormData, toast, validateDateTime]);
 
+  const handleVenueChange = useCallback(({ venue, venueId }) => {
+    if (disabled) return;
+    userInteractionRef.current = true;
+    setLocalFormData(prev => ({ ...prev, schoolVenue: venue, schoolVenueId: venueId }));
+  }, [disabled]);
+
   const handleDateChange = useCallback((fieldName, date) => {
     if (disabled || !date) return;
 
@@ -394,7 +405,7 @@ const Section3_SchoolEventComponent = ({
     // });
   }, [disabled]);
 
-  const handleFileUpload = useCallback((e, fieldName) => {
+  const handleFileUpload = useCallback(async (e, fieldName, documentType) => {
     if (disabled) return;
     const file = e.target.files?.[0];
     if (!file) return;
@@ -444,6 +455,18 @@ const Section3_SchoolEventComponent = ({
       return;
     }
 
+    // Same content checks the server runs: real file type, no macros or passwords, page limit
+    const check = await checkFile(file, documentType);
+    if (!check.accepted) {
+      toast({
+        title: "File not accepted",
+        description: check.reason,
+        variant: "destructive",
+      });
+      e.target.value = "";
+      return;
+    }
+
     // Mark as user interaction to prevent useEffect sync loop
     userInteractionRef.current = true;
 
@@ -1158,7 +1181,7 @@ const Section3_SchoolEventComponent = ({
       // Create a single consolidated update object to avoid multiple state updates
       const consolidatedUpdate = {};
       const fieldsToSync = [
-        'schoolEventName', 'schoolVenue', 'schoolStartDate', 'schoolEndDate',
+        'schoolEventName', 'schoolVenue', 'schoolVenueId', 'schoolStartDate', 'schoolEndDate',
         'schoolTimeStart', 'schoolTimeEnd', 'schoolEventType', 'schoolEventMode',
         'schoolReturnServiceCredit', 'schoolTargetAudience', 'schoolGPOAFile', 'schoolProposalFile'
       ];
@@ -1284,12 +1307,17 @@ const Section3_SchoolEventComponent = ({
             <Label htmlFor="schoolVenue" className="font-semibold text-gray-800 dark:text-gray-200 flex items-center">
               Venue (Platform or Address) <span className="text-red-500 ml-0.5">*</span>
             </Label>
-            <Input
+            <VenuePicker
               id="schoolVenue"
               name="schoolVenue"
-              value={localFormData.schoolVenue || ""}
-              onChange={handleLocalInputChange}
-              placeholder="e.g., University Gymnasium or Zoom Meeting ID"
+              venue={localFormData.schoolVenue}
+              venueId={localFormData.schoolVenueId}
+              onChange={handleVenueChange}
+              startDate={localFormData.schoolStartDate}
+              endDate={localFormData.schoolEndDate}
+              startTime={localFormData.schoolTimeStart}
+              endTime={localFormData.schoolTimeEnd}
+              proposalId={proposalIdForFiles}
               className={getFieldClasses("schoolVenue", validationErrors, "dark:bg-gray-700 dark:border-gray-600 focus:ring-cedo-blue dark:focus:ring-cedo-gold")}
               disabled={disabled}
               required
@@ -1368,6 +1396,16 @@ const Section3_SchoolEventComponent = ({
               </ul>
             </div>
           </div>
+          <ScheduleConflictNotice
+            venue={localFormData.schoolVenue}
+            venueId={localFormData.schoolVenueId}
+            startDate={localFormData.schoolStartDate}
+            endDate={localFormData.schoolEndDate}
+            startTime={localFormData.schoolTimeStart}
+            endTime={localFormData.schoolTimeEnd}
+            organizationName={formData.organizationName}
+            proposalId={proposalIdForFiles}
+          />
         </fieldset>
 
         {/* Fieldset for Event Specifics */}
@@ -1458,8 +1496,8 @@ const Section3_SchoolEventComponent = ({
             )}
           </legend>
           {[
-            { label: "General Plan of Action (GPOA)", name: "schoolGPOAFile", type: "gpoa", hint: "Filename: OrganizationName_GPOA.pdf/docx/xlsx" },
-            { label: "Project Proposal Document", name: "schoolProposalFile", type: "proposal", hint: "Filename: OrganizationName_PP.pdf/docx/xlsx. Must include summary, objectives, timeline, budget." }
+            { label: "General Plan of Action (GPOA)", name: "schoolGPOAFile", type: "gpoa", hint: "Saved as OrganizationName_GPOA.pdf/docx/xlsx. PDFs up to 30 pages." },
+            { label: "Project Proposal Document", name: "schoolProposalFile", type: "proposal", hint: "Saved as OrganizationName_PP.pdf/docx/xlsx. Must include summary, objectives, timeline, budget. PDFs up to 50 pages." }
           ].map(fileField => {
             const hasLocalFile = Boolean(filePreviews[fileField.name]);
             const hasExistingFile = Boolean(existingFiles[fileField.type]);
@@ -1499,14 +1537,14 @@ const Section3_SchoolEventComponent = ({
                       )}
                     </p>
                     <p className="text-xs text-gray-500 dark:text-gray-400 mt-1.5">{fileField.hint}</p>
-                    <p className="text-xs text-gray-400 dark:text-gray-500">Max 5MB. Allowed: PDF, Word, Excel.</p>
+                    <p className="text-xs text-gray-400 dark:text-gray-500">Max 5MB. Allowed: PDF, Word, Excel, without macros or passwords.</p>
                   </Label>
                   <Input
                     id={fileField.name}
                     name={fileField.name}
                     type="file"
                     className="sr-only"
-                    onChange={(e) => handleFileUpload(e, fileField.name)}
+                    onChange={(e) => handleFileUpload(e, fileField.name, fileField.type)}
                     accept=".pdf,.doc,.docx,.xls,.xlsx"
                     disabled={disabled}
                   />
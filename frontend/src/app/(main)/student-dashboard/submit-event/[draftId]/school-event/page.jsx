@@ -5,6 +5,7 @@ import { useDraft } from '@/hooks/useDraft';
 import { useParams, useRouter } from 'next/navigation';
 import { useEffect, useState } from 'react';
 import { useDebouncedCallback } from 'use-debounce';
+import { ValidationErrorsAlert } from '../../ValidationErrorsAlert';
 import Section3_SchoolEvent from './Section3_SchoolEvent.jsx';
 
 export default function SchoolEventPage() {
@@ -12,7 +13,7 @@ export default function SchoolEventPage() {
     const router = useRouter();
 
     // Fetch draft data
-    const { draft, patch, loading } = useDraft(draftId);
+    const { draft, patch, loading, error } = useDraft(draftId);
 
     // Keep local state unconditional so hook order stays stable
     const [formData, setFormData] = useState({});
@@ -27,22 +28,26 @@ export default function SchoolEventPage() {
     // Auto-save after user stops typing
     useDebouncedCallback(() => {
         if (!loading && draft) {
-            patch({ section: 'school-event', payload: formData });
+            // Field errors from the backend surface through `error.errors`
+            patch({ section: 'school-event', payload: formData }).catch(() => { });
         }
     }, 800, [formData, loading, draft]);
 
     if (loading || !draft) return <Skeleton />;
 
     return (
-        <Section3_SchoolEvent
-            formData={formData}
-            onChange={(u) => setFormData((prev) => ({ ...prev, ...u }))}
-            onPrevious={() => router.push(`/student-dashboard/submit-event/${draftId}/organization`)}
-            onNext={() => router.push(`/student-dashboard/submit-event/${draftId}/reporting`)}
-            // Pass through handlers expected by Section3 for files
-            handleInputChange={({ target }) => setFormData((p) => ({ ...p, [target.name]: target.value }))}
-            handleFileChange={() => { }}
-        />
+        <>
+            <ValidationErrorsAlert errors={error?.errors} />
+            <Section3_SchoolEvent
+                formData={formData}
+                onChange={(u) => setFormData((prev) => ({ ...prev, ...u }))}
+                onPrevious={() => router.push(`/student-dashboard/submit-event/${draftId}/organization`)}
+                onNext={() => router.push(`/student-dashboard/submit-event/${draftId}/reporting`)}
+                // Pass through handlers expected by Section3 for files
+                handleInputChange={({ target }) => setFormData((p) => ({ ...p, [target.name]: target.value }))}
+                handleFileChange={() => { }}
+            />
+        </>
     );
 }
 
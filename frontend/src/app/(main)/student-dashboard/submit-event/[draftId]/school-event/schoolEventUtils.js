@@ -66,6 +66,14 @@ export const validateDateTime = (start_date, end_date, start_time, end_time) =>
 /* -------------------------------------------------------------------------
  * Database / API helpers
  * ------------------------------------------------------------------------- */
+
+// JWT from the `cedo_token` cookie; the backend records it as the author of status changes
+const authHeaders = () => {
+    if (typeof window === 'undefined') return {};
+    const cookieValue = document.cookie.split('; ').find(row => row.startsWith('cedo_token='));
+    const token = cookieValue ? cookieValue.split('=')[1] : localStorage.getItem('cedo_token');
+    return token ? { Authorization: `Bearer ${token}` } : {};
+};
 export const fetchProposalIdFromDatabase = async (formData) => {
     const backendUrl = process.env.API_URL || 'http://localhost:5000';
     if (formData.organizationName && formData.contactEmail) {
@@ -264,6 +272,7 @@ export const saveSchoolEventData = async (formData) => {
     const mysqlPayload = {
         proposal_id: proposalId,
         venue: formData.schoolVenue,
+        venue_id: formData.schoolVenueId || null,
         start_date: formData.schoolStartDate ? new Date(formData.schoolStartDate).toISOString().split('T')[0] : '',
         end_date: formData.schoolEndDate ? new Date(formData.schoolEndDate).toISOString().split('T')[0] : '',
         time_start: formData.schoolTimeStart,
@@ -282,7 +291,7 @@ export const saveSchoolEventData = async (formData) => {
 
     const mysqlRes = await fetch(mysqlUrl, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
         body: JSON.stringify(mysqlPayload),
     });
 
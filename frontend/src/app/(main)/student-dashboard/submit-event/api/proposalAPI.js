@@ -8,6 +8,14 @@ import { config } from '@/lib/utils';
 
 const API_BASE_URL = config.backendUrl;
 
+// JWT from the `cedo_token` cookie; the backend records it as the author of status changes
+const authHeaders = () => {
+    if (typeof window === 'undefined') return {};
+    const cookieValue = document.cookie.split('; ').find(row => row.startsWith('cedo_token='));
+    const token = cookieValue ? cookieValue.split('=')[1] : localStorage.getItem('cedo_token');
+    return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
 // ===================================================================
 // CORE PROPOSAL API FUNCTIONS
 // ===================================================================
@@ -48,7 +56,7 @@ export const saveProposal = async (proposalData, files = []) => {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                // 'Authorization': `Bearer ${token}` // Add when auth is ready
+                ...authHeaders(),
             },
             body: JSON.stringify(payload)
         });
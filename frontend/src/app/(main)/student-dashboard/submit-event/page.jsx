@@ -1,4 +1,5 @@
 import { createDraft } from '@/lib/draft-api';
+import { cookies } from 'next/headers';
 import { redirect } from 'next/navigation';
 
 // Server component: handles both new drafts and review mode
@@ -25,7 +26,8 @@ export default async function Page({ searchParams }) {
 
     // Default behavior: create new draft for normal flow
     console.log('📝 Creating new draft for normal flow');
-    const { draftId } = await createDraft();
+    const cookieStore = await cookies();
+    const { draftId } = await createDraft(cookieStore.get('cedo_token')?.value);
 
     // Send user to the first step of the new draft
     redirect(`/student-dashboard/submit-event/${draftId}/overview`);
@@ -178,11 +178,7 @@ export const REQUIRED_FIELDS = {
     },
 
     section5: {
-        attendanceCount: {
-            required: true,
-            message: "Attendance count is required",
-            validator: (value) => value && parseInt(value) > 0
-        },
+        // attendanceCount is derived from the confirmed attendance list, not typed in
         eventStatus: {
             required: true,
             message: "Event status is required"
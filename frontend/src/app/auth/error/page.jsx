@@ -25,6 +25,16 @@ export default function OAuthErrorPage() {
                 message: 'Your Google account is not registered in our system. Please contact an administrator to create your account.',
                 suggestion: 'Contact your system administrator to get your account set up.'
             },
+            'ACCOUNT_PENDING': {
+                title: 'Account Pending Approval',
+                message: 'Your account is registered but still waiting for administrator approval.',
+                suggestion: 'You will receive an email once it is approved. This usually takes 1-2 business days.'
+            },
+            'ACCOUNT_REJECTED': {
+                title: 'Account Request Not Approved',
+                message: `An administrator reviewed your account request and did not approve it. Reason: ${decodeURIComponent(message)}`,
+                suggestion: 'Fix what the reason describes, then contact the administrator to review your request again.'
+            },
             'EMAIL_NOT_VERIFIED': {
                 title: 'Email Not Verified',
                 message: 'Your Google email address has not been verified. Please verify your email with Google and try again.',
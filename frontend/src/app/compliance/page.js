@@ -1,127 +1,122 @@
 "use client"
 
-import { useState } from "react"
+import { useCallback, useEffect, useState } from "react"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
-import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs"
 import { Badge } from "@/components/ui/badge"
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
-import { Search, Filter, FileText } from "lucide-react"
+import { Search, RefreshCw, FileText, Loader2, ClipboardCheck } from "lucide-react"
 import { PageHeader } from "@/components/page-header"
 import { Progress } from "@/components/ui/progress"
-
-// Sample data for compliance tracking
-const complianceData = [
-  {
-    id: "PROP-1002",
-    title: "HIV Awareness Campaign",
-    organization: "XU Medical Center",
-    approvalDate: "2023-05-20",
-    dueDate: "2023-06-20",
-    status: "compliant",
-    progress: 100,
-    documents: [
-      { name: "Final_Report.pdf", submitted: true },
-      { name: "Attendance_Sheets.pdf", submitted: true },
-      { name: "Budget_Report.xlsx", submitted: true },
-      { name: "Photo_Documentation.zip", submitted: true },
-    ],
-  },
-  {
-    id: "PROP-1004",
-    title: "Small Business Development Program",
-    organization: "City Hall - Economic Development",
-    approvalDate: "2023-05-18",
-    dueDate: "2023-06-18",
-    status: "pending",
-    progress: 75,
-    documents: [
-      { name: "Progress_Report.pdf", submitted: true },
-      { name: "Attendance_Sheets.pdf", submitted: true },
-      { name: "Budget_Report.xlsx", submitted: true },
-      { name: "Photo_Documentation.zip", submitted: false },
-    ],
-  },
-  {
-    id: "PROP-1006",
-    title: "Environmental Clean-Up Initiative",
-    organization: "Barangay Lapasan",
-    approvalDate: "2023-05-10",
-    dueDate: "2023-06-10",
-    status: "overdue",
-    progress: 50,
-    documents: [
-      { name: "Progress_Report.pdf", submitted: true },
-      { name: "Attendance_Sheets.pdf", submitted: true },
-      { name: "Budget_Report.xlsx", submitted: false },
-      { name: "Photo_Documentation.zip", submitted: false },
-    ],
-  },
-  {
-    id: "PROP-1008",
-    title: "Literacy Program for Adults",
-    organization: "City Library",
-    approvalDate: "2023-05-05",
-    dueDate: "2023-06-05",
-    status: "compliant",
-    progress: 100,
-    documents: [
-      { name: "Final_Report.pdf", submitted: true },
-      { name: "Attendance_Sheets.pdf", submitted: true },
-      { name: "Budget_Report.xlsx", submitted: true },
-      { name: "Photo_Documentation.zip", submitted: true },
-    ],
-  },
-  {
-    id: "PROP-1009",
-    title: "Mental Health Awareness Seminar",
-    organization: "City Health Office",
-    approvalDate: "2023-05-02",
-    dueDate: "2023-06-02",
-    status: "overdue",
-    progress: 25,
-    documents: [
-      { name: "Progress_Report.pdf", submitted: true },
-      { name: "Attendance_Sheets.pdf", submitted: false },
-      { name: "Budget_Report.xlsx", submitted: false },
-      { name: "Photo_Documentation.zip", submitted: false },
-    ],
-  },
-]
+import { ComplianceDetailsDialog, COMPLIANCE_STATUS_STYLES, dueLabel, formatDay } from "@/components/compliance-details"
+import { ComplianceOverrides } from "@/components/compliance-overrides"
+import { useAuth } from "@/contexts/auth-context"
+import { useLiveUpdates } from "@/hooks/useLiveUpdates"
+import { COMPLIANCE_STATUS_LABELS, fetchCompliance, fetchComplianceStats, runDeadlineCheck } from "@/lib/compliance-api"
+import { hasPermission } from "@/lib/permissions"
+import { toast } from "sonner"
 
 export default function CompliancePage() {
+  const { user } = useAuth()
+  const isStaff = hasPermission(user, "report:review")
+
+  const [items, setItems] = useState(null)
+  const [stats, setStats] = useState(null)
+  const [error, setError] = useState(null)
   const [searchTerm, setSearchTerm] = useState("")
   const [statusFilter, setStatusFilter] = useState("all")
+  const [selectedId, setSelectedId] = useState(null)
+  const [checking, setChecking] = useState(false)
+
+  const load = useCallback(() => {
+    fetchCompliance()
+      .then((result) => {
+        setItems(result.items)
+        setError(null)
+      })
+      .catch((loadError) => setError(loadError.message))
+    if (isStaff) {
+      fetchComplianceStats()
+        .then(setStats)
+        .catch(() => setStats(null))
+    }
+  }, [isStaff])
+
+  useEffect(() => {
+    if (user) load()
+  }, [user, load])
+
+  // Reports are submitted and reviewed elsewhere; both move the compliance status
+  useLiveUpdates(["report.status", "proposal.status"], load)
 
-  // Filter compliance data based on search term and status filter
-  const filteredData = complianceData.filter((item) => {
+  const runCheck = async () => {
+    setChecking(true)
+    try {
+      const summary = await runDeadlineCheck()
+      toast.success(`Checked ${summary.checked} report(s): ${summary.reminded} reminded, ${summary.markedOverdue} newly overdue`)
+      load()
+    } catch (checkError) {
+      toast.error(checkError.message)
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  // Filter compliance records based on search term and status filter
+  const search = searchTerm.toLowerCase()
+  const filteredData = (items || []).filter((item) => {
     const matchesSearch =
-      item.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      item.organization.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      item.id.toLowerCase().includes(searchTerm.toLowerCase())
+      (item.eventName || "").toLowerCase().includes(search) ||
+      (item.organizationName || "").toLowerCase().includes(search) ||
+      String(item.proposalId).includes(search)
 
     const matchesStatus = statusFilter === "all" || item.status === statusFilter
 
     return matchesSearch && matchesStatus
   })
 
+  const overdueOrganizations = [
+    ...new Set((items || []).filter((item) => item.status === "overdue").map((item) => item.organizationName)),
+  ].filter(Boolean)
+
   return (
-    <div className="flex-1 bg-[#f8f9fa] p-6 md:p-8">
+    <div className="flex-1 bg-[#f8f9fa] p-6 md:p-8 space-y-6">
       <PageHeader
         title="Compliance Tracking"
         subtitle="Monitor and manage compliance requirements for approved proposals"
       />
 
+      {isStaff && stats && (
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+          {[
+            ["Compliance rate", `${stats.complianceRate}%`],
+            ["Compliant", stats.compliant],
+            ["Pending", stats.pending],
+            ["Overdue", stats.overdue],
+          ].map(([label, value]) => (
+            <Card key={label} className="cedo-card">
+              <CardContent className="p-4">
+                <p className="text-sm text-muted-foreground">{label}</p>
+                <p className="text-2xl font-semibold text-cedo-blue">{value}</p>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+
       <Card className="cedo-card">
         <CardHeader>
           <CardTitle className="text-cedo-blue">Compliance Dashboard</CardTitle>
           <CardDescription>
-            Track the status of required documentation for approved partnership proposals
+            {isStaff
+              ? "Track the accomplishment reports and required documentation of approved proposals"
+              : "Submit the accomplishment report and required documents of your approved proposals before their due dates"}
           </CardDescription>
         </CardHeader>
         <CardContent>
-          <Tabs defaultValue="all" className="space-y-4">
+          <Tabs value={statusFilter} onValueChange={setStatusFilter} className="space-y-4">
             <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-4">
               <TabsList>
                 <TabsTrigger value="all">All</TabsTrigger>
@@ -141,45 +136,59 @@ export default function CompliancePage() {
                     onChange={(e) => setSearchTerm(e.target.value)}
                   />
                 </div>
-                <Button variant="outline" size="icon">
-                  <Filter className="h-4 w-4" />
-                </Button>
+                {isStaff ? (
+                  <Button variant="outline" onClick={runCheck} disabled={checking} title="Send due reminders and mark missed deadlines now">
+                    {checking ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <ClipboardCheck className="mr-2 h-4 w-4" />}
+                    Run check
+                  </Button>
+                ) : (
+                  <Button variant="outline" size="icon" onClick={load} title="Refresh">
+                    <RefreshCw className="h-4 w-4" />
+                  </Button>
+                )}
               </div>
             </div>
 
-            <TabsContent value="all" className="space-y-4">
-              <div className="rounded-md border">
-                <Table>
-                  <TableHeader className="cedo-table-header">
+            <div className="rounded-md border">
+              <Table>
+                <TableHeader className="cedo-table-header">
+                  <TableRow>
+                    <TableHead>ID</TableHead>
+                    <TableHead>Title</TableHead>
+                    <TableHead>Organization</TableHead>
+                    <TableHead>Due Date</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead>Progress</TableHead>
+                    <TableHead>Documents</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {!items && !error ? (
                     <TableRow>
-                      <TableHead>ID</TableHead>
-                      <TableHead>Title</TableHead>
-                      <TableHead>Organization</TableHead>
-                      <TableHead>Due Date</TableHead>
-                      <TableHead>Status</TableHead>
-                      <TableHead>Progress</TableHead>
-                      <TableHead>Documents</TableHead>
-                      <TableHead className="text-right">Actions</TableHead>
+                      <TableCell colSpan={8} className="text-center py-6">
+                        <Loader2 className="h-6 w-6 animate-spin text-cedo-blue mx-auto" />
+                      </TableCell>
                     </TableRow>
-                  </TableHeader>
-                  <TableBody>
-                    {filteredData.map((item) => (
-                      <TableRow key={item.id} className="cedo-table-row">
-                        <TableCell className="font-medium">{item.id}</TableCell>
-                        <TableCell>{item.title}</TableCell>
-                        <TableCell>{item.organization}</TableCell>
-                        <TableCell>{new Date(item.dueDate).toLocaleDateString()}</TableCell>
+                  ) : filteredData.length > 0 ? (
+                    filteredData.map((item) => (
+                      <TableRow key={item.proposalId} className="cedo-table-row">
+                        <TableCell className="font-medium">#{item.proposalId}</TableCell>
+                        <TableCell>{item.eventName}</TableCell>
+                        <TableCell>{item.organizationName}</TableCell>
                         <TableCell>
-                          <Badge
-                            className={
-                              item.status === "compliant"
-                                ? "bg-green-500 hover:bg-green-500"
-                                : item.status === "pending"
-                                  ? "bg-amber-500 hover:bg-amber-500"
-                                  : "bg-red-500 hover:bg-red-500"
-                            }
-                          >
-                            {item.status.charAt(0).toUpperCase() + item.status.slice(1)}
+                          <div className="flex flex-col">
+                            <span>{formatDay(item.dueDate)}</span>
+                            {dueLabel(item) && (
+                              <span className={`text-xs ${item.daysLeft < 0 ? "text-red-600" : "text-muted-foreground"}`}>
+                                {dueLabel(item)}
+                              </span>
+                            )}
+                          </div>
+                        </TableCell>
+                        <TableCell>
+                          <Badge className={COMPLIANCE_STATUS_STYLES[item.status]}>
+                            {COMPLIANCE_STATUS_LABELS[item.status] || item.status}
                           </Badge>
                         </TableCell>
                         <TableCell>
@@ -197,21 +206,38 @@ export default function CompliancePage() {
                           </div>
                         </TableCell>
                         <TableCell className="text-right">
-                          <Button variant="outline" size="sm">
+                          <Button variant="outline" size="sm" onClick={() => setSelectedId(item.proposalId)}>
                             View Details
                           </Button>
                         </TableCell>
                       </TableRow>
-                    ))}
-                  </TableBody>
-                </Table>
-              </div>
-            </TabsContent>
-
-            {/* Other tab contents would go here */}
+                    ))
+                  ) : (
+                    <TableRow>
+                      <TableCell colSpan={8} className="text-center py-6">
+                        <div className="flex flex-col items-center justify-center text-muted-foreground">
+                          <FileText className="h-10 w-10 mb-2" />
+                          <h3 className="text-lg font-medium">{error ? "Could not load compliance records" : "No compliance records found"}</h3>
+                          <p className="text-sm">{error || "Approved proposals appear here with their reporting requirements"}</p>
+                        </div>
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </div>
           </Tabs>
         </CardContent>
       </Card>
+
+      {isStaff && <ComplianceOverrides canManage={hasPermission(user, "compliance:override")} organizations={overdueOrganizations} />}
+
+      <ComplianceDetailsDialog
+        proposalId={selectedId}
+        isStaff={isStaff}
+        onClose={() => setSelectedId(null)}
+        onChanged={load}
+      />
     </div>
   )
 }
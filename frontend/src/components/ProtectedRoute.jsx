@@ -2,10 +2,15 @@
 
 import { Navigate } from "react-router-dom"
 import { useAuth } from "../contexts/auth-context"
+import { dashboardFor, hasPermission } from "../lib/permissions"
 import DashboardLayout from "./layouts/DashboardLayout"
 
-const ProtectedRoute = ({ children, allowedRoles = [] }) => {
-    const { user, isLoading, ROLES } = useAuth()
+/**
+ * @param {Object} props
+ * @param {string|string[]} [props.permission] - Permission(s) the page needs (lib/permissions.js); any signed-in user when omitted
+ */
+const ProtectedRoute = ({ children, permission }) => {
+    const { user, isLoading } = useAuth()
 
     // Show loading state
     if (isLoading) {
@@ -21,20 +26,9 @@ const ProtectedRoute = ({ children, allowedRoles = [] }) => {
         return <Navigate to="/login" replace />
     }
 
-    // If roles are specified and user doesn't have permission
-    if (allowedRoles.length > 0 && !allowedRoles.includes(user.role)) {
-        // Redirect to appropriate dashboard based on role
-        switch (user.role) {
-            case ROLES.head_admin:
-            case ROLES.manager:
-                return <Navigate to="/admin-dashboard" replace />;
-            case ROLES.student:
-            case ROLES.partner:
-                return <Navigate to="/student-dashboard" replace />;
-            default:
-                // Fallback for any other roles or if a role doesn't have a specific dashboard here
-                return <Navigate to="/" replace />;
-        }
+    // Send users without the permission to the dashboard they may use
+    if (permission && !hasPermission(user, permission)) {
+        return <Navigate to={dashboardFor(user)} replace />
     }
 
     // Render the protected content within the dashboard layout
@@ -55,7 +55,7 @@ Best regards`);
                             <User className="w-5 h-5 text-orange-600 dark:text-orange-400 mt-0.5 flex-shrink-0" />
                             <div className="text-sm text-orange-800 dark:text-orange-200">
                                 <p className="font-medium mb-1">To get access:</p>
-                                <p>Contact your administrator to add your account to the CEDO system.</p>
+                                <p>Ask your administrator to add your address to the whitelist, then sign in with Google again. Your account is created the first time you sign in.</p>
                             </div>
                         </div>
                     </div>
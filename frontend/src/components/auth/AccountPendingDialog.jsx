@@ -8,12 +8,13 @@ import {
     DialogHeader,
     DialogTitle
 } from "@/components/ui/dialog";
-import { CheckCircle, Clock, Mail } from "lucide-react";
+import { CheckCircle, Clock, Mail, XCircle } from "lucide-react";
 
 /**
  * AccountPendingDialog Component
  * 
- * Displays when a user's account exists but is not yet approved.
+ * Displays when a user's account exists but is not yet approved, or when
+ * an administrator rejected the request (with the reason they gave).
  * Provides information about the approval process and contact options.
  * 
  * @param {Object} props - Component props
@@ -21,21 +22,31 @@ import { CheckCircle, Clock, Mail } from "lucide-react";
  * @param {Function} props.onClose - Function to close the dialog
  * @param {string} props.userEmail - User's email from Google token
  * @param {Function} props.onCheckAgain - Function to retry checking approval status
+ * @param {'pending'|'rejected'} [props.status] - Approval status from the sign-in response
+ * @param {string} [props.rejectionReason] - Why the request was rejected
  */
-export function AccountPendingDialog({ isOpen, onClose, userEmail, onCheckAgain }) {
-    // Generate a pre-filled follow-up email for pending approval
+export function AccountPendingDialog({ isOpen, onClose, userEmail, onCheckAgain, status = "pending", rejectionReason }) {
+    const isRejected = status === "rejected";
+
+    // Generate a pre-filled follow-up email for pending approval (or a rejected request)
     const generateFollowUpEmail = () => {
-        const subject = encodeURIComponent("Follow-up: Account Approval Status - CEDO System");
+        const subject = encodeURIComponent(isRejected
+            ? "Request: Review of Rejected Account - CEDO System"
+            : "Follow-up: Account Approval Status - CEDO System");
         const body = encodeURIComponent(`Dear Administrator,
 
-I am following up on my account approval status for the CEDO System.
+${isRejected
+        ? `My account request for the CEDO System was not approved. The reason given was: "${rejectionReason || "not specified"}".`
+        : "I am following up on my account approval status for the CEDO System."}
 
 My Details:
 - Email: ${userEmail}
 - Date: ${new Date().toLocaleDateString()}
 - Time: ${new Date().toLocaleTimeString()}
 
-I have already requested access but my account is still pending approval. Could you please provide an update on the status or let me know if any additional information is needed?
+${isRejected
+        ? "I would like to ask for my request to be reviewed again. Please let me know what I need to provide."
+        : "I have already requested access but my account is still pending approval. Could you please provide an update on the status or let me know if any additional information is needed?"}
 
 Thank you for your time and assistance.
 
@@ -48,40 +59,74 @@ Best regards`);
         <Dialog open={isOpen} onOpenChange={onClose}>
             <DialogContent className="max-w-md mx-auto bg-white dark:bg-neutral-900 rounded-2xl shadow-2xl p-6 sm:p-8">
                 <DialogHeader className="text-center space-y-4">
-                    <div className="mx-auto w-16 h-16 bg-yellow-100 dark:bg-yellow-900/20 rounded-full flex items-center justify-center">
-                        <Clock className="w-8 h-8 text-yellow-600 dark:text-yellow-400" />
-                    </div>
+                    {isRejected ? (
+                        <div className="mx-auto w-16 h-16 bg-red-100 dark:bg-red-900/20 rounded-full flex items-center justify-center">
+                            <XCircle className="w-8 h-8 text-red-600 dark:text-red-400" />
+                        </div>
+                    ) : (
+                        <div className="mx-auto w-16 h-16 bg-yellow-100 dark:bg-yellow-900/20 rounded-full flex items-center justify-center">
+                            <Clock className="w-8 h-8 text-yellow-600 dark:text-yellow-400" />
+                        </div>
+                    )}
 
                     <DialogTitle className="text-xl font-semibold text-gray-900 dark:text-white">
-                        Account Pending Approval
+                        {isRejected ? "Account Request Not Approved" : "Account Pending Approval"}
                     </DialogTitle>
 
                     <DialogDescription className="text-gray-600 dark:text-gray-300 leading-relaxed">
-                        Your account <strong className="text-gray-900 dark:text-white">{userEmail}</strong> is registered but awaiting administrator approval.
+                        {isRejected ? (
+                            <>The request for <strong className="text-gray-900 dark:text-white">{userEmail}</strong> was reviewed by an administrator and not approved.</>
+                        ) : (
+                            <>Your account <strong className="text-gray-900 dark:text-white">{userEmail}</strong> is registered but awaiting administrator approval.</>
+                        )}
                     </DialogDescription>
                 </DialogHeader>
 
                 <div className="space-y-4 mt-6">
-                    <div className="bg-yellow-50 dark:bg-yellow-900/10 border border-yellow-200 dark:border-yellow-800 rounded-lg p-4">
-                        <div className="flex items-start gap-3">
-                            <CheckCircle className="w-5 h-5 text-yellow-600 dark:text-yellow-400 mt-0.5 flex-shrink-0" />
-                            <div className="text-sm text-yellow-800 dark:text-yellow-200">
-                                <p className="font-medium mb-1">Your account has been created!</p>
-                                <p>You'll receive an email notification once it's approved. This usually takes 1-2 business days.</p>
+                    {isRejected ? (
+                        <>
+                            <div className="bg-red-50 dark:bg-red-900/10 border border-red-200 dark:border-red-800 rounded-lg p-4">
+                                <div className="text-sm text-red-800 dark:text-red-200">
+                                    <p className="font-medium mb-1">Reason</p>
+                                    <p className="whitespace-pre-line">{rejectionReason || "No reason was given."}</p>
+                                </div>
                             </div>
-                        </div>
-                    </div>
 
-                    <div className="bg-blue-50 dark:bg-blue-900/10 border border-blue-200 dark:border-blue-800 rounded-lg p-4">
-                        <div className="text-sm text-blue-800 dark:text-blue-200">
-                            <p className="font-medium mb-2">What happens next:</p>
-                            <ul className="space-y-1 list-disc list-inside ml-2">
-                                <li>Administrator reviews your account</li>
-                                <li>You receive approval notification</li>
-                                <li>You can then sign in normally</li>
-                            </ul>
-                        </div>
-                    </div>
+                            <div className="bg-blue-50 dark:bg-blue-900/10 border border-blue-200 dark:border-blue-800 rounded-lg p-4">
+                                <div className="text-sm text-blue-800 dark:text-blue-200">
+                                    <p className="font-medium mb-2">What you can do:</p>
+                                    <ul className="space-y-1 list-disc list-inside ml-2">
+                                        <li>Fix what the reason above describes</li>
+                                        <li>Contact the administrator to review your request again</li>
+                                        <li>You will receive an email once it is approved</li>
+                                    </ul>
+                                </div>
+                            </div>
+                        </>
+                    ) : (
+                        <>
+                            <div className="bg-yellow-50 dark:bg-yellow-900/10 border border-yellow-200 dark:border-yellow-800 rounded-lg p-4">
+                                <div className="flex items-start gap-3">
+                                    <CheckCircle className="w-5 h-5 text-yellow-600 dark:text-yellow-400 mt-0.5 flex-shrink-0" />
+                                    <div className="text-sm text-yellow-800 dark:text-yellow-200">
+                                        <p className="font-medium mb-1">Your account has been created!</p>
+                                        <p>You'll receive an email notification once it's approved. This usually takes 1-2 business days.</p>
+                                    </div>
+                                </div>
+                            </div>
+
+                            <div className="bg-blue-50 dark:bg-blue-900/10 border border-blue-200 dark:border-blue-800 rounded-lg p-4">
+                                <div className="text-sm text-blue-800 dark:text-blue-200">
+                                    <p className="font-medium mb-2">What happens next:</p>
+                                    <ul className="space-y-1 list-disc list-inside ml-2">
+                                        <li>Administrator reviews your account</li>
+                                        <li>You receive approval notification</li>
+                                        <li>You can then sign in normally</li>
+                                    </ul>
+                                </div>
+                            </div>
+                        </>
+                    )}
 
                     <div className="flex flex-col sm:flex-row gap-3">
                         <Button
@@ -89,7 +134,7 @@ Best regards`);
                             className="flex-1 bg-blue-600 hover:bg-blue-700 text-white font-medium py-2.5 px-4 rounded-lg transition-colors"
                         >
                             <CheckCircle className="w-4 h-4 mr-2" />
-                            Check Again
+                            {isRejected ? "Try Again" : "Check Again"}
                         </Button>
 
                         <Button
@@ -0,0 +1,316 @@
+"use client"
+
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Progress } from "@/components/ui/progress"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Separator } from "@/components/ui/separator"
+import { Textarea } from "@/components/ui/textarea"
+import {
+  COMPLIANCE_STATUS_LABELS,
+  REPORT_STATUS_LABELS,
+  downloadComplianceDocument,
+  fetchComplianceRecord,
+  setComplianceStatus,
+  uploadComplianceDocuments,
+} from "@/lib/compliance-api"
+import { CheckCircle2, Circle, Download, Loader2, Upload } from "lucide-react"
+import { useCallback, useEffect, useState } from "react"
+import { toast } from "sonner"
+
+export const COMPLIANCE_STATUS_STYLES = {
+  compliant: "bg-green-500 hover:bg-green-500",
+  pending: "bg-amber-500 hover:bg-amber-500",
+  overdue: "bg-red-500 hover:bg-red-500",
+}
+
+// Free-form checklist item for documents that are not on the checklist
+const OTHER_DOCUMENT = "__other__"
+
+export const formatDay = (value) => (value ? new Date(`${value}T00:00:00`).toLocaleDateString() : "Not set")
+
+export function dueLabel(item) {
+  if (item.status === "compliant" || item.daysLeft === null) return null
+  if (item.daysLeft < 0) return `${-item.daysLeft} day${item.daysLeft === -1 ? "" : "s"} late`
+  if (item.daysLeft === 0) return "Due today"
+  return `${item.daysLeft} day${item.daysLeft === 1 ? "" : "s"} left`
+}
+
+function UploadForm({ record, onUploaded }) {
+  const [file, setFile] = useState(null)
+  const [type, setType] = useState("")
+  const [otherName, setOtherName] = useState("")
+  const [uploading, setUploading] = useState(false)
+
+  const missing = record.documents.filter((document) => !document.submitted)
+  const documentType = type === OTHER_DOCUMENT ? otherName.trim() : type
+
+  const submit = async (event) => {
+    event.preventDefault()
+    setUploading(true)
+    try {
+      const updated = await uploadComplianceDocuments(record.proposalId, [{ file, type: documentType }])
+      toast.success(`${documentType} uploaded`)
+      setFile(null)
+      setType("")
+      setOtherName("")
+      event.target.reset()
+      onUploaded(updated)
+    } catch (error) {
+      toast.error(error.message)
+    } finally {
+      setUploading(false)
+    }
+  }
+
+  return (
+    <form onSubmit={submit} className="space-y-3">
+      <div className="grid gap-3 sm:grid-cols-2">
+        <div className="space-y-1">
+          <Label>Document</Label>
+          <Select value={type} onValueChange={setType}>
+            <SelectTrigger>
+              <SelectValue placeholder="Choose a checklist item" />
+            </SelectTrigger>
+            <SelectContent>
+              {(missing.length > 0 ? missing : record.documents).map((document) => (
+                <SelectItem key={document.id} value={document.name}>
+                  {document.name}
+                </SelectItem>
+              ))}
+              <SelectItem value={OTHER_DOCUMENT}>Other document…</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="compliance-file">File</Label>
+          <Input
+            id="compliance-file"
+            type="file"
+            accept=".pdf,.doc,.docx,.jpg,.jpeg,.png,.xlsx,.xls,.zip"
+            onChange={(event) => setFile(event.target.files?.[0] || null)}
+          />
+        </div>
+      </div>
+      {type === OTHER_DOCUMENT && (
+        <Input placeholder="Document name, e.g. Certificate of Appearance" value={otherName} onChange={(event) => setOtherName(event.target.value)} />
+      )}
+      <p className="text-xs text-muted-foreground">PDF, Word, Excel, images or ZIP, up to 5MB. Uploading an item again replaces its file.</p>
+      <Button type="submit" size="sm" disabled={!file || !documentType || uploading} className="bg-cedo-blue hover:bg-cedo-blue/90">
+        {uploading ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Upload className="mr-2 h-4 w-4" />}
+        Upload
+      </Button>
+    </form>
+  )
+}
+
+function StatusForm({ record, onChanged }) {
+  const [status, setStatus] = useState(record.status)
+  const [comment, setComment] = useState("")
+  const [saving, setSaving] = useState(false)
+
+  const submit = async (event) => {
+    event.preventDefault()
+    setSaving(true)
+    try {
+      const updated = await setComplianceStatus(record.proposalId, { status, comment })
+      toast.success(`Compliance marked ${COMPLIANCE_STATUS_LABELS[status].toLowerCase()}`)
+      setComment("")
+      onChanged(updated)
+    } catch (error) {
+      toast.error(error.errors?.status || error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <form onSubmit={submit} className="space-y-3">
+      <div className="space-y-1">
+        <Label>Status</Label>
+        <Select value={status} onValueChange={setStatus}>
+          <SelectTrigger className="sm:w-[200px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(COMPLIANCE_STATUS_LABELS).map(([value, label]) => (
+              <SelectItem key={value} value={value}>
+                {label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+      <Textarea
+        placeholder="Comment for the organizer (optional), e.g. paper copies received"
+        value={comment}
+        maxLength={1000}
+        onChange={(event) => setComment(event.target.value)}
+      />
+      <Button type="submit" size="sm" variant="outline" disabled={saving}>
+        {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+        Save status
+      </Button>
+    </form>
+  )
+}
+
+/**
+ * Compliance record of one approved proposal: documents checklist with
+ * downloads, uploads for the organizer, and the manual status form for staff
+ * @param {Object} props
+ * @param {number|null} props.proposalId - Open the dialog for this proposal; null closes it
+ * @param {boolean} props.isStaff - Show the status form
+ * @param {Function} props.onClose
+ * @param {Function} props.onChanged - Called after an upload or status change
+ */
+export function ComplianceDetailsDialog({ proposalId, isStaff, onClose, onChanged }) {
+  const [record, setRecord] = useState(null)
+  const [error, setError] = useState(null)
+
+  const load = useCallback(() => {
+    if (!proposalId) return
+    fetchComplianceRecord(proposalId)
+      .then((result) => {
+        setRecord(result)
+        setError(null)
+      })
+      .catch((loadError) => setError(loadError.message))
+  }, [proposalId])
+
+  useEffect(() => {
+    setRecord(null)
+    load()
+  }, [load])
+
+  const handleChanged = (updated) => {
+    setRecord(updated)
+    onChanged()
+  }
+
+  const download = (document) => {
+    downloadComplianceDocument(document).catch((downloadError) => toast.error(downloadError.message))
+  }
+
+  return (
+    <Dialog open={Boolean(proposalId)} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="text-cedo-blue">{record?.eventName || "Compliance details"}</DialogTitle>
+          <DialogDescription>
+            {record ? `${record.organizationName} · Proposal #${record.proposalId}` : "Loading compliance record…"}
+          </DialogDescription>
+        </DialogHeader>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {!record && !error && <Loader2 className="h-6 w-6 animate-spin text-cedo-blue mx-auto my-6" />}
+
+        {record && (
+          <div className="space-y-5">
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 text-sm">
+              <div>
+                <p className="text-muted-foreground">Status</p>
+                <Badge className={COMPLIANCE_STATUS_STYLES[record.status]}>
+                  {COMPLIANCE_STATUS_LABELS[record.status] || record.status}
+                </Badge>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Due date</p>
+                <p className="font-medium">{formatDay(record.dueDate)}</p>
+                {dueLabel(record) && <p className="text-xs text-muted-foreground">{dueLabel(record)}</p>}
+              </div>
+              <div>
+                <p className="text-muted-foreground">Accomplishment report</p>
+                <p className="font-medium">{REPORT_STATUS_LABELS[record.reportStatus] || "Not submitted"}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Progress</p>
+                <div className="flex items-center gap-2">
+                  <Progress value={record.progress} className="h-2 w-16" />
+                  <span className="text-xs">{record.progress}%</span>
+                </div>
+              </div>
+            </div>
+
+            <Separator />
+
+            <div className="space-y-2">
+              <h3 className="font-medium text-cedo-blue">Documents</h3>
+              {record.documents.length === 0 && <p className="text-sm text-muted-foreground">No documents on the checklist.</p>}
+              <ul className="divide-y rounded-md border">
+                {record.documents.map((document) => (
+                  <li key={document.id} className="flex items-center justify-between gap-3 p-3 text-sm">
+                    <div className="flex items-start gap-2 min-w-0">
+                      {document.submitted ? (
+                        <CheckCircle2 className="h-4 w-4 mt-0.5 text-green-600 flex-shrink-0" />
+                      ) : (
+                        <Circle className="h-4 w-4 mt-0.5 text-muted-foreground flex-shrink-0" />
+                      )}
+                      <div className="min-w-0">
+                        <p className="font-medium">
+                          {document.name}
+                          {!document.required && <span className="ml-2 text-xs text-muted-foreground">(optional)</span>}
+                        </p>
+                        <p className="text-xs text-muted-foreground truncate">
+                          {document.submitted
+                            ? [document.fileName, document.submittedAt && new Date(document.submittedAt).toLocaleDateString()].filter(Boolean).join(" · ")
+                            : "Not submitted yet"}
+                        </p>
+                      </div>
+                    </div>
+                    {document.downloadUrl && (
+                      <Button variant="ghost" size="sm" onClick={() => download(document)}>
+                        <Download className="h-4 w-4" />
+                        <span className="sr-only">Download {document.name}</span>
+                      </Button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            <div className="space-y-2">
+              <h3 className="font-medium text-cedo-blue">Upload documents</h3>
+              <UploadForm record={record} onUploaded={handleChanged} />
+            </div>
+
+            {isStaff && (
+              <>
+                <Separator />
+                <div className="space-y-2">
+                  <h3 className="font-medium text-cedo-blue">Set status</h3>
+                  <p className="text-xs text-muted-foreground">
+                    The status follows the report and documents on its own. Set it here only to record an exception; the organizer is notified.
+                  </p>
+                  <StatusForm key={record.status} record={record} onChanged={handleChanged} />
+                </div>
+              </>
+            )}
+
+            {record.history?.length > 0 && (
+              <div className="space-y-2">
+                <h3 className="font-medium text-cedo-blue">Status changes</h3>
+                <ul className="space-y-2 text-sm">
+                  {record.history.map((entry) => (
+                    <li key={entry.id} className="rounded-md bg-gray-50 border p-2">
+                      <p>
+                        <span className="capitalize">{entry.from || "none"}</span> → <span className="capitalize font-medium">{entry.to}</span>
+                        <span className="text-xs text-muted-foreground">
+                          {" "}· {entry.actor?.name || "Staff"} · {new Date(entry.createdAt).toLocaleString()}
+                        </span>
+                      </p>
+                      {entry.comment && <p className="text-muted-foreground mt-1 whitespace-pre-wrap">{entry.comment}</p>}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
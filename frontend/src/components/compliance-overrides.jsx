@@ -0,0 +1,143 @@
+"use client"
+
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import { fetchOverrides, grantOverride, revokeOverride } from "@/lib/compliance-api"
+import { Loader2, ShieldOff } from "lucide-react"
+import { useCallback, useEffect, useState } from "react"
+import { toast } from "sonner"
+
+/**
+ * Organizations allowed to submit new proposals despite overdue reports.
+ * Every staff member sees the list; only admins (`canManage`) grant or revoke.
+ * @param {Object} props
+ * @param {boolean} props.canManage - Holds the compliance:override permission
+ * @param {string[]} [props.organizations] - Organizations with overdue reports, suggested in the form
+ */
+export function ComplianceOverrides({ canManage, organizations = [] }) {
+  const [overrides, setOverrides] = useState(null)
+  const [form, setForm] = useState({ organizationName: "", reason: "", expiresAt: "" })
+  const [errors, setErrors] = useState({})
+  const [saving, setSaving] = useState(false)
+
+  const load = useCallback(() => {
+    fetchOverrides()
+      .then(setOverrides)
+      .catch((error) => toast.error(error.message))
+  }, [])
+
+  useEffect(() => {
+    load()
+  }, [load])
+
+  const update = (field) => (event) => setForm((current) => ({ ...current, [field]: event.target.value }))
+
+  const submit = async (event) => {
+    event.preventDefault()
+    setSaving(true)
+    setErrors({})
+    try {
+      await grantOverride({
+        organizationName: form.organizationName,
+        reason: form.reason,
+        ...(form.expiresAt ? { expiresAt: new Date(`${form.expiresAt}T23:59:59`).toISOString() } : {}),
+      })
+      toast.success(`${form.organizationName.trim()} can submit proposals again`)
+      setForm({ organizationName: "", reason: "", expiresAt: "" })
+      load()
+    } catch (error) {
+      setErrors(error.errors || {})
+      toast.error(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const revoke = async (override) => {
+    try {
+      await revokeOverride(override.id)
+      toast.success(`Override for ${override.organizationName} revoked`)
+      load()
+    } catch (error) {
+      toast.error(error.message)
+    }
+  }
+
+  return (
+    <Card className="cedo-card">
+      <CardHeader>
+        <CardTitle className="text-cedo-blue">Submission Overrides</CardTitle>
+        <CardDescription>
+          Organizations with overdue reports cannot submit new proposals. An override lets them submit until it expires.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {!overrides ? (
+          <Loader2 className="h-5 w-5 animate-spin text-cedo-blue" />
+        ) : overrides.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No overrides in force.</p>
+        ) : (
+          <ul className="divide-y rounded-md border">
+            {overrides.map((override) => (
+              <li key={override.id} className="flex items-start justify-between gap-3 p-3 text-sm">
+                <div>
+                  <p className="font-medium">{override.organizationName}</p>
+                  <p className="text-muted-foreground">{override.reason}</p>
+                  <p className="text-xs text-muted-foreground">
+                    Until {new Date(override.expiresAt).toLocaleDateString()}
+                    {override.grantedBy?.name ? ` · granted by ${override.grantedBy.name}` : ""}
+                  </p>
+                </div>
+                {canManage && (
+                  <Button variant="ghost" size="sm" onClick={() => revoke(override)}>
+                    <ShieldOff className="mr-1 h-4 w-4" />
+                    Revoke
+                  </Button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {canManage && (
+          <form onSubmit={submit} className="space-y-3">
+            <div className="grid gap-3 sm:grid-cols-2">
+              <div className="space-y-1">
+                <Label htmlFor="override-organization">Organization</Label>
+                <Input
+                  id="override-organization"
+                  list="override-organizations"
+                  value={form.organizationName}
+                  onChange={update("organizationName")}
+                />
+                <datalist id="override-organizations">
+                  {organizations.map((name) => (
+                    <option key={name} value={name} />
+                  ))}
+                </datalist>
+                {errors.organizationName && <p className="text-xs text-red-600">{errors.organizationName}</p>}
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="override-expires">Until (defaults to 7 days)</Label>
+                <Input id="override-expires" type="date" value={form.expiresAt} onChange={update("expiresAt")} />
+                {errors.expiresAt && <p className="text-xs text-red-600">{errors.expiresAt}</p>}
+              </div>
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="override-reason">Reason</Label>
+              <Textarea id="override-reason" maxLength={1000} value={form.reason} onChange={update("reason")} />
+              {errors.reason && <p className="text-xs text-red-600">{errors.reason}</p>}
+            </div>
+            <Button type="submit" size="sm" disabled={saving} className="bg-cedo-blue hover:bg-cedo-blue/90">
+              {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Grant override
+            </Button>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
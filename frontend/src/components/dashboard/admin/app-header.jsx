@@ -3,7 +3,9 @@
 import { AvatarProfile } from "@/components/ui/avatar-origin";
 import { Button } from "@/components/ui/button";
 import { useAuth } from "@/contexts/auth-context";
+import { useNotifications } from "@/contexts/NotificationContext";
 import { useIsMobile } from "@/hooks/use-mobile";
+import { formatNotificationTime, getNotificationGroup } from "@/lib/notifications-api";
 import { AnimatePresence, motion } from "framer-motion";
 import { Bell, Check, ChevronDown, Clock, LogOut, Settings, User, X } from "lucide-react";
 import { useRouter } from "next/navigation";
@@ -22,34 +24,11 @@ const RESPONSIVE_BREAKPOINTS = {
   zoom200: 960,   // Handles 200% zoom
 }
 
-// Sample notifications data
-const sampleNotifications = [
-  {
-    id: "notif-001",
-    title: "New Proposal Submitted",
-    message: "Science Fair Exhibition proposal was submitted by Alex Johnson",
-    timestamp: "10 minutes ago",
-    read: false,
-    type: "proposal",
-    link: "/admin-dashboard/proposals/sci-fair-001"
-  },
-  {
-    id: "notif-002",
-    title: "Proposal Approved",
-    message: "Leadership Workshop proposal has been approved",
-    timestamp: "2 hours ago",
-    read: true,
-    type: "approval",
-    link: "/admin-dashboard/proposals/lead-work-002"
-  },
-];
-
 export function AppHeader() {
   const router = useRouter();
   const isMobile = useIsMobile();
   const [showNotifications, setShowNotifications] = useState(false);
   const [showProfile, setShowProfile] = useState(false);
-  const [notifications, setNotifications] = useState(sampleNotifications);
   const [viewportWidth, setViewportWidth] = useState(0);
   const [zoomLevel, setZoomLevel] = useState(1);
 
@@ -57,7 +36,7 @@ export function AppHeader() {
   const profileRef = useRef(null);
 
   const { user, signOut } = useAuth();
-  const unreadCount = notifications.filter((n) => !n.read).length;
+  const { notifications, unreadCount, markAsRead: markNotificationRead, markAllAsRead } = useNotifications();
 
   // Enhanced responsive monitoring
   useEffect(() => {
@@ -92,15 +71,11 @@ export function AppHeader() {
   }, []);
 
   const markAsRead = (id, link) => {
-    setNotifications(notifications.map((notif) => (notif.id === id ? { ...notif, read: true } : notif)));
+    markNotificationRead(id);
     if (link) router.push(link);
     setShowNotifications(false);
   };
 
-  const markAllAsRead = () => {
-    setNotifications(notifications.map((notif) => ({ ...notif, read: true })));
-  };
-
   // Enhanced notification icons with responsive sizing
   const getNotificationIcon = (type) => {
     const iconProps = {
@@ -118,7 +93,7 @@ export function AppHeader() {
       height: `clamp(2rem, 4vw, 2.5rem)`,
     };
 
-    switch (type) {
+    switch (getNotificationGroup(type).group) {
       case "proposal":
         return <div className={`${containerClass} bg-blue-100 text-blue-600`} style={containerStyle}><Bell {...iconProps} /></div>;
       case "approval":
@@ -342,7 +317,7 @@ export function AppHeader() {
                                 className="text-gray-500 mt-1"
                                 style={{ fontSize: `clamp(0.75rem, 1.2vw, 0.875rem)` }}
                               >
-                                {notification.timestamp}
+                                {formatNotificationTime(notification.createdAt)}
                               </p>
                             </div>
                           </div>
@@ -9,15 +9,19 @@ import {
     SidebarMenuItem,
     useSidebar
 } from "@/components/dashboard/admin/ui/sidebar"
-import { ROLES } from "@/contexts/auth-context"
+import { ROLES, useAuth } from "@/contexts/auth-context"
+import { canAccessPath } from "@/lib/permissions"
 import {
     Calendar,
     ChevronLeft,
     ChevronRight,
+    ClipboardCheck,
     CreditCard,
     LayoutDashboard,
     Menu,
     PlusCircle,
+    ShieldCheck,
+    UserCheck,
     X
 } from "lucide-react"
 import Link from "next/link"
@@ -82,6 +86,7 @@ function NavItem({ href, isActive, icon, children, collapsed, onClick, badge = n
 
 export function AppSidebar() {
     const pathname = usePathname()
+    const { user } = useAuth()
     const { isMobile, isOpen, onOpen, onClose } = useSidebar()
     const [collapsed, setCollapsed] = useState(false)
     const [showToggle, setShowToggle] = useState(false)
@@ -131,6 +136,7 @@ export function AppSidebar() {
         setTimeout(() => setShowToggle(false), 2000)
     }
 
+    // Pages the user's role may not open are hidden (all are shown while the user loads)
     const navItems = [
         {
             href: "/admin-dashboard",
@@ -163,8 +169,25 @@ export function AppSidebar() {
             icon: <CreditCard className="h-4 w-4 sm:h-5 sm:w-5" />,
             badge: "12"
         },
-
-    ]
+        {
+            href: "/admin-dashboard/report-reviews",
+            label: "Report Review",
+            icon: <ClipboardCheck className="h-4 w-4 sm:h-5 sm:w-5" />,
+            badge: null
+        },
+        {
+            href: "/admin-dashboard/account-approvals",
+            label: "Account Approvals",
+            icon: <UserCheck className="h-4 w-4 sm:h-5 sm:w-5" />,
+            badge: null
+        },
+        {
+            href: "/admin-dashboard/permissions",
+            label: "Permissions",
+            icon: <ShieldCheck className="h-4 w-4 sm:h-5 sm:w-5" />,
+            badge: null
+        },
+    ].filter((item) => !user || canAccessPath(user, item.href))
 
     // Enhanced Mobile version with better responsive design
     if (isMobile) {
@@ -0,0 +1,164 @@
+"use client"
+
+import { Button } from "@/components/dashboard/admin/ui/button"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/dashboard/admin/ui/card"
+import { Input } from "@/components/dashboard/admin/ui/input"
+import { Label } from "@/components/dashboard/admin/ui/label"
+import { createBlackout, deleteBlackout, fetchBlackouts } from "@/lib/schedule-api"
+import { Ban, Loader2, Plus, Trash2 } from "lucide-react"
+import { useEffect, useState } from "react"
+import { toast } from "sonner"
+
+const EMPTY_FORM = { title: "", startDate: "", endDate: "", reason: "" }
+
+const formatRange = ({ startDate, endDate }) => {
+  const options = { month: "short", day: "numeric", year: "numeric" }
+  const start = new Date(`${startDate}T00:00:00`).toLocaleDateString("en-US", options)
+  if (!endDate || endDate === startDate) return start
+  return `${start} – ${new Date(`${endDate}T00:00:00`).toLocaleDateString("en-US", options)}`
+}
+
+/**
+ * Admin list of blackout periods (exam weeks, holidays). Proposals inside a
+ * blackout show a warning on the submission form and cannot be approved
+ * without an override.
+ */
+export function BlackoutPeriodsCard({ className }) {
+  const [blackouts, setBlackouts] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [formErrors, setFormErrors] = useState({})
+  const [saving, setSaving] = useState(false)
+  const [deleting, setDeleting] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    // Past periods no longer affect scheduling
+    fetchBlackouts({ from: new Date() })
+      .then((rows) => {
+        if (!cancelled) setBlackouts(rows)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setForm((prev) => ({ ...prev, [name]: value }))
+    setFormErrors((prev) => ({ ...prev, [name]: undefined }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      const blackout = await createBlackout({ ...form, endDate: form.endDate || form.startDate })
+      setBlackouts((rows) => [...rows, blackout].sort((a, b) => a.startDate.localeCompare(b.startDate)))
+      setForm(EMPTY_FORM)
+      setFormErrors({})
+      toast.success(`${blackout.title} added`)
+    } catch (err) {
+      setFormErrors(err.errors || {})
+      toast.error(err.message || "Could not add the blackout period")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (blackout) => {
+    if (!confirm(`Remove "${blackout.title}"? Events could then be approved for these dates.`)) return
+
+    setDeleting(blackout.id)
+    try {
+      await deleteBlackout(blackout.id)
+      setBlackouts((rows) => rows.filter((row) => row.id !== blackout.id))
+    } catch (err) {
+      toast.error(err.message || "Could not remove the blackout period")
+    } finally {
+      setDeleting(null)
+    }
+  }
+
+  return (
+    <Card className={className}>
+      <CardHeader className="pb-3">
+        <CardTitle className="flex items-center gap-2 text-cedo-blue">
+          <Ban className="h-5 w-5" />
+          Blackout Periods
+        </CardTitle>
+        <CardDescription>Dates when no events may be scheduled, such as exam weeks and holidays.</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 gap-4 md:grid-cols-2 lg:grid-cols-4">
+          <div className="space-y-1 lg:col-span-2">
+            <Label htmlFor="blackout-title">Title</Label>
+            <Input id="blackout-title" name="title" placeholder="Midterm examinations" value={form.title} onChange={handleChange} required />
+            {formErrors.title && <p className="text-xs text-red-600">{formErrors.title}</p>}
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="blackout-start">Start date</Label>
+            <Input id="blackout-start" name="startDate" type="date" value={form.startDate} onChange={handleChange} required />
+            {formErrors.startDate && <p className="text-xs text-red-600">{formErrors.startDate}</p>}
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="blackout-end">End date</Label>
+            <Input id="blackout-end" name="endDate" type="date" min={form.startDate || undefined} value={form.endDate} onChange={handleChange} />
+            {formErrors.endDate && <p className="text-xs text-red-600">{formErrors.endDate}</p>}
+          </div>
+          <div className="space-y-1 md:col-span-2 lg:col-span-3">
+            <Label htmlFor="blackout-reason">Reason (optional)</Label>
+            <Input id="blackout-reason" name="reason" value={form.reason} onChange={handleChange} />
+          </div>
+          <div className="flex items-end">
+            <Button type="submit" disabled={saving} className="w-full bg-cedo-blue hover:bg-cedo-blue/90">
+              {saving ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Plus className="mr-2 h-4 w-4" />}
+              Add period
+            </Button>
+          </div>
+        </form>
+
+        {loading ? (
+          <div className="flex items-center gap-2 text-sm text-muted-foreground">
+            <Loader2 className="h-4 w-4 animate-spin" />
+            Loading blackout periods...
+          </div>
+        ) : error ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : blackouts.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No upcoming blackout periods.</p>
+        ) : (
+          <ul className="divide-y rounded-md border">
+            {blackouts.map((blackout) => (
+              <li key={blackout.id} className="flex items-start justify-between gap-4 p-3">
+                <div>
+                  <p className="font-medium">{blackout.title}</p>
+                  <p className="text-sm text-muted-foreground">{formatRange(blackout)}</p>
+                  {blackout.reason && <p className="mt-1 text-sm text-slate-600">{blackout.reason}</p>}
+                </div>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => handleDelete(blackout)}
+                  disabled={deleting === blackout.id}
+                  aria-label={`Remove ${blackout.title}`}
+                >
+                  {deleting === blackout.id ? <Loader2 className="h-4 w-4 animate-spin" /> : <Trash2 className="h-4 w-4 text-red-600" />}
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
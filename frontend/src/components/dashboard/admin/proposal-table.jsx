@@ -124,6 +124,7 @@ import {
 } from "@/components/ui/table";
 import { Textarea } from "@/components/ui/textarea";
 import { useToast } from "@/hooks/use-toast";
+import { useLiveUpdates } from "@/hooks/useLiveUpdates";
 import { config } from "@/lib/utils";
 import {
   Calendar,
@@ -359,15 +360,27 @@ export const ProposalTable = ({ statusFilter = 'all' }) => {
     debouncedFetchProposals()
   }, [debouncedFetchProposals])
 
+  // ✅ Live updates: refresh the queue when proposals are submitted or decided elsewhere
+  useLiveUpdates(['proposal.submitted', 'proposal.status', 'report.status'], (event, data) => {
+    console.log('📡 Live update:', event, data)
+    debouncedFetchProposals()
+    if (showDetails && selectedProposal && String(selectedProposal.id) === String(data?.proposalId)) {
+      fetchUpdatedProposalDetails(selectedProposal.id)
+    }
+  })
+
   // ✅ Enhanced proposal status update with comment support
   const updateProposalStatus = async (proposalId, newStatus, adminComments = '') => {
     setActionLoading(true)
     try {
       const backendUrl = config.backendUrl
+      // Status changes are attributed to the signed-in admin
+      const token = document.cookie.split('; ').find(row => row.startsWith('cedo_token='))?.split('=')[1]
       const response = await fetch(`${backendUrl}/api/mongodb-unified/admin/proposals/${proposalId}/status`, {
         method: 'PATCH',
         headers: {
           'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
         },
         body: JSON.stringify({
           status: newStatus,
@@ -404,7 +417,8 @@ export const ProposalTable = ({ statusFilter = 'all' }) => {
         setShowCommentDialog(false)
         setRejectionComment('')
       } else {
-        throw new Error(data.error || 'Failed to update proposal')
+        // 409 = transition not allowed from the current status, 400 = missing reason
+        throw new Error(data.error || data.message || 'Failed to update proposal')
       }
     } catch (error) {
       console.error('❌ Error updating proposal:', error)
@@ -0,0 +1,246 @@
+"use client"
+
+import { Badge } from "@/components/dashboard/admin/ui/badge"
+import { Button } from "@/components/dashboard/admin/ui/button"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/dashboard/admin/ui/card"
+import { Checkbox } from "@/components/dashboard/admin/ui/checkbox"
+import { Input } from "@/components/dashboard/admin/ui/input"
+import { Label } from "@/components/dashboard/admin/ui/label"
+import { createVenue, deactivateVenue, fetchVenues, migrateFreeTextVenues } from "@/lib/venues-api"
+import { Building2, Link2, Loader2, Plus, Trash2 } from "lucide-react"
+import { useEffect, useState } from "react"
+import { toast } from "sonner"
+
+const EMPTY_FORM = { name: "", building: "", capacity: "", openTime: "", closeTime: "", aliases: "", isOnline: false }
+
+const describeVenue = (venue) =>
+  [
+    venue.building,
+    venue.capacity ? `${venue.capacity} seats` : null,
+    venue.isOnline ? "Online" : null,
+    venue.openTime && venue.closeTime ? `${venue.openTime}–${venue.closeTime}` : null,
+  ]
+    .filter(Boolean)
+    .join(" · ")
+
+/**
+ * Admin catalog of venues offered on the event forms, plus the one-off tool
+ * that links older free-text venues to catalog entries (preview first, then
+ * apply).
+ */
+export function VenueCatalogCard({ className }) {
+  const [venues, setVenues] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [formErrors, setFormErrors] = useState({})
+  const [saving, setSaving] = useState(false)
+  const [removing, setRemoving] = useState(null)
+  const [migration, setMigration] = useState(null)
+  const [migrating, setMigrating] = useState(false)
+
+  useEffect(() => {
+    let cancelled = false
+
+    fetchVenues()
+      .then((rows) => {
+        if (!cancelled) setVenues(rows)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setForm((prev) => ({ ...prev, [name]: value }))
+    setFormErrors((prev) => ({ ...prev, [name]: undefined }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      const venue = await createVenue(form)
+      setVenues((rows) => [...rows, venue].sort((a, b) => a.name.localeCompare(b.name)))
+      setForm(EMPTY_FORM)
+      setFormErrors({})
+      toast.success(`${venue.name} added`)
+    } catch (err) {
+      setFormErrors(err.errors || {})
+      toast.error(err.message || "Could not add the venue")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleRemove = async (venue) => {
+    if (!confirm(`Remove "${venue.name}" from the venue picker? Existing proposals keep it.`)) return
+
+    setRemoving(venue.id)
+    try {
+      await deactivateVenue(venue.id)
+      setVenues((rows) => rows.filter((row) => row.id !== venue.id))
+    } catch (err) {
+      toast.error(err.message || "Could not remove the venue")
+    } finally {
+      setRemoving(null)
+    }
+  }
+
+  const handleMigrate = async (apply) => {
+    setMigrating(true)
+    try {
+      const result = await migrateFreeTextVenues({ apply })
+      setMigration(result)
+      if (apply) toast.success(`Linked ${result.updated} proposal(s) to catalog venues`)
+    } catch (err) {
+      toast.error(err.message || "Could not match free-text venues")
+    } finally {
+      setMigrating(false)
+    }
+  }
+
+  return (
+    <Card className={className}>
+      <CardHeader className="pb-3">
+        <CardTitle className="flex items-center gap-2 text-cedo-blue">
+          <Building2 className="h-5 w-5" />
+          Venue Catalog
+        </CardTitle>
+        <CardDescription>Rooms and online platforms students can pick when proposing an event.</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 gap-4 md:grid-cols-2 lg:grid-cols-4">
+          <div className="space-y-1 lg:col-span-2">
+            <Label htmlFor="venue-name">Name</Label>
+            <Input id="venue-name" name="name" placeholder="University Gymnasium" value={form.name} onChange={handleChange} required />
+            {formErrors.name && <p className="text-xs text-red-600">{formErrors.name}</p>}
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="venue-building">Building</Label>
+            <Input id="venue-building" name="building" value={form.building} onChange={handleChange} />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="venue-capacity">Capacity</Label>
+            <Input id="venue-capacity" name="capacity" type="number" min="1" value={form.capacity} onChange={handleChange} />
+            {formErrors.capacity && <p className="text-xs text-red-600">{formErrors.capacity}</p>}
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="venue-open">Bookable from</Label>
+            <Input id="venue-open" name="openTime" type="time" value={form.openTime} onChange={handleChange} />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="venue-close">Bookable until</Label>
+            <Input id="venue-close" name="closeTime" type="time" value={form.closeTime} onChange={handleChange} />
+            {formErrors.closeTime && <p className="text-xs text-red-600">{formErrors.closeTime}</p>}
+          </div>
+          <div className="space-y-1 md:col-span-2">
+            <Label htmlFor="venue-aliases">Other spellings (comma separated)</Label>
+            <Input id="venue-aliases" name="aliases" placeholder="Gym, Univ Gym" value={form.aliases} onChange={handleChange} />
+          </div>
+          <div className="flex items-center gap-2 md:col-span-2 lg:col-span-3">
+            <Checkbox
+              id="venue-online"
+              checked={form.isOnline}
+              onCheckedChange={(checked) => setForm((prev) => ({ ...prev, isOnline: checked === true }))}
+            />
+            <Label htmlFor="venue-online">Online platform (can host events at the same time)</Label>
+          </div>
+          <div className="flex items-end">
+            <Button type="submit" disabled={saving} className="w-full bg-cedo-blue hover:bg-cedo-blue/90">
+              {saving ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Plus className="mr-2 h-4 w-4" />}
+              Add venue
+            </Button>
+          </div>
+        </form>
+
+        {loading ? (
+          <div className="flex items-center gap-2 text-sm text-muted-foreground">
+            <Loader2 className="h-4 w-4 animate-spin" />
+            Loading venues...
+          </div>
+        ) : error ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : venues.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No venues in the catalog yet.</p>
+        ) : (
+          <ul className="divide-y rounded-md border">
+            {venues.map((venue) => (
+              <li key={venue.id} className="flex items-start justify-between gap-4 p-3">
+                <div>
+                  <p className="font-medium">{venue.name}</p>
+                  <p className="text-sm text-muted-foreground">{describeVenue(venue) || "No details"}</p>
+                  {venue.aliases.length > 0 && (
+                    <p className="mt-1 text-xs text-slate-500">Also known as {venue.aliases.join(", ")}</p>
+                  )}
+                </div>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => handleRemove(venue)}
+                  disabled={removing === venue.id}
+                  aria-label={`Remove ${venue.name}`}
+                >
+                  {removing === venue.id ? <Loader2 className="h-4 w-4 animate-spin" /> : <Trash2 className="h-4 w-4 text-red-600" />}
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="space-y-3 rounded-md border border-dashed p-4">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div>
+              <p className="font-medium">Link older proposals</p>
+              <p className="text-sm text-muted-foreground">
+                Match venues that were typed in by hand to catalog entries and their other spellings.
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <Button variant="outline" onClick={() => handleMigrate(false)} disabled={migrating}>
+                {migrating ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Link2 className="mr-2 h-4 w-4" />}
+                Preview matches
+              </Button>
+              {migration && !migration.applied && migration.matched.length > 0 && (
+                <Button onClick={() => handleMigrate(true)} disabled={migrating} className="bg-cedo-blue hover:bg-cedo-blue/90">
+                  Apply {migration.matched.length} match(es)
+                </Button>
+              )}
+            </div>
+          </div>
+
+          {migration && (
+            <div className="space-y-2 text-sm">
+              {migration.matched.map((match) => (
+                <div key={match.text} className="flex flex-wrap items-center gap-2">
+                  <span className="text-slate-600">&ldquo;{match.text}&rdquo;</span>
+                  <span>→</span>
+                  <span className="font-medium">{match.venueName}</span>
+                  <Badge variant="secondary">{Math.round(match.score * 100)}%</Badge>
+                  <span className="text-xs text-muted-foreground">{match.proposals} proposal(s)</span>
+                </div>
+              ))}
+              {migration.unmatched.length > 0 && (
+                <p className="text-muted-foreground">
+                  No match for: {migration.unmatched.map((row) => `“${row.text}”`).join(", ")}. Add them as venues or
+                  aliases, then preview again.
+                </p>
+              )}
+              {migration.matched.length === 0 && migration.unmatched.length === 0 && (
+                <p className="text-muted-foreground">Every proposal is already linked to a catalog venue.</p>
+              )}
+            </div>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,79 @@
+// frontend/src/components/dashboard/student/check-in-events.jsx
+"use client";
+
+import { Badge } from "@/components/dashboard/student/ui/badge";
+import { Button } from "@/components/dashboard/student/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/dashboard/student/ui/card";
+import { fetchCheckInEvents } from "@/lib/check-in-api";
+import { QrCode } from "lucide-react";
+import Link from "next/link";
+import { useEffect, useState } from "react";
+
+const formatDay = (value) => new Date(value).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+
+/**
+ * The organizer's approved events that still have check-in ahead of them,
+ * with links to each event's online registration and its QR code and live
+ * roster. Renders nothing for students who are not organizing anything.
+ */
+export function CheckInEvents() {
+  const [events, setEvents] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchCheckInEvents()
+      .then((rows) => {
+        if (!cancelled) setEvents(rows);
+      })
+      .catch((error) => {
+        console.warn("Check-in events unavailable:", error.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (events.length === 0) return null;
+
+  return (
+    <Card className="shadow-sm">
+      <CardHeader className="pb-4 sm:pb-6">
+        <CardTitle className="flex items-center gap-2 text-lg sm:text-xl">
+          <QrCode className="h-5 w-5" aria-hidden="true" />
+          Your Upcoming Events
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <ul className="divide-y rounded-md border">
+          {events.map((event) => (
+            <li key={event.id} className="flex flex-wrap items-center justify-between gap-3 p-3">
+              <div>
+                <p className="font-medium">{event.name}</p>
+                <p className="text-sm text-muted-foreground">
+                  {formatDay(event.opensAt)}
+                  {event.venue ? ` · ${event.venue}` : ""}
+                </p>
+              </div>
+              <div className="flex flex-wrap items-center gap-2">
+                <Link href={`/student-dashboard/registrations/${event.id}`}>
+                  <Button size="sm" variant="outline">
+                    Registration
+                  </Button>
+                </Link>
+                {event.open ? (
+                  <Link href={`/student-dashboard/check-in/${event.id}`}>
+                    <Button size="sm" className="bg-[#001a56] hover:bg-[#001a56]/90">
+                      Open check-in
+                    </Button>
+                  </Link>
+                ) : (
+                  <Badge variant="secondary">Check-in opens {formatDay(event.opensAt)}</Badge>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </CardContent>
+    </Card>
+  );
+}
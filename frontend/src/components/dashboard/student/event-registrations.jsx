@@ -0,0 +1,289 @@
+// frontend/src/components/dashboard/student/event-registrations.jsx
+"use client";
+
+import { Badge } from "@/components/dashboard/student/ui/badge";
+import { Button } from "@/components/dashboard/student/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/dashboard/student/ui/card";
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/dashboard/student/ui/dialog";
+import { Input } from "@/components/dashboard/student/ui/input";
+import { Label } from "@/components/dashboard/student/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/dashboard/student/ui/select";
+import { Textarea } from "@/components/dashboard/student/ui/textarea";
+import { cancelRegistration, fetchOpenRegistrations, registerForEvent } from "@/lib/registrations-api";
+import { ClipboardList, Loader2 } from "lucide-react";
+import Link from "next/link";
+import { useCallback, useEffect, useState } from "react";
+import { toast } from "sonner";
+
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString("en-US", { month: "short", day: "numeric", year: "numeric", hour: "numeric", minute: "2-digit" });
+
+// Remember the student's school details between registrations
+const PROFILE_KEY = "cedo_registration_profile";
+
+const loadProfile = () => {
+  if (typeof window === "undefined") return {};
+  try {
+    return JSON.parse(localStorage.getItem(PROFILE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+function capacityLabel(event) {
+  if (event.capacity === null) return `${event.registeredCount} registered`;
+  if (event.spotsLeft > 0) return `${event.spotsLeft} of ${event.capacity} spots left`;
+  return event.waitlistEnabled ? `Full · ${event.waitlistedCount} on the waitlist` : "Full";
+}
+
+function QuestionField({ question, value, onChange }) {
+  const id = `question-${question.id}`;
+  const label = (
+    <Label htmlFor={id}>
+      {question.label}
+      {question.required && <span className="text-red-500"> *</span>}
+    </Label>
+  );
+
+  if (question.type === "text") {
+    return (
+      <div className="space-y-1">
+        {label}
+        <Textarea id={id} value={value || ""} onChange={(e) => onChange(e.target.value)} className="min-h-[60px]" />
+      </div>
+    );
+  }
+
+  const options = question.type === "yes_no" ? ["Yes", "No"] : question.options;
+  return (
+    <div className="space-y-1">
+      {label}
+      <Select value={value || ""} onValueChange={onChange}>
+        <SelectTrigger id={id}>
+          <SelectValue placeholder="Choose one" />
+        </SelectTrigger>
+        <SelectContent>
+          {options.map((option) => (
+            <SelectItem key={option} value={option}>
+              {option}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+}
+
+/**
+ * Approved events taking online registrations. Students register (answering
+ * the organizer's questions), join the waitlist when an event is full, and
+ * cancel until the event's cancellation deadline.
+ */
+export function EventRegistrations() {
+  const [events, setEvents] = useState(null);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [profile, setProfile] = useState({});
+  const [answers, setAnswers] = useState({});
+  const [working, setWorking] = useState(null);
+
+  const load = useCallback(() => {
+    fetchOpenRegistrations()
+      .then((rows) => {
+        setEvents(rows);
+        setError(null);
+      })
+      .catch((loadError) => setError(loadError.message));
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const openDialog = (event) => {
+    setSelected(event);
+    setProfile(loadProfile());
+    setAnswers({});
+  };
+
+  const handleRegister = async (e) => {
+    e.preventDefault();
+    setWorking(selected.id);
+    try {
+      localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+      const result = await registerForEvent(selected.id, { ...profile, answers });
+      toast.success(result.registration.status === "waitlisted"
+        ? `The event is full. You're on the waitlist for ${selected.name}.`
+        : `You're registered for ${selected.name}`);
+      setSelected(null);
+      load();
+    } catch (registerError) {
+      toast.error(registerError.message);
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  const handleCancel = async (event) => {
+    const waitlisted = event.myRegistration.status === "waitlisted";
+    if (!window.confirm(waitlisted ? `Leave the waitlist for ${event.name}?` : `Cancel your registration for ${event.name}?`)) return;
+
+    setWorking(event.id);
+    try {
+      await cancelRegistration(event.id);
+      toast.success(waitlisted ? "You left the waitlist" : "Your registration was cancelled");
+      load();
+    } catch (cancelError) {
+      toast.error(cancelError.message);
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  if (error) {
+    return (
+      <Card className="shadow-sm mb-4 sm:mb-6">
+        <CardContent className="p-4 text-sm text-red-600">{error}</CardContent>
+      </Card>
+    );
+  }
+  if (!events || events.length === 0) return null;
+
+  return (
+    <Card className="shadow-sm mb-4 sm:mb-6">
+      <CardHeader className="pb-4 sm:pb-6">
+        <CardTitle className="flex items-center gap-2 text-lg sm:text-xl">
+          <ClipboardList className="h-5 w-5" aria-hidden="true" />
+          Open for Registration
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <ul className="divide-y rounded-md border">
+          {events.map((event) => {
+            const mine = event.myRegistration;
+            const canCancel = mine?.status === "waitlisted"
+              || !event.cancellationDeadline
+              || new Date(event.cancellationDeadline) > new Date();
+            return (
+              <li key={event.id} className="flex flex-wrap items-center justify-between gap-3 p-3">
+                <div className="space-y-1">
+                  <p className="font-medium">
+                    {event.eventId ? (
+                      <Link href={`/student-dashboard/events/${event.eventId}`} className="hover:underline">
+                        {event.name}
+                      </Link>
+                    ) : event.name}
+                  </p>
+                  <p className="text-sm text-muted-foreground">
+                    {event.startsAt ? formatDateTime(event.startsAt) : "Date to be announced"}
+                    {event.venue ? ` · ${event.venue}` : ""}
+                  </p>
+                  <p className="text-xs text-muted-foreground">{capacityLabel(event)}</p>
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                  {mine?.status === "registered" && (
+                    <Badge className="bg-green-100 text-green-800 hover:bg-green-100">Registered</Badge>
+                  )}
+                  {mine?.status === "waitlisted" && (
+                    <Badge className="bg-amber-100 text-amber-800 hover:bg-amber-100">
+                      Waitlist #{mine.waitlistPosition}
+                    </Badge>
+                  )}
+                  {mine ? (
+                    canCancel ? (
+                      <Button size="sm" variant="outline" disabled={working === event.id} onClick={() => handleCancel(event)}>
+                        {mine.status === "waitlisted" ? "Leave waitlist" : "Cancel"}
+                      </Button>
+                    ) : (
+                      <span className="text-xs text-muted-foreground">Cancellations closed</span>
+                    )
+                  ) : event.isOrganizer ? (
+                    <Badge variant="secondary">Your event</Badge>
+                  ) : event.registrationOpen ? (
+                    <Button
+                      size="sm"
+                      className="bg-[#001a56] hover:bg-[#001a56]/90"
+                      disabled={event.spotsLeft === 0 && !event.waitlistEnabled}
+                      onClick={() => openDialog(event)}
+                    >
+                      {event.spotsLeft === 0 ? "Join waitlist" : "Register"}
+                    </Button>
+                  ) : (
+                    <span className="text-xs text-muted-foreground">{event.closedReason}</span>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      </CardContent>
+
+      <Dialog open={Boolean(selected)} onOpenChange={(open) => !open && setSelected(null)}>
+        <DialogContent className="max-h-[90vh] overflow-y-auto sm:max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Register for {selected?.name}</DialogTitle>
+            <DialogDescription>
+              {selected?.spotsLeft === 0
+                ? "This event is full. You'll join the waitlist and be registered automatically if a spot opens."
+                : selected?.cancellationDeadline
+                  ? `You can cancel until ${formatDateTime(selected.cancellationDeadline)}.`
+                  : "Your details are shared with the event organizer."}
+            </DialogDescription>
+          </DialogHeader>
+          {selected && (
+            <form id="event-registration-form" onSubmit={handleRegister} className="space-y-4">
+              <div className="grid gap-3 sm:grid-cols-3">
+                <div className="space-y-1 sm:col-span-3">
+                  <Label htmlFor="registration-school">School</Label>
+                  <Input
+                    id="registration-school"
+                    value={profile.school || ""}
+                    onChange={(e) => setProfile({ ...profile, school: e.target.value })}
+                  />
+                </div>
+                <div className="space-y-1 sm:col-span-2">
+                  <Label htmlFor="registration-program">Program</Label>
+                  <Input
+                    id="registration-program"
+                    value={profile.program || ""}
+                    onChange={(e) => setProfile({ ...profile, program: e.target.value })}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="registration-year">Year level</Label>
+                  <Input
+                    id="registration-year"
+                    value={profile.yearLevel || ""}
+                    onChange={(e) => setProfile({ ...profile, yearLevel: e.target.value })}
+                  />
+                </div>
+              </div>
+              {selected.questions.map((question) => (
+                <QuestionField
+                  key={question.id}
+                  question={question}
+                  value={answers[question.id]}
+                  onChange={(value) => setAnswers({ ...answers, [question.id]: value })}
+                />
+              ))}
+            </form>
+          )}
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setSelected(null)}>
+              Close
+            </Button>
+            <Button
+              type="submit"
+              form="event-registration-form"
+              disabled={working === selected?.id}
+              className="bg-[#001a56] hover:bg-[#001a56]/90"
+            >
+              {working === selected?.id && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              {selected?.spotsLeft === 0 ? "Join waitlist" : "Register"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
@@ -3,6 +3,8 @@
 
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/dashboard/student/ui/avatar";
 import { useAuth } from "@/contexts/auth-context"; // Import the useAuth hook
+import { useNotifications } from "@/contexts/NotificationContext";
+import { formatNotificationTime, getNotificationGroup } from "@/lib/notifications-api";
 import {
   AlertCircle as AlertCircleIcon,
   AlertTriangle,
@@ -26,87 +28,10 @@ import { useEffect, useState } from "react";
 const Header = () => {
   const { user: authUser, signOut } = useAuth(); // Get user from context
   const router = useRouter(); // Use router for navigation
-  const [notificationCount, setNotificationCount] = useState(2);
+  const { notifications, unreadCount: notificationCount, markAsRead, markAllAsRead } = useNotifications();
   const [notificationPanelOpen, setNotificationPanelOpen] = useState(false);
   const [showAllNotifications, setShowAllNotifications] = useState(false);
   const [profileImageError, setProfileImageError] = useState(false); // Track image loading errors
-  const [recentNotifications, setRecentNotifications] = useState([
-    {
-      id: "notif1", // Added id for key prop
-      type: "info",
-      title: "New feature available",
-      message: "Check out the new dashboard view. Pages now load faster.",
-      time: new Date(Date.now() - 15 * 60 * 1000),
-      read: false,
-    },
-    {
-      id: "notif2", // Added id for key prop
-      type: "success",
-      title: "Event approved",
-      message: 'Your event "Community Workshop" has been approved.',
-      time: new Date(Date.now() - 5 * 60 * 60 * 1000),
-      read: false,
-    },
-  ]);
-
-  const [allNotifications, setAllNotifications] = useState([
-    {
-      id: "allNotif1", // Added id for key prop
-      type: "info",
-      title: "New feature available",
-      message: "Check out the new dashboard view. Pages now load faster.",
-      time: new Date(Date.now() - 15 * 60 * 1000),
-      read: false,
-    },
-    {
-      id: "allNotif2", // Added id for key prop
-      type: "success",
-      title: "Event approved",
-      message: 'Your event "Community Workshop" has been approved.',
-      time: new Date(Date.now() - 5 * 60 * 60 * 1000),
-      read: false,
-    },
-    {
-      id: "allNotif3", // Added id for key prop
-      type: "warning",
-      title: "Deadline approaching",
-      message: "The submission deadline for your event is in 3 days.",
-      time: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000),
-      read: true,
-    },
-    {
-      id: "allNotif4", // Added id for key prop
-      type: "error",
-      title: "Form submission failed",
-      message: "Please check your internet connection and try again.",
-      time: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
-      read: true,
-    },
-    {
-      id: "allNotif5", // Added id for key prop
-      type: "success",
-      title: "Report generated",
-      message: "Your monthly activity report has been generated.",
-      time: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000),
-      read: true,
-    },
-    {
-      id: "allNotif6", // Added id for key prop
-      type: "info",
-      title: "System maintenance",
-      message: "The system will be down for maintenance on Sunday at 2 AM.",
-      time: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000),
-      read: true,
-    },
-    {
-      id: "allNotif7", // Added id for key prop
-      type: "success",
-      title: "Profile updated",
-      message: "Your profile information has been updated successfully.",
-      time: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000),
-      read: true,
-    },
-  ]);
 
   const [isUserMenuOpen, setIsUserMenuOpen] = useState(false);
 
@@ -218,6 +143,22 @@ const Header = () => {
     };
   }, [isUserMenuOpen, notificationPanelOpen]);
 
+  // Notification group from the API → the panel's info/success/warning/error styles
+  const getNotificationStyleType = (type) => {
+    switch (getNotificationGroup(type).group) {
+      case "approval":
+        return "success";
+      case "rejection":
+        return "error";
+      case "reminder":
+        return "warning";
+      case "proposal":
+        return "document";
+      default:
+        return "info";
+    }
+  };
+
   const getNotificationTypeStyles = (type) => {
     switch (type) {
       case "info":
@@ -228,6 +169,8 @@ const Header = () => {
         return "bg-yellow-100 text-yellow-600";
       case "error":
         return "bg-red-100 text-red-600";
+      case "document":
+        return "bg-indigo-100 text-indigo-600";
       default:
         return "bg-gray-100 text-gray-600";
     }
@@ -252,25 +195,6 @@ const Header = () => {
     }
   };
 
-  const formatNotificationTime = (time) => {
-    const now = new Date();
-    const diffMs = now - new Date(time);
-    const diffSecs = Math.round(diffMs / 1000);
-    const diffMins = Math.round(diffSecs / 60);
-    const diffHours = Math.round(diffMins / 60);
-    const diffDays = Math.round(diffHours / 24);
-
-    if (diffSecs < 60) {
-      return `${diffSecs} second${diffSecs !== 1 ? "s" : ""} ago`;
-    } else if (diffMins < 60) {
-      return `${diffMins} minute${diffMins !== 1 ? "s" : ""} ago`;
-    } else if (diffHours < 24) {
-      return `${diffHours} hour${diffHours !== 1 ? "s" : ""} ago`;
-    } else {
-      return `${diffDays} day${diffDays !== 1 ? "s" : ""} ago`;
-    }
-  };
-
   /**
    * DOCS: This function handles the user logout process.
    * It no longer shows a confirmation dialog.
@@ -288,13 +212,15 @@ const Header = () => {
     }
   };
 
-  const markAllAsRead = () => {
-    setNotificationCount(0);
-    setRecentNotifications(recentNotifications.map((n) => ({ ...n, read: true })));
-    setAllNotifications(allNotifications.map((n) => ({ ...n, read: true })));
+  const handleNotificationClick = (notification) => {
+    if (!notification.read) markAsRead(notification.id);
+    if (notification.link) {
+      setNotificationPanelOpen(false);
+      router.push(notification.link);
+    }
   };
 
-  const displayedNotifications = showAllNotifications ? allNotifications : recentNotifications;
+  const displayedNotifications = showAllNotifications ? notifications : notifications.slice(0, 5);
 
   return (
     <header className="sticky top-0 z-30 flex h-14 sm:h-16 items-center justify-between border-b bg-background px-3 sm:px-4 md:px-6">
@@ -336,7 +262,7 @@ const Header = () => {
               <div className="flex items-center justify-between p-3 sm:p-4 border-b">
                 <h3 className="font-medium text-sm sm:text-base">{showAllNotifications ? "All Notifications" : "Recent Notifications"}</h3>
                 <div className="flex gap-1 sm:gap-2">
-                  {(recentNotifications.some(n => !n.read) || allNotifications.some(n => !n.read)) && notificationCount > 0 && (
+                  {notificationCount > 0 && (
                     <button className="text-xs sm:text-sm text-muted-foreground hover:text-foreground px-2 py-1 rounded transition-colors" onClick={markAllAsRead}>
                       Mark all as read
                     </button>
@@ -360,16 +286,21 @@ const Header = () => {
               ) : (
                 <ul className="py-1" role="none">
                   {displayedNotifications.map((notification) => (
-                    <li key={notification.id} className={`px-3 sm:px-4 py-3 hover:bg-muted transition-colors ${!notification.read ? "bg-muted/40" : ""}`} role="menuitem">
+                    <li
+                      key={notification.id}
+                      className={`px-3 sm:px-4 py-3 hover:bg-muted transition-colors cursor-pointer ${!notification.read ? "bg-muted/40" : ""}`}
+                      role="menuitem"
+                      onClick={() => handleNotificationClick(notification)}
+                    >
                       <div className="flex items-start gap-2 sm:gap-3">
-                        <div className={`rounded-full p-1.5 sm:p-2 flex-shrink-0 ${getNotificationTypeStyles(notification.type)}`}>
-                          {getNotificationIcon(notification.type)}
+                        <div className={`rounded-full p-1.5 sm:p-2 flex-shrink-0 ${getNotificationTypeStyles(getNotificationStyleType(notification.type))}`}>
+                          {getNotificationIcon(getNotificationStyleType(notification.type))}
                         </div>
                         <div className="flex-1 min-w-0">
                           <p className="text-xs sm:text-sm font-medium truncate">{notification.title}</p>
                           <p className="text-xs text-muted-foreground mt-1 line-clamp-2">{notification.message}</p>
                           <p className="text-xs text-muted-foreground mt-1">
-                            {formatNotificationTime(notification.time)}
+                            {formatNotificationTime(notification.createdAt)}
                           </p>
                         </div>
                         {!notification.read && <div className="h-2 w-2 rounded-full bg-primary shrink-0 mt-1"></div>}
@@ -1,74 +1,92 @@
 // frontend/src/components/dashboard/student/recent-proposals.jsx
+"use client";
+
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { useAuth } from "@/contexts/auth-context";
+import { useLiveUpdates } from "@/hooks/useLiveUpdates";
+import { config } from "@/lib/utils";
 import Link from "next/link"; // Added Link for "View All Proposals"
+import { useCallback, useEffect, useState } from "react";
 
-const recentProposalsData = [ // Renamed to avoid conflict
-  {
-    id: "PROP-1234",
-    title: "Annual Science Fair",
-    submitter: {
-      name: "Alex Johnson",
-      avatar: "/placeholder.svg?height=32&width=32", // Using placeholder from original
-      initials: "AJ",
-    },
-    category: "Academic",
-    status: "approved",
-    date: "2023-03-15",
-  },
-  {
-    id: "PROP-1235",
-    title: "Leadership Workshop Series",
-    submitter: {
-      name: "Maria Garcia",
-      avatar: "/placeholder.svg?height=32&width=32",
-      initials: "MG",
-    },
-    category: "Development",
-    status: "pending",
-    date: "2023-03-14",
-  },
-  {
-    id: "PROP-1236",
-    title: "Community Service Day",
-    submitter: {
-      name: "David Kim",
-      avatar: "/placeholder.svg?height=32&width=32",
-      initials: "DK",
-    },
-    category: "Community",
-    status: "rejected",
-    date: "2023-03-12",
-  },
-  {
-    id: "PROP-1237",
-    title: "Cultural Exchange Program",
-    submitter: {
-      name: "Sarah Patel",
-      avatar: "/placeholder.svg?height=32&width=32",
-      initials: "SP",
-    },
-    category: "Cultural",
-    status: "pending",
-    date: "2023-03-10",
-  },
-  {
-    id: "PROP-1238",
-    title: "Tech Innovation Showcase",
-    submitter: {
-      name: "James Wilson",
-      avatar: "/placeholder.svg?height=32&width=32",
-      initials: "JW",
-    },
-    category: "Technology",
-    status: "approved",
-    date: "2023-03-08",
+// Statuses shown in the list (drafts live on the drafts page)
+const LISTED_STATUSES = "pending,approved,denied,revision_requested";
+const MAX_ROWS = 5;
+
+const STATUS_LABELS = {
+  pending: "Pending",
+  approved: "Approved",
+  denied: "Denied",
+  revision_requested: "Revision requested",
+};
+
+const STATUS_CLASSES = {
+  approved: "bg-green-100 text-green-800 hover:bg-green-100",
+  pending: "bg-amber-100 text-amber-800 hover:bg-amber-100",
+  denied: "bg-red-100 text-red-800 hover:bg-red-100",
+  revision_requested: "bg-blue-100 text-blue-800 hover:bg-blue-100",
+};
+
+const getInitials = (name = "") =>
+  name
+    .split(" ")
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0])
+    .join("")
+    .toUpperCase() || "?";
+
+// /api/events/approved row → table row
+const toRecentProposal = (row) => ({
+  id: row.id,
+  title: row.event_name || row.organization_name,
+  submitter: {
+    name: row.contact_name || row.contact_email,
+    avatar: null,
+    initials: getInitials(row.contact_name || row.contact_email),
   },
-];
+  category: row.organization_type || "—",
+  status: row.proposal_status,
+  date: row.updated_at || row.created_at,
+});
 
 export function RecentProposals() {
+  const { user } = useAuth();
+  const [recentProposalsData, setRecentProposalsData] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadProposals = useCallback(async () => {
+    if (!user?.email) {
+      setLoading(false);
+      return;
+    }
+    try {
+      const params = new URLSearchParams({ status: LISTED_STATUSES, email: user.email });
+      const response = await fetch(`${config.backendUrl}/api/events/approved?${params}`, { cache: "no-store" });
+      if (!response.ok) throw new Error(`Failed to load proposals (${response.status})`);
+      const data = await response.json();
+      setRecentProposalsData((data.events || []).slice(0, MAX_ROWS).map(toRecentProposal));
+      setError(null);
+    } catch (err) {
+      console.error("Failed to load recent proposals:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [user?.email]);
+
+  useEffect(() => {
+    loadProposals();
+  }, [loadProposals]);
+
+  // Reviewer decisions and submissions on this student's proposals arrive live
+  useLiveUpdates(["proposal.submitted", "proposal.status", "report.status"], () => {
+    loadProposals();
+  }, Boolean(user));
+
   return (
     <div className="space-y-4">
       <div className="rounded-md border overflow-x-auto"> {/* Added overflow-x-auto for responsiveness */}
@@ -85,7 +103,19 @@ export function RecentProposals() {
             </TableRow>
           </TableHeader>
           <TableBody>
-            {recentProposalsData.length > 0 ? (
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={7} className="h-24 text-center text-muted-foreground">
+                  Loading proposals...
+                </TableCell>
+              </TableRow>
+            ) : error ? (
+              <TableRow>
+                <TableCell colSpan={7} className="h-24 text-center text-red-600">
+                  {error}
+                </TableCell>
+              </TableRow>
+            ) : recentProposalsData.length > 0 ? (
               recentProposalsData.map((proposal) => (
                 <TableRow key={proposal.id}>
                   <TableCell className="font-medium">{proposal.id}</TableCell>
@@ -93,7 +123,7 @@ export function RecentProposals() {
                   <TableCell>
                     <div className="flex items-center gap-2">
                       <Avatar className="h-6 w-6">
-                        <AvatarImage src={proposal.submitter.avatar} alt={proposal.submitter.name} />
+                        {proposal.submitter.avatar && <AvatarImage src={proposal.submitter.avatar} alt={proposal.submitter.name} />}
                         <AvatarFallback className="text-xs bg-[#0c2d6b] text-white">
                           {proposal.submitter.initials}
                         </AvatarFallback>
@@ -103,31 +133,14 @@ export function RecentProposals() {
                   </TableCell>
                   <TableCell>{proposal.category}</TableCell>
                   <TableCell>
-                    <Badge
-                      variant={ // Variant prop might not directly map to these class combinations in standard ShadCN Badge
-                        proposal.status === "approved"
-                          ? "default" // Assuming default is greenish or neutral
-                          : proposal.status === "pending"
-                            ? "outline" // Assuming outline is yellowish/blueish
-                            : "destructive" // Assuming destructive is reddish
-                      }
-                      className={ // These specific background/text colors will override variant if not perfectly aligned
-                        proposal.status === "approved"
-                          ? "bg-green-100 text-green-800 hover:bg-green-100"
-                          : proposal.status === "pending"
-                            ? "bg-amber-100 text-amber-800 hover:bg-amber-100"
-                            : proposal.status === "rejected" // Added specific for rejected
-                              ? "bg-red-100 text-red-800 hover:bg-red-100"
-                              : "" // Default case if status is unexpected
-                      }
-                    >
-                      {proposal.status.charAt(0).toUpperCase() + proposal.status.slice(1)}
+                    <Badge variant="outline" className={STATUS_CLASSES[proposal.status] || ""}>
+                      {STATUS_LABELS[proposal.status] || proposal.status}
                     </Badge>
                   </TableCell>
                   <TableCell>{new Date(proposal.date).toLocaleDateString()}</TableCell>
                   <TableCell className="text-right">
-                    <Button variant="ghost" size="sm">
-                      View
+                    <Button variant="ghost" size="sm" asChild>
+                      <Link href="/student-dashboard/proposals">View</Link>
                     </Button>
                   </TableCell>
                 </TableRow>
@@ -144,7 +157,7 @@ export function RecentProposals() {
       </div>
       {recentProposalsData.length > 0 && ( // Only show "View All" if there are proposals
         <div className="flex justify-end">
-          <Link href="/proposals" passHref legacyBehavior>
+          <Link href="/student-dashboard/proposals" passHref legacyBehavior>
             <Button as="a" variant="outline" size="sm">
               View All Proposals
             </Button>
@@ -0,0 +1,93 @@
+"use client"
+
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Label } from "@/components/ui/label"
+import { Switch } from "@/components/ui/switch"
+import { fetchEmailPreferences, updateEmailPreferences } from "@/lib/notifications-api"
+import { Loader2, Mail } from "lucide-react"
+import { useEffect, useState } from "react"
+import { toast } from "sonner"
+
+/**
+ * Lets the signed-in user choose which kinds of email they receive.
+ * In-app notifications are not affected; account emails are always sent.
+ */
+export function EmailPreferencesCard({ className }) {
+  const [preferences, setPreferences] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [saving, setSaving] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    fetchEmailPreferences()
+      .then((rows) => {
+        if (!cancelled) setPreferences(rows)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const handleToggle = async (category, enabled) => {
+    const previous = preferences
+    setSaving(category)
+    setPreferences((rows) => rows.map((row) => (row.category === category ? { ...row, enabled } : row)))
+
+    try {
+      setPreferences(await updateEmailPreferences({ [category]: enabled }))
+    } catch (err) {
+      setPreferences(previous)
+      toast.error(err.message || "Could not save your email preferences")
+    } finally {
+      setSaving(null)
+    }
+  }
+
+  return (
+    <Card className={className}>
+      <CardHeader className="pb-3">
+        <CardTitle className="flex items-center gap-2">
+          <Mail className="h-5 w-5" />
+          Email Preferences
+        </CardTitle>
+        <CardDescription>Choose which updates are also sent to your email address.</CardDescription>
+      </CardHeader>
+      <CardContent>
+        {loading ? (
+          <div className="flex items-center gap-2 text-sm text-muted-foreground">
+            <Loader2 className="h-4 w-4 animate-spin" />
+            Loading preferences...
+          </div>
+        ) : error ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : (
+          <div className="space-y-4">
+            {preferences.map((preference) => (
+              <div key={preference.category} className="flex items-start justify-between gap-4">
+                <div className="space-y-0.5">
+                  <Label htmlFor={`email-${preference.category}`}>{preference.label}</Label>
+                  <p className="text-sm text-muted-foreground">{preference.description}</p>
+                </div>
+                <Switch
+                  id={`email-${preference.category}`}
+                  checked={preference.enabled}
+                  disabled={saving === preference.category}
+                  onCheckedChange={(checked) => handleToggle(preference.category, checked)}
+                />
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
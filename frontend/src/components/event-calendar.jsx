@@ -1,123 +1,424 @@
 "use client"
 
-import { useState } from "react"
-import { Calendar } from "@/components/ui/calendar"
-import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Badge } from "@/components/ui/badge"
 import { Button } from "@/components/ui/button"
-import { formatDate } from "@/lib/utils"
-
-export function EventCalendar() {
-  const [date, setDate] = useState(new Date())
-
-  // In a real app, this data would come from an API
-  const events = [
-    {
-      id: "EVENT-1001",
-      title: "HIV Awareness Campaign Kickoff",
-      date: new Date(2023, 5, 15), // June 15, 2023
-      time: "9:00 AM - 12:00 PM",
-      location: "XU Medical Center Auditorium",
-      type: "campaign",
-    },
-    {
-      id: "EVENT-1002",
-      title: "Tech Skills Workshop - Day 1",
-      date: new Date(2023, 5, 20), // June 20, 2023
-      time: "1:00 PM - 5:00 PM",
-      location: "Lourdes College Computer Lab",
-      type: "workshop",
-    },
-    {
-      id: "EVENT-1003",
-      title: "Small Business Development Seminar",
-      date: new Date(2023, 5, 25), // June 25, 2023
-      time: "8:30 AM - 4:00 PM",
-      location: "City Hall Conference Room",
-      type: "seminar",
-    },
-  ]
-
-  // Filter events for the selected date
-  const selectedDateEvents = events.filter((event) => event.date.toDateString() === date.toDateString())
-
-  // Get dates with events for highlighting in the calendar
-  const eventDates = events.map((event) => event.date)
+import { cn, config } from "@/lib/utils"
+import {
+  addDays,
+  addMonths,
+  addWeeks,
+  eachDayOfInterval,
+  endOfMonth,
+  endOfWeek,
+  format,
+  isSameDay,
+  isSameMonth,
+  isToday,
+  startOfDay,
+  startOfMonth,
+  startOfWeek,
+} from "date-fns"
+import { CalendarIcon, ChevronLeft, ChevronRight, Loader2, MapPin, RefreshCw } from "lucide-react"
+import Link from "next/link"
+import { useCallback, useEffect, useMemo, useState } from "react"
+
+/**
+ * Month / week / agenda calendar shared by the student and admin event pages.
+ *
+ * Events are proposals from `GET /api/events/approved`; each one spans
+ * `event_start_date` → `event_end_date`, is outlined by proposal status and
+ * filled by organization type, and links to `${basePath}/${id}`.
+ */
+
+const VIEWS = [
+  { value: "month", label: "Month" },
+  { value: "week", label: "Week" },
+  { value: "agenda", label: "Agenda" },
+]
+
+// Events shown per month cell before collapsing into "+N more"
+const MAX_EVENTS_PER_DAY = 3
+
+const STATUS_STYLES = {
+  approved: { label: "Approved", border: "border-l-green-500", dot: "bg-green-500" },
+  pending: { label: "Pending", border: "border-l-amber-500", dot: "bg-amber-500" },
+  revision_requested: { label: "Revision requested", border: "border-l-blue-500", dot: "bg-blue-500" },
+  denied: { label: "Denied", border: "border-l-red-500", dot: "bg-red-500" },
+}
+
+const ORGANIZATION_STYLES = {
+  "school-based": { label: "School-based", fill: "bg-sky-50 text-sky-900 hover:bg-sky-100", swatch: "bg-sky-100" },
+  "community-based": { label: "Community-based", fill: "bg-emerald-50 text-emerald-900 hover:bg-emerald-100", swatch: "bg-emerald-100" },
+}
+
+const DEFAULT_STATUS_STYLE = { label: "Other", border: "border-l-gray-400", dot: "bg-gray-400" }
+const DEFAULT_ORGANIZATION_STYLE = { label: "Other", fill: "bg-gray-50 text-gray-900 hover:bg-gray-100", swatch: "bg-gray-100" }
+
+// DATE columns may arrive as "YYYY-MM-DD"; read those as local dates, not UTC
+function parseDate(value) {
+  if (!value) return null
+  const match = typeof value === "string" && value.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value)
+  return Number.isNaN(date.getTime()) ? null : startOfDay(date)
+}
+
+// /api/events/approved row → calendar event (rows without a start date are skipped)
+function toCalendarEvent(row) {
+  const start = parseDate(row.event_start_date)
+  if (!start) return null
+  const end = parseDate(row.event_end_date)
+
+  return {
+    id: row.id,
+    title: row.event_name || row.organization_name || "Untitled event",
+    organization: row.organization_name,
+    organizationType: row.organization_type,
+    venue: row.event_venue,
+    status: row.proposal_status,
+    start,
+    end: end && end >= start ? end : start,
+  }
+}
+
+const coversDay = (event, day) => event.start <= day && event.end >= day
+
+function matchesFilters(event, { filter, searchTerm }) {
+  const today = startOfDay(new Date())
+  if (filter === "upcoming" && event.end < today) return false
+  if (filter === "past" && event.end >= today) return false
+
+  const term = searchTerm.trim().toLowerCase()
+  if (!term) return true
+  return [event.title, event.organization, event.venue].some((value) => value && value.toLowerCase().includes(term))
+}
+
+function formatSpan(event) {
+  if (isSameDay(event.start, event.end)) return format(event.start, "MMM d, yyyy")
+  if (event.start.getFullYear() !== event.end.getFullYear()) {
+    return `${format(event.start, "MMM d, yyyy")} – ${format(event.end, "MMM d, yyyy")}`
+  }
+  return `${format(event.start, "MMM d")} – ${format(event.end, "MMM d, yyyy")}`
+}
+
+function EventChip({ event, day, basePath, compact = false }) {
+  const status = STATUS_STYLES[event.status] || DEFAULT_STATUS_STYLE
+  const organization = ORGANIZATION_STYLES[event.organizationType] || DEFAULT_ORGANIZATION_STYLE
+  const continues = day && !isSameDay(day, event.start)
+  const continuesAfter = day && !isSameDay(day, event.end)
+  // Repeat the title where a multi-day span starts a new week row
+  const showTitle = !day || !continues || day.getDay() === 0
 
   return (
-    <div className="grid gap-4 md:grid-cols-3">
-      <Card className="md:col-span-1 border-0 shadow-sm">
-        <CardHeader>
-          <CardTitle>Calendar</CardTitle>
-          <CardDescription>View and select event dates</CardDescription>
-        </CardHeader>
-        <CardContent>
-          <Calendar
-            mode="single"
-            selected={date}
-            onSelect={(newDate) => newDate && setDate(newDate)}
-            className="rounded-md border"
-            highlightedDates={eventDates}
-          />
-        </CardContent>
-      </Card>
-
-      <Card className="md:col-span-2 border-0 shadow-sm">
-        <CardHeader>
-          <CardTitle>Events for {formatDate(date)}</CardTitle>
-          <CardDescription>
-            {selectedDateEvents.length === 0
-              ? "No events scheduled for this date"
-              : `${selectedDateEvents.length} event(s) scheduled`}
-          </CardDescription>
-        </CardHeader>
-        <CardContent>
-          {selectedDateEvents.length === 0 ? (
-            <div className="flex flex-col items-center justify-center py-8 text-center">
-              <p className="text-muted-foreground">No events scheduled for this date.</p>
-              <Button variant="outline" className="mt-4">
-                Create Event
-              </Button>
+    <Link
+      href={`${basePath}/${event.id}`}
+      title={`${event.title} · ${formatSpan(event)}${event.venue ? ` · ${event.venue}` : ""}`}
+      className={cn(
+        "block truncate border-l-4 px-1.5 py-0.5 text-xs font-medium transition-colors",
+        status.border,
+        organization.fill,
+        continues ? "rounded-l-none" : "rounded-l",
+        continuesAfter ? "rounded-r-none" : "rounded-r",
+        compact ? "leading-5" : "py-1.5"
+      )}
+    >
+      {showTitle ? event.title : "\u00A0"}
+      {!compact && (
+        <span className="mt-0.5 block truncate text-[11px] font-normal opacity-80">
+          {event.organization}
+          {event.venue ? ` · ${event.venue}` : ""}
+        </span>
+      )}
+    </Link>
+  )
+}
+
+function MonthView({ cursor, events, basePath, onShowDay }) {
+  const days = eachDayOfInterval({ start: startOfWeek(startOfMonth(cursor)), end: endOfWeek(endOfMonth(cursor)) })
+
+  return (
+    <div className="overflow-hidden rounded-lg border">
+      <div className="grid grid-cols-7 border-b bg-muted/40 text-center text-xs font-medium text-muted-foreground">
+        {days.slice(0, 7).map((day) => (
+          <div key={day.toISOString()} className="py-2">
+            {format(day, "EEE")}
+          </div>
+        ))}
+      </div>
+      <div className="grid grid-cols-7">
+        {days.map((day) => {
+          const dayEvents = events.filter((event) => coversDay(event, day))
+          const hidden = dayEvents.length - MAX_EVENTS_PER_DAY
+
+          return (
+            <div
+              key={day.toISOString()}
+              className={cn("min-h-[96px] border-b border-r p-1 last:border-r-0", !isSameMonth(day, cursor) && "bg-muted/20")}
+            >
+              <div
+                className={cn(
+                  "mb-1 flex h-6 w-6 items-center justify-center rounded-full text-xs",
+                  isToday(day) ? "bg-cedo-blue text-white" : isSameMonth(day, cursor) ? "text-foreground" : "text-muted-foreground"
+                )}
+              >
+                {format(day, "d")}
+              </div>
+              <div className="space-y-0.5">
+                {dayEvents.slice(0, MAX_EVENTS_PER_DAY).map((event) => (
+                  <EventChip key={event.id} event={event} day={day} basePath={basePath} compact />
+                ))}
+                {hidden > 0 && (
+                  <button
+                    type="button"
+                    onClick={() => onShowDay(day)}
+                    className="w-full rounded px-1.5 text-left text-xs text-muted-foreground hover:bg-muted"
+                  >
+                    +{hidden} more
+                  </button>
+                )}
+              </div>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+function WeekView({ cursor, events, basePath }) {
+  const days = eachDayOfInterval({ start: startOfWeek(cursor), end: endOfWeek(cursor) })
+
+  return (
+    <div className="grid gap-2 md:grid-cols-7">
+      {days.map((day) => {
+        const dayEvents = events.filter((event) => coversDay(event, day))
+        return (
+          <div key={day.toISOString()} className={cn("min-h-[160px] rounded-lg border p-2", isToday(day) && "border-cedo-blue")}>
+            <div className="mb-2 text-xs font-medium text-muted-foreground">
+              {format(day, "EEE")} <span className="text-foreground">{format(day, "MMM d")}</span>
+            </div>
+            <div className="space-y-1">
+              {dayEvents.length === 0 ? (
+                <p className="text-xs text-muted-foreground">No events</p>
+              ) : (
+                dayEvents.map((event) => <EventChip key={event.id} event={event} day={day} basePath={basePath} />)
+              )}
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+function AgendaView({ events, basePath }) {
+  if (events.length === 0) {
+    return (
+      <div className="flex flex-col items-center justify-center py-12 text-center text-muted-foreground">
+        <CalendarIcon className="mb-2 h-8 w-8 text-gray-300" />
+        <p className="text-sm">No events to show.</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="divide-y rounded-lg border">
+      {events.map((event) => {
+        const status = STATUS_STYLES[event.status] || DEFAULT_STATUS_STYLE
+        const organization = ORGANIZATION_STYLES[event.organizationType] || DEFAULT_ORGANIZATION_STYLE
+        return (
+          <Link
+            key={event.id}
+            href={`${basePath}/${event.id}`}
+            className="flex flex-col gap-1 p-3 transition-colors hover:bg-muted/40 sm:flex-row sm:items-center sm:gap-4"
+          >
+            <div className="w-44 shrink-0 text-sm font-medium text-cedo-blue">{formatSpan(event)}</div>
+            <div className="min-w-0 flex-1">
+              <p className="truncate font-medium">{event.title}</p>
+              <p className="flex items-center gap-1 truncate text-xs text-muted-foreground">
+                {event.organization}
+                {event.venue && (
+                  <>
+                    <MapPin className="ml-1 h-3 w-3" />
+                    {event.venue}
+                  </>
+                )}
+              </p>
             </div>
-          ) : (
-            <div className="space-y-4">
-              {selectedDateEvents.map((event) => (
-                <div key={event.id} className="rounded-lg border p-4">
-                  <div className="flex items-start justify-between">
-                    <div>
-                      <h4 className="font-medium">{event.title}</h4>
-                      <Badge
-                        className={
-                          event.type === "campaign"
-                            ? "bg-blue-100 text-blue-800 hover:bg-blue-100 mt-1"
-                            : event.type === "workshop"
-                              ? "bg-purple-100 text-purple-800 hover:bg-purple-100 mt-1"
-                              : "bg-amber-100 text-amber-800 hover:bg-amber-100 mt-1"
-                        }
-                      >
-                        {event.type.charAt(0).toUpperCase() + event.type.slice(1)}
-                      </Badge>
-                    </div>
-                    <Button variant="outline" size="sm">
-                      Details
-                    </Button>
-                  </div>
-                  <div className="mt-2 space-y-1 text-sm text-muted-foreground">
-                    <div className="flex items-center">
-                      <span className="font-medium">Time:</span>
-                      <span className="ml-2">{event.time}</span>
-                    </div>
-                    <div className="flex items-center">
-                      <span className="font-medium">Location:</span>
-                      <span className="ml-2">{event.location}</span>
-                    </div>
-                  </div>
-                </div>
-              ))}
+            <div className="flex shrink-0 gap-1.5">
+              <Badge variant="outline" className={cn("border-0", organization.swatch)}>
+                {organization.label}
+              </Badge>
+              <Badge variant="outline" className="gap-1">
+                <span className={cn("h-2 w-2 rounded-full", status.dot)} />
+                {status.label}
+              </Badge>
             </div>
-          )}
-        </CardContent>
-      </Card>
+          </Link>
+        )
+      })}
+    </div>
+  )
+}
+
+function Legend({ statuses }) {
+  return (
+    <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-muted-foreground">
+      {statuses.map((status) => {
+        const style = STATUS_STYLES[status] || DEFAULT_STATUS_STYLE
+        return (
+          <span key={status} className="flex items-center gap-1.5">
+            <span className={cn("h-2.5 w-2.5 rounded-full", style.dot)} />
+            {style.label}
+          </span>
+        )
+      })}
+      {Object.values(ORGANIZATION_STYLES).map((style) => (
+        <span key={style.label} className="flex items-center gap-1.5">
+          <span className={cn("h-2.5 w-4 rounded-sm border", style.swatch)} />
+          {style.label}
+        </span>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * @param {Object} props
+ * @param {string[]} [props.statuses] - Proposal statuses to show
+ * @param {string} [props.email] - Only events whose contact email matches
+ * @param {string} [props.basePath] - Event detail route prefix
+ * @param {'all'|'upcoming'|'past'} [props.filter]
+ * @param {string} [props.searchTerm] - Matches title, organization or venue
+ * @param {'month'|'week'|'agenda'} [props.initialView]
+ */
+export function EventCalendar({
+  statuses = ["approved"],
+  email = null,
+  basePath = "/student-dashboard/events",
+  filter = "all",
+  searchTerm = "",
+  initialView = "month",
+}) {
+  const [view, setView] = useState(initialView)
+  const [cursor, setCursor] = useState(() => startOfDay(new Date()))
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const statusKey = statuses.join(",")
+
+  const loadEvents = useCallback(async () => {
+    setLoading(true)
+    try {
+      const params = new URLSearchParams({ status: statusKey })
+      if (email) params.set("email", email)
+      const response = await fetch(`${config.backendUrl}/api/events/approved?${params}`, { cache: "no-store" })
+      if (!response.ok) throw new Error(`Failed to load events (${response.status})`)
+      const data = await response.json()
+      setEvents((data.events || []).map(toCalendarEvent).filter(Boolean))
+      setError(null)
+    } catch (err) {
+      console.error("Failed to load calendar events:", err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [statusKey, email])
+
+  useEffect(() => {
+    loadEvents()
+  }, [loadEvents])
+
+  const visibleEvents = useMemo(
+    () =>
+      events
+        .filter((event) => matchesFilters(event, { filter, searchTerm }))
+        .sort((a, b) => a.start - b.start || a.end - b.end),
+    [events, filter, searchTerm]
+  )
+
+  // Agenda lists everything from the start of the shown month onwards
+  const agendaEvents = useMemo(
+    () => visibleEvents.filter((event) => event.end >= startOfMonth(cursor)),
+    [visibleEvents, cursor]
+  )
+
+  const step = (direction) => {
+    setCursor((current) => (view === "week" ? addWeeks(current, direction) : addMonths(current, direction)))
+  }
+
+  const heading =
+    view === "week"
+      ? `${format(startOfWeek(cursor), "MMM d")} – ${format(addDays(startOfWeek(cursor), 6), "MMM d, yyyy")}`
+      : view === "agenda"
+        ? `From ${format(startOfMonth(cursor), "MMMM yyyy")}`
+        : format(cursor, "MMMM yyyy")
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+        <div className="flex items-center gap-2">
+          <Button variant="outline" size="icon" className="h-8 w-8" onClick={() => step(-1)} aria-label="Previous">
+            <ChevronLeft className="h-4 w-4" />
+          </Button>
+          <Button variant="outline" size="sm" className="h-8" onClick={() => setCursor(startOfDay(new Date()))}>
+            Today
+          </Button>
+          <Button variant="outline" size="icon" className="h-8 w-8" onClick={() => step(1)} aria-label="Next">
+            <ChevronRight className="h-4 w-4" />
+          </Button>
+          <h3 className="ml-2 text-base font-semibold text-cedo-blue">{heading}</h3>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <Button variant="ghost" size="icon" className="h-8 w-8" onClick={loadEvents} disabled={loading} aria-label="Refresh">
+            <RefreshCw className={cn("h-4 w-4", loading && "animate-spin")} />
+          </Button>
+          <div className="inline-flex rounded-md border p-0.5">
+            {VIEWS.map((option) => (
+              <Button
+                key={option.value}
+                variant={view === option.value ? "default" : "ghost"}
+                size="sm"
+                className={cn("h-7 px-3 text-xs", view === option.value && "bg-cedo-blue hover:bg-cedo-blue/90")}
+                onClick={() => setView(option.value)}
+              >
+                {option.label}
+              </Button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <Legend statuses={statuses} />
+
+      {error ? (
+        <div className="rounded-lg border border-red-200 bg-red-50 p-4 text-sm text-red-700">
+          {error}
+          <Button variant="link" size="sm" className="ml-2 h-auto p-0 text-red-700" onClick={loadEvents}>
+            Try again
+          </Button>
+        </div>
+      ) : loading && events.length === 0 ? (
+        <div className="flex items-center justify-center py-12 text-muted-foreground">
+          <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+          Loading events...
+        </div>
+      ) : view === "month" ? (
+        <MonthView
+          cursor={cursor}
+          events={visibleEvents}
+          basePath={basePath}
+          onShowDay={(day) => {
+            setCursor(day)
+            setView("week")
+          }}
+        />
+      ) : view === "week" ? (
+        <WeekView cursor={cursor} events={visibleEvents} basePath={basePath} />
+      ) : (
+        <AgendaView events={agendaEvents} basePath={basePath} />
+      )}
     </div>
   )
 }
@@ -0,0 +1,265 @@
+"use client"
+
+import { Button } from "@/components/ui/button"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import { cancelEvent, postponeEvent, rescheduleEvent } from "@/lib/events-api"
+import { AlertTriangle, CalendarClock, History, Loader2, PauseCircle, XCircle } from "lucide-react"
+import { useState } from "react"
+import { toast } from "sonner"
+
+const ACTIONS = {
+  reschedule: {
+    label: "Reschedule",
+    icon: CalendarClock,
+    title: "Reschedule event",
+    description: "Registrants are notified of the new date and time.",
+    success: "Event rescheduled",
+  },
+  postpone: {
+    label: "Postpone",
+    icon: PauseCircle,
+    title: "Postpone event",
+    description: "The event is put on hold until you reschedule it. Registrants are told why.",
+    success: "Event postponed",
+  },
+  cancel: {
+    label: "Cancel event",
+    icon: XCircle,
+    title: "Cancel event",
+    description: "Cancelling is final and closes online registration. Registrants are told why.",
+    success: "Event cancelled",
+  },
+}
+
+const CHANGE_LABELS = {
+  created: "Event created on approval",
+  rescheduled: "Rescheduled",
+  postponed: "Postponed",
+  cancelled: "Cancelled",
+  completed: "Marked completed",
+}
+
+const FIELD_LABELS = {
+  startDate: "Start date",
+  endDate: "End date",
+  startTime: "Start time",
+  endTime: "End time",
+  status: "Status",
+}
+
+/**
+ * Reschedule / postpone / cancel buttons for the event's organizer and CEDO
+ * staff, each with its own dialog. Staff may override schedule conflicts
+ * with a reason; organizers have to pick another slot.
+ * @param {Object} props
+ * @param {Object} props.event - Event from the events API (uses `allowedActions`)
+ * @param {boolean} [props.canOverride] - Caller is staff
+ * @param {Function} [props.onChanged] - Receives `{ event, change }` after a change
+ */
+export function EventActions({ event, canOverride = false, onChanged }) {
+  const [action, setAction] = useState(null)
+  const [form, setForm] = useState({})
+  const [conflicts, setConflicts] = useState([])
+  const [errors, setErrors] = useState({})
+  const [saving, setSaving] = useState(false)
+
+  if (!event.allowedActions || event.allowedActions.length === 0) return null
+
+  const open = (next) => {
+    setAction(next)
+    setConflicts([])
+    setErrors({})
+    setForm(next === "reschedule"
+      ? {
+        startDate: event.startDate || "",
+        endDate: event.endDate || "",
+        startTime: event.startTime || "",
+        endTime: event.endTime || "",
+        reason: "",
+        overrideConflicts: false,
+      }
+      : { reason: "" })
+  }
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value })
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setErrors({})
+    try {
+      const result = action === "reschedule"
+        ? await rescheduleEvent(event.id, {
+          ...form,
+          endDate: form.endDate || null,
+          startTime: form.startTime || null,
+          endTime: form.endTime || null,
+        })
+        : action === "postpone"
+          ? await postponeEvent(event.id, form.reason)
+          : await cancelEvent(event.id, form.reason)
+      toast.success(ACTIONS[action].success)
+      setAction(null)
+      if (onChanged) onChanged(result)
+    } catch (error) {
+      if (error.conflicts) setConflicts(error.conflicts)
+      if (error.errors) setErrors(error.errors)
+      toast.error(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const config = action ? ACTIONS[action] : null
+
+  return (
+    <>
+      <div className="flex flex-wrap gap-2">
+        {event.allowedActions.map((name) => {
+          const Icon = ACTIONS[name].icon
+          return (
+            <Button
+              key={name}
+              size="sm"
+              variant={name === "cancel" ? "destructive" : "outline"}
+              onClick={() => open(name)}
+            >
+              <Icon className="h-4 w-4 mr-1" />
+              {ACTIONS[name].label}
+            </Button>
+          )
+        })}
+      </div>
+
+      <Dialog open={Boolean(action)} onOpenChange={(isOpen) => !isOpen && setAction(null)}>
+        <DialogContent className="sm:max-w-lg">
+          <DialogHeader>
+            <DialogTitle>{config?.title}</DialogTitle>
+            <DialogDescription>{config?.description}</DialogDescription>
+          </DialogHeader>
+          {action && (
+            <form id="event-change-form" onSubmit={handleSubmit} className="space-y-4">
+              {action === "reschedule" && (
+                <div className="grid gap-3 sm:grid-cols-2">
+                  <div className="space-y-1">
+                    <Label htmlFor="event-start-date">Start date</Label>
+                    <Input id="event-start-date" type="date" required value={form.startDate} onChange={update("startDate")} />
+                    {errors.startDate && <p className="text-xs text-red-600">{errors.startDate}</p>}
+                  </div>
+                  <div className="space-y-1">
+                    <Label htmlFor="event-end-date">End date</Label>
+                    <Input id="event-end-date" type="date" value={form.endDate} min={form.startDate} onChange={update("endDate")} />
+                    {errors.endDate && <p className="text-xs text-red-600">{errors.endDate}</p>}
+                  </div>
+                  <div className="space-y-1">
+                    <Label htmlFor="event-start-time">Start time</Label>
+                    <Input id="event-start-time" type="time" value={form.startTime} onChange={update("startTime")} />
+                  </div>
+                  <div className="space-y-1">
+                    <Label htmlFor="event-end-time">End time</Label>
+                    <Input id="event-end-time" type="time" value={form.endTime} onChange={update("endTime")} />
+                    {errors.endTime && <p className="text-xs text-red-600">{errors.endTime}</p>}
+                  </div>
+                </div>
+              )}
+
+              {conflicts.length > 0 && (
+                <div className="rounded-md border border-amber-200 bg-amber-50 p-3 text-sm text-amber-900">
+                  <p className="flex items-center font-medium">
+                    <AlertTriangle className="h-4 w-4 mr-2" />
+                    The new schedule conflicts with:
+                  </p>
+                  <ul className="mt-1 list-disc pl-6">
+                    {conflicts.map((conflict, index) => (
+                      <li key={index}>{conflict.message}</li>
+                    ))}
+                  </ul>
+                  {canOverride ? (
+                    <label className="mt-2 flex items-center gap-2">
+                      <Checkbox
+                        checked={form.overrideConflicts}
+                        onCheckedChange={(checked) => setForm({ ...form, overrideConflicts: Boolean(checked) })}
+                      />
+                      Reschedule anyway (explain why below)
+                    </label>
+                  ) : (
+                    <p className="mt-2">Pick another date or time.</p>
+                  )}
+                </div>
+              )}
+
+              <div className="space-y-1">
+                <Label htmlFor="event-change-reason">
+                  Reason{action === "reschedule" ? " (optional)" : ""}
+                </Label>
+                <Textarea
+                  id="event-change-reason"
+                  required={action !== "reschedule" || form.overrideConflicts}
+                  value={form.reason}
+                  onChange={update("reason")}
+                  placeholder="Shared with everyone registered for the event"
+                  className="min-h-[80px]"
+                />
+              </div>
+            </form>
+          )}
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setAction(null)}>
+              Close
+            </Button>
+            <Button
+              type="submit"
+              form="event-change-form"
+              disabled={saving}
+              variant={action === "cancel" ? "destructive" : "default"}
+            >
+              {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              {config?.label}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  )
+}
+
+const formatValue = (value) => (value === null || value === undefined || value === "" ? "—" : String(value))
+
+/**
+ * Who changed the event, what changed and why, oldest first
+ * @param {Object} props
+ * @param {Object[]} props.history - `history` from GET /api/events/:id
+ */
+export function EventHistory({ history }) {
+  if (!history || history.length === 0) return null
+
+  return (
+    <div>
+      <p className="flex items-center font-medium text-[#0c2d6b] mb-2 sm:mb-3 text-sm sm:text-base">
+        <History className="h-4 w-4 mr-2" />
+        Change History
+      </p>
+      <ol className="space-y-3 border-l-2 border-[#0c2d6b]/20 pl-4">
+        {history.map((entry) => (
+          <li key={entry.id} className="text-sm">
+            <p className="font-medium text-gray-800">{CHANGE_LABELS[entry.action] || entry.action}</p>
+            <p className="text-xs text-muted-foreground">
+              {new Date(entry.createdAt).toLocaleString("en-US", { month: "short", day: "numeric", year: "numeric", hour: "numeric", minute: "2-digit" })}
+              {entry.changedBy?.name ? ` · ${entry.changedBy.name}` : ""}
+            </p>
+            {Object.entries(entry.changes || {}).map(([field, { from, to }]) => (
+              <p key={field} className="text-xs text-gray-600">
+                {FIELD_LABELS[field] || field}: {formatValue(from)} → {formatValue(to)}
+              </p>
+            ))}
+            {entry.reason && <p className="mt-1 text-xs text-gray-700">&ldquo;{entry.reason}&rdquo;</p>}
+          </li>
+        ))}
+      </ol>
+    </div>
+  )
+}
@@ -3,17 +3,32 @@
 import { Alert, AlertDescription } from "@/components/ui/alert"
 import { Button } from "@/components/ui/button"
 import { Progress } from "@/components/ui/progress"
+import { DOCUMENT_POLICIES, checkFile } from "@/lib/upload-policy"
 import { AlertCircle, FileText, Upload, X } from "lucide-react"
 import { useRef, useState } from "react"
 
+/**
+ * With a `documentType` (a key of lib/upload-policy.js), each file is checked
+ * the way the server will check it, using that type's size limit and formats
+ * in place of maxSize / acceptedFileTypes, and every refused file is listed
+ * with its reason. `rejections` lists the server's reasons for a refused
+ * upload ([{ fileName, reason }], e.g. error.rejected).
+ */
 export function FileUploader({
   files,
   setFiles,
   maxFiles = 5,
-  maxSize = 5 * 1024 * 1024,
-  acceptedFileTypes = [".pdf", ".doc", ".docx", ".jpg", ".jpeg", ".png"],
+  maxSize: maxSizeProp = 5 * 1024 * 1024,
+  acceptedFileTypes: acceptedFileTypesProp = [".pdf", ".doc", ".docx", ".jpg", ".jpeg", ".png"],
+  documentType,
+  rejections = [],
 }) {
+  const policy = documentType ? DOCUMENT_POLICIES[documentType] : null
+  const maxSize = policy ? policy.maxSize : maxSizeProp
+  const acceptedFileTypes = policy ? policy.extensions : acceptedFileTypesProp
+
   const [error, setError] = useState(null)
+  const [rejectedFiles, setRejectedFiles] = useState([])
   const [isDragActive, setIsDragActive] = useState(false)
   const fileInputRef = useRef(null)
 
@@ -22,14 +37,29 @@ export function FileUploader({
     validateAndAddFiles(selectedFiles)
   }
 
-  const validateAndAddFiles = (selectedFiles) => {
+  const validateAndAddFiles = async (selectedFiles) => {
     setError(null)
+    setRejectedFiles([])
 
     if (files.length + selectedFiles.length > maxFiles) {
       setError(`You can only upload a maximum of ${maxFiles} files`)
       return
     }
 
+    if (policy) {
+      const results = await Promise.all(selectedFiles.map((file) => checkFile(file, documentType)))
+      const rejected = selectedFiles
+        .map((file, index) => ({ fileName: file.name, reason: results[index].reason }))
+        .filter((_, index) => !results[index].accepted)
+
+      if (rejected.length > 0) {
+        setError(rejected.length === 1 ? "This file was not added:" : `${rejected.length} files were not added:`)
+        setRejectedFiles(rejected)
+      }
+      setFiles([...files, ...selectedFiles.filter((_, index) => results[index].accepted)])
+      return
+    }
+
     const oversizedFiles = selectedFiles.filter((file) => file.size > maxSize)
     if (oversizedFiles.length > 0) {
       setError(`Some files exceed the ${maxSize / (1024 * 1024)}MB limit`)
@@ -85,6 +115,10 @@ export function FileUploader({
     else return (bytes / (1024 * 1024)).toFixed(1) + " MB"
   }
 
+  // A problem with the latest selection replaces the server's reasons for the previous upload
+  const message = error || (rejections.length > 0 ? "The server rejected these files:" : null)
+  const listedFiles = error ? rejectedFiles : rejections
+
   return (
     <div className="space-y-4">
       <div
@@ -116,10 +150,21 @@ export function FileUploader({
         </div>
       </div>
 
-      {error && (
+      {message && (
         <Alert variant="destructive">
           <AlertCircle className="h-4 w-4" />
-          <AlertDescription>{error}</AlertDescription>
+          <AlertDescription>
+            {message}
+            {listedFiles.length > 0 && (
+              <ul className="mt-1 list-disc pl-4 space-y-0.5">
+                {listedFiles.map(({ fileName, reason }, index) => (
+                  <li key={index}>
+                    <span className="font-medium">{fileName}</span>: {reason}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </AlertDescription>
         </Alert>
       )}
 
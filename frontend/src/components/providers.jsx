@@ -4,14 +4,17 @@ import RouterStabilizer from "@/components/RouterStabilizer";
 import { ThemeProvider } from "@/components/theme-provider";
 import { Toaster } from "@/components/ui/sonner";
 import { AuthProvider } from "@/contexts/auth-context";
+import { NotificationProvider } from "@/contexts/NotificationContext";
 
 export function Providers({ children }) {
     return (
         <RouterStabilizer>
             <ThemeProvider>
                 <AuthProvider>
-                    {children}
-                    <Toaster />
+                    <NotificationProvider>
+                        {children}
+                        <Toaster />
+                    </NotificationProvider>
                 </AuthProvider>
             </ThemeProvider>
         </RouterStabilizer>
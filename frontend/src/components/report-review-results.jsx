@@ -0,0 +1,67 @@
+"use client"
+
+import { Badge } from "@/components/ui/badge"
+import { ITEM_STATUS_LABELS, REPORT_DOCUMENT_LABELS } from "@/lib/report-review-api"
+import { CheckCircle2, CircleAlert, CircleX, Upload } from "lucide-react"
+
+export const ITEM_STATUS_STYLES = {
+  accepted: "bg-green-100 text-green-800 hover:bg-green-100 border-green-200",
+  partial: "bg-amber-100 text-amber-800 hover:bg-amber-100 border-amber-200",
+  rejected: "bg-red-100 text-red-800 hover:bg-red-100 border-red-200",
+}
+
+const ITEM_ICONS = {
+  accepted: <CheckCircle2 className="h-4 w-4 mt-0.5 text-green-600 flex-shrink-0" />,
+  partial: <CircleAlert className="h-4 w-4 mt-0.5 text-amber-600 flex-shrink-0" />,
+  rejected: <CircleX className="h-4 w-4 mt-0.5 text-red-600 flex-shrink-0" />,
+}
+
+/**
+ * Rubric items of one review with the reviewer's comments and requested re-uploads
+ * @param {Object} props
+ * @param {Object} props.review - A review from the report review API
+ * @param {boolean} [props.onlyIssues] - Leave out fully accepted items
+ */
+export function ReviewItems({ review, onlyIssues = false }) {
+  const items = onlyIssues
+    ? review.items.filter((item) => item.status !== "accepted" || item.reuploadDocument)
+    : review.items
+
+  if (items.length === 0) {
+    return <p className="text-sm text-muted-foreground">Every rubric item was accepted.</p>
+  }
+
+  return (
+    <ul className="divide-y rounded-md border">
+      {items.map((item) => (
+        <li key={item.id} className="flex items-start gap-3 p-3 text-sm">
+          {ITEM_ICONS[item.status]}
+          <div className="min-w-0 flex-1 space-y-1">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="font-medium">{item.label}</span>
+              <Badge variant="outline" className={ITEM_STATUS_STYLES[item.status]}>
+                {ITEM_STATUS_LABELS[item.status] || item.status}
+              </Badge>
+              {!item.required && <span className="text-xs text-muted-foreground">(optional)</span>}
+            </div>
+            {item.comment && <p className="text-muted-foreground whitespace-pre-wrap">{item.comment}</p>}
+            {item.reuploadDocument && (
+              <p className="flex items-center gap-1 text-xs font-medium text-red-700">
+                <Upload className="h-3 w-3" />
+                Upload the {(REPORT_DOCUMENT_LABELS[item.reuploadDocument] || item.reuploadDocument).toLowerCase()} again
+              </p>
+            )}
+          </div>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+/**
+ * One-line heading of a review: decision, reviewer and date
+ */
+export function reviewHeading(review) {
+  const decision = review.decision === "approved" ? "Accepted" : "Returned"
+  return [decision, review.reviewer?.name, new Date(review.createdAt).toLocaleString()].filter(Boolean).join(" · ")
+}
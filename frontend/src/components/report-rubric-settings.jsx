@@ -0,0 +1,190 @@
+"use client"
+
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import { createRubricItem, fetchRubric, retireRubricItem, updateRubricItem } from "@/lib/report-review-api"
+import { ArrowDown, ArrowUp, Loader2, RotateCcw, Trash2 } from "lucide-react"
+import { useCallback, useEffect, useState } from "react"
+import { toast } from "sonner"
+
+const EMPTY_FORM = { label: "", description: "", required: true }
+
+/**
+ * Rubric that accomplishment reports are reviewed against. Every staff member
+ * sees it; only users with `report:rubric` (`canManage`) add, reorder, retire or restore items.
+ * @param {Object} props
+ * @param {boolean} props.canManage - Holds the report:rubric permission
+ */
+export function ReportRubricSettings({ canManage }) {
+  const [criteria, setCriteria] = useState(null)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [errors, setErrors] = useState({})
+  const [saving, setSaving] = useState(false)
+
+  const load = useCallback(() => {
+    fetchRubric({ includeInactive: canManage })
+      .then(setCriteria)
+      .catch((error) => toast.error(error.message))
+  }, [canManage])
+
+  useEffect(() => {
+    load()
+  }, [load])
+
+  const submit = async (event) => {
+    event.preventDefault()
+    setSaving(true)
+    setErrors({})
+    try {
+      const criterion = await createRubricItem(form)
+      toast.success(`"${criterion.label}" added to the rubric`)
+      setForm(EMPTY_FORM)
+      load()
+    } catch (error) {
+      setErrors(error.errors || {})
+      toast.error(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const run = async (action, message) => {
+    try {
+      await action()
+      if (message) toast.success(message)
+      load()
+    } catch (error) {
+      toast.error(error.message)
+    }
+  }
+
+  // Swap positions with the neighbouring active item
+  const move = (index, offset) => {
+    const active = criteria.filter((criterion) => criterion.active)
+    const current = active[index]
+    const neighbour = active[index + offset]
+    if (!current || !neighbour) return
+    run(async () => {
+      await updateRubricItem(current.id, { sortOrder: neighbour.sortOrder })
+      await updateRubricItem(neighbour.id, { sortOrder: current.sortOrder })
+    })
+  }
+
+  const active = (criteria || []).filter((criterion) => criterion.active)
+  const retired = (criteria || []).filter((criterion) => !criterion.active)
+
+  return (
+    <Card className="cedo-card">
+      <CardHeader>
+        <CardTitle className="text-cedo-blue">Review Rubric</CardTitle>
+        <CardDescription>
+          Every submitted report is reviewed against these items. Rejecting a required item returns the report to the organizer.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {!criteria ? (
+          <Loader2 className="h-5 w-5 animate-spin text-cedo-blue" />
+        ) : active.length === 0 ? (
+          <p className="text-sm text-muted-foreground">The rubric is empty; reports cannot be reviewed until an item is added.</p>
+        ) : (
+          <ol className="divide-y rounded-md border">
+            {active.map((criterion, index) => (
+              <li key={criterion.id} className="flex items-start justify-between gap-3 p-3 text-sm">
+                <div>
+                  <p className="font-medium">
+                    {index + 1}. {criterion.label}
+                    {!criterion.required && <span className="ml-2 text-xs text-muted-foreground">(optional)</span>}
+                  </p>
+                  {criterion.description && <p className="text-muted-foreground">{criterion.description}</p>}
+                </div>
+                {canManage && (
+                  <div className="flex flex-shrink-0 items-center">
+                    <Button variant="ghost" size="icon" disabled={index === 0} onClick={() => move(index, -1)} title="Move up">
+                      <ArrowUp className="h-4 w-4" />
+                    </Button>
+                    <Button variant="ghost" size="icon" disabled={index === active.length - 1} onClick={() => move(index, 1)} title="Move down">
+                      <ArrowDown className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => run(() => retireRubricItem(criterion.id), `"${criterion.label}" removed from the rubric`)}
+                      title="Remove from the rubric"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {canManage && retired.length > 0 && (
+          <div className="space-y-2">
+            <p className="text-sm font-medium">Removed items</p>
+            <div className="flex flex-wrap gap-2">
+              {retired.map((criterion) => (
+                <Badge key={criterion.id} variant="outline" className="gap-1 pr-1">
+                  {criterion.label}
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-5 w-5"
+                    onClick={() => run(() => updateRubricItem(criterion.id, { active: true }), `"${criterion.label}" restored`)}
+                    title="Restore"
+                  >
+                    <RotateCcw className="h-3 w-3" />
+                  </Button>
+                </Badge>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {canManage && (
+          <form onSubmit={submit} className="space-y-3">
+            <div className="space-y-1">
+              <Label htmlFor="rubric-label">New item</Label>
+              <Input
+                id="rubric-label"
+                maxLength={100}
+                placeholder="e.g. Budget liquidation"
+                value={form.label}
+                onChange={(event) => setForm((current) => ({ ...current, label: event.target.value }))}
+              />
+              {errors.label && <p className="text-xs text-red-600">{errors.label}</p>}
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="rubric-description">What the reviewer checks</Label>
+              <Textarea
+                id="rubric-description"
+                maxLength={1000}
+                value={form.description}
+                onChange={(event) => setForm((current) => ({ ...current, description: event.target.value }))}
+              />
+              {errors.description && <p className="text-xs text-red-600">{errors.description}</p>}
+            </div>
+            <div className="flex items-center gap-2">
+              <Checkbox
+                id="rubric-required"
+                checked={form.required}
+                onCheckedChange={(checked) => setForm((current) => ({ ...current, required: checked === true }))}
+              />
+              <Label htmlFor="rubric-required" className="font-normal">Required: rejecting it returns the report</Label>
+            </div>
+            <Button type="submit" size="sm" disabled={saving || !form.label.trim()} className="bg-cedo-blue hover:bg-cedo-blue/90">
+              {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Add item
+            </Button>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
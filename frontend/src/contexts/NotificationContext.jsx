@@ -1,110 +1,121 @@
 "use client"
 
-import { createContext, useContext, useEffect, useState } from "react"
-import toast from "react-hot-toast"
-import { useAuth } from "./AuthContext_old_Text"
+import { useAuth } from "@/contexts/auth-context"
+import { useLiveUpdates } from "@/hooks/useLiveUpdates"
+import {
+    fetchNotifications as fetchNotificationsApi,
+    getNotificationGroup,
+    markAllNotificationsRead,
+    markNotificationRead,
+} from "@/lib/notifications-api"
+import { createContext, useCallback, useContext, useEffect, useState } from "react"
+import { toast } from "sonner"
+
+// New notifications arrive over the live stream; this is only a safety net
+// for when the stream is unavailable
+const POLL_INTERVAL_MS = 5 * 60 * 1000
+
+function showNotificationToast(notification) {
+    const { group } = getNotificationGroup(notification.type)
+    toast(notification.title || notification.message, {
+        description: notification.title ? notification.message : undefined,
+        icon: group === "approval" ? "✅" : group === "rejection" ? "❌" : "📣",
+    })
+}
 
-const NotificationContext = createContext()
+const NotificationContext = createContext({
+    notifications: [],
+    unreadCount: 0,
+    loading: false,
+    error: null,
+    fetchNotifications: async () => { },
+    markAsRead: async () => { },
+    markAllAsRead: async () => { },
+    addNotification: () => { },
+})
 
 export const useNotifications = () => useContext(NotificationContext)
 
 export const NotificationProvider = ({ children }) => {
     const [notifications, setNotifications] = useState([])
     const [unreadCount, setUnreadCount] = useState(0)
-    const { currentUser } = useAuth()
+    const [loading, setLoading] = useState(false)
+    const [error, setError] = useState(null)
+    const { user } = useAuth()
 
-    // Fetch notifications when user logs in
-    useEffect(() => {
-        if (currentUser) {
-            fetchNotifications()
+    // Fetch the latest notifications from the API
+    const fetchNotifications = useCallback(async () => {
+        try {
+            setLoading(true)
+            const data = await fetchNotificationsApi({ limit: 20 })
+            setNotifications(data.notifications || [])
+            setUnreadCount(data.unreadCount || 0)
+            setError(null)
+        } catch (err) {
+            console.error("Failed to fetch notifications:", err)
+            setError(err.message)
+        } finally {
+            setLoading(false)
         }
-    }, [currentUser])
+    }, [])
 
-    // Fetch notifications from API
-    const fetchNotifications = async () => {
-        try {
-            // In a real app, this would be an API call
-            // For demo, we'll use mock data
-            const mockNotifications = [
-                {
-                    id: 1,
-                    message: "New proposal submitted: Community Outreach Program",
-                    createdAt: "2023-05-15T10:30:00Z",
-                    read: false,
-                    type: "proposal_new",
-                },
-                {
-                    id: 2,
-                    message: "Proposal approved: HIV Awareness Campaign",
-                    createdAt: "2023-05-14T14:45:00Z",
-                    read: true,
-                    type: "proposal_approved",
-                },
-                {
-                    id: 3,
-                    message: "New user registered: John Doe",
-                    createdAt: "2023-05-13T09:15:00Z",
-                    read: false,
-                    type: "user_new",
-                },
-            ]
+    // Fetch when the user signs in, then poll; clear on sign-out
+    useEffect(() => {
+        if (!user) {
+            setNotifications([])
+            setUnreadCount(0)
+            return undefined
+        }
 
-            setNotifications(mockNotifications)
-            setUnreadCount(mockNotifications.filter((n) => !n.read).length)
+        fetchNotifications()
+        const timer = setInterval(fetchNotifications, POLL_INTERVAL_MS)
+        return () => clearInterval(timer)
+    }, [user, fetchNotifications])
 
-            // In a real app:
-            // const response = await api.get("/notifications");
-            // setNotifications(response.data);
-            // setUnreadCount(response.data.filter(n => !n.read).length);
-        } catch (error) {
-            console.error("Failed to fetch notifications:", error)
-        }
-    }
+    // Pushed by the backend as soon as a notification is created for this user
+    useLiveUpdates(["notification"], (event, notification) => {
+        showNotificationToast(notification)
+        fetchNotifications()
+    }, Boolean(user))
 
     // Mark notification as read
-    const markAsRead = async (notificationId) => {
+    const markAsRead = useCallback(async (notificationId) => {
+        setNotifications((prev) => prev.map((n) => (n.id === notificationId ? { ...n, read: true } : n)))
         try {
-            // Update local state
-            setNotifications(notifications.map((n) => (n.id === notificationId ? { ...n, read: true } : n)))
-            setUnreadCount((prev) => Math.max(0, prev - 1))
-
-            // In a real app, update on server
-            // await api.put(`/notifications/${notificationId}/read`);
-        } catch (error) {
-            console.error("Failed to mark notification as read:", error)
+            const remaining = await markNotificationRead(notificationId)
+            setUnreadCount(remaining)
+        } catch (err) {
+            console.error("Failed to mark notification as read:", err)
+            fetchNotifications()
         }
-    }
+    }, [fetchNotifications])
 
     // Mark all notifications as read
-    const markAllAsRead = async () => {
+    const markAllAsRead = useCallback(async () => {
+        setNotifications((prev) => prev.map((n) => ({ ...n, read: true })))
+        setUnreadCount(0)
         try {
-            // Update local state
-            setNotifications(notifications.map((n) => ({ ...n, read: true })))
-            setUnreadCount(0)
-
-            // In a real app, update on server
-            // await api.put("/notifications/read-all");
-        } catch (error) {
-            console.error("Failed to mark all notifications as read:", error)
+            await markAllNotificationsRead()
+        } catch (err) {
+            console.error("Failed to mark all notifications as read:", err)
+            fetchNotifications()
         }
-    }
+    }, [fetchNotifications])
 
-    // Add a new notification (used when receiving real-time notifications)
-    const addNotification = (notification) => {
-        setNotifications((prev) => [notification, ...prev])
+    // Add a notification that is already known client-side (shows it and a toast)
+    const addNotification = useCallback((notification) => {
+        setNotifications((prev) => [notification, ...prev.filter((n) => n.id !== notification.id)])
         if (!notification.read) {
             setUnreadCount((prev) => prev + 1)
         }
-
-        // Show toast notification
-        toast(notification.message, {
-            icon: notification.type === "proposal_approved" ? "✅" : notification.type === "proposal_rejected" ? "❌" : "📣",
-        })
-    }
+        showNotificationToast(notification)
+    }, [])
 
     const value = {
         notifications,
         unreadCount,
+        loading,
+        error,
         fetchNotifications,
         markAsRead,
         markAllAsRead,
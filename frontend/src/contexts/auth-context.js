@@ -31,6 +31,27 @@ export const ROLES = {
 
 const AuthContext = createContext(null);
 
+// Sign-in 403 reasons for accounts that exist but are not approved yet
+const APPROVAL_REASONS = ["USER_NOT_APPROVED", "USER_REJECTED"];
+
+// Turn that 403 into an error the sign-in page shows with AccountPendingDialog
+// (`approval.status` is "pending" or "rejected", with the admin's reason)
+function approvalErrorFrom(error) {
+  const data = error.response?.data || {};
+  const rejected = data.reason === "USER_REJECTED";
+  const approvalError = new Error(rejected
+    ? "Your account request was not approved."
+    : "Your account is currently pending approval. Please contact an administrator to activate your account.");
+  approvalError.isPendingApproval = true;
+  approvalError.allowRetry = true; // Allow button to be re-rendered
+  approvalError.approval = {
+    status: data.approval?.status || (rejected ? "rejected" : "pending"),
+    rejectionReason: data.approval?.rejectionReason || null,
+    email: data.user?.email || null,
+  };
+  return approvalError;
+}
+
 let sessionTimeoutId;
 let gsiClientInitialized = false;
 
@@ -79,7 +100,7 @@ export function AuthProvider({ children }) {
 
       switch (status) {
         case 403:
-          if (reason === "USER_NOT_APPROVED" || (message && message.toLowerCase().includes("pending approval"))) {
+          if (APPROVAL_REASONS.includes(reason) || (message && message.toLowerCase().includes("pending approval"))) {
             title = "Account Pending Approval";
             description = "Your account is currently pending approval. Please contact an administrator to activate your account.";
             // Don't show toast for pending approval - let the calling component handle it
@@ -473,6 +494,22 @@ export function AuthProvider({ children }) {
         }
         throw new Error("Login failed: No token or user data received from server.");
       } catch (error) {
+        // Temporary password: the backend hands back a reset token instead of a session
+        if (axios.isAxiosError(error) && error.response?.data?.reason === "PASSWORD_RESET_REQUIRED") {
+          setIsLoading(false);
+          const resetRequiredError = new Error(error.response.data.message);
+          resetRequiredError.isPasswordResetRequired = true;
+          resetRequiredError.resetToken = error.response.data.resetToken;
+          throw resetRequiredError;
+        }
+
+        // Pending or rejected account: the sign-in page shows AccountPendingDialog
+        if (axios.isAxiosError(error) && APPROVAL_REASONS.includes(error.response?.data?.reason)) {
+          await commonSignOutLogicWithDependencies(false);
+          setIsLoading(false);
+          throw approvalErrorFrom(error);
+        }
+
         // Use the new error handling system
         const errorInfo = handleAuthError(error, "Sign-In");
 
@@ -576,29 +613,28 @@ export function AuthProvider({ children }) {
           const message = error.response?.data?.message;
           const reason = error.response?.data?.reason;
 
-          // More robust detection of pending approval errors
-          if (reason === "USER_NOT_APPROVED" ||
+          // More robust detection of pending approval errors (and rejected requests)
+          if (APPROVAL_REASONS.includes(reason) ||
             (message && (
               message.toLowerCase().includes("pending approval") ||
               message.toLowerCase().includes("account pending") ||
               message.toLowerCase().includes("not approved")
             ))) {
-            // For pending approval, don't show toast - let the sign-in page handle it with the error dialog
-            const pendingApprovalError = new Error("Your account is currently pending approval. Please contact an administrator to activate your account.");
-            pendingApprovalError.isPendingApproval = true;
-            pendingApprovalError.allowRetry = true; // Allow button to be re-rendered
-            promiseActions.reject(pendingApprovalError);
+            // For pending approval, don't show toast - let the sign-in page handle it with AccountPendingDialog
+            promiseActions.reject(approvalErrorFrom(error));
             return;
           }
         }
 
-        // Check for account not found errors (404 or specific messages)
+        // Check for account not found errors (404, USER_NOT_FOUND: neither registered nor whitelisted, or specific messages)
         if (axios.isAxiosError(error) &&
           (error.response?.status === 404 ||
+            error.response?.data?.reason === "USER_NOT_FOUND" ||
             (error.response?.data?.message &&
               error.response.data.message.toLowerCase().includes("account not found")))) {
           const accountNotFoundError = new Error("Account not found. Please contact an administrator to create your account first.");
           accountNotFoundError.isAccountNotFound = true;
+          accountNotFoundError.email = error.response?.data?.email || null; // Shown in AccountNotFoundDialog
           accountNotFoundError.allowRetry = true; // Allow button to be re-rendered
           promiseActions.reject(accountNotFoundError);
           return;
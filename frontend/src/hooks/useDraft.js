@@ -1,46 +1,83 @@
 "use client";
 
-import { createDraft, getDraft, updateDraft } from '@/lib/draft-api';
-import { useCallback, useEffect, useState } from 'react';
+import { createDraft, getDraft, patchSection, submitDraft } from '@/lib/draft-api';
+import { useCallback, useEffect, useRef, useState } from 'react';
 
 /**
  * useDraft – universal data hook for loading/patching a proposal draft.
  *
+ * Section saves send the last known draft version; if another tab saved in
+ * the meantime the backend answers 409 and the hook reloads the draft.
+ *
  * @param {string | undefined} draftId – UUID of the draft; if omitted you can call `create()` later.
- * @returns {{ draft, patch, create, loading, error }}
+ * @returns {{ draft, patch, submit, create, reload, loading, error }}
  */
 export function useDraft(draftId) {
     const [draft, setDraft] = useState(null);
     const [loading, setLoading] = useState(Boolean(draftId));
     const [error, setError] = useState(null);
+    const versionRef = useRef(null);
+
+    const applyDraft = useCallback((next) => {
+        versionRef.current = next?.version ?? null;
+        setDraft(next);
+    }, []);
+
+    const reload = useCallback(async () => {
+        if (!draftId) return null;
+        setLoading(true);
+        try {
+            const fresh = await getDraft(draftId);
+            applyDraft(fresh);
+            return fresh;
+        } catch (err) {
+            setError(err);
+            return null;
+        } finally {
+            setLoading(false);
+        }
+    }, [draftId, applyDraft]);
 
     // Initial fetch and whenever the id changes.
     useEffect(() => {
-        if (!draftId) return;
-        setLoading(true);
-        getDraft(draftId)
-            .then(setDraft)
-            .catch(setError)
-            .finally(() => setLoading(false));
-    }, [draftId]);
+        reload();
+    }, [reload]);
 
     // Patch specific section data.
     const patch = useCallback(
         async ({ section, payload }) => {
             if (!draftId) throw new Error('patch() called before draftId is available');
-            const updated = await updateDraft(draftId, section, payload);
-            setDraft(updated);
-            return updated;
+            try {
+                const updated = await patchSection(draftId, section, payload, versionRef.current);
+                applyDraft(updated);
+                setError(null);
+                return updated;
+            } catch (err) {
+                if (err.status === 409) {
+                    // Someone else saved first – pick up their version before retrying
+                    await reload();
+                }
+                setError(err);
+                throw err;
+            }
         },
-        [draftId]
+        [draftId, applyDraft, reload]
     );
 
+    // Turn the draft into a pending proposal.
+    const submit = useCallback(async () => {
+        if (!draftId) throw new Error('submit() called before draftId is available');
+        const result = await submitDraft(draftId);
+        applyDraft(result.draft);
+        return result;
+    }, [draftId, applyDraft]);
+
     // Create a new draft (used by the overview page).
     const create = useCallback(async () => {
         const fresh = await createDraft();
-        setDraft(fresh);
+        applyDraft(fresh.draft);
         return fresh;
-    }, []);
+    }, [applyDraft]);
 
-    return { draft, patch, create, loading, error };
-}
\ No newline at end of file
+    return { draft, patch, submit, create, reload, loading, error };
+}
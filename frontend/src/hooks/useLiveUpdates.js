@@ -0,0 +1,21 @@
+import { subscribeToLiveUpdates } from "@/lib/live-stream";
+import React from "react";
+
+/**
+ * Run `handler(event, data)` for live updates from `GET /api/stream`.
+ * Pass `enabled = false` to stay disconnected (e.g. while signed out).
+ */
+export function useLiveUpdates(events, handler, enabled = true) {
+    const savedHandler = React.useRef(handler);
+    const eventKey = events ? events.join(",") : "";
+
+    React.useEffect(() => {
+        savedHandler.current = handler;
+    }, [handler]);
+
+    React.useEffect(() => {
+        if (!enabled) return undefined;
+        const names = eventKey ? eventKey.split(",") : null;
+        return subscribeToLiveUpdates(names, (event, data) => savedHandler.current(event, data));
+    }, [eventKey, enabled]);
+}
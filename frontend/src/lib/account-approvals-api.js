@@ -0,0 +1,128 @@
+// @/lib/account-approvals-api.js
+// Account approval queue, bulk decisions and auto-approval rules
+
+import { config } from "@/lib/utils";
+
+const API_URL = config.backendUrl;
+
+/**
+ * Builds request headers for the account approvals API (JWT from the `cedo_token` cookie).
+ *
+ * @returns {Object} Headers object
+ */
+function buildHeaders() {
+    let authToken = null;
+    if (typeof window !== 'undefined') {
+        const cookieValue = document.cookie.split('; ').find(row => row.startsWith('cedo_token='));
+        authToken = cookieValue ? cookieValue.split('=')[1] : localStorage.getItem('cedo_token');
+    }
+
+    return {
+        'Content-Type': 'application/json',
+        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    };
+}
+
+async function readError(response, fallback) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || body.message || fallback);
+    error.status = response.status;
+    error.errors = body.errors;
+    return error;
+}
+
+async function request(path, options, fallback) {
+    const response = await fetch(`${API_URL}/api/account-approvals${path}`, {
+        headers: buildHeaders(),
+        cache: 'no-store',
+        ...options,
+    });
+    if (!response.ok) {
+        throw await readError(response, fallback);
+    }
+    return response.json();
+}
+
+const queryString = (params) => {
+    const search = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+        if (value !== undefined && value !== null && value !== '') search.set(key, value);
+    }
+    const encoded = search.toString();
+    return encoded ? `?${encoded}` : '';
+};
+
+/**
+ * A page of the approval queue. Each account carries the auto-approval rule
+ * its address matches, if any.
+ *
+ * @param {Object} [params] - { status: 'pending'|'rejected', q, page, limit }
+ * @returns {Promise<{accounts: Object[], counts: {pending: number, rejected: number}, pagination: Object}>}
+ */
+export async function fetchApprovalQueue(params = {}) {
+    const body = await request(queryString(params), {}, 'Failed to load the approval queue');
+    return { accounts: body.accounts, counts: body.counts, pagination: body.pagination };
+}
+
+/**
+ * Approves or rejects several accounts. Each one gets an email and a notification.
+ *
+ * @param {number[]} userIds
+ * @param {'approve'|'reject'} decision
+ * @param {string} [reason] - Required to reject; shown to the user
+ * @returns {Promise<{updated: number[], skipped: {id: number, reason: string}[], message: string}>}
+ */
+export async function decideAccounts(userIds, decision, reason) {
+    const body = await request(
+        '/decisions',
+        { method: 'POST', body: JSON.stringify({ userIds, decision, reason }) },
+        'Failed to record the decision'
+    );
+    return { updated: body.updated, skipped: body.skipped, message: body.message };
+}
+
+/**
+ * Auto-approval rules: verified school email domains and whitelisted addresses.
+ *
+ * @returns {Promise<Object[]>}
+ */
+export async function fetchApprovalRules() {
+    const body = await request('/rules', {}, 'Failed to load auto-approval rules');
+    return body.rules;
+}
+
+/**
+ * Adds an auto-approval rule.
+ *
+ * @param {Object} rule - { type: 'email_domain', value, note }
+ * @returns {Promise<Object>} The new rule
+ */
+export async function createApprovalRule(rule) {
+    const body = await request('/rules', { method: 'POST', body: JSON.stringify(rule) }, 'Failed to add the rule');
+    return body.rule;
+}
+
+/**
+ * Turns a rule on or off, or changes its note.
+ *
+ * @param {number} id
+ * @param {Object} changes - { isActive, note }
+ * @returns {Promise<Object>} The updated rule
+ */
+export async function updateApprovalRule(id, changes) {
+    const body = await request(
+        `/rules/${encodeURIComponent(id)}`,
+        { method: 'PATCH', body: JSON.stringify(changes) },
+        'Failed to update the rule'
+    );
+    return body.rule;
+}
+
+/**
+ * Removes a rule. Accounts it already approved stay approved.
+ *
+ * @param {number} id
+ */
+export async function deleteApprovalRule(id) {
+    await request(`/rules/${encodeURIComponent(id)}`, { method: 'DELETE' }, 'Failed to remove the rule');
+}
@@ -88,7 +88,7 @@ export const authApi = {
 
   resetPassword: async (token, password) => {
     try {
-      const response = await api.put(`/auth/reset-password/${token}`, { password })
+      const response = await api.post("/auth/reset-password", { token, password })
       return response.data
     } catch (error) {
       throw error
@@ -178,47 +178,6 @@ export const proposalsApi = {
   },
 }
 
-/**
- * Reviews API functions
- */
-export const reviewsApi = {
-  getPending: async () => {
-    try {
-      const response = await api.get("/reviews/pending")
-      return response.data
-    } catch (error) {
-      throw error
-    }
-  },
-
-  submitReview: async (proposalId, reviewData) => {
-    try {
-      const response = await api.post(`/reviews/${proposalId}`, reviewData)
-      return response.data
-    } catch (error) {
-      throw error
-    }
-  },
-
-  assignReviewer: async (proposalId, reviewerId) => {
-    try {
-      const response = await api.put(`/reviews/${proposalId}/assign`, { reviewerId })
-      return response.data
-    } catch (error) {
-      throw error
-    }
-  },
-
-  getStats: async () => {
-    try {
-      const response = await api.get("/reviews/stats")
-      return response.data
-    } catch (error) {
-      throw error
-    }
-  },
-}
-
 /**
  * Compliance API functions
  */
@@ -292,7 +251,6 @@ export const reportsApi = {
 export default {
   auth: authApi,
   proposals: proposalsApi,
-  reviews: reviewsApi,
   compliance: complianceApi,
   reports: reportsApi,
 }
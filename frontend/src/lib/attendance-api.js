@@ -0,0 +1,77 @@
+// @/lib/attendance-api.js
+
+import { config } from "@/lib/utils";
+
+const API_URL = config.backendUrl;
+
+/**
+ * Builds request headers for the attendance API (JWT from the `cedo_token` cookie).
+ * Content-Type is left to the browser so multipart boundaries are set.
+ *
+ * @returns {Object} Headers object
+ */
+function buildHeaders() {
+    let authToken = null;
+    if (typeof window !== 'undefined') {
+        const cookieValue = document.cookie.split('; ').find(row => row.startsWith('cedo_token='));
+        authToken = cookieValue ? cookieValue.split('=')[1] : localStorage.getItem('cedo_token');
+    }
+
+    return authToken ? { Authorization: `Bearer ${authToken}` } : {};
+}
+
+async function readError(response, fallback) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || body.message || fallback);
+    error.status = response.status;
+    error.headers = body.headers;
+    error.summary = body.summary;
+    return error;
+}
+
+function buildSheetForm(file, mapping) {
+    const form = new FormData();
+    form.append('attendance_file', file);
+    if (mapping) form.append('mapping', JSON.stringify(mapping));
+    return form;
+}
+
+/**
+ * Reads an attendance sheet without saving it.
+ *
+ * @param {number|string} proposalId
+ * @param {File} file - CSV or .xlsx attendance list
+ * @param {Object} [mapping] - { field: 'Column header' } override
+ * @returns {Promise<{headers: string[], mapping: Object, fields: string[], rows: Object[], summary: Object}>}
+ */
+export async function previewAttendanceImport(proposalId, file, mapping) {
+    const response = await fetch(`${API_URL}/api/attendance/${proposalId}/import/preview`, {
+        method: 'POST',
+        headers: buildHeaders(),
+        body: buildSheetForm(file, mapping),
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to read the attendance file');
+    }
+    return response.json();
+}
+
+/**
+ * Saves the valid rows of an attendance sheet as the event's attendees.
+ *
+ * @param {number|string} proposalId
+ * @param {File} file - The file that was previewed
+ * @param {Object} [mapping] - The mapping used for the preview
+ * @returns {Promise<{imported: number, attendanceCount: number, summary: Object}>}
+ */
+export async function confirmAttendanceImport(proposalId, file, mapping) {
+    const response = await fetch(`${API_URL}/api/attendance/${proposalId}/import/confirm`, {
+        method: 'POST',
+        headers: buildHeaders(),
+        body: buildSheetForm(file, mapping),
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to import the attendance file');
+    }
+    return response.json();
+}
@@ -0,0 +1,212 @@
+// @/lib/check-in-api.js
+
+import { config } from "@/lib/utils";
+
+const API_URL = config.backendUrl;
+
+// Scans made without a connection wait here until they can be sent
+const QUEUE_KEY = 'cedo_check_in_queue';
+
+/**
+ * Builds request headers for the check-in API (JWT from the `cedo_token` cookie).
+ *
+ * @returns {Object} Headers object
+ */
+function buildHeaders() {
+    let authToken = null;
+    if (typeof window !== 'undefined') {
+        const cookieValue = document.cookie.split('; ').find(row => row.startsWith('cedo_token='));
+        authToken = cookieValue ? cookieValue.split('=')[1] : localStorage.getItem('cedo_token');
+    }
+
+    return {
+        'Content-Type': 'application/json',
+        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    };
+}
+
+async function readError(response, fallback) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || body.message || fallback);
+    error.status = response.status;
+    error.opensAt = body.opensAt;
+    return error;
+}
+
+/**
+ * Accepts what a QR scan returns — the check-in URL or the bare code.
+ *
+ * @param {string} value
+ * @returns {string|null} The check-in code
+ */
+export function extractCheckInCode(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    try {
+        const url = new URL(text);
+        return url.searchParams.get('code');
+    } catch (error) {
+        return text;
+    }
+}
+
+// ==============================
+// Students
+// ==============================
+
+/**
+ * Records attendance for a scanned code.
+ *
+ * @param {string} code - Check-in code
+ * @param {string} [scannedAt] - ISO time of an offline scan
+ * @returns {Promise<{event: Object, checkedInAt: string, alreadyCheckedIn: boolean}>}
+ */
+export async function submitCheckIn(code, scannedAt) {
+    const response = await fetch(`${API_URL}/api/check-in`, {
+        method: 'POST',
+        headers: buildHeaders(),
+        body: JSON.stringify({ code, ...(scannedAt ? { scannedAt } : {}) }),
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Check-in failed');
+    }
+    return response.json();
+}
+
+/**
+ * @returns {{code: string, scannedAt: string}[]} Scans waiting to be sent
+ */
+export function getQueuedCheckIns() {
+    if (typeof window === 'undefined') return [];
+    try {
+        return JSON.parse(localStorage.getItem(QUEUE_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function saveQueue(queue) {
+    if (queue.length === 0) {
+        localStorage.removeItem(QUEUE_KEY);
+    } else {
+        localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+    }
+}
+
+/**
+ * Keeps a scan for later, stamped with the time it was made.
+ *
+ * @param {string} code - Check-in code
+ * @returns {{code: string, scannedAt: string}} The queued scan
+ */
+export function queueCheckIn(code) {
+    const queue = getQueuedCheckIns();
+    const existing = queue.find((entry) => entry.code === code);
+    if (existing) return existing;
+
+    const entry = { code, scannedAt: new Date().toISOString() };
+    saveQueue([...queue, entry]);
+    return entry;
+}
+
+// No response at all (offline, DNS, server down) as opposed to a refusal
+const isConnectionError = (error) => !error.status || error.status >= 500;
+
+/**
+ * Sends queued scans. Scans the server refuses (expired, invalid) are dropped
+ * and reported; scans that still cannot reach the server stay queued.
+ *
+ * @returns {Promise<{sent: Object[], rejected: {entry: Object, error: string}[], remaining: number}>}
+ */
+export async function flushCheckInQueue() {
+    const queue = getQueuedCheckIns();
+    const sent = [];
+    const rejected = [];
+    const remaining = [];
+
+    for (const entry of queue) {
+        try {
+            sent.push(await submitCheckIn(entry.code, entry.scannedAt));
+        } catch (error) {
+            if (isConnectionError(error)) {
+                remaining.push(entry);
+            } else {
+                rejected.push({ entry, error: error.message });
+            }
+        }
+    }
+
+    saveQueue(remaining);
+    return { sent, rejected, remaining: remaining.length };
+}
+
+/**
+ * Checks in now, or queues the scan when the server cannot be reached.
+ *
+ * @param {string} code - Check-in code
+ * @returns {Promise<{queued: boolean, result?: Object}>}
+ */
+export async function checkInOrQueue(code) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        queueCheckIn(code);
+        return { queued: true };
+    }
+    try {
+        return { queued: false, result: await submitCheckIn(code) };
+    } catch (error) {
+        if (!isConnectionError(error)) throw error;
+        queueCheckIn(code);
+        return { queued: true };
+    }
+}
+
+// ==============================
+// Organizers
+// ==============================
+
+/**
+ * @returns {Promise<Object[]>} Approved events with check-in open now or later
+ */
+export async function fetchCheckInEvents() {
+    const response = await fetch(`${API_URL}/api/check-in/events`, {
+        headers: buildHeaders(),
+        cache: 'no-store',
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to load check-in events');
+    }
+    const body = await response.json();
+    return body.events;
+}
+
+/**
+ * @param {number|string} proposalId
+ * @param {Object} [options]
+ * @param {boolean} [options.printable] - Code valid for the rest of the event
+ * @returns {Promise<{event: Object, code: string, url: string, qrSvg: string, issuedAt: string, expiresAt: string}>}
+ */
+export async function fetchCheckInCode(proposalId, { printable = false } = {}) {
+    const response = await fetch(`${API_URL}/api/check-in/events/${proposalId}/code${printable ? '?printable=true' : ''}`, {
+        headers: buildHeaders(),
+        cache: 'no-store',
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to load the check-in code');
+    }
+    return response.json();
+}
+
+/**
+ * @param {number|string} proposalId
+ * @returns {Promise<{event: Object, checkIns: Object[], attendanceCount: number}>}
+ */
+export async function fetchCheckInRoster(proposalId) {
+    const response = await fetch(`${API_URL}/api/check-in/events/${proposalId}/roster`, {
+        headers: buildHeaders(),
+        cache: 'no-store',
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to load the check-in roster');
+    }
+    return response.json();
+}
@@ -0,0 +1,198 @@
+// @/lib/compliance-api.js
+
+import { config } from "@/lib/utils";
+
+const API_URL = config.backendUrl;
+
+/**
+ * Builds request headers for the compliance API (JWT from the `cedo_token` cookie).
+ *
+ * @param {boolean} [json=true] - false for multipart uploads, so the browser sets the boundary
+ * @returns {Object} Headers object
+ */
+function buildHeaders(json = true) {
+    let authToken = null;
+    if (typeof window !== 'undefined') {
+        const cookieValue = document.cookie.split('; ').find(row => row.startsWith('cedo_token='));
+        authToken = cookieValue ? cookieValue.split('=')[1] : localStorage.getItem('cedo_token');
+    }
+
+    return {
+        ...(json ? { 'Content-Type': 'application/json' } : {}),
+        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    };
+}
+
+async function readError(response, fallback) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || body.message || fallback);
+    error.status = response.status;
+    error.errors = body.errors;
+    // Uploads refused by the server's file checks: [{ field, fileName, code, reason }]
+    error.rejected = body.rejected;
+    return error;
+}
+
+async function request(path, { method = 'GET', body, fallback }) {
+    const response = await fetch(`${API_URL}/api/compliance${path}`, {
+        method,
+        headers: buildHeaders(),
+        cache: 'no-store',
+        ...(body ? { body: JSON.stringify(body) } : {}),
+    });
+    if (!response.ok) {
+        throw await readError(response, fallback);
+    }
+    return response.json();
+}
+
+// ==============================
+// Compliance records
+// ==============================
+
+/**
+ * Approved proposals with their documents checklist (staff: all, students: their own).
+ *
+ * @param {Object} [filters] - { status: 'pending'|'compliant'|'overdue' }
+ * @returns {Promise<{items: Object[], settings: {dueDays: number, reminderDays: number[]}}>}
+ */
+export function fetchCompliance({ status } = {}) {
+    const query = status ? `?status=${encodeURIComponent(status)}` : '';
+    return request(`/${query}`, { fallback: 'Failed to load compliance records' });
+}
+
+/**
+ * @param {number|string} proposalId
+ * @returns {Promise<Object>} The record with its documents and manual status changes (`history`)
+ */
+export async function fetchComplianceRecord(proposalId) {
+    const body = await request(`/${proposalId}`, { fallback: 'Failed to load the compliance record' });
+    return body.compliance;
+}
+
+/**
+ * Compliance counts across approved proposals (staff).
+ *
+ * @returns {Promise<{compliant: number, pending: number, overdue: number, total: number, complianceRate: number}>}
+ */
+export async function fetchComplianceStats() {
+    const body = await request('/stats', { fallback: 'Failed to load compliance statistics' });
+    return body.stats;
+}
+
+/**
+ * Uploads compliance documents, each against a checklist item.
+ *
+ * @param {number|string} proposalId
+ * @param {{file: File, type: string}[]} uploads - Up to five files, 5MB each
+ * @returns {Promise<Object>} The updated record
+ */
+export async function uploadComplianceDocuments(proposalId, uploads) {
+    const form = new FormData();
+    uploads.forEach(({ file }) => form.append('documents', file));
+    form.append('documentTypes', JSON.stringify(uploads.map(({ type }) => type)));
+
+    const response = await fetch(`${API_URL}/api/compliance/${proposalId}/documents`, {
+        method: 'POST',
+        headers: buildHeaders(false),
+        body: form,
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to upload the documents');
+    }
+    const body = await response.json();
+    return body.compliance;
+}
+
+/**
+ * Downloads an uploaded compliance document through the browser.
+ *
+ * @param {Object} document - A record's document ({ downloadUrl, fileName })
+ */
+export async function downloadComplianceDocument(document) {
+    const response = await fetch(`${API_URL}${document.downloadUrl}`, {
+        headers: buildHeaders(false),
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to download the document');
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = window.document.createElement('a');
+    link.href = url;
+    link.download = document.fileName || document.name;
+    window.document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Sets the compliance status by hand (staff); the organizer is notified with the comment.
+ *
+ * @param {number|string} proposalId
+ * @param {{status: string, comment?: string}} change
+ * @returns {Promise<Object>} The updated record
+ */
+export async function setComplianceStatus(proposalId, change) {
+    const body = await request(`/${proposalId}/status`, {
+        method: 'PUT',
+        body: change,
+        fallback: 'Failed to update the compliance status',
+    });
+    return body.compliance;
+}
+
+// ==============================
+// Deadlines and overrides (staff)
+// ==============================
+
+/**
+ * Runs the reminder / overdue check now.
+ *
+ * @returns {Promise<{checked: number, reminded: number, markedOverdue: number, escalated: number, failed: number}>}
+ */
+export async function runDeadlineCheck() {
+    const body = await request('/deadlines/run', { method: 'POST', fallback: 'Failed to run the deadline check' });
+    return body.summary;
+}
+
+/**
+ * @returns {Promise<Object[]>} Overrides still in force, soonest to expire first
+ */
+export async function fetchOverrides() {
+    const body = await request('/overrides', { fallback: 'Failed to load overrides' });
+    return body.overrides;
+}
+
+/**
+ * Lets an organization with overdue reports submit new proposals until `expiresAt` (admins).
+ *
+ * @param {{organizationName: string, reason: string, expiresAt?: string}} override
+ * @returns {Promise<Object>} The override
+ */
+export async function grantOverride(override) {
+    const body = await request('/overrides', { method: 'POST', body: override, fallback: 'Failed to grant the override' });
+    return body.override;
+}
+
+/**
+ * @param {number|string} overrideId
+ */
+export function revokeOverride(overrideId) {
+    return request(`/overrides/${overrideId}`, { method: 'DELETE', fallback: 'Failed to revoke the override' });
+}
+
+export const COMPLIANCE_STATUS_LABELS = {
+    pending: 'Pending',
+    compliant: 'Compliant',
+    overdue: 'Overdue',
+};
+
+export const REPORT_STATUS_LABELS = {
+    draft: 'Not submitted',
+    pending: 'In review',
+    approved: 'Accepted',
+    denied: 'Returned',
+    revision_requested: 'Returned',
+};
@@ -0,0 +1,120 @@
+// @/lib/data-explorer-api.js
+// Head admin data explorer: whitelisted records, redacted and audited
+
+import { config } from "@/lib/utils";
+
+const API_URL = config.backendUrl;
+
+/**
+ * Builds request headers for the data explorer API (JWT from the `cedo_token` cookie).
+ *
+ * @returns {Object} Headers object
+ */
+function buildHeaders() {
+    let authToken = null;
+    if (typeof window !== 'undefined') {
+        const cookieValue = document.cookie.split('; ').find(row => row.startsWith('cedo_token='));
+        authToken = cookieValue ? cookieValue.split('=')[1] : localStorage.getItem('cedo_token');
+    }
+
+    return {
+        'Content-Type': 'application/json',
+        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    };
+}
+
+async function readError(response, fallback) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || body.message || fallback);
+    error.status = response.status;
+    error.errors = body.errors;
+    return error;
+}
+
+async function request(path, options, fallback) {
+    const response = await fetch(`${API_URL}/api/data-explorer${path}`, {
+        headers: buildHeaders(),
+        cache: 'no-store',
+        ...options,
+    });
+    if (!response.ok) {
+        throw await readError(response, fallback);
+    }
+    return response.json();
+}
+
+const queryString = (params) => {
+    const search = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+        if (value !== undefined && value !== null && value !== '') search.set(key, value);
+    }
+    const encoded = search.toString();
+    return encoded ? `?${encoded}` : '';
+};
+
+/**
+ * The whitelisted resources and whether changes are allowed.
+ *
+ * @returns {Promise<{resources: Object[], writesEnabled: boolean, canWrite: boolean}>}
+ */
+export async function fetchResources() {
+    const body = await request('/resources', {}, 'Failed to load the data explorer');
+    return { resources: body.resources, writesEnabled: body.writesEnabled, canWrite: body.canWrite };
+}
+
+/**
+ * A page of records, newest first. Redacted columns are never sent.
+ *
+ * @param {string} resource
+ * @param {Object} [params] - { page, limit, q }
+ * @returns {Promise<{resource: Object, columns: string[], redacted: string[], records: Object[], pagination: Object}>}
+ */
+export async function fetchRecords(resource, params = {}) {
+    return request(`/${encodeURIComponent(resource)}${queryString(params)}`, {}, 'Failed to load records');
+}
+
+/**
+ * Changes editable columns of a record.
+ *
+ * @param {string} resource
+ * @param {string|number} id
+ * @param {Object} changes - column → new value
+ * @param {string} reason - Stored in the audit log
+ * @returns {Promise<Object>} The record after the change
+ */
+export async function updateRecord(resource, id, changes, reason) {
+    const body = await request(
+        `/${encodeURIComponent(resource)}/${encodeURIComponent(id)}`,
+        { method: 'PATCH', body: JSON.stringify({ changes, reason }) },
+        'Failed to update record'
+    );
+    return body.record;
+}
+
+/**
+ * Deletes a record of a deletable resource.
+ *
+ * @param {string} resource
+ * @param {string|number} id
+ * @param {string} reason - Stored in the audit log
+ * @returns {Promise<Object>} The deleted record
+ */
+export async function deleteRecord(resource, id, reason) {
+    const body = await request(
+        `/${encodeURIComponent(resource)}/${encodeURIComponent(id)}`,
+        { method: 'DELETE', body: JSON.stringify({ reason }) },
+        'Failed to delete record'
+    );
+    return body.record;
+}
+
+/**
+ * The audit log, newest first.
+ *
+ * @param {Object} [params] - { resource, action, page, limit }
+ * @returns {Promise<{entries: Object[], pagination: Object}>}
+ */
+export async function fetchAuditLog(params = {}) {
+    const body = await request(`/audit${queryString(params)}`, {}, 'Failed to load the audit log');
+    return { entries: body.entries, pagination: body.pagination };
+}
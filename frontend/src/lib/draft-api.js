@@ -4,54 +4,108 @@ import { config } from "@/lib/utils";
 
 const API_URL = config.backendUrl;
 
+/**
+ * Builds request headers for the drafts API.
+ * Drafts are owned by the signed-in user, so every call needs the JWT.
+ * Server components pass the token read from `cookies()`; in the browser
+ * it is taken from the `cedo_token` cookie.
+ *
+ * @param {string} [token] - Explicit token (server components)
+ * @param {Object} [extra] - Additional headers
+ * @returns {Object} Headers object
+ */
+function buildHeaders(token, extra = {}) {
+    let authToken = token;
+    if (!authToken && typeof window !== 'undefined') {
+        const cookieValue = document.cookie.split('; ').find(row => row.startsWith('cedo_token='));
+        authToken = cookieValue ? cookieValue.split('=')[1] : localStorage.getItem('cedo_token');
+    }
+
+    return {
+        'Content-Type': 'application/json',
+        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+        ...extra,
+    };
+}
+
+/**
+ * Turns a failed response into an Error carrying the backend details.
+ * `errors` is the `{ field: message }` map ValidationErrorsAlert renders;
+ * `sections` groups the same errors per draft section (submit only).
+ */
+async function readError(response, fallback) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || body.message || fallback);
+    error.status = response.status;
+    error.errors = body.errors || {};
+    error.sections = body.sections || {};
+    error.currentVersion = body.currentVersion;
+    error.proposalId = body.proposalId;
+    return error;
+}
+
 /**
  * Creates a new, empty draft proposal on the backend.
  * This function should be called when a user starts a new submission.
  *
- * @returns {Promise<{draftId: string}>} The UUID of the newly created draft.
+ * @param {string} [token] - Auth token when called from a server component
+ * @returns {Promise<{draftId: string, draft: Object}>} The UUID of the newly created draft.
  */
-export async function createDraft() {
+export async function createDraft(token) {
     console.log('API: Creating new draft...');
-    // TODO: This requires a new backend endpoint: POST /api/proposals/drafts
     const response = await fetch(`${API_URL}/api/proposals/drafts`, {
         method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            // Include auth headers if needed
-        },
+        headers: buildHeaders(token),
+        cache: 'no-store',
     });
 
     if (!response.ok) {
-        throw new Error('Failed to create draft. Please ensure the backend is running and the endpoint is configured.');
+        throw await readError(response, 'Failed to create draft. Please ensure the backend is running and you are signed in.');
     }
 
     const result = await response.json();
     console.log('API: New draft created with ID:', result.draftId);
-    return result; // Expected response: { draftId: "some-uuid" }
+    return result;
+}
+
+/**
+ * Lists the signed-in user's drafts, newest first.
+ *
+ * @param {Object} [params] - { status, limit, offset }
+ * @param {string} [token] - Auth token when called from a server component
+ * @returns {Promise<Object[]>} Draft objects
+ */
+export async function listDrafts(params = {}, token) {
+    const query = new URLSearchParams(params).toString();
+    const response = await fetch(`${API_URL}/api/proposals/drafts${query ? `?${query}` : ''}`, {
+        headers: buildHeaders(token),
+        cache: 'no-store',
+    });
+
+    if (!response.ok) {
+        throw await readError(response, 'Failed to list drafts');
+    }
+
+    const result = await response.json();
+    return result.drafts || [];
 }
 
 /**
  * Fetches the complete data for an existing draft from the backend.
  *
  * @param {string} draftId - The UUID of the draft to fetch.
- * @returns {Promise<Object>} The draft data, including its status and formData.
+ * @param {string} [token] - Auth token when called from a server component
+ * @returns {Promise<Object>} The draft, including `payload` (per section), `form_data` and `version`.
  */
-export async function getDraft(draftId) {
+export async function getDraft(draftId, token) {
     console.log(`API: Fetching draft ${draftId}...`);
-    // TODO: This requires a new backend endpoint: GET /api/proposals/drafts/:draftId
-    const response = await fetch(`${API_URL}/api/proposals/drafts/${draftId}`);
+    const response = await fetch(`${API_URL}/api/proposals/drafts/${draftId}`, {
+        headers: buildHeaders(token),
+        cache: 'no-store',
+    });
 
     if (!response.ok) {
-        if (response.status === 404) {
-            // If the draft no longer exists on the server (e.g. backend was
-            // restarted and the in-memory cache was cleared) we fall back to
-            // an empty draft object so that the user is not thrown to the
-            // framework-level 404 page.  The client can then decide whether
-            // to save again or inform the user.
-            console.warn(`Draft ${draftId} not found on server – returning placeholder draft so the UI can continue.`);
-            return { draftId, form_data: {}, status: 'missing' };
-        }
-        throw new Error('Failed to fetch draft');
+        throw await readError(response, 'Failed to fetch draft');
     }
 
     const result = await response.json();
@@ -60,34 +114,46 @@ export async function getDraft(draftId) {
 }
 
 /**
- * Updates a draft with partial data for a specific section (Save as Draft).
+ * Saves the data for one section of a draft (Save as Draft / auto-save).
  *
  * @param {string} draftId - The UUID of the draft to update.
- * @param {Object} data - The data for the section to save.
- * @returns {Promise<{success: boolean}>}
+ * @param {string} section - Section key or URL slug (e.g. 'orgInfo', 'school-event').
+ * @param {Object} payload - The data for the section.
+ * @param {number} [version] - Last version seen; the backend answers 409 if the draft changed since.
+ * @returns {Promise<Object>} The updated draft.
  */
-export async function updateDraft(draftId, data) {
-    console.log(`API: Updating draft ${draftId}...`);
-    // TODO: This requires a new backend endpoint: PATCH /api/proposals/drafts/:draftId
-    const response = await fetch(`${API_URL}/api/proposals/drafts/${draftId}`, {
+export async function patchSection(draftId, section, payload, version) {
+    console.log(`API: Saving section ${section} of draft ${draftId}...`);
+    const response = await fetch(`${API_URL}/api/proposals/drafts/${draftId}/${section}`, {
         method: 'PATCH',
-        headers: {
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ data }),
+        headers: buildHeaders(undefined, version !== undefined && version !== null ? { 'If-Match': `"${version}"` } : {}),
+        body: JSON.stringify(payload ?? {}),
     });
 
     if (!response.ok) {
-        throw new Error('Failed to update draft');
+        throw await readError(response, 'Failed to update draft');
     }
 
-    return await response.json();
+    const result = await response.json();
+    return result.draft;
 }
 
-export async function patchSection(id, sec, p) {
-    // Implementation of patchSection function
-}
+/**
+ * Submits a draft; the backend creates a pending proposal from it.
+ *
+ * @param {string} draftId - The UUID of the draft to submit.
+ * @returns {Promise<{proposalId: number, draft: Object}>}
+ */
+export async function submitDraft(draftId) {
+    console.log(`API: Submitting draft ${draftId}...`);
+    const response = await fetch(`${API_URL}/api/proposals/drafts/${draftId}/submit`, {
+        method: 'POST',
+        headers: buildHeaders(),
+    });
 
-export async function submitDraft(id) {
-    // Implementation of submitDraft function
-} 
\ No newline at end of file
+    if (!response.ok) {
+        throw await readError(response, 'Failed to submit draft');
+    }
+
+    return await response.json();
+}
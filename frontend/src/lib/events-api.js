@@ -0,0 +1,152 @@
+// @/lib/events-api.js
+
+import { config } from "@/lib/utils";
+
+const API_URL = config.backendUrl;
+
+/**
+ * Builds request headers for the events API (JWT from the `cedo_token` cookie).
+ *
+ * @returns {Object} Headers object
+ */
+function buildHeaders() {
+    let authToken = null;
+    if (typeof window !== 'undefined') {
+        const cookieValue = document.cookie.split('; ').find(row => row.startsWith('cedo_token='));
+        authToken = cookieValue ? cookieValue.split('=')[1] : localStorage.getItem('cedo_token');
+    }
+
+    return {
+        'Content-Type': 'application/json',
+        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    };
+}
+
+async function readError(response, fallback) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || body.message || fallback);
+    error.status = response.status;
+    error.errors = body.errors;
+    error.conflicts = body.conflicts;
+    return error;
+}
+
+// ==============================
+// Reading
+// ==============================
+
+/**
+ * @param {Object} [filters] - { status: 'scheduled,postponed', mine: true }
+ * @returns {Promise<Object[]>} Events, soonest first
+ */
+export async function fetchEvents({ status, mine } = {}) {
+    const params = new URLSearchParams();
+    if (status) params.set('status', status);
+    if (mine) params.set('mine', 'true');
+    const query = params.toString();
+
+    const response = await fetch(`${API_URL}/api/events${query ? `?${query}` : ''}`, {
+        headers: buildHeaders(),
+        cache: 'no-store',
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to load events');
+    }
+    const body = await response.json();
+    return body.events;
+}
+
+/**
+ * @param {number|string} eventId
+ * @returns {Promise<{event: Object, history: Object[], myRegistration: Object|null}>}
+ */
+export async function fetchEvent(eventId) {
+    const response = await fetch(`${API_URL}/api/events/${eventId}`, {
+        headers: buildHeaders(),
+        cache: 'no-store',
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to load the event');
+    }
+    return response.json();
+}
+
+// ==============================
+// Changes (organizer and staff)
+// ==============================
+
+async function postChange(eventId, action, body, fallback) {
+    const response = await fetch(`${API_URL}/api/events/${eventId}/${action}`, {
+        method: 'POST',
+        headers: buildHeaders(),
+        body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+        throw await readError(response, fallback);
+    }
+    return response.json();
+}
+
+/**
+ * Moves the event to new dates. A blocked slot rejects with `error.conflicts`;
+ * staff may retry with `overrideConflicts` and a reason.
+ *
+ * @param {number|string} eventId
+ * @param {Object} schedule - { startDate, endDate, startTime, endTime, reason, overrideConflicts }
+ * @returns {Promise<{event: Object, change: Object}>}
+ */
+export function rescheduleEvent(eventId, schedule) {
+    return postChange(eventId, 'reschedule', schedule, 'Failed to reschedule the event');
+}
+
+/**
+ * @param {number|string} eventId
+ * @param {string} reason - Shown to registrants
+ */
+export function postponeEvent(eventId, reason) {
+    return postChange(eventId, 'postpone', { reason }, 'Failed to postpone the event');
+}
+
+/**
+ * @param {number|string} eventId
+ * @param {string} reason - Shown to registrants
+ */
+export function cancelEvent(eventId, reason) {
+    return postChange(eventId, 'cancel', { reason }, 'Failed to cancel the event');
+}
+
+// ==============================
+// Display helpers
+// ==============================
+
+export const EVENT_STATUS_LABELS = {
+    scheduled: 'Scheduled',
+    postponed: 'Postponed',
+    cancelled: 'Cancelled',
+    completed: 'Completed',
+};
+
+/**
+ * "April 15, 2025" or "April 15 – 17, 2025" for an event's dates
+ */
+export function formatEventDates(event) {
+    if (!event.startDate) return 'Date to be announced';
+    const format = (value) => new Date(`${value}T00:00:00`).toLocaleDateString('en-US', {
+        weekday: 'long', month: 'long', day: 'numeric', year: 'numeric',
+    });
+    return event.endDate && event.endDate !== event.startDate
+        ? `${format(event.startDate)} – ${format(event.endDate)}`
+        : format(event.startDate);
+}
+
+/**
+ * "9:00 AM – 12:00 PM" for an event's daily hours
+ */
+export function formatEventTimes(event) {
+    if (!event.startTime) return 'Whole day';
+    const format = (value) => {
+        const [hours, minutes] = value.split(':').map(Number);
+        return new Date(2000, 0, 1, hours, minutes).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    };
+    return event.endTime ? `${format(event.startTime)} – ${format(event.endTime)}` : format(event.startTime);
+}
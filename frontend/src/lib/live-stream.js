@@ -0,0 +1,149 @@
+// @/lib/live-stream.js
+
+import { config } from "@/lib/utils";
+
+const API_URL = config.backendUrl;
+
+// Fallback reconnect delay; the server may override it with a `retry:` line
+const DEFAULT_RETRY_MS = 5000;
+const MAX_RETRY_MS = 60000;
+
+/**
+ * One shared connection to `GET /api/stream` per browser tab.
+ *
+ * The stream needs the Bearer token from the `cedo_token` cookie, which
+ * EventSource cannot send, so it is read with fetch() and parsed here.
+ * The connection opens with the first listener and closes with the last.
+ */
+const listeners = new Set();
+let controller = null;
+let reconnectTimer = null;
+let retryMs = DEFAULT_RETRY_MS;
+let failures = 0;
+
+function getAuthToken() {
+    if (typeof window === 'undefined') return null;
+    const cookieValue = document.cookie.split('; ').find(row => row.startsWith('cedo_token='));
+    return cookieValue ? cookieValue.split('=')[1] : localStorage.getItem('cedo_token');
+}
+
+function dispatch(event, rawData) {
+    let data = null;
+    try {
+        data = rawData ? JSON.parse(rawData) : null;
+    } catch (error) {
+        console.warn('Live stream: ignoring malformed event', event);
+        return;
+    }
+
+    listeners.forEach((listener) => {
+        if (listener.events && !listener.events.includes(event)) return;
+        try {
+            listener.handler(event, data);
+        } catch (error) {
+            console.error(`Live stream: listener for "${event}" failed:`, error);
+        }
+    });
+}
+
+// Parse one SSE block ("event: x\ndata: {...}") and hand it to the listeners
+function handleBlock(block) {
+    let event = 'message';
+    const dataLines = [];
+
+    block.split('\n').forEach((line) => {
+        if (!line || line.startsWith(':')) return;
+        const separator = line.indexOf(':');
+        const field = separator === -1 ? line : line.slice(0, separator);
+        const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+        if (field === 'event') event = value;
+        else if (field === 'data') dataLines.push(value);
+        else if (field === 'retry' && Number(value) > 0) retryMs = Number(value);
+    });
+
+    if (dataLines.length > 0) dispatch(event, dataLines.join('\n'));
+}
+
+function scheduleReconnect() {
+    if (listeners.size === 0 || reconnectTimer) return;
+    const delay = Math.min(retryMs * 2 ** Math.min(failures, 4), MAX_RETRY_MS);
+    failures += 1;
+    reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        connect();
+    }, delay);
+}
+
+async function connect() {
+    const token = getAuthToken();
+    if (!token || controller) return;
+
+    const current = new AbortController();
+    controller = current;
+
+    try {
+        const response = await fetch(`${API_URL}/api/stream`, {
+            headers: { Accept: 'text/event-stream', Authorization: `Bearer ${token}` },
+            cache: 'no-store',
+            signal: current.signal,
+        });
+        if (!response.ok || !response.body) {
+            throw new Error(`Live stream rejected (${response.status})`);
+        }
+
+        failures = 0;
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+
+            let boundary = buffer.indexOf('\n\n');
+            while (boundary !== -1) {
+                handleBlock(buffer.slice(0, boundary));
+                buffer = buffer.slice(boundary + 2);
+                boundary = buffer.indexOf('\n\n');
+            }
+        }
+    } catch (error) {
+        if (current.signal.aborted) return;
+        console.warn('Live stream disconnected:', error.message);
+    } finally {
+        if (controller === current) controller = null;
+    }
+
+    if (!current.signal.aborted) scheduleReconnect();
+}
+
+function disconnect() {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    if (controller) {
+        controller.abort();
+        controller = null;
+    }
+}
+
+/**
+ * Listen for live updates pushed by the backend.
+ *
+ * @param {string[]|null} events - Event names to receive (`proposal.submitted`,
+ *   `proposal.status`, `report.status`, `notification`, `attendance.check_in`,
+ *   `registration.updated`, `event.updated`), or null for all
+ * @param {(event: string, data: Object) => void} handler
+ * @returns {() => void} Unsubscribe
+ */
+export function subscribeToLiveUpdates(events, handler) {
+    const listener = { events, handler };
+    listeners.add(listener);
+    if (listeners.size === 1) connect();
+
+    return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) disconnect();
+    };
+}
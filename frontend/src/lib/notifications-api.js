@@ -0,0 +1,185 @@
+// @/lib/notifications-api.js
+
+import { config } from "@/lib/utils";
+
+const API_URL = config.backendUrl;
+
+/**
+ * Builds request headers for the notifications API.
+ * Notifications are scoped to the signed-in user, so every call needs the JWT
+ * from the `cedo_token` cookie.
+ *
+ * @returns {Object} Headers object
+ */
+function buildHeaders() {
+    let authToken = null;
+    if (typeof window !== 'undefined') {
+        const cookieValue = document.cookie.split('; ').find(row => row.startsWith('cedo_token='));
+        authToken = cookieValue ? cookieValue.split('=')[1] : localStorage.getItem('cedo_token');
+    }
+
+    return {
+        'Content-Type': 'application/json',
+        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    };
+}
+
+async function readError(response, fallback) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || body.message || fallback);
+    error.status = response.status;
+    return error;
+}
+
+/**
+ * Fetches the current user's notifications, newest first.
+ *
+ * @param {Object} [filters]
+ * @param {'all'|'unread'|'read'} [filters.status]
+ * @param {string} [filters.type] - Type prefix, e.g. `proposal` or `report`
+ * @param {number} [filters.limit]
+ * @param {number} [filters.offset]
+ * @returns {Promise<{notifications: Object[], total: number, unreadCount: number}>}
+ */
+export async function fetchNotifications({ status, type, limit = 20, offset = 0 } = {}) {
+    const params = new URLSearchParams({ limit: String(limit), offset: String(offset) });
+    if (status && status !== 'all') params.set('status', status);
+    if (type && type !== 'all') params.set('type', type);
+
+    const response = await fetch(`${API_URL}/api/notifications?${params}`, {
+        headers: buildHeaders(),
+        cache: 'no-store',
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to load notifications');
+    }
+    return response.json();
+}
+
+/**
+ * @returns {Promise<number>} Unread notifications for the current user
+ */
+export async function fetchUnreadCount() {
+    const response = await fetch(`${API_URL}/api/notifications/unread-count`, {
+        headers: buildHeaders(),
+        cache: 'no-store',
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to count notifications');
+    }
+    const { unreadCount } = await response.json();
+    return unreadCount;
+}
+
+/**
+ * @param {number} id - Notification id
+ * @returns {Promise<number>} Remaining unread count
+ */
+export async function markNotificationRead(id) {
+    const response = await fetch(`${API_URL}/api/notifications/${id}/read`, {
+        method: 'PATCH',
+        headers: buildHeaders(),
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to mark notification as read');
+    }
+    const { unreadCount } = await response.json();
+    return unreadCount;
+}
+
+export async function markAllNotificationsRead() {
+    const response = await fetch(`${API_URL}/api/notifications/read-all`, {
+        method: 'PATCH',
+        headers: buildHeaders(),
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to mark notifications as read');
+    }
+    return response.json();
+}
+
+// ==============================
+// Email preferences
+// ==============================
+
+/**
+ * @returns {Promise<Array<{category: string, label: string, description: string, enabled: boolean}>>}
+ */
+export async function fetchEmailPreferences() {
+    const response = await fetch(`${API_URL}/api/email/preferences`, {
+        headers: buildHeaders(),
+        cache: 'no-store',
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to load email preferences');
+    }
+    const { preferences } = await response.json();
+    return preferences;
+}
+
+/**
+ * @param {Object<string, boolean>} changes - Category → enabled
+ * @returns {Promise<Array>} Updated preferences
+ */
+export async function updateEmailPreferences(changes) {
+    const response = await fetch(`${API_URL}/api/email/preferences`, {
+        method: 'PUT',
+        headers: buildHeaders(),
+        body: JSON.stringify({ preferences: changes }),
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to save email preferences');
+    }
+    const { preferences } = await response.json();
+    return preferences;
+}
+
+// ==============================
+// Display helpers
+// ==============================
+
+// Backend notification type → UI group (icon, colour, filter)
+const TYPE_GROUPS = {
+    proposal_submitted: { group: 'proposal', tag: 'Review' },
+    report_submitted: { group: 'proposal', tag: 'Report' },
+    proposal_approved: { group: 'approval', tag: 'Approved' },
+    report_approved: { group: 'approval', tag: 'Accepted' },
+    account_approved: { group: 'approval', tag: 'Account' },
+    registration_promoted: { group: 'approval', tag: 'Registered' },
+    proposal_denied: { group: 'rejection', tag: 'Denied' },
+    report_denied: { group: 'rejection', tag: 'Returned' },
+    proposal_revision_requested: { group: 'reminder', tag: 'Revision' },
+    report_due: { group: 'reminder', tag: 'Due' },
+    report_reminder: { group: 'reminder', tag: 'Due' },
+    report_overdue: { group: 'rejection', tag: 'Overdue' },
+    report_overdue_escalated: { group: 'reminder', tag: 'Overdue' },
+    compliance_submitted: { group: 'proposal', tag: 'Compliance' },
+    compliance_status: { group: 'reminder', tag: 'Compliance' },
+    event_changed: { group: 'reminder', tag: 'Event' },
+};
+
+/**
+ * @param {string} type - Notification type from the API
+ * @returns {{ group: 'proposal'|'approval'|'rejection'|'reminder'|'general', tag: string }}
+ */
+export function getNotificationGroup(type) {
+    return TYPE_GROUPS[type] || { group: 'general', tag: 'Update' };
+}
+
+/**
+ * "5 minutes ago" style label for a notification timestamp
+ */
+export function formatNotificationTime(value) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+
+    const seconds = Math.round((Date.now() - date.getTime()) / 1000);
+    if (seconds < 60) return 'Just now';
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+    const days = Math.round(hours / 24);
+    if (days < 7) return `${days} day${days === 1 ? '' : 's'} ago`;
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
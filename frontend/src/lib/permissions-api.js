@@ -0,0 +1,66 @@
+// @/lib/permissions-api.js
+// Role-to-permission grants, changed by head admins
+
+import { config } from "@/lib/utils";
+
+const API_URL = config.backendUrl;
+
+/**
+ * Builds request headers for the permissions API (JWT from the `cedo_token` cookie).
+ *
+ * @returns {Object} Headers object
+ */
+function buildHeaders() {
+    let authToken = null;
+    if (typeof window !== 'undefined') {
+        const cookieValue = document.cookie.split('; ').find(row => row.startsWith('cedo_token='));
+        authToken = cookieValue ? cookieValue.split('=')[1] : localStorage.getItem('cedo_token');
+    }
+
+    return {
+        'Content-Type': 'application/json',
+        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    };
+}
+
+async function readError(response, fallback) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || body.message || fallback);
+    error.status = response.status;
+    error.errors = body.errors;
+    return error;
+}
+
+/**
+ * Every permission and each role's grants.
+ *
+ * @returns {Promise<{permissions: Object[], roles: Object[]}>}
+ */
+export async function fetchRoleGrants() {
+    const response = await fetch(`${API_URL}/api/permissions`, { headers: buildHeaders(), cache: 'no-store' });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to load role permissions');
+    }
+    const body = await response.json();
+    return { permissions: body.permissions, roles: body.roles };
+}
+
+/**
+ * Replaces everything a role may do.
+ *
+ * @param {string} role
+ * @param {string[]} permissions - The full list for the role
+ * @returns {Promise<string[]>} The role's permissions as saved
+ */
+export async function updateRoleGrants(role, permissions) {
+    const response = await fetch(`${API_URL}/api/permissions/${encodeURIComponent(role)}`, {
+        method: 'PUT',
+        headers: buildHeaders(),
+        body: JSON.stringify({ permissions }),
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to update role permissions');
+    }
+    const body = await response.json();
+    return body.permissions;
+}
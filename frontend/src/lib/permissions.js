@@ -0,0 +1,100 @@
+// @/lib/permissions.js
+// Pure helpers: also used by src/middleware.js, which runs on the edge
+
+/**
+ * Default grants per permission. Mirrors backend/constants/permissions.js;
+ * head admins can change the grants, so prefer the `permissions` list the
+ * backend sends with the user (login, /auth/me, the JWT) when there is one.
+ */
+export const DEFAULT_PERMISSIONS = {
+    'dashboard:admin': ['head_admin', 'manager'],
+    'dashboard:student': ['student', 'partner', 'reviewer'],
+    'proposal:review': ['head_admin', 'manager', 'reviewer'],
+    'proposal:assign': ['head_admin', 'manager'],
+    'proposal:manage': ['head_admin', 'manager'],
+    'report:review': ['head_admin', 'manager', 'reviewer'],
+    'report:rubric': ['head_admin', 'manager'],
+    'report:export': ['head_admin', 'manager', 'reviewer'],
+    'compliance:override': ['head_admin', 'manager'],
+    'event:manage': ['head_admin', 'manager', 'reviewer'],
+    'event:attend': ['student'],
+    'schedule:view': ['head_admin', 'manager', 'reviewer'],
+    'schedule:manage': ['head_admin', 'manager'],
+    'venue:manage': ['head_admin', 'manager'],
+    'credit:view': ['head_admin', 'manager', 'reviewer'],
+    'credit:manage': ['head_admin', 'manager'],
+    'user:view': ['head_admin', 'manager'],
+    'user:approve': ['head_admin', 'manager'],
+    'user:manage': ['head_admin'],
+    'email:manage': ['head_admin', 'manager'],
+    'system:manage': ['head_admin', 'manager'],
+    'data:explore': ['head_admin'],
+    'data:write': ['head_admin'],
+    'permission:manage': ['head_admin'],
+};
+
+/**
+ * Page prefixes and the permission each needs. Every matching prefix applies,
+ * so nested admin pages also need `dashboard:admin`.
+ */
+export const ROUTE_PERMISSIONS = [
+    ['/admin-dashboard', 'dashboard:admin'],
+    ['/admin-dashboard/review', 'proposal:review'],
+    ['/admin-dashboard/report-reviews', 'report:review'],
+    ['/admin-dashboard/account-approvals', 'user:approve'],
+    ['/admin-dashboard/settings', 'user:manage'],
+    ['/admin-dashboard/permissions', 'permission:manage'],
+    ['/student-dashboard', 'dashboard:student'],
+];
+
+/**
+ * Whether the user holds a permission (or every permission in a list).
+ *
+ * @param {Object|null} user - { role, permissions? }
+ * @param {string|string[]} permission
+ * @returns {boolean}
+ */
+export function hasPermission(user, permission) {
+    if (!user?.role) return false;
+    const required = Array.isArray(permission) ? permission : [permission];
+    // Older sessions carry pre-registry lists (e.g. "view_all_users"); fall back to the defaults for those
+    const granted = Array.isArray(user.permissions) && user.permissions.every((key) => key.includes(':'))
+        ? user.permissions
+        : null;
+    return required.every((key) =>
+        granted ? granted.includes(key) : Boolean(DEFAULT_PERMISSIONS[key]?.includes(user.role))
+    );
+}
+
+/**
+ * Permissions a page needs (empty for pages every signed-in user may open).
+ *
+ * @param {string} pathname
+ * @returns {string[]}
+ */
+export function permissionsForPath(pathname) {
+    return ROUTE_PERMISSIONS
+        .filter(([prefix]) => pathname === prefix || pathname.startsWith(`${prefix}/`))
+        .map(([, permission]) => permission);
+}
+
+/**
+ * Whether the user may open a page.
+ *
+ * @param {Object|null} user
+ * @param {string} pathname
+ * @returns {boolean}
+ */
+export function canAccessPath(user, pathname) {
+    return hasPermission(user, permissionsForPath(pathname));
+}
+
+/**
+ * Landing page for a user: the admin dashboard when they may use it.
+ *
+ * @param {Object|null} user
+ * @returns {string}
+ */
+export function dashboardFor(user) {
+    return hasPermission(user, 'dashboard:admin') ? '/admin-dashboard' : '/student-dashboard';
+}
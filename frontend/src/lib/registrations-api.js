@@ -0,0 +1,165 @@
+// @/lib/registrations-api.js
+
+import { config } from "@/lib/utils";
+
+const API_URL = config.backendUrl;
+
+/**
+ * Builds request headers for the registrations API (JWT from the `cedo_token` cookie).
+ *
+ * @returns {Object} Headers object
+ */
+function buildHeaders() {
+    let authToken = null;
+    if (typeof window !== 'undefined') {
+        const cookieValue = document.cookie.split('; ').find(row => row.startsWith('cedo_token='));
+        authToken = cookieValue ? cookieValue.split('=')[1] : localStorage.getItem('cedo_token');
+    }
+
+    return {
+        'Content-Type': 'application/json',
+        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    };
+}
+
+async function readError(response, fallback) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || body.message || fallback);
+    error.status = response.status;
+    error.missing = body.missing;
+    return error;
+}
+
+// ==============================
+// Students
+// ==============================
+
+/**
+ * @returns {Promise<Object[]>} Approved events taking registrations, with the student's own status
+ */
+export async function fetchOpenRegistrations() {
+    const response = await fetch(`${API_URL}/api/registrations/events`, {
+        headers: buildHeaders(),
+        cache: 'no-store',
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to load events open for registration');
+    }
+    const body = await response.json();
+    return body.events;
+}
+
+/**
+ * Registers the student, or puts them on the waitlist when the event is full.
+ *
+ * @param {number|string} proposalId
+ * @param {Object} details - { school, program, yearLevel, answers: { questionId: answer } }
+ * @returns {Promise<{event: Object, registration: {status: string}, counts: Object}>}
+ */
+export async function registerForEvent(proposalId, details) {
+    const response = await fetch(`${API_URL}/api/registrations/events/${proposalId}`, {
+        method: 'POST',
+        headers: buildHeaders(),
+        body: JSON.stringify(details),
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Registration failed');
+    }
+    return response.json();
+}
+
+/**
+ * Cancels the student's registration or removes them from the waitlist.
+ *
+ * @param {number|string} proposalId
+ */
+export async function cancelRegistration(proposalId) {
+    const response = await fetch(`${API_URL}/api/registrations/events/${proposalId}`, {
+        method: 'DELETE',
+        headers: buildHeaders(),
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to cancel the registration');
+    }
+    return response.json();
+}
+
+// ==============================
+// Organizers
+// ==============================
+
+/**
+ * @param {number|string} proposalId
+ * @returns {Promise<{event: Object, settings: Object, window: Object, counts: Object}>}
+ */
+export async function fetchRegistrationSettings(proposalId) {
+    const response = await fetch(`${API_URL}/api/registrations/events/${proposalId}/settings`, {
+        headers: buildHeaders(),
+        cache: 'no-store',
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to load registration settings');
+    }
+    return response.json();
+}
+
+/**
+ * @param {number|string} proposalId
+ * @param {Object} settings - { isOpen, capacity, waitlistEnabled, cancellationDeadlineHours, opensAt, closesAt, questions }
+ */
+export async function saveRegistrationSettings(proposalId, settings) {
+    const response = await fetch(`${API_URL}/api/registrations/events/${proposalId}/settings`, {
+        method: 'PUT',
+        headers: buildHeaders(),
+        body: JSON.stringify(settings),
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to save registration settings');
+    }
+    return response.json();
+}
+
+/**
+ * @param {number|string} proposalId
+ * @param {Object} [filters] - { status: 'registered'|'waitlisted'|'cancelled' }
+ * @returns {Promise<{event: Object, settings: Object, registrants: Object[], counts: Object}>}
+ */
+export async function fetchRegistrants(proposalId, { status } = {}) {
+    const query = status ? `?status=${encodeURIComponent(status)}` : '';
+    const response = await fetch(`${API_URL}/api/registrations/events/${proposalId}/registrants${query}`, {
+        headers: buildHeaders(),
+        cache: 'no-store',
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to load registrants');
+    }
+    return response.json();
+}
+
+/**
+ * Downloads the registrant list (CSV) through the browser. The file uses the
+ * columns the accomplishment report's attendance upload reads.
+ *
+ * @param {number|string} proposalId
+ * @param {Object} [options] - { status: 'registered' (default) | 'all' }
+ */
+export async function downloadRegistrants(proposalId, { status = 'registered' } = {}) {
+    const response = await fetch(`${API_URL}/api/registrations/events/${proposalId}/registrants/export?status=${status}`, {
+        headers: buildHeaders(),
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to export registrants');
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'registrants.csv';
+    const url = URL.createObjectURL(await response.blob());
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
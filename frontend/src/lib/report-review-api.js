@@ -0,0 +1,172 @@
+// @/lib/report-review-api.js
+
+import { config } from "@/lib/utils";
+
+const API_URL = config.backendUrl;
+
+/**
+ * Builds request headers for the report review API (JWT from the `cedo_token` cookie).
+ *
+ * @param {boolean} [json=true] - false for downloads
+ * @returns {Object} Headers object
+ */
+function buildHeaders(json = true) {
+    let authToken = null;
+    if (typeof window !== 'undefined') {
+        const cookieValue = document.cookie.split('; ').find(row => row.startsWith('cedo_token='));
+        authToken = cookieValue ? cookieValue.split('=')[1] : localStorage.getItem('cedo_token');
+    }
+
+    return {
+        ...(json ? { 'Content-Type': 'application/json' } : {}),
+        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    };
+}
+
+async function readError(response, fallback) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || body.message || fallback);
+    error.status = response.status;
+    error.errors = body.errors;
+    return error;
+}
+
+async function request(path, { method = 'GET', body, fallback }) {
+    const response = await fetch(`${API_URL}/api/report-reviews${path}`, {
+        method,
+        headers: buildHeaders(),
+        cache: 'no-store',
+        ...(body ? { body: JSON.stringify(body) } : {}),
+    });
+    if (!response.ok) {
+        throw await readError(response, fallback);
+    }
+    return response.json();
+}
+
+// ==============================
+// Reports
+// ==============================
+
+/**
+ * Accomplishment reports to review (staff).
+ *
+ * @param {Object} [filters] - { status: 'pending'|'denied'|'approved' }, default pending
+ * @returns {Promise<Object[]>} Reports with their latest review and `reviewCount`
+ */
+export async function fetchReportQueue({ status } = {}) {
+    const query = status ? `?status=${encodeURIComponent(status)}` : '';
+    const body = await request(`/${query}`, { fallback: 'Failed to load reports to review' });
+    return body.reports;
+}
+
+/**
+ * One report with its files, the active rubric and every review given (owner and staff).
+ *
+ * @param {number|string} proposalId
+ * @returns {Promise<Object>} { documents, latestReview, requestedReuploads, reviews, rubric, ... }
+ */
+export async function fetchReportReview(proposalId) {
+    const body = await request(`/${proposalId}`, { fallback: 'Failed to load the report review' });
+    return body.report;
+}
+
+/**
+ * Reviews a pending report item by item; the report is accepted or returned.
+ *
+ * @param {number|string} proposalId
+ * @param {{items: {criterionId: number, status: string, comment?: string, reuploadDocument?: string}[], summary?: string}} review
+ * @returns {Promise<Object>} The report with the new review
+ */
+export async function submitReportReview(proposalId, review) {
+    const body = await request(`/${proposalId}`, {
+        method: 'POST',
+        body: review,
+        fallback: 'Failed to submit the review',
+    });
+    return body.report;
+}
+
+/**
+ * Downloads a submitted report file through the browser.
+ *
+ * @param {Object} document - A report's document ({ downloadUrl, fileName, label })
+ */
+export async function downloadReportFile(document) {
+    const response = await fetch(`${API_URL}${document.downloadUrl}`, {
+        headers: buildHeaders(false),
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to download the file');
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = window.document.createElement('a');
+    link.href = url;
+    link.download = document.fileName || document.label;
+    window.document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// ==============================
+// Rubric
+// ==============================
+
+/**
+ * @param {Object} [options] - { includeInactive: true } to list retired items too
+ * @returns {Promise<Object[]>} Rubric items in display order
+ */
+export async function fetchRubric({ includeInactive = false } = {}) {
+    const body = await request(includeInactive ? '/rubric?includeInactive=true' : '/rubric', {
+        fallback: 'Failed to load the review rubric',
+    });
+    return body.criteria;
+}
+
+/**
+ * Adds a rubric item (head admin and managers).
+ *
+ * @param {{label: string, description?: string, required?: boolean}} criterion
+ * @returns {Promise<Object>}
+ */
+export async function createRubricItem(criterion) {
+    const body = await request('/rubric', { method: 'POST', body: criterion, fallback: 'Failed to add the rubric item' });
+    return body.criterion;
+}
+
+/**
+ * @param {number|string} criterionId
+ * @param {{label?: string, description?: string, required?: boolean, sortOrder?: number, active?: boolean}} changes
+ * @returns {Promise<Object>}
+ */
+export async function updateRubricItem(criterionId, changes) {
+    const body = await request(`/rubric/${criterionId}`, {
+        method: 'PUT',
+        body: changes,
+        fallback: 'Failed to update the rubric item',
+    });
+    return body.criterion;
+}
+
+/**
+ * Retires a rubric item; reviews already given keep it.
+ *
+ * @param {number|string} criterionId
+ */
+export function retireRubricItem(criterionId) {
+    return request(`/rubric/${criterionId}`, { method: 'DELETE', fallback: 'Failed to remove the rubric item' });
+}
+
+export const ITEM_STATUS_LABELS = {
+    accepted: 'Accepted',
+    partial: 'Partially accepted',
+    rejected: 'Rejected',
+};
+
+export const REPORT_DOCUMENT_LABELS = {
+    accomplishment_report: 'Accomplishment report',
+    pre_registration: 'Pre-registration list',
+    final_attendance: 'Final attendance list',
+};
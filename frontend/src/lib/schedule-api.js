@@ -0,0 +1,150 @@
+// @/lib/schedule-api.js
+
+import { config } from "@/lib/utils";
+
+const API_URL = config.backendUrl;
+
+/**
+ * Builds request headers for the schedule API (JWT from the `cedo_token` cookie).
+ *
+ * @returns {Object} Headers object
+ */
+function buildHeaders() {
+    let authToken = null;
+    if (typeof window !== 'undefined') {
+        const cookieValue = document.cookie.split('; ').find(row => row.startsWith('cedo_token='));
+        authToken = cookieValue ? cookieValue.split('=')[1] : localStorage.getItem('cedo_token');
+    }
+
+    return {
+        'Content-Type': 'application/json',
+        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    };
+}
+
+async function readError(response, fallback) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || body.message || fallback);
+    error.status = response.status;
+    error.errors = body.errors;
+    return error;
+}
+
+// Date pickers hand us Date objects; the API expects YYYY-MM-DD
+export function toDateParam(value) {
+    if (!value) return null;
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) return null;
+        const month = String(value.getMonth() + 1).padStart(2, '0');
+        const day = String(value.getDate()).padStart(2, '0');
+        return `${value.getFullYear()}-${month}-${day}`;
+    }
+    return String(value).slice(0, 10);
+}
+
+// ==============================
+// Conflicts
+// ==============================
+
+/**
+ * Checks a venue / date / time slot against approved and pending proposals
+ * and blackout periods.
+ *
+ * @param {Object} slot
+ * @param {string} slot.venue
+ * @param {number} [slot.venueId] - Catalog venue, compared by id instead of name
+ * @param {Date|string} slot.startDate
+ * @param {Date|string} [slot.endDate]
+ * @param {string} [slot.startTime] - HH:MM
+ * @param {string} [slot.endTime] - HH:MM
+ * @param {string} [slot.organizationName]
+ * @param {number|string} [slot.excludeProposalId] - The proposal being edited
+ * @returns {Promise<{conflicts: Object[], hasConflicts: boolean, hasBlockingConflicts: boolean}>}
+ */
+export async function checkScheduleConflicts({ venue, venueId, startDate, endDate, startTime, endTime, organizationName, excludeProposalId } = {}) {
+    const response = await fetch(`${API_URL}/api/schedule/conflicts/check`, {
+        method: 'POST',
+        headers: buildHeaders(),
+        body: JSON.stringify({
+            venue,
+            venueId,
+            startDate: toDateParam(startDate),
+            endDate: toDateParam(endDate),
+            startTime,
+            endTime,
+            organizationName,
+            excludeProposalId,
+        }),
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to check schedule conflicts');
+    }
+    return response.json();
+}
+
+/**
+ * @returns {Promise<Object<string, Object[]>>} Proposal id → conflicts, for proposals awaiting review
+ */
+export async function fetchPendingConflicts() {
+    const response = await fetch(`${API_URL}/api/schedule/conflicts/pending`, {
+        headers: buildHeaders(),
+        cache: 'no-store',
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to load schedule conflicts');
+    }
+    const { conflicts } = await response.json();
+    return conflicts;
+}
+
+// ==============================
+// Blackout periods
+// ==============================
+
+/**
+ * @param {Object} [filters]
+ * @param {Date|string} [filters.from] - Only periods ending on or after this date
+ * @returns {Promise<Object[]>}
+ */
+export async function fetchBlackouts({ from } = {}) {
+    const params = from ? `?${new URLSearchParams({ from: toDateParam(from) })}` : '';
+    const response = await fetch(`${API_URL}/api/schedule/blackouts${params}`, {
+        headers: buildHeaders(),
+        cache: 'no-store',
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to load blackout periods');
+    }
+    const { blackouts } = await response.json();
+    return blackouts;
+}
+
+/**
+ * @param {{title: string, startDate: Date|string, endDate: Date|string, reason?: string}} blackout
+ * @returns {Promise<Object>} The created period
+ */
+export async function createBlackout({ title, startDate, endDate, reason }) {
+    const response = await fetch(`${API_URL}/api/schedule/blackouts`, {
+        method: 'POST',
+        headers: buildHeaders(),
+        body: JSON.stringify({ title, startDate: toDateParam(startDate), endDate: toDateParam(endDate), reason }),
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to create blackout period');
+    }
+    const { blackout } = await response.json();
+    return blackout;
+}
+
+/**
+ * @param {number} id - Blackout period id
+ */
+export async function deleteBlackout(id) {
+    const response = await fetch(`${API_URL}/api/schedule/blackouts/${id}`, {
+        method: 'DELETE',
+        headers: buildHeaders(),
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to delete blackout period');
+    }
+}
@@ -0,0 +1,115 @@
+// @/lib/sdp-credits-api.js
+
+import { config } from "@/lib/utils";
+
+const API_URL = config.backendUrl;
+
+/**
+ * Builds request headers for the SDP credits API (JWT from the `cedo_token` cookie).
+ *
+ * @returns {Object} Headers object
+ */
+function buildHeaders() {
+    let authToken = null;
+    if (typeof window !== 'undefined') {
+        const cookieValue = document.cookie.split('; ').find(row => row.startsWith('cedo_token='));
+        authToken = cookieValue ? cookieValue.split('=')[1] : localStorage.getItem('cedo_token');
+    }
+
+    return {
+        'Content-Type': 'application/json',
+        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    };
+}
+
+async function readError(response, fallback) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || body.message || fallback);
+    error.status = response.status;
+    error.errors = body.errors;
+    return error;
+}
+
+// Students read their own ledger through /me
+const studentPath = (userId) => (userId ? `students/${userId}` : 'me');
+
+// ==============================
+// Student credits
+// ==============================
+
+/**
+ * @param {number} [userId] - Another student's id (staff only); defaults to the signed-in student
+ * @returns {Promise<{student: Object, required: number, earned: number, remaining: number,
+ *   byCategory: Object[], entries: Object[], pending: Object[]}>}
+ */
+export async function fetchCreditSummary(userId) {
+    const response = await fetch(`${API_URL}/api/sdp-credits/${studentPath(userId)}`, {
+        headers: buildHeaders(),
+        cache: 'no-store',
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to load SDP credits');
+    }
+    return response.json();
+}
+
+/**
+ * Downloads the credit transcript (CSV) through the browser.
+ *
+ * @param {number} [userId] - Another student's id (staff only)
+ */
+export async function downloadCreditTranscript(userId) {
+    const response = await fetch(`${API_URL}/api/sdp-credits/${studentPath(userId)}/transcript`, {
+        headers: buildHeaders(),
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to download the credit transcript');
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'sdp-transcript.csv';
+    const url = URL.createObjectURL(await response.blob());
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// ==============================
+// Events
+// ==============================
+
+/**
+ * @returns {Promise<Object[]>} Approved events with their credit value and participant count
+ */
+export async function fetchCreditedEvents() {
+    const response = await fetch(`${API_URL}/api/sdp-credits/events`, {
+        headers: buildHeaders(),
+        cache: 'no-store',
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to load events');
+    }
+    const { events } = await response.json();
+    return events;
+}
+
+/**
+ * @param {number} proposalId - Event (proposal) id
+ * @returns {Promise<Object[]>} Attendees with the credits each was awarded
+ */
+export async function fetchEventParticipants(proposalId) {
+    const response = await fetch(`${API_URL}/api/sdp-credits/events/${proposalId}/participants`, {
+        headers: buildHeaders(),
+        cache: 'no-store',
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to load participants');
+    }
+    const { participants } = await response.json();
+    return participants;
+}
@@ -0,0 +1,208 @@
+// @/lib/upload-policy.js
+// What each kind of uploaded document may be. Mirrors DOCUMENT_POLICIES in
+// backend/services/upload-policy.service.js, which has the final say; this
+// copy only lets the form reject a file before it is sent.
+
+const MB = 1024 * 1024;
+
+const OFFICE_EXTENSIONS = ['.pdf', '.doc', '.docx', '.xls', '.xlsx'];
+
+export const DOCUMENT_POLICIES = {
+    gpoa: { label: 'General Plan of Action', extensions: OFFICE_EXTENSIONS, maxSize: 5 * MB, maxPages: 30, suffix: '_GPOA' },
+    proposal: { label: 'Project proposal', extensions: OFFICE_EXTENSIONS, maxSize: 5 * MB, maxPages: 50, suffix: '_PP' },
+    accomplishment_report: { label: 'Accomplishment report', extensions: ['.pdf', '.docx'], maxSize: 10 * MB, maxPages: 100, suffix: '_AR' },
+    attendance: { label: 'Attendance list', extensions: ['.csv', '.xlsx'], maxSize: 10 * MB, maxPages: null, suffix: null },
+    supporting: { label: 'Supporting document', extensions: OFFICE_EXTENSIONS, maxSize: 5 * MB, maxPages: 50, suffix: null },
+    compliance: {
+        label: 'Compliance document',
+        extensions: [...OFFICE_EXTENSIONS, '.jpg', '.jpeg', '.png', '.zip'],
+        maxSize: 5 * MB,
+        maxPages: 50,
+        suffix: null,
+    },
+};
+
+const MACRO_EXTENSIONS = ['.docm', '.dotm', '.xlsm', '.xltm', '.xlam', '.xlsb', '.pptm', '.potm', '.ppsm'];
+
+const EXPECTED_KINDS = {
+    '.pdf': ['pdf'],
+    '.docx': ['docx'],
+    '.xlsx': ['xlsx'],
+    '.doc': ['doc'],
+    '.xls': ['xls'],
+    '.jpg': ['jpeg'],
+    '.jpeg': ['jpeg'],
+    '.png': ['png'],
+    '.zip': ['zip', 'docx', 'xlsx'],
+    '.csv': ['text'],
+};
+
+const KIND_LABELS = {
+    pdf: 'a PDF',
+    docx: 'a Word document',
+    xlsx: 'an Excel workbook',
+    doc: 'a Word 97-2003 document',
+    xls: 'an Excel 97-2003 workbook',
+    ole: 'an older Office file',
+    jpeg: 'a JPEG image',
+    png: 'a PNG image',
+    zip: 'a ZIP archive',
+    text: 'a text file',
+    unknown: 'an unrecognised file',
+};
+
+const SIGNATURES = {
+    ole: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1],
+    png: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+    jpeg: [0xff, 0xd8, 0xff],
+    zip: [0x50, 0x4b, 0x03, 0x04],
+    emptyZip: [0x50, 0x4b, 0x05, 0x06],
+};
+
+const startsWith = (bytes, signature) => signature.every((byte, index) => bytes[index] === byte);
+
+const extensionOf = (name = '') => {
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? name.slice(dot).toLowerCase() : '';
+};
+
+// OLE2 (.doc/.xls) stream names are UTF-16LE, so "Book" reads as "B\0o\0o\0k\0" in latin1
+const hasOleName = (text, name) => text.includes(name.split('').join('\0'));
+
+function readZipEntries(bytes) {
+    if (bytes.length < 22) return null;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const searchFrom = Math.max(0, bytes.length - 22 - 0xffff);
+    let end = -1;
+    for (let offset = bytes.length - 22; offset >= searchFrom; offset -= 1) {
+        if (view.getUint32(offset, true) === 0x06054b50) {
+            end = offset;
+            break;
+        }
+    }
+    if (end === -1) return null;
+
+    const decoder = new TextDecoder();
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const names = [];
+    let encrypted = false;
+    for (let index = 0; index < count; index += 1) {
+        if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014b50) return null;
+        const nameLength = view.getUint16(offset + 28, true);
+        names.push(decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength)));
+        encrypted = encrypted || (view.getUint16(offset + 8, true) & 0x1) === 0x1;
+        offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+    return { names, encrypted };
+}
+
+function countPdfPages(text) {
+    const pages = text.match(/\/Type\s*\/Page(?![A-Za-z])/g);
+    if (pages) return pages.length;
+    const counts = [...text.matchAll(/\/Count\s+(\d+)/g)].map((match) => Number(match[1]));
+    return counts.length ? Math.max(...counts) : null;
+}
+
+/**
+ * What a file is, judged by its bytes alone.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {{ kind: string, macros: boolean, encrypted: boolean, pages: number|null }}
+ */
+export function detectFileType(bytes) {
+    const result = { kind: 'unknown', macros: false, encrypted: false, pages: null };
+    if (!bytes || bytes.length === 0) return result;
+
+    const text = new TextDecoder('latin1').decode(bytes);
+
+    if (text.slice(0, 1024).includes('%PDF-')) {
+        result.kind = 'pdf';
+        result.encrypted = /\/Encrypt\s*[\d<]/.test(text);
+        result.pages = countPdfPages(text);
+        return result;
+    }
+
+    if (startsWith(bytes, SIGNATURES.ole)) {
+        result.encrypted = hasOleName(text, 'EncryptionInfo');
+        result.macros = hasOleName(text, '_VBA_PROJECT');
+        if (hasOleName(text, 'WordDocument')) result.kind = 'doc';
+        else if (hasOleName(text, 'Workbook') || hasOleName(text, 'Book')) result.kind = 'xls';
+        else result.kind = 'ole';
+        return result;
+    }
+
+    if (startsWith(bytes, SIGNATURES.zip) || startsWith(bytes, SIGNATURES.emptyZip)) {
+        const zip = readZipEntries(bytes);
+        result.kind = 'zip';
+        if (!zip) return result;
+        result.encrypted = zip.encrypted;
+        result.macros = zip.names.some((name) => /(^|\/)vbaProject\.bin$/i.test(name));
+        if (zip.names.includes('[Content_Types].xml')) {
+            if (zip.names.some((name) => name.startsWith('word/'))) result.kind = 'docx';
+            else if (zip.names.some((name) => name.startsWith('xl/'))) result.kind = 'xlsx';
+        }
+        return result;
+    }
+
+    if (startsWith(bytes, SIGNATURES.png)) {
+        result.kind = 'png';
+        return result;
+    }
+    if (startsWith(bytes, SIGNATURES.jpeg)) {
+        result.kind = 'jpeg';
+        return result;
+    }
+
+    if (!bytes.subarray(0, 8192).includes(0)) result.kind = 'text';
+    return result;
+}
+
+const listExtensions = (extensions) => `${extensions.slice(0, -1).join(', ')} or ${extensions[extensions.length - 1]}`;
+
+const formatSize = (bytes) => `${Math.round((bytes / MB) * 10) / 10}MB`;
+
+/**
+ * Checks a selected file against its document type's policy, with the same
+ * codes and reasons the server answers with.
+ *
+ * @param {File} file
+ * @param {string} documentType - Key of DOCUMENT_POLICIES
+ * @returns {Promise<{accepted: boolean, code?: string, reason?: string}>}
+ */
+export async function checkFile(file, documentType) {
+    const policy = DOCUMENT_POLICIES[documentType];
+    if (!policy) throw new Error(`Unknown document type: ${documentType}`);
+
+    const extension = extensionOf(file.name);
+    const reject = (code, reason) => ({ accepted: false, code, reason });
+
+    if (MACRO_EXTENSIONS.includes(extension)) {
+        return reject('MACRO_ENABLED', 'Macro-enabled Office files are not accepted. Save it as a regular .docx or .xlsx file.');
+    }
+    if (!policy.extensions.includes(extension)) {
+        return reject('EXTENSION_NOT_ALLOWED', `${policy.label} files must be ${listExtensions(policy.extensions)}`);
+    }
+    if (file.size === 0) {
+        return reject('EMPTY', 'The file is empty');
+    }
+    if (file.size > policy.maxSize) {
+        return reject('TOO_LARGE', `${policy.label} files must be ${formatSize(policy.maxSize)} or smaller (this file is ${formatSize(file.size)})`);
+    }
+
+    const detected = detectFileType(new Uint8Array(await file.arrayBuffer()));
+    if (detected.encrypted) {
+        return reject('ENCRYPTED', 'Password-protected or encrypted files are not accepted. Remove the password and upload it again.');
+    }
+    if (detected.macros) {
+        return reject('MACRO_ENABLED', 'The file contains macros. Save it without macros and upload it again.');
+    }
+    if (!EXPECTED_KINDS[extension].includes(detected.kind)) {
+        return reject('TYPE_MISMATCH', `The file is named ${extension} but its contents are ${KIND_LABELS[detected.kind]}`);
+    }
+    if (detected.kind === 'pdf' && policy.maxPages && detected.pages > policy.maxPages) {
+        return reject('TOO_MANY_PAGES', `${policy.label} PDFs can have at most ${policy.maxPages} pages (this PDF has ${detected.pages})`);
+    }
+
+    return { accepted: true };
+}
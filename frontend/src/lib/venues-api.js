@@ -0,0 +1,163 @@
+// @/lib/venues-api.js
+
+import { toDateParam } from "@/lib/schedule-api";
+import { config } from "@/lib/utils";
+
+const API_URL = config.backendUrl;
+
+/**
+ * Builds request headers for the venues API (JWT from the `cedo_token` cookie).
+ *
+ * @returns {Object} Headers object
+ */
+function buildHeaders() {
+    let authToken = null;
+    if (typeof window !== 'undefined') {
+        const cookieValue = document.cookie.split('; ').find(row => row.startsWith('cedo_token='));
+        authToken = cookieValue ? cookieValue.split('=')[1] : localStorage.getItem('cedo_token');
+    }
+
+    return {
+        'Content-Type': 'application/json',
+        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    };
+}
+
+async function readError(response, fallback) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || body.message || fallback);
+    error.status = response.status;
+    error.errors = body.errors;
+    return error;
+}
+
+// ==============================
+// Catalog
+// ==============================
+
+/**
+ * @param {Object} [filters]
+ * @param {string} [filters.search]
+ * @param {boolean} [filters.includeInactive] - Admin view; pickers only get active venues
+ * @returns {Promise<Object[]>}
+ */
+export async function fetchVenues({ search, includeInactive } = {}) {
+    const params = new URLSearchParams();
+    if (search) params.set('search', search);
+    if (includeInactive) params.set('includeInactive', 'true');
+    const query = params.toString();
+
+    const response = await fetch(`${API_URL}/api/venues${query ? `?${query}` : ''}`, {
+        headers: buildHeaders(),
+        cache: 'no-store',
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to load venues');
+    }
+    const { venues } = await response.json();
+    return venues;
+}
+
+/**
+ * @param {Object} venue - { name, building, capacity, isOnline, openTime, closeTime, aliases }
+ * @returns {Promise<Object>} The created venue
+ */
+export async function createVenue(venue) {
+    const response = await fetch(`${API_URL}/api/venues`, {
+        method: 'POST',
+        headers: buildHeaders(),
+        body: JSON.stringify(venue),
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to create venue');
+    }
+    const { venue: created } = await response.json();
+    return created;
+}
+
+/**
+ * @param {number} id - Venue id
+ * @param {Object} venue - Full venue fields
+ * @returns {Promise<Object>} The updated venue
+ */
+export async function updateVenue(id, venue) {
+    const response = await fetch(`${API_URL}/api/venues/${id}`, {
+        method: 'PUT',
+        headers: buildHeaders(),
+        body: JSON.stringify(venue),
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to update venue');
+    }
+    const { venue: updated } = await response.json();
+    return updated;
+}
+
+/**
+ * Hides a venue from the pickers; proposals that used it keep their link.
+ *
+ * @param {number} id - Venue id
+ */
+export async function deactivateVenue(id) {
+    const response = await fetch(`${API_URL}/api/venues/${id}`, {
+        method: 'DELETE',
+        headers: buildHeaders(),
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to remove venue');
+    }
+}
+
+// ==============================
+// Availability
+// ==============================
+
+/**
+ * @param {number} id - Venue id
+ * @param {Object} slot
+ * @param {Date|string} slot.startDate
+ * @param {Date|string} [slot.endDate]
+ * @param {string} [slot.startTime] - HH:MM
+ * @param {string} [slot.endTime] - HH:MM
+ * @param {number|string} [slot.excludeProposalId] - The proposal being edited
+ * @returns {Promise<{venue: Object, available: boolean, reasons: string[], bookings: Object[]}>}
+ */
+export async function fetchVenueAvailability(id, { startDate, endDate, startTime, endTime, excludeProposalId } = {}) {
+    const params = new URLSearchParams({ startDate: toDateParam(startDate) });
+    if (endDate) params.set('endDate', toDateParam(endDate));
+    if (startTime) params.set('startTime', startTime);
+    if (endTime) params.set('endTime', endTime);
+    if (excludeProposalId) params.set('excludeProposalId', excludeProposalId);
+
+    const response = await fetch(`${API_URL}/api/venues/${id}/availability?${params}`, {
+        headers: buildHeaders(),
+        cache: 'no-store',
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to check venue availability');
+    }
+    return response.json();
+}
+
+// ==============================
+// Migration
+// ==============================
+
+/**
+ * Links proposals with a free-text venue to catalog entries.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.apply=false] - Save the matches; otherwise a preview
+ * @returns {Promise<{matched: Object[], unmatched: Object[], updated: number, applied: boolean}>}
+ */
+export async function migrateFreeTextVenues({ apply = false } = {}) {
+    const response = await fetch(`${API_URL}/api/venues/migrate`, {
+        method: 'POST',
+        headers: buildHeaders(),
+        body: JSON.stringify({ apply }),
+    });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to migrate venues');
+    }
+    return response.json();
+}
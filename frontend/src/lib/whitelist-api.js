@@ -0,0 +1,140 @@
+// @/lib/whitelist-api.js
+// Email whitelist: addresses that get an account on their first Google sign-in
+
+import { config } from "@/lib/utils";
+
+const API_URL = config.backendUrl;
+
+/**
+ * Builds request headers for the whitelist API (JWT from the `cedo_token` cookie).
+ *
+ * @param {boolean} [json=true] - false for multipart bodies, so the browser sets the boundary
+ * @returns {Object} Headers object
+ */
+function buildHeaders(json = true) {
+    let authToken = null;
+    if (typeof window !== 'undefined') {
+        const cookieValue = document.cookie.split('; ').find(row => row.startsWith('cedo_token='));
+        authToken = cookieValue ? cookieValue.split('=')[1] : localStorage.getItem('cedo_token');
+    }
+
+    return {
+        ...(json ? { 'Content-Type': 'application/json' } : {}),
+        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    };
+}
+
+async function readError(response, fallback) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || body.message || fallback);
+    error.status = response.status;
+    error.errors = body.errors;
+    return error;
+}
+
+async function request(path, options, fallback) {
+    const response = await fetch(`${API_URL}/api/whitelist${path}`, {
+        headers: buildHeaders(),
+        cache: 'no-store',
+        ...options,
+    });
+    if (!response.ok) {
+        throw await readError(response, fallback);
+    }
+    return response.json();
+}
+
+const queryString = (params) => {
+    const search = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+        if (value !== undefined && value !== null && value !== '') search.set(key, value);
+    }
+    const encoded = search.toString();
+    return encoded ? `?${encoded}` : '';
+};
+
+/**
+ * A page of whitelist entries, newest first.
+ *
+ * @param {Object} [params] - { status: 'all'|'active'|'expired'|'provisioned', q, page, limit }
+ * @returns {Promise<{entries: Object[], pagination: Object}>}
+ */
+export async function fetchWhitelist(params = {}) {
+    const body = await request(queryString(params), {}, 'Failed to load the whitelist');
+    return { entries: body.entries, pagination: body.pagination };
+}
+
+/**
+ * Whitelists an address.
+ *
+ * @param {Object} entry - { email, role, expiresAt: 'YYYY-MM-DD' | null, notes }
+ * @returns {Promise<Object>} The new entry
+ */
+export async function createWhitelistEntry(entry) {
+    const body = await request('', { method: 'POST', body: JSON.stringify(entry) }, 'Failed to add the address');
+    return body.entry;
+}
+
+/**
+ * Changes an entry's role, expiry or notes.
+ *
+ * @param {number} id
+ * @param {Object} changes - { role, expiresAt, notes }
+ * @returns {Promise<Object>} The updated entry
+ */
+export async function updateWhitelistEntry(id, changes) {
+    const body = await request(
+        `/${encodeURIComponent(id)}`,
+        { method: 'PATCH', body: JSON.stringify(changes) },
+        'Failed to update the entry'
+    );
+    return body.entry;
+}
+
+/**
+ * Removes an entry. An account it already created is kept.
+ *
+ * @param {number} id
+ */
+export async function deleteWhitelistEntry(id) {
+    await request(`/${encodeURIComponent(id)}`, { method: 'DELETE' }, 'Failed to remove the entry');
+}
+
+/**
+ * Adds or updates entries from a CSV file (email, role, expires_at, notes).
+ * Nothing is saved if a row is invalid; the thrown error then carries
+ * `errors.rows` as [{ line, email, message }]. Rows that have already
+ * expired are skipped.
+ *
+ * @param {File} file
+ * @returns {Promise<{created: number, updated: number, skipped: number, total: number, message: string}>}
+ */
+export async function importWhitelist(file) {
+    const form = new FormData();
+    form.append('file', file);
+    const body = await request('/import', { method: 'POST', headers: buildHeaders(false), body: form }, 'Failed to import the whitelist');
+    return { created: body.created, updated: body.updated, skipped: body.skipped, total: body.total, message: body.message };
+}
+
+/**
+ * Downloads every entry as CSV through the browser, in the format
+ * importWhitelist reads.
+ */
+export async function downloadWhitelist() {
+    const response = await fetch(`${API_URL}/api/whitelist/export`, { headers: buildHeaders(false) });
+    if (!response.ok) {
+        throw await readError(response, 'Failed to export the whitelist');
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'whitelist.csv';
+    const url = URL.createObjectURL(await response.blob());
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
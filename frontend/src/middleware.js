@@ -1,3 +1,4 @@
+import { canAccessPath, dashboardFor } from "@/lib/permissions";
 import { NextResponse } from "next/server";
 
 // Define user role types matching your database schema
@@ -27,7 +28,8 @@ function extractJWTPayload(token) {
       id: payload.id,
       role: payload.role,
       email: payload.email,
-      name: payload.name
+      name: payload.name,
+      permissions: payload.permissions
     };
 
     // Check if token is expired
@@ -54,6 +56,7 @@ const routeConfig = {
     "/signup",
     "/sign-up",
     "/forgot-password",
+    "/reset-password",
     "/about",
     "/contact",
     "/debug-proposal",
@@ -68,16 +71,6 @@ const routeConfig = {
     "/sign-up"
   ],
 
-  // Admin-only routes
-  adminRoutes: [
-    "/admin-dashboard"
-  ],
-
-  // Student/Partner routes  
-  studentRoutes: [
-    "/student-dashboard"
-  ],
-
   // Protected API routes
   protectedApiRoutes: [
     "/api/user",
@@ -86,36 +79,6 @@ const routeConfig = {
   ]
 };
 
-// Get appropriate dashboard based on user role
-function getDashboardForRole(role) {
-  switch (role) {
-    case UserRoles.HEAD_ADMIN:
-    case UserRoles.MANAGER:
-      return "/admin-dashboard";
-    case UserRoles.STUDENT:
-    case UserRoles.PARTNER:
-    case UserRoles.REVIEWER:
-      return "/student-dashboard";
-    default:
-      return "/student-dashboard"; // Default fallback
-  }
-}
-
-// Check if user has access to a specific route
-function hasRouteAccess(pathname, userRole) {
-  // Admin routes
-  if (routeConfig.adminRoutes.some(route => pathname.startsWith(route))) {
-    return userRole === UserRoles.HEAD_ADMIN || userRole === UserRoles.MANAGER;
-  }
-
-  // Student routes  
-  if (routeConfig.studentRoutes.some(route => pathname.startsWith(route))) {
-    return [UserRoles.STUDENT, UserRoles.PARTNER, UserRoles.REVIEWER].includes(userRole);
-  }
-
-  return true; // Allow access to other routes
-}
-
 // Build absolute URL for redirects
 function buildUrl(path, origin) {
   return new URL(path, origin).toString();
@@ -155,7 +118,7 @@ export default async function middleware(request) {
 
   // Handle authenticated users
   if (isAuthenticated && userRole) {
-    const correctDashboard = getDashboardForRole(userRole);
+    const correctDashboard = dashboardFor(userData);
 
     // Redirect away from auth-only routes when authenticated
     if (routeConfig.authOnlyRoutes.includes(pathname)) {
@@ -169,8 +132,9 @@ export default async function middleware(request) {
       return NextResponse.redirect(buildUrl(correctDashboard, origin), { status: 303 });
     }
 
-    // Check role-based access control
-    if (!hasRouteAccess(pathname, userRole)) {
+    // Check the page's permissions (lib/permissions.js ROUTE_PERMISSIONS);
+    // users who may not open either dashboard are left to the backend's checks
+    if (!canAccessPath(userData, pathname) && canAccessPath(userData, correctDashboard)) {
       console.log(`Access denied to ${pathname} for role ${userRole}. Redirecting to ${correctDashboard}`);
       return NextResponse.redirect(buildUrl(correctDashboard, origin), { status: 303 });
     }